@@ -3,9 +3,18 @@ import {
   Send, Loader2, BookOpen, Users, BarChart3, Settings as SettingsIcon, LogOut, Menu, X,
   Calculator, FlaskConical, PenTool, FileText, Sparkles, Clock, Brain, Target, Award,
   Shield, CheckCircle, Bell, Trash2, Pencil, Save, XCircle, Search, ChevronLeft, ChevronRight,
-  SortAsc, SortDesc, Info, KeyRound, Eye, EyeOff, Copy, AlertTriangle
+  SortAsc, SortDesc, Info, KeyRound, Eye, EyeOff, Copy, AlertTriangle,
+  Plus, Pin, PinOff, MessageSquare, Check, Calendar, Flame, Download, Upload, ArrowUp, ArrowDown, Layers,
+  Paperclip, Image as ImageIcon, ExternalLink, History as HistoryIcon, RotateCcw, ClipboardList, Palette
 } from 'lucide-react';
-import { AnimatePresence, motion } from 'framer-motion';
+import { AnimatePresence, MotionConfig, motion } from 'framer-motion';
+import ReactMarkdown from 'react-markdown';
+import remarkGfm from 'remark-gfm';
+import remarkMath from 'remark-math';
+import rehypeKatex from 'rehype-katex';
+import { Prism as SyntaxHighlighter } from 'react-syntax-highlighter';
+import { oneDark } from 'react-syntax-highlighter/dist/esm/styles/prism';
+import 'katex/dist/katex.min.css';
 
 /* =============================================================================
    MythOS — Single-file React component (stabilized)
@@ -18,10 +27,15 @@ import { AnimatePresence, motion } from 'framer-motion';
    - UI shows placeholders if user fields absent
    - Minor animation polish with framer-motion
 
+   Packages: react, framer-motion, lucide-react, react-markdown, remark-gfm,
+   remark-math, rehype-katex, katex, react-syntax-highlighter
+   Dev only: axe-core (accessibility audit in the console, see auditA11y, and in test/a11y.test.mjs)
+
    Render deploy hints:
    - Root Directory: (optional) apps/web
    - Build Command:  yarn && yarn build
    - Start Command:  yarn preview --host 0.0.0.0 --port $PORT  (Vite)
+   - API service:    node server/index.mjs  (serves /api/*; see server/providers.mjs, server/vault.mjs for env)
 ============================================================================= */
 
 /* ----------------------------------------------------------------------------
@@ -36,13 +50,17 @@ const storage = {
   },
   set(key, value) {
     try { localStorage.setItem(key, JSON.stringify(value)); } catch {}
+  },
+  remove(key) {
+    try { localStorage.removeItem(key); } catch {}
   }
 };
 
 const nowISO = () => new Date().toISOString();
 
+// in the current language (see Languages)
 const fmtDate = (d) =>
-  new Date(d).toLocaleString(undefined, {
+  new Date(d).toLocaleString(intlTag(), {
     year: 'numeric', month: 'short', day: '2-digit',
     hour: '2-digit', minute: '2-digit'
   });
@@ -50,6 +68,1087 @@ const fmtDate = (d) =>
 const clamp = (n, min, max) => Math.max(min, Math.min(max, n));
 const uid = () => `${Date.now()}-${Math.random().toString(36).slice(2,8)}`;
 
+// Calendar days as local 'YYYY-MM-DD' strings (study plans); they sort and compare as text
+const dayKey = (d = new Date()) =>
+  `${d.getFullYear()}-${String(d.getMonth() + 1).padStart(2, '0')}-${String(d.getDate()).padStart(2, '0')}`;
+const addDays = (day, n) => {
+  const d = new Date(`${day}T00:00`);
+  d.setDate(d.getDate() + n);
+  return dayKey(d);
+};
+
+// Rows → CSV text; columns are [key, header] pairs. Cells are always quoted.
+const toCsv = (rows, columns) => {
+  const cell = (v) => `"${String(v ?? '').replace(/"/g, '""')}"`;
+  return [columns.map(([, h]) => cell(h)).join(','), ...rows.map(r => columns.map(([k]) => cell(r[k])).join(','))].join('\r\n') + '\r\n';
+};
+
+// Study-time sampling for the activity log (see MythOS → Activity log)
+const ACTIVITY_TICK_MS = 15_000;
+const ACTIVITY_IDLE_MS = 5 * 60_000;
+const ACTIVITY_FLUSH_MS = 60_000;
+
+// Saves generated text (exports) through a temporary object URL
+const downloadFile = (name, content, type = 'text/plain') => {
+  const url = URL.createObjectURL(new Blob([content], { type }));
+  const a = Object.assign(document.createElement('a'), { href: url, download: name });
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+};
+
+// Error returned by the API as { error: { code, message, key?, vars? } }
+class ApiError extends Error {
+  constructor(code, message, status, key, vars) { super(message || code); Object.assign(this, { code, status, key, vars }); }
+}
+const responseError = (data, status) =>
+  new ApiError(data?.error?.code || `http_${status}`, data?.error?.message || `HTTP ${status}`, status, data?.error?.key, data?.error?.vars);
+
+const ERROR_CODES = ['provider_not_configured', 'provider_auth_failed', 'provider_rate_limited', 'provider_timeout',
+  'provider_unreachable', 'key_not_allowed', 'unauthorized', 'forbidden', 'invalid_credentials', 'username_taken', 'stream_interrupted'];
+
+// Server message keys and known codes get a translated message (see Languages); others show the server's text
+const errorText = (e) =>
+  e?.key && enText(`server.${e.key}`) ? serverText(e.key, e.vars)
+    : ERROR_CODES.includes(e?.code) ? tr(`error.${e.code}`) : e?.message || tr('error.generic');
+
+// JSON request to the MythOS server; session cookie rides along.
+const api = async (path, { method = 'GET', body } = {}) => {
+  const res = await fetch(path, {
+    method,
+    credentials: 'same-origin',
+    headers: body !== undefined ? { 'Content-Type': 'application/json' } : undefined,
+    body: body !== undefined ? JSON.stringify(body) : undefined
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw responseError(data, res.status);
+  return data;
+};
+
+// Reads an NDJSON response body line by line (streaming /api/chat).
+const readNdjson = async (res, onLine) => {
+  const reader = res.body.getReader();
+  const dec = new TextDecoder();
+  let buf = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += dec.decode(value, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf('\n')) >= 0) {
+      const line = buf.slice(0, nl).trim();
+      buf = buf.slice(nl + 1);
+      if (line) onLine(JSON.parse(line));
+    }
+  }
+  if (buf.trim()) onLine(JSON.parse(buf));
+};
+
+/* ----------------------------------------------------------------------------
+   Languages
+   Message catalogs for the app shell (tabs, sign-in, chat, toasts, errors);
+   each feature section adds its own with addMessages(), next to its
+   components. Missing keys fall back to English, then to the key itself.
+   Server errors carry a message key too (see errorText). MythOS picks the
+   language while rendering — the user's profile choice, else this device's —
+   so `tr`, `fmtDate` and `fmtNumber` always read the current one.
+---------------------------------------------------------------------------- */
+// intl: tag for dates and numbers; language: how the tutor prompt names it
+const LOCALES = {
+  en: { name: 'English', dir: 'ltr', intl: 'en', language: 'English' },
+  fa: { name: 'فارسی', dir: 'rtl', intl: 'fa-IR', language: 'Persian (Farsi)' },
+  ar: { name: 'العربية', dir: 'rtl', intl: 'ar', language: 'Arabic' }
+};
+
+const MESSAGES = {
+  en: {
+    'tab.chat': 'AI Tutor', 'tab.math': 'Math', 'tab.science': 'Science', 'tab.writing': 'Writing',
+    'tab.study': 'Study Plan', 'tab.flashcards': 'Flashcards', 'tab.progress': 'Progress', 'tab.news': 'Announcements',
+    'tab.classes': 'Classes', 'tab.quizzes': 'Quizzes', 'tab.assignments': 'Assignments', 'tab.lessons': 'Lessons',
+    'tab.analytics': 'Analytics', 'tab.appearance': 'Appearance', 'tab.announce': 'Announce', 'tab.settings': 'School settings', 'tab.safety': 'Safety',
+    'subject.general': 'General', 'subject.math': 'Math', 'subject.science': 'Science', 'subject.writing': 'Writing',
+    'subject.planning': 'Study plan', 'subject.flashcards': 'Flashcards',
+    'role.student': 'Student', 'role.teacher': 'Teacher', 'role.admin': 'Admin', 'role.guest': 'Guest',
+    'login.tagline': 'Ultimate AI Study Platform',
+    'login.createAccount': 'Create Account',
+    'login.username': 'Username',
+    'login.email': 'Email (optional)',
+    'login.password': 'Password',
+    'login.newAccounts': 'New accounts start as students. An admin can make you a teacher or admin.',
+    'login.ownKey': 'Optional: your own API key (this session only)',
+    'login.ownKeyHint': "Leave empty to use your school's key. Personal keys are never saved on this device.",
+    'login.show': 'Show', 'login.hide': 'Hide',
+    'login.signUp': 'Sign Up', 'login.login': 'Login',
+    'login.toLogin': 'Have account? Login', 'login.toSignUp': 'No account? Sign Up',
+    'login.createdBy': 'Created by Hossein',
+    'shell.language': 'Language',
+    'shell.logout': 'Logout', 'shell.user': 'User',
+    'shell.welcome': 'Welcome!', 'shell.welcomeName': 'Welcome, {name}!',
+    'shell.allClasses': 'All classes', 'shell.wholeSchool': 'Whole school', 'shell.class': 'Class',
+    'chat.ready': 'Ready to learn!',
+    'chat.askAbout': 'Ask anything about your studies',
+    'chat.tip': 'Tip: Press {keys} to send',
+    'chat.placeholder': 'Ask anything...',
+    'chat.send': 'Send (Ctrl/⌘+Enter)',
+    'chat.makeFlashcards': 'Make flashcards',
+    'chat.makeFlashcardsAll': 'Make flashcards from this conversation',
+    'chat.ownKey': 'Using your own key for this session',
+    'chat.forgetKey': 'Forget it',
+    'chat.schoolKey': 'School default',
+    'convo.title': 'Conversations', 'convo.new': 'New conversation', 'convo.search': 'Search chats...',
+    'convo.noMatches': 'No matches', 'convo.none': 'No conversations yet', 'convo.untitled': 'Untitled',
+    'convo.pin': 'Pin', 'convo.unpin': 'Unpin', 'convo.rename': 'Rename',
+    'convo.deleteTitle': 'Delete conversation?',
+    'convo.deleteDesc': 'Its messages will be removed from this device.',
+    'convo.deleted': 'Conversation deleted.',
+    'common.cancel': 'Cancel', 'common.delete': 'Delete', 'common.open': 'Open',
+    'toast.enterCredentials': 'Enter a username and password.',
+    'toast.noServer': 'Could not reach the server.',
+    'toast.loggedOut': 'You are logged out.',
+    'toast.chatError': 'Chat error. Check your connection.',
+    'toast.achievement': 'Achievement unlocked: {name}',
+    'toast.redacted': 'Personal details (like phone numbers or emails) were removed before your message went to the tutor.',
+    'error.provider_not_configured': 'No AI provider is configured on the server.',
+    'error.provider_auth_failed': 'The AI provider rejected the API key.',
+    'error.provider_rate_limited': 'The AI provider is busy. Try again in a moment.',
+    'error.provider_timeout': 'The AI provider took too long to answer.',
+    'error.provider_unreachable': 'The server could not reach the AI provider.',
+    'error.key_not_allowed': 'That API key is not available to you.',
+    'error.unauthorized': 'Your session has ended. Please log in again.',
+    'error.forbidden': 'You do not have access to this.',
+    'error.invalid_credentials': 'Wrong username or password.',
+    'error.username_taken': 'That username is already taken.',
+    'error.generic': 'Something went wrong.',
+    'server.http.tooLarge': 'That is too large to send (over {bytes}).',
+    'server.http.badPath': 'That address is not valid.',
+    'server.analytics.pickClass': 'Choose one of your classes.',
+    'server.analytics.rangeTooLong': 'Ranges are limited to {n} days.',
+    'server.announcement.titleShort': 'The title must be at least 3 characters.',
+    'server.announcement.messageShort': 'The message must be at least 5 characters.',
+    'server.announcement.usersGone': 'Some of the chosen people no longer exist.',
+    'server.announcement.classesGone': 'Some of the chosen classes no longer exist.',
+    'server.announcement.notFound': 'That announcement no longer exists.',
+    'server.announcement.expiryOrder': 'The expiry must be after the publish time.',
+    'server.announcement.revisionNotFound': 'That version no longer exists.',
+    'server.assignment.criterionPoints': 'Rubric row {n}: points must be between 0 and 1000.',
+    'server.assignment.needsTitle': 'The assignment needs a title.',
+    'server.assignment.points': 'Points must be between 0 and 1000.',
+    'server.assignment.giveScore': 'Give “{name}” a score.',
+    'server.assignment.criterionScore': '“{name}” must be scored 0–{max}.',
+    'server.assignment.score': 'The score must be 0–{max}.',
+    'server.assignment.notFound': 'That assignment no longer exists.',
+    'server.assignment.submissionNotFound': 'That hand-in no longer exists.',
+    'server.assignment.rubricLocked': 'Some work is already graded, so the points and rubric can no longer change.',
+    'server.assignment.returned': 'This work has been graded and returned.',
+    'server.assignment.grading': 'Your teacher has started grading this work.',
+    'server.assignment.emptyHandIn': 'Write something or attach a file before handing in.',
+    'server.attachment.tooMany': 'At most {n} attachments.',
+    'server.attachment.missing': 'An attachment is missing; upload it again.',
+    'server.attachment.notYours': 'Attach files you uploaded yourself.',
+    'server.attachment.type': 'Allowed files: {types}.',
+    'server.attachment.empty': 'The file is empty.',
+    'server.attachment.disguised': '{name} is not really a .{ext} file.',
+    'server.attachment.notFound': 'That attachment no longer exists.',
+    'server.auth.badUsername': 'Usernames are 3–32 characters: letters, digits, dot, dash or underscore.',
+    'server.auth.shortPassword': 'The password must be at least 8 characters.',
+    'server.auth.longPassword': 'The password is too long.',
+    'server.auth.badEmail': 'That email address looks wrong.',
+    'server.auth.tooManyAttempts': 'Too many failed attempts. Try again in a few minutes.',
+    'server.auth.userNotFound': 'That person no longer exists.',
+    'server.auth.ownAdmin': 'You cannot remove your own admin role.',
+    'server.auth.ownAccount': 'You cannot disable your own account.',
+    'server.chat.tooLong': 'That message is too long.',
+    'server.chat.byokOff': 'Personal API keys are turned off on this server.',
+    'server.chat.interrupted': 'The reply was cut off. Try again.',
+    'server.class.notFound': 'That class no longer exists.',
+    'server.class.noHeader': 'The first row must be a header with at least a “username” column.',
+    'server.class.tooManyRows': 'At most {n} students per import.',
+    'server.class.inviteNotFound': 'That invitation no longer exists.',
+    'server.class.needsName': 'The class needs a name.',
+    'server.class.studentsOnly': 'Only students join classes with a code.',
+    'server.class.badCode': 'No open class has that code. Check it with your teacher.',
+    'server.class.notInClass': 'That student is not in this class.',
+    'server.class.noInvite': 'That student has no open invitation.',
+    'server.class.archived': 'This class is archived.',
+    'server.flag.badKey': 'The key must be 2–40 lowercase letters, digits, “_”, “-” or “.”.',
+    'server.flag.exists': 'A flag called “{key}” already exists.',
+    'server.flag.unknownClass': 'That class does not exist.',
+    'server.flag.rollout': 'Rollout must be 0–100%.',
+    'server.flag.endBeforeStart': 'The end must be after the start.',
+    'server.flag.featureOff': 'This feature is turned off.',
+    'server.flag.notFound': 'That flag no longer exists.',
+    'server.lesson.needsTitle': 'The lesson needs a title.',
+    'server.lesson.duration': 'The duration must be 5–600 minutes.',
+    'server.lesson.activityMinutes': 'Activity {n}: minutes must be 0–600.',
+    'server.lesson.notFound': 'That lesson no longer exists.',
+    'server.moderation.tooManyTerms': 'At most {n} words per list.',
+    'server.moderation.escalation': 'Escalation must be after 1–720 hours, or never.',
+    'server.moderation.flagNotFound': 'That flag no longer exists.',
+    'server.moderation.nothingToChange': 'Nothing to change.',
+    'server.provider.refused': '{provider} refused the request.',
+    'server.provider.httpError': '{provider} returned an error (HTTP {status}).',
+    'server.question.needsPrompt': 'The question needs a prompt.',
+    'server.question.points': 'Points must be between 0 and 100.',
+    'server.question.twoChoices': 'Give at least two choices.',
+    'server.question.oneCorrect': 'Multiple choice needs exactly one correct choice.',
+    'server.question.markCorrect': 'Mark at least one correct choice.',
+    'server.question.numericAnswer': 'The numeric answer must be a number.',
+    'server.question.tolerance': 'The tolerance must be a number.',
+    'server.question.acceptedAnswer': 'Give at least one accepted answer.',
+    'server.question.twoPairs': 'Give at least two pairs to match.',
+    'server.question.notFound': 'That question no longer exists.',
+    'server.question.tooMany': 'At most {n} questions at once.',
+    'server.question.inList': 'Question {n}: {reason}',
+    'server.question.inUse': 'Used by the published quiz “{title}”.',
+    'server.question.nothingToImport': 'Nothing to import.',
+    'server.question.fileTooLarge': 'The file is too large.',
+    'server.question.noneToExport': 'No questions to export.',
+    'server.import.numericRange': 'The numeric range is not a number.',
+    'server.import.numericAnswer': 'The numeric answer is not a number.',
+    'server.import.noAnswers': 'No answers found.',
+    'server.import.noCorrect': 'No correct answer is marked.',
+    'server.import.noAnswerBlock': 'No answer block { … }.',
+    'server.import.emptyQuestion': 'The question text is empty.',
+    'server.import.unexpectedClose': 'Unexpected </{tag}>.',
+    'server.import.notClosed': '<{tag}> is not closed.',
+    'server.import.noPresentation': 'The item has no <presentation>.',
+    'server.import.missingPair': 'A matching item is missing a pair.',
+    'server.import.noCorrectQti': 'No correct answer in <resprocessing>.',
+    'server.import.numericNoAnswer': 'The numeric item has no answer.',
+    'server.import.noAccepted': 'The short-answer item has no accepted answers.',
+    'server.import.unsupported': 'This item type is not supported.',
+    'server.import.badXml': 'Not valid XML: {reason}',
+    'server.import.noItems': 'No QTI 1.2 <item> elements found.',
+    'server.roster.already.teacher': 'Already a teacher account.',
+    'server.roster.already.admin': 'Already an admin account.',
+    'server.roster.twice': 'Appears twice in the file.',
+    'server.deletedUser': 'Deleted user',
+    'server.notify.newAssignment': 'New assignment: {title}',
+    'server.notify.newQuiz': 'New quiz: {title}',
+    'server.notify.due': 'Due {due}',
+    'server.notify.returned': 'Returned: {title}',
+    'server.notify.score': '{score}/{max} ({pct}%)',
+    'server.notify.scoreFeedback': '{score}/{max} ({pct}%) — {feedback}',
+    'server.notify.graded': 'Graded: {title}',
+    'server.notify.gradedQuiz': 'Your quiz is graded',
+    'server.notify.quizScore': '{score}/{max} ({pct}%)',
+    'server.notify.quizScorePassed': '{score}/{max} ({pct}%) — passed',
+    'server.notify.quizScoreLate': '{score}/{max} ({pct}%) — submitted when time ran out',
+    'server.notify.quizScorePassedLate': '{score}/{max} ({pct}%) — passed, submitted when time ran out',
+    'server.notify.invite': 'Join {class}?',
+    'server.notify.invitedBy': '{name} invited you to their class.',
+    'server.notify.safetyFlag.high': 'Safety flag (high)',
+    'server.notify.safetyFlag.low': 'Safety flag (low)',
+    'server.notify.safetyStale': 'Unreviewed safety flag escalated after {hours} h',
+    'server.notify.safetyEscalated': 'Safety flag escalated by {name}',
+    'server.notify.safetyBody': '{student}: {categories}',
+    'server.notify.safetyBodyAnon': 'A student: {categories}',
+    'server.term.self_harm': 'self harm',
+    'server.term.violence': 'violence',
+    'server.term.harassment': 'harassment',
+    'server.term.sexual': 'sexual',
+    'server.term.drugs': 'drugs',
+    'server.term.profanity': 'profanity',
+    'server.term.school_terms': 'school terms',
+    'server.term.flagged': 'flagged',
+    'server.quiz.needsTitle': 'The quiz needs a title.',
+    'server.quiz.timeLimit': 'The time limit must be 1–600 minutes (or empty for none).',
+    'server.quiz.attempts': 'Allowed attempts must be 1–20.',
+    'server.quiz.passMark': 'The pass mark must be 0–100%.',
+    'server.quiz.notFound': 'That quiz no longer exists.',
+    'server.quiz.notInBank': 'Some questions are not in your bank.',
+    'server.quiz.addQuestions': 'Add questions before publishing.',
+    'server.quiz.closed': 'This quiz closed on its due date.',
+    'server.quiz.noAttemptsLeft': 'You have used all your attempts for this quiz.',
+    'server.quiz.noQuestions': 'This quiz has no questions yet.',
+    'server.quiz.attemptNotFound': 'That attempt no longer exists.',
+    'server.quiz.alreadySubmitted': 'This attempt was already submitted.',
+    'server.quiz.timeUp': 'Time is up for this attempt.',
+    'server.settings.logo': 'The logo must be a PNG, JPEG, WebP, GIF or SVG image under {bytes}.',
+    'server.vault.needsLabel': 'The key needs a label.',
+    'server.vault.needsClass': 'Class keys need a class.',
+    'server.vault.noClass': 'That class does not exist.',
+    'server.vault.shortKey': 'That API key looks too short.',
+    'server.vault.notFound': 'That key no longer exists.',
+    'error.stream_interrupted': 'The reply was cut off.',
+    'chat.demoReply': 'You said:\n\n{text}\n\n(Connect your real model via /api/chat to replace this demo.)',
+    'appearance.languageHint': "Menus and the AI tutor's answers use this language. Saved to your account.",
+    'appearance.deviceLanguage': 'Match my device',
+    'boundary.title': 'Something went wrong',
+    'boundary.text': 'The UI crashed while rendering. Try reloading the page.',
+    'boundary.details': 'Details',
+    'appearance.motion': 'Motion',
+    'appearance.motionHint': 'Animations and smooth scrolling. Saved to your account.',
+    'appearance.motionSystem': 'Match my device',
+    'appearance.motionReduce': 'Reduce motion',
+    'appearance.motionFull': 'Full motion',
+    'a11y.skip': 'Skip to content',
+    'a11y.sections': 'Sections',
+    'a11y.showSidebar': 'Show sidebar',
+    'a11y.hideSidebar': 'Hide sidebar',
+    'a11y.dismiss': 'Dismiss',
+    'a11y.messages': 'Conversation',
+    'a11y.replying': 'The tutor is answering…',
+    'a11y.replied': 'Tutor: {text}',
+    'a11y.previousPage': 'Previous page',
+    'a11y.nextPage': 'Next page',
+    'role.students': 'Students',
+    'role.teachers': 'Teachers',
+    'role.admins': 'Admins',
+    'common.nMin': '{n} min',
+    'common.saving': 'Saving…',
+    'common.saved': 'Saved',
+    'common.moveUp': 'Move up',
+    'common.moveDown': 'Move down',
+    'code.copy': 'Copy code',
+    'common.copy': 'Copy',
+    'common.copied': 'Copied',
+    'common.save': 'Save',
+    'common.enable': 'Enable',
+    'common.disable': 'Disable',
+    'common.edit': 'Edit',
+    'common.add': 'Add',
+    'common.remove': 'Remove',
+    'common.restore': 'Restore',
+    'common.back': 'Back',
+    'common.done': 'Done',
+    'common.import': 'Import',
+    'common.duplicate': 'Duplicate',
+    'common.title': 'Title',
+    'common.description': 'Description',
+    'common.subject': 'Subject',
+    'common.class': 'Class',
+    'common.noClass': 'No class',
+    'common.everyone': 'Everyone',
+    'common.draft': 'Draft',
+    'common.published': 'Published',
+    'common.publish': 'Publish',
+    'common.unpublish': 'Unpublish',
+    'common.points': 'Points',
+    'common.minutes': 'Minutes',
+    'common.name': 'Name',
+    'common.total': 'Total',
+    'common.today': 'Today',
+    'users.title': '👥 Users & Roles',
+    'users.search': 'Search users...',
+    'users.updated': 'User updated.',
+    'users.noEmail': 'no email',
+    'users.joined': 'joined {date}',
+    'users.role': 'Role of {name}',
+    'users.none': 'No users found',
+    'keys.title': '🔐 Provider Keys',
+    'keys.intro': 'Encrypted on the server. Class keys are used before the org key for that class.',
+    'keys.none': "No keys yet — chat uses the server's environment key.",
+    'keys.saved': 'Key saved to the vault.',
+    'keys.removed': 'Key removed.',
+    'keys.rotated': 'Key rotated.',
+    'keys.enabled': 'Key enabled.',
+    'keys.disabled': 'Key disabled.',
+    'keys.archivedClass': 'an archived class',
+    'keys.wholeSchool': 'whole school',
+    'keys.newKey': 'New key',
+    'keys.rotate': 'Rotate',
+    'keys.label': 'Label (e.g. Main school key)',
+    'keys.openai': 'OpenAI-compatible',
+    'keys.scopeOrg': 'Whole school',
+    'keys.scopeClass': 'One class',
+    'keys.pickClass': 'Pick a class…',
+    'keys.noClasses': 'No classes yet',
+    'keys.apiKey': 'API key',
+    'keys.add': 'Add Key'
+  },
+  fa: {
+    'tab.chat': 'معلم هوش مصنوعی', 'tab.math': 'ریاضی', 'tab.science': 'علوم', 'tab.writing': 'نگارش',
+    'tab.study': 'برنامهٔ مطالعه', 'tab.flashcards': 'فلش‌کارت‌ها', 'tab.progress': 'پیشرفت', 'tab.news': 'اطلاعیه‌ها',
+    'tab.classes': 'کلاس‌ها', 'tab.quizzes': 'آزمون‌ها', 'tab.assignments': 'تکالیف', 'tab.lessons': 'درس‌ها',
+    'tab.analytics': 'آمار و تحلیل', 'tab.appearance': 'ظاهر', 'tab.announce': 'انتشار اطلاعیه', 'tab.settings': 'تنظیمات مدرسه', 'tab.safety': 'ایمنی',
+    'subject.general': 'عمومی', 'subject.math': 'ریاضی', 'subject.science': 'علوم', 'subject.writing': 'نگارش',
+    'subject.planning': 'برنامهٔ مطالعه', 'subject.flashcards': 'فلش‌کارت‌ها',
+    'role.student': 'دانش‌آموز', 'role.teacher': 'معلم', 'role.admin': 'مدیر', 'role.guest': 'مهمان',
+    'login.tagline': 'پلتفرم هوشمند مطالعه',
+    'login.createAccount': 'ساخت حساب',
+    'login.username': 'نام کاربری',
+    'login.email': 'ایمیل (اختیاری)',
+    'login.password': 'رمز عبور',
+    'login.newAccounts': 'حساب‌های تازه با نقش دانش‌آموز ساخته می‌شوند. مدیر می‌تواند شما را معلم یا مدیر کند.',
+    'login.ownKey': 'اختیاری: کلید API خودتان (فقط برای همین نشست)',
+    'login.ownKeyHint': 'برای استفاده از کلید مدرسه خالی بگذارید. کلیدهای شخصی هرگز روی این دستگاه ذخیره نمی‌شوند.',
+    'login.show': 'نمایش', 'login.hide': 'پنهان کردن',
+    'login.signUp': 'ثبت‌نام', 'login.login': 'ورود',
+    'login.toLogin': 'حساب دارید؟ ورود', 'login.toSignUp': 'حساب ندارید؟ ثبت‌نام',
+    'login.createdBy': 'ساختهٔ حسین',
+    'shell.language': 'زبان',
+    'shell.logout': 'خروج', 'shell.user': 'کاربر',
+    'shell.welcome': 'خوش آمدید!', 'shell.welcomeName': '{name}، خوش آمدید!',
+    'shell.allClasses': 'همهٔ کلاس‌ها', 'shell.wholeSchool': 'کل مدرسه', 'shell.class': 'کلاس',
+    'chat.ready': 'آمادهٔ یادگیری!',
+    'chat.askAbout': 'هر سؤالی دربارهٔ درس‌هایتان دارید بپرسید',
+    'chat.tip': 'نکته: برای ارسال {keys} را بزنید',
+    'chat.placeholder': 'هر چه می‌خواهید بپرسید...',
+    'chat.send': 'ارسال (Ctrl/⌘+Enter)',
+    'chat.makeFlashcards': 'ساخت فلش‌کارت',
+    'chat.makeFlashcardsAll': 'ساخت فلش‌کارت از این گفتگو',
+    'chat.ownKey': 'در این نشست از کلید خودتان استفاده می‌شود',
+    'chat.forgetKey': 'فراموشش کن',
+    'chat.schoolKey': 'پیش‌فرض مدرسه',
+    'convo.title': 'گفتگوها', 'convo.new': 'گفتگوی تازه', 'convo.search': 'جستجوی گفتگوها...',
+    'convo.noMatches': 'موردی پیدا نشد', 'convo.none': 'هنوز گفتگویی ندارید', 'convo.untitled': 'بی‌عنوان',
+    'convo.pin': 'سنجاق کردن', 'convo.unpin': 'برداشتن سنجاق', 'convo.rename': 'تغییر نام',
+    'convo.deleteTitle': 'گفتگو حذف شود؟',
+    'convo.deleteDesc': 'پیام‌های آن از این دستگاه پاک می‌شوند.',
+    'convo.deleted': 'گفتگو حذف شد.',
+    'common.cancel': 'انصراف', 'common.delete': 'حذف', 'common.open': 'باز کردن',
+    'toast.enterCredentials': 'نام کاربری و رمز عبور را وارد کنید.',
+    'toast.noServer': 'اتصال به سرور ممکن نشد.',
+    'toast.loggedOut': 'از حساب خود خارج شدید.',
+    'toast.chatError': 'خطا در گفتگو. اتصال اینترنت را بررسی کنید.',
+    'toast.achievement': 'دستاورد تازه: {name}',
+    'toast.redacted': 'اطلاعات شخصی (مانند شماره تلفن یا ایمیل) پیش از رسیدن پیام تو به معلم هوشمند حذف شد.',
+    'error.provider_not_configured': 'هیچ سرویس هوش مصنوعی روی سرور تنظیم نشده است.',
+    'error.provider_auth_failed': 'سرویس هوش مصنوعی کلید API را نپذیرفت.',
+    'error.provider_rate_limited': 'سرویس هوش مصنوعی شلوغ است. کمی بعد دوباره تلاش کنید.',
+    'error.provider_timeout': 'پاسخ سرویس هوش مصنوعی بیش از حد طول کشید.',
+    'error.provider_unreachable': 'سرور نتوانست به سرویس هوش مصنوعی وصل شود.',
+    'error.key_not_allowed': 'این کلید API در دسترس شما نیست.',
+    'error.unauthorized': 'نشست شما به پایان رسیده است. لطفاً دوباره وارد شوید.',
+    'error.forbidden': 'به این بخش دسترسی ندارید.',
+    'error.invalid_credentials': 'نام کاربری یا رمز عبور اشتباه است.',
+    'error.username_taken': 'این نام کاربری قبلاً گرفته شده است.',
+    'error.generic': 'مشکلی پیش آمد.',
+    'server.http.tooLarge': 'این بیش از حد بزرگ است (بیش از {bytes}).',
+    'server.http.badPath': 'این نشانی معتبر نیست.',
+    'server.analytics.pickClass': 'یکی از کلاس‌های خود را انتخاب کنید.',
+    'server.analytics.rangeTooLong': 'بازه حداکثر {n} روز است.',
+    'server.announcement.titleShort': 'عنوان باید دست‌کم ۳ نویسه باشد.',
+    'server.announcement.messageShort': 'پیام باید دست‌کم ۵ نویسه باشد.',
+    'server.announcement.usersGone': 'برخی از افراد انتخاب‌شده دیگر وجود ندارند.',
+    'server.announcement.classesGone': 'برخی از کلاس‌های انتخاب‌شده دیگر وجود ندارند.',
+    'server.announcement.notFound': 'این اطلاعیه دیگر وجود ندارد.',
+    'server.announcement.expiryOrder': 'زمان انقضا باید بعد از زمان انتشار باشد.',
+    'server.announcement.revisionNotFound': 'این نسخه دیگر وجود ندارد.',
+    'server.assignment.criterionPoints': 'ردیف {n} روبریک: امتیاز باید بین ۰ و ۱۰۰۰ باشد.',
+    'server.assignment.needsTitle': 'تکلیف به عنوان نیاز دارد.',
+    'server.assignment.points': 'امتیاز باید بین ۰ و ۱۰۰۰ باشد.',
+    'server.assignment.giveScore': 'به «{name}» نمره بدهید.',
+    'server.assignment.criterionScore': 'نمرهٔ «{name}» باید بین ۰ تا {max} باشد.',
+    'server.assignment.score': 'نمره باید بین ۰ تا {max} باشد.',
+    'server.assignment.notFound': 'این تکلیف دیگر وجود ندارد.',
+    'server.assignment.submissionNotFound': 'این تحویل دیگر وجود ندارد.',
+    'server.assignment.rubricLocked': 'برخی کارها نمره گرفته‌اند، پس امتیاز و روبریک دیگر تغییر نمی‌کند.',
+    'server.assignment.returned': 'این کار نمره گرفته و برگردانده شده است.',
+    'server.assignment.grading': 'معلم شما نمره‌دادن به این کار را شروع کرده است.',
+    'server.assignment.emptyHandIn': 'پیش از تحویل، چیزی بنویسید یا فایلی پیوست کنید.',
+    'server.attachment.tooMany': 'حداکثر {n} پیوست.',
+    'server.attachment.missing': 'یکی از پیوست‌ها گم شده است؛ دوباره بارگذاری‌اش کنید.',
+    'server.attachment.notYours': 'فایل‌هایی را پیوست کنید که خودتان بارگذاری کرده‌اید.',
+    'server.attachment.type': 'فایل‌های مجاز: {types}.',
+    'server.attachment.empty': 'فایل خالی است.',
+    'server.attachment.disguised': '{name} در واقع فایل ‎.{ext} نیست.',
+    'server.attachment.notFound': 'این پیوست دیگر وجود ندارد.',
+    'server.auth.badUsername': 'نام کاربری ۳ تا ۳۲ نویسه است: حروف، ارقام، نقطه، خط تیره یا زیرخط.',
+    'server.auth.shortPassword': 'گذرواژه باید دست‌کم ۸ نویسه باشد.',
+    'server.auth.longPassword': 'گذرواژه بیش از حد طولانی است.',
+    'server.auth.badEmail': 'این نشانی ایمیل درست به نظر نمی‌رسد.',
+    'server.auth.tooManyAttempts': 'تلاش‌های ناموفق زیادی انجام شد. چند دقیقهٔ دیگر دوباره امتحان کنید.',
+    'server.auth.userNotFound': 'این شخص دیگر وجود ندارد.',
+    'server.auth.ownAdmin': 'نمی‌توانید نقش مدیر را از خودتان بگیرید.',
+    'server.auth.ownAccount': 'نمی‌توانید حساب خودتان را غیرفعال کنید.',
+    'server.chat.tooLong': 'این پیام بیش از حد طولانی است.',
+    'server.chat.byokOff': 'کلیدهای API شخصی روی این سرور خاموش است.',
+    'server.chat.interrupted': 'پاسخ نیمه‌کاره قطع شد. دوباره امتحان کنید.',
+    'server.class.notFound': 'این کلاس دیگر وجود ندارد.',
+    'server.class.noHeader': 'سطر اول باید سرستون باشد و دست‌کم ستون «username» را داشته باشد.',
+    'server.class.tooManyRows': 'در هر درون‌ریزی حداکثر {n} دانش‌آموز.',
+    'server.class.inviteNotFound': 'این دعوت دیگر وجود ندارد.',
+    'server.class.needsName': 'کلاس به نام نیاز دارد.',
+    'server.class.studentsOnly': 'فقط دانش‌آموزان با کد به کلاس می‌پیوندند.',
+    'server.class.badCode': 'هیچ کلاس بازی این کد را ندارد. آن را با معلم خود بررسی کنید.',
+    'server.class.notInClass': 'این دانش‌آموز در این کلاس نیست.',
+    'server.class.noInvite': 'این دانش‌آموز دعوت بازی ندارد.',
+    'server.class.archived': 'این کلاس بایگانی شده است.',
+    'server.flag.badKey': 'کلید باید ۲ تا ۴۰ حرف کوچک، رقم، «_»، «-» یا «.» باشد.',
+    'server.flag.exists': 'پرچمی به نام «{key}» از قبل وجود دارد.',
+    'server.flag.unknownClass': 'این کلاس وجود ندارد.',
+    'server.flag.rollout': 'درصد عرضه باید بین ۰ تا ۱۰۰ باشد.',
+    'server.flag.endBeforeStart': 'پایان باید بعد از آغاز باشد.',
+    'server.flag.featureOff': 'این قابلیت خاموش است.',
+    'server.flag.notFound': 'این پرچم دیگر وجود ندارد.',
+    'server.lesson.needsTitle': 'درس به عنوان نیاز دارد.',
+    'server.lesson.duration': 'مدت باید ۵ تا ۶۰۰ دقیقه باشد.',
+    'server.lesson.activityMinutes': 'فعالیت {n}: دقیقه‌ها باید بین ۰ تا ۶۰۰ باشد.',
+    'server.lesson.notFound': 'این درس دیگر وجود ندارد.',
+    'server.moderation.tooManyTerms': 'حداکثر {n} واژه در هر فهرست.',
+    'server.moderation.escalation': 'ارجاع باید پس از ۱ تا ۷۲۰ ساعت باشد، یا هرگز.',
+    'server.moderation.flagNotFound': 'این گزارش دیگر وجود ندارد.',
+    'server.moderation.nothingToChange': 'چیزی برای تغییر نیست.',
+    'server.provider.refused': '{provider} درخواست را نپذیرفت.',
+    'server.provider.httpError': '{provider} خطا برگرداند (HTTP {status}).',
+    'server.question.needsPrompt': 'پرسش به متن نیاز دارد.',
+    'server.question.points': 'امتیاز باید بین ۰ و ۱۰۰ باشد.',
+    'server.question.twoChoices': 'دست‌کم دو گزینه بدهید.',
+    'server.question.oneCorrect': 'چندگزینه‌ای دقیقاً یک گزینهٔ درست لازم دارد.',
+    'server.question.markCorrect': 'دست‌کم یک گزینهٔ درست را علامت بزنید.',
+    'server.question.numericAnswer': 'پاسخ عددی باید عدد باشد.',
+    'server.question.tolerance': 'خطای مجاز باید عدد باشد.',
+    'server.question.acceptedAnswer': 'دست‌کم یک پاسخ پذیرفتنی بدهید.',
+    'server.question.twoPairs': 'دست‌کم دو جفت برای جورکردن بدهید.',
+    'server.question.notFound': 'این پرسش دیگر وجود ندارد.',
+    'server.question.tooMany': 'حداکثر {n} پرسش در یک بار.',
+    'server.question.inList': 'پرسش {n}: {reason}',
+    'server.question.inUse': 'در آزمون منتشرشدهٔ «{title}» به کار رفته است.',
+    'server.question.nothingToImport': 'چیزی برای درون‌ریزی نیست.',
+    'server.question.fileTooLarge': 'فایل بیش از حد بزرگ است.',
+    'server.question.noneToExport': 'پرسشی برای برون‌بری نیست.',
+    'server.import.numericRange': 'بازهٔ عددی، عدد نیست.',
+    'server.import.numericAnswer': 'پاسخ عددی، عدد نیست.',
+    'server.import.noAnswers': 'پاسخی پیدا نشد.',
+    'server.import.noCorrect': 'هیچ پاسخ درستی علامت نخورده است.',
+    'server.import.noAnswerBlock': 'بخش پاسخ { … } وجود ندارد.',
+    'server.import.emptyQuestion': 'متن پرسش خالی است.',
+    'server.import.unexpectedClose': '‎</{tag}>‎ نابجاست.',
+    'server.import.notClosed': '‎<{tag}>‎ بسته نشده است.',
+    'server.import.noPresentation': 'این مورد ‎<presentation>‎ ندارد.',
+    'server.import.missingPair': 'یکی از جفت‌های جورکردنی ناقص است.',
+    'server.import.noCorrectQti': 'در ‎<resprocessing>‎ پاسخ درستی نیست.',
+    'server.import.numericNoAnswer': 'مورد عددی پاسخ ندارد.',
+    'server.import.noAccepted': 'مورد پاسخ کوتاه، پاسخ پذیرفتنی ندارد.',
+    'server.import.unsupported': 'این نوع مورد پشتیبانی نمی‌شود.',
+    'server.import.badXml': 'XML معتبر نیست: {reason}',
+    'server.import.noItems': 'هیچ عنصر ‎<item>‎ از QTI 1.2 پیدا نشد.',
+    'server.roster.already.teacher': 'این حساب معلم است.',
+    'server.roster.already.admin': 'این حساب مدیر است.',
+    'server.roster.twice': 'دو بار در فایل آمده است.',
+    'server.deletedUser': 'کاربر حذف‌شده',
+    'server.notify.newAssignment': 'تکلیف تازه: {title}',
+    'server.notify.newQuiz': 'آزمون تازه: {title}',
+    'server.notify.due': 'موعد: {due}',
+    'server.notify.returned': 'برگردانده شد: {title}',
+    'server.notify.score': '{score} از {max} ({pct}٪)',
+    'server.notify.scoreFeedback': '{score} از {max} ({pct}٪) — {feedback}',
+    'server.notify.graded': 'نمره داده شد: {title}',
+    'server.notify.gradedQuiz': 'آزمون شما نمره گرفت',
+    'server.notify.quizScore': '{score} از {max} ({pct}٪)',
+    'server.notify.quizScorePassed': '{score} از {max} ({pct}٪) — قبول',
+    'server.notify.quizScoreLate': '{score} از {max} ({pct}٪) — با تمام‌شدن زمان ارسال شد',
+    'server.notify.quizScorePassedLate': '{score} از {max} ({pct}٪) — قبول، با تمام‌شدن زمان ارسال شد',
+    'server.notify.invite': 'به {class} می‌پیوندید؟',
+    'server.notify.invitedBy': '{name} شما را به کلاسش دعوت کرد.',
+    'server.notify.safetyFlag.high': 'گزارش ایمنی (بالا)',
+    'server.notify.safetyFlag.low': 'گزارش ایمنی (پایین)',
+    'server.notify.safetyStale': 'گزارش ایمنیِ بررسی‌نشده پس از {hours} ساعت ارجاع شد',
+    'server.notify.safetyEscalated': 'گزارش ایمنی را {name} ارجاع داد',
+    'server.notify.safetyBody': '{student}: {categories}',
+    'server.notify.safetyBodyAnon': 'یک دانش‌آموز: {categories}',
+    'server.term.self_harm': 'آسیب به خود',
+    'server.term.violence': 'خشونت',
+    'server.term.harassment': 'آزار',
+    'server.term.sexual': 'جنسی',
+    'server.term.drugs': 'مواد مخدر',
+    'server.term.profanity': 'ناسزا',
+    'server.term.school_terms': 'واژه‌های مدرسه',
+    'server.term.flagged': 'علامت‌خورده',
+    'server.quiz.needsTitle': 'آزمون به عنوان نیاز دارد.',
+    'server.quiz.timeLimit': 'محدودیت زمان باید ۱ تا ۶۰۰ دقیقه باشد (یا خالی برای بدون محدودیت).',
+    'server.quiz.attempts': 'تعداد دفعات مجاز باید ۱ تا ۲۰ باشد.',
+    'server.quiz.passMark': 'نمرهٔ قبولی باید بین ۰ تا ۱۰۰ درصد باشد.',
+    'server.quiz.notFound': 'این آزمون دیگر وجود ندارد.',
+    'server.quiz.notInBank': 'برخی پرسش‌ها در بانک شما نیستند.',
+    'server.quiz.addQuestions': 'پیش از انتشار، پرسش اضافه کنید.',
+    'server.quiz.closed': 'این آزمون در موعدش بسته شد.',
+    'server.quiz.noAttemptsLeft': 'همهٔ دفعات این آزمون را استفاده کرده‌اید.',
+    'server.quiz.noQuestions': 'این آزمون هنوز پرسشی ندارد.',
+    'server.quiz.attemptNotFound': 'این تلاش دیگر وجود ندارد.',
+    'server.quiz.alreadySubmitted': 'این تلاش قبلاً ارسال شده است.',
+    'server.quiz.timeUp': 'زمان این تلاش تمام شده است.',
+    'server.settings.logo': 'لوگو باید تصویر PNG، JPEG، WebP، GIF یا SVG و کمتر از {bytes} باشد.',
+    'server.vault.needsLabel': 'کلید به برچسب نیاز دارد.',
+    'server.vault.needsClass': 'کلیدهای کلاس به کلاس نیاز دارند.',
+    'server.vault.noClass': 'این کلاس وجود ندارد.',
+    'server.vault.shortKey': 'این کلید API بیش از حد کوتاه به نظر می‌رسد.',
+    'server.vault.notFound': 'این کلید دیگر وجود ندارد.',
+    'error.stream_interrupted': 'پاسخ نیمه‌کاره ماند.',
+    'chat.demoReply': 'شما گفتید:\n\n{text}\n\n(برای جایگزینی این نمایش، مدل واقعی خود را از راه ‎/api/chat وصل کنید.)',
+    'appearance.languageHint': 'منوها و پاسخ‌های معلم هوش مصنوعی به این زبان خواهند بود. در حساب شما ذخیره می‌شود.',
+    'appearance.deviceLanguage': 'مطابق دستگاه من',
+    'boundary.title': 'مشکلی پیش آمد',
+    'boundary.text': 'رابط کاربری هنگام نمایش از کار افتاد. صفحه را دوباره بارگذاری کنید.',
+    'boundary.details': 'جزئیات',
+    'appearance.motion': 'حرکت و پویانمایی',
+    'appearance.motionHint': 'پویانمایی‌ها و پیمایش نرم. در حساب شما ذخیره می‌شود.',
+    'appearance.motionSystem': 'مطابق دستگاه من',
+    'appearance.motionReduce': 'کاهش حرکت',
+    'appearance.motionFull': 'حرکت کامل',
+    'a11y.skip': 'رفتن به محتوا',
+    'a11y.sections': 'بخش‌ها',
+    'a11y.showSidebar': 'نمایش نوار کناری',
+    'a11y.hideSidebar': 'پنهان کردن نوار کناری',
+    'a11y.dismiss': 'بستن',
+    'a11y.messages': 'گفتگو',
+    'a11y.replying': 'معلم در حال پاسخ دادن است…',
+    'a11y.replied': 'معلم: {text}',
+    'a11y.previousPage': 'صفحهٔ قبل',
+    'a11y.nextPage': 'صفحهٔ بعد',
+    'role.students': 'دانش‌آموزان',
+    'role.teachers': 'معلمان',
+    'role.admins': 'مدیران',
+    'common.nMin': '{n} دقیقه',
+    'common.saving': 'در حال ذخیره…',
+    'common.saved': 'ذخیره شد',
+    'common.moveUp': 'بالا بردن',
+    'common.moveDown': 'پایین بردن',
+    'code.copy': 'کپی کد',
+    'common.copy': 'کپی',
+    'common.copied': 'کپی شد',
+    'common.save': 'ذخیره',
+    'common.enable': 'فعال کردن',
+    'common.disable': 'غیرفعال کردن',
+    'common.edit': 'ویرایش',
+    'common.add': 'افزودن',
+    'common.remove': 'برداشتن',
+    'common.restore': 'بازگردانی',
+    'common.back': 'بازگشت',
+    'common.done': 'انجام شد',
+    'common.import': 'درون‌ریزی',
+    'common.duplicate': 'تکثیر',
+    'common.title': 'عنوان',
+    'common.description': 'توضیحات',
+    'common.subject': 'درس',
+    'common.class': 'کلاس',
+    'common.noClass': 'بدون کلاس',
+    'common.everyone': 'همه',
+    'common.draft': 'پیش‌نویس',
+    'common.published': 'منتشرشده',
+    'common.publish': 'انتشار',
+    'common.unpublish': 'لغو انتشار',
+    'common.points': 'امتیاز',
+    'common.minutes': 'دقیقه',
+    'common.name': 'نام',
+    'common.total': 'مجموع',
+    'common.today': 'امروز',
+    'users.title': '👥 کاربران و نقش‌ها',
+    'users.search': 'جستجوی کاربران...',
+    'users.updated': 'کاربر به‌روز شد.',
+    'users.noEmail': 'بدون ایمیل',
+    'users.joined': 'عضویت: {date}',
+    'users.role': 'نقش {name}',
+    'users.none': 'کاربری پیدا نشد',
+    'keys.title': '🔐 کلیدهای سرویس‌دهنده',
+    'keys.intro': 'روی سرور رمزگذاری می‌شوند. برای هر کلاس، کلید آن کلاس پیش از کلید مدرسه به کار می‌رود.',
+    'keys.none': 'هنوز کلیدی نیست؛ گفتگو از کلید محیطی سرور استفاده می‌کند.',
+    'keys.saved': 'کلید در گاوصندوق ذخیره شد.',
+    'keys.removed': 'کلید حذف شد.',
+    'keys.rotated': 'کلید عوض شد.',
+    'keys.enabled': 'کلید فعال شد.',
+    'keys.disabled': 'کلید غیرفعال شد.',
+    'keys.archivedClass': 'یک کلاس بایگانی‌شده',
+    'keys.wholeSchool': 'کل مدرسه',
+    'keys.newKey': 'کلید تازه',
+    'keys.rotate': 'عوض کردن',
+    'keys.label': 'برچسب (مثلاً کلید اصلی مدرسه)',
+    'keys.openai': 'سازگار با OpenAI',
+    'keys.scopeOrg': 'کل مدرسه',
+    'keys.scopeClass': 'یک کلاس',
+    'keys.pickClass': 'یک کلاس انتخاب کنید…',
+    'keys.noClasses': 'هنوز کلاسی نیست',
+    'keys.apiKey': 'کلید API',
+    'keys.add': 'افزودن کلید'
+  },
+  ar: {
+    'tab.chat': 'المعلّم الذكي', 'tab.math': 'الرياضيات', 'tab.science': 'العلوم', 'tab.writing': 'الكتابة',
+    'tab.study': 'خطة الدراسة', 'tab.flashcards': 'البطاقات التعليمية', 'tab.progress': 'التقدّم', 'tab.news': 'الإعلانات',
+    'tab.classes': 'الفصول', 'tab.quizzes': 'الاختبارات', 'tab.assignments': 'الواجبات', 'tab.lessons': 'الدروس',
+    'tab.analytics': 'التحليلات', 'tab.appearance': 'المظهر', 'tab.announce': 'نشر إعلان', 'tab.settings': 'إعدادات المدرسة', 'tab.safety': 'السلامة',
+    'subject.general': 'عام', 'subject.math': 'الرياضيات', 'subject.science': 'العلوم', 'subject.writing': 'الكتابة',
+    'subject.planning': 'خطة الدراسة', 'subject.flashcards': 'البطاقات التعليمية',
+    'role.student': 'طالب', 'role.teacher': 'معلّم', 'role.admin': 'مدير', 'role.guest': 'زائر',
+    'login.tagline': 'منصة الدراسة الذكية',
+    'login.createAccount': 'إنشاء حساب',
+    'login.username': 'اسم المستخدم',
+    'login.email': 'البريد الإلكتروني (اختياري)',
+    'login.password': 'كلمة المرور',
+    'login.newAccounts': 'تبدأ الحسابات الجديدة بدور طالب. يمكن للمدير أن يجعلك معلّمًا أو مديرًا.',
+    'login.ownKey': 'اختياري: مفتاح API الخاص بك (لهذه الجلسة فقط)',
+    'login.ownKeyHint': 'اتركه فارغًا لاستخدام مفتاح مدرستك. لا تُحفظ المفاتيح الشخصية على هذا الجهاز أبدًا.',
+    'login.show': 'إظهار', 'login.hide': 'إخفاء',
+    'login.signUp': 'إنشاء حساب', 'login.login': 'تسجيل الدخول',
+    'login.toLogin': 'لديك حساب؟ سجّل الدخول', 'login.toSignUp': 'ليس لديك حساب؟ أنشئ حسابًا',
+    'login.createdBy': 'من إنشاء حسين',
+    'shell.language': 'اللغة',
+    'shell.logout': 'تسجيل الخروج', 'shell.user': 'مستخدم',
+    'shell.welcome': 'مرحبًا!', 'shell.welcomeName': 'مرحبًا، {name}!',
+    'shell.allClasses': 'كل الفصول', 'shell.wholeSchool': 'المدرسة كلها', 'shell.class': 'الفصل',
+    'chat.ready': 'جاهز للتعلّم!',
+    'chat.askAbout': 'اسأل عن أي شيء في دراستك',
+    'chat.tip': 'تلميح: اضغط {keys} للإرسال',
+    'chat.placeholder': 'اسأل عن أي شيء...',
+    'chat.send': 'إرسال (Ctrl/⌘+Enter)',
+    'chat.makeFlashcards': 'إنشاء بطاقات تعليمية',
+    'chat.makeFlashcardsAll': 'إنشاء بطاقات تعليمية من هذه المحادثة',
+    'chat.ownKey': 'تستخدم مفتاحك الخاص في هذه الجلسة',
+    'chat.forgetKey': 'انسَه',
+    'chat.schoolKey': 'الافتراضي للمدرسة',
+    'convo.title': 'المحادثات', 'convo.new': 'محادثة جديدة', 'convo.search': 'ابحث في المحادثات...',
+    'convo.noMatches': 'لا توجد نتائج', 'convo.none': 'لا توجد محادثات بعد', 'convo.untitled': 'بلا عنوان',
+    'convo.pin': 'تثبيت', 'convo.unpin': 'إلغاء التثبيت', 'convo.rename': 'إعادة تسمية',
+    'convo.deleteTitle': 'حذف المحادثة؟',
+    'convo.deleteDesc': 'ستُحذف رسائلها من هذا الجهاز.',
+    'convo.deleted': 'حُذفت المحادثة.',
+    'common.cancel': 'إلغاء', 'common.delete': 'حذف', 'common.open': 'فتح',
+    'toast.enterCredentials': 'أدخل اسم المستخدم وكلمة المرور.',
+    'toast.noServer': 'تعذّر الوصول إلى الخادم.',
+    'toast.loggedOut': 'تم تسجيل خروجك.',
+    'toast.chatError': 'خطأ في المحادثة. تحقّق من اتصالك.',
+    'toast.achievement': 'إنجاز جديد: {name}',
+    'toast.redacted': 'أُزيلت البيانات الشخصية (مثل أرقام الهواتف أو البريد الإلكتروني) قبل وصول رسالتك إلى المعلّم الذكي.',
+    'error.provider_not_configured': 'لم يُضبط أي مزوّد للذكاء الاصطناعي على الخادم.',
+    'error.provider_auth_failed': 'رفض مزوّد الذكاء الاصطناعي مفتاح API.',
+    'error.provider_rate_limited': 'مزوّد الذكاء الاصطناعي مشغول. حاول مرة أخرى بعد قليل.',
+    'error.provider_timeout': 'استغرق مزوّد الذكاء الاصطناعي وقتًا طويلًا في الرد.',
+    'error.provider_unreachable': 'تعذّر على الخادم الوصول إلى مزوّد الذكاء الاصطناعي.',
+    'error.key_not_allowed': 'مفتاح API هذا غير متاح لك.',
+    'error.unauthorized': 'انتهت جلستك. يرجى تسجيل الدخول مرة أخرى.',
+    'error.forbidden': 'ليست لديك صلاحية الوصول إلى هذا.',
+    'error.invalid_credentials': 'اسم المستخدم أو كلمة المرور غير صحيحة.',
+    'error.username_taken': 'اسم المستخدم هذا مأخوذ بالفعل.',
+    'error.generic': 'حدث خطأ ما.',
+    'server.http.tooLarge': 'هذا أكبر من أن يُرسل (أكثر من {bytes}).',
+    'server.http.badPath': 'هذا العنوان غير صالح.',
+    'server.analytics.pickClass': 'اختر أحد صفوفك.',
+    'server.analytics.rangeTooLong': 'لا يتجاوز النطاق {n} يومًا.',
+    'server.announcement.titleShort': 'يجب أن يتكون العنوان من 3 أحرف على الأقل.',
+    'server.announcement.messageShort': 'يجب أن تتكون الرسالة من 5 أحرف على الأقل.',
+    'server.announcement.usersGone': 'بعض الأشخاص المختارين لم يعودوا موجودين.',
+    'server.announcement.classesGone': 'بعض الصفوف المختارة لم تعد موجودة.',
+    'server.announcement.notFound': 'هذا الإعلان لم يعد موجودًا.',
+    'server.announcement.expiryOrder': 'يجب أن يكون وقت الانتهاء بعد وقت النشر.',
+    'server.announcement.revisionNotFound': 'هذه النسخة لم تعد موجودة.',
+    'server.assignment.criterionPoints': 'صف سلم التقدير {n}: يجب أن تكون الدرجات بين 0 و1000.',
+    'server.assignment.needsTitle': 'يحتاج الواجب إلى عنوان.',
+    'server.assignment.points': 'يجب أن تكون الدرجات بين 0 و1000.',
+    'server.assignment.giveScore': 'امنح «{name}» درجة.',
+    'server.assignment.criterionScore': 'يجب أن تكون درجة «{name}» من 0 إلى {max}.',
+    'server.assignment.score': 'يجب أن تكون الدرجة من 0 إلى {max}.',
+    'server.assignment.notFound': 'هذا الواجب لم يعد موجودًا.',
+    'server.assignment.submissionNotFound': 'هذا التسليم لم يعد موجودًا.',
+    'server.assignment.rubricLocked': 'بعض الأعمال قُيّمت بالفعل، لذا لم يعد بالإمكان تغيير الدرجات وسلم التقدير.',
+    'server.assignment.returned': 'قُيّم هذا العمل وأُعيد.',
+    'server.assignment.grading': 'بدأ معلمك بتقييم هذا العمل.',
+    'server.assignment.emptyHandIn': 'اكتب شيئًا أو أرفق ملفًا قبل التسليم.',
+    'server.attachment.tooMany': '{n} مرفقات كحد أقصى.',
+    'server.attachment.missing': 'أحد المرفقات مفقود؛ ارفعه مرة أخرى.',
+    'server.attachment.notYours': 'أرفق ملفات رفعتها بنفسك.',
+    'server.attachment.type': 'الملفات المسموح بها: {types}.',
+    'server.attachment.empty': 'الملف فارغ.',
+    'server.attachment.disguised': '{name} ليس ملف ‎.{ext} فعلًا.',
+    'server.attachment.notFound': 'هذا المرفق لم يعد موجودًا.',
+    'server.auth.badUsername': 'اسم المستخدم من 3 إلى 32 حرفًا: حروف أو أرقام أو نقطة أو شرطة أو شرطة سفلية.',
+    'server.auth.shortPassword': 'يجب أن تتكون كلمة المرور من 8 أحرف على الأقل.',
+    'server.auth.longPassword': 'كلمة المرور طويلة جدًا.',
+    'server.auth.badEmail': 'يبدو عنوان البريد الإلكتروني هذا غير صحيح.',
+    'server.auth.tooManyAttempts': 'محاولات فاشلة كثيرة. حاول مرة أخرى بعد بضع دقائق.',
+    'server.auth.userNotFound': 'هذا الشخص لم يعد موجودًا.',
+    'server.auth.ownAdmin': 'لا يمكنك إزالة دور المسؤول عن نفسك.',
+    'server.auth.ownAccount': 'لا يمكنك تعطيل حسابك.',
+    'server.chat.tooLong': 'هذه الرسالة طويلة جدًا.',
+    'server.chat.byokOff': 'مفاتيح API الشخصية معطلة على هذا الخادم.',
+    'server.chat.interrupted': 'انقطع الرد. حاول مرة أخرى.',
+    'server.class.notFound': 'هذا الصف لم يعد موجودًا.',
+    'server.class.noHeader': 'يجب أن يكون الصف الأول عناوين وفيه عمود «username» على الأقل.',
+    'server.class.tooManyRows': '{n} طالب كحد أقصى في كل استيراد.',
+    'server.class.inviteNotFound': 'هذه الدعوة لم تعد موجودة.',
+    'server.class.needsName': 'يحتاج الصف إلى اسم.',
+    'server.class.studentsOnly': 'الطلاب وحدهم ينضمون إلى الصفوف برمز.',
+    'server.class.badCode': 'لا يوجد صف مفتوح بهذا الرمز. تحقق منه مع معلمك.',
+    'server.class.notInClass': 'هذا الطالب ليس في هذا الصف.',
+    'server.class.noInvite': 'ليس لدى هذا الطالب دعوة مفتوحة.',
+    'server.class.archived': 'هذا الصف مؤرشف.',
+    'server.flag.badKey': 'يجب أن يتكون المفتاح من 2 إلى 40 حرفًا صغيرًا أو رقمًا أو «_» أو «-» أو «.».',
+    'server.flag.exists': 'توجد علامة باسم «{key}» بالفعل.',
+    'server.flag.unknownClass': 'هذا الصف غير موجود.',
+    'server.flag.rollout': 'يجب أن تكون نسبة الإطلاق من 0 إلى 100%.',
+    'server.flag.endBeforeStart': 'يجب أن تكون النهاية بعد البداية.',
+    'server.flag.featureOff': 'هذه الميزة معطلة.',
+    'server.flag.notFound': 'هذه العلامة لم تعد موجودة.',
+    'server.lesson.needsTitle': 'يحتاج الدرس إلى عنوان.',
+    'server.lesson.duration': 'يجب أن تكون المدة من 5 إلى 600 دقيقة.',
+    'server.lesson.activityMinutes': 'النشاط {n}: يجب أن تكون الدقائق من 0 إلى 600.',
+    'server.lesson.notFound': 'هذا الدرس لم يعد موجودًا.',
+    'server.moderation.tooManyTerms': '{n} كلمة كحد أقصى في كل قائمة.',
+    'server.moderation.escalation': 'يجب أن يكون التصعيد بعد 1 إلى 720 ساعة، أو أبدًا.',
+    'server.moderation.flagNotFound': 'هذا البلاغ لم يعد موجودًا.',
+    'server.moderation.nothingToChange': 'لا يوجد ما يتغير.',
+    'server.provider.refused': 'رفض {provider} الطلب.',
+    'server.provider.httpError': 'أعاد {provider} خطأ (HTTP {status}).',
+    'server.question.needsPrompt': 'يحتاج السؤال إلى نص.',
+    'server.question.points': 'يجب أن تكون الدرجات بين 0 و100.',
+    'server.question.twoChoices': 'أعطِ خيارين على الأقل.',
+    'server.question.oneCorrect': 'يحتاج الاختيار من متعدد إلى خيار صحيح واحد بالضبط.',
+    'server.question.markCorrect': 'حدّد خيارًا صحيحًا واحدًا على الأقل.',
+    'server.question.numericAnswer': 'يجب أن تكون الإجابة الرقمية رقمًا.',
+    'server.question.tolerance': 'يجب أن يكون هامش الخطأ رقمًا.',
+    'server.question.acceptedAnswer': 'أعطِ إجابة مقبولة واحدة على الأقل.',
+    'server.question.twoPairs': 'أعطِ زوجين على الأقل للمطابقة.',
+    'server.question.notFound': 'هذا السؤال لم يعد موجودًا.',
+    'server.question.tooMany': '{n} سؤال كحد أقصى في المرة الواحدة.',
+    'server.question.inList': 'السؤال {n}: {reason}',
+    'server.question.inUse': 'مستخدم في الاختبار المنشور «{title}».',
+    'server.question.nothingToImport': 'لا يوجد ما يُستورد.',
+    'server.question.fileTooLarge': 'الملف كبير جدًا.',
+    'server.question.noneToExport': 'لا توجد أسئلة للتصدير.',
+    'server.import.numericRange': 'النطاق الرقمي ليس رقمًا.',
+    'server.import.numericAnswer': 'الإجابة الرقمية ليست رقمًا.',
+    'server.import.noAnswers': 'لم يُعثر على إجابات.',
+    'server.import.noCorrect': 'لم تُحدَّد إجابة صحيحة.',
+    'server.import.noAnswerBlock': 'لا توجد كتلة إجابة { … }.',
+    'server.import.emptyQuestion': 'نص السؤال فارغ.',
+    'server.import.unexpectedClose': '‎</{tag}>‎ غير متوقع.',
+    'server.import.notClosed': '‎<{tag}>‎ غير مغلق.',
+    'server.import.noPresentation': 'لا يحتوي العنصر على ‎<presentation>‎.',
+    'server.import.missingPair': 'أحد أزواج المطابقة ناقص.',
+    'server.import.noCorrectQti': 'لا توجد إجابة صحيحة في ‎<resprocessing>‎.',
+    'server.import.numericNoAnswer': 'لا توجد إجابة للعنصر الرقمي.',
+    'server.import.noAccepted': 'لا توجد إجابات مقبولة لعنصر الإجابة القصيرة.',
+    'server.import.unsupported': 'نوع العنصر هذا غير مدعوم.',
+    'server.import.badXml': 'ليس XML صالحًا: {reason}',
+    'server.import.noItems': 'لم يُعثر على عناصر ‎<item>‎ من QTI 1.2.',
+    'server.roster.already.teacher': 'هذا حساب معلم بالفعل.',
+    'server.roster.already.admin': 'هذا حساب مسؤول بالفعل.',
+    'server.roster.twice': 'يظهر مرتين في الملف.',
+    'server.deletedUser': 'مستخدم محذوف',
+    'server.notify.newAssignment': 'واجب جديد: {title}',
+    'server.notify.newQuiz': 'اختبار جديد: {title}',
+    'server.notify.due': 'الموعد: {due}',
+    'server.notify.returned': 'أُعيد: {title}',
+    'server.notify.score': '{score}/{max} ({pct}٪)',
+    'server.notify.scoreFeedback': '{score}/{max} ({pct}٪) — {feedback}',
+    'server.notify.graded': 'قُيّم: {title}',
+    'server.notify.gradedQuiz': 'قُيّم اختبارك',
+    'server.notify.quizScore': '{score}/{max} ({pct}٪)',
+    'server.notify.quizScorePassed': '{score}/{max} ({pct}٪) — ناجح',
+    'server.notify.quizScoreLate': '{score}/{max} ({pct}٪) — أُرسل عند انتهاء الوقت',
+    'server.notify.quizScorePassedLate': '{score}/{max} ({pct}٪) — ناجح، أُرسل عند انتهاء الوقت',
+    'server.notify.invite': 'هل تنضم إلى {class}؟',
+    'server.notify.invitedBy': 'دعاك {name} إلى صفه.',
+    'server.notify.safetyFlag.high': 'بلاغ أمان (مرتفع)',
+    'server.notify.safetyFlag.low': 'بلاغ أمان (منخفض)',
+    'server.notify.safetyStale': 'صُعّد بلاغ أمان لم يُراجع بعد {hours} ساعة',
+    'server.notify.safetyEscalated': 'صعّد {name} بلاغ الأمان',
+    'server.notify.safetyBody': '{student}: {categories}',
+    'server.notify.safetyBodyAnon': 'طالب: {categories}',
+    'server.term.self_harm': 'إيذاء النفس',
+    'server.term.violence': 'عنف',
+    'server.term.harassment': 'تحرش',
+    'server.term.sexual': 'جنسي',
+    'server.term.drugs': 'مخدرات',
+    'server.term.profanity': 'ألفاظ نابية',
+    'server.term.school_terms': 'مصطلحات المدرسة',
+    'server.term.flagged': 'مُعلَّم',
+    'server.quiz.needsTitle': 'يحتاج الاختبار إلى عنوان.',
+    'server.quiz.timeLimit': 'يجب أن يكون الحد الزمني من 1 إلى 600 دقيقة (أو فارغًا لعدم التحديد).',
+    'server.quiz.attempts': 'يجب أن تكون المحاولات المسموح بها من 1 إلى 20.',
+    'server.quiz.passMark': 'يجب أن تكون درجة النجاح من 0 إلى 100%.',
+    'server.quiz.notFound': 'هذا الاختبار لم يعد موجودًا.',
+    'server.quiz.notInBank': 'بعض الأسئلة ليست في بنك أسئلتك.',
+    'server.quiz.addQuestions': 'أضف أسئلة قبل النشر.',
+    'server.quiz.closed': 'أُغلق هذا الاختبار في موعده.',
+    'server.quiz.noAttemptsLeft': 'استنفدت كل محاولاتك في هذا الاختبار.',
+    'server.quiz.noQuestions': 'لا يحتوي هذا الاختبار على أسئلة بعد.',
+    'server.quiz.attemptNotFound': 'هذه المحاولة لم تعد موجودة.',
+    'server.quiz.alreadySubmitted': 'أُرسلت هذه المحاولة بالفعل.',
+    'server.quiz.timeUp': 'انتهى وقت هذه المحاولة.',
+    'server.settings.logo': 'يجب أن يكون الشعار صورة PNG أو JPEG أو WebP أو GIF أو SVG أصغر من {bytes}.',
+    'server.vault.needsLabel': 'يحتاج المفتاح إلى تسمية.',
+    'server.vault.needsClass': 'تحتاج مفاتيح الصف إلى صف.',
+    'server.vault.noClass': 'هذا الصف غير موجود.',
+    'server.vault.shortKey': 'يبدو مفتاح API هذا قصيرًا جدًا.',
+    'server.vault.notFound': 'هذا المفتاح لم يعد موجودًا.',
+    'error.stream_interrupted': 'انقطع الرد.',
+    'chat.demoReply': 'قلت:\n\n{text}\n\n(صِل نموذجك الحقيقي عبر ‎/api/chat ليحل محل هذا العرض.)',
+    'appearance.languageHint': 'تظهر القوائم وردود المعلّم الذكي بهذه اللغة. تُحفظ في حسابك.',
+    'appearance.deviceLanguage': 'مطابقة جهازي',
+    'boundary.title': 'حدث خطأ ما',
+    'boundary.text': 'تعطّلت الواجهة أثناء العرض. حاول إعادة تحميل الصفحة.',
+    'boundary.details': 'التفاصيل',
+    'appearance.motion': 'الحركة',
+    'appearance.motionHint': 'الرسوم المتحركة والتمرير السلس. تُحفظ في حسابك.',
+    'appearance.motionSystem': 'مطابقة جهازي',
+    'appearance.motionReduce': 'تقليل الحركة',
+    'appearance.motionFull': 'حركة كاملة',
+    'a11y.skip': 'انتقل إلى المحتوى',
+    'a11y.sections': 'الأقسام',
+    'a11y.showSidebar': 'إظهار الشريط الجانبي',
+    'a11y.hideSidebar': 'إخفاء الشريط الجانبي',
+    'a11y.dismiss': 'إغلاق',
+    'a11y.messages': 'المحادثة',
+    'a11y.replying': 'المعلّم يكتب الرد…',
+    'a11y.replied': 'المعلّم: {text}',
+    'a11y.previousPage': 'الصفحة السابقة',
+    'a11y.nextPage': 'الصفحة التالية',
+    'role.students': 'الطلاب',
+    'role.teachers': 'المعلّمون',
+    'role.admins': 'المديرون',
+    'common.nMin': '{n} د',
+    'common.saving': 'جارٍ الحفظ…',
+    'common.saved': 'محفوظ',
+    'common.moveUp': 'نقل لأعلى',
+    'common.moveDown': 'نقل لأسفل',
+    'code.copy': 'نسخ الشيفرة',
+    'common.copy': 'نسخ',
+    'common.copied': 'تم النسخ',
+    'common.save': 'حفظ',
+    'common.enable': 'تفعيل',
+    'common.disable': 'تعطيل',
+    'common.edit': 'تعديل',
+    'common.add': 'إضافة',
+    'common.remove': 'إزالة',
+    'common.restore': 'استعادة',
+    'common.back': 'رجوع',
+    'common.done': 'تم',
+    'common.import': 'استيراد',
+    'common.duplicate': 'تكرار',
+    'common.title': 'العنوان',
+    'common.description': 'الوصف',
+    'common.subject': 'المادة',
+    'common.class': 'الفصل',
+    'common.noClass': 'بلا فصل',
+    'common.everyone': 'الجميع',
+    'common.draft': 'مسودة',
+    'common.published': 'منشور',
+    'common.publish': 'نشر',
+    'common.unpublish': 'إلغاء النشر',
+    'common.points': 'النقاط',
+    'common.minutes': 'الدقائق',
+    'common.name': 'الاسم',
+    'common.total': 'المجموع',
+    'common.today': 'اليوم',
+    'users.title': '👥 المستخدمون والأدوار',
+    'users.search': 'ابحث عن المستخدمين...',
+    'users.updated': 'تم تحديث المستخدم.',
+    'users.noEmail': 'بلا بريد إلكتروني',
+    'users.joined': 'انضم في {date}',
+    'users.role': 'دور {name}',
+    'users.none': 'لم يُعثر على مستخدمين',
+    'keys.title': '🔐 مفاتيح المزوّدين',
+    'keys.intro': 'تُشفَّر على الخادم. يُستخدم مفتاح الفصل قبل مفتاح المدرسة لذلك الفصل.',
+    'keys.none': 'لا توجد مفاتيح بعد — تستخدم المحادثة مفتاح بيئة الخادم.',
+    'keys.saved': 'حُفظ المفتاح في الخزنة.',
+    'keys.removed': 'أُزيل المفتاح.',
+    'keys.rotated': 'تم تدوير المفتاح.',
+    'keys.enabled': 'تم تفعيل المفتاح.',
+    'keys.disabled': 'تم تعطيل المفتاح.',
+    'keys.archivedClass': 'فصل مؤرشف',
+    'keys.wholeSchool': 'المدرسة كلها',
+    'keys.newKey': 'مفتاح جديد',
+    'keys.rotate': 'تدوير',
+    'keys.label': 'التسمية (مثل: مفتاح المدرسة الرئيسي)',
+    'keys.openai': 'متوافق مع OpenAI',
+    'keys.scopeOrg': 'المدرسة كلها',
+    'keys.scopeClass': 'فصل واحد',
+    'keys.pickClass': 'اختر فصلًا…',
+    'keys.noClasses': 'لا توجد فصول بعد',
+    'keys.apiKey': 'مفتاح API',
+    'keys.add': 'إضافة مفتاح'
+  }
+};
+
+let activeLocale = 'en';
+
+// Message for `key` in the current language; {name} placeholders come from `vars`
+const tr = (key, vars) => {
+  const text = MESSAGES[activeLocale][key] ?? MESSAGES.en[key] ?? key;
+  return vars ? text.replace(/\{(\w+)\}/g, (m, k) => vars[k] ?? m) : text;
+};
+
+// Counted message: `key.one`, `key.few`… as the language's plural rules pick, else `key.other`; {n} is the count
+const trn = (key, n, vars) => {
+  const form = `${key}.${new Intl.PluralRules(intlTag()).select(n)}`;
+  const has = MESSAGES[activeLocale][form] !== undefined || (MESSAGES[activeLocale][`${key}.other`] === undefined && MESSAGES.en[form] !== undefined);
+  return tr(has ? form : `${key}.other`, { n: fmtNumber(n), ...vars });
+};
+
+const addMessages = (catalogs) => {
+  for (const [locale, messages] of Object.entries(catalogs)) Object.assign(MESSAGES[locale], messages);
+};
+// English text of a message, for prompts the model reads
+const enText = (key) => MESSAGES.en[key];
+
+// Server messages arrive as a key under server.* plus raw vars: counts, sizes (`bytes`), ISO
+// times, lists of terms and nested messages ({ key, vars, message }) are formatted here for the reader.
+const serverVar = (name, v) =>
+  Array.isArray(v) ? new Intl.ListFormat(intlTag(), { type: 'unit' }).format(v.map(termName))
+    : v && typeof v === 'object' ? serverText(v.key, v.vars, v.message)
+    : typeof v === 'number' ? (name === 'bytes' ? fmtBytes(v) : fmtNumber(v))
+      : typeof v === 'string' && /^\d{4}-\d{2}-\d{2}T/.test(v) ? fmtDate(v) : v;
+const serverText = (key, vars = {}, fallback) =>
+  key && enText(`server.${key}`)
+    ? tr(`server.${key}`, Object.fromEntries(Object.entries(vars).map(([k, v]) => [k, serverVar(k, v)])))
+    : fallback ?? key;
+// the server's name for an account that no longer exists
+const personName = (name) => name === 'Deleted user' ? tr('server.deletedUser') : name;
+// Ids the server sends as data (e.g. safety categories); unknown ones, like a classifier's own, show as they come
+const termName = (t) => enText(`server.term.${t}`) ? tr(`server.term.${t}`) : String(t).replace(/_/g, ' ');
+// A notification's title and body in the reader's language, when the server wrote it
+const notificationText = (n) => ({
+  title: serverText(n.titleKey, n.vars || {}, n.title),
+  body: n.bodyKey ? serverText(n.bodyKey, n.vars || {}, n.body) : n.body
+});
+
+const intlTag = () => LOCALES[activeLocale].intl;
+const fmtNumber = (n, opts) => Number(n).toLocaleString(intlTag(), opts);
+
+// The first browser language we have a catalog for
+const deviceLocale = () =>
+  (navigator.languages?.length ? navigator.languages : [navigator.language])
+    .map(l => String(l || '').slice(0, 2).toLowerCase())
+    .find(l => LOCALES[l]) || 'en';
+
+// Logical utilities (ms-, pe-, text-start, start-/end-) mirror on their own;
+// icons that point somewhere flip, and maths and code stay left-to-right.
+const RTL_CSS = `
+[dir=rtl] .lucide-chevron-left, [dir=rtl] .lucide-chevron-right, [dir=rtl] .lucide-send,
+[dir=rtl] .lucide-arrow-left, [dir=rtl] .lucide-arrow-right { transform: scaleX(-1); }
+[dir=rtl] .katex, [dir=rtl] pre, [dir=rtl] code { direction: ltr; unicode-bidi: isolate; }
+`;
+
+// Sets the page language and direction; called whenever MythOS switches language
+const applyLocale = (locale) => {
+  const root = document.documentElement;
+  root.lang = LOCALES[locale].intl;
+  root.dir = LOCALES[locale].dir;
+  if (!document.getElementById('mythos-rtl')) {
+    const el = Object.assign(document.createElement('style'), { id: 'mythos-rtl', textContent: RTL_CSS });
+    document.head.appendChild(el);
+  }
+};
+
+/* ----------------------------------------------------------------------------
+   Conversations (stored per user via `storage`)
+---------------------------------------------------------------------------- */
+const SUBJECTS = { general: 'General', math: 'Math', science: 'Science', writing: 'Writing' };
+
+// SUBJECTS (and activity-log subjects like 'planning') for display; the English names go into prompts and exports
+const subjectName = (k) => MESSAGES.en[`subject.${k}`] ? tr(`subject.${k}`) : k.charAt(0).toUpperCase() + k.slice(1);
+// new chats keep the English title until their first message names them
+const convoName = (c) => c.title === 'New conversation' ? tr('convo.new') : c.title || tr('convo.untitled');
+
+const convoKey = (u) => `mythos_convos_${u?.id || 'guest'}`;
+
+const newConvo = (subject = 'general') => ({
+  id: uid(),
+  title: 'New conversation',
+  subject: SUBJECTS[subject] ? subject : 'general',
+  pinned: false,
+  createdAt: nowISO(),
+  updatedAt: nowISO(),
+  messages: []
+});
+
+const convoTitle = (text) => {
+  const t = (text || '').replace(/\s+/g, ' ').trim();
+  return t.length > 48 ? `${t.slice(0, 48)}…` : (t || 'New conversation');
+};
+
 const useDebouncedState = (initial, ms = 300) => {
   const [value, setValue] = useState(initial);
   const [debounced, setDebounced] = useState(initial);
@@ -81,16 +1180,99 @@ const scaleIn = {
   exit: { opacity: 0, scale: 0.98, transition: { duration: 0.15 } }
 };
 
+/* ----------------------------------------------------------------------------
+   Accessibility helpers
+---------------------------------------------------------------------------- */
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Modal focus: moves into the dialog on open, Tab cycles inside it, Escape
+// calls onClose, and focus returns to where it was once the dialog closes.
+const useDialog = (open, onClose) => {
+  const ref = useRef(null);
+  const close = useRef(onClose);
+  close.current = onClose;
+  useEffect(() => {
+    if (!open) return;
+    const before = document.activeElement;
+    const items = () => [...(ref.current?.querySelectorAll(FOCUSABLE) || [])];
+    (items()[0] || ref.current)?.focus();
+    const onKey = (e) => {
+      if (e.key === 'Escape') { e.stopPropagation(); close.current?.(); return; }
+      if (e.key !== 'Tab') return;
+      const list = items();
+      const first = list[0], last = list[list.length - 1];
+      if (!list.length) e.preventDefault();
+      else if (e.shiftKey && document.activeElement === first) { e.preventDefault(); last.focus(); }
+      else if (!e.shiftKey && document.activeElement === last) { e.preventDefault(); first.focus(); }
+    };
+    document.addEventListener('keydown', onKey, true);
+    return () => { document.removeEventListener('keydown', onKey, true); before?.focus?.(); };
+  }, [open]);
+  return ref;
+};
+
+// Roving tabindex: the group is one Tab stop (tabIndex 0 on the current item,
+// -1 on the rest) and arrow keys, Home and End move between `selector` items.
+// Left and right swap in right-to-left layouts. `select` also clicks the new
+// item, as radio groups do.
+const rovingKeys = (e, selector, select = false) => {
+  const rtl = document.documentElement.dir === 'rtl';
+  const step = { ArrowDown: 1, ArrowUp: -1, ArrowRight: rtl ? -1 : 1, ArrowLeft: rtl ? 1 : -1 }[e.key];
+  if (!step && e.key !== 'Home' && e.key !== 'End') return;
+  const list = [...e.currentTarget.querySelectorAll(selector)];
+  const i = list.indexOf(document.activeElement);
+  const next = e.key === 'Home' ? 0 : e.key === 'End' ? list.length - 1 : (i + step + list.length) % list.length;
+  e.preventDefault();
+  list[next]?.focus();
+  if (select) list[next]?.click();
+};
+
+// Reduced motion: framer-motion follows <MotionConfig>; this covers CSS
+// transitions, Tailwind animations (spinners keep turning) and smooth scrolling.
+const REDUCED_MOTION_CSS = `
+[data-motion=reduce] *:not(.animate-spin), [data-motion=reduce] *::before, [data-motion=reduce] *::after {
+  animation-duration: 0.01ms !important; animation-iteration-count: 1 !important;
+  transition-duration: 0.01ms !important; scroll-behavior: auto !important;
+}
+`;
+
+const applyMotion = (reduce) => {
+  document.documentElement.dataset.motion = reduce ? 'reduce' : 'full';
+  if (!document.getElementById('mythos-motion')) {
+    const el = Object.assign(document.createElement('style'), { id: 'mythos-motion', textContent: REDUCED_MOTION_CSS });
+    document.head.appendChild(el);
+  }
+};
+
+// Development builds audit the page with axe-core and log what it finds;
+// production builds never load it, and tests run their own (test/a11y.test.mjs).
+let auditTimer = null;
+const auditA11y = () => {
+  if (!import.meta.env?.DEV || import.meta.env.MODE === 'test') return;
+  clearTimeout(auditTimer);
+  auditTimer = setTimeout(async () => {
+    try {
+      const { default: axe } = await import('axe-core');
+      const { violations } = await axe.run(document, { resultTypes: ['violations'] });
+      if (!violations.length) return;
+      console.groupCollapsed(`axe: ${violations.length} accessibility issue${violations.length === 1 ? '' : 's'}`);
+      violations.forEach(v => console.warn(`[${v.impact}] ${v.help} — ${v.helpUrl}`, v.nodes.map(n => n.target.join(' '))));
+      console.groupEnd();
+    } catch (e) { console.warn('axe audit failed', e); }
+  }, 1000);
+};
+
 /* ----------------------------------------------------------------------------
    Toasts
 ---------------------------------------------------------------------------- */
 function Toasts({ toasts, remove }) {
   return (
-    <div className="fixed bottom-4 right-4 z-[1000] space-y-2">
+    <div className="fixed bottom-4 end-4 z-[1000] space-y-2" role="status" aria-live="polite">
       <AnimatePresence>
         {toasts.map(t => (
           <motion.div
             key={t.id}
+            role={t.type === 'error' ? 'alert' : undefined}
             variants={slideUp}
             initial="initial"
             animate="animate"
@@ -100,11 +1282,16 @@ function Toasts({ toasts, remove }) {
                 t.type === 'warn' ? 'bg-yellow-500/15 border-yellow-500/40 text-yellow-200' :
                 'bg-white/10 border-white/20 text-white'}`}
           >
-            {t.type === 'error' ? <AlertTriangle size={18} className="mt-0.5" /> :
-             t.type === 'warn' ? <Info size={18} className="mt-0.5" /> :
-             <Sparkles size={18} className="mt-0.5" />}
+            {t.type === 'error' ? <AlertTriangle size={18} className="mt-0.5" aria-hidden="true" /> :
+             t.type === 'warn' ? <Info size={18} className="mt-0.5" aria-hidden="true" /> :
+             <Sparkles size={18} className="mt-0.5" aria-hidden="true" />}
             <div className="text-sm">{t.message}</div>
-            <button onClick={() => remove(t.id)} className="ml-2 opacity-70 hover:opacity-100">
+            {t.action && (
+              <button onClick={() => { remove(t.id); t.action.onClick(); }} className="text-sm font-semibold underline hover:no-underline">
+                {t.action.label}
+              </button>
+            )}
+            <button onClick={() => remove(t.id)} className="ms-2 opacity-70 hover:opacity-100" aria-label={tr('a11y.dismiss')}>
               <X size={16} />
             </button>
           </motion.div>
@@ -118,6 +1305,7 @@ function Toasts({ toasts, remove }) {
    Confirm Modal
 ---------------------------------------------------------------------------- */
 function Confirm({ open, title, desc, onCancel, onConfirm }) {
+  const dialog = useDialog(open, onCancel);
   return (
     <AnimatePresence>
       {open && (
@@ -135,13 +1323,19 @@ function Confirm({ open, title, desc, onCancel, onConfirm }) {
             initial="initial"
             animate="animate"
             exit="exit"
+            ref={dialog}
+            role="alertdialog"
+            aria-modal="true"
+            aria-labelledby="mythos-confirm-title"
+            aria-describedby="mythos-confirm-desc"
+            tabIndex={-1}
             className="relative bg-white/10 backdrop-blur-xl border border-white/20 rounded-2xl p-6 max-w-md w-[92%]"
           >
-            <h3 className="text-white font-bold text-xl mb-2">{title}</h3>
-            <p className="text-white/80 text-sm mb-5">{desc}</p>
+            <h3 id="mythos-confirm-title" className="text-white font-bold text-xl mb-2">{title}</h3>
+            <p id="mythos-confirm-desc" className="text-white/80 text-sm mb-5">{desc}</p>
             <div className="flex justify-end gap-2">
-              <button onClick={onCancel} className="px-4 py-2 rounded-lg bg-white/10 text-white hover:bg-white/20">Cancel</button>
-              <button onClick={onConfirm} className="px-4 py-2 rounded-lg bg-red-500/30 text-red-200 hover:bg-red-500/40">Delete</button>
+              <button onClick={onCancel} className="px-4 py-2 rounded-lg bg-white/10 text-white hover:bg-white/20">{tr('common.cancel')}</button>
+              <button onClick={onConfirm} className="px-4 py-2 rounded-lg bg-red-500/30 text-red-200 hover:bg-red-500/40">{tr('common.delete')}</button>
             </div>
           </motion.div>
         </motion.div>
@@ -151,168 +1345,13274 @@ function Confirm({ open, title, desc, onCancel, onConfirm }) {
 }
 
 /* ----------------------------------------------------------------------------
-   Error Boundary
+   Markdown renderer (chat bubbles, announcements)
+   react-markdown never renders raw HTML (no rehype-raw) and strips unsafe URLs,
+   so model output can't inject markup. Math: $inline$, $$display$$, \(..\), \[..\].
 ---------------------------------------------------------------------------- */
-class ErrorBoundary extends React.Component {
-  constructor(props){super(props); this.state = { hasError:false, info:null };}
-  static getDerivedStateFromError(){ return { hasError:true }; }
-  componentDidCatch(error, info){ this.setState({ info }); console.error('MythOS crash:', error, info); }
-  render(){
-    if (this.state.hasError) {
-      return (
-        <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-pink-900 flex items-center justify-center p-6">
-          <div className="bg-white/10 backdrop-blur-xl rounded-3xl p-8 w-full max-w-lg border border-white/20 text-white">
-            <h2 className="text-2xl font-bold mb-2">Something went wrong</h2>
-            <p className="text-white/80 mb-4">The UI crashed while rendering. Try reloading, or use Settings → Remove Feature/Banner to clear stored state.</p>
-            <details className="text-xs opacity-80 bg-black/30 p-3 rounded-lg">
-              <summary>Details</summary>
-              <pre>{JSON.stringify(this.state.info, null, 2)}</pre>
-            </details>
-          </div>
-        </div>
-      );
+// Rewrite \( \) and \[ \] to remark-math's dollar syntax, leaving code untouched
+const normalizeMath = (text) =>
+  String(text || '').split(/(```[\s\S]*?```|`[^`\n]*`)/g).map((part, i) => i % 2 ? part : part
+    .replace(/\\\[([\s\S]+?)\\\]/g, (_, m) => `\n$$\n${m.trim()}\n$$\n`)
+    .replace(/\\\(([\s\S]+?)\\\)/g, (_, m) => `$${m.trim()}$`)
+  ).join('');
+
+function CodeBlock({ lang, code }) {
+  const [copied, setCopied] = useState(false);
+  const copy = () => {
+    navigator.clipboard?.writeText(code).then(() => {
+      setCopied(true);
+      setTimeout(() => setCopied(false), 1500);
+    }).catch(() => {});
+  };
+  return (
+    <div className="relative my-3 rounded-xl overflow-hidden border border-white/10 bg-black/40">
+      <div className="flex items-center justify-between px-3 py-1.5 bg-white/5 text-white/60 text-xs">
+        <span>{lang || 'text'}</span>
+        <button onClick={copy} className="flex items-center gap-1 hover:text-white" title={tr('code.copy')}>
+          {copied ? <Check size={14} /> : <Copy size={14} />}
+          {copied ? tr('common.copied') : tr('common.copy')}
+        </button>
+      </div>
+      <SyntaxHighlighter
+        language={lang || 'text'}
+        style={oneDark}
+        customStyle={{ margin: 0, background: 'transparent', fontSize: '0.85rem' }}
+        wrapLongLines
+      >
+        {code}
+      </SyntaxHighlighter>
+    </div>
+  );
+}
+
+const mdComponents = {
+  code({ className, children, ...props }) {
+    const lang = /language-([\w+-]+)/.exec(className || '')?.[1];
+    const code = String(children ?? '').replace(/\n$/, '');
+    if (!lang && !code.includes('\n')) {
+      return <code className="px-1.5 py-0.5 rounded bg-black/30 text-pink-200 text-[0.9em]" {...props}>{children}</code>;
     }
-    return this.props.children;
-  }
+    return <CodeBlock lang={lang} code={code} />;
+  },
+  pre: ({ children }) => <>{children}</>,
+  a: ({ href, children }) => <a href={href} target="_blank" rel="noopener noreferrer nofollow" className="text-purple-300 underline hover:text-white">{children}</a>,
+  p: ({ children }) => <p className="my-2 first:mt-0 last:mb-0">{children}</p>,
+  ul: ({ children }) => <ul className="list-disc ps-6 my-2 space-y-1">{children}</ul>,
+  ol: ({ children }) => <ol className="list-decimal ps-6 my-2 space-y-1">{children}</ol>,
+  h1: ({ children }) => <h1 className="text-2xl font-bold mt-4 mb-2">{children}</h1>,
+  h2: ({ children }) => <h2 className="text-xl font-bold mt-4 mb-2">{children}</h2>,
+  h3: ({ children }) => <h3 className="text-lg font-semibold mt-3 mb-1">{children}</h3>,
+  blockquote: ({ children }) => <blockquote className="border-s-4 border-purple-400/60 ps-3 my-2 text-white/80">{children}</blockquote>,
+  hr: () => <hr className="my-4 border-white/20" />,
+  table: ({ children }) => <div className="my-3 overflow-x-auto"><table className="min-w-full text-sm border-collapse">{children}</table></div>,
+  th: ({ children }) => <th className="border border-white/20 bg-white/10 px-3 py-1.5 text-start font-semibold">{children}</th>,
+  td: ({ children }) => <td className="border border-white/20 px-3 py-1.5 align-top">{children}</td>
+};
+
+function Markdown({ text, className = '' }) {
+  const source = useMemo(() => normalizeMath(text), [text]);
+  return (
+    <div className={`leading-relaxed break-words ${className}`}>
+      <ReactMarkdown
+        remarkPlugins={[remarkGfm, remarkMath]}
+        rehypePlugins={[[rehypeKatex, { throwOnError: false, strict: 'ignore', trust: false }]]}
+        components={mdComponents}
+      >
+        {source}
+      </ReactMarkdown>
+    </div>
+  );
 }
 
 /* ----------------------------------------------------------------------------
-   Main Component
+   Conversation list (sidebar)
 ---------------------------------------------------------------------------- */
-export default function MythOS() {
-  /* ------------------- Core state ------------------- */
-  const [user, setUser] = useState(null);
-  const [isSignUp, setIsSignUp] = useState(false);
-  const [loginData, setLoginData] = useState({ username: '', password: '', role: 'student' });
-  const [apiKey, setApiKey] = useState(storage.get('mythos_api', ''));
-  const [showKey, setShowKey] = useState(false);
+function ConversationList({ convos, activeId, onSelect, onNew, onRename, onDelete, onTogglePin }) {
+  const [q, setQ, qDebounced] = useDebouncedState('', 200);
+  const [renaming, setRenaming] = useState(null);
+  const [draft, setDraft] = useState('');
 
-  const [tab, setTab] = useState('chat');
-  const [msgs, setMsgs] = useState([]);
-  const [input, setInput] = useState('');
-  const [loading, setLoading] = useState(false);
-  const [sidebar, setSidebar] = useState(true);
+  const list = useMemo(() => {
+    const needle = qDebounced.trim().toLowerCase();
+    return (convos || [])
+      .filter(c => !needle
+        || (c?.title || '').toLowerCase().includes(needle)
+        || (c?.messages || []).some(m => (m?.content || '').toLowerCase().includes(needle)))
+      .sort((a, b) => (b.pinned - a.pinned) || (new Date(b.updatedAt || 0) - new Date(a.updatedAt || 0)));
+  }, [convos, qDebounced]);
 
-  const [settings, setSettings] = useState(() =>
-    storage.get('mythos_settings', {
-      bg: 'from-indigo-900 via-purple-900 to-pink-900',
-      banner: '',
-      showBanner: false,
-      feature: null,
-      featureEnd: null
-    })
+  const commitRename = () => {
+    if (renaming && draft.trim()) onRename(renaming, draft.trim().slice(0, 80));
+    setRenaming(null);
+  };
+
+  return (
+    <div className="flex flex-col min-h-0 flex-1 mt-4 pt-4 border-t border-white/10">
+      <div className="flex items-center justify-between mb-2">
+        <span className="text-white/60 text-xs uppercase tracking-wide">{tr('convo.title')}</span>
+        <button onClick={onNew} className="p-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-white" title={tr('convo.new')}>
+          <Plus size={16} />
+        </button>
+      </div>
+      <div className="flex items-center gap-2 bg-white/10 border border-white/20 rounded-lg px-2 py-1.5 mb-2">
+        <Search size={14} className="text-purple-300" />
+        <input
+          value={q}
+          onChange={e => setQ(e.target.value)}
+          placeholder={tr('convo.search')}
+          aria-label={tr('convo.search')}
+          className="bg-transparent outline-none text-white text-sm placeholder-gray-400 flex-1 min-w-0"
+        />
+      </div>
+      <div className="space-y-1 overflow-y-auto pe-1 flex-1 min-h-0">
+        {list.length === 0 && (
+          <p className="text-white/50 text-xs px-2 py-3">{qDebounced ? tr('convo.noMatches') : tr('convo.none')}</p>
+        )}
+        {list.map(c => (
+          <div
+            key={c.id}
+            className={`group flex items-center gap-2 px-2 py-2 rounded-lg cursor-pointer ${
+              c.id === activeId ? 'bg-white/15 text-white' : 'text-white/70 hover:bg-white/10'
+            }`}
+            onClick={() => renaming !== c.id && onSelect(c.id)}
+          >
+            {c.pinned ? <Pin size={14} className="shrink-0 text-yellow-300" /> : <MessageSquare size={14} className="shrink-0" />}
+            {renaming === c.id ? (
+              <input
+                value={draft}
+                autoFocus
+                onChange={e => setDraft(e.target.value)}
+                onBlur={commitRename}
+                onKeyDown={e => { if (e.key === 'Enter') commitRename(); if (e.key === 'Escape') setRenaming(null); }}
+                className="flex-1 min-w-0 bg-white/10 rounded px-1 text-sm text-white outline-none"
+              />
+            ) : (
+              // the row's onClick selects; this makes it reachable by keyboard
+              <button type="button" className="flex-1 min-w-0 text-start rounded outline-none focus-visible:ring-2 focus-visible:ring-purple-500" aria-current={c.id === activeId ? 'true' : undefined}>
+                <span className="block text-sm truncate" dir="auto">{convoName(c)}</span>
+                <span className="block text-[10px] text-white/40">{subjectName(c.subject || 'general')} • {fmtDate(c.updatedAt)}</span>
+              </button>
+            )}
+            <div className="shrink-0 hidden group-hover:flex group-focus-within:flex items-center gap-1">
+              <button onClick={e => { e.stopPropagation(); onTogglePin(c.id); }} className="p-1 hover:text-yellow-300" title={c.pinned ? tr('convo.unpin') : tr('convo.pin')}>
+                {c.pinned ? <PinOff size={13} /> : <Pin size={13} />}
+              </button>
+              <button onClick={e => { e.stopPropagation(); setRenaming(c.id); setDraft(c.title || ''); }} className="p-1 hover:text-white" title={tr('convo.rename')}>
+                <Pencil size={13} />
+              </button>
+              <button onClick={e => { e.stopPropagation(); onDelete(c.id); }} className="p-1 hover:text-red-300" title={tr('common.delete')}>
+                <Trash2 size={13} />
+              </button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
   );
+}
 
-  /* ------------------- Announcements ------------------- */
-  const [announcements, setAnnouncements] = useState(() =>
-    storage.get('mythos_announcements', [])
+/* ----------------------------------------------------------------------------
+   User admin (Settings) — roles are assigned here, never at sign-up
+---------------------------------------------------------------------------- */
+function UserAdmin({ me, pushToast }) {
+  const [users, setUsers] = useState([]);
+  const [busy, setBusy] = useState(true);
+  const [q, setQ] = useState('');
+
+  useEffect(() => {
+    api('/api/users')
+      .then(d => setUsers(d?.users || []))
+      .catch(e => pushToast(errorText(e), 'error'))
+      .finally(() => setBusy(false));
+  }, []);
+
+  const patch = async (id, body) => {
+    try {
+      const d = await api(`/api/users/${encodeURIComponent(id)}`, { method: 'PATCH', body });
+      setUsers(prev => prev.map(u => u.id === id ? d.user : u));
+      pushToast(tr('users.updated'));
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
+  };
+
+  const needle = q.trim().toLowerCase();
+  const shown = users.filter(u => !needle
+    || (u.username || '').includes(needle)
+    || (u.name || '').toLowerCase().includes(needle)
+    || (u.email || '').toLowerCase().includes(needle));
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+      <h3 className="text-white font-semibold text-xl mb-4">{tr('users.title')}</h3>
+      <div className="flex items-center gap-2 bg-white/10 border border-white/20 rounded-xl px-3 py-2 mb-4">
+        <Search size={18} className="text-purple-300" />
+        <input
+          value={q}
+          onChange={e => setQ(e.target.value)}
+          className="bg-transparent outline-none text-white placeholder-gray-400 flex-1"
+          placeholder={tr('users.search')}
+          aria-label={tr('users.search')}
+        />
+      </div>
+      {busy ? (
+        <Loader2 className="animate-spin text-purple-300" size={24} />
+      ) : (
+        <div className="space-y-2 max-h-96 overflow-y-auto pe-1">
+          {shown.map(u => (
+            <div key={u.id} className={`flex items-center gap-3 p-3 rounded-xl bg-white/5 ${u.disabled ? 'opacity-60' : ''}`}>
+              <div className="flex-1 min-w-0">
+                <p className="text-white font-medium truncate">{u.name} <span className="text-white/50 text-sm">@{u.username}</span></p>
+                <p className="text-white/50 text-xs truncate">{u.email || tr('users.noEmail')} • {tr('users.joined', { date: fmtDate(u.createdAt) })}</p>
+              </div>
+              <select
+                value={u.role}
+                disabled={u.id === me?.id}
+                onChange={e => patch(u.id, { role: e.target.value })}
+                aria-label={tr('users.role', { name: u.name || u.username })}
+                className="bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white text-sm"
+              >
+                {['student', 'teacher', 'admin'].map(r => <option key={r} value={r} className="text-black">{tr(`role.${r}`)}</option>)}
+              </select>
+              <button
+                disabled={u.id === me?.id}
+                onClick={() => patch(u.id, { disabled: !u.disabled })}
+                className={`px-3 py-1 rounded-lg text-sm disabled:opacity-40 ${u.disabled ? 'bg-green-500/20 text-green-300' : 'bg-red-500/20 text-red-300'}`}
+              >
+                {u.disabled ? tr('common.enable') : tr('common.disable')}
+              </button>
+            </div>
+          ))}
+          {shown.length === 0 && <p className="text-white/60 text-sm">{tr('users.none')}</p>}
+        </div>
+      )}
+    </div>
   );
-  const [announcementData, setAnnouncementData] = useState({ title: '', message: '' });
+}
 
-  // list controls
-  const [search, setSearch, searchDebounced] = useDebouncedState('', 250);
-  const [sortKey, setSortKey] = useState('date'); // 'date' | 'title' | 'author'
-  const [sortDir, setSortDir] = useState('desc'); // 'asc' | 'desc'
-  const [page, setPage] = useState(1);
-  const pageSize = 5;
+/* ----------------------------------------------------------------------------
+   Key vault (Settings) — secrets go in, only labels + last 4 come back
+---------------------------------------------------------------------------- */
+function KeyVault({ classes, pushToast }) {
+  const [keys, setKeys] = useState([]);
+  const [draft, setDraft] = useState({ label: '', provider: 'anthropic', scope: 'org', classId: '', secret: '' });
+  const [rotating, setRotating] = useState(null);
+  const [rotateSecret, setRotateSecret] = useState('');
 
-  // edit state
-  const [editingId, setEditingId] = useState(null);
-  const [editDraft, setEditDraft] = useState({ title: '', message: '' });
+  useEffect(() => {
+    api('/api/keys').then(d => setKeys(d?.keys || [])).catch(e => pushToast(errorText(e), 'error'));
+  }, []);
 
-  // delete confirm
-  const [confirmOpen, setConfirmOpen] = useState(false);
+  const add = async () => {
+    try {
+      const d = await api('/api/keys', { method: 'POST', body: draft });
+      setKeys(prev => [...prev, d.key]);
+      setDraft(dr => ({ ...dr, label: '', secret: '' }));
+      pushToast(tr('keys.saved'));
+    } catch (e) { pushToast(errorText(e), 'error'); }
+  };
+
+  const update = async (id, body, msg) => {
+    try {
+      const d = await api(`/api/keys/${encodeURIComponent(id)}`, { method: 'PATCH', body });
+      setKeys(prev => prev.map(k => k.id === id ? d.key : k));
+      pushToast(msg);
+    } catch (e) { pushToast(errorText(e), 'error'); }
+  };
+
+  const remove = async (id) => {
+    try {
+      await api(`/api/keys/${encodeURIComponent(id)}`, { method: 'DELETE' });
+      setKeys(prev => prev.filter(k => k.id !== id));
+      pushToast(tr('keys.removed'));
+    } catch (e) { pushToast(errorText(e), 'error'); }
+  };
+
+  const field = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none";
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+      <h3 className="text-white font-semibold text-xl mb-1">{tr('keys.title')}</h3>
+      <p className="text-white/60 text-sm mb-4">{tr('keys.intro')}</p>
+
+      <div className="space-y-2 mb-4">
+        {keys.length === 0 && <p className="text-white/50 text-sm">{tr('keys.none')}</p>}
+        {keys.map(k => (
+          <div key={k.id} className={`flex items-center gap-3 p-3 rounded-xl bg-white/5 ${k.disabled ? 'opacity-60' : ''}`}>
+            <KeyRound size={16} className="text-purple-300 shrink-0" />
+            <div className="flex-1 min-w-0">
+              <p className="text-white truncate">{k.label} <span className="text-white/50 text-xs">…{k.last4}</span></p>
+              <p className="text-white/50 text-xs">{k.provider} • {k.scope === 'class' ? classes.find(c => c.id === k.classId)?.name || tr('keys.archivedClass') : tr('keys.wholeSchool')}</p>
+            </div>
+            {rotating === k.id ? (
+              <>
+                <input type="password" value={rotateSecret} onChange={e => setRotateSecret(e.target.value)} placeholder={tr('keys.newKey')} aria-label={tr('keys.newKey')} className={`${field} w-40`} autoComplete="off" />
+                <button onClick={() => { update(k.id, { secret: rotateSecret }, tr('keys.rotated')); setRotating(null); setRotateSecret(''); }} className="p-2 bg-green-500/20 rounded-lg" title={tr('common.save')}>
+                  <Save size={16} className="text-green-300" />
+                </button>
+                <button onClick={() => { setRotating(null); setRotateSecret(''); }} className="p-2 bg-white/10 rounded-lg" title={tr('common.cancel')}>
+                  <XCircle size={16} className="text-white/80" />
+                </button>
+              </>
+            ) : (
+              <>
+                <button onClick={() => setRotating(k.id)} className="px-2 py-1 rounded-lg bg-white/10 text-white/80 text-xs">{tr('keys.rotate')}</button>
+                <button onClick={() => update(k.id, { disabled: !k.disabled }, k.disabled ? tr('keys.enabled') : tr('keys.disabled'))} className="px-2 py-1 rounded-lg bg-white/10 text-white/80 text-xs">
+                  {k.disabled ? tr('common.enable') : tr('common.disable')}
+                </button>
+                <button onClick={() => remove(k.id)} className="p-2 bg-red-500/20 rounded-lg" title={tr('common.delete')}>
+                  <Trash2 size={16} className="text-red-300" />
+                </button>
+              </>
+            )}
+          </div>
+        ))}
+      </div>
+
+      <div className="grid grid-cols-2 gap-2">
+        <input value={draft.label} onChange={e => setDraft(d => ({ ...d, label: e.target.value }))} placeholder={tr('keys.label')} aria-label={tr('keys.label')} className={field} />
+        <select value={draft.provider} onChange={e => setDraft(d => ({ ...d, provider: e.target.value }))} className={field}>
+          <option value="anthropic" className="text-black">Anthropic</option>
+          <option value="openai" className="text-black">{tr('keys.openai')}</option>
+        </select>
+        <select value={draft.scope} onChange={e => setDraft(d => ({ ...d, scope: e.target.value }))} className={field}>
+          <option value="org" className="text-black">{tr('keys.scopeOrg')}</option>
+          <option value="class" className="text-black">{tr('keys.scopeClass')}</option>
+        </select>
+        <select
+          value={draft.classId}
+          onChange={e => setDraft(d => ({ ...d, classId: e.target.value }))}
+          disabled={draft.scope !== 'class'}
+          className={`${field} disabled:opacity-40`}
+        >
+          <option value="" className="text-black">{classes.length ? tr('keys.pickClass') : tr('keys.noClasses')}</option>
+          {classes.map(c => <option key={c.id} value={c.id} className="text-black">{c.name}</option>)}
+        </select>
+        <input
+          type="password"
+          value={draft.secret}
+          onChange={e => setDraft(d => ({ ...d, secret: e.target.value }))}
+          placeholder={tr('keys.apiKey')}
+          aria-label={tr('keys.apiKey')}
+          autoComplete="off"
+          className={`${field} col-span-2`}
+        />
+      </div>
+      <button
+        onClick={add}
+        disabled={!draft.label.trim() || !draft.secret.trim()}
+        className="w-full mt-3 p-3 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold disabled:opacity-50"
+      >
+        {tr('keys.add')}
+      </button>
+    </div>
+  );
+}
+
+/* ----------------------------------------------------------------------------
+   Feature flags (flags.mjs). Admins gate tabs and AI tools behind named flags
+   with a time window, role/class targeting and a percentage rollout; the
+   switch on each row turns a flag off for everyone at once.
+---------------------------------------------------------------------------- */
+addMessages({
+  en: {
+    'flags.status.live': 'Live',
+    'flags.status.scheduled': 'Scheduled',
+    'flags.status.ended': 'Ended',
+    'flags.status.killed': 'Switched off',
+    'flags.target.math': 'Math tab',
+    'flags.target.science': 'Science tab',
+    'flags.target.writing': 'Writing tab',
+    'flags.target.study': 'Study Plan tab',
+    'flags.target.flashcards': 'Flashcards tab',
+    'flags.target.progress': 'Progress tab',
+    'flags.target.news': 'Announcements tab',
+    'flags.target.classes': 'Classes tab',
+    'flags.target.quizzes': 'Quizzes tab',
+    'flags.target.assignments': 'Assignments tab',
+    'flags.target.lessons': 'Lessons tab',
+    'flags.target.analytics': 'Analytics tab',
+    'flags.target.ai_writing': 'AI writing feedback',
+    'flags.target.ai_study_plan': 'AI study plans',
+    'flags.target.ai_flashcards': 'Flashcards from tutor chats',
+    'flags.target.ai_quiz_questions': 'AI quiz questions',
+    'flags.target.ai_lesson_draft': 'AI lesson drafting',
+    'flags.target.ai_grade_draft': 'AI draft grades',
+    'flags.roles.student': 'students',
+    'flags.roles.teacher': 'teachers',
+    'flags.roles.admin': 'admins',
+    'flags.classes.one': '{n} class',
+    'flags.classes.two': '{n} classes',
+    'flags.classes.few': '{n} classes',
+    'flags.classes.other': '{n} classes',
+    'flags.percentOfThem': '{pct}% of them',
+    'flags.percentOfUsers': '{pct}% of users',
+    'flags.everyone': 'everyone',
+    'flags.saved': 'Flag saved.',
+    'flags.off': "\"{name}\" is off for everyone.",
+    'flags.on': "\"{name}\" is back on.",
+    'flags.deleted': 'Flag deleted; its features are open to everyone.',
+    'flags.title': '🚩 Feature Flags',
+    'flags.new': 'New flag',
+    'flags.intro': 'A gated tab or tool is shown only while one of its flags is on for the user. Delete a flag to open its features to everyone.',
+    'flags.namePlaceholder': 'Name, e.g. Assignments beta',
+    'flags.keyPlaceholder': 'key, e.g. assignments-beta',
+    'flags.descPlaceholder': 'What it is for (optional)',
+    'flags.gates': 'Gates',
+    'flags.roles': 'Roles',
+    'flags.rolesHint': '(none picked: every role)',
+    'flags.classesLabel': 'Classes',
+    'flags.classesHint': '(none picked: any class or none)',
+    'flags.archivedClass': 'Archived class ✕',
+    'flags.rollout': 'Rollout: {pct}%',
+    'flags.starts': 'Starts (optional)',
+    'flags.ends': 'Ends (optional)',
+    'flags.save': 'Save flag',
+    'flags.none': 'No flags yet; every feature is open to everyone.',
+    'flags.gatesNothing': 'Gates nothing yet',
+    'flags.for': 'for {audience}',
+    'flags.now': 'now',
+    'flags.noEnd': 'no end',
+    'flags.reach': 'On for {on} of {total} users right now',
+    'flags.killSwitch': 'Kill switch',
+    'flags.onLabel': 'On',
+    'flags.offLabel': 'Off',
+    'flags.deleteTitle': 'Delete flag?',
+    'flags.deleteDesc': 'Everything it gates becomes visible to every user.'
+  },
+  fa: {
+    'flags.status.live': 'فعال',
+    'flags.status.scheduled': 'زمان‌بندی‌شده',
+    'flags.status.ended': 'پایان‌یافته',
+    'flags.status.killed': 'خاموش',
+    'flags.target.math': 'زبانهٔ ریاضی',
+    'flags.target.science': 'زبانهٔ علوم',
+    'flags.target.writing': 'زبانهٔ نگارش',
+    'flags.target.study': 'زبانهٔ برنامهٔ مطالعه',
+    'flags.target.flashcards': 'زبانهٔ فلش‌کارت‌ها',
+    'flags.target.progress': 'زبانهٔ پیشرفت',
+    'flags.target.news': 'زبانهٔ اطلاعیه‌ها',
+    'flags.target.classes': 'زبانهٔ کلاس‌ها',
+    'flags.target.quizzes': 'زبانهٔ آزمون‌ها',
+    'flags.target.assignments': 'زبانهٔ تکالیف',
+    'flags.target.lessons': 'زبانهٔ درس‌ها',
+    'flags.target.analytics': 'زبانهٔ آمار و تحلیل',
+    'flags.target.ai_writing': 'بازخورد نگارش با هوش مصنوعی',
+    'flags.target.ai_study_plan': 'برنامهٔ مطالعه با هوش مصنوعی',
+    'flags.target.ai_flashcards': 'فلش‌کارت از گفتگوهای معلم',
+    'flags.target.ai_quiz_questions': 'سؤال آزمون با هوش مصنوعی',
+    'flags.target.ai_lesson_draft': 'پیش‌نویس درس با هوش مصنوعی',
+    'flags.target.ai_grade_draft': 'پیش‌نویس نمره با هوش مصنوعی',
+    'flags.roles.student': 'دانش‌آموزان',
+    'flags.roles.teacher': 'معلمان',
+    'flags.roles.admin': 'مدیران',
+    'flags.classes.one': '{n} کلاس',
+    'flags.classes.two': '{n} کلاس',
+    'flags.classes.few': '{n} کلاس',
+    'flags.classes.other': '{n} کلاس',
+    'flags.percentOfThem': '{pct}٪ از آن‌ها',
+    'flags.percentOfUsers': '{pct}٪ از کاربران',
+    'flags.everyone': 'همه',
+    'flags.saved': 'پرچم ذخیره شد.',
+    'flags.off': '«{name}» برای همه خاموش شد.',
+    'flags.on': '«{name}» دوباره روشن شد.',
+    'flags.deleted': 'پرچم حذف شد؛ قابلیت‌هایش برای همه باز است.',
+    'flags.title': '🚩 پرچم‌های قابلیت',
+    'flags.new': 'پرچم تازه',
+    'flags.intro': 'زبانه یا ابزار محدودشده فقط وقتی دیده می‌شود که یکی از پرچم‌هایش برای کاربر روشن باشد. با حذف پرچم، قابلیت‌هایش برای همه باز می‌شود.',
+    'flags.namePlaceholder': 'نام، مثلاً نسخهٔ آزمایشی تکالیف',
+    'flags.keyPlaceholder': 'کلید، مثلاً assignments-beta',
+    'flags.descPlaceholder': 'برای چیست (اختیاری)',
+    'flags.gates': 'محدود می‌کند',
+    'flags.roles': 'نقش‌ها',
+    'flags.rolesHint': '(اگر چیزی انتخاب نشود: همهٔ نقش‌ها)',
+    'flags.classesLabel': 'کلاس‌ها',
+    'flags.classesHint': '(اگر چیزی انتخاب نشود: هر کلاس یا بدون کلاس)',
+    'flags.archivedClass': 'کلاس بایگانی‌شده ✕',
+    'flags.rollout': 'گسترش: {pct}٪',
+    'flags.starts': 'شروع (اختیاری)',
+    'flags.ends': 'پایان (اختیاری)',
+    'flags.save': 'ذخیرهٔ پرچم',
+    'flags.none': 'هنوز پرچمی نیست؛ همهٔ قابلیت‌ها برای همه باز است.',
+    'flags.gatesNothing': 'هنوز چیزی را محدود نمی‌کند',
+    'flags.for': 'برای {audience}',
+    'flags.now': 'اکنون',
+    'flags.noEnd': 'بی‌پایان',
+    'flags.reach': 'هم‌اکنون برای {on} از {total} کاربر روشن است',
+    'flags.killSwitch': 'کلید خاموشی',
+    'flags.onLabel': 'روشن',
+    'flags.offLabel': 'خاموش',
+    'flags.deleteTitle': 'پرچم حذف شود؟',
+    'flags.deleteDesc': 'هر چه محدود کرده برای همهٔ کاربران نمایان می‌شود.'
+  },
+  ar: {
+    'flags.status.live': 'مُفعّل',
+    'flags.status.scheduled': 'مجدول',
+    'flags.status.ended': 'انتهى',
+    'flags.status.killed': 'مُطفأ',
+    'flags.target.math': 'تبويب الرياضيات',
+    'flags.target.science': 'تبويب العلوم',
+    'flags.target.writing': 'تبويب الكتابة',
+    'flags.target.study': 'تبويب خطة الدراسة',
+    'flags.target.flashcards': 'تبويب البطاقات التعليمية',
+    'flags.target.progress': 'تبويب التقدّم',
+    'flags.target.news': 'تبويب الإعلانات',
+    'flags.target.classes': 'تبويب الفصول',
+    'flags.target.quizzes': 'تبويب الاختبارات',
+    'flags.target.assignments': 'تبويب الواجبات',
+    'flags.target.lessons': 'تبويب الدروس',
+    'flags.target.analytics': 'تبويب التحليلات',
+    'flags.target.ai_writing': 'ملاحظات الكتابة بالذكاء الاصطناعي',
+    'flags.target.ai_study_plan': 'خطط الدراسة بالذكاء الاصطناعي',
+    'flags.target.ai_flashcards': 'بطاقات من محادثات المعلّم',
+    'flags.target.ai_quiz_questions': 'أسئلة اختبار بالذكاء الاصطناعي',
+    'flags.target.ai_lesson_draft': 'صياغة الدروس بالذكاء الاصطناعي',
+    'flags.target.ai_grade_draft': 'مسودات الدرجات بالذكاء الاصطناعي',
+    'flags.roles.student': 'الطلاب',
+    'flags.roles.teacher': 'المعلّمون',
+    'flags.roles.admin': 'المديرون',
+    'flags.classes.one': 'فصل واحد',
+    'flags.classes.two': 'فصلان',
+    'flags.classes.few': '{n} فصول',
+    'flags.classes.other': '{n} فصلًا',
+    'flags.percentOfThem': '{pct}٪ منهم',
+    'flags.percentOfUsers': '{pct}٪ من المستخدمين',
+    'flags.everyone': 'الجميع',
+    'flags.saved': 'حُفظت الراية.',
+    'flags.off': '«{name}» مُطفأة للجميع.',
+    'flags.on': '«{name}» مُفعّلة من جديد.',
+    'flags.deleted': 'حُذفت الراية؛ ميزاتها متاحة للجميع.',
+    'flags.title': '🚩 رايات الميزات',
+    'flags.new': 'راية جديدة',
+    'flags.intro': 'لا يظهر التبويب أو الأداة المقيّدة إلا عندما تكون إحدى راياتها مُفعّلة للمستخدم. احذف الراية لإتاحة ميزاتها للجميع.',
+    'flags.namePlaceholder': 'الاسم، مثل: تجربة الواجبات',
+    'flags.keyPlaceholder': 'المفتاح، مثل assignments-beta',
+    'flags.descPlaceholder': 'الغرض منها (اختياري)',
+    'flags.gates': 'تقيّد',
+    'flags.roles': 'الأدوار',
+    'flags.rolesHint': '(إن لم يُختر شيء: كل الأدوار)',
+    'flags.classesLabel': 'الفصول',
+    'flags.classesHint': '(إن لم يُختر شيء: أي فصل أو بلا فصل)',
+    'flags.archivedClass': 'فصل مؤرشف ✕',
+    'flags.rollout': 'نسبة الإتاحة: {pct}٪',
+    'flags.starts': 'البداية (اختياري)',
+    'flags.ends': 'النهاية (اختياري)',
+    'flags.save': 'حفظ الراية',
+    'flags.none': 'لا توجد رايات بعد؛ كل الميزات متاحة للجميع.',
+    'flags.gatesNothing': 'لا تقيّد شيئًا بعد',
+    'flags.for': 'لـ{audience}',
+    'flags.now': 'الآن',
+    'flags.noEnd': 'بلا نهاية',
+    'flags.reach': 'مُفعّلة الآن لـ{on} من {total} مستخدم',
+    'flags.killSwitch': 'مفتاح الإيقاف',
+    'flags.onLabel': 'تشغيل',
+    'flags.offLabel': 'إيقاف',
+    'flags.deleteTitle': 'حذف الراية؟',
+    'flags.deleteDesc': 'يصبح كل ما تقيّده مرئيًا لجميع المستخدمين.'
+  }
+});
+
+const FEATURE_POLL_MS = 5 * 60_000;
+
+// names are flags.status.* messages
+const FLAG_STATUS = {
+  live: 'bg-green-500/30 text-green-100',
+  scheduled: 'bg-sky-500/20 text-sky-200',
+  ended: 'bg-white/10 text-white/60',
+  killed: 'bg-red-500/30 text-red-200'
+};
+
+// FLAG_TARGETS names in this language; the server's English for any this build doesn't know
+const targetName = (id, fallback) => MESSAGES.en[`flags.target.${id}`] ? tr(`flags.target.${id}`) : fallback;
+
+const blankFlag = () => ({ key: '', name: '', description: '', gates: [], roles: [], classIds: [], percentage: 100, startAt: '', endAt: '', enabled: true });
+
+const flagForm = (f) => ({ ...f, startAt: f.startAt ? localInput(f.startAt) : '', endAt: f.endAt ? localInput(f.endAt) : '' });
+
+const flagBody = (f) => ({
+  key: f.key, name: f.name, description: f.description, gates: f.gates, roles: f.roles, classIds: f.classIds,
+  percentage: Number(f.percentage), enabled: f.enabled,
+  startAt: f.startAt ? new Date(f.startAt).toISOString() : null,
+  endAt: f.endAt ? new Date(f.endAt).toISOString() : null
+});
+
+// "teachers · 2 classes · 25% of them", or "everyone"
+const flagAudience = (f, classes) => {
+  const parts = [];
+  if (f.roles.length) parts.push(f.roles.map(r => tr(`flags.roles.${r}`)).join(', '));
+  if (f.classIds.length) parts.push(f.classIds.length === 1 ? classes.find(c => c.id === f.classIds[0])?.name || trn('flags.classes', 1) : trn('flags.classes', f.classIds.length));
+  if (f.percentage < 100) parts.push(tr(parts.length ? 'flags.percentOfThem' : 'flags.percentOfUsers', { pct: fmtNumber(f.percentage) }));
+  return parts.join(' · ') || tr('flags.everyone');
+};
+
+function FeatureFlags({ classes, pushToast, onChange }) {
+  const [data, setData] = useState(null);          // { flags, targets, roles }
+  const [form, setForm] = useState(null);          // the flag being created or edited
+  const [busy, setBusy] = useState(false);
   const [pendingDelete, setPendingDelete] = useState(null);
 
-  // toasts
-  const [toasts, setToasts] = useState([]);
-  const pushToast = (message, type = 'info', ttl = 4000) => {
-    const id = uid();
-    setToasts(prev => [...prev, { id, message, type }]);
-    setTimeout(() => setToasts(prev => prev.filter(t => t.id !== id)), ttl);
+  const load = () => api('/api/flags').then(setData).catch(e => pushToast(errorText(e), 'error'));
+  useEffect(() => { load(); }, []);
+
+  const run = async (fn, msg) => {
+    setBusy(true);
+    try {
+      await fn();
+      await load();
+      onChange?.();
+      if (msg) pushToast(msg, 'success');
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const save = () => run(async () => {
+    if (form.id) await api(`/api/flags/${form.id}`, { method: 'PATCH', body: flagBody(form) });
+    else await api('/api/flags', { method: 'POST', body: flagBody(form) });
+    setForm(null);
+  }, tr('flags.saved'));
+
+  const toggle = (f) => run(() => api(`/api/flags/${f.id}`, { method: 'PATCH', body: { enabled: !f.enabled } }),
+    tr(f.enabled ? 'flags.off' : 'flags.on', { name: f.name }));
+
+  const remove = () => {
+    const id = pendingDelete;
+    setPendingDelete(null);
+    run(() => api(`/api/flags/${id}`, { method: 'DELETE' }), tr('flags.deleted'));
+  };
+
+  const set = (k) => (e) => setForm(f => ({ ...f, [k]: e.target.value }));
+  const toggleIn = (k, v) => setForm(f => ({ ...f, [k]: f[k].includes(v) ? f[k].filter(x => x !== v) : [...f[k], v] }));
+
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  const btn = "flex items-center gap-2 px-3 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm disabled:opacity-50";
+  const chip = (on) => `px-2 py-1 rounded-lg text-xs border ${on ? 'bg-purple-500/40 border-purple-400/60 text-white' : 'bg-white/5 border-white/10 text-white/70 hover:bg-white/10'}`;
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+      <div className="flex items-center gap-3 mb-1">
+        <h3 className="text-white font-semibold text-xl flex-1">{tr('flags.title')}</h3>
+        {!form && <button onClick={() => setForm(blankFlag())} className={btn}><Plus size={16} /> {tr('flags.new')}</button>}
+      </div>
+      <p className="text-white/60 text-sm mb-4">{tr('flags.intro')}</p>
+
+      {form && data && (
+        <div className="space-y-3 p-4 mb-4 rounded-xl bg-white/5 border border-white/10">
+          <div className="grid sm:grid-cols-2 gap-3">
+            <input value={form.name} onChange={set('name')} placeholder={tr('flags.namePlaceholder')} aria-label={tr('common.name')} className={small} />
+            <input value={form.key} onChange={set('key')} placeholder={tr('flags.keyPlaceholder')} aria-label={tr('flags.keyPlaceholder')} className={`${small} font-mono`} />
+          </div>
+          <input value={form.description} onChange={set('description')} placeholder={tr('flags.descPlaceholder')} aria-label={tr('common.description')} className={`w-full ${small}`} />
+          <div>
+            <p className="text-white/70 text-sm mb-1">{tr('flags.gates')}</p>
+            <div className="flex flex-wrap gap-1">
+              {Object.entries(data.targets).map(([id, name]) => <button key={id} onClick={() => toggleIn('gates', id)} className={chip(form.gates.includes(id))}>{targetName(id, name)}</button>)}
+            </div>
+          </div>
+          <div>
+            <p className="text-white/70 text-sm mb-1">{tr('flags.roles')} <span className="text-white/40">{tr('flags.rolesHint')}</span></p>
+            <div className="flex flex-wrap gap-1">
+              {data.roles.map(r => <button key={r} onClick={() => toggleIn('roles', r)} className={`${chip(form.roles.includes(r))} capitalize`}>{tr(`flags.roles.${r}`)}</button>)}
+            </div>
+          </div>
+          {(classes.length > 0 || form.classIds.length > 0) && (
+            <div>
+              <p className="text-white/70 text-sm mb-1">{tr('flags.classesLabel')} <span className="text-white/40">{tr('flags.classesHint')}</span></p>
+              <div className="flex flex-wrap gap-1">
+                {classes.map(c => <button key={c.id} onClick={() => toggleIn('classIds', c.id)} className={chip(form.classIds.includes(c.id))}>{c.name}</button>)}
+                {form.classIds.filter(id => !classes.some(c => c.id === id)).map(id => <button key={id} onClick={() => toggleIn('classIds', id)} className={chip(true)}>{tr('flags.archivedClass')}</button>)}
+              </div>
+            </div>
+          )}
+          <div className="grid sm:grid-cols-3 gap-3 text-white/70 text-sm">
+            <label className="space-y-1 block"><span>{tr('flags.rollout', { pct: fmtNumber(form.percentage) })}</span>
+              <input type="range" min={0} max={100} step={5} value={form.percentage} onChange={set('percentage')} className="w-full accent-purple-500" />
+            </label>
+            <label className="space-y-1 block"><span>{tr('flags.starts')}</span>
+              <input type="datetime-local" value={form.startAt} onChange={set('startAt')} className={`w-full ${small}`} />
+            </label>
+            <label className="space-y-1 block"><span>{tr('flags.ends')}</span>
+              <input type="datetime-local" value={form.endAt} onChange={set('endAt')} className={`w-full ${small}`} />
+            </label>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            <button onClick={save} disabled={busy || !form.key.trim()} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white text-sm font-semibold disabled:opacity-60"><Save size={16} /> {tr('flags.save')}</button>
+            <button onClick={() => setForm(null)} className={btn}>{tr('common.cancel')}</button>
+          </div>
+        </div>
+      )}
+
+      {!data ? <Loader2 className="animate-spin text-purple-300" size={24} /> : (
+        <div className="space-y-2">
+          {!data.flags.length && <p className="text-white/50 text-sm">{tr('flags.none')}</p>}
+          {data.flags.map(f => (
+            <div key={f.id} className="flex flex-wrap items-center gap-3 p-3 rounded-xl bg-white/5">
+              <div className="flex-1 min-w-[14rem]">
+                <p className="text-white">
+                  {f.name} <span className="text-white/40 text-xs font-mono">{f.key}</span>
+                  <span className={`ms-2 px-2 py-0.5 rounded-full text-xs ${FLAG_STATUS[f.status]}`}>{tr(`flags.status.${f.status}`)}</span>
+                </p>
+                <p className="text-white/50 text-xs">
+                  {f.gates.length ? f.gates.map(t => targetName(t, data.targets[t])).join(', ') : tr('flags.gatesNothing')} · {tr('flags.for', { audience: flagAudience(f, classes) })}
+                  {(f.startAt || f.endAt) && ` · ${f.startAt ? fmtDate(f.startAt) : tr('flags.now')} → ${f.endAt ? fmtDate(f.endAt) : tr('flags.noEnd')}`}
+                </p>
+                <p className="text-white/40 text-xs">{tr('flags.reach', { on: fmtNumber(f.reach.on), total: fmtNumber(f.reach.total) })}</p>
+              </div>
+              <label className="flex items-center gap-2 text-white/80 text-sm" title={tr('flags.killSwitch')}>
+                <input type="checkbox" checked={f.enabled} onChange={() => toggle(f)} disabled={busy} className="w-5 h-5" />
+                {f.enabled ? tr('flags.onLabel') : tr('flags.offLabel')}
+              </label>
+              <button onClick={() => setForm(flagForm(f))} className="p-2 bg-white/10 rounded-lg" title={tr('common.edit')}><Pencil size={16} className="text-white/80" /></button>
+              <button onClick={() => setPendingDelete(f.id)} className="p-2 bg-red-500/20 rounded-lg" title={tr('common.delete')}><Trash2 size={16} className="text-red-300" /></button>
+            </div>
+          ))}
+        </div>
+      )}
+
+      <Confirm
+        open={!!pendingDelete}
+        title={tr('flags.deleteTitle')}
+        desc={tr('flags.deleteDesc')}
+        onCancel={() => setPendingDelete(null)}
+        onConfirm={remove}
+      />
+    </div>
+  );
+}
+
+/* ----------------------------------------------------------------------------
+   Math engine (Math tab)
+   Small deterministic CAS: parse → AST, simplify/expand, derivatives and
+   integrals with recorded steps, equation solving and linear systems. Steps
+   are Markdown with $TeX$ so they render through <Markdown>. Everything runs
+   offline and each result carries a numeric self-check. Exported for the
+   tests (test/engines.test.mjs).
+---------------------------------------------------------------------------- */
+addMessages({
+  en: {
+    'engine.unexpected': "Unexpected \"{token}\"",
+    'engine.end': 'Unexpected end of input',
+    'math.err.expectedFound': "Expected \"{want}\" but found \"{got}\"",
+    'math.err.expected': "Expected \"{want}\"",
+    'math.err.oneEquals': "Use a single \"=\" per equation",
+    'math.err.noValue': 'No value for {name}',
+    'math.err.twoEquations': "Enter at least two equations, separated by \";\" or new lines",
+    'math.err.noVariables': 'No variables found',
+    'math.err.notLinear': 'Equation {n} is not linear',
+    'math.err.divByZero': 'Division by zero in {expr}',
+    'math.rule.derivativeOf': 'Derivative of {name}',
+    'math.rule.chain': 'Chain rule ({name})',
+    'math.rule.sum': 'Sum rule',
+    'math.rule.constMultiple': 'Constant multiple',
+    'math.rule.product': 'Product rule {formula}',
+    'math.rule.quotient': 'Quotient rule {formula}',
+    'math.rule.power': 'Power rule',
+    'math.rule.powerChain': 'Power rule + chain rule',
+    'math.rule.exp': 'Exponential rule',
+    'math.rule.expBase': 'Exponential rule {formula}',
+    'math.rule.plusChain': '{rule} + chain rule',
+    'math.rule.logDiff': 'Logarithmic differentiation',
+    'math.rule.constant': 'Constant rule',
+    'math.rule.powerTerms': 'Power rule, term by term',
+    'math.rule.linearity': 'Linearity',
+    'math.rule.pullConst': 'Pull out the constant',
+    'math.rule.substitution': 'Substitution {u}',
+    'math.rule.powerSub': 'Power rule with {u}',
+    'math.rule.antiderivativeOf': 'Antiderivative of {name}',
+    'math.rule.parts': 'Integration by parts: {parts}',
+    'math.rule.partsShort': 'Integration by parts ({parts})',
+    'math.differentiate': 'Differentiate {expr} with respect to {v}.',
+    'math.integrate': 'Integrate {expr} with respect to {v}.',
+    'math.solveFor': 'Solve {eq} for {v}.',
+    'math.step.simplify': 'Simplify',
+    'math.step.expand': 'Expand',
+    'math.step.result': 'Result',
+    'math.step.evaluate': 'Evaluate',
+    'math.step.simpson': "Numeric (Simpson's rule)",
+    'math.step.moveSides': 'Move everything to one side',
+    'math.step.expandCollect': 'Expand and collect terms',
+    'math.step.subtractBoth': 'Subtract {n} from both sides',
+    'math.step.addBoth': 'Add {n} to both sides',
+    'math.step.divideBoth': 'Divide both sides by {n}',
+    'math.derivativeCheck': 'Numeric derivative matches at {n} sample points (max error {err})',
+    'math.integralCheck': 'd/d{v} of the result matches the integrand at {n} points (max error {err})',
+    'math.noAntiderivative': 'No elementary antiderivative found with these rules.',
+    'math.simpsonGives': "Simpson's rule gives {value}",
+    'math.numericOnly': 'Numeric value only',
+    'math.holdsAlways': 'The equation holds for every {v}.',
+    'math.falseNoSolution': '{eq} is false, so there is no solution.',
+    'math.quadratic': '**Quadratic formula** with {coeffs}: {formula}',
+    'math.discriminant': '**Discriminant:** {expr} {cmp}, {verdict}.',
+    'math.disc.two': 'two real roots',
+    'math.disc.one': 'one repeated root',
+    'math.disc.complex': 'two complex roots',
+    'math.rationalRoot': '**Rational root test:** {root} is a root; divide out {factor} → {rest}',
+    'math.factorOut': '**Factor out** {power}: {root} is a root.',
+    'math.remainingQuadratic': '**Remaining quadratic** {eq}, discriminant {d}.',
+    'math.numericSearch': '**Numeric search** on {eq} for the remaining real roots.',
+    'math.notPolynomial': 'Not a polynomial in {v}; searching for real roots numerically on {range} (sign changes + bisection).',
+    'math.tooManyRoots': 'Found {n} roots in the window; showing the {max} closest to 0.',
+    'math.solutions.one': '**Solution:** {list}',
+    'math.solutions.other': '**Solutions:** {list}',
+    'math.complexRoots': '**Complex roots:** {roots}',
+    'math.noRealSolutions': 'No real solutions found.',
+    'math.rejectedRoots': 'Left out, because the original equation does not hold there: {list}',
+    'math.noSolution': 'No value of {v} satisfies the equation, so there is no solution.',
+    'math.residual': 'Substituting back leaves a residual of at most {err}',
+    'math.nothingToSubstitute': 'Nothing to substitute',
+    'math.augmented': 'Write the system as an augmented matrix in {vars}:',
+    'math.swap': '**Swap** {rows}',
+    'math.divideRow': '**Divide** {row} by {k}',
+    'math.eliminate': '**Eliminate** {op}',
+    'math.noSolutionRow': 'A row reads {eq} with {cond}: **the system has no solution.**',
+    'math.inconsistent': 'Inconsistent system',
+    'math.freeVars.one': 'Free variable {vars}: **infinitely many solutions.**',
+    'math.freeVars.other': 'Free variables {vars}: **infinitely many solutions.**',
+    'math.dependent': 'Dependent system',
+    'math.allHold': 'Every equation holds after substitution (max residual {err})',
+    'math.simplifyCheck': 'Original and simplified forms agree at a sample point',
+    'math.zoomIn': 'Zoom in',
+    'math.zoomOut': 'Zoom out',
+    'math.reset': 'Reset',
+    'math.graphHelp': "Scroll to zoom, drag to pan. Separate several functions with \";\".",
+    'math.askStepTitle': 'Ask the tutor about this step',
+    'math.askTutor': 'Ask tutor',
+    'math.checkedOffline': 'Checked offline:',
+    'math.checkFailed': 'Check failed:',
+    'math.mode.solve': 'Solve',
+    'math.mode.simplify': 'Simplify',
+    'math.mode.derivative': 'Derivative',
+    'math.mode.integral': 'Integral',
+    'math.mode.system': 'Linear system',
+    'math.placeholder.solve': 'e.g. x^2 - 5x + 6 = 0',
+    'math.placeholder.simplify': 'e.g. (x + 1)^2 - 2x',
+    'math.placeholder.derivative': 'e.g. x^3 sin(x)',
+    'math.placeholder.integral': 'e.g. x e^x',
+    'math.placeholder.system': 'One equation per line, e.g.\n2x + 3y = 7\nx - y = 1',
+    'engine.unreadable': 'Could not read that input',
+    'math.askStep': "I'm working on this {mode} problem:\n\n{input}\n\nCan you explain this step?\n\n{step}",
+    'math.title': 'Math Workspace',
+    'math.input': 'Problem',
+    'math.for': 'for',
+    'math.variable': 'Variable',
+    'math.bounds': 'Bounds (optional):',
+    'math.from': 'from',
+    'math.to': 'to',
+    'math.try': 'Try:',
+    'math.go': 'Go',
+    'math.stepByStep': 'Step by step',
+    'math.graph': 'Graph',
+    'math.functionsOf': 'Functions of {v}, e.g. sin({v}); {v}^2/4'
+  },
+  fa: {
+    'engine.unexpected': 'نویسهٔ غیرمنتظره: «{token}»',
+    'engine.end': 'ورودی ناتمام است',
+    'math.err.expectedFound': '«{want}» لازم بود ولی «{got}» آمد',
+    'math.err.expected': '«{want}» لازم است',
+    'math.err.oneEquals': 'در هر معادله فقط یک «=» بگذارید',
+    'math.err.noValue': 'مقداری برای {name} نیست',
+    'math.err.twoEquations': 'دست‌کم دو معادله وارد کنید، جدا با «;» یا خط تازه',
+    'math.err.noVariables': 'متغیری پیدا نشد',
+    'math.err.notLinear': 'معادلهٔ {n} خطی نیست',
+    'math.err.divByZero': 'تقسیم بر صفر در {expr}',
+    'math.rule.derivativeOf': 'مشتق {name}',
+    'math.rule.chain': 'قاعدهٔ زنجیره‌ای ({name})',
+    'math.rule.sum': 'قاعدهٔ جمع',
+    'math.rule.constMultiple': 'ضریب ثابت',
+    'math.rule.product': 'قاعدهٔ ضرب {formula}',
+    'math.rule.quotient': 'قاعدهٔ تقسیم {formula}',
+    'math.rule.power': 'قاعدهٔ توان',
+    'math.rule.powerChain': 'قاعدهٔ توان + قاعدهٔ زنجیره‌ای',
+    'math.rule.exp': 'قاعدهٔ نمایی',
+    'math.rule.expBase': 'قاعدهٔ نمایی {formula}',
+    'math.rule.plusChain': '{rule} + قاعدهٔ زنجیره‌ای',
+    'math.rule.logDiff': 'مشتق‌گیری لگاریتمی',
+    'math.rule.constant': 'قاعدهٔ ثابت',
+    'math.rule.powerTerms': 'قاعدهٔ توان، جمله به جمله',
+    'math.rule.linearity': 'خطی بودن',
+    'math.rule.pullConst': 'بیرون کشیدن ثابت',
+    'math.rule.substitution': 'تغییر متغیر {u}',
+    'math.rule.powerSub': 'قاعدهٔ توان با {u}',
+    'math.rule.antiderivativeOf': 'پادمشتق {name}',
+    'math.rule.parts': 'انتگرال‌گیری جزء به جزء: {parts}',
+    'math.rule.partsShort': 'انتگرال‌گیری جزء به جزء ({parts})',
+    'math.differentiate': 'از {expr} نسبت به {v} مشتق بگیرید.',
+    'math.integrate': 'از {expr} نسبت به {v} انتگرال بگیرید.',
+    'math.solveFor': '{eq} را برای {v} حل کنید.',
+    'math.step.simplify': 'ساده‌سازی',
+    'math.step.expand': 'بسط',
+    'math.step.result': 'نتیجه',
+    'math.step.evaluate': 'محاسبه',
+    'math.step.simpson': 'عددی (قاعدهٔ سیمپسون)',
+    'math.step.moveSides': 'همه را به یک طرف ببرید',
+    'math.step.expandCollect': 'بسط و جمع جمله‌های متشابه',
+    'math.step.subtractBoth': '{n} را از دو طرف کم کنید',
+    'math.step.addBoth': '{n} را به دو طرف بیفزایید',
+    'math.step.divideBoth': 'دو طرف را بر {n} تقسیم کنید',
+    'math.derivativeCheck': 'مشتق عددی در {n} نقطهٔ نمونه می‌خواند (بیشترین خطا {err})',
+    'math.integralCheck': 'd/d{v} نتیجه در {n} نقطه با انتگرال‌ده می‌خواند (بیشترین خطا {err})',
+    'math.noAntiderivative': 'با این قاعده‌ها پادمشتق مقدماتی‌ای پیدا نشد.',
+    'math.simpsonGives': 'قاعدهٔ سیمپسون {value} می‌دهد',
+    'math.numericOnly': 'فقط مقدار عددی',
+    'math.holdsAlways': 'معادله برای هر {v} برقرار است.',
+    'math.falseNoSolution': '{eq} نادرست است، پس جوابی ندارد.',
+    'math.quadratic': '**فرمول درجه دوم** با {coeffs}: {formula}',
+    'math.discriminant': '**مُمیز:** {expr} {cmp}، {verdict}.',
+    'math.disc.two': 'دو ریشهٔ حقیقی',
+    'math.disc.one': 'یک ریشهٔ مضاعف',
+    'math.disc.complex': 'دو ریشهٔ مختلط',
+    'math.rationalRoot': '**آزمون ریشهٔ گویا:** {root} ریشه است؛ {factor} را بیرون بکشید ← {rest}',
+    'math.factorOut': '**فاکتور گرفتن** از {power}: {root} ریشه است.',
+    'math.remainingQuadratic': '**درجه دوم باقی‌مانده** {eq}، مُمیز {d}.',
+    'math.numericSearch': '**جستجوی عددی** روی {eq} برای ریشه‌های حقیقی باقی‌مانده.',
+    'math.notPolynomial': 'چندجمله‌ای در {v} نیست؛ ریشه‌های حقیقی به‌صورت عددی در {range} جستجو می‌شوند (تغییر علامت + دوبخشی).',
+    'math.tooManyRoots': '{n} ریشه در این بازه پیدا شد؛ {max} ریشهٔ نزدیک‌تر به ۰ نشان داده می‌شود.',
+    'math.solutions.one': '**جواب:** {list}',
+    'math.solutions.other': '**جواب‌ها:** {list}',
+    'math.complexRoots': '**ریشه‌های مختلط:** {roots}',
+    'math.noRealSolutions': 'جواب حقیقی پیدا نشد.',
+    'math.rejectedRoots': 'کنار گذاشته شد، چون معادلهٔ اصلی آنجا برقرار نیست: {list}',
+    'math.noSolution': 'هیچ مقداری از {v} در معادله صدق نمی‌کند، پس جوابی ندارد.',
+    'math.residual': 'جای‌گذاری دوباره حداکثر {err} باقی می‌گذارد',
+    'math.nothingToSubstitute': 'چیزی برای جای‌گذاری نیست',
+    'math.augmented': 'دستگاه را به‌صورت ماتریس افزوده در {vars} بنویسید:',
+    'math.swap': '**جابه‌جایی** {rows}',
+    'math.divideRow': '**تقسیم** {row} بر {k}',
+    'math.eliminate': '**حذف** {op}',
+    'math.noSolutionRow': 'یک سطر {eq} با {cond} است: **دستگاه جواب ندارد.**',
+    'math.inconsistent': 'دستگاه ناسازگار',
+    'math.freeVars.one': 'متغیر آزاد {vars}: **بی‌شمار جواب.**',
+    'math.freeVars.other': 'متغیرهای آزاد {vars}: **بی‌شمار جواب.**',
+    'math.dependent': 'دستگاه وابسته',
+    'math.allHold': 'پس از جای‌گذاری همهٔ معادله‌ها برقرارند (بیشترین باقی‌مانده {err})',
+    'math.simplifyCheck': 'شکل اصلی و ساده‌شده در یک نقطهٔ نمونه برابرند',
+    'math.zoomIn': 'بزرگ‌نمایی',
+    'math.zoomOut': 'کوچک‌نمایی',
+    'math.reset': 'بازنشانی',
+    'math.graphHelp': 'برای بزرگ‌نمایی اسکرول و برای جابه‌جایی بکشید. چند تابع را با «;» جدا کنید.',
+    'math.askStepTitle': 'دربارهٔ این گام از معلم بپرسید',
+    'math.askTutor': 'پرسش از معلم',
+    'math.checkedOffline': 'بررسی آفلاین:',
+    'math.checkFailed': 'بررسی ناموفق:',
+    'math.mode.solve': 'حل',
+    'math.mode.simplify': 'ساده‌سازی',
+    'math.mode.derivative': 'مشتق',
+    'math.mode.integral': 'انتگرال',
+    'math.mode.system': 'دستگاه خطی',
+    'math.placeholder.solve': 'مثلاً x^2 - 5x + 6 = 0',
+    'math.placeholder.simplify': 'مثلاً (x + 1)^2 - 2x',
+    'math.placeholder.derivative': 'مثلاً x^3 sin(x)',
+    'math.placeholder.integral': 'مثلاً x e^x',
+    'math.placeholder.system': 'هر خط یک معادله، مثلاً\n2x + 3y = 7\nx - y = 1',
+    'engine.unreadable': 'این ورودی خوانده نشد',
+    'math.askStep': 'دارم روی این مسئلهٔ «{mode}» کار می‌کنم:\n\n{input}\n\nاین گام را توضیح می‌دهید؟\n\n{step}',
+    'math.title': 'کارگاه ریاضی',
+    'math.input': 'مسئله',
+    'math.for': 'برای',
+    'math.variable': 'متغیر',
+    'math.bounds': 'کران‌ها (اختیاری):',
+    'math.from': 'از',
+    'math.to': 'تا',
+    'math.try': 'امتحان کنید:',
+    'math.go': 'برو',
+    'math.stepByStep': 'گام به گام',
+    'math.graph': 'نمودار',
+    'math.functionsOf': 'تابع‌هایی از {v}، مثلاً sin({v}); {v}^2/4'
+  },
+  ar: {
+    'engine.unexpected': 'رمز غير متوقع: «{token}»',
+    'engine.end': 'انتهى الإدخال قبل اكتماله',
+    'math.err.expectedFound': 'كان المتوقع «{want}» لكن وُجد «{got}»',
+    'math.err.expected': 'يلزم «{want}»',
+    'math.err.oneEquals': 'استخدم «=» واحدة في كل معادلة',
+    'math.err.noValue': 'لا قيمة لـ{name}',
+    'math.err.twoEquations': 'أدخل معادلتين على الأقل، تفصل بينهما «;» أو أسطر جديدة',
+    'math.err.noVariables': 'لم يُعثر على متغيّرات',
+    'math.err.notLinear': 'المعادلة {n} ليست خطية',
+    'math.err.divByZero': 'قسمة على صفر في {expr}',
+    'math.rule.derivativeOf': 'مشتقة {name}',
+    'math.rule.chain': 'قاعدة السلسلة ({name})',
+    'math.rule.sum': 'قاعدة المجموع',
+    'math.rule.constMultiple': 'المضاعف الثابت',
+    'math.rule.product': 'قاعدة الضرب {formula}',
+    'math.rule.quotient': 'قاعدة القسمة {formula}',
+    'math.rule.power': 'قاعدة القوة',
+    'math.rule.powerChain': 'قاعدة القوة + قاعدة السلسلة',
+    'math.rule.exp': 'القاعدة الأسية',
+    'math.rule.expBase': 'القاعدة الأسية {formula}',
+    'math.rule.plusChain': '{rule} + قاعدة السلسلة',
+    'math.rule.logDiff': 'الاشتقاق اللوغاريتمي',
+    'math.rule.constant': 'قاعدة الثابت',
+    'math.rule.powerTerms': 'قاعدة القوة، حدًّا حدًّا',
+    'math.rule.linearity': 'الخطية',
+    'math.rule.pullConst': 'إخراج الثابت',
+    'math.rule.substitution': 'التعويض {u}',
+    'math.rule.powerSub': 'قاعدة القوة مع {u}',
+    'math.rule.antiderivativeOf': 'المشتقة العكسية لـ{name}',
+    'math.rule.parts': 'التكامل بالتجزئة: {parts}',
+    'math.rule.partsShort': 'التكامل بالتجزئة ({parts})',
+    'math.differentiate': 'اشتق {expr} بالنسبة إلى {v}.',
+    'math.integrate': 'كامل {expr} بالنسبة إلى {v}.',
+    'math.solveFor': 'حلّ {eq} بالنسبة إلى {v}.',
+    'math.step.simplify': 'التبسيط',
+    'math.step.expand': 'الفك',
+    'math.step.result': 'النتيجة',
+    'math.step.evaluate': 'الحساب',
+    'math.step.simpson': 'عددي (قاعدة سمبسون)',
+    'math.step.moveSides': 'انقل كل الحدود إلى طرف واحد',
+    'math.step.expandCollect': 'الفك وجمع الحدود المتشابهة',
+    'math.step.subtractBoth': 'اطرح {n} من الطرفين',
+    'math.step.addBoth': 'أضف {n} إلى الطرفين',
+    'math.step.divideBoth': 'اقسم الطرفين على {n}',
+    'math.derivativeCheck': 'المشتقة العددية تطابق عند {n} من نقاط العينة (أقصى خطأ {err})',
+    'math.integralCheck': 'd/d{v} للنتيجة تطابق المكامَل عند {n} نقاط (أقصى خطأ {err})',
+    'math.noAntiderivative': 'لم يُعثر على مشتقة عكسية أولية بهذه القواعد.',
+    'math.simpsonGives': 'قاعدة سمبسون تعطي {value}',
+    'math.numericOnly': 'قيمة عددية فقط',
+    'math.holdsAlways': 'المعادلة صحيحة لكل {v}.',
+    'math.falseNoSolution': '{eq} خاطئة، فلا حل للمعادلة.',
+    'math.quadratic': '**الصيغة التربيعية** مع {coeffs}: {formula}',
+    'math.discriminant': '**المميّز:** {expr} {cmp}، {verdict}.',
+    'math.disc.two': 'جذران حقيقيان',
+    'math.disc.one': 'جذر مكرر واحد',
+    'math.disc.complex': 'جذران مركّبان',
+    'math.rationalRoot': '**اختبار الجذر النسبي:** {root} جذر؛ اقسم على {factor} ← {rest}',
+    'math.factorOut': '**إخراج العامل** {power}: {root} جذر.',
+    'math.remainingQuadratic': '**التربيعية المتبقية** {eq}، المميّز {d}.',
+    'math.numericSearch': '**بحث عددي** في {eq} عن الجذور الحقيقية المتبقية.',
+    'math.notPolynomial': 'ليست كثيرة حدود في {v}؛ يجري البحث العددي عن الجذور الحقيقية في {range} (تغيّر الإشارة + التنصيف).',
+    'math.tooManyRoots': 'وُجد {n} جذرًا في النافذة؛ تُعرض {max} الأقرب إلى 0.',
+    'math.solutions.one': '**الحل:** {list}',
+    'math.solutions.other': '**الحلول:** {list}',
+    'math.complexRoots': '**الجذور المركّبة:** {roots}',
+    'math.noRealSolutions': 'لم يُعثر على حلول حقيقية.',
+    'math.rejectedRoots': 'استُبعد لأن المعادلة الأصلية لا تتحقق عنده: {list}',
+    'math.noSolution': 'لا توجد قيمة لـ {v} تحقق المعادلة، لذا لا يوجد حل.',
+    'math.residual': 'التعويض العكسي يترك باقيًا لا يتجاوز {err}',
+    'math.nothingToSubstitute': 'لا شيء للتعويض',
+    'math.augmented': 'اكتب النظام في صورة مصفوفة موسّعة في {vars}:',
+    'math.swap': '**تبديل** {rows}',
+    'math.divideRow': '**قسمة** {row} على {k}',
+    'math.eliminate': '**حذف** {op}',
+    'math.noSolutionRow': 'أحد الصفوف {eq} مع {cond}: **لا حل للنظام.**',
+    'math.inconsistent': 'نظام غير متّسق',
+    'math.freeVars.one': 'متغيّر حر {vars}: **عدد لا نهائي من الحلول.**',
+    'math.freeVars.other': 'متغيّرات حرة {vars}: **عدد لا نهائي من الحلول.**',
+    'math.dependent': 'نظام تابع',
+    'math.allHold': 'كل المعادلات صحيحة بعد التعويض (أقصى باقٍ {err})',
+    'math.simplifyCheck': 'الصيغة الأصلية والمبسّطة متطابقتان عند نقطة عينة',
+    'math.zoomIn': 'تكبير',
+    'math.zoomOut': 'تصغير',
+    'math.reset': 'إعادة الضبط',
+    'math.graphHelp': 'مرّر للتكبير واسحب للتحريك. افصل بين الدوال بـ«;».',
+    'math.askStepTitle': 'اسأل المعلّم عن هذه الخطوة',
+    'math.askTutor': 'اسأل المعلّم',
+    'math.checkedOffline': 'فُحص دون اتصال:',
+    'math.checkFailed': 'فشل الفحص:',
+    'math.mode.solve': 'حلّ',
+    'math.mode.simplify': 'تبسيط',
+    'math.mode.derivative': 'مشتقة',
+    'math.mode.integral': 'تكامل',
+    'math.mode.system': 'نظام خطي',
+    'math.placeholder.solve': 'مثلًا x^2 - 5x + 6 = 0',
+    'math.placeholder.simplify': 'مثلًا (x + 1)^2 - 2x',
+    'math.placeholder.derivative': 'مثلًا x^3 sin(x)',
+    'math.placeholder.integral': 'مثلًا x e^x',
+    'math.placeholder.system': 'معادلة في كل سطر، مثلًا\n2x + 3y = 7\nx - y = 1',
+    'engine.unreadable': 'تعذّرت قراءة هذا الإدخال',
+    'math.askStep': 'أعمل على مسألة «{mode}» هذه:\n\n{input}\n\nهل يمكنك شرح هذه الخطوة؟\n\n{step}',
+    'math.title': 'مساحة الرياضيات',
+    'math.input': 'المسألة',
+    'math.for': 'بالنسبة إلى',
+    'math.variable': 'المتغيّر',
+    'math.bounds': 'الحدود (اختياري):',
+    'math.from': 'من',
+    'math.to': 'إلى',
+    'math.try': 'جرّب:',
+    'math.go': 'تنفيذ',
+    'math.stepByStep': 'خطوة بخطوة',
+    'math.graph': 'الرسم البياني',
+    'math.functionsOf': 'دوال في {v}، مثلًا sin({v}); {v}^2/4'
+  }
+});
+
+export const cas = (() => {
+  const FNS = ['asin', 'acos', 'atan', 'sinh', 'cosh', 'tanh', 'sin', 'cos', 'tan', 'sqrt', 'abs', 'exp', 'ln', 'log'];
+  const CONSTS = { pi: Math.PI, e: Math.E };
+  const EPS = 1e-9;
+
+  /* ------------------- AST ------------------- */
+  const num = (value) => ({ type: 'num', value });
+  const sym = (name) => ({ type: 'sym', name });
+  const op = (o, a, b) => ({ type: 'op', op: o, args: [a, b] });
+  const neg = (arg) => ({ type: 'neg', arg });
+  const fn = (name, arg) => ({ type: 'fn', name, arg });
+  const add = (a, b) => op('+', a, b);
+  const sub = (a, b) => op('-', a, b);
+  const mul = (a, b) => op('*', a, b);
+  const div = (a, b) => op('/', a, b);
+  const pow = (a, b) => op('^', a, b);
+
+  const isNum = (n, v) => n?.type === 'num' && (v === undefined || Math.abs(n.value - v) < EPS);
+  const has = (n, v) => {
+    if (!n) return false;
+    if (n.type === 'sym') return n.name === v;
+    if (n.type === 'op') return has(n.args[0], v) || has(n.args[1], v);
+    if (n.type === 'neg' || n.type === 'fn') return has(n.arg, v);
+    return false;
+  };
+  const symbols = (n, out = new Set()) => {
+    if (n?.type === 'sym' && !(n.name in CONSTS)) out.add(n.name);
+    if (n?.type === 'op') { symbols(n.args[0], out); symbols(n.args[1], out); }
+    if (n?.type === 'neg' || n?.type === 'fn') symbols(n.arg, out);
+    return out;
+  };
+
+  /* ------------------- Parser ------------------- */
+  const tokenize = (src) => {
+    const s = String(src || '').replace(/\*\*/g, '^').replace(/[×·]/g, '*').replace(/÷/g, '/').replace(/[−–]/g, '-').replace(/π/g, 'pi');
+    const out = [];
+    let i = 0;
+    while (i < s.length) {
+      const rest = s.slice(i);
+      if (/^\s/.test(rest)) { i++; continue; }
+      const n = /^(\d+\.?\d*|\.\d+)/.exec(rest);
+      if (n) { out.push({ t: 'num', v: parseFloat(n[0]) }); i += n[0].length; continue; }
+      if (/^[a-zA-Z]/.test(rest)) {
+        const f = FNS.find(name => rest.startsWith(name) && !/^[a-zA-Z]/.test(rest.slice(name.length)) || rest.startsWith(name + '('));
+        if (f) { out.push({ t: 'fn', v: f }); i += f.length; continue; }
+        if (/^pi(?![a-zA-Z])/.test(rest)) { out.push({ t: 'id', v: 'pi' }); i += 2; continue; }
+        // unknown words split into single-letter variables (xy → x·y); x1, y2 keep their digits
+        const v = /^[a-zA-Z]\d*/.exec(rest)[0];
+        out.push({ t: 'id', v });
+        i += v.length;
+        continue;
+      }
+      if ('+-*/^()|=,;'.includes(rest[0])) { out.push({ t: rest[0] }); i++; continue; }
+      throw new Error(tr('engine.unexpected', { token: rest[0] }));
+    }
+    return out;
+  };
+
+  const parse = (src) => {
+    const toks = tokenize(src);
+    let p = 0;
+    const peek = () => toks[p];
+    const eat = (t) => {
+      if (peek()?.t !== t) throw new Error(peek() ? tr('math.err.expectedFound', { want: t, got: peek().v ?? peek().t }) : tr('math.err.expected', { want: t }));
+      return toks[p++];
+    };
+    const startsPrimary = (tk) => tk && (tk.t === 'num' || tk.t === 'id' || tk.t === 'fn' || tk.t === '(');
+
+    const expr = () => {
+      let n = term();
+      while (peek()?.t === '+' || peek()?.t === '-') {
+        const o = toks[p++].t;
+        n = op(o, n, term());
+      }
+      return n;
+    };
+    const term = () => {
+      let n = unary();
+      for (;;) {
+        const tk = peek();
+        if (tk?.t === '*' || tk?.t === '/') { p++; n = op(tk.t, n, unary()); }
+        else if (startsPrimary(tk)) n = mul(n, power()); // implicit: 2x, 3(x+1), x y
+        else return n;
+      }
+    };
+    const unary = () => {
+      if (peek()?.t === '-') { p++; return neg(unary()); }
+      if (peek()?.t === '+') { p++; return unary(); }
+      return power();
+    };
+    const power = () => {
+      const base = primary();
+      if (peek()?.t === '^') { p++; return pow(base, unary()); }
+      return base;
+    };
+    const primary = () => {
+      const tk = peek();
+      if (!tk) throw new Error(tr('engine.end'));
+      if (tk.t === 'num') { p++; return num(tk.v); }
+      if (tk.t === 'id') { p++; return sym(tk.v); }
+      if (tk.t === 'fn') {
+        p++;
+        if (peek()?.t === '(') { p++; const a = expr(); eat(')'); return fn(tk.v, a); }
+        return fn(tk.v, power());
+      }
+      if (tk.t === '(') { p++; const a = expr(); eat(')'); return a; }
+      if (tk.t === '|') { p++; const a = expr(); eat('|'); return fn('abs', a); }
+      throw new Error(tr('engine.unexpected', { token: tk.t }));
+    };
+
+    const n = expr();
+    if (p < toks.length) throw new Error(tr('engine.unexpected', { token: toks[p].v ?? toks[p].t }));
+    return n;
+  };
+
+  // "lhs = rhs" → { lhs, rhs }; no "=" means "= 0"
+  const parseEquation = (src) => {
+    const parts = String(src).split('=');
+    if (parts.length > 2) throw new Error(tr('math.err.oneEquals'));
+    return { lhs: parse(parts[0]), rhs: parts.length === 2 ? parse(parts[1]) : num(0) };
+  };
+
+  /* ------------------- Numbers ------------------- */
+  // 0.333… → 1/3 when a small denominator fits, else 6 significant digits
+  const fraction = (x) => {
+    if (!isFinite(x)) return null;
+    if (Math.abs(x - Math.round(x)) < EPS) return [Math.round(x), 1];
+    let h1 = 1, h0 = 0, k1 = 0, k0 = 1, b = Math.abs(x);
+    for (let i = 0; i < 20; i++) {
+      const a = Math.floor(b);
+      [h1, h0] = [a * h1 + h0, h1];
+      [k1, k0] = [a * k1 + k0, k1];
+      if (k1 > 1000) return null;
+      if (Math.abs(Math.abs(x) - h1 / k1) < EPS * Math.max(1, Math.abs(x))) return [Math.sign(x) * h1, k1];
+      b = 1 / (b - a);
+      if (!isFinite(b)) break;
+    }
+    return null;
+  };
+  const fmtNum = (x) => {
+    if (!isFinite(x)) return String(x);
+    const f = fraction(x);
+    if (f) return f[1] === 1 ? String(f[0]) : `${f[0]}/${f[1]}`;
+    return String(Number(x.toPrecision(6)));
+  };
+  const texNum = (x) => {
+    const f = fraction(x);
+    if (f && f[1] !== 1) return `${f[0] < 0 ? '-' : ''}\\frac{${Math.abs(f[0])}}{${f[1]}}`;
+    return fmtNum(x);
+  };
+
+  /* ------------------- Evaluation ------------------- */
+  const FN_EVAL = {
+    sin: Math.sin, cos: Math.cos, tan: Math.tan, asin: Math.asin, acos: Math.acos, atan: Math.atan,
+    sinh: Math.sinh, cosh: Math.cosh, tanh: Math.tanh, sqrt: Math.sqrt, abs: Math.abs,
+    exp: Math.exp, ln: Math.log, log: Math.log10
+  };
+  const evaluate = (n, env = {}) => {
+    switch (n.type) {
+      case 'num': return n.value;
+      case 'sym':
+        if (n.name in env) return env[n.name];
+        if (n.name in CONSTS) return CONSTS[n.name];
+        throw new Error(tr('math.err.noValue', { name: n.name }));
+      case 'neg': return -evaluate(n.arg, env);
+      case 'fn': return FN_EVAL[n.name](evaluate(n.arg, env));
+      default: {
+        const a = evaluate(n.args[0], env), b = evaluate(n.args[1], env);
+        if (n.op === '+') return a + b;
+        if (n.op === '-') return a - b;
+        if (n.op === '*') return a * b;
+        if (n.op === '/') return a / b;
+        return Math.pow(a, b);
+      }
+    }
+  };
+  const compile = (n, v = 'x') => (x) => { try { return evaluate(n, { [v]: x }); } catch { return NaN; } };
+
+  /* ------------------- Printing ------------------- */
+  const PREC = { '+': 1, '-': 1, '*': 2, '/': 2, '^': 4 };
+  const prec = (n) => n.type === 'op' ? PREC[n.op] : n.type === 'neg' ? 3 : (n.type === 'num' && n.value < 0) ? 3 : 5;
+
+  const print = (n) => {
+    const wrap = (c, min) => prec(c) < min ? `(${print(c)})` : print(c);
+    switch (n.type) {
+      case 'num': return fmtNum(n.value).includes('/') ? `(${fmtNum(n.value)})` : fmtNum(n.value);
+      case 'sym': return n.name;
+      case 'neg': return `-${wrap(n.arg, 2)}`;
+      case 'fn': return n.name === 'abs' ? `|${print(n.arg)}|` : `${n.name}(${print(n.arg)})`;
+      default: {
+        const [a, b] = n.args;
+        if (n.op === '+') return `${print(a)} + ${print(b)}`;
+        if (n.op === '-') return `${print(a)} - ${wrap(b, 2)}`;
+        if (n.op === '*') return `${wrap(a, 2)}*${wrap(b, 3)}`;
+        if (n.op === '/') return `${wrap(a, 2)}/${wrap(b, 3)}`;
+        return `${wrap(a, 5)}^${wrap(b, 5)}`;
+      }
+    }
+  };
+
+  const TEX_FN = { sin: '\\sin', cos: '\\cos', tan: '\\tan', asin: '\\arcsin', acos: '\\arccos', atan: '\\arctan', sinh: '\\sinh', cosh: '\\cosh', tanh: '\\tanh', ln: '\\ln', log: '\\log', exp: '\\exp' };
+  const tex = (n) => {
+    const wrap = (c, min) => prec(c) < min ? `\\left(${tex(c)}\\right)` : tex(c);
+    switch (n.type) {
+      case 'num': return texNum(n.value);
+      case 'sym': return n.name === 'pi' ? '\\pi' : n.name.replace(/^([a-zA-Z])(\d+)$/, '$1_{$2}');
+      case 'neg': return `-${wrap(n.arg, 2)}`;
+      case 'fn':
+        if (n.name === 'sqrt') return `\\sqrt{${tex(n.arg)}}`;
+        if (n.name === 'abs') return `\\left|${tex(n.arg)}\\right|`;
+        return `${TEX_FN[n.name]}\\left(${tex(n.arg)}\\right)`;
+      default: {
+        const [a, b] = n.args;
+        if (n.op === '+') return `${tex(a)} + ${tex(b)}`;
+        if (n.op === '-') return `${tex(a)} - ${wrap(b, 2)}`;
+        if (n.op === '/') return `\\frac{${tex(a)}}{${tex(b)}}`;
+        if (n.op === '^') return `{${wrap(a, 5)}}^{${tex(b)}}`;
+        // 3x, 2\sin(x); otherwise an explicit dot
+        const juxt = a.type === 'num' && b.type !== 'num' && !(b.type === 'op' && b.op === '^' && b.args[0].type === 'num');
+        return `${wrap(a, 2)}${juxt ? '' : ' \\cdot '}${wrap(b, 3)}`;
+      }
+    }
+  };
+
+  /* ------------------- Simplification -------------------
+     Sums become [coef, node] terms keyed by their printed form; products become
+     a coefficient plus base^exponent factors. Like terms/bases are merged and
+     the result is rebuilt in a stable order. */
+  const key = (n) => print(n);
+
+  const factorsOf = (n, sign = 1, out = { c: 1, f: [] }) => {
+    if (n.type === 'num') { out.c *= sign > 0 ? n.value : 1 / n.value; return out; }
+    if (n.type === 'neg') { out.c *= -1; return factorsOf(n.arg, sign, out); }
+    if (n.type === 'op' && n.op === '*') { factorsOf(n.args[0], sign, out); return factorsOf(n.args[1], sign, out); }
+    if (n.type === 'op' && n.op === '/') { factorsOf(n.args[0], sign, out); return factorsOf(n.args[1], -sign, out); }
+    if (n.type === 'op' && n.op === '^' && n.args[1].type === 'num') { out.f.push({ base: n.args[0], exp: sign * n.args[1].value }); return out; }
+    out.f.push({ base: n, exp: sign });
+    return out;
+  };
+
+  const buildProduct = (c, factors) => {
+    const merged = new Map();
+    for (const { base, exp } of factors) {
+      const k = key(base);
+      const m = merged.get(k);
+      if (m) m.exp += exp; else merged.set(k, { base, exp });
+    }
+    const fs = [...merged.values()].filter(f => Math.abs(f.exp) > EPS)
+      .sort((a, b) => (b.base.type === 'sym') - (a.base.type === 'sym') || key(a.base).localeCompare(key(b.base)));
+    const powOf = (f, e) => e === 1 ? f.base : pow(f.base, num(e));
+    const top = fs.filter(f => f.exp > 0).map(f => powOf(f, f.exp));
+    const bottom = fs.filter(f => f.exp < 0).map(f => powOf(f, -f.exp));
+    if (Math.abs(c) < EPS) return num(0);
+    const chain = (list) => list.reduce((acc, t) => acc ? mul(acc, t) : t, null);
+    const cf = fraction(c);
+    let cTop = c, cBottom = 1;
+    if (bottom.length && cf && cf[1] !== 1) { cTop = cf[0]; cBottom = cf[1]; }
+    const absTop = Math.abs(cTop);
+    const numer = chain(Math.abs(absTop - 1) > EPS || !top.length ? [num(absTop), ...top] : top);
+    const denom = chain(cBottom !== 1 ? [num(cBottom), ...bottom] : bottom);
+    const out = denom ? div(numer, denom) : numer;
+    return c < 0 ? neg(out) : out;
+  };
+
+  const termsOf = (n, sign = 1, out = []) => {
+    if (n.type === 'op' && n.op === '+') { termsOf(n.args[0], sign, out); return termsOf(n.args[1], sign, out); }
+    if (n.type === 'op' && n.op === '-') { termsOf(n.args[0], sign, out); return termsOf(n.args[1], -sign, out); }
+    if (n.type === 'neg') return termsOf(n.arg, -sign, out);
+    const { c, f } = factorsOf(n);
+    out.push({ c: sign * c, rest: f.length ? buildProduct(1, f) : null });
+    return out;
+  };
+
+  // degree of a term in its symbols, for ordering x^2 + x + 1
+  const degree = (n) => {
+    if (!n) return 0;
+    if (n.type === 'sym') return 1;
+    if (n.type === 'neg') return degree(n.arg);
+    if (n.type === 'op' && n.op === '^' && n.args[1].type === 'num') return degree(n.args[0]) * n.args[1].value;
+    if (n.type === 'op' && n.op === '*') return degree(n.args[0]) + degree(n.args[1]);
+    if (n.type === 'op' && n.op === '/') return degree(n.args[0]) - degree(n.args[1]);
+    return 0.5;
+  };
+
+  const buildSum = (terms) => {
+    const merged = new Map();
+    let constant = 0;
+    for (const t of terms) {
+      if (!t.rest) { constant += t.c; continue; }
+      const k = key(t.rest);
+      const m = merged.get(k);
+      if (m) m.c += t.c; else merged.set(k, { c: t.c, rest: t.rest });
+    }
+    const list = [...merged.values()].filter(t => Math.abs(t.c) > EPS)
+      .sort((a, b) => degree(b.rest) - degree(a.rest) || key(a.rest).localeCompare(key(b.rest)));
+    if (Math.abs(constant) > EPS) list.push({ c: constant, rest: null });
+    if (!list.length) return num(0);
+    return list.reduce((acc, t) => {
+      const abs = t.rest ? (Math.abs(Math.abs(t.c) - 1) < EPS ? t.rest : buildProduct(Math.abs(t.c), factorsOf(t.rest).f)) : num(Math.abs(t.c));
+      if (!acc) return t.c < 0 ? (t.rest ? neg(abs) : num(t.c)) : abs;
+      return t.c < 0 ? sub(acc, abs) : add(acc, abs);
+    }, null);
+  };
+
+  const FN_EXACT = { sin: [[0, 0]], cos: [[0, 1]], tan: [[0, 0]], exp: [[0, 1]], ln: [[1, 0]], sqrt: [], abs: [] };
+
+  const simplify = (n) => {
+    if (n.type === 'num' || n.type === 'sym') return n;
+    if (n.type === 'neg') {
+      const a = simplify(n.arg);
+      if (a.type === 'num') return num(-a.value);
+      if (a.type === 'neg') return a.arg;
+      return buildSum(termsOf(neg(a)));
+    }
+    if (n.type === 'fn') {
+      const a = simplify(n.arg);
+      if (a.type === 'num') {
+        const exact = (FN_EXACT[n.name] || []).find(([x]) => Math.abs(x - a.value) < EPS);
+        if (exact) return num(exact[1]);
+        if (n.name === 'sqrt' && a.value >= 0 && Number.isInteger(Math.sqrt(a.value))) return num(Math.sqrt(a.value));
+        if (n.name === 'abs') return num(Math.abs(a.value));
+      }
+      if (n.name === 'ln' && a.type === 'sym' && a.name === 'e') return num(1);
+      if (n.name === 'ln' && a.type === 'fn' && a.name === 'exp') return a.arg;
+      return fn(n.name, a);
+    }
+    const a = simplify(n.args[0]), b = simplify(n.args[1]);
+    if (n.op === '^') {
+      if (isNum(b, 0)) return num(1);
+      if (isNum(b, 1)) return a;
+      if (isNum(a, 0)) return num(0);
+      if (isNum(a, 1)) return num(1);
+      if (a.type === 'num' && b.type === 'num') {
+        const v = Math.pow(a.value, b.value);
+        if (isFinite(v) && (Number.isInteger(b.value) || Number.isInteger(v))) return num(v);
+      }
+      if (a.type === 'op' && a.op === '^' && a.args[1].type === 'num' && b.type === 'num') return simplify(pow(a.args[0], num(a.args[1].value * b.value)));
+      if (b.type === 'num') return buildProduct(1, factorsOf(pow(a, b)).f);
+      return pow(a, b);
+    }
+    if (n.op === '+' || n.op === '-') return buildSum(termsOf(op(n.op, a, b)));
+    const { c, f } = factorsOf(op(n.op, a, b));
+    if (!isFinite(c)) return op(n.op, a, b);
+    return buildProduct(c, f);
+  };
+
+  // distributes products over sums and expands small integer powers of sums
+  const expand = (n) => {
+    const e = (m) => {
+      if (m.type === 'neg') return neg(e(m.arg));
+      if (m.type === 'fn') return fn(m.name, expand(m.arg));
+      if (m.type !== 'op') return m;
+      const a = e(m.args[0]), b = e(m.args[1]);
+      const isSum = (x) => x.type === 'op' && (x.op === '+' || x.op === '-');
+      if (m.op === '*') {
+        if (isSum(a)) return e(op(a.op, mul(a.args[0], b), mul(a.args[1], b)));
+        if (isSum(b)) return e(op(b.op, mul(a, b.args[0]), mul(a, b.args[1])));
+        if (a.type === 'neg') return neg(e(mul(a.arg, b)));
+        if (b.type === 'neg') return neg(e(mul(a, b.arg)));
+      }
+      if (m.op === '/' && isSum(a)) return e(op(a.op, div(a.args[0], b), div(a.args[1], b)));
+      if (m.op === '^' && isSum(a) && b.type === 'num' && Number.isInteger(b.value) && b.value > 1 && b.value <= 12) {
+        let acc = a;
+        for (let i = 1; i < b.value; i++) acc = e(mul(acc, a));
+        return acc;
+      }
+      return op(m.op, a, b);
+    };
+    return simplify(e(simplify(n)));
+  };
+
+  /* ------------------- Polynomials ------------------- */
+  const trim = (c) => { const out = [...c]; while (out.length > 1 && Math.abs(out[out.length - 1]) < EPS) out.pop(); return out; };
+  const padd = (a, b) => trim(Array.from({ length: Math.max(a.length, b.length) }, (_, i) => (a[i] || 0) + (b[i] || 0)));
+  const pmul = (a, b) => {
+    const out = Array(a.length + b.length - 1).fill(0);
+    a.forEach((x, i) => b.forEach((y, j) => { out[i + j] += x * y; }));
+    return trim(out);
+  };
+
+  // coefficients [c0, c1, …] of n as a polynomial in v, or null
+  const polyCoeffs = (n, v) => {
+    if (!has(n, v)) {
+      try { return [evaluate(n)]; } catch { return null; }
+    }
+    switch (n.type) {
+      case 'sym': return [0, 1];
+      case 'neg': { const a = polyCoeffs(n.arg, v); return a && a.map(x => -x); }
+      case 'op': {
+        const a = polyCoeffs(n.args[0], v);
+        if (!a) return null;
+        if (n.op === '^') {
+          const e = n.args[1];
+          if (has(e, v)) return null;
+          const k = evaluate(e);
+          if (!Number.isInteger(k) || k < 0 || k > 30) return null;
+          let acc = [1];
+          for (let i = 0; i < k; i++) acc = pmul(acc, a);
+          return acc;
+        }
+        const b = polyCoeffs(n.args[1], v);
+        if (!b) return null;
+        if (n.op === '+') return padd(a, b);
+        if (n.op === '-') return padd(a, b.map(x => -x));
+        if (n.op === '*') return pmul(a, b);
+        if (n.op === '/' && b.length === 1 && Math.abs(b[0]) > EPS) return a.map(x => x / b[0]);
+        return null;
+      }
+      default: return null;
+    }
+  };
+
+  const polyNode = (c, v) => simplify(c.reduce((acc, k, i) => {
+    if (Math.abs(k) < EPS) return acc;
+    const t = i === 0 ? num(k) : mul(num(k), i === 1 ? sym(v) : pow(sym(v), num(i)));
+    return acc ? add(acc, t) : t;
+  }, null) || num(0));
+
+  /* ------------------- Derivatives ------------------- */
+  const dtex = (n, v) => `\\frac{d}{d${v}}\\left[${tex(n)}\\right]`;
+
+  const diff = (n, v, steps) => {
+    const note = (rule, result) => { steps.push(`**${rule}:** $${dtex(n, v)} = ${tex(simplify(result))}$`); return result; };
+    if (!has(n, v)) return num(0);
+    switch (n.type) {
+      case 'sym': return num(1);
+      case 'neg': return neg(diff(n.arg, v, steps));
+      case 'fn': {
+        const u = n.arg;
+        const du = diff(u, v, steps);
+        const outer = {
+          sin: () => fn('cos', u),
+          cos: () => neg(fn('sin', u)),
+          tan: () => div(num(1), pow(fn('cos', u), num(2))),
+          asin: () => div(num(1), fn('sqrt', sub(num(1), pow(u, num(2))))),
+          acos: () => neg(div(num(1), fn('sqrt', sub(num(1), pow(u, num(2)))))),
+          atan: () => div(num(1), add(num(1), pow(u, num(2)))),
+          sinh: () => fn('cosh', u),
+          cosh: () => fn('sinh', u),
+          tanh: () => sub(num(1), pow(fn('tanh', u), num(2))),
+          sqrt: () => div(num(1), mul(num(2), fn('sqrt', u))),
+          abs: () => div(u, fn('abs', u)),
+          exp: () => fn('exp', u),
+          ln: () => div(num(1), u),
+          log: () => div(num(1), mul(u, fn('ln', num(10))))
+        }[n.name]();
+        const rule = tr(u.type === 'sym' ? 'math.rule.derivativeOf' : 'math.rule.chain', { name: n.name });
+        return note(rule, u.type === 'sym' ? outer : mul(outer, du));
+      }
+      default: {
+        const [a, b] = n.args;
+        if (n.op === '+' || n.op === '-') {
+          const r = op(n.op, diff(a, v, steps), diff(b, v, steps));
+          return note(tr('math.rule.sum'), r);
+        }
+        if (n.op === '*') {
+          if (!has(a, v)) return note(tr('math.rule.constMultiple'), mul(a, diff(b, v, steps)));
+          if (!has(b, v)) return note(tr('math.rule.constMultiple'), mul(diff(a, v, steps), b));
+          const da = diff(a, v, steps), db = diff(b, v, steps);
+          return note(tr('math.rule.product', { formula: "(fg)' = f'g + fg'" }), add(mul(da, b), mul(a, db)));
+        }
+        if (n.op === '/') {
+          if (!has(b, v)) return note(tr('math.rule.constMultiple'), div(diff(a, v, steps), b));
+          const da = diff(a, v, steps), db = diff(b, v, steps);
+          return note(tr('math.rule.quotient', { formula: "(f/g)' = (f'g − fg')/g²" }), div(sub(mul(da, b), mul(a, db)), pow(b, num(2))));
+        }
+        // ^
+        if (!has(b, v)) {
+          const k = simplify(b);
+          const outer = mul(k, pow(a, simplify(sub(k, num(1)))));
+          if (a.type === 'sym') return note(tr('math.rule.power'), outer);
+          return note(tr('math.rule.powerChain'), mul(outer, diff(a, v, steps)));
+        }
+        if (!has(a, v)) {
+          const base = a.type === 'sym' && a.name === 'e' ? n : mul(n, fn('ln', a));
+          const rule = a.type === 'sym' && a.name === 'e' ? tr('math.rule.exp') : tr('math.rule.expBase', { formula: 'aᵘ → aᵘ·ln a' });
+          return note(b.type === 'sym' ? rule : tr('math.rule.plusChain', { rule }), b.type === 'sym' ? base : mul(base, diff(b, v, steps)));
+        }
+        // f^g = e^(g ln f)
+        return note(tr('math.rule.logDiff'), mul(n, add(mul(diff(b, v, steps), fn('ln', a)), div(mul(b, diff(a, v, steps)), a))));
+      }
+    }
+  };
+
+  const derivative = (src, v = 'x') => {
+    const n = parse(src);
+    const steps = [tr('math.differentiate', { expr: `$${tex(n)}$`, v: `$${v}$` })];
+    const raw = diff(n, v, steps);
+    const result = simplify(raw);
+    steps.push(`**${tr('math.step.simplify')}:** $${dtex(n, v)} = ${tex(result)}$`);
+    // self-check: compare with a central difference at a few points
+    const f = compile(n, v), g = compile(result, v);
+    const samples = [0.37, 1.3, -0.85, 2.2].filter(x => isFinite(f(x)) && isFinite(g(x)));
+    const worst = Math.max(0, ...samples.map(x => {
+      const h = 1e-5, numeric = (f(x + h) - f(x - h)) / (2 * h);
+      return Math.abs(numeric - g(x)) / Math.max(1, Math.abs(numeric));
+    }));
+    return { input: n, result, steps, check: { ok: samples.length > 0 && worst < 1e-4, detail: tr('math.derivativeCheck', { n: samples.length, err: worst.toExponential(1) }) } };
+  };
+
+  /* ------------------- Integrals ------------------- */
+  // a·v + b for a node linear in v, else null
+  const linear = (n, v) => {
+    const c = polyCoeffs(n, v);
+    return c && c.length === 2 ? { a: c[1], b: c[0] } : null;
+  };
+
+  const integ = (n, v, steps, depth = 0) => {
+    const note = (rule, result) => { steps.push(`**${rule}:** $\\int ${tex(n)}\\,d${v} = ${tex(simplify(result))}$`); return result; };
+    if (depth > 6) return null;
+    if (!has(n, v)) return note(tr('math.rule.constant'), mul(n, sym(v)));
+
+    const poly = polyCoeffs(n, v);
+    if (poly) {
+      const out = [0, ...poly.map((c, i) => c / (i + 1))];
+      return note(tr('math.rule.powerTerms'), polyNode(out, v));
+    }
+    if (n.type === 'neg') { const r = integ(n.arg, v, steps, depth + 1); return r && neg(r); }
+    if (n.type === 'op' && (n.op === '+' || n.op === '-')) {
+      const a = integ(n.args[0], v, steps, depth + 1), b = integ(n.args[1], v, steps, depth + 1);
+      return a && b && note(tr('math.rule.linearity'), op(n.op, a, b));
+    }
+
+    const { c, f } = factorsOf(n);
+    const consts = f.filter(x => !has(x.base, v));
+    const vars = f.filter(x => has(x.base, v));
+    if (Math.abs(c - 1) > EPS || consts.length) {
+      const inner = buildProduct(1, vars);
+      const r = integ(inner, v, steps, depth + 1);
+      return r && note(tr('math.rule.pullConst'), mul(buildProduct(c, consts), r));
+    }
+
+    // single factor: base^exp
+    if (vars.length === 1) {
+      const { base, exp } = vars[0];
+      const lin = linear(base, v);
+      if (lin && Math.abs(exp + 1) < EPS) {
+        return note(lin.a === 1 && lin.b === 0 ? '∫1/x dx = ln|x|' : tr('math.rule.substitution', { u: 'u = ax + b' }), div(fn('ln', fn('abs', base)), num(lin.a)));
+      }
+      if (lin && exp !== 1) {
+        return note(tr('math.rule.powerSub', { u: 'u = ax + b' }), div(pow(base, num(exp + 1)), num(lin.a * (exp + 1))));
+      }
+      if (exp === 1 && base.type === 'fn') {
+        const l = linear(base.arg, v);
+        const u = base.arg;
+        const rule = l && (l.a !== 1 || l.b !== 0) ? tr('math.rule.substitution', { u: 'u = ax + b' }) : tr('math.rule.antiderivativeOf', { name: base.name });
+        if (l && base.name === 'sin') return note(rule, div(neg(fn('cos', u)), num(l.a)));
+        if (l && base.name === 'cos') return note(rule, div(fn('sin', u), num(l.a)));
+        if (l && base.name === 'exp') return note(rule, div(fn('exp', u), num(l.a)));
+        if (l && base.name === 'tan') return note(rule, div(neg(fn('ln', fn('abs', fn('cos', u)))), num(l.a)));
+        if (l && base.name === 'sinh') return note(rule, div(fn('cosh', u), num(l.a)));
+        if (l && base.name === 'cosh') return note(rule, div(fn('sinh', u), num(l.a)));
+        if (l && base.name === 'ln') return note(tr('math.rule.partsShort', { parts: 'u = ln, dv = dx' }), div(sub(mul(u, fn('ln', u)), u), num(l.a)));
+      }
+      if (exp === -2 && base.type === 'fn' && base.name === 'cos') {
+        const l = linear(base.arg, v);
+        if (l) return note('∫sec² = tan', div(fn('tan', base.arg), num(l.a)));
+      }
+      // a^(bx + c)
+      if (exp === 1 && base.type === 'op' && base.op === '^' && !has(base.args[0], v)) {
+        const l = linear(base.args[1], v);
+        if (l) {
+          const isE = base.args[0].type === 'sym' && base.args[0].name === 'e';
+          return note(tr('math.rule.exp'), div(base, isE ? num(l.a) : mul(num(l.a), fn('ln', base.args[0]))));
+        }
+      }
+    }
+
+    // P(x)·g(x): integration by parts with u = P, dv = g dx, repeated until P' = 0
+    if (vars.length === 2) {
+      for (const [pf, gf] of [[vars[0], vars[1]], [vars[1], vars[0]]]) {
+        const P = buildProduct(1, [pf]);
+        const G = buildProduct(1, [gf]);
+        if (!polyCoeffs(P, v) || polyCoeffs(G, v)) continue;
+        const sub1 = [];
+        const Gint = integ(G, v, sub1, depth + 1);
+        if (!Gint) continue;
+        const dP = simplify(diff(P, v, []));
+        const rest = integ(simplify(mul(dP, Gint)), v, [], depth + 1);
+        if (!rest) continue;
+        return note(tr('math.rule.parts', { parts: `u = ${print(P)}, dv = ${print(G)} d${v}` }), sub(mul(P, Gint), rest));
+      }
+    }
+    return null;
+  };
+
+  const simpson = (f, a, b, n = 2000) => {
+    const h = (b - a) / n;
+    let s = f(a) + f(b);
+    for (let i = 1; i < n; i++) s += f(a + i * h) * (i % 2 ? 4 : 2);
+    return s * h / 3;
+  };
+
+  const integral = (src, v = 'x', lower, upper) => {
+    const n = parse(src);
+    const steps = [tr('math.integrate', { expr: `$${tex(n)}$`, v: `$${v}$` })];
+    const raw = integ(simplify(n), v, steps);
+    const F = raw && simplify(raw);
+    const f = compile(n, v);
+    const definite = lower !== undefined && lower !== '' && upper !== undefined && upper !== '';
+    const out = { input: n, result: F, steps, definite };
+
+    if (F) {
+      steps.push(`**${tr('math.step.result')}:** $\\int ${tex(n)}\\,d${v} = ${tex(F)} + C$`);
+      const g = compile(F, v);
+      const samples = [0.4, 1.1, 1.7, 2.6].filter(x => isFinite(g(x)) && isFinite(f(x)));
+      const worst = Math.max(0, ...samples.map(x => { const h = 1e-5; return Math.abs((g(x + h) - g(x - h)) / (2 * h) - f(x)) / Math.max(1, Math.abs(f(x))); }));
+      out.check = { ok: samples.length > 0 && worst < 1e-4, detail: tr('math.integralCheck', { v, n: samples.length, err: worst.toExponential(1) }) };
+    } else {
+      steps.push(tr('math.noAntiderivative'));
+    }
+
+    if (definite) {
+      const a = evaluate(parse(String(lower))), b = evaluate(parse(String(upper)));
+      const numeric = simpson(f, a, b);
+      if (F) {
+        const g = compile(F, v);
+        out.value = g(b) - g(a);
+        steps.push(`**${tr('math.step.evaluate')}:** $\\left[${tex(F)}\\right]_{${fmtNum(a)}}^{${fmtNum(b)}} = ${texNum(out.value)}$`);
+        out.check = { ok: Math.abs(out.value - numeric) < 1e-6 * Math.max(1, Math.abs(numeric)), detail: tr('math.simpsonGives', { value: fmtNum(numeric) }) };
+      } else {
+        out.value = numeric;
+        steps.push(`**${tr('math.step.simpson')}:** $\\int_{${fmtNum(a)}}^{${fmtNum(b)}} ${tex(n)}\\,d${v} \\approx ${fmtNum(numeric)}$`);
+        out.check = { ok: isFinite(numeric), detail: tr('math.numericOnly') };
+      }
+    }
+    return out;
+  };
+
+  /* ------------------- Equations ------------------- */
+  // the first constant divisor that is zero (x/0, 1/(2 − 2)); divisors with the variable are left to the root check
+  const zeroDivisor = (n) => {
+    if (n.type === 'op') {
+      if (n.op === '/' && !symbols(n.args[1]).size && Math.abs(evaluate(n.args[1])) < EPS) return n;
+      return zeroDivisor(n.args[0]) || zeroDivisor(n.args[1]);
+    }
+    if (n.type === 'neg' || n.type === 'fn') return zeroDivisor(n.arg);
+    return null;
+  };
+
+  const realRootsNumeric = (f, lo = -10, hi = 10, step = 0.005) => {
+    const roots = [];
+    let x0 = lo, y0 = f(x0);
+    for (let x1 = lo + step; x1 <= hi; x1 += step) {
+      const y1 = f(x1);
+      if (isFinite(y0) && isFinite(y1)) {
+        if (Math.abs(y0) < 1e-12) roots.push(x0);
+        else if (y0 * y1 < 0) {
+          let a = x0, b = x1;
+          for (let i = 0; i < 80; i++) { const m = (a + b) / 2; if (f(a) * f(m) <= 0) b = m; else a = m; }
+          const r = (a + b) / 2;
+          if (Math.abs(f(r)) < 1e-6) roots.push(r); // skip poles (sign change through infinity)
+        }
+      }
+      x0 = x1; y0 = y1;
+    }
+    return roots.filter((r, i) => i === 0 || Math.abs(r - roots[i - 1]) > 1e-6);
+  };
+
+  const solve = (src, v = 'x') => {
+    const { lhs, rhs } = parseEquation(src);
+    const zero = zeroDivisor(lhs) || zeroDivisor(rhs);
+    if (zero) throw new Error(tr('math.err.divByZero', { expr: print(zero) }));
+    const steps = [tr('math.solveFor', { eq: `$${tex(lhs)} = ${tex(rhs)}$`, v: `$${v}$` })];
+    const moved = simplify(sub(lhs, rhs));
+    steps.push(`**${tr('math.step.moveSides')}:** $${tex(moved)} = 0$`);
+    const f = compile(sub(lhs, rhs), v);
+    let solutions = [];
+    let complex = [];
+    let identity = false;
+    let numeric = false;
+
+    const c = polyCoeffs(moved, v);
+    if (c) {
+      const deg = c.length - 1;
+      const expanded = polyNode(c, v);
+      if (key(expanded) !== key(moved)) steps.push(`**${tr('math.step.expandCollect')}:** $${tex(expanded)} = 0$`);
+      if (deg === 0) {
+        identity = Math.abs(c[0]) < EPS;
+        steps.push(identity ? tr('math.holdsAlways', { v: `$${v}$` }) : tr('math.falseNoSolution', { eq: `$${texNum(c[0])} = 0$` }));
+      } else if (deg === 1) {
+        const [b, a] = c;
+        if (Math.abs(b) > EPS) steps.push(`**${tr(b > 0 ? 'math.step.subtractBoth' : 'math.step.addBoth', { n: fmtNum(Math.abs(b)) })}:** $${tex(simplify(mul(num(a), sym(v))))} = ${texNum(-b)}$`);
+        if (Math.abs(a - 1) > EPS) steps.push(`**${tr('math.step.divideBoth', { n: fmtNum(a) })}:** $${v} = ${texNum(-b / a)}$`);
+        solutions = [-b / a];
+      } else if (deg === 2) {
+        const [cc, b, a] = c;
+        const D = b * b - 4 * a * cc;
+        steps.push(tr('math.quadratic', { coeffs: `$a = ${texNum(a)},\\ b = ${texNum(b)},\\ c = ${texNum(cc)}$`, formula: `$${v} = \\frac{-b \\pm \\sqrt{b^2 - 4ac}}{2a}$` }));
+        const [cmp, verdict] = D > EPS ? ['> 0', 'two'] : Math.abs(D) <= EPS ? ['= 0', 'one'] : ['< 0', 'complex'];
+        steps.push(tr('math.discriminant', { expr: `$b^2 - 4ac = ${texNum(D)}$`, cmp, verdict: tr(`math.disc.${verdict}`) }));
+        if (D > EPS) solutions = [(-b - Math.sqrt(D)) / (2 * a), (-b + Math.sqrt(D)) / (2 * a)];
+        else if (Math.abs(D) <= EPS) solutions = [-b / (2 * a)];
+        else complex = [[-b / (2 * a), Math.sqrt(-D) / (2 * a)]];
+      } else {
+        // rational roots first, then deflate; leftovers are found numerically
+        let rest = [...c];
+        const tried = new Set();
+        const divisors = (k) => { const n = Math.abs(Math.round(k)); const d = []; for (let i = 1; i <= Math.min(n, 1000); i++) if (n % i === 0) d.push(i); return d; };
+        if (c.every(k => Number.isInteger(k) && Math.abs(k) < 1e6) && Math.abs(c[0]) > EPS) {
+          for (const p of divisors(c[0])) for (const q of divisors(c[c.length - 1])) for (const r of [p / q, -p / q]) {
+            if (tried.has(r)) continue;
+            tried.add(r);
+            while (rest.length > 1 && Math.abs(rest.reduceRight((acc, k) => acc * r + k, 0)) < 1e-9) {
+              const out = [];
+              let carry = 0;
+              for (let i = rest.length - 1; i > 0; i--) { carry = carry * r + rest[i]; out.unshift(carry); }
+              rest = out;
+              solutions.push(r);
+              steps.push(tr('math.rationalRoot', { root: `$${v} = ${texNum(r)}$`, factor: `$(${v} ${r < 0 ? '+' : '-'} ${texNum(Math.abs(r))})$`, rest: `$${tex(polyNode(rest, v))}$` }));
+            }
+          }
+        } else if (Math.abs(c[0]) <= EPS) {
+          let k = 0;
+          while (Math.abs(rest[0]) <= EPS && rest.length > 1) { rest = rest.slice(1); k++; }
+          solutions.push(0);
+          steps.push(tr('math.factorOut', { power: `$${v}^{${k}}$`, root: `$${v} = 0$` }));
+        }
+        if (rest.length === 3) {
+          const [cc, b, a] = rest;
+          const D = b * b - 4 * a * cc;
+          steps.push(tr('math.remainingQuadratic', { eq: `$${tex(polyNode(rest, v))} = 0$`, d: `$${texNum(D)}$` }));
+          if (D >= -EPS) solutions.push((-b - Math.sqrt(Math.max(0, D))) / (2 * a), (-b + Math.sqrt(Math.max(0, D))) / (2 * a));
+          else complex = [[-b / (2 * a), Math.sqrt(-D) / (2 * a)]];
+        } else if (rest.length === 2) {
+          solutions.push(-rest[0] / rest[1]);
+        } else if (rest.length > 3) {
+          const g = (x) => rest.reduceRight((acc, k) => acc * x + k, 0);
+          const more = realRootsNumeric(g);
+          if (more.length) { numeric = true; solutions.push(...more); steps.push(tr('math.numericSearch', { eq: `$${tex(polyNode(rest, v))} = 0$` })); }
+        }
+      }
+    } else {
+      numeric = true;
+      steps.push(tr('math.notPolynomial', { v: `$${v}$`, range: '$[-10, 10]$' }));
+      solutions = realRootsNumeric(f);
+      if (solutions.length > 12) { steps.push(tr('math.tooManyRoots', { n: solutions.length, max: 12 })); solutions = solutions.sort((a, b) => Math.abs(a) - Math.abs(b)).slice(0, 12); }
+    }
+
+    solutions = [...new Set(solutions.map(x => Number(x.toPrecision(12))))].sort((a, b) => a - b);
+    // the moved, simplified form can have roots the original lacks: (x² − 1)/(x − 1) = 2 gives x = 1, where it is 0/0
+    const [fl, fr] = [compile(lhs, v), compile(rhs, v)];
+    const holds = (x) => {
+      const [a, b] = [fl(x), fr(x)];
+      return isFinite(a) && isFinite(b) && Math.abs(a - b) <= 1e-6 * Math.max(1, Math.abs(a), Math.abs(b));
+    };
+    const rejected = solutions.filter(x => !holds(x));
+    if (rejected.length) {
+      steps.push(tr('math.rejectedRoots', { list: `$${rejected.map(x => `${v} = ${texNum(x)}`).join(',\\quad ')}$` }));
+      solutions = solutions.filter(holds);
+    }
+    if (solutions.length) steps.push(tr(`math.solutions.${solutions.length > 1 ? 'other' : 'one'}`, { list: `$${solutions.map(x => `${v} = ${texNum(x)}`).join(',\\quad ')}$` }));
+    if (complex.length) {
+      const [re, im] = [complex[0][0], Math.abs(complex[0][1])];
+      steps.push(tr('math.complexRoots', { roots: `$${v} = ${Math.abs(re) > EPS ? `${texNum(re)} ` : ''}\\pm ${Math.abs(im - 1) > EPS ? texNum(im) : ''}i$` }));
+    }
+    if (!solutions.length && !complex.length && !identity && (c ? c.length > 1 : true)) steps.push(rejected.length ? tr('math.noSolution', { v: `$${v}$` }) : tr('math.noRealSolutions'));
+
+    const residuals = solutions.map(x => Math.abs(f(x)));
+    const worst = Math.max(0, ...residuals);
+    return {
+      lhs, rhs, steps, solutions, complex, identity, numeric,
+      check: { ok: !solutions.length || worst < 1e-6, detail: solutions.length ? tr('math.residual', { err: worst.toExponential(1) }) : tr('math.nothingToSubstitute') }
+    };
+  };
+
+  /* ------------------- Linear systems ------------------- */
+  const matrixTex = (M, vars) => {
+    const rows = M.map(r => r.map(texNum).slice(0, -1).join(' & ') + ' & ' + texNum(r[r.length - 1])).join(' \\\\ ');
+    return `\\left[\\begin{array}{${'c'.repeat(vars.length)}|c} ${rows} \\end{array}\\right]`;
+  };
+
+  const solveSystem = (src) => {
+    const eqs = String(src).split(/[;\n]+/).map(s => s.trim()).filter(Boolean).map(parseEquation);
+    if (eqs.length < 2) throw new Error(tr('math.err.twoEquations'));
+    const exprs = eqs.map(e => sub(e.lhs, e.rhs));
+    const vars = [...exprs.reduce((s, e) => symbols(e, s), new Set())].sort();
+    if (!vars.length) throw new Error(tr('math.err.noVariables'));
+
+    // Linear forms by probing: coefficient of v = f(e_v) − f(0), checked at random points
+    const M = exprs.map((e, i) => {
+      const at = (env) => evaluate(e, env);
+      const zero = Object.fromEntries(vars.map(v => [v, 0]));
+      const k = at(zero);
+      const row = vars.map(v => at({ ...zero, [v]: 1 }) - k);
+      for (let t = 0; t < 3; t++) {
+        const env = Object.fromEntries(vars.map(v => [v, Math.random() * 10 - 5]));
+        const predicted = k + vars.reduce((s, v, j) => s + row[j] * env[v], 0);
+        if (Math.abs(at(env) - predicted) > 1e-6 * Math.max(1, Math.abs(predicted))) throw new Error(tr('math.err.notLinear', { n: i + 1 }));
+      }
+      return [...row, -k];
+    });
+
+    const steps = [tr('math.augmented', { vars: `$${vars.join(', ')}$` }), `$$${matrixTex(M, vars)}$$`];
+    const rows = M.length, cols = vars.length;
+    let r = 0;
+    const pivots = [];
+    for (let col = 0; col < cols && r < rows; col++) {
+      let best = r;
+      for (let i = r + 1; i < rows; i++) if (Math.abs(M[i][col]) > Math.abs(M[best][col])) best = i;
+      if (Math.abs(M[best][col]) < EPS) continue;
+      if (best !== r) { [M[r], M[best]] = [M[best], M[r]]; steps.push(tr('math.swap', { rows: `$R_{${r + 1}} \\leftrightarrow R_{${best + 1}}$` })); }
+      const pv = M[r][col];
+      if (Math.abs(pv - 1) > EPS) { M[r] = M[r].map(x => x / pv); steps.push(tr('math.divideRow', { row: `$R_{${r + 1}}$`, k: `$${texNum(pv)}$` })); }
+      for (let i = 0; i < rows; i++) {
+        if (i === r || Math.abs(M[i][col]) < EPS) continue;
+        const k = M[i][col];
+        M[i] = M[i].map((x, j) => x - k * M[r][j]);
+        const times = Math.abs(Math.abs(k) - 1) < EPS ? '' : texNum(Math.abs(k));
+        steps.push(tr('math.eliminate', { op: `$R_{${i + 1}} \\leftarrow R_{${i + 1}} ${k > 0 ? '-' : '+'} ${times}R_{${r + 1}}$` }));
+      }
+      steps.push(`$$${matrixTex(M.map(row => row.map(x => Math.abs(x) < EPS ? 0 : x)), vars)}$$`);
+      pivots.push(col);
+      r++;
+    }
+
+    const inconsistent = M.some(row => row.slice(0, cols).every(x => Math.abs(x) < EPS) && Math.abs(row[cols]) > 1e-7);
+    if (inconsistent) {
+      steps.push(tr('math.noSolutionRow', { eq: '$0 = c$', cond: '$c \\ne 0$' }));
+      return { vars, steps, status: 'none', check: { ok: true, detail: tr('math.inconsistent') } };
+    }
+    if (pivots.length < cols) {
+      const free = vars.filter((_, j) => !pivots.includes(j));
+      steps.push(tr(`math.freeVars.${free.length > 1 ? 'other' : 'one'}`, { vars: `$${free.join(', ')}$` }));
+      return { vars, steps, status: 'infinite', check: { ok: true, detail: tr('math.dependent') } };
+    }
+    const solution = Object.fromEntries(pivots.map((col, i) => [vars[col], M[i][cols]]));
+    steps.push(tr('math.solutions.one', { list: `$${vars.map(v => `${v} = ${texNum(solution[v])}`).join(',\\quad ')}$` }));
+    const worst = Math.max(...exprs.map(e => Math.abs(evaluate(e, solution))));
+    return { vars, steps, status: 'unique', solution, check: { ok: worst < 1e-6, detail: tr('math.allHold', { err: worst.toExponential(1) }) } };
+  };
+
+  const simplifyExpr = (src) => {
+    const n = parse(src);
+    const s = simplify(n);
+    const e = expand(n);
+    const steps = [`**Input:** $${tex(n)}$`];
+    if (key(s) !== key(n)) steps.push(`**${tr('math.step.simplify')}:** $${tex(s)}$`);
+    if (key(e) !== key(s)) steps.push(`**${tr('math.step.expand')}:** $${tex(e)}$`);
+    const f = compile(n, 'x'), g = compile(e, 'x');
+    const vars = [...symbols(n)];
+    const env = Object.fromEntries(vars.map((v, i) => [v, 0.7 + i * 0.31]));
+    let worst = 0;
+    try { worst = Math.abs(evaluate(n, env) - evaluate(e, env)); } catch { worst = NaN; }
+    return { input: n, result: e, steps, check: { ok: worst < 1e-9 || (!vars.length && Math.abs(f(0) - g(0)) < 1e-9), detail: tr('math.simplifyCheck') } };
+  };
+
+  return { parse, print, tex, simplify, expand, compile, evaluate, derivative, integral, solve, solveSystem, simplifyExpr, fmtNum, symbols };
+})();
+
+/* ----------------------------------------------------------------------------
+   Math workspace: graph + step-by-step solver
+---------------------------------------------------------------------------- */
+const PLOT_COLORS = ['#c084fc', '#f472b6', '#60a5fa', '#34d399', '#fbbf24'];
+const GRAPH_W = 640, GRAPH_H = 400;
+
+// 1, 2, 5 × 10^k grid spacing for roughly `target` lines across `span`
+const niceStep = (span, target = 10) => {
+  const raw = span / target;
+  const mag = Math.pow(10, Math.floor(Math.log10(raw)));
+  const m = raw / mag;
+  return (m < 1.5 ? 1 : m < 3.5 ? 2 : m < 7.5 ? 5 : 10) * mag;
+};
+
+function Graph({ src, variable = 'x', points = [] }) {
+  const svgRef = useRef(null);
+  const drag = useRef(null);
+  const [view, setView] = useState({ cx: 0, cy: 0, span: 20 });
+  const { cx, cy, span } = view;
+  const scale = GRAPH_W / span; // px per unit
+  const toPx = (x, y) => [GRAPH_W / 2 + (x - cx) * scale, GRAPH_H / 2 - (y - cy) * scale];
+
+  const curves = useMemo(() => String(src || '').split(';').map(s => s.trim()).filter(Boolean).map((s, i) => {
+    try { return { label: s, f: cas.compile(cas.parse(s), variable), color: PLOT_COLORS[i % PLOT_COLORS.length] }; }
+    catch (e) { return { label: s, error: e.message, color: PLOT_COLORS[i % PLOT_COLORS.length] }; }
+  }), [src, variable]);
+
+  // wheel zoom around the cursor; React's onWheel is passive, so attach natively
+  useEffect(() => {
+    const el = svgRef.current;
+    if (!el) return undefined;
+    const onWheel = (e) => {
+      e.preventDefault();
+      const r = el.getBoundingClientRect();
+      const px = (e.clientX - r.left) / r.width * GRAPH_W, py = (e.clientY - r.top) / r.height * GRAPH_H;
+      const factor = Math.exp(clamp(e.deltaY, -100, 100) / 300);
+      setView(v => {
+        const s = GRAPH_W / v.span;
+        const ux = v.cx + (px - GRAPH_W / 2) / s, uy = v.cy - (py - GRAPH_H / 2) / s;
+        const span2 = clamp(v.span * factor, 1e-3, 1e5);
+        const s2 = GRAPH_W / span2;
+        return { span: span2, cx: ux - (px - GRAPH_W / 2) / s2, cy: uy + (py - GRAPH_H / 2) / s2 };
+      });
+    };
+    el.addEventListener('wheel', onWheel, { passive: false });
+    return () => el.removeEventListener('wheel', onWheel);
+  }, []);
+
+  const onPointerDown = (e) => {
+    e.currentTarget.setPointerCapture(e.pointerId);
+    drag.current = { x: e.clientX, y: e.clientY, cx, cy };
+  };
+  const onPointerMove = (e) => {
+    const d = drag.current;
+    if (!d) return;
+    const r = svgRef.current.getBoundingClientRect();
+    const unitsPerClientPx = span / r.width;
+    setView(v => ({ ...v, cx: d.cx - (e.clientX - d.x) * unitsPerClientPx, cy: d.cy + (e.clientY - d.y) * unitsPerClientPx }));
+  };
+  const onPointerUp = () => { drag.current = null; };
+
+  const step = niceStep(span);
+  const half = { w: span / 2, h: span * GRAPH_H / GRAPH_W / 2 };
+  const xs = [], ys = [];
+  for (let x = Math.ceil((cx - half.w) / step) * step; x <= cx + half.w; x += step) xs.push(x);
+  for (let y = Math.ceil((cy - half.h) / step) * step; y <= cy + half.h; y += step) ys.push(y);
+  const [ox, oy] = toPx(0, 0);
+  const label = (n) => Number(n.toPrecision(6)).toString();
+
+  const pathFor = (f) => {
+    let d = '', prevPy = null;
+    for (let px = 0; px <= GRAPH_W; px += 2) {
+      const x = cx + (px - GRAPH_W / 2) / scale;
+      const y = f(x);
+      const py = GRAPH_H / 2 - (y - cy) * scale;
+      const ok = isFinite(py) && Math.abs(py) <= GRAPH_H * 20;
+      // break at gaps and asymptotes instead of drawing a vertical line through them
+      const jump = ok && prevPy !== null && Math.abs(py - prevPy) > GRAPH_H * 2;
+      if (ok) d += `${prevPy === null || jump ? 'M' : 'L'}${px},${py.toFixed(1)}`;
+      prevPy = ok ? py : null;
+    }
+    return d;
+  };
+
+  return (
+    <div>
+      <div className="flex flex-wrap items-center gap-3 mb-3 text-sm">
+        {curves.map(c => (
+          <span key={c.label} className={`flex items-center gap-2 ${c.error ? 'text-red-300' : 'text-white/80'}`}>
+            <span className="w-3 h-3 rounded-full" style={{ background: c.color }} />
+            <span className="font-mono">y = {c.label}</span>
+            {c.error && <span>({c.error})</span>}
+          </span>
+        ))}
+        <div className="ms-auto flex gap-2">
+          <button onClick={() => setView(v => ({ ...v, span: v.span / 1.5 }))} aria-label={tr('math.zoomIn')} className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-white">+</button>
+          <button onClick={() => setView(v => ({ ...v, span: v.span * 1.5 }))} aria-label={tr('math.zoomOut')} className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-white">−</button>
+          <button onClick={() => setView({ cx: 0, cy: 0, span: 20 })} className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-white">{tr('math.reset')}</button>
+        </div>
+      </div>
+      <svg
+        ref={svgRef}
+        viewBox={`0 0 ${GRAPH_W} ${GRAPH_H}`}
+        className="w-full rounded-xl bg-black/30 border border-white/10 cursor-grab active:cursor-grabbing touch-none select-none"
+        onPointerDown={onPointerDown}
+        onPointerMove={onPointerMove}
+        onPointerUp={onPointerUp}
+        onPointerCancel={onPointerUp}
+      >
+        {xs.map(x => { const [px] = toPx(x, 0); return <line key={`x${x}`} x1={px} x2={px} y1={0} y2={GRAPH_H} stroke="rgba(255,255,255,0.08)" />; })}
+        {ys.map(y => { const [, py] = toPx(0, y); return <line key={`y${y}`} x1={0} x2={GRAPH_W} y1={py} y2={py} stroke="rgba(255,255,255,0.08)" />; })}
+        <line x1={0} x2={GRAPH_W} y1={oy} y2={oy} stroke="rgba(255,255,255,0.5)" />
+        <line x1={ox} x2={ox} y1={0} y2={GRAPH_H} stroke="rgba(255,255,255,0.5)" />
+        {xs.filter(x => Math.abs(x) > step / 2).map(x => { const [px] = toPx(x, 0); return <text key={`lx${x}`} x={px + 2} y={clamp(oy + 12, 12, GRAPH_H - 4)} fill="rgba(255,255,255,0.55)" fontSize="10">{label(x)}</text>; })}
+        {ys.filter(y => Math.abs(y) > step / 2).map(y => { const [, py] = toPx(0, y); return <text key={`ly${y}`} x={clamp(ox + 4, 2, GRAPH_W - 40)} y={py - 2} fill="rgba(255,255,255,0.55)" fontSize="10">{label(y)}</text>; })}
+        {curves.filter(c => c.f).map(c => <path key={c.label} d={pathFor(c.f)} fill="none" stroke={c.color} strokeWidth="2" />)}
+        {points.map(([x, y], i) => { const [px, py] = toPx(x, y); return <circle key={i} cx={px} cy={py} r="4" fill="#facc15" stroke="#000" />; })}
+      </svg>
+      <p className="text-xs text-white/50 mt-2">{tr('math.graphHelp')}</p>
+    </div>
+  );
+}
+
+// Numbered Markdown steps with an optional "ask the tutor" action per step
+function StepList({ steps, check, onAsk }) {
+  return (
+    <>
+      <ol className="space-y-2">
+        {steps.map((s, i) => (
+          <li key={i} className="group flex items-start gap-3 p-3 rounded-xl bg-black/20">
+            <span className="text-purple-300 font-mono text-sm mt-0.5">{i + 1}.</span>
+            <Markdown text={s} className="flex-1 min-w-0 text-white/90 overflow-x-auto" />
+            {onAsk && (
+              <button
+                onClick={() => onAsk(s)}
+                title={tr('math.askStepTitle')}
+                className="opacity-0 group-hover:opacity-100 focus:opacity-100 transition-opacity flex items-center gap-1 px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-purple-200 text-xs whitespace-nowrap"
+              >
+                <MessageSquare size={14} /> {tr('math.askTutor')}
+              </button>
+            )}
+          </li>
+        ))}
+      </ol>
+      {check && (
+        <p className={`mt-4 text-sm flex items-center gap-2 ${check.ok ? 'text-green-300' : 'text-yellow-300'}`}>
+          {check.ok ? <CheckCircle size={16} /> : <AlertTriangle size={16} />}
+          {tr(check.ok ? 'math.checkedOffline' : 'math.checkFailed')} {check.detail}
+        </p>
+      )}
+    </>
+  );
+}
+
+// names and placeholders are math.mode.* and math.placeholder.* messages
+const MATH_MODES = {
+  solve: { examples: ['2x + 3 = 7', 'x^2 - 5x + 6 = 0', 'x^3 - 6x^2 + 11x - 6 = 0', 'sin(x) = 0.5'] },
+  simplify: { examples: ['(x + 1)^2 - 2x', '3x + 2x - x/2', '(a + b)(a - b)'] },
+  derivative: { examples: ['x^3 sin(x)', 'ln(x^2 + 1)/x', 'e^(2x) cos(x)'] },
+  integral: { examples: ['3x^2 + 2x - 5', 'x e^x', 'x^2 cos(x)', 'sin(2x) + 1/x'] },
+  system: { examples: ['2x + 3y = 7\nx - y = 1', 'x + y + z = 6\n2x - y + z = 3\nx + 2y - z = 2'] }
+};
+
+function MathTab({ onAskTutor }) {
+  const [mode, setMode] = useState('solve');
+  const [input, setInput] = useState('');
+  const [variable, setVariable] = useState('x');
+  const [bounds, setBounds] = useState({ lower: '', upper: '' });
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [plotSrc, setPlotSrc] = useState('');
+  const [points, setPoints] = useState([]);
+
+  const field = "p-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500";
+  const v = variable.trim() || 'x';
+
+  const run = (src = input) => {
+    setError('');
+    if (!src.trim()) return;
+    try {
+      let r;
+      if (mode === 'solve') r = cas.solve(src, v);
+      else if (mode === 'simplify') r = cas.simplifyExpr(src);
+      else if (mode === 'derivative') r = cas.derivative(src, v);
+      else if (mode === 'integral') r = cas.integral(src, v, bounds.lower, bounds.upper);
+      else r = cas.solveSystem(src);
+      setResult({ mode, input: src, ...r });
+
+      // graph what the result is about
+      if (mode === 'solve') {
+        setPlotSrc(`${cas.print(r.lhs)}; ${cas.print(r.rhs)}`);
+        const f = cas.compile(r.lhs, v);
+        setPoints(r.solutions.map(x => [x, f(x)]).filter(([, y]) => isFinite(y)));
+      } else if (mode !== 'system') {
+        setPlotSrc([r.input, r.result].filter(Boolean).map(cas.print).join('; '));
+        setPoints([]);
+      }
+    } catch (e) {
+      setResult(null);
+      setError(e.message || tr('engine.unreadable'));
+    }
+  };
+
+  const ask = (step) => onAskTutor?.(tr('math.askStep', { mode: tr(`math.mode.${result.mode}`), input: result.input, step }));
+
+  return (
+    <div className="p-6 overflow-y-auto h-full">
+      <div className="max-w-4xl mx-auto space-y-6">
+        <h2 className="text-3xl font-bold text-white mb-6">{tr('math.title')}</h2>
+
+        <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10 space-y-4">
+          <div className="flex flex-wrap gap-2">
+            {Object.keys(MATH_MODES).map(k => (
+              <button
+                key={k}
+                onClick={() => { setMode(k); setResult(null); setError(''); }}
+                className={`px-4 py-2 rounded-xl text-sm font-medium transition-all ${mode === k ? 'bg-purple-500 text-white' : 'bg-white/10 text-white/80 hover:bg-white/20'}`}
+              >
+                {tr(`math.mode.${k}`)}
+              </button>
+            ))}
+          </div>
+
+          {mode === 'system' ? (
+            <textarea
+              value={input}
+              onChange={e => setInput(e.target.value)}
+              rows={4}
+              placeholder={tr('math.placeholder.system')}
+              aria-label={tr('math.input')}
+              className={`w-full font-mono resize-none ${field}`}
+            />
+          ) : (
+            <div className="flex flex-wrap gap-3">
+              <input
+                value={input}
+                onChange={e => setInput(e.target.value)}
+                onKeyDown={e => { if (e.key === 'Enter') run(); }}
+                placeholder={tr(`math.placeholder.${mode}`)}
+                aria-label={tr('math.input')}
+                className={`flex-1 min-w-[14rem] font-mono ${field}`}
+              />
+              {mode !== 'simplify' && (
+                <label className="flex items-center gap-2 text-white/70 text-sm">
+                  {mode === 'solve' ? tr('math.for') : 'd'}
+                  <input value={variable} onChange={e => setVariable(e.target.value.replace(/[^a-zA-Z0-9]/g, '').slice(0, 4))} aria-label={tr('math.variable')} className={`w-16 font-mono ${field}`} />
+                </label>
+              )}
+            </div>
+          )}
+
+          {mode === 'integral' && (
+            <div className="flex flex-wrap items-center gap-3 text-white/70 text-sm">
+              <span>{tr('math.bounds')}</span>
+              <input value={bounds.lower} onChange={e => setBounds(b => ({ ...b, lower: e.target.value }))} placeholder={tr('math.from')} aria-label={tr('math.from')} className={`w-28 font-mono ${field}`} />
+              <input value={bounds.upper} onChange={e => setBounds(b => ({ ...b, upper: e.target.value }))} placeholder={tr('math.to')} aria-label={tr('math.to')} className={`w-28 font-mono ${field}`} />
+            </div>
+          )}
+
+          <div className="flex flex-wrap items-center gap-2">
+            <span className="text-white/50 text-sm">{tr('math.try')}</span>
+            {MATH_MODES[mode].examples.map(ex => (
+              <button key={ex} onClick={() => { setInput(ex); run(ex); }} className="px-3 py-1 rounded-lg bg-white/5 hover:bg-white/15 text-purple-200 text-sm font-mono whitespace-pre">
+                {ex.replace(/\n/g, ' ; ')}
+              </button>
+            ))}
+            <button onClick={() => run()} className="ms-auto px-6 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-bold">
+              {mode === 'solve' ? tr('math.mode.solve') : tr('math.go')}
+            </button>
+          </div>
+          {error && <p className="text-red-300 text-sm flex items-center gap-2"><AlertTriangle size={16} /> {error}</p>}
+        </div>
+
+        {result && (
+          <motion.div variants={fade} initial="initial" animate="animate" className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+            <h3 className="text-white font-semibold text-xl mb-4">{tr('math.stepByStep')}</h3>
+            <StepList steps={result.steps} check={result.check} onAsk={onAskTutor && ask} />
+          </motion.div>
+        )}
+
+        <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+          <h3 className="text-white font-semibold text-xl mb-4">{tr('math.graph')}</h3>
+          <input
+            value={plotSrc}
+            onChange={e => { setPlotSrc(e.target.value); setPoints([]); }}
+            placeholder={tr('math.functionsOf', { v })}
+            aria-label={tr('math.graph')}
+            className={`w-full font-mono mb-4 ${field}`}
+          />
+          <Graph src={plotSrc} variable={v} points={points} />
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ----------------------------------------------------------------------------
+   Science engine (Science tab)
+   Unit-aware arithmetic with dimension vectors, chemical equation balancing
+   over the rationals, and molar masses from the bundled periodic table. Like
+   `cas`, results carry Markdown steps, run fully offline and are exported
+   for the tests.
+---------------------------------------------------------------------------- */
+addMessages({
+  en: {
+    'sci.category.a': 'Alkali metal',
+    'sci.category.e': 'Alkaline earth metal',
+    'sci.category.t': 'Transition metal',
+    'sci.category.p': 'Post-transition metal',
+    'sci.category.m': 'Metalloid',
+    'sci.category.n': 'Reactive nonmetal',
+    'sci.category.h': 'Halogen',
+    'sci.category.g': 'Noble gas',
+    'sci.category.l': 'Lanthanide',
+    'sci.category.c': 'Actinide',
+    'sci.category.u': 'Unknown properties',
+    'sci.dim.length': 'length',
+    'sci.dim.mass': 'mass',
+    'sci.dim.time': 'time',
+    'sci.dim.current': 'current',
+    'sci.dim.temperature': 'temperature',
+    'sci.dim.amount': 'amount',
+    'sci.dim.luminosity': 'luminosity',
+    'sci.dim.none': 'dimensionless',
+    'sci.kind.force': 'force',
+    'sci.kind.energy': 'energy',
+    'sci.kind.power': 'power',
+    'sci.kind.pressure': 'pressure',
+    'sci.kind.charge': 'charge',
+    'sci.kind.voltage': 'voltage',
+    'sci.kind.resistance': 'resistance',
+    'sci.kind.frequency': 'frequency',
+    'sci.err.cannotAdd': 'Unit mismatch: cannot add {a} and {b}',
+    'sci.err.cannotSubtract': 'Unit mismatch: cannot subtract {a} and {b}',
+    'sci.err.exponent': 'Exponents must be plain numbers',
+    'sci.err.missingParen': "Missing \")\"",
+    'sci.err.tempOnly': "°C and °F only work in direct conversions, e.g. \"25 degC to degF\"",
+    'sci.err.unknownUnit': "Unknown unit \"{unit}\"",
+    'sci.err.enterQuantity': 'Enter a quantity, e.g. 5 km/h * 2 h',
+    'sci.err.cannotConvert': 'Cannot convert {from} to {to} ({a} vs {b})',
+    'sci.err.brackets': 'Unbalanced brackets in {formula}',
+    'sci.err.cannotRead': "Cannot read \"{text}\" in {formula}",
+    'sci.err.unknownElement': "Unknown element \"{element}\" in {formula}",
+    'sci.err.noElements': "\"{formula}\" has no elements",
+    'sci.err.oneArrow': "Use one arrow, e.g. \"H2 + O2 -> H2O\"",
+    'sci.err.bothSides': 'Both sides need at least one species',
+    'sci.err.cannotBalance': 'This reaction cannot be balanced — check the formulas',
+    'sci.err.several': 'Several independent balancings exist; split it into separate reactions',
+    'sci.err.negative': 'No balancing with all-positive coefficients — check which side each species is on',
+    'sci.tempIntro': '**Temperature scales are offset, not just scaled**, so convert through kelvin.',
+    'sci.tempResult': '{formula}, so **{value}**',
+    'sci.tempCheck': 'Converting back gives the original temperature',
+    'sci.step.quantity': 'Quantity',
+    'sci.step.toSI': 'Convert to SI base units',
+    'sci.step.dimensions': 'Dimensions',
+    'sci.step.inSI': 'In SI base units',
+    'sci.convert': '**Convert:** {def}, so {calc} = **{result}**',
+    'sci.namedUnit': '**Named unit:** {units} is a {kind} unit: **{value}**',
+    'sci.consistent': 'Dimensions are consistent ({dims})',
+    'sci.atomsIn': '**Atoms in {formula}:** {list}',
+    'sci.molarMassStep': '**Molar mass:** {sum} = **{value}**',
+    'sci.massesFrom': 'Masses from the bundled periodic table',
+    'sci.element': 'Element',
+    'sci.charge': 'charge',
+    'sci.countAtoms': '**Count atoms in each species:**\n\n{table}',
+    'sci.conserve': '**Conserve each element:** one equation per element (and charge), with an unknown coefficient per species — {equations} equations, {unknowns} unknowns.',
+    'sci.solveCoeffs': '**Solve** for the smallest whole-number coefficients: {list}',
+    'sci.balanced': '**Balanced:** {equation}',
+    'sci.checkStep': '**Check:** {list}',
+    'sci.balanceCheck': 'Every element has the same count on both sides',
+    'sci.stoichStep': '**{formula}:** {grams} g ÷ {molarMass} g/mol = {mol} mol → {mol} ÷ {coefficient} = {extent} reaction units',
+    'sci.limiting': '**Limiting reagent:** {formula} (smallest number of reaction units)',
+    'sci.basis': '**Basis:** {formula}',
+    'sci.yield': '**Theoretical yield of {formula}:** {mol} mol = {grams} g',
+    'sci.side.reactant': 'reactant',
+    'sci.side.product': 'product',
+    'sci.tool.units': 'Units',
+    'sci.tool.reactions': 'Reactions',
+    'sci.tool.table': 'Periodic table',
+    'sci.placeholder.units': 'e.g. 60 mi/h to m/s',
+    'sci.placeholder.reactions': 'e.g. Fe + O2 -> Fe2O3, or a formula for its molar mass',
+    'sci.searchElements': 'Name, symbol or number...',
+    'sci.name': 'Name',
+    'sci.atomicNumber': 'Atomic number',
+    'sci.atomicMass': 'Atomic mass',
+    'sci.category': 'Category',
+    'sci.periodGroup': 'Period / group',
+    'sci.fBlock': 'f-block',
+    'sci.askElement': 'Tell me about {name} ({symbol}, atomic number {z}, {category}, {mass} u). What are its key properties and common uses?',
+    'sci.unitCalculator': 'unit calculator',
+    'sci.reactionTool': 'reaction tool',
+    'sci.askStep': "I'm using the {tool} on:\n\n{input}\n\nResult: {summary}\n\nCan you explain this step?\n\n{step}",
+    'sci.title': 'Science Lab',
+    'sci.calculate': 'Calculate',
+    'sci.balance': 'Balance',
+    'sci.unitsHelp': "SI prefixes work on SI units (km, mA, MPa, mM). Also: min, h, day, L, atm, bar, mmHg, eV, cal, inch, ft, mi, lb. Convert with \"to\".",
+    'sci.stoichiometry': 'Stoichiometry',
+    'sci.stoichIntro': 'Enter grams for one or more reactants to find the limiting reagent and theoretical yields.',
+    'sci.species': 'Species',
+    'sci.coef': 'Coef.',
+    'sci.given': 'Given (g)',
+    'sci.gramsOf': 'Grams of {formula}',
+    'sci.reactsForms': 'Reacts / forms',
+    'sci.limitingMark': '(limiting)'
+  },
+  fa: {
+    'sci.category.a': 'فلز قلیایی',
+    'sci.category.e': 'فلز قلیایی خاکی',
+    'sci.category.t': 'فلز واسطه',
+    'sci.category.p': 'فلز پس‌واسطه',
+    'sci.category.m': 'شبه‌فلز',
+    'sci.category.n': 'نافلز واکنش‌پذیر',
+    'sci.category.h': 'هالوژن',
+    'sci.category.g': 'گاز نجیب',
+    'sci.category.l': 'لانتانید',
+    'sci.category.c': 'اکتینید',
+    'sci.category.u': 'ویژگی‌های ناشناخته',
+    'sci.dim.length': 'طول',
+    'sci.dim.mass': 'جرم',
+    'sci.dim.time': 'زمان',
+    'sci.dim.current': 'جریان',
+    'sci.dim.temperature': 'دما',
+    'sci.dim.amount': 'مقدار ماده',
+    'sci.dim.luminosity': 'شدت روشنایی',
+    'sci.dim.none': 'بی‌بعد',
+    'sci.kind.force': 'نیرو',
+    'sci.kind.energy': 'انرژی',
+    'sci.kind.power': 'توان',
+    'sci.kind.pressure': 'فشار',
+    'sci.kind.charge': 'بار الکتریکی',
+    'sci.kind.voltage': 'ولتاژ',
+    'sci.kind.resistance': 'مقاومت',
+    'sci.kind.frequency': 'بسامد',
+    'sci.err.cannotAdd': 'یکاها نمی‌خوانند: {a} و {b} را نمی‌توان جمع کرد',
+    'sci.err.cannotSubtract': 'یکاها نمی‌خوانند: {a} و {b} را نمی‌توان از هم کم کرد',
+    'sci.err.exponent': 'توان باید عدد ساده باشد',
+    'sci.err.missingParen': '«)» جا افتاده است',
+    'sci.err.tempOnly': '°C و °F فقط در تبدیل مستقیم کار می‌کنند، مثلاً «25 degC to degF»',
+    'sci.err.unknownUnit': 'یکای ناشناخته «{unit}»',
+    'sci.err.enterQuantity': 'یک کمیت وارد کنید، مثلاً 5 km/h * 2 h',
+    'sci.err.cannotConvert': '{from} به {to} تبدیل نمی‌شود ({a} در برابر {b})',
+    'sci.err.brackets': 'پرانتزهای {formula} جفت نیستند',
+    'sci.err.cannotRead': '«{text}» در {formula} خوانده نمی‌شود',
+    'sci.err.unknownElement': 'عنصر ناشناخته «{element}» در {formula}',
+    'sci.err.noElements': '«{formula}» هیچ عنصری ندارد',
+    'sci.err.oneArrow': 'فقط یک پیکان بگذارید، مثلاً «H2 + O2 -> H2O»',
+    'sci.err.bothSides': 'هر دو طرف دست‌کم یک گونه لازم دارند',
+    'sci.err.cannotBalance': 'این واکنش موازنه نمی‌شود؛ فرمول‌ها را بررسی کنید',
+    'sci.err.several': 'چند موازنهٔ مستقل وجود دارد؛ آن را به واکنش‌های جدا بشکنید',
+    'sci.err.negative': 'موازنه‌ای با ضرایب همه مثبت نیست؛ ببینید هر گونه در کدام طرف است',
+    'sci.tempIntro': '**مقیاس‌های دما جابه‌جا شده‌اند، نه فقط مقیاس‌بندی‌شده**، پس از راه کلوین تبدیل کنید.',
+    'sci.tempResult': '{formula}، پس **{value}**',
+    'sci.tempCheck': 'تبدیل برگشتی همان دمای اولیه را می‌دهد',
+    'sci.step.quantity': 'کمیت',
+    'sci.step.toSI': 'تبدیل به یکاهای پایهٔ SI',
+    'sci.step.dimensions': 'ابعاد',
+    'sci.step.inSI': 'در یکاهای پایهٔ SI',
+    'sci.convert': '**تبدیل:** {def}، پس {calc} = **{result}**',
+    'sci.namedUnit': '**یکای نام‌دار:** {units} یکای {kind} است: **{value}**',
+    'sci.consistent': 'ابعاد سازگارند ({dims})',
+    'sci.atomsIn': '**اتم‌های {formula}:** {list}',
+    'sci.molarMassStep': '**جرم مولی:** {sum} = **{value}**',
+    'sci.massesFrom': 'جرم‌ها از جدول تناوبی همراه برنامه',
+    'sci.element': 'عنصر',
+    'sci.charge': 'بار',
+    'sci.countAtoms': '**اتم‌های هر گونه را بشمارید:**\n\n{table}',
+    'sci.conserve': '**پایستگی هر عنصر:** یک معادله برای هر عنصر (و بار)، با یک ضریب مجهول برای هر گونه؛ {equations} معادله، {unknowns} مجهول.',
+    'sci.solveCoeffs': '**حل** برای کوچک‌ترین ضرایب صحیح: {list}',
+    'sci.balanced': '**موازنه‌شده:** {equation}',
+    'sci.checkStep': '**بررسی:** {list}',
+    'sci.balanceCheck': 'هر عنصر در دو طرف به یک اندازه است',
+    'sci.stoichStep': '**{formula}:** {grams} g ÷ {molarMass} g/mol = {mol} mol ← {mol} ÷ {coefficient} = {extent} واحد واکنش',
+    'sci.limiting': '**واکنش‌دهندهٔ محدودکننده:** {formula} (کمترین واحد واکنش)',
+    'sci.basis': '**مبنا:** {formula}',
+    'sci.yield': '**بازده نظری {formula}:** {mol} mol = {grams} g',
+    'sci.side.reactant': 'واکنش‌دهنده',
+    'sci.side.product': 'فراورده',
+    'sci.tool.units': 'یکاها',
+    'sci.tool.reactions': 'واکنش‌ها',
+    'sci.tool.table': 'جدول تناوبی',
+    'sci.placeholder.units': 'مثلاً 60 mi/h to m/s',
+    'sci.placeholder.reactions': 'مثلاً Fe + O2 -> Fe2O3، یا یک فرمول برای جرم مولی‌اش',
+    'sci.searchElements': 'نام، نماد یا عدد...',
+    'sci.name': 'نام',
+    'sci.atomicNumber': 'عدد اتمی',
+    'sci.atomicMass': 'جرم اتمی',
+    'sci.category': 'دسته',
+    'sci.periodGroup': 'دوره / گروه',
+    'sci.fBlock': 'دستهٔ f',
+    'sci.askElement': 'دربارهٔ {name} ({symbol}، عدد اتمی {z}، {category}، {mass} u) بگو. ویژگی‌های اصلی و کاربردهای رایجش چیست؟',
+    'sci.unitCalculator': 'ماشین‌حساب یکا',
+    'sci.reactionTool': 'ابزار واکنش',
+    'sci.askStep': 'دارم از {tool} استفاده می‌کنم روی:\n\n{input}\n\nنتیجه: {summary}\n\nاین گام را توضیح می‌دهید؟\n\n{step}',
+    'sci.title': 'آزمایشگاه علوم',
+    'sci.calculate': 'محاسبه',
+    'sci.balance': 'موازنه',
+    'sci.unitsHelp': 'پیشوندهای SI روی یکاهای SI کار می‌کنند (km، mA، MPa، mM). همچنین: min، h، day، L، atm، bar، mmHg، eV، cal، inch، ft، mi، lb. برای تبدیل از «to» استفاده کنید.',
+    'sci.stoichiometry': 'استوکیومتری',
+    'sci.stoichIntro': 'گرم یک یا چند واکنش‌دهنده را وارد کنید تا واکنش‌دهندهٔ محدودکننده و بازده نظری پیدا شود.',
+    'sci.species': 'گونه',
+    'sci.coef': 'ضریب',
+    'sci.given': 'داده‌شده (g)',
+    'sci.gramsOf': 'گرم {formula}',
+    'sci.reactsForms': 'واکنش می‌دهد / پدید می‌آید',
+    'sci.limitingMark': '(محدودکننده)'
+  },
+  ar: {
+    'sci.category.a': 'فلز قلوي',
+    'sci.category.e': 'فلز قلوي ترابي',
+    'sci.category.t': 'فلز انتقالي',
+    'sci.category.p': 'فلز ما بعد انتقالي',
+    'sci.category.m': 'شبه فلز',
+    'sci.category.n': 'لا فلز نشط',
+    'sci.category.h': 'هالوجين',
+    'sci.category.g': 'غاز نبيل',
+    'sci.category.l': 'لانثانيد',
+    'sci.category.c': 'أكتينيد',
+    'sci.category.u': 'خصائص غير معروفة',
+    'sci.dim.length': 'الطول',
+    'sci.dim.mass': 'الكتلة',
+    'sci.dim.time': 'الزمن',
+    'sci.dim.current': 'التيار',
+    'sci.dim.temperature': 'الحرارة',
+    'sci.dim.amount': 'كمية المادة',
+    'sci.dim.luminosity': 'شدة الإضاءة',
+    'sci.dim.none': 'بلا أبعاد',
+    'sci.kind.force': 'القوة',
+    'sci.kind.energy': 'الطاقة',
+    'sci.kind.power': 'القدرة',
+    'sci.kind.pressure': 'الضغط',
+    'sci.kind.charge': 'الشحنة',
+    'sci.kind.voltage': 'الجهد',
+    'sci.kind.resistance': 'المقاومة',
+    'sci.kind.frequency': 'التردد',
+    'sci.err.cannotAdd': 'وحدات غير متوافقة: لا يمكن جمع {a} و{b}',
+    'sci.err.cannotSubtract': 'وحدات غير متوافقة: لا يمكن طرح {a} و{b}',
+    'sci.err.exponent': 'يجب أن تكون الأسس أعدادًا مجردة',
+    'sci.err.missingParen': 'ينقص «)»',
+    'sci.err.tempOnly': '‏°C و°F تعملان في التحويل المباشر فقط، مثل «25 degC to degF»',
+    'sci.err.unknownUnit': 'وحدة غير معروفة «{unit}»',
+    'sci.err.enterQuantity': 'أدخل كمية، مثل 5 km/h * 2 h',
+    'sci.err.cannotConvert': 'لا يمكن تحويل {from} إلى {to} ({a} مقابل {b})',
+    'sci.err.brackets': 'أقواس غير متوازنة في {formula}',
+    'sci.err.cannotRead': 'تعذّرت قراءة «{text}» في {formula}',
+    'sci.err.unknownElement': 'عنصر غير معروف «{element}» في {formula}',
+    'sci.err.noElements': '«{formula}» لا يحوي عناصر',
+    'sci.err.oneArrow': 'استخدم سهمًا واحدًا، مثل «H2 + O2 -> H2O»',
+    'sci.err.bothSides': 'يحتاج كل طرف إلى نوع كيميائي واحد على الأقل',
+    'sci.err.cannotBalance': 'لا يمكن موازنة هذا التفاعل؛ راجع الصيغ',
+    'sci.err.several': 'توجد عدة موازنات مستقلة؛ قسّمه إلى تفاعلات منفصلة',
+    'sci.err.negative': 'لا توجد موازنة بمعاملات موجبة كلها؛ تحقّق من طرف كل نوع',
+    'sci.tempIntro': '**مقاييس الحرارة مُزاحة وليست مضروبة فقط**، لذا حوّل عبر الكلفن.',
+    'sci.tempResult': '{formula}، إذن **{value}**',
+    'sci.tempCheck': 'التحويل العكسي يعطي الحرارة الأصلية',
+    'sci.step.quantity': 'الكمية',
+    'sci.step.toSI': 'التحويل إلى وحدات SI الأساسية',
+    'sci.step.dimensions': 'الأبعاد',
+    'sci.step.inSI': 'بوحدات SI الأساسية',
+    'sci.convert': '**التحويل:** {def}، إذن {calc} = **{result}**',
+    'sci.namedUnit': '**وحدة مسمّاة:** {units} وحدة {kind}: **{value}**',
+    'sci.consistent': 'الأبعاد متّسقة ({dims})',
+    'sci.atomsIn': '**الذرات في {formula}:** {list}',
+    'sci.molarMassStep': '**الكتلة المولية:** {sum} = **{value}**',
+    'sci.massesFrom': 'الكتل من الجدول الدوري المرفق',
+    'sci.element': 'العنصر',
+    'sci.charge': 'الشحنة',
+    'sci.countAtoms': '**عُدّ الذرات في كل نوع:**\n\n{table}',
+    'sci.conserve': '**حفظ كل عنصر:** معادلة لكل عنصر (وللشحنة)، بمعامل مجهول لكل نوع؛ المعادلات: {equations}، المجاهيل: {unknowns}.',
+    'sci.solveCoeffs': '**الحل** لأصغر معاملات صحيحة: {list}',
+    'sci.balanced': '**بعد الموازنة:** {equation}',
+    'sci.checkStep': '**التحقّق:** {list}',
+    'sci.balanceCheck': 'لكل عنصر العدد نفسه في الطرفين',
+    'sci.stoichStep': '**{formula}:** {grams} g ÷ {molarMass} g/mol = {mol} mol ← {mol} ÷ {coefficient} = {extent} وحدة تفاعل',
+    'sci.limiting': '**الكاشف المُحدِّد:** {formula} (أقل عدد من وحدات التفاعل)',
+    'sci.basis': '**الأساس:** {formula}',
+    'sci.yield': '**المردود النظري لـ{formula}:** {mol} mol = {grams} g',
+    'sci.side.reactant': 'متفاعل',
+    'sci.side.product': 'ناتج',
+    'sci.tool.units': 'الوحدات',
+    'sci.tool.reactions': 'التفاعلات',
+    'sci.tool.table': 'الجدول الدوري',
+    'sci.placeholder.units': 'مثلًا 60 mi/h to m/s',
+    'sci.placeholder.reactions': 'مثلًا Fe + O2 -> Fe2O3، أو صيغة لحساب كتلتها المولية',
+    'sci.searchElements': 'الاسم أو الرمز أو العدد...',
+    'sci.name': 'الاسم',
+    'sci.atomicNumber': 'العدد الذري',
+    'sci.atomicMass': 'الكتلة الذرية',
+    'sci.category': 'الفئة',
+    'sci.periodGroup': 'الدورة / المجموعة',
+    'sci.fBlock': 'الفئة f',
+    'sci.askElement': 'حدّثني عن {name} ({symbol}، العدد الذري {z}، {category}، {mass} u). ما أهم خصائصه واستخداماته الشائعة؟',
+    'sci.unitCalculator': 'حاسبة الوحدات',
+    'sci.reactionTool': 'أداة التفاعلات',
+    'sci.askStep': 'أستخدم {tool} على:\n\n{input}\n\nالنتيجة: {summary}\n\nهل يمكنك شرح هذه الخطوة؟\n\n{step}',
+    'sci.title': 'مختبر العلوم',
+    'sci.calculate': 'احسب',
+    'sci.balance': 'وازِن',
+    'sci.unitsHelp': 'تعمل بادئات SI على وحدات SI ‏(km، mA، MPa، mM). وأيضًا: min، h، day، L، atm، bar، mmHg، eV، cal، inch، ft، mi، lb. حوّل باستخدام «to».',
+    'sci.stoichiometry': 'الحسابات الكيميائية',
+    'sci.stoichIntro': 'أدخل الغرامات لمتفاعل أو أكثر لإيجاد الكاشف المُحدِّد والمردود النظري.',
+    'sci.species': 'النوع',
+    'sci.coef': 'المعامل',
+    'sci.given': 'المُعطى (g)',
+    'sci.gramsOf': 'غرامات {formula}',
+    'sci.reactsForms': 'يتفاعل / يتكوّن',
+    'sci.limitingMark': '(مُحدِّد)'
+  }
+});
+
+// symbol,name,standard atomic weight,category — category codes in ELEMENT_CATEGORIES
+const ELEMENT_DATA = `H,Hydrogen,1.008,n|He,Helium,4.0026,g|Li,Lithium,6.94,a|Be,Beryllium,9.0122,e|B,Boron,10.81,m|C,Carbon,12.011,n|N,Nitrogen,14.007,n|O,Oxygen,15.999,n|F,Fluorine,18.998,h|Ne,Neon,20.180,g|Na,Sodium,22.990,a|Mg,Magnesium,24.305,e|Al,Aluminium,26.982,p|Si,Silicon,28.085,m|P,Phosphorus,30.974,n|S,Sulfur,32.06,n|Cl,Chlorine,35.45,h|Ar,Argon,39.948,g|K,Potassium,39.098,a|Ca,Calcium,40.078,e|Sc,Scandium,44.956,t|Ti,Titanium,47.867,t|V,Vanadium,50.942,t|Cr,Chromium,51.996,t|Mn,Manganese,54.938,t|Fe,Iron,55.845,t|Co,Cobalt,58.933,t|Ni,Nickel,58.693,t|Cu,Copper,63.546,t|Zn,Zinc,65.38,t|Ga,Gallium,69.723,p|Ge,Germanium,72.630,m|As,Arsenic,74.922,m|Se,Selenium,78.971,n|Br,Bromine,79.904,h|Kr,Krypton,83.798,g|Rb,Rubidium,85.468,a|Sr,Strontium,87.62,e|Y,Yttrium,88.906,t|Zr,Zirconium,91.224,t|Nb,Niobium,92.906,t|Mo,Molybdenum,95.95,t|Tc,Technetium,98,t|Ru,Ruthenium,101.07,t|Rh,Rhodium,102.91,t|Pd,Palladium,106.42,t|Ag,Silver,107.87,t|Cd,Cadmium,112.41,t|In,Indium,114.82,p|Sn,Tin,118.71,p|Sb,Antimony,121.76,m|Te,Tellurium,127.60,m|I,Iodine,126.90,h|Xe,Xenon,131.29,g|Cs,Caesium,132.91,a|Ba,Barium,137.33,e|La,Lanthanum,138.91,l|Ce,Cerium,140.12,l|Pr,Praseodymium,140.91,l|Nd,Neodymium,144.24,l|Pm,Promethium,145,l|Sm,Samarium,150.36,l|Eu,Europium,151.96,l|Gd,Gadolinium,157.25,l|Tb,Terbium,158.93,l|Dy,Dysprosium,162.50,l|Ho,Holmium,164.93,l|Er,Erbium,167.26,l|Tm,Thulium,168.93,l|Yb,Ytterbium,173.05,l|Lu,Lutetium,174.97,l|Hf,Hafnium,178.49,t|Ta,Tantalum,180.95,t|W,Tungsten,183.84,t|Re,Rhenium,186.21,t|Os,Osmium,190.23,t|Ir,Iridium,192.22,t|Pt,Platinum,195.08,t|Au,Gold,196.97,t|Hg,Mercury,200.59,t|Tl,Thallium,204.38,p|Pb,Lead,207.2,p|Bi,Bismuth,208.98,p|Po,Polonium,209,p|At,Astatine,210,h|Rn,Radon,222,g|Fr,Francium,223,a|Ra,Radium,226,e|Ac,Actinium,227,c|Th,Thorium,232.04,c|Pa,Protactinium,231.04,c|U,Uranium,238.03,c|Np,Neptunium,237,c|Pu,Plutonium,244,c|Am,Americium,243,c|Cm,Curium,247,c|Bk,Berkelium,247,c|Cf,Californium,251,c|Es,Einsteinium,252,c|Fm,Fermium,257,c|Md,Mendelevium,258,c|No,Nobelium,259,c|Lr,Lawrencium,266,c|Rf,Rutherfordium,267,t|Db,Dubnium,268,t|Sg,Seaborgium,269,t|Bh,Bohrium,270,t|Hs,Hassium,269,t|Mt,Meitnerium,278,u|Ds,Darmstadtium,281,u|Rg,Roentgenium,282,u|Cn,Copernicium,285,u|Nh,Nihonium,286,u|Fl,Flerovium,289,u|Mc,Moscovium,290,u|Lv,Livermorium,293,u|Ts,Tennessine,294,u|Og,Oganesson,294,u`;
+
+// names are sci.category.* messages
+const ELEMENT_CATEGORIES = {
+  a: 'bg-red-500/40',
+  e: 'bg-orange-500/40',
+  t: 'bg-yellow-500/30',
+  p: 'bg-emerald-500/30',
+  m: 'bg-teal-500/40',
+  n: 'bg-sky-500/40',
+  h: 'bg-cyan-400/40',
+  g: 'bg-indigo-500/40',
+  l: 'bg-pink-500/30',
+  c: 'bg-fuchsia-500/30',
+  u: 'bg-gray-500/30'
+};
+
+// grid placement: f-block rows are drawn as rows 9–10 under the main table
+const elementPosition = (z) => {
+  if (z >= 57 && z <= 71) return { period: 6, group: null, row: 9, col: z - 54 };
+  if (z >= 89 && z <= 103) return { period: 7, group: null, row: 10, col: z - 86 };
+  const starts = [1, 3, 11, 19, 37, 55, 87, 119];
+  const period = starts.findIndex(s => s > z);
+  const i = z - starts[period - 1];
+  let group;
+  if (period === 1) group = z === 1 ? 1 : 18;
+  else if (period <= 3) group = i < 2 ? i + 1 : i + 11;
+  else if (period <= 5) group = i + 1;
+  else group = i < 2 ? i + 1 : i - 13;
+  return { period, group, row: period, col: group };
+};
+
+const ELEMENTS = ELEMENT_DATA.split('|').map((row, i) => {
+  const [symbol, name, mass, cat] = row.split(',');
+  return { z: i + 1, symbol, name, mass: Number(mass), category: cat, ...elementPosition(i + 1) };
+});
+const ELEMENT_BY_SYMBOL = Object.fromEntries(ELEMENTS.map(e => [e.symbol, e]));
+
+// element.<symbol> messages; the English names come from ELEMENT_DATA
+addMessages(Object.fromEntries(Object.entries({
+  en: ELEMENTS.map(e => e.name).join('|'),
+  fa: 'هیدروژن|هلیم|لیتیم|بریلیم|بور|کربن|نیتروژن|اکسیژن|فلوئور|نئون|سدیم|منیزیم|آلومینیم|سیلیسیم|فسفر|گوگرد|کلر|آرگون|پتاسیم|کلسیم|اسکاندیم|تیتانیم|وانادیم|کروم|منگنز|آهن|کبالت|نیکل|مس|روی|گالیم|ژرمانیم|آرسنیک|سلنیم|برم|کریپتون|روبیدیم|استرانسیم|ایتریم|زیرکونیم|نیوبیم|مولیبدن|تکنسیم|روتنیم|رودیم|پالادیم|نقره|کادمیم|ایندیم|قلع|آنتیموان|تلوریم|ید|زنون|سزیم|باریم|لانتان|سریم|پرازئودیمیم|نئودیمیم|پرومتیم|ساماریم|یوروپیم|گادولینیم|تربیم|دیسپروزیم|هولمیم|اربیم|تولیم|ایتربیم|لوتتیم|هافنیم|تانتال|تنگستن|رنیم|اسمیم|ایریدیم|پلاتین|طلا|جیوه|تالیم|سرب|بیسموت|پولونیم|استاتین|رادون|فرانسیم|رادیم|اکتینیم|توریم|پروتاکتینیم|اورانیم|نپتونیم|پلوتونیم|امریسیم|کوریم|برکلیم|کالیفرنیم|اینشتینیم|فرمیم|مندلیفیم|نوبلیم|لارنسیم|رادرفوردیم|دوبنیم|سیبورگیم|بوریم|هاسیم|مایتنریم|دارمشتادتیم|رونتگنیم|کوپرنیسیم|نیهونیم|فلروویم|مسکوویم|لیورموریم|تنسین|اوگانسون',
+  ar: 'هيدروجين|هيليوم|ليثيوم|بيريليوم|بورون|كربون|نيتروجين|أكسجين|فلور|نيون|صوديوم|مغنيسيوم|ألومنيوم|سيليكون|فوسفور|كبريت|كلور|أرغون|بوتاسيوم|كالسيوم|سكانديوم|تيتانيوم|فاناديوم|كروم|منغنيز|حديد|كوبالت|نيكل|نحاس|زنك|غاليوم|جرمانيوم|زرنيخ|سيلينيوم|بروم|كريبتون|روبيديوم|سترونتيوم|إتريوم|زركونيوم|نيوبيوم|موليبدنوم|تكنيشيوم|روثينيوم|روديوم|بالاديوم|فضة|كادميوم|إنديوم|قصدير|إثمد|تيلوريوم|يود|زينون|سيزيوم|باريوم|لانثانوم|سيريوم|براسيوديميوم|نيوديميوم|بروميثيوم|ساماريوم|يوروبيوم|غادولينيوم|تيربيوم|ديسبروسيوم|هولميوم|إربيوم|ثوليوم|إتيربيوم|لوتيشيوم|هافنيوم|تانتالوم|تنغستن|رينيوم|أوزميوم|إريديوم|بلاتين|ذهب|زئبق|ثاليوم|رصاص|بزموت|بولونيوم|أستاتين|رادون|فرانسيوم|راديوم|أكتينيوم|ثوريوم|بروتكتينيوم|يورانيوم|نبتونيوم|بلوتونيوم|أمريسيوم|كوريوم|بركيليوم|كاليفورنيوم|أينشتاينيوم|فرميوم|مندليفيوم|نوبليوم|لورنسيوم|رذرفورديوم|دوبنيوم|سيبورغيوم|بوريوم|هاسيوم|مايتنريوم|دارمشتاتيوم|رونتجينيوم|كوبرنيسيوم|نيهونيوم|فليروفيوم|موسكوفيوم|ليفرموريوم|تينيسين|أوغانيسون'
+}).map(([locale, names]) => [locale, Object.fromEntries(names.split('|').map((name, i) => [`element.${ELEMENTS[i].symbol}`, name]))])));
+
+export const sci = (() => {
+  const EPS = 1e-12;
+  const fmt = (x) => {
+    if (!isFinite(x)) return String(x);
+    if (x !== 0 && (Math.abs(x) >= 1e6 || Math.abs(x) < 1e-3)) return x.toExponential(4).replace(/\.?0+e/, 'e');
+    return String(Number(x.toPrecision(6)));
+  };
+
+  /* ------------------- Units ------------------- */
+  // dimension vector order: length, mass, time, current, temperature, amount, luminosity
+  const DIMS = ['m', 'kg', 's', 'A', 'K', 'mol', 'cd'];
+  const DIM_NAMES = ['length', 'mass', 'time', 'current', 'temperature', 'amount', 'luminosity']; // sci.dim.*
+  const D = (...e) => DIMS.map((_, i) => e[i] || 0);
+
+  const UNITS = {
+    m: [1, D(1)], g: [1e-3, D(0, 1)], s: [1, D(0, 0, 1)], A: [1, D(0, 0, 0, 1)], K: [1, D(0, 0, 0, 0, 1)],
+    mol: [1, D(0, 0, 0, 0, 0, 1)], cd: [1, D(0, 0, 0, 0, 0, 0, 1)],
+    N: [1, D(1, 1, -2)], J: [1, D(2, 1, -2)], W: [1, D(2, 1, -3)], Pa: [1, D(-1, 1, -2)], Hz: [1, D(0, 0, -1)],
+    C: [1, D(0, 0, 1, 1)], V: [1, D(2, 1, -3, -1)], ohm: [1, D(2, 1, -3, -2)], 'Ω': [1, D(2, 1, -3, -2)],
+    F: [1, D(-2, -1, 4, 2)], T: [1, D(0, 1, -2, -1)],
+    L: [1e-3, D(3)], M: [1e3, D(-3, 0, 0, 0, 0, 1)], // molar = mol/L
+    min: [60, D(0, 0, 1)], h: [3600, D(0, 0, 1)], day: [86400, D(0, 0, 1)], yr: [31557600, D(0, 0, 1)],
+    eV: [1.602176634e-19, D(2, 1, -2)], cal: [4.184, D(2, 1, -2)], Wh: [3600, D(2, 1, -2)],
+    atm: [101325, D(-1, 1, -2)], bar: [1e5, D(-1, 1, -2)], mmHg: [133.322387415, D(-1, 1, -2)], psi: [6894.757293168, D(-1, 1, -2)],
+    inch: [0.0254, D(1)], ft: [0.3048, D(1)], yd: [0.9144, D(1)], mi: [1609.344, D(1)],
+    lb: [0.45359237, D(0, 1)], oz: [0.028349523125, D(0, 1)], gal: [3.785411784e-3, D(3)],
+    rad: [1, D()], deg: [Math.PI / 180, D()], u: [1.66053906660e-27, D(0, 1)]
+  };
+  const PREFIXABLE = new Set(['m', 'g', 's', 'A', 'K', 'mol', 'cd', 'N', 'J', 'W', 'Pa', 'Hz', 'C', 'V', 'ohm', 'Ω', 'F', 'T', 'L', 'M', 'eV', 'cal', 'Wh', 'bar']);
+  const PREFIXES = { da: 1e1, Y: 1e24, Z: 1e21, E: 1e18, P: 1e15, T: 1e12, G: 1e9, M: 1e6, k: 1e3, h: 1e2, d: 1e-1, c: 1e-2, m: 1e-3, u: 1e-6, 'µ': 1e-6, n: 1e-9, p: 1e-12, f: 1e-15, a: 1e-18 };
+  // shown back to students instead of raw base units when the dimensions match
+  const NAMED = [['N', 'force'], ['J', 'energy'], ['W', 'power'], ['Pa', 'pressure'], ['C', 'charge'], ['V', 'voltage'], ['Ω', 'resistance'], ['Hz', 'frequency']];
+  const CELSIUS = { toK: (t) => t + 273.15, fromK: (k) => k - 273.15, toTex: 'T_K = T_C + 273.15', fromTex: 'T_C = T_K - 273.15' };
+  const FAHRENHEIT = { toK: (t) => (t - 32) * 5 / 9 + 273.15, fromK: (k) => (k - 273.15) * 9 / 5 + 32, toTex: 'T_K = (T_F - 32) \\times \\tfrac{5}{9} + 273.15', fromTex: 'T_F = (T_K - 273.15) \\times \\tfrac{9}{5} + 32' };
+  const TEMPS = { K: { toK: (t) => t, fromK: (k) => k }, degC: CELSIUS, '°C': CELSIUS, degF: FAHRENHEIT, '°F': FAHRENHEIT };
+
+  const lookupUnit = (name) => {
+    if (UNITS[name]) return { name, factor: UNITS[name][0], dims: UNITS[name][1] };
+    for (const [p, f] of Object.entries(PREFIXES)) {
+      const rest = name.slice(p.length);
+      if (name.startsWith(p) && rest && PREFIXABLE.has(rest)) return { name, factor: f * UNITS[rest][0], dims: UNITS[rest][1] };
+    }
+    return null;
+  };
+
+  const sameDims = (a, b) => a.every((x, i) => Math.abs(x - b[i]) < EPS);
+  const isDimensionless = (d) => d.every(x => Math.abs(x) < EPS);
+  const dimsText = (d) => {
+    if (isDimensionless(d)) return '1';
+    const pos = [], negs = [];
+    d.forEach((e, i) => { if (e > EPS) pos.push(e === 1 ? DIMS[i] : `${DIMS[i]}^${fmt(e)}`); if (e < -EPS) negs.push(e === -1 ? DIMS[i] : `${DIMS[i]}^${fmt(-e)}`); });
+    return `${pos.join('·') || '1'}${negs.length ? `/${negs.length > 1 ? `(${negs.join('·')})` : negs[0]}` : ''}`;
+  };
+  const dimsName = (d) => {
+    if (isDimensionless(d)) return tr('sci.dim.none');
+    return d.map((e, i) => e ? (e === 1 ? tr(`sci.dim.${DIM_NAMES[i]}`) : `${tr(`sci.dim.${DIM_NAMES[i]}`)}^${fmt(e)}`) : null).filter(Boolean).join(' · ');
+  };
+
+  const tokenizeUnits = (src) => {
+    const out = [];
+    const s = String(src).replace(/[×·]/g, '*').replace(/÷/g, '/').replace(/[−–]/g, '-').replace(/\*\*/g, '^');
+    let i = 0;
+    while (i < s.length) {
+      const rest = s.slice(i);
+      if (/^\s/.test(rest)) { i++; continue; }
+      const n = /^(\d+\.?\d*|\.\d+)(e[+-]?\d+)?/i.exec(rest);
+      if (n) { out.push({ t: 'num', v: parseFloat(n[0]) }); i += n[0].length; continue; }
+      const w = /^(°[CF]|[a-zA-ZµΩ]+)/.exec(rest);
+      if (w) { out.push({ t: 'unit', v: w[0] }); i += w[0].length; continue; }
+      if ('+-*/^()'.includes(rest[0])) { out.push({ t: rest[0] }); i++; continue; }
+      throw new Error(tr('engine.unexpected', { token: rest[0] }));
+    }
+    return out;
+  };
+
+  // Quantities are { v, d } in SI base units; `used` collects unit definitions for the steps.
+  const evalUnits = (src, used = new Map()) => {
+    const toks = tokenizeUnits(src);
+    let p = 0;
+    const peek = () => toks[p];
+    const q = (v, d = D()) => ({ v, d });
+    const mulQ = (a, b, sign = 1) => q(sign > 0 ? a.v * b.v : a.v / b.v, a.d.map((x, i) => x + sign * b.d[i]));
+
+    const expr = () => {
+      let a = term();
+      while (peek()?.t === '+' || peek()?.t === '-') {
+        const o = toks[p++].t;
+        const b = term();
+        if (!sameDims(a.d, b.d)) throw new Error(tr(o === '+' ? 'sci.err.cannotAdd' : 'sci.err.cannotSubtract', { a: dimsText(a.d), b: dimsText(b.d) }));
+        a = q(o === '+' ? a.v + b.v : a.v - b.v, a.d);
+      }
+      return a;
+    };
+    const term = () => {
+      let a = juxt();
+      while (peek()?.t === '*' || peek()?.t === '/') {
+        const o = toks[p++].t;
+        a = mulQ(a, juxt(), o === '*' ? 1 : -1);
+      }
+      return a;
+    };
+    // juxtaposition binds tighter than "/": "0.5 mol / 250 mL", "J/mol K"
+    const juxt = () => {
+      let a = unary();
+      while (peek() && (peek().t === 'num' || peek().t === 'unit' || peek().t === '(')) a = mulQ(a, power());
+      return a;
+    };
+    const unary = () => {
+      if (peek()?.t === '-') { p++; const a = unary(); return q(-a.v, a.d); }
+      return power();
+    };
+    const power = () => {
+      const a = primary();
+      if (peek()?.t !== '^') return a;
+      p++;
+      const e = unary();
+      if (!isDimensionless(e.d)) throw new Error(tr('sci.err.exponent'));
+      return q(Math.pow(a.v, e.v), a.d.map(x => x * e.v));
+    };
+    const primary = () => {
+      const tk = toks[p++];
+      if (!tk) throw new Error(tr('engine.end'));
+      if (tk.t === 'num') return q(tk.v);
+      if (tk.t === '(') { const a = expr(); if (toks[p++]?.t !== ')') throw new Error(tr('sci.err.missingParen')); return a; }
+      if (tk.t === 'unit') {
+        if (TEMPS[tk.v] && tk.v !== 'K') throw new Error(tr('sci.err.tempOnly'));
+        const u = lookupUnit(tk.v);
+        if (!u) throw new Error(tr('sci.err.unknownUnit', { unit: tk.v }));
+        used.set(u.name, u);
+        return q(u.factor, u.dims);
+      }
+      throw new Error(tr('engine.unexpected', { token: tk.t }));
+    };
+
+    const out = expr();
+    if (p < toks.length) throw new Error(tr('engine.unexpected', { token: toks[p].v ?? toks[p].t }));
+    return out;
+  };
+
+  const convertTemperature = (value, from, to) => {
+    const kelvin = TEMPS[from].toK(value);
+    const result = TEMPS[to].fromK(kelvin);
+    const label = (u) => u.replace('deg', '°');
+    return {
+      steps: [
+        tr('sci.tempIntro'),
+        from === 'K' ? `$T_K = ${fmt(value)}$` : `$${TEMPS[from].toTex} = ${fmt(kelvin)}$`,
+        to === 'K' ? `**${tr('math.step.result')}:** ${fmt(kelvin)} K` : tr('sci.tempResult', { formula: `$${TEMPS[to].fromTex} = ${fmt(result)}$`, value: `${fmt(result)} ${label(to)}` })
+      ],
+      value: result,
+      unit: label(to),
+      summary: `${fmt(value)} ${label(from)} = ${fmt(result)} ${label(to)}`,
+      check: { ok: Math.abs(TEMPS[from].fromK(TEMPS[to].toK(result)) - value) < 1e-9, detail: tr('sci.tempCheck') }
+    };
+  };
+
+  // "9.81 m/s^2 * 70 kg", "60 mi/h to m/s", "25 degC to degF"
+  const calc = (src) => {
+    const text = String(src || '').trim();
+    if (!text) throw new Error(tr('sci.err.enterQuantity'));
+    const temp = /^(-?\d+\.?\d*)\s*(°C|°F|degC|degF|K)\s+(?:to|in|->)\s+(°C|°F|degC|degF|K)$/.exec(text);
+    if (temp) return convertTemperature(Number(temp[1]), temp[2], temp[3]);
+
+    const m = /^(.*?)\s+(?:to|in|->)\s+(.+)$/.exec(text);
+    const [exprSrc, targetSrc] = m ? [m[1], m[2]] : [text, null];
+    const used = new Map();
+    const value = evalUnits(exprSrc, used);
+    const steps = [`**${tr('sci.step.quantity')}:** \`${exprSrc}\``];
+    const defs = [...used.values()].filter(u => !(u.factor === 1 && DIMS.includes(u.name)));
+    if (defs.length) steps.push(`**${tr('sci.step.toSI')}:** ${defs.map(u => `1 ${u.name} = ${fmt(u.factor)} ${dimsText(u.dims)}`).join('; ')}`);
+    steps.push(`**${tr('sci.step.dimensions')}:** ${dimsName(value.d)}`);
+    steps.push(`**${tr('sci.step.inSI')}:** ${fmt(value.v)} ${dimsText(value.d) === '1' ? '' : dimsText(value.d)}`.trim());
+
+    let result = { value: value.v, unit: dimsText(value.d) === '1' ? '' : dimsText(value.d) };
+    if (targetSrc) {
+      const target = evalUnits(targetSrc, new Map());
+      if (!sameDims(value.d, target.d))
+        throw new Error(tr('sci.err.cannotConvert', { from: dimsName(value.d), to: dimsName(target.d), a: dimsText(value.d), b: dimsText(target.d) }));
+      result = { value: value.v / target.v, unit: targetSrc.trim() };
+      steps.push(target.v === 1
+        ? `**${tr('math.step.result')}:** **${fmt(result.value)} ${result.unit}**`
+        : tr('sci.convert', { def: `1 ${targetSrc.trim()} = ${fmt(target.v)} ${dimsText(target.d)}`, calc: `${fmt(value.v)} ÷ ${fmt(target.v)}`, result: `${fmt(result.value)} ${result.unit}` }));
+    } else {
+      const named = NAMED.find(([u]) => sameDims(UNITS[u === 'Ω' ? 'ohm' : u][1], value.d));
+      if (named && dimsText(value.d) !== named[0]) {
+        result.unit = named[0];
+        steps.push(tr('sci.namedUnit', { units: dimsText(value.d), kind: tr(`sci.kind.${named[1]}`), value: `${fmt(value.v)} ${named[0]}` }));
+      }
+    }
+    return {
+      steps,
+      ...result,
+      dims: value.d,
+      summary: `${exprSrc} = ${fmt(result.value)} ${result.unit}`.trim(),
+      check: { ok: true, detail: tr('sci.consistent', { dims: dimsName(value.d) }) }
+    };
+  };
+
+  /* ------------------- Chemistry ------------------- */
+  // "Ca(OH)2", "CuSO4·5H2O", "Fe^3+" → { counts: { Ca: 1, O: 2, H: 2 }, charge }
+  const parseFormula = (src) => {
+    let s = String(src).trim().replace(/\s+/g, '');
+    let charge = 0;
+    const ch = /\^?\{?(\d*)([+-])\}?$/.exec(s);
+    if (ch && (s.includes('^') || s.endsWith('+') || /[A-Za-z\d)\]]-$/.test(s))) {
+      charge = (ch[2] === '+' ? 1 : -1) * (ch[1] ? Number(ch[1]) : 1);
+      s = s.slice(0, ch.index);
+    }
+    if (s === 'e') return { counts: {}, charge: -1, formula: src }; // electron
+    const parts = s.split(/[·*.]/);
+    const counts = {};
+    const addCounts = (into, from, k) => { for (const [el, n] of Object.entries(from)) into[el] = (into[el] || 0) + n * k; };
+
+    for (const part of parts) {
+      const lead = /^\d+/.exec(part);
+      const mult = lead ? Number(lead[0]) : 1;
+      const body = lead ? part.slice(lead[0].length) : part;
+      let i = 0;
+      const group = (close) => {
+        const out = {};
+        while (i < body.length) {
+          const c = body[i];
+          if (c === '(' || c === '[') {
+            i++;
+            const inner = group(c === '(' ? ')' : ']');
+            const n = /^\d+/.exec(body.slice(i));
+            if (n) i += n[0].length;
+            addCounts(out, inner, n ? Number(n[0]) : 1);
+          } else if (c === ')' || c === ']') {
+            if (c !== close) throw new Error(tr('sci.err.brackets', { formula: src }));
+            i++;
+            return out;
+          } else {
+            const m = /^([A-Z][a-z]?)(\d*)/.exec(body.slice(i));
+            if (!m) throw new Error(tr('sci.err.cannotRead', { text: body.slice(i), formula: src }));
+            if (!ELEMENT_BY_SYMBOL[m[1]]) throw new Error(tr('sci.err.unknownElement', { element: m[1], formula: src }));
+            out[m[1]] = (out[m[1]] || 0) + (m[2] ? Number(m[2]) : 1);
+            i += m[0].length;
+          }
+        }
+        if (close) throw new Error(tr('sci.err.brackets', { formula: src }));
+        return out;
+      };
+      addCounts(counts, group(null), mult);
+    }
+    if (!Object.keys(counts).length) throw new Error(tr('sci.err.noElements', { formula: src }));
+    return { counts, charge, formula: src };
+  };
+
+  const molarMass = (counts) => Object.entries(counts).reduce((m, [el, n]) => m + ELEMENT_BY_SYMBOL[el].mass * n, 0);
+
+  // exact rational arithmetic on [num, den] pairs (small integers, so Number is enough)
+  const gcd = (a, b) => { a = Math.abs(a); b = Math.abs(b); while (b) [a, b] = [b, a % b]; return a || 1; };
+  const rat = (n, d = 1) => { const g = gcd(n, d) * Math.sign(d); return [n / g, d / g]; };
+  const rsub = (a, b) => rat(a[0] * b[1] - b[0] * a[1], a[1] * b[1]);
+  const rmul = (a, b) => rat(a[0] * b[0], a[1] * b[1]);
+  const rdiv = (a, b) => rat(a[0] * b[1], a[1] * b[0]);
+
+  // coefficients as the smallest positive integer vector in the null space of the atom matrix
+  const nullVector = (A) => {
+    const rows = A.length, cols = A[0].length;
+    const M = A.map(r => r.map(x => rat(x)));
+    const pivots = [];
+    let r = 0;
+    for (let c = 0; c < cols && r < rows; c++) {
+      const pr = M.findIndex((row, i) => i >= r && row[c][0] !== 0);
+      if (pr < 0) continue;
+      [M[r], M[pr]] = [M[pr], M[r]];
+      const pv = M[r][c];
+      M[r] = M[r].map(x => rdiv(x, pv));
+      for (let i = 0; i < rows; i++) {
+        if (i !== r && M[i][c][0] !== 0) { const k = M[i][c]; M[i] = M[i].map((x, j) => rsub(x, rmul(k, M[r][j]))); }
+      }
+      pivots.push(c);
+      r++;
+    }
+    const free = [...Array(cols).keys()].filter(c => !pivots.includes(c));
+    if (free.length !== 1) return { free: free.length };
+    const f = free[0];
+    const vec = Array(cols).fill(null).map(() => rat(0));
+    vec[f] = rat(1);
+    pivots.forEach((c, i) => { vec[c] = rat(-M[i][f][0], M[i][f][1]); });
+    const lcm = vec.reduce((l, [, d]) => l * d / gcd(l, d), 1);
+    let ints = vec.map(([n, d]) => n * lcm / d);
+    const g = ints.reduce((a, b) => gcd(a, b));
+    ints = ints.map(x => x / g);
+    if (ints.every(x => x <= 0)) ints = ints.map(x => -x);
+    return { free: 1, coefficients: ints };
+  };
+
+  const SIDES = /\s*(?:<=>|<->|->|→|⇌|=)\s*/;
+
+  const balance = (src) => {
+    const text = String(src || '').trim();
+    const sides = text.split(SIDES);
+    if (sides.length === 1) {
+      const f = parseFormula(text);
+      const mm = molarMass(f.counts);
+      return {
+        kind: 'molar-mass',
+        steps: [
+          tr('sci.atomsIn', { formula: text, list: Object.entries(f.counts).map(([el, n]) => `${el} × ${n}`).join(', ') }),
+          tr('sci.molarMassStep', { sum: Object.entries(f.counts).map(([el, n]) => `${n} × ${ELEMENT_BY_SYMBOL[el].mass}`).join(' + '), value: `${fmt(mm)} g/mol` })
+        ],
+        molarMass: mm,
+        summary: `M(${text}) = ${fmt(mm)} g/mol`,
+        check: { ok: true, detail: tr('sci.massesFrom') }
+      };
+    }
+    if (sides.length !== 2) throw new Error(tr('sci.err.oneArrow'));
+    const split = (side) => side.split(/\s+\+\s+|\s*\+\s*(?=[A-Z(\[\d])/).map(s => s.trim()).filter(Boolean)
+      .map(s => s.replace(/^\d+\s*(?=[A-Z(\[])/, '')); // ignore coefficients the student typed
+    const reactants = split(sides[0]).map(parseFormula);
+    const products = split(sides[1]).map(parseFormula);
+    if (!reactants.length || !products.length) throw new Error(tr('sci.err.bothSides'));
+    const species = [...reactants, ...products];
+
+    const elements = [...new Set(species.flatMap(s => Object.keys(s.counts)))];
+    const rows = elements.map(el => species.map((s, j) => (s.counts[el] || 0) * (j < reactants.length ? 1 : -1)));
+    if (species.some(s => s.charge)) rows.push(species.map((s, j) => s.charge * (j < reactants.length ? 1 : -1)));
+    const { free, coefficients } = nullVector(rows);
+    if (!coefficients) throw new Error(tr(free === 0 ? 'sci.err.cannotBalance' : 'sci.err.several'));
+    if (coefficients.some(c => c <= 0)) throw new Error(tr('sci.err.negative'));
+
+    const show = (list, offset) => list.map((s, i) => `${coefficients[offset + i] === 1 ? '' : coefficients[offset + i]}${s.formula}`).join(' + ');
+    const equation = `${show(reactants, 0)} → ${show(products, reactants.length)}`;
+    const table = [
+      `| ${tr('sci.element')} | ${species.map(s => s.formula).join(' | ')} |`,
+      `|---|${species.map(() => '---').join('|')}|`,
+      ...elements.map(el => `| ${el} | ${species.map(s => s.counts[el] || 0).join(' | ')} |`)
+    ].join('\n');
+    const tally = elements.map(el => {
+      const left = reactants.reduce((t, s, i) => t + (s.counts[el] || 0) * coefficients[i], 0);
+      const right = products.reduce((t, s, i) => t + (s.counts[el] || 0) * coefficients[reactants.length + i], 0);
+      return { el, left, right };
+    });
+    if (rows.length > elements.length) {
+      const side = (list, offset) => list.reduce((t, s, i) => t + s.charge * coefficients[offset + i], 0);
+      tally.push({ el: tr('sci.charge'), left: side(reactants, 0), right: side(products, reactants.length) });
+    }
+    return {
+      kind: 'equation',
+      steps: [
+        tr('sci.countAtoms', { table }),
+        tr('sci.conserve', { equations: elements.length + (rows.length > elements.length ? 1 : 0), unknowns: species.length }),
+        tr('sci.solveCoeffs', { list: coefficients.join(', ') }),
+        tr('sci.balanced', { equation }),
+        tr('sci.checkStep', { list: tally.map(t => `${t.el} ${t.left} = ${t.right}`).join(', ') })
+      ],
+      equation,
+      species: species.map((s, i) => ({ formula: s.formula, coefficient: coefficients[i], side: i < reactants.length ? 'reactant' : 'product', molarMass: molarMass(s.counts) })),
+      summary: equation,
+      check: { ok: tally.every(t => t.left === t.right), detail: tr('sci.balanceCheck') }
+    };
+  };
+
+  // grams of some reactants → moles, limiting reagent and theoretical amounts of everything
+  const stoichiometry = (species, grams) => {
+    const given = species.map((s, i) => ({ ...s, i, g: Number(grams[i]) })).filter(s => s.side === 'reactant' && grams[s.i] !== '' && grams[s.i] !== undefined && s.g > 0);
+    if (!given.length) return null;
+    const extents = given.map(s => ({ ...s, mol: s.g / s.molarMass, extent: s.g / s.molarMass / s.coefficient }));
+    const limiting = extents.reduce((a, b) => (b.extent < a.extent ? b : a));
+    const rows = species.map(s => {
+      const mol = limiting.extent * s.coefficient;
+      return { formula: s.formula, side: s.side, mol, grams: mol * s.molarMass };
+    });
+    const steps = [
+      ...extents.map(s => tr('sci.stoichStep', { formula: s.formula, grams: fmt(s.g), molarMass: fmt(s.molarMass), mol: fmt(s.mol), coefficient: s.coefficient, extent: fmt(s.extent) })),
+      tr(given.length > 1 ? 'sci.limiting' : 'sci.basis', { formula: limiting.formula }),
+      ...rows.filter(r => r.side === 'product').map(r => tr('sci.yield', { formula: r.formula, mol: fmt(r.mol), grams: fmt(r.grams) }))
+    ];
+    return { limiting: limiting.formula, rows, steps };
+  };
+
+  return { calc, balance, stoichiometry, parseFormula, molarMass, fmt };
+})();
+
+/* ----------------------------------------------------------------------------
+   Science workspace: units, reactions, periodic table
+---------------------------------------------------------------------------- */
+// names and placeholders are sci.tool.* and sci.placeholder.* messages
+const SCIENCE_TOOLS = {
+  units: { examples: ['9.81 m/s^2 * 70 kg', '60 mi/h to m/s', '1 kWh to MJ', '0.5 mol / 250 mL to mM', '25 degC to degF'] },
+  reactions: { examples: ['H2 + O2 -> H2O', 'C3H8 + O2 -> CO2 + H2O', 'Ca(OH)2 + H3PO4 -> Ca3(PO4)2 + H2O', 'MnO4^- + Fe^2+ + H^+ -> Mn^2+ + Fe^3+ + H2O', 'CuSO4·5H2O'] },
+  table: {}
+};
+
+function PeriodicTable({ onAskTutor }) {
+  const [query, setQuery] = useState('');
+  const [selected, setSelected] = useState(null);
+  const q = query.trim().toLowerCase();
+  const matches = (e) => !q || e.symbol.toLowerCase() === q || e.name.toLowerCase().includes(q) || tr(`element.${e.symbol}`).toLowerCase().includes(q) || String(e.z) === q;
+  const el = selected && ELEMENT_BY_SYMBOL[selected];
+
+  return (
+    <div className="space-y-4">
+      <div className="flex items-center gap-2 bg-white/10 rounded-xl px-3 py-2 border border-white/20 max-w-sm">
+        <Search size={16} className="text-white/60" />
+        <input value={query} onChange={e => setQuery(e.target.value)} placeholder={tr('sci.searchElements')} aria-label={tr('sci.searchElements')} className="bg-transparent outline-none text-white placeholder-gray-400 flex-1" />
+      </div>
+
+      <div className="overflow-x-auto">
+        <div className="grid gap-1 min-w-[720px]" style={{ gridTemplateColumns: 'repeat(18, minmax(0, 1fr))', gridTemplateRows: 'repeat(7, auto) 0.75rem repeat(2, auto)' }}>
+          {ELEMENTS.map(e => (
+            <button
+              key={e.z}
+              onClick={() => setSelected(e.symbol)}
+              style={{ gridColumn: e.col, gridRow: e.row }}
+              title={tr(`element.${e.symbol}`)}
+              className={`aspect-square rounded-md p-0.5 text-start border transition-all ${ELEMENT_CATEGORIES[e.category]} ${
+                selected === e.symbol ? 'border-yellow-400' : 'border-white/10 hover:border-white/40'
+              } ${matches(e) ? '' : 'opacity-20'}`}
+            >
+              <div className="text-[9px] text-white/70 leading-none">{e.z}</div>
+              <div className="text-white font-bold text-sm leading-tight text-center">{e.symbol}</div>
+            </button>
+          ))}
+        </div>
+      </div>
+
+      <div className="flex flex-wrap gap-3 text-xs text-white/70">
+        {Object.entries(ELEMENT_CATEGORIES).map(([k, color]) => (
+          <span key={k} className="flex items-center gap-1"><span className={`w-3 h-3 rounded ${color}`} />{tr(`sci.category.${k}`)}</span>
+        ))}
+      </div>
+
+      {el && (
+        <motion.div variants={fade} initial="initial" animate="animate" className="p-4 rounded-xl bg-black/20 border border-white/10 flex flex-wrap items-start gap-6">
+          <div className={`w-24 h-24 rounded-xl flex flex-col items-center justify-center ${ELEMENT_CATEGORIES[el.category]}`}>
+            <span className="text-white/70 text-xs">{el.z}</span>
+            <span className="text-white text-3xl font-bold">{el.symbol}</span>
+          </div>
+          <dl className="grid grid-cols-2 gap-x-6 gap-y-1 text-sm flex-1 min-w-[14rem]">
+            <dt className="text-purple-300">{tr('sci.name')}</dt><dd className="text-white">{tr(`element.${el.symbol}`)}</dd>
+            <dt className="text-purple-300">{tr('sci.atomicNumber')}</dt><dd className="text-white">{el.z}</dd>
+            <dt className="text-purple-300">{tr('sci.atomicMass')}</dt><dd className="text-white">{el.mass} u</dd>
+            <dt className="text-purple-300">{tr('sci.category')}</dt><dd className="text-white">{tr(`sci.category.${el.category}`)}</dd>
+            <dt className="text-purple-300">{tr('sci.periodGroup')}</dt><dd className="text-white">{el.period} / {el.group ?? tr('sci.fBlock')}</dd>
+          </dl>
+          {onAskTutor && (
+            <button
+              onClick={() => onAskTutor(tr('sci.askElement', { name: tr(`element.${el.symbol}`), symbol: el.symbol, z: el.z, category: tr(`sci.category.${el.category}`).toLowerCase(), mass: el.mass }))}
+              className="flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-purple-200 text-sm"
+            >
+              <MessageSquare size={16} /> {tr('math.askTutor')}
+            </button>
+          )}
+        </motion.div>
+      )}
+    </div>
+  );
+}
+
+function ScienceTab({ onAskTutor }) {
+  const [tool, setTool] = useState('units');
+  const [input, setInput] = useState({ units: '', reactions: '' });
+  const [result, setResult] = useState(null);
+  const [error, setError] = useState('');
+  const [grams, setGrams] = useState({});
+
+  const field = "p-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500";
+
+  const run = (src = input[tool]) => {
+    setError('');
+    if (!src.trim()) return;
+    try {
+      const r = tool === 'units' ? sci.calc(src) : sci.balance(src);
+      setResult({ tool, input: src, ...r });
+      setGrams({});
+    } catch (e) {
+      setResult(null);
+      setError(e.message || tr('engine.unreadable'));
+    }
+  };
+
+  const stoich = result?.kind === 'equation' ? sci.stoichiometry(result.species, result.species.map((_, i) => grams[i] ?? '')) : null;
+
+  const ask = (step) => onAskTutor?.(
+    tr('sci.askStep', { tool: tr(result.tool === 'units' ? 'sci.unitCalculator' : 'sci.reactionTool'), input: result.input, summary: result.summary, step })
+  );
+
+  return (
+    <div className="p-6 overflow-y-auto h-full">
+      <div className="max-w-5xl mx-auto space-y-6">
+        <h2 className="text-3xl font-bold text-white mb-6">{tr('sci.title')}</h2>
+
+        <div className="flex flex-wrap gap-2">
+          {Object.keys(SCIENCE_TOOLS).map(k => (
+            <button
+              key={k}
+              onClick={() => { setTool(k); setResult(null); setError(''); }}
+              className={`px-4 py-2 rounded-xl text-sm font-medium transition-all ${tool === k ? 'bg-purple-500 text-white' : 'bg-white/10 text-white/80 hover:bg-white/20'}`}
+            >
+              {tr(`sci.tool.${k}`)}
+            </button>
+          ))}
+        </div>
+
+        {tool === 'table' ? (
+          <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+            <PeriodicTable onAskTutor={onAskTutor} />
+          </div>
+        ) : (
+          <>
+            <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10 space-y-4">
+              <div className="flex gap-3">
+                <input
+                  value={input[tool]}
+                  onChange={e => setInput(prev => ({ ...prev, [tool]: e.target.value }))}
+                  onKeyDown={e => { if (e.key === 'Enter') run(); }}
+                  placeholder={tr(`sci.placeholder.${tool}`)}
+                  aria-label={tr(`sci.tool.${tool}`)}
+                  className={`flex-1 font-mono ${field}`}
+                />
+                <button onClick={() => run()} className="px-6 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-bold">
+                  {tool === 'units' ? tr('sci.calculate') : tr('sci.balance')}
+                </button>
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-white/50 text-sm">{tr('math.try')}</span>
+                {SCIENCE_TOOLS[tool].examples.map(ex => (
+                  <button key={ex} onClick={() => { setInput(prev => ({ ...prev, [tool]: ex })); run(ex); }} className="px-3 py-1 rounded-lg bg-white/5 hover:bg-white/15 text-purple-200 text-sm font-mono">
+                    {ex}
+                  </button>
+                ))}
+              </div>
+              {tool === 'units' && (
+                <p className="text-xs text-white/50">
+                  {tr('sci.unitsHelp')}
+                </p>
+              )}
+              {error && <p className="text-red-300 text-sm flex items-center gap-2"><AlertTriangle size={16} /> {error}</p>}
+            </div>
+
+            {result && (
+              <motion.div variants={fade} initial="initial" animate="animate" className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+                <p className="text-2xl font-bold text-white mb-4 font-mono break-words">{result.summary}</p>
+                <StepList steps={result.steps} check={result.check} onAsk={onAskTutor && ask} />
+              </motion.div>
+            )}
+
+            {result?.kind === 'equation' && (
+              <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+                <h3 className="text-white font-semibold text-xl mb-1">{tr('sci.stoichiometry')}</h3>
+                <p className="text-white/60 text-sm mb-4">{tr('sci.stoichIntro')}</p>
+                <table className="w-full text-sm text-white">
+                  <thead>
+                    <tr className="text-purple-300 text-start">
+                      <th className="py-2">{tr('sci.species')}</th><th>{tr('sci.coef')}</th><th>M (g/mol)</th><th>{tr('sci.given')}</th><th>{tr('sci.reactsForms')}</th>
+                    </tr>
+                  </thead>
+                  <tbody>
+                    {result.species.map((s, i) => {
+                      const row = stoich?.rows[i];
+                      return (
+                        <tr key={i} className="border-t border-white/10">
+                          <td className="py-2 font-mono">{s.formula} <span className="text-white/40 text-xs">{tr(`sci.side.${s.side}`)}</span></td>
+                          <td>{s.coefficient}</td>
+                          <td>{sci.fmt(s.molarMass)}</td>
+                          <td>
+                            {s.side === 'reactant' && (
+                              <input
+                                type="number"
+                                min="0"
+                                value={grams[i] ?? ''}
+                                onChange={e => setGrams(g => ({ ...g, [i]: e.target.value }))}
+                                aria-label={tr('sci.gramsOf', { formula: s.formula })}
+                                className="w-24 p-1 rounded-lg bg-white/10 border border-white/20 text-white outline-none"
+                              />
+                            )}
+                          </td>
+                          <td className={stoich?.limiting === s.formula ? 'text-yellow-300' : ''}>
+                            {row ? `${sci.fmt(row.mol)} mol · ${sci.fmt(row.grams)} g` : '—'}
+                            {stoich?.limiting === s.formula && ` ${tr('sci.limitingMark')}`}
+                          </td>
+                        </tr>
+                      );
+                    })}
+                  </tbody>
+                </table>
+                {stoich && (
+                  <div className="mt-4">
+                    <StepList steps={stoich.steps} onAsk={onAskTutor && ask} />
+                  </div>
+                )}
+              </div>
+            )}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* ----------------------------------------------------------------------------
+   Writing engine (Writing tab)
+   Heuristic feedback that works offline: annotations are character ranges in
+   the draft tagged grammar / clarity / structure / thesis. The optional AI pass
+   returns the same shape (see WRITING_AI_PROMPT) so both render together.
+   `prose` is exported for the tests.
+---------------------------------------------------------------------------- */
+addMessages({
+  en: {
+    'writing.category.grammar': 'Grammar & spelling',
+    'writing.category.clarity': 'Clarity',
+    'writing.category.structure': 'Structure',
+    'writing.category.thesis': 'Thesis',
+    'rubric.level.beginning': 'Beginning',
+    'rubric.level.developing': 'Developing',
+    'rubric.level.proficient': 'Proficient',
+    'rubric.level.exemplary': 'Exemplary',
+    'writing.rubric.argumentative': 'Argumentative essay',
+    'writing.rubric.informative': 'Informative / expository',
+    'writing.rubric.narrative': 'Narrative',
+    'writing.criterion.argumentative.claim': 'Thesis & claim',
+    'writing.criterion.argumentative.claim.desc': 'A clear, arguable position stated early',
+    'writing.criterion.argumentative.evidence': 'Evidence & reasoning',
+    'writing.criterion.argumentative.evidence.desc': 'Examples, data or sources that support each point',
+    'writing.criterion.argumentative.organization': 'Organization',
+    'writing.criterion.argumentative.organization.desc': 'Intro, focused body paragraphs, conclusion, transitions',
+    'writing.criterion.argumentative.style': 'Clarity & style',
+    'writing.criterion.argumentative.style.desc': 'Concise sentences, active voice, precise words',
+    'writing.criterion.argumentative.conventions': 'Conventions',
+    'writing.criterion.argumentative.conventions.desc': 'Spelling, grammar and punctuation',
+    'writing.criterion.informative.focus': 'Focus',
+    'writing.criterion.informative.focus.desc': 'A controlling idea that the whole piece explains',
+    'writing.criterion.informative.development': 'Development',
+    'writing.criterion.informative.development.desc': 'Facts, definitions and examples',
+    'writing.criterion.informative.organization': 'Organization',
+    'writing.criterion.informative.organization.desc': 'Logical order with transitions',
+    'writing.criterion.informative.language': 'Language',
+    'writing.criterion.informative.language.desc': 'Clear, objective wording',
+    'writing.criterion.informative.conventions': 'Conventions',
+    'writing.criterion.informative.conventions.desc': 'Spelling, grammar and punctuation',
+    'writing.criterion.narrative.structure': 'Plot & structure',
+    'writing.criterion.narrative.structure.desc': 'Clear beginning, middle and end',
+    'writing.criterion.narrative.detail': 'Detail & dialogue',
+    'writing.criterion.narrative.detail.desc': 'Specific detail, description and dialogue',
+    'writing.criterion.narrative.voice': 'Voice & style',
+    'writing.criterion.narrative.voice.desc': 'Varied, vivid sentences',
+    'writing.criterion.narrative.conventions': 'Conventions',
+    'writing.criterion.narrative.conventions.desc': 'Spelling, grammar and punctuation',
+    'writing.source.book': 'Book',
+    'writing.source.article': 'Journal article',
+    'writing.source.website': 'Web page',
+    'writing.note.repeated': "Repeated word \"{word}\"",
+    'writing.note.spelling': "Spelling: \"{word}\"",
+    'writing.note.capitalI': "Capitalize the pronoun \"I\"",
+    'writing.note.modalOf': "\"{text}\" should be \"{fix}\"",
+    'writing.note.an': "Use \"an\" before a vowel sound (\"{word}\")",
+    'writing.note.spaceBefore': 'No space before punctuation',
+    'writing.note.capitalStart': 'Start the sentence with a capital letter',
+    'writing.note.extraSpaces': 'Extra spaces',
+    'writing.note.noEndPunct': 'Paragraph ends without punctuation',
+    'writing.note.longSentence': 'Long sentence ({n} words). Consider splitting it.',
+    'writing.note.weakOpener': 'Weak opener. Lead with the real subject.',
+    'writing.note.passive': 'Possible passive voice. Who is doing the action?',
+    'writing.note.filler': "\"{word}\" rarely adds meaning",
+    'writing.note.wordy': "Wordy: \"{text}\"",
+    'writing.note.split': 'Split the essay into an introduction, body paragraphs and a conclusion.',
+    'writing.note.longParagraph': 'Very long paragraph ({n} words). Does it cover more than one idea?',
+    'writing.note.oneSentence': 'One-sentence body paragraph. Develop it or merge it.',
+    'writing.note.transitions': 'Few body paragraphs open with a transition (however, for example, as a result…).',
+    'writing.note.conclusion': 'The last paragraph does not read as a conclusion. Restate the thesis and its significance.',
+    'writing.note.noIntro': 'No introduction found for a thesis statement.',
+    'writing.thesis.short': 'The thesis is very short.',
+    'writing.thesis.long': 'The thesis is too long; tighten it.',
+    'writing.thesis.noStance': 'The thesis does not take a clear, arguable position.',
+    'writing.thesis.noReasons': 'The thesis does not preview the reasons behind the claim.',
+    'writing.thesis.announces': 'The thesis announces the topic or asks a question instead of making a claim.',
+    'writing.thesis.hedge': "The thesis starts with a hedge (\"I think…\"); state it directly.",
+    'writing.thesis.likely': 'Likely thesis. {issues}',
+    'writing.thesis.good': 'Likely thesis: clear, arguable and previews its reasons.',
+    'writing.untitled': 'Untitled draft',
+    'writing.versionSaved': 'Version saved',
+    'writing.beforeRestore': 'Before restore',
+    'writing.versionRestored': 'Version restored; the previous text was kept in history',
+    'writing.tooShort': 'Write at least a few sentences first',
+    'writing.aiAdded': 'AI feedback added',
+    'writing.aiUnmatched.one': 'AI feedback added ({n} note could not be matched to the text)',
+    'writing.aiUnmatched.other': 'AI feedback added ({n} notes could not be matched to the text)',
+    'writing.aiFailed': 'AI feedback failed: {error}',
+    'writing.askAbout': "I'm revising my {rubric} \"{title}\". Feedback on this passage ({category}):\n\n> {passage}\n\n{message}\n\nCan you explain the issue and help me fix it myself?",
+    'writing.citationNeedsTitle': 'A citation needs at least a title',
+    'writing.copyFailed': 'Copy failed',
+    'writing.field.publisher': 'Publisher',
+    'writing.field.year': 'Year',
+    'writing.field.journal': 'Journal',
+    'writing.field.volume': 'Volume',
+    'writing.field.issue': 'Issue',
+    'writing.field.pages': 'Pages (e.g. 45-67)',
+    'writing.field.doi': 'DOI',
+    'writing.field.websiteName': 'Website name',
+    'writing.field.publisherIfDifferent': 'Publisher (if different)',
+    'writing.field.url': 'URL',
+    'writing.newDraft': 'New draft',
+    'writing.words.one': '{n} word',
+    'writing.words.two': '{n} words',
+    'writing.words.few': '{n} words',
+    'writing.words.other': '{n} words',
+    'writing.deleteDraft': 'Delete draft',
+    'writing.title': 'Writing Studio',
+    'writing.intro': 'Draft an essay and get feedback on grammar, clarity, structure and thesis, score it against a rubric, and build citations. Drafts save automatically on this device.',
+    'writing.start': 'Start a draft',
+    'writing.draftTitle': 'Draft title',
+    'writing.savedAt': 'Saved {time}',
+    'writing.view.write': 'Write',
+    'writing.view.feedback': 'Feedback',
+    'writing.view.history': 'History ({n})',
+    'writing.view.cite': 'Citations',
+    'writing.stats': '{words} · {paragraphs} ¶ · grade {grade} · ~{minutes} min read',
+    'writing.placeholder': 'Paste or start writing your essay. Leave a blank line between paragraphs.',
+    'writing.saveVersion': 'Save version',
+    'writing.rubric': 'Rubric',
+    'writing.refreshAi': 'Refresh AI feedback',
+    'writing.getAi': 'Get AI feedback',
+    'writing.toggleNotes': 'Show or hide these notes',
+    'writing.aiSummary': 'AI summary · {date}',
+    'writing.nothingToReview': 'Nothing to review yet. Write something first.',
+    'writing.ai': 'AI',
+    'writing.use': 'Use “{text}”',
+    'writing.noIssues': 'No issues in the shown categories.',
+    'writing.rubricTitle': '{rubric} rubric',
+    'writing.criterion': 'Criterion',
+    'writing.offlineEstimate': 'Offline estimate',
+    'writing.aiScore': 'AI score',
+    'writing.estimateNote': 'Offline estimates come from simple text checks. Treat them as a starting point for revision, not a grade.',
+    'writing.saveCurrent': 'Save current version',
+    'writing.autosaved': 'autosaved',
+    'writing.versionsHint': 'Versions appear here as you write (every few minutes) or when you save one.',
+    'writing.changesFrom': 'Changes from {date} to now:',
+    'writing.added': 'added',
+    'writing.removed': 'removed',
+    'writing.restoreVersion': 'Restore this version',
+    'writing.pickVersion': 'Pick a version to compare it with the current draft.',
+    'writing.authors': 'Authors, one per line (Jane Doe or Doe, Jane)',
+    'writing.articleTitle': 'Article title',
+    'writing.pageTitle': 'Page title',
+    'writing.bookTitle': 'Book title',
+    'writing.published': 'Published',
+    'writing.accessed': 'Accessed',
+    'writing.addCitation': 'Add to works cited',
+    'writing.references': 'References',
+    'writing.worksCited': 'Works Cited',
+    'writing.bibliography': 'Bibliography',
+    'writing.citeStyle': 'Citation style',
+    'writing.copyAll': 'Copy all',
+    'writing.noSources': 'No sources yet.',
+    'writing.capsNote': 'Check capitalization against your style guide: APA uses sentence case for titles, MLA and Chicago use title case.',
+    'writing.deleteTitle': 'Delete draft?',
+    'writing.deleteDesc': 'The draft, its versions and citations will be removed from this device.',
+    'ai.noJson': 'The reply did not contain JSON',
+    'ai.partialJson': 'The reply contained incomplete JSON'
+  },
+  fa: {
+    'writing.category.grammar': 'دستور و املا',
+    'writing.category.clarity': 'وضوح',
+    'writing.category.structure': 'ساختار',
+    'writing.category.thesis': 'ادعای اصلی',
+    'rubric.level.beginning': 'آغازین',
+    'rubric.level.developing': 'در حال رشد',
+    'rubric.level.proficient': 'مسلط',
+    'rubric.level.exemplary': 'نمونه',
+    'writing.rubric.argumentative': 'مقالهٔ استدلالی',
+    'writing.rubric.informative': 'اطلاع‌رسان / توضیحی',
+    'writing.rubric.narrative': 'روایی',
+    'writing.criterion.argumentative.claim': 'ادعای اصلی و موضع',
+    'writing.criterion.argumentative.claim.desc': 'موضعی روشن و قابل بحث که زود بیان شود',
+    'writing.criterion.argumentative.evidence': 'شواهد و استدلال',
+    'writing.criterion.argumentative.evidence.desc': 'مثال، داده یا منبعی که هر نکته را پشتیبانی کند',
+    'writing.criterion.argumentative.organization': 'سازمان‌دهی',
+    'writing.criterion.argumentative.organization.desc': 'مقدمه، بندهای متمرکز، نتیجه‌گیری، عبارت‌های ربط',
+    'writing.criterion.argumentative.style': 'وضوح و سبک',
+    'writing.criterion.argumentative.style.desc': 'جمله‌های کوتاه، فعل معلوم، واژه‌های دقیق',
+    'writing.criterion.argumentative.conventions': 'قواعد نگارشی',
+    'writing.criterion.argumentative.conventions.desc': 'املا، دستور و نشانه‌گذاری',
+    'writing.criterion.informative.focus': 'تمرکز',
+    'writing.criterion.informative.focus.desc': 'ایدهٔ محوری‌ای که کل متن آن را توضیح می‌دهد',
+    'writing.criterion.informative.development': 'پرورش',
+    'writing.criterion.informative.development.desc': 'واقعیت‌ها، تعریف‌ها و مثال‌ها',
+    'writing.criterion.informative.organization': 'سازمان‌دهی',
+    'writing.criterion.informative.organization.desc': 'ترتیب منطقی با عبارت‌های ربط',
+    'writing.criterion.informative.language': 'زبان',
+    'writing.criterion.informative.language.desc': 'بیان روشن و بی‌طرف',
+    'writing.criterion.informative.conventions': 'قواعد نگارشی',
+    'writing.criterion.informative.conventions.desc': 'املا، دستور و نشانه‌گذاری',
+    'writing.criterion.narrative.structure': 'پیرنگ و ساختار',
+    'writing.criterion.narrative.structure.desc': 'آغاز، میانه و پایان روشن',
+    'writing.criterion.narrative.detail': 'جزئیات و گفتگو',
+    'writing.criterion.narrative.detail.desc': 'جزئیات مشخص، توصیف و گفتگو',
+    'writing.criterion.narrative.voice': 'لحن و سبک',
+    'writing.criterion.narrative.voice.desc': 'جمله‌های متنوع و زنده',
+    'writing.criterion.narrative.conventions': 'قواعد نگارشی',
+    'writing.criterion.narrative.conventions.desc': 'املا، دستور و نشانه‌گذاری',
+    'writing.source.book': 'کتاب',
+    'writing.source.article': 'مقالهٔ مجله',
+    'writing.source.website': 'صفحهٔ وب',
+    'writing.note.repeated': 'واژهٔ تکراری «{word}»',
+    'writing.note.spelling': 'املا: «{word}»',
+    'writing.note.capitalI': 'ضمیر «I» را با حرف بزرگ بنویسید',
+    'writing.note.modalOf': '«{text}» باید «{fix}» باشد',
+    'writing.note.an': 'پیش از صدای واکه «an» بیاورید («{word}»)',
+    'writing.note.spaceBefore': 'پیش از نشانه‌گذاری فاصله نگذارید',
+    'writing.note.capitalStart': 'جمله را با حرف بزرگ آغاز کنید',
+    'writing.note.extraSpaces': 'فاصله‌های اضافه',
+    'writing.note.noEndPunct': 'بند بدون نشانهٔ پایانی تمام می‌شود',
+    'writing.note.longSentence': 'جملهٔ بلند ({n} واژه). بهتر است آن را بشکنید.',
+    'writing.note.weakOpener': 'آغاز ضعیف. با نهاد اصلی شروع کنید.',
+    'writing.note.passive': 'احتمالاً فعل مجهول. چه کسی کار را انجام می‌دهد؟',
+    'writing.note.filler': '«{word}» به‌ندرت معنایی می‌افزاید',
+    'writing.note.wordy': 'پرگو: «{text}»',
+    'writing.note.split': 'مقاله را به مقدمه، بندهای بدنه و نتیجه‌گیری بخش کنید.',
+    'writing.note.longParagraph': 'بند بسیار بلند ({n} واژه). آیا بیش از یک ایده را پوشش می‌دهد؟',
+    'writing.note.oneSentence': 'بند تک‌جمله‌ای. آن را پرورش دهید یا ادغام کنید.',
+    'writing.note.transitions': 'بندهای کمی با عبارت ربط آغاز می‌شوند (however، for example، as a result…).',
+    'writing.note.conclusion': 'بند آخر مانند نتیجه‌گیری نیست. ادعای اصلی و اهمیتش را دوباره بیان کنید.',
+    'writing.note.noIntro': 'مقدمه‌ای برای بیان ادعای اصلی پیدا نشد.',
+    'writing.thesis.short': 'ادعای اصلی بسیار کوتاه است.',
+    'writing.thesis.long': 'ادعای اصلی بیش از حد بلند است؛ فشرده‌اش کنید.',
+    'writing.thesis.noStance': 'ادعای اصلی موضع روشن و قابل بحثی ندارد.',
+    'writing.thesis.noReasons': 'ادعای اصلی دلیل‌های پشت ادعا را پیش‌نمایش نمی‌دهد.',
+    'writing.thesis.announces': 'ادعای اصلی به‌جای طرح ادعا، موضوع را اعلام می‌کند یا پرسش می‌پرسد.',
+    'writing.thesis.hedge': 'ادعای اصلی با تردید («I think…») شروع می‌شود؛ آن را مستقیم بیان کنید.',
+    'writing.thesis.likely': 'احتمالاً ادعای اصلی. {issues}',
+    'writing.thesis.good': 'احتمالاً ادعای اصلی: روشن، قابل بحث و با پیش‌نمایش دلیل‌ها.',
+    'writing.untitled': 'پیش‌نویس بی‌نام',
+    'writing.versionSaved': 'نسخه ذخیره شد',
+    'writing.beforeRestore': 'پیش از بازگردانی',
+    'writing.versionRestored': 'نسخه بازگردانده شد؛ متن قبلی در تاریخچه ماند',
+    'writing.tooShort': 'اول دست‌کم چند جمله بنویسید',
+    'writing.aiAdded': 'بازخورد هوش مصنوعی اضافه شد',
+    'writing.aiUnmatched.one': 'بازخورد هوش مصنوعی اضافه شد ({n} یادداشت با متن جور نشد)',
+    'writing.aiUnmatched.other': 'بازخورد هوش مصنوعی اضافه شد ({n} یادداشت با متن جور نشد)',
+    'writing.aiFailed': 'بازخورد هوش مصنوعی ناموفق بود: {error}',
+    'writing.askAbout': 'دارم «{title}» ({rubric}) را بازنویسی می‌کنم. بازخورد دربارهٔ این بخش ({category}):\n\n> {passage}\n\n{message}\n\nمی‌شود مشکل را توضیح دهید و کمکم کنید خودم درستش کنم؟',
+    'writing.citationNeedsTitle': 'ارجاع دست‌کم یک عنوان لازم دارد',
+    'writing.copyFailed': 'کپی ناموفق بود',
+    'writing.field.publisher': 'ناشر',
+    'writing.field.year': 'سال',
+    'writing.field.journal': 'مجله',
+    'writing.field.volume': 'جلد',
+    'writing.field.issue': 'شماره',
+    'writing.field.pages': 'صفحه‌ها (مثلاً 45-67)',
+    'writing.field.doi': 'DOI',
+    'writing.field.websiteName': 'نام وب‌سایت',
+    'writing.field.publisherIfDifferent': 'ناشر (اگر فرق دارد)',
+    'writing.field.url': 'نشانی اینترنتی',
+    'writing.newDraft': 'پیش‌نویس تازه',
+    'writing.words.one': '{n} واژه',
+    'writing.words.two': '{n} واژه',
+    'writing.words.few': '{n} واژه',
+    'writing.words.other': '{n} واژه',
+    'writing.deleteDraft': 'حذف پیش‌نویس',
+    'writing.title': 'استودیوی نگارش',
+    'writing.intro': 'مقاله بنویسید و دربارهٔ دستور، وضوح، ساختار و ادعای اصلی بازخورد بگیرید، آن را با یک سنجه نمره دهید و ارجاع بسازید. پیش‌نویس‌ها خودکار روی همین دستگاه ذخیره می‌شوند.',
+    'writing.start': 'شروع پیش‌نویس',
+    'writing.draftTitle': 'عنوان پیش‌نویس',
+    'writing.savedAt': 'ذخیره شد {time}',
+    'writing.view.write': 'نوشتن',
+    'writing.view.feedback': 'بازخورد',
+    'writing.view.history': 'تاریخچه ({n})',
+    'writing.view.cite': 'ارجاع‌ها',
+    'writing.stats': '{words} · {paragraphs} ¶ · پایهٔ {grade} · حدود {minutes} دقیقه خواندن',
+    'writing.placeholder': 'مقاله‌تان را بچسبانید یا بنویسید. میان بندها یک خط خالی بگذارید.',
+    'writing.saveVersion': 'ذخیرهٔ نسخه',
+    'writing.rubric': 'سنجه',
+    'writing.refreshAi': 'تازه‌سازی بازخورد هوش مصنوعی',
+    'writing.getAi': 'دریافت بازخورد هوش مصنوعی',
+    'writing.toggleNotes': 'نمایش یا پنهان کردن این یادداشت‌ها',
+    'writing.aiSummary': 'خلاصهٔ هوش مصنوعی · {date}',
+    'writing.nothingToReview': 'هنوز چیزی برای بررسی نیست. اول چیزی بنویسید.',
+    'writing.ai': 'هوش مصنوعی',
+    'writing.use': 'به‌کار بردن «{text}»',
+    'writing.noIssues': 'در دسته‌های نمایش‌داده‌شده مشکلی نیست.',
+    'writing.rubricTitle': 'سنجهٔ {rubric}',
+    'writing.criterion': 'معیار',
+    'writing.offlineEstimate': 'برآورد آفلاین',
+    'writing.aiScore': 'نمرهٔ هوش مصنوعی',
+    'writing.estimateNote': 'برآوردهای آفلاین از بررسی‌های سادهٔ متن می‌آیند. آن‌ها را نقطهٔ شروع بازنویسی بدانید، نه نمره.',
+    'writing.saveCurrent': 'ذخیرهٔ نسخهٔ کنونی',
+    'writing.autosaved': 'ذخیرهٔ خودکار',
+    'writing.versionsHint': 'نسخه‌ها هنگام نوشتن (هر چند دقیقه) یا وقتی نسخه‌ای ذخیره کنید اینجا می‌آیند.',
+    'writing.changesFrom': 'تغییرها از {date} تا اکنون:',
+    'writing.added': 'افزوده',
+    'writing.removed': 'حذف‌شده',
+    'writing.restoreVersion': 'بازگردانی این نسخه',
+    'writing.pickVersion': 'یک نسخه را برای مقایسه با پیش‌نویس کنونی انتخاب کنید.',
+    'writing.authors': 'نویسندگان، هر خط یکی (Jane Doe یا Doe, Jane)',
+    'writing.articleTitle': 'عنوان مقاله',
+    'writing.pageTitle': 'عنوان صفحه',
+    'writing.bookTitle': 'عنوان کتاب',
+    'writing.published': 'تاریخ انتشار',
+    'writing.accessed': 'تاریخ دسترسی',
+    'writing.addCitation': 'افزودن به فهرست منابع',
+    'writing.references': 'منابع',
+    'writing.worksCited': 'آثار ارجاع‌شده',
+    'writing.bibliography': 'کتاب‌نامه',
+    'writing.citeStyle': 'سبک ارجاع',
+    'writing.copyAll': 'کپی همه',
+    'writing.noSources': 'هنوز منبعی نیست.',
+    'writing.capsNote': 'حروف بزرگ را با راهنمای سبک بسنجید: APA برای عنوان‌ها حالت جمله و MLA و Chicago حالت عنوان را به کار می‌برند.',
+    'writing.deleteTitle': 'پیش‌نویس حذف شود؟',
+    'writing.deleteDesc': 'پیش‌نویس، نسخه‌ها و ارجاع‌هایش از این دستگاه پاک می‌شوند.',
+    'ai.noJson': 'پاسخ JSON نداشت',
+    'ai.partialJson': 'پاسخ JSON ناقص داشت'
+  },
+  ar: {
+    'writing.category.grammar': 'القواعد والإملاء',
+    'writing.category.clarity': 'الوضوح',
+    'writing.category.structure': 'البنية',
+    'writing.category.thesis': 'الأطروحة',
+    'rubric.level.beginning': 'مبتدئ',
+    'rubric.level.developing': 'نامٍ',
+    'rubric.level.proficient': 'متمكّن',
+    'rubric.level.exemplary': 'نموذجي',
+    'writing.rubric.argumentative': 'مقال حِجاجي',
+    'writing.rubric.informative': 'إخباري / تفسيري',
+    'writing.rubric.narrative': 'سردي',
+    'writing.criterion.argumentative.claim': 'الأطروحة والادعاء',
+    'writing.criterion.argumentative.claim.desc': 'موقف واضح قابل للنقاش يُذكر مبكرًا',
+    'writing.criterion.argumentative.evidence': 'الأدلة والاستدلال',
+    'writing.criterion.argumentative.evidence.desc': 'أمثلة أو بيانات أو مصادر تدعم كل نقطة',
+    'writing.criterion.argumentative.organization': 'التنظيم',
+    'writing.criterion.argumentative.organization.desc': 'مقدمة، فقرات مركّزة، خاتمة، روابط انتقالية',
+    'writing.criterion.argumentative.style': 'الوضوح والأسلوب',
+    'writing.criterion.argumentative.style.desc': 'جمل موجزة، صيغة المبني للمعلوم، كلمات دقيقة',
+    'writing.criterion.argumentative.conventions': 'الأعراف الكتابية',
+    'writing.criterion.argumentative.conventions.desc': 'الإملاء والقواعد وعلامات الترقيم',
+    'writing.criterion.informative.focus': 'التركيز',
+    'writing.criterion.informative.focus.desc': 'فكرة محورية يشرحها النص كله',
+    'writing.criterion.informative.development': 'التطوير',
+    'writing.criterion.informative.development.desc': 'حقائق وتعريفات وأمثلة',
+    'writing.criterion.informative.organization': 'التنظيم',
+    'writing.criterion.informative.organization.desc': 'ترتيب منطقي مع روابط انتقالية',
+    'writing.criterion.informative.language': 'اللغة',
+    'writing.criterion.informative.language.desc': 'صياغة واضحة وموضوعية',
+    'writing.criterion.informative.conventions': 'الأعراف الكتابية',
+    'writing.criterion.informative.conventions.desc': 'الإملاء والقواعد وعلامات الترقيم',
+    'writing.criterion.narrative.structure': 'الحبكة والبنية',
+    'writing.criterion.narrative.structure.desc': 'بداية ووسط ونهاية واضحة',
+    'writing.criterion.narrative.detail': 'التفاصيل والحوار',
+    'writing.criterion.narrative.detail.desc': 'تفاصيل محددة ووصف وحوار',
+    'writing.criterion.narrative.voice': 'الصوت والأسلوب',
+    'writing.criterion.narrative.voice.desc': 'جمل متنوعة وحيّة',
+    'writing.criterion.narrative.conventions': 'الأعراف الكتابية',
+    'writing.criterion.narrative.conventions.desc': 'الإملاء والقواعد وعلامات الترقيم',
+    'writing.source.book': 'كتاب',
+    'writing.source.article': 'مقال في مجلة',
+    'writing.source.website': 'صفحة ويب',
+    'writing.note.repeated': 'كلمة مكررة «{word}»',
+    'writing.note.spelling': 'الإملاء: «{word}»',
+    'writing.note.capitalI': 'اكتب الضمير «I» بحرف كبير',
+    'writing.note.modalOf': 'يجب أن تكون «{text}» ‏«{fix}»',
+    'writing.note.an': 'استخدم «an» قبل الصوت المتحرك («{word}»)',
+    'writing.note.spaceBefore': 'لا مسافة قبل علامة الترقيم',
+    'writing.note.capitalStart': 'ابدأ الجملة بحرف كبير',
+    'writing.note.extraSpaces': 'مسافات زائدة',
+    'writing.note.noEndPunct': 'تنتهي الفقرة دون علامة ترقيم',
+    'writing.note.longSentence': 'جملة طويلة ({n} كلمة). فكّر في تقسيمها.',
+    'writing.note.weakOpener': 'افتتاح ضعيف. ابدأ بالفاعل الحقيقي.',
+    'writing.note.passive': 'ربما صيغة المبني للمجهول. من يقوم بالفعل؟',
+    'writing.note.filler': '«{word}» نادرًا ما تضيف معنى',
+    'writing.note.wordy': 'إطناب: «{text}»',
+    'writing.note.split': 'قسّم المقال إلى مقدمة وفقرات عرض وخاتمة.',
+    'writing.note.longParagraph': 'فقرة طويلة جدًا ({n} كلمة). هل تتناول أكثر من فكرة؟',
+    'writing.note.oneSentence': 'فقرة من جملة واحدة. طوّرها أو ادمجها.',
+    'writing.note.transitions': 'قلّة من الفقرات تبدأ برابط انتقالي (however، for example، as a result…).',
+    'writing.note.conclusion': 'الفقرة الأخيرة لا تبدو خاتمة. أعد صياغة الأطروحة وأهميتها.',
+    'writing.note.noIntro': 'لم يُعثر على مقدمة لعبارة الأطروحة.',
+    'writing.thesis.short': 'الأطروحة قصيرة جدًا.',
+    'writing.thesis.long': 'الأطروحة طويلة جدًا؛ أوجِزها.',
+    'writing.thesis.noStance': 'لا تتخذ الأطروحة موقفًا واضحًا قابلًا للنقاش.',
+    'writing.thesis.noReasons': 'لا تمهّد الأطروحة للأسباب وراء الادعاء.',
+    'writing.thesis.announces': 'تعلن الأطروحة الموضوع أو تطرح سؤالًا بدل أن تقدّم ادعاءً.',
+    'writing.thesis.hedge': 'تبدأ الأطروحة بتحفّظ («I think…»)؛ صرّح بها مباشرة.',
+    'writing.thesis.likely': 'الأطروحة المرجّحة. {issues}',
+    'writing.thesis.good': 'الأطروحة المرجّحة: واضحة وقابلة للنقاش وتمهّد لأسبابها.',
+    'writing.untitled': 'مسودة بلا عنوان',
+    'writing.versionSaved': 'حُفظت النسخة',
+    'writing.beforeRestore': 'قبل الاستعادة',
+    'writing.versionRestored': 'استُعيدت النسخة؛ وبقي النص السابق في السجل',
+    'writing.tooShort': 'اكتب بضع جمل على الأقل أولًا',
+    'writing.aiAdded': 'أُضيفت ملاحظات الذكاء الاصطناعي',
+    'writing.aiUnmatched.one': 'أُضيفت ملاحظات الذكاء الاصطناعي (تعذّرت مطابقة ملاحظة واحدة مع النص)',
+    'writing.aiUnmatched.other': 'أُضيفت ملاحظات الذكاء الاصطناعي (تعذّرت مطابقة {n} من الملاحظات مع النص)',
+    'writing.aiFailed': 'فشلت ملاحظات الذكاء الاصطناعي: {error}',
+    'writing.askAbout': 'أراجع «{title}» ({rubric}). ملاحظة على هذا المقطع ({category}):\n\n> {passage}\n\n{message}\n\nهل يمكنك شرح المشكلة ومساعدتي على إصلاحها بنفسي؟',
+    'writing.citationNeedsTitle': 'يحتاج المرجع إلى عنوان على الأقل',
+    'writing.copyFailed': 'فشل النسخ',
+    'writing.field.publisher': 'الناشر',
+    'writing.field.year': 'السنة',
+    'writing.field.journal': 'المجلة',
+    'writing.field.volume': 'المجلد',
+    'writing.field.issue': 'العدد',
+    'writing.field.pages': 'الصفحات (مثل 45-67)',
+    'writing.field.doi': 'DOI',
+    'writing.field.websiteName': 'اسم الموقع',
+    'writing.field.publisherIfDifferent': 'الناشر (إن اختلف)',
+    'writing.field.url': 'الرابط',
+    'writing.newDraft': 'مسودة جديدة',
+    'writing.words.one': 'كلمة واحدة',
+    'writing.words.two': 'كلمتان',
+    'writing.words.few': '{n} كلمات',
+    'writing.words.other': '{n} كلمة',
+    'writing.deleteDraft': 'حذف المسودة',
+    'writing.title': 'استوديو الكتابة',
+    'writing.intro': 'اكتب مقالًا واحصل على ملاحظات حول القواعد والوضوح والبنية والأطروحة، وقيّمه وفق معيار، وأنشئ المراجع. تُحفظ المسودات تلقائيًا على هذا الجهاز.',
+    'writing.start': 'ابدأ مسودة',
+    'writing.draftTitle': 'عنوان المسودة',
+    'writing.savedAt': 'حُفظ {time}',
+    'writing.view.write': 'الكتابة',
+    'writing.view.feedback': 'الملاحظات',
+    'writing.view.history': 'السجل ({n})',
+    'writing.view.cite': 'المراجع',
+    'writing.stats': '{words} · {paragraphs} ¶ · الصف {grade} · قراءة نحو {minutes} دقيقة',
+    'writing.placeholder': 'الصق مقالك أو ابدأ كتابته. اترك سطرًا فارغًا بين الفقرات.',
+    'writing.saveVersion': 'حفظ نسخة',
+    'writing.rubric': 'المعيار',
+    'writing.refreshAi': 'تحديث ملاحظات الذكاء الاصطناعي',
+    'writing.getAi': 'احصل على ملاحظات الذكاء الاصطناعي',
+    'writing.toggleNotes': 'إظهار هذه الملاحظات أو إخفاؤها',
+    'writing.aiSummary': 'ملخص الذكاء الاصطناعي · {date}',
+    'writing.nothingToReview': 'لا شيء للمراجعة بعد. اكتب شيئًا أولًا.',
+    'writing.ai': 'ذكاء اصطناعي',
+    'writing.use': 'استخدم «{text}»',
+    'writing.noIssues': 'لا مشكلات في الفئات المعروضة.',
+    'writing.rubricTitle': 'معيار {rubric}',
+    'writing.criterion': 'المعيار',
+    'writing.offlineEstimate': 'تقدير دون اتصال',
+    'writing.aiScore': 'درجة الذكاء الاصطناعي',
+    'writing.estimateNote': 'تأتي التقديرات دون اتصال من فحوص نصية بسيطة. عاملها كنقطة بداية للمراجعة لا كدرجة.',
+    'writing.saveCurrent': 'حفظ النسخة الحالية',
+    'writing.autosaved': 'حفظ تلقائي',
+    'writing.versionsHint': 'تظهر النسخ هنا أثناء الكتابة (كل بضع دقائق) أو عند حفظ نسخة.',
+    'writing.changesFrom': 'التغييرات من {date} حتى الآن:',
+    'writing.added': 'مضاف',
+    'writing.removed': 'محذوف',
+    'writing.restoreVersion': 'استعادة هذه النسخة',
+    'writing.pickVersion': 'اختر نسخة لمقارنتها بالمسودة الحالية.',
+    'writing.authors': 'المؤلفون، واحد في كل سطر (Jane Doe أو Doe, Jane)',
+    'writing.articleTitle': 'عنوان المقال',
+    'writing.pageTitle': 'عنوان الصفحة',
+    'writing.bookTitle': 'عنوان الكتاب',
+    'writing.published': 'تاريخ النشر',
+    'writing.accessed': 'تاريخ الوصول',
+    'writing.addCitation': 'أضف إلى قائمة المراجع',
+    'writing.references': 'المراجع',
+    'writing.worksCited': 'الأعمال المستشهد بها',
+    'writing.bibliography': 'ببليوغرافيا',
+    'writing.citeStyle': 'نمط الاستشهاد',
+    'writing.copyAll': 'نسخ الكل',
+    'writing.noSources': 'لا مصادر بعد.',
+    'writing.capsNote': 'راجع الأحرف الكبيرة وفق دليل الأسلوب: يستخدم APA حالة الجملة للعناوين، ويستخدم MLA وChicago حالة العنوان.',
+    'writing.deleteTitle': 'حذف المسودة؟',
+    'writing.deleteDesc': 'ستُزال المسودة ونسخها ومراجعها من هذا الجهاز.',
+    'ai.noJson': 'لم يتضمن الرد JSON',
+    'ai.partialJson': 'تضمّن الرد JSON غير مكتمل'
+  }
+});
+
+// names are writing.category.* messages
+const WRITING_CATEGORIES = {
+  grammar: { mark: 'bg-red-500/30 border-b-2 border-red-400', text: 'text-red-300', bar: 'bg-red-400' },
+  clarity: { mark: 'bg-yellow-500/20 border-b-2 border-yellow-400', text: 'text-yellow-300', bar: 'bg-yellow-400' },
+  structure: { mark: 'bg-sky-500/20 border-b-2 border-sky-400', text: 'text-sky-300', bar: 'bg-sky-400' },
+  thesis: { mark: 'bg-purple-500/30 border-b-2 border-purple-400', text: 'text-purple-300', bar: 'bg-purple-400' }
+};
+
+// names are rubric.level.* messages
+const RUBRIC_LEVELS = ['beginning', 'developing', 'proficient', 'exemplary'];
+const rubricLevels = () => RUBRIC_LEVELS.map(l => tr(`rubric.level.${l}`));
+
+// metric: which analysis score feeds the offline estimate for a criterion.
+// Names are writing.rubric.<rubric>; criteria are writing.criterion.<rubric>.<id> and its .desc
+const RUBRICS = {
+  argumentative: {
+    criteria: [
+      { id: 'claim', metric: 'thesis' },
+      { id: 'evidence', metric: 'evidence' },
+      { id: 'organization', metric: 'structure' },
+      { id: 'style', metric: 'clarity' },
+      { id: 'conventions', metric: 'grammar' }
+    ]
+  },
+  informative: {
+    criteria: [
+      { id: 'focus', metric: 'thesis' },
+      { id: 'development', metric: 'evidence' },
+      { id: 'organization', metric: 'structure' },
+      { id: 'language', metric: 'clarity' },
+      { id: 'conventions', metric: 'grammar' }
+    ]
+  },
+  narrative: {
+    criteria: [
+      { id: 'structure', metric: 'structure' },
+      { id: 'detail', metric: 'evidence' },
+      { id: 'voice', metric: 'clarity' },
+      { id: 'conventions', metric: 'grammar' }
+    ]
+  }
+};
+const criterionName = (rubricId, id, msg = tr) => msg(`writing.criterion.${rubricId}.${id}`);
+const criterionDesc = (rubricId, id, msg = tr) => msg(`writing.criterion.${rubricId}.${id}.desc`);
+
+const CITATION_STYLES = { apa: 'APA 7', mla: 'MLA 9', chicago: 'Chicago 17' };
+const SOURCE_TYPES = ['book', 'article', 'website']; // writing.source.*
+
+export const prose = (() => {
+  const MISSPELLINGS = {
+    teh: 'the', recieve: 'receive', recieved: 'received', beleive: 'believe', definately: 'definitely', seperate: 'separate',
+    occured: 'occurred', occurence: 'occurrence', untill: 'until', wich: 'which', becuase: 'because', thier: 'their',
+    alot: 'a lot', arguement: 'argument', begining: 'beginning', calender: 'calendar', enviroment: 'environment',
+    goverment: 'government', independant: 'independent', neccessary: 'necessary', noticable: 'noticeable',
+    publically: 'publicly', reccomend: 'recommend', succesful: 'successful', tommorow: 'tomorrow', truely: 'truly',
+    wierd: 'weird', acheive: 'achieve', existance: 'existence', foriegn: 'foreign', grammer: 'grammar',
+    occassion: 'occasion', persistant: 'persistent', posession: 'possession', relevent: 'relevant', accross: 'across',
+    basicly: 'basically', belive: 'believe', concious: 'conscious', embarass: 'embarrass', finaly: 'finally', freind: 'friend'
+  };
+  const WORDY = [
+    [/\bin order to\b/gi, 'to'], [/\bdue to the fact that\b/gi, 'because'], [/\bat this point in time\b/gi, 'now'],
+    [/\bin spite of the fact that\b/gi, 'although'], [/\bfor the purpose of\b/gi, 'for'], [/\bin the event that\b/gi, 'if'],
+    [/\bhas the ability to\b/gi, 'can'], [/\ba (?:large|great) number of\b/gi, 'many'], [/\bin today's society\b/gi, 'today']
+  ];
+  const FILLERS = /\b(very|really|basically|actually|literally|totally|quite|kind of|sort of)\b/gi;
+  const TRANSITIONS = /^(however|moreover|furthermore|additionally|in addition|first|firstly|second|secondly|third|finally|next|then|also|similarly|likewise|in contrast|on the other hand|conversely|for example|for instance|as a result|consequently|therefore|thus|meanwhile|ultimately|in conclusion|overall|to conclude|in summary|despite|although|while|another)\b/i;
+  const CONCLUSION = /\b(in conclusion|to conclude|in summary|to sum up|overall|ultimately|in the end|all in all)\b/i;
+  const EVIDENCE = /\b(for example|for instance|according to|such as|research|study|studies|survey|data|evidence|percent|statistics?|shows?|found|reported)\b|%|\d|"[^"]{3,}"|“[^”]{3,}”|\([A-Z][A-Za-z]+,? (?:et al\.,? )?\d{4}\)/gi;
+  const STANCE = /\b(should|must|ought|need to|needs to|argue|contend|claim|better|worse|crucial|essential|necessary|harmful|beneficial|more|less|outweighs?|ban|require|prove)\b/i;
+  const REASONS = /\b(because|since|as a result|due to|which means|so that|by)\b|,.*,|;/i;
+
+  // sentences with their offsets in the full text
+  const sentencesOf = (text, base = 0) => {
+    const out = [];
+    const re = /[^.!?\n]+(?:[.!?]+["”’)]*|\n|$)/g;
+    let m;
+    while ((m = re.exec(text))) {
+      if (!m[0].trim()) { if (!m[0].length) re.lastIndex++; continue; }
+      const lead = m[0].length - m[0].trimStart().length;
+      out.push({ text: m[0].trim(), start: base + m.index + lead, end: base + m.index + m[0].trimEnd().length });
+    }
+    return out;
+  };
+
+  const paragraphsOf = (text) => {
+    const out = [];
+    const re = /[^\n]+(?:\n(?!\s*\n)[^\n]+)*/g;
+    let m;
+    while ((m = re.exec(text))) if (m[0].trim()) out.push({ text: m[0], start: m.index, end: m.index + m[0].length });
+    return out;
+  };
+
+  const words = (s) => (s.match(/[A-Za-z0-9'’-]+/g) || []);
+  const syllables = (w) => {
+    const s = w.toLowerCase().replace(/[^a-z]/g, '');
+    if (s.length <= 3) return 1;
+    const groups = s.replace(/(?:[^laeiouy]es|ed|[^laeiouy]e)$/, '').replace(/^y/, '').match(/[aeiouy]{1,2}/g);
+    return Math.max(1, groups ? groups.length : 1);
+  };
+
+  const findAll = (text, re, make) => {
+    const out = [];
+    const rx = new RegExp(re.source, re.flags.includes('g') ? re.flags : re.flags + 'g');
+    let m;
+    while ((m = rx.exec(text))) {
+      const a = make(m);
+      if (a) out.push({ start: m.index, end: m.index + m[0].length, ...a });
+      if (!m[0].length) rx.lastIndex++;
+    }
+    return out;
+  };
+
+  const pickThesis = (intro) => {
+    if (!intro) return null;
+    const ss = sentencesOf(intro.text, intro.start);
+    if (!ss.length) return null;
+    const scored = ss.map((s, i) => ({ ...s, weight: (STANCE.test(s.text) ? 2 : 0) + (REASONS.test(s.text) ? 1 : 0) + (i === ss.length - 1 ? 1 : 0) }));
+    return scored.reduce((a, b) => (b.weight >= a.weight ? b : a));
+  };
+
+  const analyze = (text = '') => {
+    const paragraphs = paragraphsOf(text);
+    const sentences = sentencesOf(text);
+    const allWords = words(text);
+    const wordCount = allWords.length;
+    const annotations = [];
+    const add = (list) => annotations.push(...list);
+
+    /* grammar */
+    add(findAll(text, /\b([A-Za-z]+)\s+\1\b/i, m => ({ category: 'grammar', message: tr('writing.note.repeated', { word: m[1] }), suggestion: m[1] })));
+    add(findAll(text, /\b[A-Za-z]+\b/, m => {
+      const w = m[0].toLowerCase();
+      const fix = MISSPELLINGS[w] || (w.endsWith('s') && MISSPELLINGS[w.slice(0, -1)] ? `${MISSPELLINGS[w.slice(0, -1)]}s` : null);
+      if (!fix) return null;
+      return { category: 'grammar', message: tr('writing.note.spelling', { word: m[0] }), suggestion: m[0][0] === m[0][0].toUpperCase() ? fix[0].toUpperCase() + fix.slice(1) : fix };
+    }));
+    add(findAll(text, /(?<![.\w])i(?![.\w'’])/, () => ({ category: 'grammar', message: tr('writing.note.capitalI'), suggestion: 'I' })));
+    add(findAll(text, /\b(could|should|would|must|might) of\b/i, m => ({ category: 'grammar', message: tr('writing.note.modalOf', { text: m[0], fix: `${m[1]} have` }), suggestion: `${m[1]} have` })));
+    add(findAll(text, /\ba (?=([aeio][a-z]*))/i, m => (/^(one|once|eu)/i.test(m[1]) ? null : { category: 'grammar', message: tr('writing.note.an', { word: m[1] }), suggestion: m[0][0] === 'A' ? 'An ' : 'an ' })));
+    add(findAll(text, /[ \t]+([,.;:!?])/, m => ({ category: 'grammar', message: tr('writing.note.spaceBefore'), suggestion: m[1] })));
+    add(findAll(text, /[.!?]["”’)]?\s+([a-z])/, m => (m[0].endsWith(' i') && !/\w/.test(text[m.index + m[0].length] || '') ? null // the lone "i" rule covers it
+      : { category: 'grammar', message: tr('writing.note.capitalStart'), suggestion: m[0].slice(0, -1) + m[1].toUpperCase() })));
+    add(findAll(text, /(?<=\S) {2,}(?=\S)/, () => ({ category: 'grammar', message: tr('writing.note.extraSpaces'), suggestion: ' ' })));
+    for (const p of paragraphs) {
+      const t = p.text.trimEnd();
+      if (words(t).length > 8 && !/[.!?"”’)]$/.test(t)) annotations.push({ start: p.start + t.length - 1, end: p.start + t.length, category: 'grammar', message: tr('writing.note.noEndPunct') });
+    }
+
+    /* clarity */
+    for (const s of sentences) {
+      const n = words(s.text).length;
+      if (n > 35) annotations.push({ start: s.start, end: s.end, category: 'clarity', message: tr('writing.note.longSentence', { n }) });
+      if (/^there (is|are|was|were)\b/i.test(s.text)) annotations.push({ start: s.start, end: s.start + s.text.split(/\s+/).slice(0, 3).join(' ').length, category: 'clarity', message: tr('writing.note.weakOpener') });
+    }
+    add(findAll(text, /\b(am|is|are|was|were|be|been|being)\s+(\w+ed|\w+en)\b(?!\s+(?:to|by)\s+(?:be|have)\b)/i, m => (/^(often|even|open|seven|eleven|given|hidden|heaven|golden|wooden|sudden|garden|children|happen|listen|ten|kitten)$/i.test(m[2]) ? null : { category: 'clarity', message: tr('writing.note.passive') })));
+    add(findAll(text, FILLERS, m => ({ category: 'clarity', message: tr('writing.note.filler', { word: m[0] }), suggestion: '' })));
+    for (const [re, fix] of WORDY) add(findAll(text, re, m => ({ category: 'clarity', message: tr('writing.note.wordy', { text: m[0] }), suggestion: fix })));
+
+    /* structure */
+    const notes = { structure: [], thesis: [] };
+    const body = paragraphs.slice(1, -1);
+    if (wordCount >= 150 && paragraphs.length < 3) notes.structure.push(tr('writing.note.split'));
+    for (const p of paragraphs) {
+      const n = words(p.text).length;
+      const first = sentencesOf(p.text, p.start)[0];
+      if (n > 220 && first) annotations.push({ start: first.start, end: first.end, category: 'structure', message: tr('writing.note.longParagraph', { n }) });
+      if (body.includes(p) && sentencesOf(p.text).length === 1 && first) annotations.push({ start: first.start, end: first.end, category: 'structure', message: tr('writing.note.oneSentence') });
+    }
+    const withTransitions = body.filter(p => TRANSITIONS.test(p.text.trim())).length;
+    if (body.length >= 2 && withTransitions < body.length / 2) notes.structure.push(tr('writing.note.transitions'));
+    const hasConclusion = paragraphs.length >= 3 && CONCLUSION.test(paragraphs[paragraphs.length - 1].text);
+    if (paragraphs.length >= 3 && !hasConclusion) notes.structure.push(tr('writing.note.conclusion'));
+
+    /* thesis */
+    const thesis = pickThesis(paragraphs[0]);
+    let thesisScore = 0;
+    if (thesis) {
+      const n = words(thesis.text).length;
+      // [passes, writing.thesis.* message when it doesn't]
+      const checks = [
+        [n >= 10 && n <= 45, n < 10 ? 'short' : 'long'],
+        [STANCE.test(thesis.text), 'noStance'],
+        [REASONS.test(thesis.text), 'noReasons'],
+        [!/\?$/.test(thesis.text) && !/\b(this essay will|i will (?:talk|write)|in this essay)\b/i.test(thesis.text), 'announces'],
+        [!/^(in my opinion|i think|i believe|i feel)\b/i.test(thesis.text), 'hedge']
+      ];
+      thesisScore = checks.filter(c => c[0]).length / checks.length;
+      const weak = checks.filter(c => !c[0]).map(c => tr(`writing.thesis.${c[1]}`));
+      annotations.push({
+        start: thesis.start, end: thesis.end, category: 'thesis',
+        message: weak.length ? tr('writing.thesis.likely', { issues: weak.join(' ') }) : tr('writing.thesis.good')
+      });
+      notes.thesis.push(...weak);
+    } else if (wordCount) {
+      notes.thesis.push(tr('writing.note.noIntro'));
+    }
+
+    annotations.sort((a, b) => a.start - b.start || b.end - a.end);
+    const seen = new Set();
+    const clean = annotations.filter(a => {
+      const k = `${a.category}-${a.start}-${a.end}`;
+      if (seen.has(k)) return false;
+      seen.add(k);
+      a.id = k;
+      return true;
+    });
+
+    /* scores (0–100) */
+    const per100 = (cat) => clean.filter(a => a.category === cat).length / Math.max(1, wordCount) * 100;
+    const evidenceHits = (text.match(EVIDENCE) || []).length;
+    const evidenceParas = Math.max(1, body.length || paragraphs.length);
+    const structureChecks = [paragraphs.length >= 3 || wordCount < 150, withTransitions >= body.length / 2, hasConclusion || paragraphs.length < 3, !clean.some(a => a.category === 'structure')];
+    const syl = allWords.reduce((s, w) => s + syllables(w), 0);
+    const grade = wordCount ? 0.39 * (wordCount / Math.max(1, sentences.length)) + 11.8 * (syl / wordCount) - 15.59 : 0;
+    const scores = {
+      grammar: Math.round(clamp(100 - per100('grammar') * 12, 0, 100)),
+      clarity: Math.round(clamp(100 - per100('clarity') * 6, 0, 100)),
+      structure: Math.round(structureChecks.filter(Boolean).length / structureChecks.length * 100),
+      thesis: Math.round(thesisScore * 100),
+      evidence: Math.round(clamp(evidenceHits / evidenceParas / 2 * 100, 0, 100))
+    };
+
+    return {
+      annotations: clean,
+      notes,
+      scores,
+      stats: {
+        words: wordCount,
+        sentences: sentences.length,
+        paragraphs: paragraphs.length,
+        avgSentence: sentences.length ? Math.round(wordCount / sentences.length) : 0,
+        grade: Math.max(0, Math.round(grade * 10) / 10),
+        minutes: Math.max(1, Math.round(wordCount / 230))
+      }
+    };
+  };
+
+  // Splits text at annotation boundaries; marks are the annotations covering
+  // each piece, narrowest first (sentence-level notes can contain word-level ones).
+  const segments = (text, annotations) => {
+    const cuts = [...new Set([0, text.length, ...annotations.flatMap(a => [a.start, a.end])])]
+      .filter(x => x >= 0 && x <= text.length).sort((a, b) => a - b);
+    return cuts.slice(0, -1).map((start, i) => {
+      const end = cuts[i + 1];
+      const marks = annotations.filter(a => a.start <= start && a.end >= end).sort((a, b) => (a.end - a.start) - (b.end - b.start));
+      return { start, end, text: text.slice(start, end), marks };
+    });
+  };
+
+  // 0–100 metric → rubric level 1–4
+  const levelFor = (score) => (score >= 85 ? 4 : score >= 70 ? 3 : score >= 50 ? 2 : 1);
+  const scoreRubric = (rubricId, analysis) => {
+    const r = RUBRICS[rubricId];
+    return r.criteria.map(c => ({ ...c, level: levelFor(analysis.scores[c.metric] ?? 0) }));
+  };
+
+  /* ------------------- Citations ------------------- */
+  // "Jane Q. Doe" or "Doe, Jane Q." per line → { first, last }
+  const parseAuthors = (src) => String(src || '').split(/\n|;/).map(s => s.trim()).filter(Boolean).map(s => {
+    if (s.includes(',')) { const [last, first = ''] = s.split(',').map(x => x.trim()); return { first, last }; }
+    const parts = s.split(/\s+/);
+    return parts.length === 1 ? { first: '', last: parts[0] } : { first: parts.slice(0, -1).join(' '), last: parts[parts.length - 1] };
+  });
+  const initials = (first) => first.split(/[\s-]+/).filter(Boolean).map(n => `${n[0].toUpperCase()}.`).join(' ');
+  const full = (a) => [a.first, a.last].filter(Boolean).join(' ');
+  const inverted = (a) => (a.first ? `${a.last}, ${a.first}` : a.last);
+  const MONTHS = ['January', 'February', 'March', 'April', 'May', 'June', 'July', 'August', 'September', 'October', 'November', 'December'];
+  const MLA_MONTHS = ['Jan.', 'Feb.', 'Mar.', 'Apr.', 'May', 'June', 'July', 'Aug.', 'Sept.', 'Oct.', 'Nov.', 'Dec.'];
+  const dateParts = (iso) => { const m = /^(\d{4})-(\d{2})-(\d{2})$/.exec(iso || ''); return m ? { y: m[1], m: Number(m[2]) - 1, d: Number(m[3]) } : null; };
+  const end = (s) => (/[.?!]$/.test(s) ? s : `${s}.`);
+  const link = (src) => (src.doi ? `https://doi.org/${src.doi.replace(/^https?:\/\/(dx\.)?doi\.org\//, '')}` : src.url || '');
+
+  const apaAuthors = (list) => {
+    const names = list.map(a => (a.first ? `${a.last}, ${initials(a.first)}` : a.last));
+    if (names.length <= 1) return names[0] || '';
+    if (names.length <= 20) return `${names.slice(0, -1).join(', ')}, & ${names[names.length - 1]}`;
+    return `${names.slice(0, 19).join(', ')}, . . . ${names[names.length - 1]}`;
+  };
+  const mlaAuthors = (list) => {
+    if (!list.length) return '';
+    if (list.length === 1) return inverted(list[0]);
+    if (list.length === 2) return `${inverted(list[0])}, and ${full(list[1])}`;
+    return `${inverted(list[0])}, et al`;
+  };
+  const chicagoAuthors = (list) => {
+    if (!list.length) return '';
+    if (list.length === 1) return inverted(list[0]);
+    if (list.length <= 10) return `${inverted(list[0])}, ${list.slice(1, -1).map(full).map(n => `${n}, `).join('')}and ${full(list[list.length - 1])}`;
+    return `${list.slice(0, 7).map((a, i) => (i ? full(a) : inverted(a))).join(', ')}, et al`;
+  };
+
+  // Returns Markdown (titles in *italics*) for one source in one style. The
+  // output follows the English-language style guides, so it isn't translated.
+  const cite = (style, src) => {
+    const authors = parseAuthors(src.authors);
+    const title = (src.title || '').trim() || 'Untitled';
+    const year = (src.year || '').trim();
+    const pub = dateParts(src.published);
+    const acc = dateParts(src.accessed);
+    const url = link(src);
+    const vol = (src.volume || '').trim(), issue = (src.issue || '').trim(), pages = (src.pages || '').trim();
+    const container = (src.container || '').trim(), publisher = (src.publisher || '').trim();
+
+    if (style === 'apa') {
+      const who = apaAuthors(authors);
+      const when = src.type === 'website' && pub ? `${pub.y}, ${MONTHS[pub.m]} ${pub.d}` : (year || (pub && pub.y) || 'n.d.');
+      const head = who ? `${end(who)} (${when}).` : null;
+      const t = src.type === 'article' ? end(title) : `*${title}*.`;
+      const lead = head ? `${head} ${t}` : `${t} (${when}).`;
+      if (src.type === 'article') return [lead, `*${container || 'Journal'}*${vol ? `, *${vol}*` : ''}${issue ? `(${issue})` : ''}${pages ? `, ${pages}` : ''}.`, url].filter(Boolean).join(' ');
+      if (src.type === 'website') return [lead, container && container !== who ? `${container}.` : '', url].filter(Boolean).join(' ');
+      return [lead, publisher ? `${publisher}.` : '', url].filter(Boolean).join(' ');
+    }
+
+    if (style === 'mla') {
+      const who = mlaAuthors(authors);
+      const head = who ? `${end(who)} ` : '';
+      if (src.type === 'book') return `${head}*${title}*. ${[publisher, year].filter(Boolean).join(', ')}.`.replace(/\. \.$/, '.');
+      const parts = src.type === 'article'
+        ? [`*${container || 'Journal'}*`, vol && `vol. ${vol}`, issue && `no. ${issue}`, year, pages && `pp. ${pages}`, url.replace(/^https?:\/\//, '')]
+        : [`*${container || 'Website'}*`, publisher && publisher !== container && publisher, pub ? `${pub.d} ${MLA_MONTHS[pub.m]} ${pub.y}` : year, url.replace(/^https?:\/\//, '')];
+      const tail = acc && src.type === 'website' && !pub ? ` Accessed ${acc.d} ${MLA_MONTHS[acc.m]} ${acc.y}.` : '';
+      return `${head}"${end(title)}" ${parts.filter(Boolean).join(', ')}.${tail}`;
+    }
+
+    // chicago (bibliography entry)
+    const who = chicagoAuthors(authors);
+    const head = who ? `${end(who)} ` : '';
+    if (src.type === 'book') return `${head}*${title}*. ${[publisher, year].filter(Boolean).join(', ')}.${url ? ` ${url}.` : ''}`.replace(/\. \./g, '.');
+    if (src.type === 'article') return `${head}"${end(title)}" *${container || 'Journal'}*${vol ? ` ${vol}` : ''}${issue ? `, no. ${issue}` : ''}${year ? ` (${year})` : ''}${pages ? `: ${pages}` : ''}.${url ? ` ${url}.` : ''}`;
+    const when = pub ? `${MONTHS[pub.m]} ${pub.d}, ${pub.y}` : acc ? `Accessed ${MONTHS[acc.m]} ${acc.d}, ${acc.y}` : year;
+    return `${head}"${end(title)}" ${container ? `${container}. ` : ''}${when ? `${when}. ` : ''}${url ? `${url}.` : ''}`.trim();
+  };
+
+  // Markdown emphasis → plain text for copying
+  const plain = (md) => md.replace(/\*([^*]+)\*/g, '$1');
+
+  /* ------------------- Word diff ------------------- */
+  // LCS over words (whitespace kept) after trimming the shared prefix/suffix
+  const diffWords = (a = '', b = '') => {
+    const A = a.split(/(\s+)/).filter(Boolean), B = b.split(/(\s+)/).filter(Boolean);
+    let pre = 0;
+    while (pre < A.length && pre < B.length && A[pre] === B[pre]) pre++;
+    let suf = 0;
+    while (suf < A.length - pre && suf < B.length - pre && A[A.length - 1 - suf] === B[B.length - 1 - suf]) suf++;
+    const a2 = A.slice(pre, A.length - suf), b2 = B.slice(pre, B.length - suf);
+    const out = [];
+    const push = (type, text) => { const last = out[out.length - 1]; if (last && last.type === type) last.text += text; else out.push({ type, text }); };
+    if (pre) push('same', A.slice(0, pre).join(''));
+    if (a2.length * b2.length > 4e6) {
+      push('del', a2.join('')); push('add', b2.join(''));
+    } else {
+      const n = a2.length, m = b2.length;
+      const L = new Uint32Array((n + 1) * (m + 1));
+      for (let i = n - 1; i >= 0; i--) for (let j = m - 1; j >= 0; j--)
+        L[i * (m + 1) + j] = a2[i] === b2[j] ? L[(i + 1) * (m + 1) + j + 1] + 1 : Math.max(L[(i + 1) * (m + 1) + j], L[i * (m + 1) + j + 1]);
+      let i = 0, j = 0;
+      while (i < n && j < m) {
+        if (a2[i] === b2[j]) { push('same', a2[i]); i++; j++; }
+        else if (L[(i + 1) * (m + 1) + j] >= L[i * (m + 1) + j + 1]) push('del', a2[i++]);
+        else push('add', b2[j++]);
+      }
+      while (i < n) push('del', a2[i++]);
+      while (j < m) push('add', b2[j++]);
+    }
+    if (suf) push('same', A.slice(A.length - suf).join(''));
+    return out;
+  };
+
+  return { analyze, segments, scoreRubric, levelFor, cite, plain, diffWords, words };
+})();
+
+// Instructions for the optional AI pass; the reply must be JSON in this shape.
+const WRITING_AI_PROMPT = (rubricId) => `You are a supportive writing tutor reviewing a student's draft.
+Reply with JSON only, no prose around it, in exactly this shape:
+{"summary": string, "annotations": [{"quote": string, "category": "grammar"|"clarity"|"structure"|"thesis", "message": string, "suggestion"?: string}], "rubric": [{"id": string, "level": 1|2|3|4, "comment": string}]}
+- "quote" must be copied exactly from the draft (a few words to one sentence) so it can be highlighted.
+- "suggestion" is replacement text for the quote, only when there is a concrete fix.
+- At most 15 annotations, most important first. Be encouraging and specific.
+- Score this rubric (levels: ${RUBRIC_LEVELS.map((l, i) => `${i + 1} ${enText(`rubric.level.${l}`)}`).join(', ')}):
+${RUBRICS[rubricId].criteria.map(c => `  - ${c.id}: ${criterionName(rubricId, c.id, enText)}: ${criterionDesc(rubricId, c.id, enText)}`).join('\n')}`;
+
+// First JSON object/array in a model reply (tolerates ```json fences and chatter).
+const parseModelJson = (text) => {
+  const s = String(text || '').replace(/```(?:json)?/g, '');
+  const start = s.search(/[[{]/);
+  if (start < 0) throw new Error(tr('ai.noJson'));
+  const open = s[start], close = open === '{' ? '}' : ']';
+  let depth = 0, inStr = false;
+  for (let i = start; i < s.length; i++) {
+    const c = s[i];
+    if (inStr) { if (c === '\\') i++; else if (c === '"') inStr = false; continue; }
+    if (c === '"') inStr = true;
+    else if (c === open) depth++;
+    else if (c === close && --depth === 0) return JSON.parse(s.slice(start, i + 1));
+  }
+  throw new Error(tr('ai.partialJson'));
+};
+
+/* ----------------------------------------------------------------------------
+   Writing workspace: drafts, feedback, history, citations
+---------------------------------------------------------------------------- */
+const draftsKey = (u) => `mythos_drafts_${u?.id || 'guest'}`;
+const VERSION_EVERY_MS = 5 * 60_000;
+const MAX_VERSIONS = 50;
+
+const newDraft = () => ({ id: uid(), title: tr('writing.untitled'), text: '', rubric: 'argumentative', versions: [], citations: [], ai: null, createdAt: nowISO(), updatedAt: nowISO() });
+const emptySource = (type = 'book') => ({ type, authors: '', title: '', container: '', publisher: '', year: '', published: '', accessed: '', volume: '', issue: '', pages: '', doi: '', url: '' });
+
+// AI annotations carry a quote, not offsets; place them in the current text
+const locateQuotes = (text, list = []) => list.map((a, i) => {
+  const start = a.quote ? text.indexOf(a.quote) : -1;
+  return start < 0 ? null : { ...a, start, end: start + a.quote.length, id: `ai-${i}`, source: 'ai' };
+}).filter(Boolean);
+
+function WritingTab({ user, askModel, onAskTutor, pushToast }) {
+  const [drafts, setDrafts] = useState(() => storage.get(draftsKey(user), []));
+  const [activeId, setActiveId] = useState(() => storage.get(draftsKey(user), [])[0]?.id || null);
+  const [view, setView] = useState('write');
+  const [savedAt, setSavedAt] = useState(null);
+  const [selected, setSelected] = useState(null);
+  const [hidden, setHidden] = useState({});
+  const [aiBusy, setAiBusy] = useState(false);
+  const [compareId, setCompareId] = useState(null);
+  const [source, setSource] = useState(emptySource());
+  const [citeStyle, setCiteStyle] = useState('apa');
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  const draft = drafts.find(d => d.id === activeId) || null;
+  const text = draft?.text || '';
+
+  // autosave
+  useEffect(() => {
+    const t = setTimeout(() => { storage.set(draftsKey(user), drafts); setSavedAt(new Date()); }, 600);
+    return () => clearTimeout(t);
+  }, [drafts, user]);
+
+  const updateDraft = (id, patch) => setDrafts(prev => prev.map(d => d.id === id ? { ...d, ...(typeof patch === 'function' ? patch(d) : patch), updatedAt: nowISO() } : d));
+
+  // snapshot the previous text when an editing session starts after a pause
+  const setText = (next) => updateDraft(activeId, d => {
+    const last = d.versions[d.versions.length - 1];
+    const due = !last || Date.now() - new Date(last.at).getTime() > VERSION_EVERY_MS;
+    const versions = due && d.text.trim() && d.text !== last?.text
+      ? [...d.versions, { id: uid(), at: d.updatedAt, text: d.text, auto: true }].slice(-MAX_VERSIONS)
+      : d.versions;
+    return { text: next, versions };
+  });
+
+  const saveVersion = () => {
+    if (!draft?.text.trim()) return;
+    updateDraft(activeId, d => ({ versions: [...d.versions, { id: uid(), at: nowISO(), text: d.text }].slice(-MAX_VERSIONS) }));
+    pushToast(tr('writing.versionSaved'), 'info');
+  };
+
+  const restoreVersion = (v) => {
+    updateDraft(activeId, d => ({ text: v.text, versions: [...d.versions, { id: uid(), at: nowISO(), text: d.text, label: tr('writing.beforeRestore') }].slice(-MAX_VERSIONS) }));
+    setCompareId(null);
+    pushToast(tr('writing.versionRestored'), 'info');
+  };
+
+  const createDraft = () => {
+    const d = newDraft();
+    setDrafts(prev => [d, ...prev]);
+    setActiveId(d.id);
+    setView('write');
+  };
+
+  const deleteDraft = () => {
+    const id = pendingDelete;
+    setPendingDelete(null);
+    setDrafts(prev => prev.filter(d => d.id !== id));
+    if (id === activeId) setActiveId(drafts.find(d => d.id !== id)?.id || null);
+  };
+
+  /* feedback */
+  const analysis = useMemo(() => prose.analyze(text), [text]);
+  const aiAnnotations = useMemo(() => locateQuotes(text, draft?.ai?.annotations), [text, draft?.ai]);
+  const annotations = useMemo(() => [...analysis.annotations, ...aiAnnotations].sort((a, b) => a.start - b.start), [analysis, aiAnnotations]);
+  const visible = annotations.filter(a => !hidden[a.category]);
+  const rubricId = draft?.rubric in RUBRICS ? draft.rubric : 'argumentative';
+  const rubric = RUBRICS[rubricId];
+  const estimate = draft ? prose.scoreRubric(rubricId, analysis) : [];
+  const aiLevels = Object.fromEntries((draft?.ai?.rubric || []).map(r => [r.id, r]));
+
+  const requestAiFeedback = async () => {
+    if (!draft || prose.words(text).length < 20) { pushToast(tr('writing.tooShort'), 'warn'); return; }
+    setAiBusy(true);
+    try {
+      const reply = await askModel(WRITING_AI_PROMPT(rubricId), `Draft title: ${draft.title}\n\n${text}`);
+      const data = parseModelJson(reply);
+      const ai = {
+        at: nowISO(),
+        rubricId: draft.rubric,
+        summary: String(data.summary || ''),
+        annotations: (Array.isArray(data.annotations) ? data.annotations : [])
+          .filter(a => a && typeof a.quote === 'string' && WRITING_CATEGORIES[a.category])
+          .map(a => ({ quote: a.quote, category: a.category, message: String(a.message || ''), suggestion: typeof a.suggestion === 'string' ? a.suggestion : undefined })),
+        rubric: (Array.isArray(data.rubric) ? data.rubric : [])
+          .filter(r => rubric.criteria.some(c => c.id === r.id))
+          .map(r => ({ id: r.id, level: clamp(Math.round(Number(r.level) || 1), 1, 4), comment: String(r.comment || '') }))
+      };
+      updateDraft(activeId, { ai });
+      const missing = ai.annotations.length - locateQuotes(text, ai.annotations).length;
+      pushToast(missing ? trn('writing.aiUnmatched', missing) : tr('writing.aiAdded'), 'info');
+    } catch (e) {
+      pushToast(e instanceof ApiError ? errorText(e) : tr('writing.aiFailed', { error: e.message }), 'error');
+    } finally {
+      setAiBusy(false);
+    }
+  };
+
+  const applySuggestion = (a) => {
+    if (text.slice(a.start, a.end) !== (a.quote ?? text.slice(a.start, a.end))) return;
+    setText(text.slice(0, a.start) + a.suggestion + text.slice(a.end));
+    setSelected(null);
+  };
+
+  const askAbout = (a) => onAskTutor?.(tr('writing.askAbout', {
+    rubric: tr(`writing.rubric.${rubricId}`).toLowerCase(), title: draft.title, category: tr(`writing.category.${a.category}`).toLowerCase(),
+    passage: text.slice(a.start, a.end), message: a.message
+  }));
+
+  /* citations */
+  const addCitation = () => {
+    if (!source.title.trim()) { pushToast(tr('writing.citationNeedsTitle'), 'warn'); return; }
+    updateDraft(activeId, d => ({ citations: [...(d.citations || []), { id: uid(), ...source }] }));
+    setSource(emptySource(source.type));
+  };
+  const worksCited = (draft?.citations || []).map(c => ({ id: c.id, md: prose.cite(citeStyle, c) }))
+    .sort((a, b) => prose.plain(a.md).localeCompare(prose.plain(b.md)));
+  const copy = (value) => navigator.clipboard?.writeText(value).then(() => pushToast(tr('common.copied'), 'info'), () => pushToast(tr('writing.copyFailed'), 'error'));
+
+  const field = "p-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500";
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  const compare = draft?.versions.find(v => v.id === compareId);
+  const selectedNote = annotations.find(a => a.id === selected);
+
+  const SOURCE_FIELDS = {
+    book: [['publisher', 'publisher'], ['year', 'year']],
+    article: [['container', 'journal'], ['year', 'year'], ['volume', 'volume'], ['issue', 'issue'], ['pages', 'pages'], ['doi', 'doi']],
+    website: [['container', 'websiteName'], ['publisher', 'publisherIfDifferent'], ['url', 'url']]
+  };
+
+  return (
+    <div className="flex h-full">
+      <aside className="hidden md:flex flex-col w-60 border-e border-white/10 p-4 gap-2 overflow-y-auto">
+        <button onClick={createDraft} className="flex items-center justify-center gap-2 p-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold">
+          <Plus size={16} /> {tr('writing.newDraft')}
+        </button>
+        {drafts.map(d => (
+          <div key={d.id} className={`group flex items-center gap-2 p-2 rounded-lg cursor-pointer ${d.id === activeId ? 'bg-white/20' : 'hover:bg-white/10'}`} onClick={() => setActiveId(d.id)}>
+            <FileText size={14} className="text-purple-300 shrink-0" />
+            <div className="min-w-0 flex-1">
+              <p className="text-white text-sm truncate">{d.title || tr('writing.untitled')}</p>
+              <p className="text-white/40 text-xs">{trn('writing.words', prose.words(d.text).length)} · {fmtDate(d.updatedAt)}</p>
+            </div>
+            <button onClick={(e) => { e.stopPropagation(); setPendingDelete(d.id); }} className="opacity-0 group-hover:opacity-100 text-white/50 hover:text-red-300" title={tr('writing.deleteDraft')} aria-label={tr('writing.deleteDraft')}>
+              <Trash2 size={14} />
+            </button>
+          </div>
+        ))}
+      </aside>
+
+      <div className="flex-1 p-6 overflow-y-auto">
+        {!draft ? (
+          <div className="max-w-xl mx-auto text-center text-white/80 mt-16 space-y-4">
+            <PenTool size={40} className="mx-auto text-purple-300" />
+            <h2 className="text-3xl font-bold text-white">{tr('writing.title')}</h2>
+            <p>{tr('writing.intro')}</p>
+            <button onClick={createDraft} className="px-6 py-3 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-bold">{tr('writing.start')}</button>
+          </div>
+        ) : (
+          <div className="max-w-4xl mx-auto space-y-4">
+            <div className="flex flex-wrap items-center gap-3">
+              <input value={draft.title} onChange={e => updateDraft(activeId, { title: e.target.value })} aria-label={tr('writing.draftTitle')} className="flex-1 min-w-[12rem] bg-transparent text-2xl font-bold text-white outline-none border-b border-transparent focus:border-white/30" />
+              <span className="text-white/50 text-xs">{savedAt ? tr('writing.savedAt', { time: savedAt.toLocaleTimeString(intlTag()) }) : ''}</span>
+            </div>
+            <div className="flex flex-wrap items-center gap-2">
+              {[['write', tr('writing.view.write')], ['feedback', tr('writing.view.feedback')], ['history', tr('writing.view.history', { n: fmtNumber(draft.versions.length) })], ['cite', tr('writing.view.cite')]].map(([k, name]) => (
+                <button key={k} onClick={() => setView(k)} className={`px-4 py-2 rounded-xl text-sm font-medium ${view === k ? 'bg-purple-500 text-white' : 'bg-white/10 text-white/80 hover:bg-white/20'}`}>{name}</button>
+              ))}
+              <span className="ms-auto text-white/60 text-sm">
+                {tr('writing.stats', { words: trn('writing.words', analysis.stats.words), paragraphs: fmtNumber(analysis.stats.paragraphs), grade: fmtNumber(analysis.stats.grade), minutes: fmtNumber(analysis.stats.minutes) })}
+              </span>
+            </div>
+
+            {view === 'write' && (
+              <>
+                <textarea
+                  value={text}
+                  onChange={e => setText(e.target.value)}
+                  placeholder={tr('writing.placeholder')}
+                  aria-label={tr('writing.view.write')}
+                  className={`w-full min-h-[60vh] leading-relaxed resize-y ${field}`}
+                />
+                <div className="flex justify-end">
+                  <button onClick={saveVersion} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm"><Save size={16} /> {tr('writing.saveVersion')}</button>
+                </div>
+              </>
+            )}
+
+            {view === 'feedback' && (
+              <div className="space-y-4">
+                <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10 space-y-4">
+                  <div className="flex flex-wrap items-center gap-3">
+                    <label htmlFor="writing-rubric" className="text-white/70 text-sm">{tr('writing.rubric')}</label>
+                    <select id="writing-rubric" value={draft.rubric} onChange={e => updateDraft(activeId, { rubric: e.target.value })} className={small}>
+                      {Object.keys(RUBRICS).map(k => <option key={k} value={k} className="bg-gray-800">{tr(`writing.rubric.${k}`)}</option>)}
+                    </select>
+                    {askModel && (
+                      <button onClick={requestAiFeedback} disabled={aiBusy} className="ms-auto flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold disabled:opacity-60">
+                        {aiBusy ? <Loader2 size={16} className="animate-spin" /> : <Sparkles size={16} />} {draft.ai ? tr('writing.refreshAi') : tr('writing.getAi')}
+                      </button>
+                    )}
+                  </div>
+                  <div className="grid grid-cols-2 md:grid-cols-4 gap-3">
+                    {Object.entries(WRITING_CATEGORIES).map(([k, c]) => (
+                      <button key={k} onClick={() => setHidden(h => ({ ...h, [k]: !h[k] }))} className={`text-start p-3 rounded-xl bg-black/20 border ${hidden[k] ? 'border-transparent opacity-50' : 'border-white/10'}`} title={tr('writing.toggleNotes')} aria-pressed={!hidden[k]}>
+                        <p className={`text-sm ${c.text}`}>{tr(`writing.category.${k}`)}</p>
+                        <p className="text-white text-2xl font-bold">{analysis.scores[k]}</p>
+                        <div className="h-1.5 rounded-full bg-white/10 mt-1"><div className={`h-full rounded-full ${c.bar}`} style={{ width: `${analysis.scores[k]}%` }} /></div>
+                      </button>
+                    ))}
+                  </div>
+                  {[...analysis.notes.structure, ...analysis.notes.thesis].length > 0 && (
+                    <ul className="text-white/80 text-sm list-disc ps-5 space-y-1">
+                      {[...analysis.notes.structure, ...analysis.notes.thesis].map(n => <li key={n}>{n}</li>)}
+                    </ul>
+                  )}
+                  {draft.ai?.summary && (
+                    <div className="p-3 rounded-xl bg-purple-500/10 border border-purple-400/20">
+                      <p className="text-purple-200 text-xs mb-1 flex items-center gap-1"><Sparkles size={12} /> {tr('writing.aiSummary', { date: fmtDate(draft.ai.at) })}</p>
+                      <Markdown text={draft.ai.summary} className="text-white/90 text-sm" />
+                    </div>
+                  )}
+                </div>
+
+                <div className="grid lg:grid-cols-3 gap-4">
+                  <div className="lg:col-span-2 bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+                    {text.trim() ? (
+                      <div className="text-white/90 leading-relaxed whitespace-pre-wrap">
+                        {prose.segments(text, visible).map(seg => {
+                          const top = seg.marks[0];
+                          if (!top) return <span key={seg.start}>{seg.text}</span>;
+                          return (
+                            <mark
+                              key={seg.start}
+                              onClick={() => setSelected(top.id)}
+                              title={seg.marks.map(m => m.message).join('\n')}
+                              className={`text-inherit rounded-sm cursor-pointer ${WRITING_CATEGORIES[top.category].mark} ${seg.marks.some(m => m.id === selected) ? 'ring-2 ring-white/70' : ''}`}
+                            >
+                              {seg.text}
+                            </mark>
+                          );
+                        })}
+                      </div>
+                    ) : <p className="text-white/50">{tr('writing.nothingToReview')}</p>}
+                  </div>
+
+                  <div className="space-y-2 max-h-[70vh] overflow-y-auto">
+                    {(selectedNote ? [selectedNote, ...visible.filter(a => a.id !== selected)] : visible).map(a => (
+                      <div key={a.id} onClick={() => setSelected(a.id)} className={`p-3 rounded-xl bg-white/10 border cursor-pointer ${a.id === selected ? 'border-white/50' : 'border-white/10'}`}>
+                        <p className={`text-xs mb-1 flex items-center gap-1 ${WRITING_CATEGORIES[a.category].text}`}>
+                          {tr(`writing.category.${a.category}`)}{a.source === 'ai' && <span className="ms-1 px-1 rounded bg-purple-500/30 text-purple-100">{tr('writing.ai')}</span>}
+                        </p>
+                        <p className="text-white/60 text-xs italic truncate">“{text.slice(a.start, a.end)}”</p>
+                        <p className="text-white text-sm mt-1">{a.message}</p>
+                        <div className="flex gap-2 mt-2">
+                          {a.suggestion !== undefined && (
+                            <button onClick={(e) => { e.stopPropagation(); applySuggestion(a); }} className="flex items-center gap-1 px-2 py-1 rounded-lg bg-green-500/20 hover:bg-green-500/30 text-green-200 text-xs">
+                              <Check size={12} /> {a.suggestion ? tr('writing.use', { text: a.suggestion }) : tr('common.remove')}
+                            </button>
+                          )}
+                          {onAskTutor && (
+                            <button onClick={(e) => { e.stopPropagation(); askAbout(a); }} className="flex items-center gap-1 px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-purple-200 text-xs">
+                              <MessageSquare size={12} /> {tr('math.askTutor')}
+                            </button>
+                          )}
+                        </div>
+                      </div>
+                    ))}
+                    {!visible.length && text.trim() && <p className="text-green-300 text-sm flex items-center gap-2"><CheckCircle size={16} /> {tr('writing.noIssues')}</p>}
+                  </div>
+                </div>
+
+                <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+                  <h3 className="text-white font-semibold text-xl mb-4">{tr('writing.rubricTitle', { rubric: tr(`writing.rubric.${rubricId}`) })}</h3>
+                  <table className="w-full text-sm text-white">
+                    <thead>
+                      <tr className="text-purple-300 text-start"><th className="py-2">{tr('writing.criterion')}</th><th>{tr('writing.offlineEstimate')}</th><th>{tr('writing.aiScore')}</th></tr>
+                    </thead>
+                    <tbody>
+                      {estimate.map(c => (
+                        <tr key={c.id} className="border-t border-white/10 align-top">
+                          <td className="py-2 pe-4"><p className="font-medium">{criterionName(rubricId, c.id)}</p><p className="text-white/50 text-xs">{criterionDesc(rubricId, c.id)}</p></td>
+                          <td className="py-2 pe-4">{c.level} · {rubricLevels()[c.level - 1]}</td>
+                          <td className="py-2">
+                            {aiLevels[c.id] && draft.ai.rubricId === draft.rubric
+                              ? <><p>{aiLevels[c.id].level} · {rubricLevels()[aiLevels[c.id].level - 1]}</p><p className="text-white/60 text-xs">{aiLevels[c.id].comment}</p></>
+                              : <span className="text-white/40">—</span>}
+                          </td>
+                        </tr>
+                      ))}
+                      <tr className="border-t border-white/20 font-semibold">
+                        <td className="py-2">{tr('common.total')}</td>
+                        <td>{estimate.reduce((s, c) => s + c.level, 0)} / {estimate.length * 4}</td>
+                        <td>{draft.ai?.rubricId === draft.rubric && draft.ai.rubric.length ? `${draft.ai.rubric.reduce((s, r) => s + r.level, 0)} / ${estimate.length * 4}` : ''}</td>
+                      </tr>
+                    </tbody>
+                  </table>
+                  <p className="text-white/40 text-xs mt-3">{tr('writing.estimateNote')}</p>
+                </div>
+              </div>
+            )}
+
+            {view === 'history' && (
+              <div className="grid md:grid-cols-3 gap-4">
+                <div className="space-y-2">
+                  <button onClick={saveVersion} className="w-full flex items-center justify-center gap-2 p-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm"><Save size={16} /> {tr('writing.saveCurrent')}</button>
+                  {[...draft.versions].reverse().map(v => (
+                    <button key={v.id} onClick={() => setCompareId(v.id)} className={`w-full text-start p-3 rounded-xl border ${v.id === compareId ? 'bg-white/20 border-white/40' : 'bg-white/10 border-white/10 hover:bg-white/15'}`}>
+                      <p className="text-white text-sm">{fmtDate(v.at)}</p>
+                      <p className="text-white/50 text-xs">{trn('writing.words', prose.words(v.text).length)}{v.label ? ` · ${v.label}` : v.auto ? ` · ${tr('writing.autosaved')}` : ''}</p>
+                    </button>
+                  ))}
+                  {!draft.versions.length && <p className="text-white/50 text-sm">{tr('writing.versionsHint')}</p>}
+                </div>
+                <div className="md:col-span-2 bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+                  {compare ? (
+                    <>
+                      <div className="flex items-center gap-3 mb-4">
+                        <p className="text-white/80 text-sm flex-1">{tr('writing.changesFrom', { date: fmtDate(compare.at) })} <span className="text-green-300">{tr('writing.added')}</span>, <span className="text-red-300 line-through">{tr('writing.removed')}</span></p>
+                        <button onClick={() => restoreVersion(compare)} className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-white text-sm">{tr('writing.restoreVersion')}</button>
+                      </div>
+                      <div className="text-white/80 leading-relaxed whitespace-pre-wrap">
+                        {prose.diffWords(compare.text, text).map((p, i) => (
+                          p.type === 'same' ? <span key={i}>{p.text}</span>
+                            : p.type === 'add' ? <ins key={i} className="bg-green-500/20 text-green-200 no-underline">{p.text}</ins>
+                              : <del key={i} className="bg-red-500/20 text-red-300">{p.text}</del>
+                        ))}
+                      </div>
+                    </>
+                  ) : <p className="text-white/50">{tr('writing.pickVersion')}</p>}
+                </div>
+              </div>
+            )}
+
+            {view === 'cite' && (
+              <div className="space-y-4">
+                <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10 space-y-3">
+                  <div className="flex flex-wrap gap-2">
+                    {SOURCE_TYPES.map(k => (
+                      <button key={k} onClick={() => setSource(s => ({ ...s, type: k }))} className={`px-3 py-1 rounded-lg text-sm ${source.type === k ? 'bg-purple-500 text-white' : 'bg-white/10 text-white/80'}`}>{tr(`writing.source.${k}`)}</button>
+                    ))}
+                  </div>
+                  <textarea value={source.authors} onChange={e => setSource(s => ({ ...s, authors: e.target.value }))} rows={2} placeholder={tr('writing.authors')} aria-label={tr('writing.authors')} className={`w-full resize-none ${small}`} />
+                  <input value={source.title} onChange={e => setSource(s => ({ ...s, title: e.target.value }))} placeholder={tr(source.type === 'article' ? 'writing.articleTitle' : source.type === 'website' ? 'writing.pageTitle' : 'writing.bookTitle')} aria-label={tr('common.title')} className={`w-full ${small}`} />
+                  <div className="grid grid-cols-2 md:grid-cols-3 gap-2">
+                    {SOURCE_FIELDS[source.type].map(([k, label]) => (
+                      <input key={k} value={source[k]} onChange={e => setSource(s => ({ ...s, [k]: e.target.value }))} placeholder={tr(`writing.field.${label}`)} aria-label={tr(`writing.field.${label}`)} className={small} />
+                    ))}
+                    {source.type === 'website' && (
+                      <>
+                        <label className="text-white/60 text-xs flex flex-col gap-1">{tr('writing.published')}<input type="date" value={source.published} onChange={e => setSource(s => ({ ...s, published: e.target.value }))} className={small} /></label>
+                        <label className="text-white/60 text-xs flex flex-col gap-1">{tr('writing.accessed')}<input type="date" value={source.accessed} onChange={e => setSource(s => ({ ...s, accessed: e.target.value }))} className={small} /></label>
+                      </>
+                    )}
+                  </div>
+                  <div className="space-y-2 pt-2">
+                    {Object.entries(CITATION_STYLES).map(([k, name]) => {
+                      const md = prose.cite(k, source);
+                      return (
+                        <div key={k} className="flex items-start gap-3 p-3 rounded-xl bg-black/20">
+                          <span className="text-purple-300 text-xs w-20 shrink-0 mt-1">{name}</span>
+                          <Markdown text={md} className="flex-1 text-white/90 text-sm" />
+                          <button onClick={() => copy(prose.plain(md))} className="text-white/60 hover:text-white" title={tr('common.copy')} aria-label={tr('common.copy')}><Copy size={14} /></button>
+                        </div>
+                      );
+                    })}
+                  </div>
+                  <button onClick={addCitation} className="px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold">{tr('writing.addCitation')}</button>
+                </div>
+
+                <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+                  <div className="flex items-center gap-3 mb-4">
+                    <h3 className="text-white font-semibold text-xl flex-1">{tr(citeStyle === 'apa' ? 'writing.references' : citeStyle === 'mla' ? 'writing.worksCited' : 'writing.bibliography')}</h3>
+                    <select value={citeStyle} onChange={e => setCiteStyle(e.target.value)} aria-label={tr('writing.citeStyle')} className={small}>
+                      {Object.entries(CITATION_STYLES).map(([k, name]) => <option key={k} value={k} className="bg-gray-800">{name}</option>)}
+                    </select>
+                    <button onClick={() => copy(worksCited.map(c => prose.plain(c.md)).join('\n'))} disabled={!worksCited.length} className="flex items-center gap-1 px-3 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-white text-sm disabled:opacity-40"><Copy size={14} /> {tr('writing.copyAll')}</button>
+                  </div>
+                  {worksCited.length ? worksCited.map(c => (
+                    <div key={c.id} className="group flex items-start gap-3 py-2 border-t border-white/10">
+                      <Markdown text={c.md} className="flex-1 text-white/90 text-sm ps-6 -indent-6" />
+                      <button onClick={() => updateDraft(activeId, d => ({ citations: d.citations.filter(x => x.id !== c.id) }))} className="opacity-0 group-hover:opacity-100 text-white/50 hover:text-red-300" title={tr('common.remove')} aria-label={tr('common.remove')}><Trash2 size={14} /></button>
+                    </div>
+                  )) : <p className="text-white/50 text-sm">{tr('writing.noSources')}</p>}
+                  <p className="text-white/40 text-xs mt-3">{tr('writing.capsNote')}</p>
+                </div>
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <Confirm
+        open={!!pendingDelete}
+        title={tr('writing.deleteTitle')}
+        desc={tr('writing.deleteDesc')}
+        onCancel={() => setPendingDelete(null)}
+        onConfirm={deleteDraft}
+      />
+    </div>
+  );
+}
+
+/* ----------------------------------------------------------------------------
+   Study planner engine (Study tab)
+   Plans are lists of sessions on calendar days ('YYYY-MM-DD'). Clock times are
+   not stored: each day's sessions run back to back from plan.startTime, so
+   moving a session never leaves overlapping slots behind. `planner` is
+   exported for the tests.
+---------------------------------------------------------------------------- */
+addMessages({
+  en: {
+    'study.kind.learn': 'Learn',
+    'study.kind.review': 'Review',
+    'study.kind.practice': 'Practice',
+    'study.topic.map': 'Map the {subject} syllabus and gather notes',
+    'study.topic.core': 'Core concepts and definitions',
+    'study.topic.examples': 'Worked examples',
+    'study.topic.problems': 'Practice problems',
+    'study.topic.weak': 'Weak spots from practice',
+    'study.course': 'course',
+    'study.practiceTitle': 'Practice: {topic}',
+    'study.reviewTitle': 'Review: {topic}',
+    'study.recallNote': 'Recall from memory first, then check your notes.',
+    'study.lightReview': 'Light review of your summary sheet',
+    'study.finalReview': 'Final review',
+    'study.sleepNote': 'Keep it short and get a good night’s sleep.',
+    'study.practiceTest': 'Timed practice test',
+    'study.practiceTestTopic': 'Practice test',
+    'study.examConditions': 'Work under exam conditions.',
+    'study.examConditionsGoal': 'Work under exam conditions. Goal: {goal}',
+    'study.mistakes': 'Go over practice-test mistakes',
+    'study.mistakesTopic': 'Mistakes',
+    'study.redoNote': 'Redo every missed question without looking at the answer.',
+    'study.err.noDays': 'There are no study days left before the exam date.',
+    'study.err.aiEmpty': 'The AI plan had no usable sessions.',
+    'study.calName': '{subject} study plan',
+    'study.examEvent': '{subject} exam',
+    'study.reminder': 'Study: {title}',
+    'study.moved.one': 'Moved {n} missed session to upcoming days',
+    'study.moved.two': 'Moved {n} missed sessions to upcoming days',
+    'study.moved.few': 'Moved {n} missed sessions to upcoming days',
+    'study.moved.other': 'Moved {n} missed sessions to upcoming days',
+    'study.needSubject': 'Enter a subject first',
+    'study.needExamDate': 'Pick an exam date after today',
+    'study.needDay': 'Choose at least one study day',
+    'study.buildPrompt': 'Build my {subject} study plan.',
+    'study.offlineFallback': '{error} Built the plan offline instead.',
+    'study.title': 'Study Plan Generator',
+    'study.pickPlan': 'Study plan',
+    'study.newPlanOption': 'New plan…',
+    'study.planOption': '{subject} · exam {date}',
+    'study.newPlan': 'New plan',
+    'study.create': 'Create Your Plan',
+    'study.subject': 'Subject (e.g., Calculus, Biology)...',
+    'study.goal': 'Goal (e.g., Pass final exam)...',
+    'study.examDate': 'Exam date',
+    'study.minutesPerDay': 'Minutes per day',
+    'study.startTime': 'Start time',
+    'study.days': 'Study days',
+    'study.topics': 'Topics to cover, one per line (optional)',
+    'study.useAi': 'Let the AI draft the plan (falls back to the built-in scheduler)',
+    'study.generate': 'Generate Study Plan',
+    'study.exam': 'Exam {date}',
+    'study.daysToGo.one': '{n} day to go',
+    'study.daysToGo.two': '{n} days to go',
+    'study.daysToGo.few': '{n} days to go',
+    'study.daysToGo.other': '{n} days to go',
+    'study.examToday': 'today — good luck!',
+    'study.finished': 'finished',
+    'study.byAi': 'drafted by AI',
+    'study.byScheduler': 'built-in scheduler',
+    'study.exportIcs': 'Export .ics',
+    'study.sessionsDone': '{done} of {total} sessions done',
+    'study.minutesDone': '{done} / {total} min',
+    'study.movedFrom': 'Moved from {date}',
+    'study.deleteTitle': 'Delete study plan?',
+    'study.deleteDesc': 'The plan and its progress will be removed from this device.'
+  },
+  fa: {
+    'study.kind.learn': 'یادگیری',
+    'study.kind.review': 'مرور',
+    'study.kind.practice': 'تمرین',
+    'study.topic.map': 'سرفصل‌های {subject} را مرور و یادداشت‌ها را جمع کنید',
+    'study.topic.core': 'مفاهیم و تعریف‌های پایه',
+    'study.topic.examples': 'مثال‌های حل‌شده',
+    'study.topic.problems': 'مسئله‌های تمرینی',
+    'study.topic.weak': 'نقاط ضعف تمرین',
+    'study.course': 'درس',
+    'study.practiceTitle': 'تمرین: {topic}',
+    'study.reviewTitle': 'مرور: {topic}',
+    'study.recallNote': 'اول از حافظه یادآوری کنید، بعد یادداشت‌ها را ببینید.',
+    'study.lightReview': 'مرور سبک برگهٔ خلاصه',
+    'study.finalReview': 'مرور پایانی',
+    'study.sleepNote': 'کوتاهش کنید و شب خوب بخوابید.',
+    'study.practiceTest': 'آزمون تمرینی زمان‌دار',
+    'study.practiceTestTopic': 'آزمون تمرینی',
+    'study.examConditions': 'در شرایط امتحان کار کنید.',
+    'study.examConditionsGoal': 'در شرایط امتحان کار کنید. هدف: {goal}',
+    'study.mistakes': 'مرور اشتباه‌های آزمون تمرینی',
+    'study.mistakesTopic': 'اشتباه‌ها',
+    'study.redoNote': 'هر پرسش غلط را بدون نگاه به پاسخ دوباره حل کنید.',
+    'study.err.noDays': 'تا تاریخ امتحان روز مطالعه‌ای نمانده است.',
+    'study.err.aiEmpty': 'برنامهٔ هوش مصنوعی جلسهٔ قابل‌استفاده‌ای نداشت.',
+    'study.calName': 'برنامهٔ مطالعهٔ {subject}',
+    'study.examEvent': 'امتحان {subject}',
+    'study.reminder': 'مطالعه: {title}',
+    'study.moved.one': '{n} جلسهٔ ازدست‌رفته به روزهای آینده منتقل شد',
+    'study.moved.two': '{n} جلسهٔ ازدست‌رفته به روزهای آینده منتقل شد',
+    'study.moved.few': '{n} جلسهٔ ازدست‌رفته به روزهای آینده منتقل شد',
+    'study.moved.other': '{n} جلسهٔ ازدست‌رفته به روزهای آینده منتقل شد',
+    'study.needSubject': 'اول موضوع را وارد کنید',
+    'study.needExamDate': 'تاریخ امتحانی بعد از امروز انتخاب کنید',
+    'study.needDay': 'دست‌کم یک روز مطالعه انتخاب کنید',
+    'study.buildPrompt': 'برنامهٔ مطالعهٔ {subject} مرا بساز.',
+    'study.offlineFallback': '{error} برنامه به‌جای آن آفلاین ساخته شد.',
+    'study.title': 'سازندهٔ برنامهٔ مطالعه',
+    'study.pickPlan': 'برنامهٔ مطالعه',
+    'study.newPlanOption': 'برنامهٔ تازه…',
+    'study.planOption': '{subject} · امتحان {date}',
+    'study.newPlan': 'برنامهٔ تازه',
+    'study.create': 'برنامه‌تان را بسازید',
+    'study.subject': 'موضوع (مثلاً حسابان، زیست‌شناسی)...',
+    'study.goal': 'هدف (مثلاً قبولی در امتحان پایانی)...',
+    'study.examDate': 'تاریخ امتحان',
+    'study.minutesPerDay': 'دقیقه در روز',
+    'study.startTime': 'ساعت شروع',
+    'study.days': 'روزهای مطالعه',
+    'study.topics': 'موضوع‌ها، هر خط یکی (اختیاری)',
+    'study.useAi': 'بگذارید هوش مصنوعی برنامه را پیش‌نویس کند (در غیر این صورت زمان‌بند داخلی)',
+    'study.generate': 'ساخت برنامهٔ مطالعه',
+    'study.exam': 'امتحان {date}',
+    'study.daysToGo.one': '{n} روز مانده',
+    'study.daysToGo.two': '{n} روز مانده',
+    'study.daysToGo.few': '{n} روز مانده',
+    'study.daysToGo.other': '{n} روز مانده',
+    'study.examToday': 'امروز — موفق باشید!',
+    'study.finished': 'پایان‌یافته',
+    'study.byAi': 'پیش‌نویس هوش مصنوعی',
+    'study.byScheduler': 'زمان‌بند داخلی',
+    'study.exportIcs': 'خروجی ‎.ics',
+    'study.sessionsDone': '{done} از {total} جلسه انجام شد',
+    'study.minutesDone': '{done} / {total} دقیقه',
+    'study.movedFrom': 'منتقل‌شده از {date}',
+    'study.deleteTitle': 'برنامهٔ مطالعه حذف شود؟',
+    'study.deleteDesc': 'برنامه و پیشرفتش از این دستگاه پاک می‌شود.'
+  },
+  ar: {
+    'study.kind.learn': 'تعلّم',
+    'study.kind.review': 'مراجعة',
+    'study.kind.practice': 'تدريب',
+    'study.topic.map': 'ارسم خريطة منهج {subject} واجمع الملاحظات',
+    'study.topic.core': 'المفاهيم والتعريفات الأساسية',
+    'study.topic.examples': 'أمثلة محلولة',
+    'study.topic.problems': 'مسائل تدريبية',
+    'study.topic.weak': 'نقاط الضعف من التدريب',
+    'study.course': 'المقرر',
+    'study.practiceTitle': 'تدريب: {topic}',
+    'study.reviewTitle': 'مراجعة: {topic}',
+    'study.recallNote': 'استرجع من الذاكرة أولًا، ثم راجع ملاحظاتك.',
+    'study.lightReview': 'مراجعة خفيفة لورقة الملخص',
+    'study.finalReview': 'المراجعة النهائية',
+    'study.sleepNote': 'اجعلها قصيرة ونَم جيدًا.',
+    'study.practiceTest': 'اختبار تدريبي موقوت',
+    'study.practiceTestTopic': 'اختبار تدريبي',
+    'study.examConditions': 'اعمل في ظروف الامتحان.',
+    'study.examConditionsGoal': 'اعمل في ظروف الامتحان. الهدف: {goal}',
+    'study.mistakes': 'راجع أخطاء الاختبار التدريبي',
+    'study.mistakesTopic': 'الأخطاء',
+    'study.redoNote': 'أعد حل كل سؤال أخطأت فيه دون النظر إلى الإجابة.',
+    'study.err.noDays': 'لم تبقَ أيام دراسة قبل موعد الامتحان.',
+    'study.err.aiEmpty': 'لم تتضمن خطة الذكاء الاصطناعي جلسات صالحة.',
+    'study.calName': 'خطة دراسة {subject}',
+    'study.examEvent': 'امتحان {subject}',
+    'study.reminder': 'دراسة: {title}',
+    'study.moved.one': 'نُقلت جلسة فائتة واحدة إلى الأيام القادمة',
+    'study.moved.two': 'نُقلت جلستان فائتتان إلى الأيام القادمة',
+    'study.moved.few': 'نُقلت {n} جلسات فائتة إلى الأيام القادمة',
+    'study.moved.other': 'نُقلت {n} جلسة فائتة إلى الأيام القادمة',
+    'study.needSubject': 'أدخل المادة أولًا',
+    'study.needExamDate': 'اختر موعد امتحان بعد اليوم',
+    'study.needDay': 'اختر يوم دراسة واحدًا على الأقل',
+    'study.buildPrompt': 'ابنِ خطة دراسة {subject} الخاصة بي.',
+    'study.offlineFallback': '{error} أُنشئت الخطة دون اتصال بدلًا من ذلك.',
+    'study.title': 'مولّد خطط الدراسة',
+    'study.pickPlan': 'خطة الدراسة',
+    'study.newPlanOption': 'خطة جديدة…',
+    'study.planOption': '{subject} · الامتحان {date}',
+    'study.newPlan': 'خطة جديدة',
+    'study.create': 'أنشئ خطتك',
+    'study.subject': 'المادة (مثل التفاضل والتكامل، الأحياء)...',
+    'study.goal': 'الهدف (مثل النجاح في الامتحان النهائي)...',
+    'study.examDate': 'موعد الامتحان',
+    'study.minutesPerDay': 'دقائق في اليوم',
+    'study.startTime': 'وقت البدء',
+    'study.days': 'أيام الدراسة',
+    'study.topics': 'الموضوعات، واحد في كل سطر (اختياري)',
+    'study.useAi': 'دع الذكاء الاصطناعي يصوغ الخطة (مع الرجوع إلى المجدول المدمج عند الحاجة)',
+    'study.generate': 'أنشئ خطة الدراسة',
+    'study.exam': 'الامتحان {date}',
+    'study.daysToGo.one': 'بقي يوم واحد',
+    'study.daysToGo.two': 'بقي يومان',
+    'study.daysToGo.few': 'بقيت {n} أيام',
+    'study.daysToGo.other': 'بقي {n} يومًا',
+    'study.examToday': 'اليوم — بالتوفيق!',
+    'study.finished': 'انتهى',
+    'study.byAi': 'صاغه الذكاء الاصطناعي',
+    'study.byScheduler': 'المجدول المدمج',
+    'study.exportIcs': 'تصدير ‎.ics',
+    'study.sessionsDone': 'أُنجزت {done} من {total} جلسة',
+    'study.minutesDone': '{done} / {total} د',
+    'study.movedFrom': 'نُقلت من {date}',
+    'study.deleteTitle': 'حذف خطة الدراسة؟',
+    'study.deleteDesc': 'ستُزال الخطة وتقدّمها من هذا الجهاز.'
+  }
+});
+
+// names are study.kind.* messages
+const SESSION_KINDS = {
+  learn: { color: 'bg-sky-500/20 text-sky-200' },
+  review: { color: 'bg-purple-500/20 text-purple-200' },
+  practice: { color: 'bg-pink-500/20 text-pink-200' }
+};
+// Short weekday name, 0 = Sunday (7 Jan 2024 was a Sunday)
+const fmtWeekday = (d, tag = intlTag()) => new Date(2024, 0, 7 + d).toLocaleDateString(tag, { weekday: 'short' });
+
+export const planner = (() => {
+  const BREAK = 10;           // minutes between sessions on the same day
+  const REVIEW = 15;          // spaced-review session length
+  const REVIEW_GAPS = [1, 3, 7];
+  const MAX_SESSION = 50;
+  const OVERLOAD = 1.5;       // rescheduling may fill a day up to 150% of the daily budget
+
+  const weekday = (day) => new Date(`${day}T00:00`).getDay();
+
+  const studyDays = ({ start, examDate, days }) => {
+    const out = [];
+    for (let d = start; d < examDate && out.length < 366; d = addDays(d, 1)) {
+      if (!days || days.includes(weekday(d))) out.push(d);
+    }
+    return out;
+  };
+
+  const defaultTopics = (subject) => [
+    tr('study.topic.map', { subject }),
+    tr('study.topic.core'),
+    tr('study.topic.examples'),
+    tr('study.topic.problems'),
+    tr('study.topic.weak')
+  ];
+
+  const session = (date, minutes, kind, title, topic = title, notes = '') =>
+    ({ id: uid(), date, minutes, kind, title, topic, notes, done: false });
+
+  // Deterministic fallback: topics spread over the first ~80% of study days with
+  // spaced reviews 1/3/7 study days later, then practice tests and a light last day.
+  const schedule = ({ subject, goal, examDate, start = dayKey(), minutesPerDay = 60, days, topics = [] }) => {
+    const dayList = studyDays({ start, examDate, days });
+    if (!dayList.length) throw new Error(tr('study.err.noDays'));
+    const list = topics.length ? topics : defaultTopics(subject || tr('study.course'));
+    const finalCount = dayList.length >= 10 ? Math.round(dayList.length * 0.2) : dayList.length >= 3 ? 1 : 0;
+    const learnDays = dayList.slice(0, dayList.length - finalCount);
+    const sessions = [];
+    const learnedOn = {};   // day index → topics first studied that day
+    const started = new Set();
+
+    learnDays.forEach((day, i) => {
+      const first = Math.floor((i * list.length) / learnDays.length);
+      const last = Math.max(Math.floor(((i + 1) * list.length) / learnDays.length), first + 1);
+      const fresh = list.slice(first, last).filter(t => !started.has(t));
+      fresh.forEach(t => started.add(t));
+      const reviews = REVIEW_GAPS.flatMap(g => learnedOn[i - g] || []);
+      const budget = Math.max(20, minutesPerDay - reviews.length * REVIEW);
+
+      if (fresh.length) {
+        learnedOn[i] = fresh;
+        const each = Math.max(20, Math.round(budget / fresh.length));
+        const parts = Math.ceil(each / MAX_SESSION);
+        fresh.forEach(t => {
+          for (let k = 0; k < parts; k++) sessions.push(session(day, Math.round(each / parts), 'learn', t));
+        });
+      } else {
+        // more days than topics: keep going on the topic in progress with practice
+        const t = list[Math.min(first, list.length - 1)];
+        sessions.push(session(day, Math.min(budget, MAX_SESSION), 'practice', tr('study.practiceTitle', { topic: t }), t));
+      }
+      reviews.forEach(t => sessions.push(session(day, REVIEW, 'review', tr('study.reviewTitle', { topic: t }), t, tr('study.recallNote'))));
+    });
+
+    dayList.slice(learnDays.length).forEach((day, i, finals) => {
+      const isLast = i === finals.length - 1;
+      if (isLast && finals.length > 1) {
+        sessions.push(session(day, Math.min(30, minutesPerDay), 'review', tr('study.lightReview'), tr('study.finalReview'), tr('study.sleepNote')));
+      } else if (i % 2 === 0) {
+        sessions.push(session(day, Math.min(90, Math.max(minutesPerDay, 30)), 'practice', tr('study.practiceTest'), tr('study.practiceTestTopic'), goal ? tr('study.examConditionsGoal', { goal }) : tr('study.examConditions')));
+      } else {
+        sessions.push(session(day, Math.min(60, minutesPerDay), 'review', tr('study.mistakes'), tr('study.mistakesTopic'), tr('study.redoNote')));
+      }
+    });
+    return sessions;
+  };
+
+  // Keeps well-formed AI sessions that fall on a study day in range.
+  const normalize = (data, { start, examDate, days }) => {
+    const allowed = new Set(studyDays({ start, examDate, days }));
+    const sessions = (Array.isArray(data?.sessions) ? data.sessions : [])
+      .filter(s => s && allowed.has(s.date) && typeof s.title === 'string' && s.title.trim())
+      .map(s => ({
+        ...session(s.date, clamp(Math.round(Number(s.minutes) || 30), 10, 180), SESSION_KINDS[s.kind] ? s.kind : 'learn', s.title.trim(), String(s.topic || s.title).trim(), String(s.notes || ''))
+      }))
+      .sort((a, b) => a.date.localeCompare(b.date));
+    if (!sessions.length) throw new Error(tr('study.err.aiEmpty'));
+    return sessions;
+  };
+
+  const load = (sessions, day) => sessions.filter(s => s.date === day).reduce((n, s) => n + s.minutes, 0);
+
+  // Moves unfinished sessions from past days onto upcoming study days with room.
+  const reschedule = (plan, today = dayKey()) => {
+    const missed = plan.sessions.filter(s => s.date < today && !s.done);
+    const targets = studyDays({ start: today, examDate: plan.examDate, days: plan.days });
+    if (!missed.length || !targets.length) return { plan, moved: 0 };
+    let sessions = plan.sessions.filter(s => !missed.includes(s));
+    missed.forEach(s => {
+      const roomy = targets.find(d => load(sessions, d) + s.minutes <= plan.minutesPerDay * OVERLOAD);
+      const date = roomy || targets.reduce((best, d) => load(sessions, d) < load(sessions, best) ? d : best);
+      sessions = [...sessions, { ...s, date, rescheduledFrom: s.rescheduledFrom || s.date }];
+    });
+    sessions.sort((a, b) => a.date.localeCompare(b.date));
+    return { plan: { ...plan, sessions }, moved: missed.length };
+  };
+
+  // Start/end minutes after midnight for each session, in day order.
+  const timesFor = (plan) => {
+    const [h, m] = (plan.startTime || '17:00').split(':').map(Number);
+    const cursor = {};
+    return Object.fromEntries(plan.sessions.map(s => {
+      const begin = cursor[s.date] ?? h * 60 + m;
+      cursor[s.date] = begin + s.minutes + BREAK;
+      return [s.id, { start: begin, end: begin + s.minutes }];
+    }));
+  };
+  const clock = (mins) => `${String(Math.floor(mins / 60) % 24).padStart(2, '0')}:${String(mins % 60).padStart(2, '0')}`;
+
+  /* iCalendar (RFC 5545): CRLF lines folded at 75 octets, floating local times */
+  const esc = (v) => String(v).replace(/\\/g, '\\\\').replace(/;/g, '\\;').replace(/,/g, '\\,').replace(/\r?\n/g, '\\n');
+  const fold = (line) => {
+    const enc = new TextEncoder();
+    const out = [];
+    let cur = '', bytes = 0;
+    for (const ch of line) {
+      const n = enc.encode(ch).length;
+      if (bytes + n > (out.length ? 74 : 75)) { out.push(cur); cur = ''; bytes = 0; }
+      cur += ch; bytes += n;
+    }
+    out.push(cur);
+    return out.join('\r\n ');
+  };
+  const icsDate = (day) => day.replace(/-/g, '');
+  const icsTime = (day, mins) => `${icsDate(addDays(day, Math.floor(mins / 1440)))}T${clock(mins).replace(':', '')}00`;
+  const stamp = () => new Date().toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+
+  const toICS = (plan) => {
+    const times = timesFor(plan);
+    const lines = [
+      'BEGIN:VCALENDAR', 'VERSION:2.0', 'PRODID:-//MythOS//Study Plan//EN', 'CALSCALE:GREGORIAN', 'METHOD:PUBLISH',
+      `X-WR-CALNAME:${esc(tr('study.calName', { subject: plan.subject }))}`
+    ];
+    plan.sessions.forEach(s => {
+      const t = times[s.id];
+      lines.push(
+        'BEGIN:VEVENT', `UID:${s.id}@mythos`, `DTSTAMP:${stamp()}`,
+        `DTSTART:${icsTime(s.date, t.start)}`, `DTEND:${icsTime(s.date, t.end)}`,
+        `SUMMARY:${esc(`${s.done ? '✓ ' : ''}${plan.subject}: ${s.title}`)}`,
+        `DESCRIPTION:${esc([`${tr(`study.kind.${s.kind}`)} · ${tr('common.nMin', { n: s.minutes })}`, s.notes].filter(Boolean).join('\n'))}`,
+        `CATEGORIES:${esc(tr(`study.kind.${s.kind}`))}`,
+        'BEGIN:VALARM', 'ACTION:DISPLAY', `DESCRIPTION:${esc(s.title)}`, 'TRIGGER:-PT10M', 'END:VALARM',
+        'END:VEVENT'
+      );
+    });
+    lines.push(
+      'BEGIN:VEVENT', `UID:${plan.id}-exam@mythos`, `DTSTAMP:${stamp()}`,
+      `DTSTART;VALUE=DATE:${icsDate(plan.examDate)}`, `DTEND;VALUE=DATE:${icsDate(addDays(plan.examDate, 1))}`,
+      `SUMMARY:${esc(tr('study.examEvent', { subject: plan.subject }))}`, ...(plan.goal ? [`DESCRIPTION:${esc(plan.goal)}`] : []),
+      'END:VEVENT', 'END:VCALENDAR'
+    );
+    return lines.map(fold).join('\r\n') + '\r\n';
+  };
+
+  return { schedule, normalize, reschedule, timesFor, clock, toICS, studyDays };
+})();
+
+const PLAN_AI_PROMPT = ({ subject, goal, start, examDate, minutesPerDay, days, topics }) => `You are a study coach building a day-by-day study plan.
+Subject: ${subject}
+Goal: ${goal || 'do well on the exam'}
+Study days: from ${start} up to (not including) the exam on ${examDate}${days?.length < 7 ? `, only on ${days.map(d => fmtWeekday(d, 'en')).join(', ')}` : ''}.
+Time budget: about ${minutesPerDay} minutes per study day.
+${topics.length ? `Topics to cover, in order:\n${topics.map(t => `- ${t}`).join('\n')}` : 'Choose sensible topics for this subject and goal.'}
+Reply with JSON only, no prose around it, in exactly this shape:
+{"sessions": [{"date": "YYYY-MM-DD", "minutes": number, "kind": "learn"|"review"|"practice", "title": string, "topic": string, "notes"?: string}]}
+- Learn new topics early, add short spaced reviews of earlier topics, and finish with timed practice and a light last day.
+- Sessions of 15-50 minutes; split longer work into several sessions on the same day.`;
+
+/* ----------------------------------------------------------------------------
+   Study plan workspace: generate, check off, auto-reschedule, export
+---------------------------------------------------------------------------- */
+const plansKey = (u) => `mythos_plans_${u?.id || 'guest'}`;
+const emptyPlanForm = () => ({ subject: '', goal: '', examDate: addDays(dayKey(), 14), minutesPerDay: 60, startTime: '17:00', days: [0, 1, 2, 3, 4, 5, 6], topics: '', useAi: true });
+const fmtDay = (day) => new Date(`${day}T00:00`).toLocaleDateString(intlTag(), { weekday: 'short', month: 'short', day: 'numeric' });
+
+function StudyTab({ user, askModel, pushToast, onTrack }) {
+  const [plans, setPlans] = useState(() => storage.get(plansKey(user), []));
+  const [activeId, setActiveId] = useState(() => storage.get(plansKey(user), [])[0]?.id || null);
+  const [form, setForm] = useState(emptyPlanForm);
+  const [creating, setCreating] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const today = dayKey();
+
+  useEffect(() => { storage.set(plansKey(user), plans); }, [plans, user]);
+
+  // The server sends a reminder when each upcoming session starts (notifications.mjs)
+  useEffect(() => {
+    if (!user) return;
+    const t = setTimeout(() => {
+      const reminders = plans.flatMap(p => {
+        const times = planner.timesFor(p);
+        return p.sessions.filter(s => !s.done && s.date >= today && s.date <= addDays(today, 14)).map(s => ({
+          at: new Date(`${s.date}T${planner.clock(times[s.id].start)}`).toISOString(),
+          title: tr('study.reminder', { title: s.title }),
+          body: `${p.subject} · ${tr('common.nMin', { n: s.minutes })}`,
+          ref: `${p.id}:${s.id}`
+        }));
+      }).filter(r => r.at > nowISO()).sort((a, b) => a.at.localeCompare(b.at)).slice(0, 100);
+      api('/api/notifications/reminders', { method: 'PUT', body: { reminders } }).catch(() => {}); // retried on the next change
+    }, 1000);
+    return () => clearTimeout(t);
+  }, [plans, user]);
+
+  const plan = creating ? null : plans.find(p => p.id === activeId) || null;
+  const updatePlan = (id, fn) => setPlans(prev => prev.map(p => p.id === id ? fn(p) : p));
+
+  // Missed sessions move forward as soon as the plan is opened
+  useEffect(() => {
+    if (!plan) return;
+    const { plan: next, moved } = planner.reschedule(plan, today);
+    if (!moved) return;
+    updatePlan(plan.id, () => next);
+    pushToast(trn('study.moved', moved), 'info');
+  }, [plan?.id, today]);
+
+  const setField = (k) => (e) => setForm(f => ({ ...f, [k]: e.target.value }));
+  const toggleDay = (d) => setForm(f => ({ ...f, days: f.days.includes(d) ? f.days.filter(x => x !== d) : [...f.days, d].sort() }));
+
+  const generate = async () => {
+    if (!form.subject.trim()) { pushToast(tr('study.needSubject'), 'warn'); return; }
+    if (!form.examDate || form.examDate <= today) { pushToast(tr('study.needExamDate'), 'warn'); return; }
+    if (!form.days.length) { pushToast(tr('study.needDay'), 'warn'); return; }
+    const opts = {
+      subject: form.subject.trim(),
+      goal: form.goal.trim(),
+      start: today,
+      examDate: form.examDate,
+      minutesPerDay: clamp(Number(form.minutesPerDay) || 60, 15, 480),
+      days: form.days.length === 7 ? undefined : form.days,
+      topics: form.topics.split('\n').map(t => t.trim()).filter(Boolean)
+    };
+    setBusy(true);
+    try {
+      let sessions = null, source = 'auto';
+      if (form.useAi && askModel) {
+        try {
+          sessions = planner.normalize(parseModelJson(await askModel(PLAN_AI_PROMPT({ ...opts, days: form.days }), tr('study.buildPrompt', { subject: opts.subject }))), opts);
+          source = 'ai';
+        } catch (e) {
+          pushToast(tr('study.offlineFallback', { error: e instanceof ApiError ? errorText(e) : e.message }), 'warn');
+        }
+      }
+      sessions = sessions || planner.schedule(opts);
+      const p = { id: uid(), ...opts, startTime: form.startTime || '17:00', source, sessions, createdAt: nowISO() };
+      setPlans(prev => [p, ...prev]);
+      setActiveId(p.id);
+      setCreating(false);
+      setForm(emptyPlanForm());
+    } catch (e) {
+      pushToast(e.message, 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const toggleDone = (sid) => {
+    const s = plan.sessions.find(x => x.id === sid);
+    onTrack?.('plan_session', { subject: plan.subject, minutes: s.minutes, ref: `${plan.id}:${s.id}`, ...(s.done ? { undo: true } : {}) });
+    updatePlan(plan.id, p => ({
+      ...p,
+      sessions: p.sessions.map(x => x.id === sid ? { ...x, done: !x.done, doneAt: x.done ? undefined : nowISO() } : x)
+    }));
+  };
+
+  const exportIcs = () => {
+    const name = `${plan.subject.replace(/[^\w-]+/g, '-').toLowerCase() || 'study'}-plan.ics`;
+    downloadFile(name, planner.toICS(plan), 'text/calendar');
+  };
+
+  const deletePlan = () => {
+    const id = pendingDelete;
+    setPendingDelete(null);
+    setPlans(prev => prev.filter(p => p.id !== id));
+    if (id === activeId) setActiveId(plans.find(p => p.id !== id)?.id || null);
+  };
+
+  const field = "w-full p-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500";
+  const showForm = creating || !plans.length;
+
+  const done = plan ? plan.sessions.filter(s => s.done) : [];
+  const times = plan ? planner.timesFor(plan) : {};
+  const byDay = plan ? plan.sessions.reduce((acc, s) => { (acc[s.date] ||= []).push(s); return acc; }, {}) : {};
+  const daysLeft = plan ? Math.round((new Date(`${plan.examDate}T00:00`) - new Date(`${today}T00:00`)) / 86_400_000) : 0;
+
+  return (
+    <div className="p-6 overflow-y-auto h-full">
+      <div className="max-w-4xl mx-auto space-y-6">
+        <div className="flex flex-wrap items-center gap-3 mb-6">
+          <h2 className="text-3xl font-bold text-white flex-1">{tr('study.title')}</h2>
+          {plans.length > 0 && (
+            <>
+              <select value={showForm ? '' : activeId || ''} onChange={e => { setActiveId(e.target.value); setCreating(false); }} aria-label={tr('study.pickPlan')} className="p-2 rounded-lg bg-white/10 border border-white/20 text-white outline-none">
+                {showForm && <option value="" className="bg-gray-800">{tr('study.newPlanOption')}</option>}
+                {plans.map(p => <option key={p.id} value={p.id} className="bg-gray-800">{tr('study.planOption', { subject: p.subject, date: fmtDay(p.examDate) })}</option>)}
+              </select>
+              {!showForm && <button onClick={() => setCreating(true)} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white"><Plus size={16} /> {tr('study.newPlan')}</button>}
+            </>
+          )}
+        </div>
+
+        {showForm && (
+          <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+            <h3 className="text-white font-semibold text-xl mb-4">{tr('study.create')}</h3>
+            <div className="space-y-4">
+              <input type="text" value={form.subject} onChange={setField('subject')} placeholder={tr('study.subject')} aria-label={tr('common.subject')} className={field} />
+              <input type="text" value={form.goal} onChange={setField('goal')} placeholder={tr('study.goal')} aria-label={tr('study.goal')} className={field} />
+              <div className="grid md:grid-cols-3 gap-4">
+                <label className="text-white/70 text-sm space-y-1 block">
+                  <span>{tr('study.examDate')}</span>
+                  <input type="date" value={form.examDate} min={addDays(today, 1)} onChange={setField('examDate')} className={field} />
+                </label>
+                <label className="text-white/70 text-sm space-y-1 block">
+                  <span>{tr('study.minutesPerDay')}</span>
+                  <input type="number" min={15} max={480} step={15} value={form.minutesPerDay} onChange={setField('minutesPerDay')} className={field} />
+                </label>
+                <label className="text-white/70 text-sm space-y-1 block">
+                  <span>{tr('study.startTime')}</span>
+                  <input type="time" value={form.startTime} onChange={setField('startTime')} className={field} />
+                </label>
+              </div>
+              <div className="flex flex-wrap items-center gap-2">
+                <span className="text-white/70 text-sm me-2">{tr('study.days')}</span>
+                {[0, 1, 2, 3, 4, 5, 6].map(d => (
+                  <button key={d} onClick={() => toggleDay(d)} aria-pressed={form.days.includes(d)} className={`px-3 py-1 rounded-lg text-sm ${form.days.includes(d) ? 'bg-purple-500 text-white' : 'bg-white/10 text-white/60'}`}>{fmtWeekday(d)}</button>
+                ))}
+              </div>
+              <textarea value={form.topics} onChange={setField('topics')} rows={4} placeholder={tr('study.topics')} aria-label={tr('study.topics')} className={`${field} resize-y`} />
+              {askModel && (
+                <label className="flex items-center gap-2 text-white/80 text-sm">
+                  <input type="checkbox" checked={form.useAi} onChange={e => setForm(f => ({ ...f, useAi: e.target.checked }))} />
+                  {tr('study.useAi')}
+                </label>
+              )}
+              <div className="flex gap-3">
+                <button onClick={generate} disabled={busy} className="flex-1 flex items-center justify-center gap-2 p-4 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-bold disabled:opacity-60">
+                  {busy && <Loader2 size={18} className="animate-spin" />} {tr('study.generate')}
+                </button>
+                {creating && plans.length > 0 && <button onClick={() => setCreating(false)} className="px-4 rounded-xl bg-white/10 hover:bg-white/20 text-white">{tr('common.cancel')}</button>}
+              </div>
+            </div>
+          </div>
+        )}
+
+        {plan && (
+          <>
+            <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+              <div className="flex flex-wrap items-start gap-4">
+                <div className="flex-1 min-w-[12rem]">
+                  <h3 className="text-white font-semibold text-xl">{plan.subject}</h3>
+                  {plan.goal && <p className="text-purple-300">{plan.goal}</p>}
+                  <p className="text-white/60 text-sm mt-1">
+                    {tr('study.exam', { date: fmtDay(plan.examDate) })} · {daysLeft > 0 ? trn('study.daysToGo', daysLeft) : daysLeft === 0 ? tr('study.examToday') : tr('study.finished')}
+                    {' · '}{plan.source === 'ai' ? tr('study.byAi') : tr('study.byScheduler')}
+                  </p>
+                </div>
+                <button onClick={exportIcs} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm"><Calendar size={16} /> {tr('study.exportIcs')}</button>
+                <button onClick={() => setPendingDelete(plan.id)} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-red-500/30 text-white text-sm"><Trash2 size={16} /> {tr('common.delete')}</button>
+              </div>
+              <div className="mt-4">
+                <div className="flex justify-between text-white/70 text-sm mb-1">
+                  <span>{tr('study.sessionsDone', { done: fmtNumber(done.length), total: fmtNumber(plan.sessions.length) })}</span>
+                  <span>{tr('study.minutesDone', { done: fmtNumber(done.reduce((n, s) => n + s.minutes, 0)), total: fmtNumber(plan.sessions.reduce((n, s) => n + s.minutes, 0)) })}</span>
+                </div>
+                <div className="h-2 rounded-full bg-white/10">
+                  <div className="h-full rounded-full bg-gradient-to-r from-purple-500 to-pink-500" style={{ width: `${plan.sessions.length ? (done.length / plan.sessions.length) * 100 : 0}%` }} />
+                </div>
+              </div>
+            </div>
+
+            {Object.entries(byDay).map(([day, list]) => (
+              <div key={day} className={`bg-white/10 backdrop-blur-lg rounded-2xl p-4 border ${day === today ? 'border-purple-400/60' : 'border-white/10'} ${day < today ? 'opacity-70' : ''}`}>
+                <p className="text-white font-semibold mb-2 flex items-center gap-2">
+                  {fmtDay(day)}
+                  {day === today && <span className="text-xs px-2 py-0.5 rounded-full bg-purple-500 text-white">{tr('common.today')}</span>}
+                </p>
+                <div className="space-y-2">
+                  {list.map(s => (
+                    <label key={s.id} className="flex items-start gap-3 p-2 rounded-lg hover:bg-white/5 cursor-pointer">
+                      <input type="checkbox" checked={s.done} onChange={() => toggleDone(s.id)} className="mt-1" />
+                      <span className="text-white/50 text-xs w-24 shrink-0 mt-0.5">{planner.clock(times[s.id].start)}–{planner.clock(times[s.id].end)}</span>
+                      <span className="flex-1 min-w-0">
+                        <span className={`text-sm ${s.done ? 'line-through text-white/40' : 'text-white'}`}>{s.title}</span>
+                        <span className={`ms-2 text-xs px-2 py-0.5 rounded-full ${SESSION_KINDS[s.kind].color}`}>{tr(`study.kind.${s.kind}`)}</span>
+                        <span className="ms-2 text-white/50 text-xs">{tr('common.nMin', { n: fmtNumber(s.minutes) })}</span>
+                        {s.notes && <span className="block text-white/50 text-xs mt-0.5">{s.notes}</span>}
+                        {s.rescheduledFrom && <span className="block text-yellow-300/80 text-xs mt-0.5">{tr('study.movedFrom', { date: fmtDay(s.rescheduledFrom) })}</span>}
+                      </span>
+                    </label>
+                  ))}
+                </div>
+              </div>
+            ))}
+          </>
+        )}
+      </div>
+
+      <Confirm
+        open={!!pendingDelete}
+        title={tr('study.deleteTitle')}
+        desc={tr('study.deleteDesc')}
+        onCancel={() => setPendingDelete(null)}
+        onConfirm={deletePlan}
+      />
+    </div>
+  );
+}
+
+/* ----------------------------------------------------------------------------
+   Spaced repetition engine (Flashcards tab)
+   SM-2: every review is graded 0–5. A pass (3+) grows the interval — 1 day,
+   6 days, then interval × ease — and nudges the ease; a fail sends the card
+   back to the start and shows it again in the same session. Due dates are
+   calendar days like study plans, and new cards enter the queue at most
+   `newPerDay` a day per deck. `srs` is exported for the tests.
+---------------------------------------------------------------------------- */
+addMessages({
+  en: {
+    'flash.grade.again': 'Again',
+    'flash.grade.hard': 'Hard',
+    'flash.grade.good': 'Good',
+    'flash.grade.easy': 'Easy',
+    'flash.aiNoCards': 'The AI did not return any cards.',
+    'flash.offlineTerms': 'Picked out key terms offline instead.',
+    'flash.byHand': 'Add the cards by hand instead.',
+    'flash.interval.days.one': '{n} day',
+    'flash.interval.days.two': '{n} days',
+    'flash.interval.days.few': '{n} days',
+    'flash.interval.days.other': '{n} days',
+    'flash.interval.months': '{n} mo',
+    'flash.interval.years': '{n} yr',
+    'flash.newDeck': 'New deck',
+    'flash.needBothSides': 'Every card needs a front and a back',
+    'flash.saved.one': 'Saved {n} card.',
+    'flash.saved.two': 'Saved {n} cards.',
+    'flash.saved.few': 'Saved {n} cards.',
+    'flash.saved.other': 'Saved {n} cards.',
+    'flash.nothingDue': 'Nothing due — come back tomorrow!',
+    'flash.fillBoth': 'Fill in both sides of the card',
+    'flash.noCardsFound': 'No cards found. Expected front and back columns separated by tabs, commas or semicolons.',
+    'flash.imported.one': 'Imported {n} card.',
+    'flash.imported.two': 'Imported {n} cards.',
+    'flash.imported.few': 'Imported {n} cards.',
+    'flash.imported.other': 'Imported {n} cards.',
+    'flash.skipped.one': 'Skipped {n} row without a back.',
+    'flash.skipped.two': 'Skipped {n} rows without a back.',
+    'flash.skipped.few': 'Skipped {n} rows without a back.',
+    'flash.skipped.other': 'Skipped {n} rows without a back.',
+    'flash.decks': 'Decks',
+    'flash.sessionLeft': '{left} left · {reviewed} reviewed',
+    'flash.key': 'Key {n}',
+    'flash.showAnswer': 'Show answer',
+    'flash.space': '(Space)',
+    'flash.complete': 'Session complete',
+    'flash.reviews.one': '{n} review',
+    'flash.reviews.two': '{n} reviews',
+    'flash.reviews.few': '{n} reviews',
+    'flash.reviews.other': '{n} reviews',
+    'flash.toRelearn': '{n} to relearn',
+    'flash.title': 'Flashcards',
+    'flash.reviewAll': 'Review all ({n})',
+    'flash.importAnki': 'Import Anki file',
+    'flash.fromTutor': 'New cards from the tutor',
+    'flash.fromChat': 'From “{title}”. Edit or remove cards, then file them into a deck.',
+    'flash.chat': 'chat',
+    'flash.writing': 'Writing cards…',
+    'flash.front': 'Front',
+    'flash.back': 'Back',
+    'flash.removeCard': 'Remove card',
+    'flash.addCardLink': 'Add a card',
+    'flash.deck': 'Deck',
+    'flash.newDeckOption': 'New deck…',
+    'flash.deckName': 'Deck name',
+    'flash.saveCards': 'Save cards',
+    'flash.discard': 'Discard',
+    'flash.cards.one': '{n} card',
+    'flash.cards.two': '{n} cards',
+    'flash.cards.few': '{n} cards',
+    'flash.cards.other': '{n} cards',
+    'flash.learned': '{n} learned',
+    'flash.due': '{n} due',
+    'flash.new': '{n} new',
+    'flash.review': 'Review',
+    'flash.empty': 'No decks yet. Use “Make flashcards” under any tutor answer, start a deck by hand, or import a CSV/TSV file exported from Anki.',
+    'flash.newPerDay': 'New cards per day',
+    'flash.dueToday': '{due} due · {fresh} new today',
+    'flash.importInto': 'Import into deck',
+    'flash.deleteDeck': 'Delete deck',
+    'flash.addCard': 'Add card',
+    'flash.frontHint': 'Front — a question or cue',
+    'flash.backHint': 'Back — the answer (Markdown and $TeX$ work)',
+    'flash.cardsTitle': 'Cards',
+    'flash.searchCards': 'Search cards',
+    'flash.dueNow': 'due now',
+    'flash.dueOn': 'due {date}',
+    'flash.newCard': 'new',
+    'flash.lapses.one': '{n} lapse',
+    'flash.lapses.two': '{n} lapses',
+    'flash.lapses.few': '{n} lapses',
+    'flash.lapses.other': '{n} lapses',
+    'flash.noMatch': 'No cards match.',
+    'flash.deckEmpty': 'This deck is empty.',
+    'flash.deleteTitle': 'Delete deck?',
+    'flash.deleteDesc': 'The deck, its cards and their review history will be removed from this device.'
+  },
+  fa: {
+    'flash.grade.again': 'دوباره',
+    'flash.grade.hard': 'سخت',
+    'flash.grade.good': 'خوب',
+    'flash.grade.easy': 'آسان',
+    'flash.aiNoCards': 'هوش مصنوعی هیچ کارتی برنگرداند.',
+    'flash.offlineTerms': 'به‌جای آن، واژه‌های کلیدی به‌صورت آفلاین برگزیده شدند.',
+    'flash.byHand': 'به‌جای آن کارت‌ها را دستی بیفزایید.',
+    'flash.interval.days.one': '{n} روز',
+    'flash.interval.days.two': '{n} روز',
+    'flash.interval.days.few': '{n} روز',
+    'flash.interval.days.other': '{n} روز',
+    'flash.interval.months': '{n} ماه',
+    'flash.interval.years': '{n} سال',
+    'flash.newDeck': 'دستهٔ تازه',
+    'flash.needBothSides': 'هر کارت رو و پشت لازم دارد',
+    'flash.saved.one': '{n} کارت ذخیره شد.',
+    'flash.saved.two': '{n} کارت ذخیره شد.',
+    'flash.saved.few': '{n} کارت ذخیره شد.',
+    'flash.saved.other': '{n} کارت ذخیره شد.',
+    'flash.nothingDue': 'چیزی موعدش نرسیده — فردا برگردید!',
+    'flash.fillBoth': 'هر دو روی کارت را پر کنید',
+    'flash.noCardsFound': 'کارتی پیدا نشد. ستون‌های رو و پشت باید با تب، ویرگول یا نقطه‌ویرگول جدا شوند.',
+    'flash.imported.one': '{n} کارت وارد شد.',
+    'flash.imported.two': '{n} کارت وارد شد.',
+    'flash.imported.few': '{n} کارت وارد شد.',
+    'flash.imported.other': '{n} کارت وارد شد.',
+    'flash.skipped.one': '{n} سطر بدون پشت رد شد.',
+    'flash.skipped.two': '{n} سطر بدون پشت رد شد.',
+    'flash.skipped.few': '{n} سطر بدون پشت رد شد.',
+    'flash.skipped.other': '{n} سطر بدون پشت رد شد.',
+    'flash.decks': 'دسته‌ها',
+    'flash.sessionLeft': '{left} مانده · {reviewed} مرورشده',
+    'flash.key': 'کلید {n}',
+    'flash.showAnswer': 'نمایش پاسخ',
+    'flash.space': '(فاصله)',
+    'flash.complete': 'جلسه تمام شد',
+    'flash.reviews.one': '{n} مرور',
+    'flash.reviews.two': '{n} مرور',
+    'flash.reviews.few': '{n} مرور',
+    'flash.reviews.other': '{n} مرور',
+    'flash.toRelearn': '{n} برای یادگیری دوباره',
+    'flash.title': 'فلش‌کارت‌ها',
+    'flash.reviewAll': 'مرور همه ({n})',
+    'flash.importAnki': 'وارد کردن فایل Anki',
+    'flash.fromTutor': 'کارت‌های تازه از معلم',
+    'flash.fromChat': 'از «{title}». کارت‌ها را ویرایش یا حذف کنید، سپس در دسته‌ای بگذارید.',
+    'flash.chat': 'گفتگو',
+    'flash.writing': 'در حال نوشتن کارت‌ها…',
+    'flash.front': 'رو',
+    'flash.back': 'پشت',
+    'flash.removeCard': 'حذف کارت',
+    'flash.addCardLink': 'افزودن کارت',
+    'flash.deck': 'دسته',
+    'flash.newDeckOption': 'دستهٔ تازه…',
+    'flash.deckName': 'نام دسته',
+    'flash.saveCards': 'ذخیرهٔ کارت‌ها',
+    'flash.discard': 'کنار گذاشتن',
+    'flash.cards.one': '{n} کارت',
+    'flash.cards.two': '{n} کارت',
+    'flash.cards.few': '{n} کارت',
+    'flash.cards.other': '{n} کارت',
+    'flash.learned': '{n} آموخته',
+    'flash.due': '{n} سررسید',
+    'flash.new': '{n} تازه',
+    'flash.review': 'مرور',
+    'flash.empty': 'هنوز دسته‌ای نیست. زیر هر پاسخ معلم «ساخت فلش‌کارت» را بزنید، دسته‌ای دستی بسازید یا فایل CSV/TSV خروجی Anki را وارد کنید.',
+    'flash.newPerDay': 'کارت تازه در روز',
+    'flash.dueToday': '{due} سررسید · {fresh} تازهٔ امروز',
+    'flash.importInto': 'وارد کردن به دسته',
+    'flash.deleteDeck': 'حذف دسته',
+    'flash.addCard': 'افزودن کارت',
+    'flash.frontHint': 'رو — یک پرسش یا سرنخ',
+    'flash.backHint': 'پشت — پاسخ (Markdown و $TeX$ کار می‌کنند)',
+    'flash.cardsTitle': 'کارت‌ها',
+    'flash.searchCards': 'جستجوی کارت‌ها',
+    'flash.dueNow': 'سررسید اکنون',
+    'flash.dueOn': 'سررسید {date}',
+    'flash.newCard': 'تازه',
+    'flash.lapses.one': '{n} فراموشی',
+    'flash.lapses.two': '{n} فراموشی',
+    'flash.lapses.few': '{n} فراموشی',
+    'flash.lapses.other': '{n} فراموشی',
+    'flash.noMatch': 'کارتی جور نیست.',
+    'flash.deckEmpty': 'این دسته خالی است.',
+    'flash.deleteTitle': 'دسته حذف شود؟',
+    'flash.deleteDesc': 'دسته، کارت‌ها و تاریخچهٔ مرورشان از این دستگاه پاک می‌شوند.'
+  },
+  ar: {
+    'flash.grade.again': 'مجددًا',
+    'flash.grade.hard': 'صعب',
+    'flash.grade.good': 'جيد',
+    'flash.grade.easy': 'سهل',
+    'flash.aiNoCards': 'لم يُرجع الذكاء الاصطناعي أي بطاقات.',
+    'flash.offlineTerms': 'اختيرت المصطلحات الرئيسية دون اتصال بدلًا من ذلك.',
+    'flash.byHand': 'أضف البطاقات يدويًا بدلًا من ذلك.',
+    'flash.interval.days.one': 'يوم واحد',
+    'flash.interval.days.two': 'يومان',
+    'flash.interval.days.few': '{n} أيام',
+    'flash.interval.days.other': '{n} يومًا',
+    'flash.interval.months': '{n} شهر',
+    'flash.interval.years': '{n} سنة',
+    'flash.newDeck': 'مجموعة جديدة',
+    'flash.needBothSides': 'تحتاج كل بطاقة إلى وجه وظهر',
+    'flash.saved.one': 'حُفظت بطاقة واحدة.',
+    'flash.saved.two': 'حُفظت بطاقتان.',
+    'flash.saved.few': 'حُفظت {n} بطاقات.',
+    'flash.saved.other': 'حُفظت {n} بطاقة.',
+    'flash.nothingDue': 'لا شيء مستحق — عد غدًا!',
+    'flash.fillBoth': 'املأ وجهي البطاقة',
+    'flash.noCardsFound': 'لم يُعثر على بطاقات. يُتوقع عمودان للوجه والظهر مفصولان بمسافات جدولة أو فواصل أو فواصل منقوطة.',
+    'flash.imported.one': 'استُوردت بطاقة واحدة.',
+    'flash.imported.two': 'استُوردت بطاقتان.',
+    'flash.imported.few': 'استُوردت {n} بطاقات.',
+    'flash.imported.other': 'استُوردت {n} بطاقة.',
+    'flash.skipped.one': 'تُخطّي صف واحد بلا ظهر.',
+    'flash.skipped.two': 'تُخطّي صفّان بلا ظهر.',
+    'flash.skipped.few': 'تُخطّيت {n} صفوف بلا ظهر.',
+    'flash.skipped.other': 'تُخطّي {n} صفًا بلا ظهر.',
+    'flash.decks': 'المجموعات',
+    'flash.sessionLeft': 'بقي {left} · رُوجع {reviewed}',
+    'flash.key': 'المفتاح {n}',
+    'flash.showAnswer': 'أظهر الإجابة',
+    'flash.space': '(مسافة)',
+    'flash.complete': 'اكتملت الجلسة',
+    'flash.reviews.one': 'مراجعة واحدة',
+    'flash.reviews.two': 'مراجعتان',
+    'flash.reviews.few': '{n} مراجعات',
+    'flash.reviews.other': '{n} مراجعة',
+    'flash.toRelearn': '{n} لإعادة التعلّم',
+    'flash.title': 'البطاقات التعليمية',
+    'flash.reviewAll': 'راجع الكل ({n})',
+    'flash.importAnki': 'استيراد ملف Anki',
+    'flash.fromTutor': 'بطاقات جديدة من المعلّم',
+    'flash.fromChat': 'من «{title}». عدّل البطاقات أو احذفها، ثم ضعها في مجموعة.',
+    'flash.chat': 'المحادثة',
+    'flash.writing': 'جارٍ كتابة البطاقات…',
+    'flash.front': 'الوجه',
+    'flash.back': 'الظهر',
+    'flash.removeCard': 'إزالة البطاقة',
+    'flash.addCardLink': 'أضف بطاقة',
+    'flash.deck': 'المجموعة',
+    'flash.newDeckOption': 'مجموعة جديدة…',
+    'flash.deckName': 'اسم المجموعة',
+    'flash.saveCards': 'احفظ البطاقات',
+    'flash.discard': 'تجاهل',
+    'flash.cards.one': 'بطاقة واحدة',
+    'flash.cards.two': 'بطاقتان',
+    'flash.cards.few': '{n} بطاقات',
+    'flash.cards.other': '{n} بطاقة',
+    'flash.learned': '{n} مُتقنة',
+    'flash.due': '{n} مستحقة',
+    'flash.new': '{n} جديدة',
+    'flash.review': 'مراجعة',
+    'flash.empty': 'لا مجموعات بعد. استخدم «إنشاء بطاقات تعليمية» تحت أي إجابة للمعلّم، أو ابدأ مجموعة يدويًا، أو استورد ملف CSV/TSV مصدّرًا من Anki.',
+    'flash.newPerDay': 'بطاقات جديدة يوميًا',
+    'flash.dueToday': '{due} مستحقة · {fresh} جديدة اليوم',
+    'flash.importInto': 'استيراد إلى المجموعة',
+    'flash.deleteDeck': 'حذف المجموعة',
+    'flash.addCard': 'أضف البطاقة',
+    'flash.frontHint': 'الوجه — سؤال أو تلميح',
+    'flash.backHint': 'الظهر — الإجابة (يعمل Markdown و$TeX$)',
+    'flash.cardsTitle': 'البطاقات',
+    'flash.searchCards': 'ابحث في البطاقات',
+    'flash.dueNow': 'مستحقة الآن',
+    'flash.dueOn': 'مستحقة {date}',
+    'flash.newCard': 'جديدة',
+    'flash.lapses.one': 'هفوة واحدة',
+    'flash.lapses.two': 'هفوتان',
+    'flash.lapses.few': '{n} هفوات',
+    'flash.lapses.other': '{n} هفوة',
+    'flash.noMatch': 'لا بطاقات مطابقة.',
+    'flash.deckEmpty': 'هذه المجموعة فارغة.',
+    'flash.deleteTitle': 'حذف المجموعة؟',
+    'flash.deleteDesc': 'ستُزال المجموعة وبطاقاتها وسجل مراجعتها من هذا الجهاز.'
+  }
+});
+
+// names are flash.grade.<id> messages
+const CARD_GRADES = [
+  { grade: 1, id: 'again', color: 'bg-red-500/60 hover:bg-red-500' },
+  { grade: 3, id: 'hard', color: 'bg-orange-500/60 hover:bg-orange-500' },
+  { grade: 4, id: 'good', color: 'bg-green-500/60 hover:bg-green-500' },
+  { grade: 5, id: 'easy', color: 'bg-sky-500/60 hover:bg-sky-500' }
+];
+
+export const srs = (() => {
+  const START_EASE = 2.5;
+  const MIN_EASE = 1.3;
+  const NEW_PER_DAY = 20;
+  const MATURE = 21;          // days; cards past this interval count as learned
+
+  const newCard = ({ front, back, tags = [], source = null }) => ({
+    id: uid(), front, back, tags, source,
+    ease: START_EASE, interval: 0, reps: 0, lapses: 0, due: null, lastReviewed: null, createdAt: nowISO()
+  });
+
+  const isNew = (c) => !c.lastReviewed;
+
+  const review = (card, grade, today = dayKey()) => {
+    if (grade < 3) {
+      return { ...card, reps: 0, interval: 0, lapses: card.lapses + (card.reps > 0 ? 1 : 0), due: today, lastReviewed: today };
+    }
+    const reps = card.reps + 1;
+    const interval = reps === 1 ? 1 : reps === 2 ? 6 : Math.round(card.interval * card.ease);
+    const ease = Math.max(MIN_EASE, card.ease + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+    return { ...card, reps, interval, ease: Math.round(ease * 100) / 100, due: addDays(today, interval), lastReviewed: today };
+  };
+
+  const introducedOn = (deck, today) => deck.introduced?.day === today ? deck.introduced.count : 0;
+  const newLeft = (deck, today) => Math.max(0, (deck.newPerDay ?? NEW_PER_DAY) - introducedOn(deck, today));
+  // the deck's new-card counter after one more new card was seen today
+  const introduce = (deck, today = dayKey()) => ({ day: today, count: introducedOn(deck, today) + 1 });
+
+  // Due reviews first (most overdue first), then new cards in the order they were added
+  const queue = (deck, today = dayKey()) => [
+    ...deck.cards.filter(c => !isNew(c) && c.due <= today).sort((a, b) => a.due.localeCompare(b.due)),
+    ...deck.cards.filter(isNew).slice(0, newLeft(deck, today))
+  ];
+
+  const counts = (deck, today = dayKey()) => ({
+    due: deck.cards.filter(c => !isNew(c) && c.due <= today).length,
+    fresh: Math.min(deck.cards.filter(isNew).length, newLeft(deck, today)),
+    total: deck.cards.length,
+    mature: deck.cards.filter(c => c.interval >= MATURE).length
+  });
+
+  const dueToday = (decks, today = dayKey()) => decks.reduce((n, d) => { const c = counts(d, today); return n + c.due + c.fresh; }, 0);
+
+  const clean = (v, max) => String(v ?? '').trim().slice(0, max);
+
+  const fromModel = (data) => (Array.isArray(data) ? data : data?.cards || [])
+    .map(c => ({ front: clean(c?.front ?? c?.question, 1000), back: clean(c?.back ?? c?.answer, 4000) }))
+    .filter(c => c.front && c.back)
+    .slice(0, 50);
+
+  // Offline fallback: "**Term**: definition" and "- Term: definition" lines,
+  // else "X is Y." sentences with the subject as the cue
+  const fromText = (text) => {
+    const out = [], seen = new Set();
+    const add = (front, back) => {
+      front = front.replace(/[*_`]/g, '').trim();
+      back = back.trim();
+      if (front.length < 2 || back.length < 3 || seen.has(front.toLowerCase())) return;
+      seen.add(front.toLowerCase());
+      out.push({ front, back });
+    };
+    const src = String(text || '').replace(/```[\s\S]*?```/g, ' ');
+    for (const line of src.split('\n')) {
+      const m = line.match(/^\s*(?:[-*+]|\d+[.)])?\s*\*\*(.+?)\*\*\s*[:—–-]\s*(.+)$/) ||
+        line.match(/^\s*(?:[-*+]|\d+[.)])\s+([^:]{2,60}):\s+(.+)$/);
+      if (m) add(m[1], m[2]);
+    }
+    if (!out.length) {
+      const plain = src.replace(/[#>*_`]/g, '');
+      for (const m of plain.matchAll(/(?:^|[.!?]\s+)([A-Z][\w '()-]{1,48}?) (is|are|means|refers to) ([^.!?\n]{3,200}[.!?])/g)) {
+        add(`${m[1]} ${m[2]} …`, `${m[1]} ${m[2]} ${m[3]}`);
+      }
+    }
+    return out.slice(0, 30);
+  };
+
+  /* ---- Anki text files: "#key:value" header lines, then one note per row ---- */
+  const SEPARATORS = { tab: '\t', comma: ',', semicolon: ';', pipe: '|', colon: ':', space: ' ' };
+
+  const ankiField = (v, sep) => /["\r\n]/.test(v) || v.includes(sep) ? `"${v.replace(/"/g, '""')}"` : v;
+
+  const toAnki = (deck, sep = '\t') => [
+    `#separator:${sep === '\t' ? 'tab' : 'comma'}`, '#html:false', `#deck:${deck.name}`, '#notetype:Basic', '#tags column:3',
+    ...deck.cards.map(c => [c.front, c.back, c.tags.map(t => t.replace(/\s+/g, '_')).join(' ')].map(v => ankiField(v, sep)).join(sep))
+  ].join('\n') + '\n';
+
+  const fromHtml = (s) => s
+    .replace(/<br\s*\/?>/gi, '\n').replace(/<\/(div|p|li)>/gi, '\n').replace(/<[^>]+>/g, '')
+    .replace(/&nbsp;/g, ' ').replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&quot;/g, '"').replace(/&#39;/g, "'").replace(/&amp;/g, '&')
+    .trim();
+
+  // → { cards: [{ front, back, tags }], skipped, deck }; also reads Anki's own
+  // "Notes in Plain Text" exports, whose guid/notetype/deck columns are skipped
+  const parseAnki = (text) => {
+    let body = String(text || '').replace(/^\uFEFF/, '');
+    const opts = {};
+    for (let m; (m = body.match(/^#([\w ]+):(.*)(?:\r?\n|$)/));) {
+      opts[m[1].trim().toLowerCase()] = m[2].trim();
+      body = body.slice(m[0].length);
+    }
+    const first = body.split('\n').find(l => l.trim()) || '';
+    const declared = opts.separator;
+    const sep = SEPARATORS[declared?.toLowerCase()] || (declared?.length === 1 ? declared : null) ||
+      ['\t', ';', ','].find(s => first.includes(s)) || '\t';
+
+    const rows = [];
+    let row = [], field = '', quoted = false;
+    const endRow = () => { row.push(field); rows.push(row); row = []; field = ''; };
+    for (let i = 0; i < body.length; i++) {
+      const c = body[i];
+      if (quoted) {
+        if (c === '"' && body[i + 1] === '"') { field += '"'; i++; }
+        else if (c === '"') quoted = false;
+        else field += c;
+      } else if (c === '"' && field === '') quoted = true;
+      else if (c === sep) { row.push(field); field = ''; }
+      else if (c === '\n') endRow();
+      else if (c !== '\r') field += c;
+    }
+    if (field || row.length) endRow();
+
+    const html = opts.html ? opts.html === 'true' : /<(br|div|p|b|i|span)\b/i.test(body);
+    const col = (k) => Number(opts[`${k} column`]) - 1;
+    const tagCol = col('tags');
+    const meta = new Set(['guid', 'notetype', 'deck', 'tags'].map(col).filter(i => i >= 0));
+    const cards = [];
+    let skipped = 0;
+    for (const r of rows) {
+      if (r.length === 1 && (!r[0].trim() || r[0].startsWith('#'))) continue;
+      const [front, back] = r.filter((_, i) => !meta.has(i)).map(v => html ? fromHtml(v) : v.trim());
+      if (!front || !back) { skipped++; continue; }
+      cards.push({ front: front.slice(0, 1000), back: back.slice(0, 4000), tags: tagCol >= 0 ? (r[tagCol] || '').split(/\s+/).filter(Boolean) : [] });
+    }
+    return { cards, skipped, deck: opts.deck || null };
+  };
+
+  return { NEW_PER_DAY, newCard, review, introduce, queue, counts, dueToday, fromModel, fromText, toAnki, parseAnki };
+})();
+
+const FLASHCARD_AI_PROMPT = `You turn tutoring explanations into study flashcards.
+Reply with JSON only, no prose around it, in exactly this shape:
+{"cards": [{"front": string, "back": string}]}
+- One idea per card: a definition, fact, formula, step or common mistake. 3–15 cards depending on how much there is.
+- "front" is a short question or cue; "back" is the answer in a sentence or two. Markdown and $TeX$ are allowed.
+- Use only what the text teaches; skip greetings, small talk and questions put to the student.`;
+
+/* ----------------------------------------------------------------------------
+   Flashcards workspace: decks, daily review, Anki import/export
+   Decks live on this device; each review is also logged as a card_review
+   event so the Progress tab can count it.
+---------------------------------------------------------------------------- */
+const decksKey = (u) => `mythos_decks_${u?.id || 'guest'}`;
+const fileSlug = (name) => name.replace(/[^\w-]+/g, '-').replace(/^-+|-+$/g, '').toLowerCase() || 'deck';
+const fmtInterval = (n) => n === 0 ? tr('common.today') : n < 30 ? trn('flash.interval.days', n)
+  : n < 365 ? tr('flash.interval.months', { n: fmtNumber(Math.round(n / 30)) })
+  : tr('flash.interval.years', { n: fmtNumber(n / 365, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) });
+
+function FlashcardsTab({ user, draft, onDraftChange, onTrack, pushToast }) {
+  const [decks, setDecks] = useState(() => storage.get(decksKey(user), []));
+  const [openId, setOpenId] = useState(null);
+  const [session, setSession] = useState(null);   // { items: [{ deckId, cardId }], shown, reviewed, again }
+  const [query, setQuery] = useState('');
+  const [adding, setAdding] = useState({ front: '', back: '' });
+  const [editing, setEditing] = useState(null);   // { id, front, back }
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const today = dayKey();
+
+  useEffect(() => { storage.set(decksKey(user), decks); }, [decks, user]);
+
+  const deck = decks.find(d => d.id === openId) || null;
+  const updateDeck = (id, fn) => setDecks(prev => prev.map(d => d.id === id ? fn(d) : d));
+  const setDeckField = (k, v) => updateDeck(deck.id, d => ({ ...d, [k]: v }));
+
+  const createDeck = (name, subject = 'general', cards = []) => {
+    const d = { id: uid(), name: name.trim().slice(0, 120) || tr('flash.newDeck'), subject, newPerDay: srs.NEW_PER_DAY, introduced: null, cards, createdAt: nowISO() };
+    setDecks(prev => [d, ...prev]);
+    return d;
+  };
+
+  /* ---- cards drafted from a tutor chat ---- */
+  const setDraftCard = (id, patch) => onDraftChange(d => ({ ...d, cards: d.cards.map(c => c.id === id ? { ...c, ...patch } : c) }));
+
+  const saveDraft = () => {
+    const cards = draft.cards
+      .filter(c => c.front.trim() && c.back.trim())
+      .map(c => srs.newCard({ front: c.front.trim(), back: c.back.trim(), source: draft.source }));
+    if (!cards.length) { pushToast(tr('flash.needBothSides'), 'warn'); return; }
+    if (draft.deckId) updateDeck(draft.deckId, d => ({ ...d, cards: [...d.cards, ...cards] }));
+    else createDeck(draft.deckName, draft.subject, cards);
+    pushToast(trn('flash.saved', cards.length));
+    onDraftChange(null);
+  };
+
+  /* ---- review ---- */
+  const startReview = (ids) => {
+    const items = decks.filter(d => ids.includes(d.id)).flatMap(d => srs.queue(d, today).map(c => ({ deckId: d.id, cardId: c.id })));
+    if (!items.length) { pushToast(tr('flash.nothingDue'), 'info'); return; }
+    setSession({ items, shown: false, reviewed: 0, again: 0 });
+  };
+
+  const item = session?.items[0];
+  const current = item && decks.find(d => d.id === item.deckId)?.cards.find(c => c.id === item.cardId);
+
+  const grade = (g) => {
+    const d = decks.find(x => x.id === item.deckId);
+    updateDeck(d.id, x => ({
+      ...x,
+      introduced: current.lastReviewed ? x.introduced : srs.introduce(x, today),
+      cards: x.cards.map(c => c.id === current.id ? srs.review(c, g, today) : c)
+    }));
+    onTrack?.('card_review', { subject: d.subject, grade: g });
+    // failed cards come back at the end of this session
+    setSession(s => ({
+      items: g < 3 ? [...s.items.slice(1), s.items[0]] : s.items.slice(1),
+      shown: false,
+      reviewed: s.reviewed + 1,
+      again: s.again + (g < 3 ? 1 : 0)
+    }));
+  };
+
+  // Space/Enter shows the answer, 1–4 grade it
+  useEffect(() => {
+    if (!current) return;
+    const onKey = (e) => {
+      if (e.target.closest?.('input, textarea, select')) return;
+      const g = CARD_GRADES[Number(e.key) - 1];
+      if (!session.shown && (e.key === ' ' || e.key === 'Enter')) { e.preventDefault(); setSession(s => ({ ...s, shown: true })); }
+      else if (session.shown && g) { e.preventDefault(); grade(g.grade); }
+    };
+    window.addEventListener('keydown', onKey);
+    return () => window.removeEventListener('keydown', onKey);
+  });
+
+  /* ---- editing ---- */
+  const addCard = () => {
+    if (!adding.front.trim() || !adding.back.trim()) { pushToast(tr('flash.fillBoth'), 'warn'); return; }
+    updateDeck(deck.id, d => ({ ...d, cards: [...d.cards, srs.newCard({ front: adding.front.trim(), back: adding.back.trim() })] }));
+    setAdding({ front: '', back: '' });
+  };
+
+  const saveEdit = () => {
+    if (!editing.front.trim() || !editing.back.trim()) { pushToast(tr('flash.fillBoth'), 'warn'); return; }
+    updateDeck(deck.id, d => ({ ...d, cards: d.cards.map(c => c.id === editing.id ? { ...c, front: editing.front.trim(), back: editing.back.trim() } : c) }));
+    setEditing(null);
+  };
+
+  const removeCard = (id) => updateDeck(deck.id, d => ({ ...d, cards: d.cards.filter(c => c.id !== id) }));
+
+  const deleteDeck = () => {
+    const id = pendingDelete;
+    setPendingDelete(null);
+    setDecks(prev => prev.filter(d => d.id !== id));
+    if (id === openId) setOpenId(null);
+  };
+
+  /* ---- Anki files ---- */
+  const importFile = async (e, into) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const { cards, skipped, deck: name } = srs.parseAnki(await file.text());
+    if (!cards.length) { pushToast(tr('flash.noCardsFound'), 'warn'); return; }
+    const fresh = cards.map(c => srs.newCard(c));
+    if (into) updateDeck(into, d => ({ ...d, cards: [...d.cards, ...fresh] }));
+    else setOpenId(createDeck(name || file.name.replace(/\.\w+$/, ''), 'general', fresh).id);
+    pushToast([trn('flash.imported', fresh.length), skipped ? trn('flash.skipped', skipped) : ''].filter(Boolean).join(' '));
+  };
+
+  const exportDeck = (d, sep) => downloadFile(
+    `${fileSlug(d.name)}.${sep === '\t' ? 'tsv' : 'csv'}`,
+    srs.toAnki(d, sep),
+    sep === '\t' ? 'text/tab-separated-values' : 'text/csv'
+  );
+
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  const btn = "flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm disabled:opacity-50";
+  const card = "bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10";
+  const totalDue = srs.dueToday(decks, today);
+
+  if (session) {
+    return (
+      <div className="p-6 overflow-y-auto h-full">
+        <div className="max-w-2xl mx-auto space-y-6">
+          <div className="flex items-center gap-3">
+            <button onClick={() => setSession(null)} className={btn}><ChevronLeft size={16} /> {tr('flash.decks')}</button>
+            <p className="flex-1 text-end text-white/60 text-sm">{tr('flash.sessionLeft', { left: fmtNumber(session.items.length), reviewed: fmtNumber(session.reviewed) })}</p>
+          </div>
+          {current ? (
+            <div className={card}>
+              <p className="text-purple-300 text-xs mb-3">{decks.find(d => d.id === item.deckId)?.name}</p>
+              <Markdown text={current.front} className="text-lg" />
+              {session.shown && (
+                <div className="border-t border-white/10 mt-4 pt-4">
+                  <Markdown text={current.back} />
+                </div>
+              )}
+              <div className="mt-6">
+                {session.shown ? (
+                  <div className="grid grid-cols-4 gap-2">
+                    {CARD_GRADES.map((g, i) => (
+                      <button key={g.grade} onClick={() => grade(g.grade)} className={`p-3 rounded-xl text-white text-sm ${g.color}`} title={tr('flash.key', { n: fmtNumber(i + 1) })}>
+                        <span className="block font-semibold">{tr(`flash.grade.${g.id}`)}</span>
+                        <span className="block text-xs opacity-80">{fmtInterval(srs.review(current, g.grade, today).interval)}</span>
+                      </button>
+                    ))}
+                  </div>
+                ) : (
+                  <button onClick={() => setSession(s => ({ ...s, shown: true }))} className="w-full p-3 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold">
+                    {tr('flash.showAnswer')} <span className="opacity-70 text-xs">{tr('flash.space')}</span>
+                  </button>
+                )}
+              </div>
+            </div>
+          ) : (
+            <div className={`${card} text-center`}>
+              <CheckCircle className="mx-auto text-green-400 mb-3" size={40} />
+              <p className="text-white text-xl font-semibold">{tr('flash.complete')}</p>
+              <p className="text-white/60 mt-1">
+                {trn('flash.reviews', session.reviewed)}{session.again ? ` · ${tr('flash.toRelearn', { n: fmtNumber(session.again) })}` : ''}
+              </p>
+              <button onClick={() => setSession(null)} className="mt-4 px-6 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold">{tr('common.done')}</button>
+            </div>
+          )}
+        </div>
+      </div>
+    );
+  }
+
+  const needle = query.trim().toLowerCase();
+  const shown = deck ? deck.cards.filter(c => !needle || `${c.front}\n${c.back}`.toLowerCase().includes(needle)) : [];
+  const stats = deck ? srs.counts(deck, today) : null;
+
+  return (
+    <div className="p-6 overflow-y-auto h-full">
+      <div className="max-w-4xl mx-auto space-y-6">
+        <div className="flex flex-wrap items-center gap-3 mb-6">
+          {deck && <button onClick={() => { setOpenId(null); setEditing(null); }} className={btn}><ChevronLeft size={16} /> {tr('flash.decks')}</button>}
+          <h2 className="text-3xl font-bold text-white flex-1">{deck ? deck.name : tr('flash.title')}</h2>
+          {!deck && (
+            <>
+              <button onClick={() => startReview(decks.map(d => d.id))} disabled={!totalDue} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white text-sm font-semibold disabled:opacity-50">
+                <Brain size={16} /> {tr('flash.reviewAll', { n: fmtNumber(totalDue) })}
+              </button>
+              <button onClick={() => setOpenId(createDeck(tr('flash.newDeck')).id)} className={btn}><Plus size={16} /> {tr('flash.newDeck')}</button>
+              <label className={`${btn} cursor-pointer`}>
+                <Upload size={16} /> {tr('flash.importAnki')}
+                <input type="file" accept=".txt,.csv,.tsv" onChange={e => importFile(e, null)} className="hidden" />
+              </label>
+            </>
+          )}
+        </div>
+
+        {draft && (
+          <div className={card}>
+            <h3 className="text-white font-semibold text-xl mb-1">{tr('flash.fromTutor')}</h3>
+            <p className="text-white/60 text-sm mb-4">{tr('flash.fromChat', { title: draft.source?.title || tr('flash.chat') })}</p>
+            {draft.loading ? (
+              <div className="flex items-center gap-2 text-white/70"><Loader2 size={18} className="animate-spin" /> {tr('flash.writing')}</div>
+            ) : (
+              <>
+                <div className="space-y-3">
+                  {draft.cards.map(c => (
+                    <div key={c.id} className="flex gap-2 items-start">
+                      <textarea value={c.front} onChange={e => setDraftCard(c.id, { front: e.target.value })} rows={2} placeholder={tr('flash.front')} aria-label={tr('flash.front')} className={`flex-1 resize-y ${small}`} />
+                      <textarea value={c.back} onChange={e => setDraftCard(c.id, { back: e.target.value })} rows={2} placeholder={tr('flash.back')} aria-label={tr('flash.back')} className={`flex-1 resize-y ${small}`} />
+                      <button onClick={() => onDraftChange(d => ({ ...d, cards: d.cards.filter(x => x.id !== c.id) }))} className="p-2 text-white/60 hover:text-red-300" title={tr('flash.removeCard')} aria-label={tr('flash.removeCard')}><Trash2 size={16} /></button>
+                    </div>
+                  ))}
+                  <button onClick={() => onDraftChange(d => ({ ...d, cards: [...d.cards, { id: uid(), front: '', back: '' }] }))} className="flex items-center gap-1 text-sm text-purple-300 hover:text-white"><Plus size={14} /> {tr('flash.addCardLink')}</button>
+                </div>
+                <div className="flex flex-wrap items-center gap-2 mt-4">
+                  <select value={draft.deckId || ''} onChange={e => onDraftChange(d => ({ ...d, deckId: e.target.value }))} aria-label={tr('flash.deck')} className={small}>
+                    <option value="" className="bg-gray-800">{tr('flash.newDeckOption')}</option>
+                    {decks.map(d => <option key={d.id} value={d.id} className="bg-gray-800">{d.name}</option>)}
+                  </select>
+                  {!draft.deckId && <input value={draft.deckName} onChange={e => onDraftChange(d => ({ ...d, deckName: e.target.value }))} placeholder={tr('flash.deckName')} aria-label={tr('flash.deckName')} className={`flex-1 min-w-[10rem] ${small}`} />}
+                  <button onClick={saveDraft} disabled={!draft.cards.length} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white text-sm font-semibold disabled:opacity-50"><Save size={16} /> {tr('flash.saveCards')}</button>
+                  <button onClick={() => onDraftChange(null)} className={btn}>{tr('flash.discard')}</button>
+                </div>
+              </>
+            )}
+          </div>
+        )}
+
+        {!deck && (decks.length ? (
+          <div className="grid md:grid-cols-2 gap-4">
+            {decks.map(d => {
+              const c = srs.counts(d, today);
+              return (
+                <div key={d.id} className={card}>
+                  <button onClick={() => setOpenId(d.id)} className="text-start w-full">
+                    <p className="text-white font-semibold text-lg">{d.name}</p>
+                    <p className="text-white/60 text-sm">{subjectName(d.subject)} · {trn('flash.cards', c.total)} · {tr('flash.learned', { n: fmtNumber(c.mature) })}</p>
+                  </button>
+                  <div className="flex items-center gap-3 mt-4">
+                    <span className="text-sm text-orange-200">{tr('flash.due', { n: fmtNumber(c.due) })}</span>
+                    <span className="text-sm text-sky-200">{tr('flash.new', { n: fmtNumber(c.fresh) })}</span>
+                    <button onClick={() => startReview([d.id])} disabled={!c.due && !c.fresh} className={`ms-auto ${btn}`}><Brain size={16} /> {tr('flash.review')}</button>
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        ) : !draft && (
+          <div className={`${card} text-center text-white/70`}>
+            <Layers className="mx-auto mb-3 text-purple-300" size={40} />
+            <p>{tr('flash.empty')}</p>
+          </div>
+        ))}
+
+        {deck && (
+          <>
+            <div className={card}>
+              <div className="grid md:grid-cols-3 gap-3">
+                <label className="text-white/70 text-sm space-y-1 block md:col-span-3">
+                  <span>{tr('common.name')}</span>
+                  <input value={deck.name} onChange={e => setDeckField('name', e.target.value.slice(0, 120))} className={`w-full ${small}`} />
+                </label>
+                <label className="text-white/70 text-sm space-y-1 block">
+                  <span>{tr('common.subject')}</span>
+                  <select value={deck.subject} onChange={e => setDeckField('subject', e.target.value)} className={`w-full ${small}`}>
+                    {!SUBJECTS[deck.subject] && <option value={deck.subject} className="bg-gray-800">{subjectName(deck.subject)}</option>}
+                    {Object.keys(SUBJECTS).map(k => <option key={k} value={k} className="bg-gray-800">{subjectName(k)}</option>)}
+                  </select>
+                </label>
+                <label className="text-white/70 text-sm space-y-1 block">
+                  <span>{tr('flash.newPerDay')}</span>
+                  <input type="number" min={0} max={200} value={deck.newPerDay} onChange={e => setDeckField('newPerDay', clamp(Math.round(Number(e.target.value) || 0), 0, 200))} className={`w-full ${small}`} />
+                </label>
+                <div className="text-white/70 text-sm flex flex-col justify-end">
+                  <span>{tr('flash.dueToday', { due: fmtNumber(stats.due), fresh: fmtNumber(stats.fresh) })}</span>
+                  <span>{trn('flash.cards', stats.total)} · {tr('flash.learned', { n: fmtNumber(stats.mature) })}</span>
+                </div>
+              </div>
+              <div className="flex flex-wrap gap-2 mt-4">
+                <button onClick={() => startReview([deck.id])} disabled={!stats.due && !stats.fresh} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white text-sm font-semibold disabled:opacity-50"><Brain size={16} /> {tr('flash.review')}</button>
+                <button onClick={() => exportDeck(deck, '\t')} disabled={!deck.cards.length} className={btn}><Download size={16} /> Anki TSV</button>
+                <button onClick={() => exportDeck(deck, ',')} disabled={!deck.cards.length} className={btn}><Download size={16} /> Anki CSV</button>
+                <label className={`${btn} cursor-pointer`}>
+                  <Upload size={16} /> {tr('flash.importInto')}
+                  <input type="file" accept=".txt,.csv,.tsv" onChange={e => importFile(e, deck.id)} className="hidden" />
+                </label>
+                <button onClick={() => setPendingDelete(deck.id)} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-red-500/30 text-white text-sm"><Trash2 size={16} /> {tr('flash.deleteDeck')}</button>
+              </div>
+            </div>
+
+            <div className={card}>
+              <h3 className="text-white font-semibold text-xl mb-4">{tr('flash.addCardLink')}</h3>
+              <div className="grid md:grid-cols-2 gap-2">
+                <textarea value={adding.front} onChange={e => setAdding(a => ({ ...a, front: e.target.value }))} rows={3} placeholder={tr('flash.frontHint')} aria-label={tr('flash.front')} className={`resize-y ${small}`} />
+                <textarea value={adding.back} onChange={e => setAdding(a => ({ ...a, back: e.target.value }))} rows={3} placeholder={tr('flash.backHint')} aria-label={tr('flash.back')} className={`resize-y ${small}`} />
+              </div>
+              <button onClick={addCard} className={`mt-3 ${btn}`}><Plus size={16} /> {tr('flash.addCard')}</button>
+            </div>
+
+            <div className={card}>
+              <div className="flex flex-wrap items-center gap-3 mb-4">
+                <h3 className="text-white font-semibold text-xl flex-1">{tr('flash.cardsTitle')}</h3>
+                <div className="relative">
+                  <Search size={16} className="absolute start-2 top-1/2 -translate-y-1/2 text-white/50" />
+                  <input value={query} onChange={e => setQuery(e.target.value)} placeholder={tr('flash.searchCards')} aria-label={tr('flash.searchCards')} className={`ps-8 ${small}`} />
+                </div>
+              </div>
+              {shown.length ? (
+                <div className="space-y-2">
+                  {shown.map(c => editing?.id === c.id ? (
+                    <div key={c.id} className="p-3 rounded-xl bg-white/5 border border-purple-400/40 space-y-2">
+                      <textarea value={editing.front} onChange={e => setEditing(x => ({ ...x, front: e.target.value }))} rows={2} aria-label={tr('flash.front')} className={`w-full resize-y ${small}`} />
+                      <textarea value={editing.back} onChange={e => setEditing(x => ({ ...x, back: e.target.value }))} rows={3} aria-label={tr('flash.back')} className={`w-full resize-y ${small}`} />
+                      <div className="flex gap-2">
+                        <button onClick={saveEdit} className={btn}><Save size={16} /> {tr('common.save')}</button>
+                        <button onClick={() => setEditing(null)} className={btn}>{tr('common.cancel')}</button>
+                      </div>
+                    </div>
+                  ) : (
+                    <div key={c.id} className="flex items-start gap-3 p-3 rounded-xl bg-white/5 border border-white/10">
+                      <div className="flex-1 min-w-0 grid md:grid-cols-2 gap-3 text-sm">
+                        <Markdown text={c.front} />
+                        <Markdown text={c.back} className="text-white/70" />
+                      </div>
+                      <span className="text-white/50 text-xs w-24 shrink-0 text-end">
+                        {c.lastReviewed ? c.due <= today ? tr('flash.dueNow') : tr('flash.dueOn', { date: fmtDay(c.due) }) : tr('flash.newCard')}
+                        {c.lapses > 0 && <span className="block">{trn('flash.lapses', c.lapses)}</span>}
+                      </span>
+                      <button onClick={() => setEditing({ id: c.id, front: c.front, back: c.back })} className="p-1 text-white/60 hover:text-white" title={tr('common.edit')} aria-label={tr('common.edit')}><Pencil size={16} /></button>
+                      <button onClick={() => removeCard(c.id)} className="p-1 text-white/60 hover:text-red-300" title={tr('common.delete')} aria-label={tr('common.delete')}><Trash2 size={16} /></button>
+                    </div>
+                  ))}
+                </div>
+              ) : <p className="text-white/50 text-sm">{deck.cards.length ? tr('flash.noMatch') : tr('flash.deckEmpty')}</p>}
+            </div>
+          </>
+        )}
+      </div>
+
+      <Confirm
+        open={!!pendingDelete}
+        title={tr('flash.deleteTitle')}
+        desc={tr('flash.deleteDesc')}
+        onCancel={() => setPendingDelete(null)}
+        onConfirm={deleteDeck}
+      />
+    </div>
+  );
+}
+
+/* ----------------------------------------------------------------------------
+   Progress: study time, streaks and achievements from the server activity log
+---------------------------------------------------------------------------- */
+addMessages({
+  en: {
+    'achievement.first_chat.name': 'First question',
+    'achievement.first_chat.desc': 'Start your first tutor chat',
+    'achievement.chats_25.name': 'Curious mind',
+    'achievement.chats_25.desc': 'Start 25 tutor chats',
+    'achievement.first_quiz_passed.name': 'First quiz passed',
+    'achievement.first_quiz_passed.desc': 'Pass a quiz',
+    'achievement.perfect_quiz.name': 'Perfect score',
+    'achievement.perfect_quiz.desc': 'Score 100% on a quiz',
+    'achievement.quizzes_10.name': 'Quiz regular',
+    'achievement.quizzes_10.desc': 'Take 10 quizzes',
+    'achievement.streak_3.name': '3-day streak',
+    'achievement.streak_3.desc': 'Study 3 days in a row',
+    'achievement.streak_7.name': '7-day streak',
+    'achievement.streak_7.desc': 'Study 7 days in a row',
+    'achievement.streak_30.name': '30-day streak',
+    'achievement.streak_30.desc': 'Study 30 days in a row',
+    'achievement.hours_1.name': 'Warming up',
+    'achievement.hours_1.desc': 'Study for 1 hour in total',
+    'achievement.hours_10.name': 'Dedicated',
+    'achievement.hours_10.desc': 'Study for 10 hours in total',
+    'achievement.hours_50.name': 'Scholar',
+    'achievement.hours_50.desc': 'Study for 50 hours in total',
+    'achievement.first_plan_session.name': 'On schedule',
+    'achievement.first_plan_session.desc': 'Complete a study-plan session',
+    'achievement.plan_sessions_20.name': 'Planner pro',
+    'achievement.plan_sessions_20.desc': 'Complete 20 study-plan sessions',
+    'achievement.first_card.name': 'Flash start',
+    'achievement.first_card.desc': 'Review your first flashcard',
+    'achievement.cards_100.name': 'Memory builder',
+    'achievement.cards_100.desc': 'Review 100 flashcards',
+    'achievement.cards_1000.name': 'Total recall',
+    'achievement.cards_1000.desc': 'Review 1,000 flashcards',
+    'achievement.all_rounder.name': 'All-rounder',
+    'achievement.all_rounder.desc': 'Spend 30 minutes each on Math, Science and Writing',
+    'progress.hm': '{h} h {m} min',
+    'progress.hours': '{n} h',
+    'progress.title': 'Your Progress',
+    'progress.studyTime': 'Study Time',
+    'progress.days.one': '{n} day',
+    'progress.days.two': '{n} days',
+    'progress.days.few': '{n} days',
+    'progress.days.other': '{n} days',
+    'progress.streak': 'Streak · best {n}',
+    'progress.achievements': 'Achievements',
+    'progress.activeDays': 'Active days',
+    'progress.cardsDue.one': '{n} flashcard due today',
+    'progress.cardsDue.two': '{n} flashcards due today',
+    'progress.cardsDue.few': '{n} flashcards due today',
+    'progress.cardsDue.other': '{n} flashcards due today',
+    'progress.noCardsDue': 'No flashcards due today',
+    'progress.cardsReviewed': '{today} reviewed today · {total} all time',
+    'progress.reviewNow': 'Review now',
+    'progress.weekly': 'Weekly study time',
+    'progress.bySubject': 'By subject',
+    'progress.noSubjects': 'Time on the tutor, subject tabs and plan sessions shows up here.',
+    'progress.lastWeeks': 'Last 4 weeks',
+    'progress.dayCards': '{n} cards',
+    'progress.summary': '{chats} tutor chats · {quizzes} quizzes ({passed} passed) · {sessions} plan sessions · {cards} cards reviewed',
+    'progress.assignments': '{n} assignments graded ({avg}% average)',
+    'progress.earned': 'Earned {date}',
+    'analytics.lastDays': 'Last {n} days',
+    'analytics.new': 'new',
+    'analytics.vsPrevious': 'vs previous period',
+    'analytics.noEarlier': 'No earlier data',
+    'analytics.csv': 'Download as CSV',
+    'analytics.pointTitle': '{day}: {value} (previous {prevDay}: {prevValue})',
+    'analytics.thisPeriod': 'This period · {n}',
+    'analytics.previous': 'Previous · {n}',
+    'analytics.title': 'Analytics',
+    'analytics.from': 'From',
+    'analytics.to': 'To',
+    'analytics.pickClass': 'Pick one of your classes at the top to see how its students are doing.',
+    'analytics.createClass': 'Create a class and add students to see their activity here.',
+    'analytics.goClasses': 'Go to Classes',
+    'analytics.compared': 'Compared with {from} – {to}.',
+    'analytics.activeUsers': 'Active users',
+    'analytics.chatMessages': 'Chat messages',
+    'analytics.studyTime': 'Study time',
+    'analytics.quizAverage': 'Quiz average',
+    'analytics.byRole': 'Active users by role',
+    'analytics.role': 'Role',
+    'analytics.active': 'Active',
+    'analytics.activePrev': 'Active (previous period)',
+    'analytics.accounts': 'Accounts',
+    'analytics.ofTotal': 'of {n}',
+    'analytics.newAccounts': '{n} new accounts in this period ({prev} before).',
+    'analytics.perDay': 'Active users per day',
+    'analytics.date': 'Date',
+    'analytics.prevDate': 'Previous date',
+    'analytics.activePrevShort': 'Active users (previous)',
+    'analytics.chatVolume': 'Chat volume per day',
+    'analytics.messages': 'Messages',
+    'analytics.messagesPrev': 'Messages (previous)',
+    'analytics.studyMinutes': 'Study minutes per day',
+    'analytics.minutesPrev': 'Minutes (previous)',
+    'analytics.bySubject': 'Usage by subject',
+    'analytics.chatMessagesPrev': 'Chat messages (previous)',
+    'analytics.users': 'Users',
+    'analytics.subjectLine': '{time} · {msgs} msgs · {users} users',
+    'analytics.prevPeriod': 'Previous period: {time}',
+    'analytics.noSubjects': 'No subject activity in this period.',
+    'analytics.quizAverages': 'Quiz averages',
+    'analytics.quizzes': 'Quizzes',
+    'analytics.averagePct': 'Average %',
+    'analytics.averagePctPrev': 'Average % (previous)',
+    'analytics.passRatePct': 'Pass rate %',
+    'analytics.average': 'Average',
+    'analytics.passRate': 'Pass rate',
+    'analytics.noQuizzes': 'No quizzes taken in this period.',
+    'analytics.reach': 'Announcement reach',
+    'analytics.announcement': 'Announcement',
+    'analytics.readBy': 'Read by',
+    'analytics.audience': 'Audience',
+    'analytics.reachPct': 'Reach %',
+    'analytics.readOf': '{readers} of {audience} read · {pct}%',
+    'analytics.noAnnouncements': 'No announcements were up in this period.'
+  },
+  fa: {
+    'achievement.first_chat.name': 'نخستین پرسش',
+    'achievement.first_chat.desc': 'نخستین گفتگو با معلم را آغاز کنید',
+    'achievement.chats_25.name': 'ذهن کنجکاو',
+    'achievement.chats_25.desc': '۲۵ گفتگو با معلم آغاز کنید',
+    'achievement.first_quiz_passed.name': 'نخستین آزمونک قبول‌شده',
+    'achievement.first_quiz_passed.desc': 'در یک آزمونک قبول شوید',
+    'achievement.perfect_quiz.name': 'نمرهٔ کامل',
+    'achievement.perfect_quiz.desc': 'در یک آزمونک ۱۰۰٪ بگیرید',
+    'achievement.quizzes_10.name': 'آزمونک‌باز',
+    'achievement.quizzes_10.desc': '۱۰ آزمونک بدهید',
+    'achievement.streak_3.name': 'پیوستگی ۳ روزه',
+    'achievement.streak_3.desc': '۳ روز پشت سر هم مطالعه کنید',
+    'achievement.streak_7.name': 'پیوستگی ۷ روزه',
+    'achievement.streak_7.desc': '۷ روز پشت سر هم مطالعه کنید',
+    'achievement.streak_30.name': 'پیوستگی ۳۰ روزه',
+    'achievement.streak_30.desc': '۳۰ روز پشت سر هم مطالعه کنید',
+    'achievement.hours_1.name': 'گرم کردن',
+    'achievement.hours_1.desc': 'روی هم ۱ ساعت مطالعه کنید',
+    'achievement.hours_10.name': 'پرتلاش',
+    'achievement.hours_10.desc': 'روی هم ۱۰ ساعت مطالعه کنید',
+    'achievement.hours_50.name': 'دانشور',
+    'achievement.hours_50.desc': 'روی هم ۵۰ ساعت مطالعه کنید',
+    'achievement.first_plan_session.name': 'سر وقت',
+    'achievement.first_plan_session.desc': 'یک جلسهٔ برنامهٔ مطالعه را تمام کنید',
+    'achievement.plan_sessions_20.name': 'استاد برنامه‌ریزی',
+    'achievement.plan_sessions_20.desc': '۲۰ جلسهٔ برنامهٔ مطالعه را تمام کنید',
+    'achievement.first_card.name': 'شروع برق‌آسا',
+    'achievement.first_card.desc': 'نخستین فلش‌کارت را مرور کنید',
+    'achievement.cards_100.name': 'حافظه‌ساز',
+    'achievement.cards_100.desc': '۱۰۰ فلش‌کارت مرور کنید',
+    'achievement.cards_1000.name': 'یادآوری کامل',
+    'achievement.cards_1000.desc': '۱٬۰۰۰ فلش‌کارت مرور کنید',
+    'achievement.all_rounder.name': 'همه‌فن‌حریف',
+    'achievement.all_rounder.desc': 'روی ریاضی، علوم و نگارش هرکدام ۳۰ دقیقه وقت بگذارید',
+    'progress.hm': '{h} ساعت و {m} دقیقه',
+    'progress.hours': '{n} ساعت',
+    'progress.title': 'پیشرفت شما',
+    'progress.studyTime': 'زمان مطالعه',
+    'progress.days.one': '{n} روز',
+    'progress.days.two': '{n} روز',
+    'progress.days.few': '{n} روز',
+    'progress.days.other': '{n} روز',
+    'progress.streak': 'پیوستگی · بهترین {n}',
+    'progress.achievements': 'دستاوردها',
+    'progress.activeDays': 'روزهای فعال',
+    'progress.cardsDue.one': '{n} فلش‌کارت امروز سررسید دارد',
+    'progress.cardsDue.two': '{n} فلش‌کارت امروز سررسید دارد',
+    'progress.cardsDue.few': '{n} فلش‌کارت امروز سررسید دارد',
+    'progress.cardsDue.other': '{n} فلش‌کارت امروز سررسید دارد',
+    'progress.noCardsDue': 'امروز فلش‌کارتی سررسید ندارد',
+    'progress.cardsReviewed': '{today} مرور امروز · {total} در کل',
+    'progress.reviewNow': 'اکنون مرور کنید',
+    'progress.weekly': 'زمان مطالعهٔ هفتگی',
+    'progress.bySubject': 'بر پایهٔ موضوع',
+    'progress.noSubjects': 'زمانی که با معلم، زبانه‌های درسی و جلسه‌های برنامه می‌گذرانید اینجا نشان داده می‌شود.',
+    'progress.lastWeeks': '۴ هفتهٔ گذشته',
+    'progress.dayCards': '{n} کارت',
+    'progress.summary': '{chats} گفتگوی معلم · {quizzes} آزمونک ({passed} قبول) · {sessions} جلسهٔ برنامه · {cards} کارت مرورشده',
+    'progress.assignments': '{n} تکلیف نمره‌گرفته (میانگین {avg}٪)',
+    'progress.earned': 'به‌دست‌آمده {date}',
+    'analytics.lastDays': '{n} روز گذشته',
+    'analytics.new': 'تازه',
+    'analytics.vsPrevious': 'نسبت به دورهٔ قبل',
+    'analytics.noEarlier': 'دادهٔ قبلی نیست',
+    'analytics.csv': 'دانلود به‌صورت CSV',
+    'analytics.pointTitle': '{day}: {value} (قبلی {prevDay}: {prevValue})',
+    'analytics.thisPeriod': 'این دوره · {n}',
+    'analytics.previous': 'قبلی · {n}',
+    'analytics.title': 'تحلیل‌ها',
+    'analytics.from': 'از',
+    'analytics.to': 'تا',
+    'analytics.pickClass': 'یکی از کلاس‌هایتان را از بالا انتخاب کنید تا وضعیت دانش‌آموزانش را ببینید.',
+    'analytics.createClass': 'کلاسی بسازید و دانش‌آموز اضافه کنید تا فعالیتشان را اینجا ببینید.',
+    'analytics.goClasses': 'رفتن به کلاس‌ها',
+    'analytics.compared': 'در مقایسه با {from} – {to}.',
+    'analytics.activeUsers': 'کاربران فعال',
+    'analytics.chatMessages': 'پیام‌های گفتگو',
+    'analytics.studyTime': 'زمان مطالعه',
+    'analytics.quizAverage': 'میانگین آزمونک',
+    'analytics.byRole': 'کاربران فعال بر پایهٔ نقش',
+    'analytics.role': 'نقش',
+    'analytics.active': 'فعال',
+    'analytics.activePrev': 'فعال (دورهٔ قبل)',
+    'analytics.accounts': 'حساب‌ها',
+    'analytics.ofTotal': 'از {n}',
+    'analytics.newAccounts': '{n} حساب تازه در این دوره ({prev} پیش از آن).',
+    'analytics.perDay': 'کاربران فعال در روز',
+    'analytics.date': 'تاریخ',
+    'analytics.prevDate': 'تاریخ قبلی',
+    'analytics.activePrevShort': 'کاربران فعال (قبلی)',
+    'analytics.chatVolume': 'حجم گفتگو در روز',
+    'analytics.messages': 'پیام‌ها',
+    'analytics.messagesPrev': 'پیام‌ها (قبلی)',
+    'analytics.studyMinutes': 'دقیقه‌های مطالعه در روز',
+    'analytics.minutesPrev': 'دقیقه‌ها (قبلی)',
+    'analytics.bySubject': 'استفاده بر پایهٔ موضوع',
+    'analytics.chatMessagesPrev': 'پیام‌های گفتگو (قبلی)',
+    'analytics.users': 'کاربران',
+    'analytics.subjectLine': '{time} · {msgs} پیام · {users} کاربر',
+    'analytics.prevPeriod': 'دورهٔ قبل: {time}',
+    'analytics.noSubjects': 'در این دوره فعالیتی در موضوع‌ها نبود.',
+    'analytics.quizAverages': 'میانگین آزمونک‌ها',
+    'analytics.quizzes': 'آزمونک‌ها',
+    'analytics.averagePct': 'میانگین ٪',
+    'analytics.averagePctPrev': 'میانگین ٪ (قبلی)',
+    'analytics.passRatePct': 'نرخ قبولی ٪',
+    'analytics.average': 'میانگین',
+    'analytics.passRate': 'نرخ قبولی',
+    'analytics.noQuizzes': 'در این دوره آزمونکی داده نشد.',
+    'analytics.reach': 'دسترسی اطلاعیه‌ها',
+    'analytics.announcement': 'اطلاعیه',
+    'analytics.readBy': 'خوانده‌شده توسط',
+    'analytics.audience': 'مخاطبان',
+    'analytics.reachPct': 'دسترسی ٪',
+    'analytics.readOf': '{readers} از {audience} خواندند · {pct}٪',
+    'analytics.noAnnouncements': 'در این دوره اطلاعیه‌ای منتشر نبود.'
+  },
+  ar: {
+    'achievement.first_chat.name': 'السؤال الأول',
+    'achievement.first_chat.desc': 'ابدأ أول محادثة مع المعلّم',
+    'achievement.chats_25.name': 'عقل فضولي',
+    'achievement.chats_25.desc': 'ابدأ 25 محادثة مع المعلّم',
+    'achievement.first_quiz_passed.name': 'أول اختبار ناجح',
+    'achievement.first_quiz_passed.desc': 'انجح في اختبار',
+    'achievement.perfect_quiz.name': 'درجة كاملة',
+    'achievement.perfect_quiz.desc': 'احصل على 100% في اختبار',
+    'achievement.quizzes_10.name': 'مواظب على الاختبارات',
+    'achievement.quizzes_10.desc': 'أدِّ 10 اختبارات',
+    'achievement.streak_3.name': '3 أيام متتالية',
+    'achievement.streak_3.desc': 'ادرس 3 أيام متتالية',
+    'achievement.streak_7.name': '7 أيام متتالية',
+    'achievement.streak_7.desc': 'ادرس 7 أيام متتالية',
+    'achievement.streak_30.name': '30 يومًا متتاليًا',
+    'achievement.streak_30.desc': 'ادرس 30 يومًا متتاليًا',
+    'achievement.hours_1.name': 'الإحماء',
+    'achievement.hours_1.desc': 'ادرس ساعة واحدة إجمالًا',
+    'achievement.hours_10.name': 'مثابر',
+    'achievement.hours_10.desc': 'ادرس 10 ساعات إجمالًا',
+    'achievement.hours_50.name': 'عالِم',
+    'achievement.hours_50.desc': 'ادرس 50 ساعة إجمالًا',
+    'achievement.first_plan_session.name': 'في الموعد',
+    'achievement.first_plan_session.desc': 'أكمل جلسة من خطة الدراسة',
+    'achievement.plan_sessions_20.name': 'محترف التخطيط',
+    'achievement.plan_sessions_20.desc': 'أكمل 20 جلسة من خطة الدراسة',
+    'achievement.first_card.name': 'بداية سريعة',
+    'achievement.first_card.desc': 'راجع أول بطاقة تعليمية',
+    'achievement.cards_100.name': 'باني الذاكرة',
+    'achievement.cards_100.desc': 'راجع 100 بطاقة تعليمية',
+    'achievement.cards_1000.name': 'تذكّر كامل',
+    'achievement.cards_1000.desc': 'راجع 1000 بطاقة تعليمية',
+    'achievement.all_rounder.name': 'متعدد المواهب',
+    'achievement.all_rounder.desc': 'اقضِ 30 دقيقة في كل من الرياضيات والعلوم والكتابة',
+    'progress.hm': '{h} س {m} د',
+    'progress.hours': '{n} س',
+    'progress.title': 'تقدّمك',
+    'progress.studyTime': 'وقت الدراسة',
+    'progress.days.one': 'يوم واحد',
+    'progress.days.two': 'يومان',
+    'progress.days.few': '{n} أيام',
+    'progress.days.other': '{n} يومًا',
+    'progress.streak': 'التتابع · الأفضل {n}',
+    'progress.achievements': 'الإنجازات',
+    'progress.activeDays': 'الأيام النشطة',
+    'progress.cardsDue.one': 'بطاقة واحدة مستحقة اليوم',
+    'progress.cardsDue.two': 'بطاقتان مستحقتان اليوم',
+    'progress.cardsDue.few': '{n} بطاقات مستحقة اليوم',
+    'progress.cardsDue.other': '{n} بطاقة مستحقة اليوم',
+    'progress.noCardsDue': 'لا بطاقات مستحقة اليوم',
+    'progress.cardsReviewed': '{today} رُوجعت اليوم · {total} إجمالًا',
+    'progress.reviewNow': 'راجع الآن',
+    'progress.weekly': 'وقت الدراسة الأسبوعي',
+    'progress.bySubject': 'حسب المادة',
+    'progress.noSubjects': 'يظهر هنا الوقت الذي تقضيه مع المعلّم وفي تبويبات المواد وجلسات الخطة.',
+    'progress.lastWeeks': 'آخر 4 أسابيع',
+    'progress.dayCards': '{n} بطاقة',
+    'progress.summary': '{chats} محادثة مع المعلّم · {quizzes} اختبار ({passed} ناجح) · {sessions} جلسة خطة · {cards} بطاقة مُراجعة',
+    'progress.assignments': '{n} واجب مُقيّم (متوسط {avg}%)',
+    'progress.earned': 'حُقّق {date}',
+    'analytics.lastDays': 'آخر {n} يومًا',
+    'analytics.new': 'جديد',
+    'analytics.vsPrevious': 'مقارنة بالفترة السابقة',
+    'analytics.noEarlier': 'لا بيانات سابقة',
+    'analytics.csv': 'تنزيل بصيغة CSV',
+    'analytics.pointTitle': '{day}: {value} (السابق {prevDay}: {prevValue})',
+    'analytics.thisPeriod': 'هذه الفترة · {n}',
+    'analytics.previous': 'السابقة · {n}',
+    'analytics.title': 'التحليلات',
+    'analytics.from': 'من',
+    'analytics.to': 'إلى',
+    'analytics.pickClass': 'اختر أحد صفوفك في الأعلى لترى أداء طلابه.',
+    'analytics.createClass': 'أنشئ صفًا وأضف طلابًا لترى نشاطهم هنا.',
+    'analytics.goClasses': 'انتقل إلى الصفوف',
+    'analytics.compared': 'مقارنة بالفترة {from} – {to}.',
+    'analytics.activeUsers': 'المستخدمون النشطون',
+    'analytics.chatMessages': 'رسائل المحادثة',
+    'analytics.studyTime': 'وقت الدراسة',
+    'analytics.quizAverage': 'متوسط الاختبارات',
+    'analytics.byRole': 'المستخدمون النشطون حسب الدور',
+    'analytics.role': 'الدور',
+    'analytics.active': 'نشط',
+    'analytics.activePrev': 'نشط (الفترة السابقة)',
+    'analytics.accounts': 'الحسابات',
+    'analytics.ofTotal': 'من {n}',
+    'analytics.newAccounts': '{n} حسابات جديدة في هذه الفترة ({prev} قبلها).',
+    'analytics.perDay': 'المستخدمون النشطون يوميًا',
+    'analytics.date': 'التاريخ',
+    'analytics.prevDate': 'التاريخ السابق',
+    'analytics.activePrevShort': 'المستخدمون النشطون (السابق)',
+    'analytics.chatVolume': 'حجم المحادثات يوميًا',
+    'analytics.messages': 'الرسائل',
+    'analytics.messagesPrev': 'الرسائل (السابق)',
+    'analytics.studyMinutes': 'دقائق الدراسة يوميًا',
+    'analytics.minutesPrev': 'الدقائق (السابق)',
+    'analytics.bySubject': 'الاستخدام حسب المادة',
+    'analytics.chatMessagesPrev': 'رسائل المحادثة (السابق)',
+    'analytics.users': 'المستخدمون',
+    'analytics.subjectLine': '{time} · {msgs} رسالة · {users} مستخدم',
+    'analytics.prevPeriod': 'الفترة السابقة: {time}',
+    'analytics.noSubjects': 'لا نشاط في المواد خلال هذه الفترة.',
+    'analytics.quizAverages': 'متوسطات الاختبارات',
+    'analytics.quizzes': 'الاختبارات',
+    'analytics.averagePct': 'المتوسط %',
+    'analytics.averagePctPrev': 'المتوسط % (السابق)',
+    'analytics.passRatePct': 'نسبة النجاح %',
+    'analytics.average': 'المتوسط',
+    'analytics.passRate': 'نسبة النجاح',
+    'analytics.noQuizzes': 'لم تُؤدَّ اختبارات في هذه الفترة.',
+    'analytics.reach': 'وصول الإعلانات',
+    'analytics.announcement': 'الإعلان',
+    'analytics.readBy': 'قرأه',
+    'analytics.audience': 'الجمهور',
+    'analytics.reachPct': 'الوصول %',
+    'analytics.readOf': 'قرأه {readers} من {audience} · {pct}%',
+    'analytics.noAnnouncements': 'لم تُنشر إعلانات في هذه الفترة.'
+  }
+});
+
+const SUBJECT_COLORS = { general: 'bg-slate-400', math: 'bg-sky-400', science: 'bg-green-400', writing: 'bg-pink-400', planning: 'bg-yellow-400', flashcards: 'bg-orange-400' };
+const ACHIEVEMENT_ICONS = { chat: MessageSquare, quiz: CheckCircle, streak: Flame, time: Clock, plan: Target, cards: Layers, subjects: Brain };
+
+const fmtMinutes = (m) => m >= 60
+  ? tr('progress.hm', { h: fmtNumber(Math.floor(m / 60)), m: fmtNumber(Math.round(m % 60)) })
+  : tr('common.nMin', { n: fmtNumber(Math.round(m)) });
+const fmtHours = (m) => tr('progress.hours', { n: fmtNumber(m / 60, { minimumFractionDigits: 1, maximumFractionDigits: 1 }) });
+// achievement.<id>.name/.desc messages; badges the client doesn't know keep the server's English
+const achievementText = (a, part) => MESSAGES.en[`achievement.${a.id}.${part}`] ? tr(`achievement.${a.id}.${part}`) : a[part];
+
+function ProgressTab({ flushEvents, pushToast, cardsDue = 0, onReviewCards }) {
+  const [data, setData] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let live = true;
+    (async () => {
+      await flushEvents();
+      try {
+        const d = await api(`/api/progress?tz=${-new Date().getTimezoneOffset()}`);
+        if (live) setData(d);
+      } catch (e) {
+        if (!live) return;
+        setError(errorText(e));
+        pushToast(errorText(e), 'error');
+      }
+    })();
+    return () => { live = false; };
+  }, []);
+
+  if (!data) {
+    return (
+      <div className="p-6 h-full flex items-center justify-center text-white/70">
+        {error || <Loader2 className="animate-spin text-purple-300" size={32} />}
+      </div>
+    );
+  }
+
+  const earned = data.achievements.filter(a => a.earnedAt).sort((a, b) => b.earnedAt.localeCompare(a.earnedAt));
+  const locked = data.achievements.filter(a => !a.earnedAt);
+  const subjects = Object.entries(data.bySubject).sort((a, b) => b[1] - a[1]);
+  const weekMax = Math.max(30, ...data.weekly.map(w => w.minutes));
+  const dayMax = Math.max(1, ...data.daily.map(d => d.minutes));
+  const cardsToday = data.daily[data.daily.length - 1]?.cards || 0;
+  const card = "bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10";
+
+  return (
+    <div className="p-6 overflow-y-auto h-full">
+      <div className="max-w-4xl mx-auto space-y-6">
+        <h2 className="text-3xl font-bold text-white mb-6">{tr('progress.title')}</h2>
+
+        <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+          <div className={card}>
+            <Clock className="text-blue-400 mb-2" size={32} />
+            <p className="text-white text-2xl font-bold">{fmtHours(data.totals.minutes)}</p>
+            <p className="text-purple-300">{tr('progress.studyTime')}</p>
+          </div>
+          <div className={card}>
+            <Flame className="text-orange-400 mb-2" size={32} />
+            <p className="text-white text-2xl font-bold">{trn('progress.days', data.streak.current)}</p>
+            <p className="text-purple-300">{tr('progress.streak', { n: fmtNumber(data.streak.longest) })}</p>
+          </div>
+          <div className={card}>
+            <Award className="text-yellow-400 mb-2" size={32} />
+            <p className="text-white text-2xl font-bold">{fmtNumber(earned.length)} / {fmtNumber(data.achievements.length)}</p>
+            <p className="text-purple-300">{tr('progress.achievements')}</p>
+          </div>
+          <div className={card}>
+            <Target className="text-pink-400 mb-2" size={32} />
+            <p className="text-white text-2xl font-bold">{fmtNumber(data.totals.activeDays)}</p>
+            <p className="text-purple-300">{tr('progress.activeDays')}</p>
+          </div>
+        </div>
+
+        <div className={`${card} flex flex-wrap items-center gap-4`}>
+          <Layers className="text-orange-300" size={32} />
+          <div className="flex-1 min-w-[12rem]">
+            <p className="text-white font-semibold">{cardsDue ? trn('progress.cardsDue', cardsDue) : tr('progress.noCardsDue')}</p>
+            <p className="text-white/60 text-sm">{tr('progress.cardsReviewed', { today: fmtNumber(cardsToday), total: fmtNumber(data.totals.cards) })}</p>
+          </div>
+          {cardsDue > 0 && onReviewCards && (
+            <button onClick={onReviewCards} className="px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white text-sm font-semibold">{tr('progress.reviewNow')}</button>
+          )}
+        </div>
+
+        <div className={card}>
+          <h3 className="text-white font-semibold text-xl mb-4">{tr('progress.weekly')}</h3>
+          <div className="flex items-end gap-3 h-48">
+            {data.weekly.map(w => (
+              <div key={w.week} className="flex-1 h-full flex flex-col justify-end items-center gap-1">
+                <span className="text-white/60 text-xs">{w.minutes ? fmtMinutes(w.minutes) : ''}</span>
+                <div className="w-full flex flex-col-reverse rounded-t-lg overflow-hidden" style={{ height: `${(w.minutes / weekMax) * 100}%` }} title={Object.entries(w.bySubject).map(([k, m]) => `${subjectName(k)}: ${fmtMinutes(m)}`).join('\n')}>
+                  {Object.entries(w.bySubject).map(([k, m]) => (
+                    <div key={k} className={SUBJECT_COLORS[k] || 'bg-purple-400'} style={{ height: `${(m / w.minutes) * 100}%` }} />
+                  ))}
+                </div>
+                <span className="text-white/50 text-xs">{new Date(`${w.week}T00:00`).toLocaleDateString(intlTag(), { month: 'short', day: 'numeric' })}</span>
+              </div>
+            ))}
+          </div>
+          <div className="flex flex-wrap gap-4 mt-4">
+            {subjects.map(([k]) => (
+              <span key={k} className="flex items-center gap-2 text-white/70 text-xs"><span className={`w-3 h-3 rounded-sm ${SUBJECT_COLORS[k] || 'bg-purple-400'}`} />{subjectName(k)}</span>
+            ))}
+          </div>
+        </div>
+
+        <div className="grid md:grid-cols-2 gap-6">
+          <div className={card}>
+            <h3 className="text-white font-semibold text-xl mb-4">{tr('progress.bySubject')}</h3>
+            {subjects.length ? (
+              <div className="space-y-3">
+                {subjects.map(([k, m]) => (
+                  <div key={k}>
+                    <div className="flex justify-between text-sm text-white/80 mb-1"><span>{subjectName(k)}</span><span>{fmtMinutes(m)}</span></div>
+                    <div className="h-2 rounded-full bg-white/10"><div className={`h-full rounded-full ${SUBJECT_COLORS[k] || 'bg-purple-400'}`} style={{ width: `${(m / subjects[0][1]) * 100}%` }} /></div>
+                  </div>
+                ))}
+              </div>
+            ) : <p className="text-white/50 text-sm">{tr('progress.noSubjects')}</p>}
+          </div>
+
+          <div className={card}>
+            <h3 className="text-white font-semibold text-xl mb-4">{tr('progress.lastWeeks')}</h3>
+            <div className="grid grid-cols-7 gap-2">
+              {data.daily.map(d => (
+                <div
+                  key={d.day}
+                  title={`${new Date(`${d.day}T00:00`).toLocaleDateString(intlTag())}: ${fmtMinutes(d.minutes)}${d.cards ? ` · ${tr('progress.dayCards', { n: fmtNumber(d.cards) })}` : ''}`}
+                  className="aspect-square rounded-md bg-purple-400"
+                  style={{ opacity: d.minutes ? 0.25 + 0.75 * (d.minutes / dayMax) : 0.08 }}
+                />
+              ))}
+            </div>
+            <p className="text-white/60 text-sm mt-4">
+              {tr('progress.summary', { chats: fmtNumber(data.totals.chats), quizzes: fmtNumber(data.totals.quizzes), passed: fmtNumber(data.totals.quizzesPassed), sessions: fmtNumber(data.totals.planSessions), cards: fmtNumber(data.totals.cards) })}
+              {data.totals.assignments > 0 && ` · ${tr('progress.assignments', { n: fmtNumber(data.totals.assignments), avg: fmtNumber(data.totals.assignmentAverage) })}`}
+            </p>
+          </div>
+        </div>
+
+        <div className={card}>
+          <h3 className="text-white font-semibold text-xl mb-4">{tr('progress.achievements')}</h3>
+          <div className="grid sm:grid-cols-2 md:grid-cols-3 gap-3">
+            {[...earned, ...locked].map(a => {
+              const Icon = ACHIEVEMENT_ICONS[a.icon] || Award;
+              return (
+                <div key={a.id} className={`flex items-start gap-3 p-3 rounded-xl border ${a.earnedAt ? 'bg-yellow-500/10 border-yellow-400/30' : 'bg-white/5 border-white/10 opacity-50'}`}>
+                  <Icon size={24} className={a.earnedAt ? 'text-yellow-300' : 'text-white/50'} />
+                  <div>
+                    <p className="text-white font-medium">{achievementText(a, 'name')}</p>
+                    <p className="text-white/60 text-xs">{achievementText(a, 'desc')}</p>
+                    {a.earnedAt && <p className="text-yellow-200/80 text-xs mt-1">{tr('progress.earned', { date: fmtDate(a.earnedAt) })}</p>}
+                  </div>
+                </div>
+              );
+            })}
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ----------------------------------------------------------------------------
+   Analytics (admin): aggregated usage with trends and CSV export
+---------------------------------------------------------------------------- */
+const RANGE_PRESETS = [7, 30, 90]; // days
+const CHART_W = 600;
+const CHART_H = 160;
+
+// "+12%" style change vs the previous period; null when there is nothing to compare
+const trend = (cur, prev) => {
+  if (cur == null || prev == null) return null;
+  if (!prev) return cur ? { text: tr('analytics.new'), up: true } : null;
+  const pct = Math.round(((cur - prev) / prev) * 100);
+  return { text: fmtNumber(pct / 100, { style: 'percent', signDisplay: 'exceptZero' }), up: pct >= 0 };
+};
+
+function Trend({ cur, prev, label = tr('analytics.vsPrevious') }) {
+  const t = trend(cur, prev);
+  if (!t) return <p className="text-white/40 text-sm mt-2">{tr('analytics.noEarlier')}</p>;
+  return <p className={`text-sm mt-2 ${t.up ? 'text-green-400' : 'text-red-400'}`}>{t.text} <span className="text-white/40">{label}</span></p>;
+}
+
+function ChartCard({ title, onCsv, children }) {
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-white font-semibold">{title}</h3>
+        {onCsv && (
+          <button onClick={onCsv} className="flex items-center gap-1 px-3 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-white/80 text-xs" title={tr('analytics.csv')} aria-label={tr('analytics.csv')}>
+            <Download size={14} /> CSV
+          </button>
+        )}
+      </div>
+      {children}
+    </div>
+  );
+}
+
+// Daily line for the current period with the previous period dashed underneath
+function TrendChart({ rows, field, prevField, color = '#c084fc', fmt = fmtNumber }) {
+  const max = Math.max(1, ...rows.map(r => Math.max(r[field], r[prevField])));
+  const x = (i) => rows.length > 1 ? (i / (rows.length - 1)) * CHART_W : CHART_W / 2;
+  const y = (v) => CHART_H - (v / max) * (CHART_H - 10);
+  const line = (f) => rows.map((r, i) => `${x(i).toFixed(1)},${y(r[f]).toFixed(1)}`).join(' ');
+  const total = (f) => rows.reduce((n, r) => n + r[f], 0);
+  return (
+    <div>
+      <svg viewBox={`0 0 ${CHART_W} ${CHART_H + 20}`} className="w-full h-44" preserveAspectRatio="none">
+        {[0.25, 0.5, 0.75, 1].map(f => <line key={f} x1={0} x2={CHART_W} y1={y(max * f)} y2={y(max * f)} stroke="rgba(255,255,255,0.08)" />)}
+        <polyline points={line(prevField)} fill="none" stroke="rgba(255,255,255,0.35)" strokeWidth={1.5} strokeDasharray="5 4" vectorEffect="non-scaling-stroke" />
+        <polyline points={line(field)} fill="none" stroke={color} strokeWidth={2.5} vectorEffect="non-scaling-stroke" />
+        {rows.map((r, i) => (
+          <circle key={r.day} cx={x(i)} cy={y(r[field])} r={rows.length > 45 ? 0 : 3} fill={color}>
+            <title>{tr('analytics.pointTitle', { day: r.day, value: fmt(r[field]), prevDay: r.prevDay, prevValue: fmt(r[prevField]) })}</title>
+          </circle>
+        ))}
+        <text x={0} y={CHART_H + 16} fill="rgba(255,255,255,0.5)" fontSize={11}>{rows[0]?.day}</text>
+        <text x={CHART_W} y={CHART_H + 16} fill="rgba(255,255,255,0.5)" fontSize={11} textAnchor="end">{rows[rows.length - 1]?.day}</text>
+      </svg>
+      <div className="flex gap-4 text-xs text-white/60 mt-2">
+        <span className="flex items-center gap-1"><span className="w-4 h-0.5" style={{ background: color }} /> {tr('analytics.thisPeriod', { n: fmt(Math.round(total(field))) })}</span>
+        <span className="flex items-center gap-1"><span className="w-4 border-t border-dashed border-white/50" /> {tr('analytics.previous', { n: fmt(Math.round(total(prevField))) })}</span>
+      </div>
+    </div>
+  );
+}
+
+// Admins see the whole school or the class picked in the header; teachers one of their classes
+function AnalyticsTab({ user, classId, classes, onPickClasses, pushToast }) {
+  const [range, setRange] = useState(() => ({ from: addDays(dayKey(), -29), to: dayKey() }));
+  const [data, setData] = useState(null);
+  const [busy, setBusy] = useState(false);
+  const needsClass = user?.role !== 'admin' && !classId;
+
+  useEffect(() => {
+    if (!range.from || !range.to || range.from > range.to || needsClass) return;
+    let live = true;
+    setBusy(true);
+    setData(d => d && d.classId === classId ? d : null);
+    api(`/api/analytics?from=${range.from}&to=${range.to}&tz=${-new Date().getTimezoneOffset()}${classId ? `&classId=${classId}` : ''}`)
+      .then(d => { if (live) setData({ ...d, classId }); })
+      .catch(e => pushToast(errorText(e), 'error'))
+      .finally(() => { if (live) setBusy(false); });
+    return () => { live = false; };
+  }, [range.from, range.to, classId]);
+
+  const preset = (days) => setRange({ from: addDays(dayKey(), -(days - 1)), to: dayKey() });
+  const csv = (name, rows, columns) => downloadFile(`mythos-${name}-${range.from}_${range.to}.csv`, toCsv(rows, columns), 'text/csv');
+
+  const card = "bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10";
+  const t = data?.totals, p = data?.previous;
+
+  return (
+    <div className="p-6 overflow-y-auto h-full">
+      <div className="max-w-6xl mx-auto space-y-6">
+        <div className="flex flex-wrap items-center gap-3">
+          <h2 className="text-3xl font-bold text-white flex-1">
+            {tr('analytics.title')}
+            {classId && <span className="ms-3 text-lg font-normal text-purple-200">{classes.find(c => c.id === classId)?.name}</span>}
+          </h2>
+          {busy && <Loader2 size={18} className="animate-spin text-purple-300" />}
+          {RANGE_PRESETS.map(days => (
+            <button key={days} onClick={() => preset(days)} className={`px-3 py-2 rounded-xl text-sm ${data?.range.days === days && range.to === dayKey() ? 'bg-purple-500 text-white' : 'bg-white/10 text-white/80 hover:bg-white/20'}`}>{tr('analytics.lastDays', { n: fmtNumber(days) })}</button>
+          ))}
+          <input type="date" value={range.from} max={range.to} onChange={e => setRange(r => ({ ...r, from: e.target.value }))} aria-label={tr('analytics.from')} className="p-2 rounded-lg bg-white/10 border border-white/20 text-white text-sm" />
+          <span className="text-white/50">–</span>
+          <input type="date" value={range.to} min={range.from} max={dayKey()} onChange={e => setRange(r => ({ ...r, to: e.target.value }))} aria-label={tr('analytics.to')} className="p-2 rounded-lg bg-white/10 border border-white/20 text-white text-sm" />
+        </div>
+
+        {needsClass ? (
+          <div className={`${card} text-center`}>
+            <Users className="mx-auto mb-4 text-purple-400" size={56} />
+            <p className="text-white/70 mb-4">{classes.length ? tr('analytics.pickClass') : tr('analytics.createClass')}</p>
+            {!classes.length && <button onClick={onPickClasses} className="mx-auto flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white text-sm font-semibold"><Plus size={16} /> {tr('analytics.goClasses')}</button>}
+          </div>
+        ) : !data ? (
+          <div className="flex justify-center py-16"><Loader2 className="animate-spin text-purple-300" size={32} /></div>
+        ) : (
+          <>
+            <p className="text-white/50 text-sm">{tr('analytics.compared', { from: data.range.prevFrom, to: data.range.prevTo })}</p>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-6">
+              <motion.div variants={scaleIn} initial="initial" animate="animate" className={card}>
+                <div className="flex items-center justify-between mb-4"><h3 className="text-white font-semibold">{tr('analytics.activeUsers')}</h3><Users className="text-blue-400" size={24} /></div>
+                <p className="text-4xl font-bold text-white">{fmtNumber(t.activeUsers)}</p>
+                <Trend cur={t.activeUsers} prev={p.activeUsers} />
+              </motion.div>
+              <motion.div variants={scaleIn} initial="initial" animate="animate" className={card}>
+                <div className="flex items-center justify-between mb-4"><h3 className="text-white font-semibold">{tr('analytics.chatMessages')}</h3><MessageSquare className="text-purple-400" size={24} /></div>
+                <p className="text-4xl font-bold text-white">{fmtNumber(t.chatMessages)}</p>
+                <Trend cur={t.chatMessages} prev={p.chatMessages} />
+              </motion.div>
+              <motion.div variants={scaleIn} initial="initial" animate="animate" className={card}>
+                <div className="flex items-center justify-between mb-4"><h3 className="text-white font-semibold">{tr('analytics.studyTime')}</h3><Clock className="text-pink-400" size={24} /></div>
+                <p className="text-4xl font-bold text-white">{fmtHours(t.studyMinutes)}</p>
+                <Trend cur={t.studyMinutes} prev={p.studyMinutes} />
+              </motion.div>
+              <motion.div variants={scaleIn} initial="initial" animate="animate" className={card}>
+                <div className="flex items-center justify-between mb-4"><h3 className="text-white font-semibold">{tr('analytics.quizAverage')}</h3><BarChart3 className="text-green-400" size={24} /></div>
+                <p className="text-4xl font-bold text-white">{t.quizAverage == null ? '—' : fmtNumber(t.quizAverage / 100, { style: 'percent' })}</p>
+                <Trend cur={t.quizAverage} prev={p.quizAverage} />
+              </motion.div>
+            </div>
+
+            <ChartCard
+              title={tr('analytics.byRole')}
+              onCsv={() => csv('active-by-role', ['student', 'teacher', 'admin'].map(r => ({ role: tr(`role.${r}`), active: t.byRole[r], previous: p.byRole[r], accounts: data.users.byRole[r] })), [['role', tr('analytics.role')], ['active', tr('analytics.active')], ['previous', tr('analytics.activePrev')], ['accounts', tr('analytics.accounts')]])}
+            >
+              <div className="grid grid-cols-3 gap-4">
+                {['student', 'teacher', 'admin'].map(r => (
+                  <div key={r}>
+                    <p className="text-purple-300 text-sm">{tr(`role.${r}s`)}</p>
+                    <p className="text-white text-2xl font-bold">{fmtNumber(t.byRole[r])} <span className="text-white/40 text-sm font-normal">{tr('analytics.ofTotal', { n: fmtNumber(data.users.byRole[r]) })}</span></p>
+                    <div className="h-2 rounded-full bg-white/10 mt-1"><div className="h-full rounded-full bg-blue-400" style={{ width: `${data.users.byRole[r] ? (t.byRole[r] / data.users.byRole[r]) * 100 : 0}%` }} /></div>
+                    <Trend cur={t.byRole[r]} prev={p.byRole[r]} />
+                  </div>
+                ))}
+              </div>
+              <p className="text-white/50 text-sm mt-4">{tr('analytics.newAccounts', { n: fmtNumber(data.users.newUsers.current), prev: fmtNumber(data.users.newUsers.previous) })}</p>
+            </ChartCard>
+
+            <div className="grid lg:grid-cols-2 gap-6">
+              <ChartCard title={tr('analytics.perDay')} onCsv={() => csv('active-users', data.daily, [['day', tr('analytics.date')], ['activeUsers', tr('analytics.activeUsers')], ['prevDay', tr('analytics.prevDate')], ['prevActiveUsers', tr('analytics.activePrevShort')]])}>
+                <TrendChart rows={data.daily} field="activeUsers" prevField="prevActiveUsers" color="#60a5fa" />
+              </ChartCard>
+              <ChartCard title={tr('analytics.chatVolume')} onCsv={() => csv('chat-volume', data.daily, [['day', tr('analytics.date')], ['chatMessages', tr('analytics.messages')], ['prevDay', tr('analytics.prevDate')], ['prevChatMessages', tr('analytics.messagesPrev')]])}>
+                <TrendChart rows={data.daily} field="chatMessages" prevField="prevChatMessages" color="#c084fc" />
+              </ChartCard>
+              <ChartCard title={tr('analytics.studyMinutes')} onCsv={() => csv('study-minutes', data.daily, [['day', tr('analytics.date')], ['studyMinutes', tr('common.minutes')], ['prevDay', tr('analytics.prevDate')], ['prevStudyMinutes', tr('analytics.minutesPrev')]])}>
+                <TrendChart rows={data.daily} field="studyMinutes" prevField="prevStudyMinutes" color="#f472b6" fmt={v => tr('common.nMin', { n: fmtNumber(v) })} />
+              </ChartCard>
+              <ChartCard title={tr('analytics.bySubject')} onCsv={() => csv('subjects', data.subjects, [['subject', tr('common.subject')], ['minutes', tr('common.minutes')], ['prevMinutes', tr('analytics.minutesPrev')], ['chatMessages', tr('analytics.chatMessages')], ['prevChatMessages', tr('analytics.chatMessagesPrev')], ['users', tr('analytics.users')]])}>
+                {data.subjects.length ? (
+                  <div className="space-y-3">
+                    {data.subjects.map(s => {
+                      const top = Math.max(...data.subjects.map(x => Math.max(x.minutes, x.prevMinutes)), 1);
+                      return (
+                        <div key={s.subject}>
+                          <div className="flex justify-between text-sm text-white/80 mb-1">
+                            <span>{subjectName(s.subject)}</span>
+                            <span>{tr('analytics.subjectLine', { time: fmtMinutes(s.minutes), msgs: fmtNumber(s.chatMessages), users: fmtNumber(s.users) })}</span>
+                          </div>
+                          <div className="h-2 rounded-full bg-white/10"><div className={`h-full rounded-full ${SUBJECT_COLORS[s.subject] || 'bg-purple-400'}`} style={{ width: `${(s.minutes / top) * 100}%` }} /></div>
+                          <div className="h-1 rounded-full mt-0.5"><div className="h-full rounded-full bg-white/30" style={{ width: `${(s.prevMinutes / top) * 100}%` }} title={tr('analytics.prevPeriod', { time: fmtMinutes(s.prevMinutes) })} /></div>
+                        </div>
+                      );
+                    })}
+                  </div>
+                ) : <p className="text-white/50 text-sm">{tr('analytics.noSubjects')}</p>}
+              </ChartCard>
+              <ChartCard title={tr('analytics.quizAverages')} onCsv={() => csv('quizzes', data.quizzes, [['subject', tr('common.subject')], ['count', tr('analytics.quizzes')], ['average', tr('analytics.averagePct')], ['prevAverage', tr('analytics.averagePctPrev')], ['passRate', tr('analytics.passRatePct')]])}>
+                {data.quizzes.length ? (
+                  <table className="w-full text-sm text-white">
+                    <thead><tr className="text-purple-300 text-start"><th className="py-1">{tr('common.subject')}</th><th>{tr('analytics.quizzes')}</th><th>{tr('analytics.average')}</th><th>{tr('analytics.passRate')}</th></tr></thead>
+                    <tbody>
+                      {data.quizzes.map(q => (
+                        <tr key={q.subject} className="border-t border-white/10">
+                          <td className="py-2">{subjectName(q.subject)}</td>
+                          <td>{fmtNumber(q.count)}</td>
+                          <td>{fmtNumber(q.average / 100, { style: 'percent' })} {trend(q.average, q.prevAverage) && <span className={`text-xs ${trend(q.average, q.prevAverage).up ? 'text-green-400' : 'text-red-400'}`}>{trend(q.average, q.prevAverage).text}</span>}</td>
+                          <td>{fmtNumber(q.passRate / 100, { style: 'percent' })}</td>
+                        </tr>
+                      ))}
+                    </tbody>
+                  </table>
+                ) : <p className="text-white/50 text-sm">{tr('analytics.noQuizzes')}</p>}
+              </ChartCard>
+              <ChartCard title={tr('analytics.reach')} onCsv={() => csv('announcement-reach', data.announcements, [['title', tr('analytics.announcement')], ['readers', tr('analytics.readBy')], ['audience', tr('analytics.audience')], ['reachPct', tr('analytics.reachPct')]])}>
+                {data.announcements.length ? (
+                  <div className="space-y-3">
+                    {data.announcements.map(a => (
+                      <div key={a.id}>
+                        <div className="flex justify-between text-sm text-white/80 mb-1"><span className="truncate pe-2">{a.title}</span><span>{tr('analytics.readOf', { readers: fmtNumber(a.readers), audience: fmtNumber(a.audience), pct: fmtNumber(a.reachPct) })}</span></div>
+                        <div className="h-2 rounded-full bg-white/10"><div className="h-full rounded-full bg-green-400" style={{ width: `${a.reachPct}%` }} /></div>
+                      </div>
+                    ))}
+                  </div>
+                ) : <p className="text-white/50 text-sm">{tr('analytics.noAnnouncements')}</p>}
+              </ChartCard>
+            </div>
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* ----------------------------------------------------------------------------
+   Quizzes: question bank, quiz builder and timed attempts
+   Everything lives on the server (quizzes.mjs), which also grades, so students
+   never receive the answer key before they submit.
+---------------------------------------------------------------------------- */
+addMessages({
+  en: {
+    'quiz.type.mc': 'Multiple choice',
+    'quiz.type.multi': 'Multi-select',
+    'quiz.type.numeric': 'Numeric',
+    'quiz.type.short': 'Short answer',
+    'quiz.type.matching': 'Matching',
+    'quiz.points.one': '{n} pt',
+    'quiz.points.two': '{n} pts',
+    'quiz.points.few': '{n} pts',
+    'quiz.points.other': '{n} pts',
+    'quiz.questionType': 'Question type',
+    'quiz.shortTitle': 'Short title',
+    'quiz.pointsLabel': 'Points',
+    'quiz.prompt': 'Question (Markdown and $TeX$ work)',
+    'quiz.correct': 'Correct',
+    'quiz.choice': 'Choice',
+    'quiz.removeChoice': 'Remove choice',
+    'quiz.addChoice': 'Add choice',
+    'quiz.pickOne': 'Pick the one correct choice.',
+    'quiz.pickAll': 'Tick every correct choice; wrong picks cancel right ones.',
+    'quiz.answer': 'Answer',
+    'quiz.answerExample': 'e.g. 9.81',
+    'quiz.tolerance': 'Tolerance',
+    'quiz.accepted': 'Accepted answers, one per line',
+    'quiz.caseSensitive': 'Case-sensitive',
+    'quiz.item': 'Item',
+    'quiz.match': 'Match',
+    'quiz.removePair': 'Remove pair',
+    'quiz.addPair': 'Add pair',
+    'quiz.tags': 'Tags, comma-separated',
+    'quiz.feedback': 'Feedback shown after submitting (optional)',
+    'quiz.saved': 'Question saved.',
+    'quiz.needTopic': 'Enter a topic first',
+    'quiz.needType': 'Pick at least one question type',
+    'quiz.writeAbout': 'Write the questions about {topic}.',
+    'quiz.aiEmpty': 'The AI reply had no usable questions. Try again.',
+    'quiz.added.one': 'Added {n} question to the bank.',
+    'quiz.added.two': 'Added {n} questions to the bank.',
+    'quiz.added.few': 'Added {n} questions to the bank.',
+    'quiz.added.other': 'Added {n} questions to the bank.',
+    'quiz.imported.one': 'Imported {n} question.',
+    'quiz.imported.two': 'Imported {n} questions.',
+    'quiz.imported.few': 'Imported {n} questions.',
+    'quiz.imported.other': 'Imported {n} questions.',
+    'quiz.importSkipped': '{imported} Skipped {n}.',
+    'quiz.search': 'Search questions...',
+    'quiz.tagFilter': 'Tag',
+    'quiz.allTags': 'All tags',
+    'quiz.allTypes': 'All types',
+    'quiz.newQuestion': 'New question',
+    'quiz.generateAi': 'Generate with AI',
+    'quiz.exportsSelected': 'Exports the {n} selected',
+    'quiz.exportsAll': 'Exports every question',
+    'quiz.editQuestion': 'Edit question',
+    'quiz.draftTitle': 'Draft questions from a topic',
+    'quiz.topic': 'Topic (e.g. photosynthesis, linear equations)',
+    'quiz.howMany': 'How many',
+    'quiz.generate': 'Generate',
+    'quiz.checkDrafts': 'Check and edit the drafts, then add them to your bank.',
+    'quiz.draftN': 'Draft {n}',
+    'quiz.discard': 'Discard',
+    'quiz.addToBank': 'Add {n} to bank',
+    'quiz.discardAll': 'Discard all',
+    'quiz.importTitle': 'Import questions',
+    'quiz.format': 'Format',
+    'quiz.chooseFile': 'Choose file',
+    'quiz.extraTags': 'Extra tags, comma-separated',
+    'quiz.importText': 'Questions to import',
+    'quiz.skipped': 'Skipped:',
+    'quiz.questionN': 'Question {n}:',
+    'quiz.noMatch': 'No questions match these filters.',
+    'quiz.bankEmpty': 'Your bank is empty. Write a question, draft some with AI or import a GIFT/QTI file.',
+    'quiz.select': 'Select {title}',
+    'quiz.deleteTitle': 'Delete question?',
+    'quiz.deleteDesc': 'It is removed from your bank and from any draft quizzes that use it.',
+    'quiz.untitled': 'Untitled quiz',
+    'quiz.col.student': 'Student',
+    'quiz.col.username': 'Username',
+    'quiz.col.submitted': 'Submitted',
+    'quiz.col.score': 'Score',
+    'quiz.col.outOf': 'Out of',
+    'quiz.col.percent': 'Percent',
+    'quiz.col.passed': 'Passed',
+    'quiz.col.late': 'Late',
+    'quiz.col.result': 'Result',
+    'quiz.attemptsAvg': 'Attempts ({n}) · average {avg}',
+    'quiz.timeRanOut': 'time ran out',
+    'quiz.scoreOf': '{score} / {max} ({pct})',
+    'quiz.passed': 'Passed',
+    'quiz.notPassed': 'Not passed',
+    'quiz.noSubmissions': 'No submissions yet.',
+    'quiz.byQuestion': 'By question',
+    'quiz.publishedTo': 'Quiz published to the students of {name}.',
+    'quiz.publishedAll': 'Quiz published to all students.',
+    'quiz.withdrawn': 'Quiz withdrawn; students no longer see it.',
+    'quiz.quizSaved': 'Quiz saved.',
+    'quiz.newQuiz': 'New quiz',
+    'quiz.archivedClass': 'archived class',
+    'quiz.archivedClassOption': 'Archived class',
+    'quiz.questions.one': '{n} question',
+    'quiz.questions.two': '{n} questions',
+    'quiz.questions.few': '{n} questions',
+    'quiz.questions.other': '{n} questions',
+    'quiz.taken': '{n} taken',
+    'quiz.title': 'Quiz title',
+    'quiz.publishedOn': 'Published {date}',
+    'quiz.instructions': 'Instructions for students (optional)',
+    'quiz.allStudents': 'All students',
+    'quiz.timeLimit': 'Time limit (minutes, empty = none)',
+    'quiz.dueOptional': 'Due (optional)',
+    'quiz.attemptsAllowed': 'Attempts allowed',
+    'quiz.passMark': 'Pass mark (%)',
+    'quiz.shuffle': 'Shuffle choices',
+    'quiz.results': 'Results ({n})',
+    'quiz.publishedNote': 'Changes to a published quiz apply to attempts started after you save.',
+    'quiz.questionsHeading': 'Questions · {n} · {points}',
+    'quiz.missing': 'Missing question',
+    'quiz.pickFromBank': 'Add from the bank: search by text or #tag...',
+    'quiz.nothingElse': 'Nothing else matches.',
+    'quiz.bankFirst': 'Add questions to your bank first.',
+    'quiz.builderIntro': 'Create a quiz, pick questions from your bank and publish it to your students.',
+    'quiz.deleteQuizTitle': 'Delete quiz?',
+    'quiz.deleteQuizDesc': 'The quiz and every student attempt on it will be deleted. Questions stay in your bank.',
+    'quiz.heading': 'Quizzes',
+    'quiz.bankTab': 'Question bank',
+    'quiz.withCount': '{name} ({n})',
+    'quiz.selectAll': 'Select all that apply.',
+    'quiz.choose': 'Choose…',
+    'quiz.yourNumber': 'Your number',
+    'quiz.yourAnswerInput': 'Your answer',
+    'quiz.backToQuizzes': 'Back to quizzes',
+    'quiz.answered': '{done}/{total} answered',
+    'quiz.timeLeft': 'Time left',
+    'quiz.submit': 'Submit',
+    'quiz.questionHead': 'Question {n} · {points}',
+    'quiz.submitTitle': 'Submit quiz?',
+    'quiz.unanswered.one': "{n} question is still unanswered. You can't change answers after submitting.",
+    'quiz.unanswered.two': "{n} questions are still unanswered. You can't change answers after submitting.",
+    'quiz.unanswered.few': "{n} questions are still unanswered. You can't change answers after submitting.",
+    'quiz.unanswered.other': "{n} questions are still unanswered. You can't change answers after submitting.",
+    'quiz.final': "You can't change answers after submitting.",
+    'quiz.scoreLine': '{score} of {max} points · submitted {date}',
+    'quiz.lateNote': 'Time ran out; your last saved answers were graded.',
+    'quiz.keyLater': 'The correct answers show here once you have used all your attempts or the quiz closes.',
+    'quiz.earnedOf': '{earned} / {points}',
+    'quiz.yourAnswer': 'Your answer:',
+    'quiz.correctAnswer': 'Correct:',
+    'quiz.noQuizzes': "No quizzes yet. Your teachers' quizzes show up here once they publish them.",
+    'quiz.untimed': 'untimed',
+    'quiz.attemptsUsed': 'attempts {used}/{total}',
+    'quiz.dueOn': 'due {date}',
+    'quiz.best': 'Best score {best} (pass {pass})',
+    'quiz.review': 'Review',
+    'quiz.resume': 'Resume',
+    'quiz.tryAgain': 'Try again',
+    'quiz.start': 'Start',
+    'quiz.closed': 'Closed',
+    'quiz.noAttemptsLeft': 'No attempts left'
+  },
+  fa: {
+    'quiz.type.mc': 'چندگزینه‌ای',
+    'quiz.type.multi': 'چندانتخابی',
+    'quiz.type.numeric': 'عددی',
+    'quiz.type.short': 'پاسخ کوتاه',
+    'quiz.type.matching': 'جورکردنی',
+    'quiz.points.one': '{n} امتیاز',
+    'quiz.points.two': '{n} امتیاز',
+    'quiz.points.few': '{n} امتیاز',
+    'quiz.points.other': '{n} امتیاز',
+    'quiz.questionType': 'نوع پرسش',
+    'quiz.shortTitle': 'عنوان کوتاه',
+    'quiz.pointsLabel': 'امتیاز',
+    'quiz.prompt': 'پرسش (Markdown و $TeX$ کار می‌کنند)',
+    'quiz.correct': 'درست',
+    'quiz.choice': 'گزینه',
+    'quiz.removeChoice': 'حذف گزینه',
+    'quiz.addChoice': 'افزودن گزینه',
+    'quiz.pickOne': 'تنها گزینهٔ درست را انتخاب کنید.',
+    'quiz.pickAll': 'همهٔ گزینه‌های درست را علامت بزنید؛ انتخاب‌های غلط درست‌ها را خنثی می‌کنند.',
+    'quiz.answer': 'پاسخ',
+    'quiz.answerExample': 'مثلاً 9.81',
+    'quiz.tolerance': 'رواداری',
+    'quiz.accepted': 'پاسخ‌های پذیرفته، هر خط یکی',
+    'quiz.caseSensitive': 'حساس به حروف بزرگ و کوچک',
+    'quiz.item': 'مورد',
+    'quiz.match': 'جفت',
+    'quiz.removePair': 'حذف جفت',
+    'quiz.addPair': 'افزودن جفت',
+    'quiz.tags': 'برچسب‌ها، جداشده با ویرگول',
+    'quiz.feedback': 'بازخوردی که پس از ارسال نشان داده می‌شود (اختیاری)',
+    'quiz.saved': 'پرسش ذخیره شد.',
+    'quiz.needTopic': 'اول موضوع را وارد کنید',
+    'quiz.needType': 'دست‌کم یک نوع پرسش انتخاب کنید',
+    'quiz.writeAbout': 'پرسش‌ها را دربارهٔ {topic} بنویس.',
+    'quiz.aiEmpty': 'پاسخ هوش مصنوعی پرسش قابل‌استفاده‌ای نداشت. دوباره تلاش کنید.',
+    'quiz.added.one': '{n} پرسش به بانک اضافه شد.',
+    'quiz.added.two': '{n} پرسش به بانک اضافه شد.',
+    'quiz.added.few': '{n} پرسش به بانک اضافه شد.',
+    'quiz.added.other': '{n} پرسش به بانک اضافه شد.',
+    'quiz.imported.one': '{n} پرسش وارد شد.',
+    'quiz.imported.two': '{n} پرسش وارد شد.',
+    'quiz.imported.few': '{n} پرسش وارد شد.',
+    'quiz.imported.other': '{n} پرسش وارد شد.',
+    'quiz.importSkipped': '{imported} {n} مورد رد شد.',
+    'quiz.search': 'جستجوی پرسش‌ها...',
+    'quiz.tagFilter': 'برچسب',
+    'quiz.allTags': 'همهٔ برچسب‌ها',
+    'quiz.allTypes': 'همهٔ نوع‌ها',
+    'quiz.newQuestion': 'پرسش تازه',
+    'quiz.generateAi': 'ساخت با هوش مصنوعی',
+    'quiz.exportsSelected': 'خروجی {n} مورد انتخاب‌شده',
+    'quiz.exportsAll': 'خروجی همهٔ پرسش‌ها',
+    'quiz.editQuestion': 'ویرایش پرسش',
+    'quiz.draftTitle': 'پیش‌نویس پرسش از یک موضوع',
+    'quiz.topic': 'موضوع (مثلاً فتوسنتز، معادله‌های خطی)',
+    'quiz.howMany': 'چند تا',
+    'quiz.generate': 'ساختن',
+    'quiz.checkDrafts': 'پیش‌نویس‌ها را بررسی و ویرایش کنید، سپس به بانک اضافه کنید.',
+    'quiz.draftN': 'پیش‌نویس {n}',
+    'quiz.discard': 'کنار گذاشتن',
+    'quiz.addToBank': 'افزودن {n} به بانک',
+    'quiz.discardAll': 'کنار گذاشتن همه',
+    'quiz.importTitle': 'وارد کردن پرسش‌ها',
+    'quiz.format': 'قالب',
+    'quiz.chooseFile': 'انتخاب فایل',
+    'quiz.extraTags': 'برچسب‌های اضافه، جداشده با ویرگول',
+    'quiz.importText': 'پرسش‌های واردشونده',
+    'quiz.skipped': 'ردشده:',
+    'quiz.questionN': 'پرسش {n}:',
+    'quiz.noMatch': 'پرسشی با این فیلترها جور نیست.',
+    'quiz.bankEmpty': 'بانک شما خالی است. پرسشی بنویسید، با هوش مصنوعی پیش‌نویس کنید یا فایل GIFT/QTI وارد کنید.',
+    'quiz.select': 'انتخاب {title}',
+    'quiz.deleteTitle': 'پرسش حذف شود؟',
+    'quiz.deleteDesc': 'از بانک و از هر پیش‌نویس آزمونکی که از آن استفاده می‌کند حذف می‌شود.',
+    'quiz.untitled': 'آزمونک بی‌نام',
+    'quiz.col.student': 'دانش‌آموز',
+    'quiz.col.username': 'نام کاربری',
+    'quiz.col.submitted': 'ارسال‌شده',
+    'quiz.col.score': 'نمره',
+    'quiz.col.outOf': 'از',
+    'quiz.col.percent': 'درصد',
+    'quiz.col.passed': 'قبول',
+    'quiz.col.late': 'دیرکرد',
+    'quiz.col.result': 'نتیجه',
+    'quiz.attemptsAvg': 'تلاش‌ها ({n}) · میانگین {avg}',
+    'quiz.timeRanOut': 'وقت تمام شد',
+    'quiz.scoreOf': '{score} / {max} ({pct})',
+    'quiz.passed': 'قبول',
+    'quiz.notPassed': 'مردود',
+    'quiz.noSubmissions': 'هنوز ارسالی نیست.',
+    'quiz.byQuestion': 'بر پایهٔ پرسش',
+    'quiz.publishedTo': 'آزمونک برای دانش‌آموزان {name} منتشر شد.',
+    'quiz.publishedAll': 'آزمونک برای همهٔ دانش‌آموزان منتشر شد.',
+    'quiz.withdrawn': 'آزمونک پس گرفته شد؛ دانش‌آموزان دیگر آن را نمی‌بینند.',
+    'quiz.quizSaved': 'آزمونک ذخیره شد.',
+    'quiz.newQuiz': 'آزمونک تازه',
+    'quiz.archivedClass': 'کلاس بایگانی‌شده',
+    'quiz.archivedClassOption': 'کلاس بایگانی‌شده',
+    'quiz.questions.one': '{n} پرسش',
+    'quiz.questions.two': '{n} پرسش',
+    'quiz.questions.few': '{n} پرسش',
+    'quiz.questions.other': '{n} پرسش',
+    'quiz.taken': '{n} بار داده‌شده',
+    'quiz.title': 'عنوان آزمونک',
+    'quiz.publishedOn': 'منتشرشده {date}',
+    'quiz.instructions': 'راهنمای دانش‌آموزان (اختیاری)',
+    'quiz.allStudents': 'همهٔ دانش‌آموزان',
+    'quiz.timeLimit': 'محدودیت زمان (دقیقه، خالی = بدون)',
+    'quiz.dueOptional': 'موعد (اختیاری)',
+    'quiz.attemptsAllowed': 'تعداد تلاش مجاز',
+    'quiz.passMark': 'نمرهٔ قبولی (٪)',
+    'quiz.shuffle': 'برزدن گزینه‌ها',
+    'quiz.results': 'نتیجه‌ها ({n})',
+    'quiz.publishedNote': 'تغییرهای آزمونک منتشرشده روی تلاش‌هایی اعمال می‌شود که پس از ذخیره آغاز شوند.',
+    'quiz.questionsHeading': 'پرسش‌ها · {n} · {points}',
+    'quiz.missing': 'پرسش ناموجود',
+    'quiz.pickFromBank': 'افزودن از بانک: جستجو با متن یا #برچسب...',
+    'quiz.nothingElse': 'چیز دیگری جور نیست.',
+    'quiz.bankFirst': 'اول پرسش‌هایی به بانک اضافه کنید.',
+    'quiz.builderIntro': 'آزمونکی بسازید، پرسش‌ها را از بانک انتخاب کنید و برای دانش‌آموزان منتشر کنید.',
+    'quiz.deleteQuizTitle': 'آزمونک حذف شود؟',
+    'quiz.deleteQuizDesc': 'آزمونک و همهٔ تلاش‌های دانش‌آموزان روی آن حذف می‌شود. پرسش‌ها در بانک می‌مانند.',
+    'quiz.heading': 'آزمونک‌ها',
+    'quiz.bankTab': 'بانک پرسش',
+    'quiz.withCount': '{name} ({n})',
+    'quiz.selectAll': 'همهٔ موارد درست را انتخاب کنید.',
+    'quiz.choose': 'انتخاب…',
+    'quiz.yourNumber': 'عدد شما',
+    'quiz.yourAnswerInput': 'پاسخ شما',
+    'quiz.backToQuizzes': 'بازگشت به آزمونک‌ها',
+    'quiz.answered': '{done}/{total} پاسخ‌داده',
+    'quiz.timeLeft': 'زمان باقی‌مانده',
+    'quiz.submit': 'ارسال',
+    'quiz.questionHead': 'پرسش {n} · {points}',
+    'quiz.submitTitle': 'آزمونک ارسال شود؟',
+    'quiz.unanswered.one': '{n} پرسش هنوز بی‌پاسخ است. پس از ارسال نمی‌توانید پاسخ‌ها را تغییر دهید.',
+    'quiz.unanswered.two': '{n} پرسش هنوز بی‌پاسخ است. پس از ارسال نمی‌توانید پاسخ‌ها را تغییر دهید.',
+    'quiz.unanswered.few': '{n} پرسش هنوز بی‌پاسخ است. پس از ارسال نمی‌توانید پاسخ‌ها را تغییر دهید.',
+    'quiz.unanswered.other': '{n} پرسش هنوز بی‌پاسخ است. پس از ارسال نمی‌توانید پاسخ‌ها را تغییر دهید.',
+    'quiz.final': 'پس از ارسال نمی‌توانید پاسخ‌ها را تغییر دهید.',
+    'quiz.scoreLine': '{score} از {max} امتیاز · ارسال‌شده {date}',
+    'quiz.lateNote': 'وقت تمام شد؛ آخرین پاسخ‌های ذخیره‌شدهٔ شما نمره گرفتند.',
+    'quiz.keyLater': 'پاسخ‌های درست وقتی همهٔ تلاش‌هایتان را به کار ببرید یا آزمونک بسته شود اینجا نشان داده می‌شوند.',
+    'quiz.earnedOf': '{earned} / {points}',
+    'quiz.yourAnswer': 'پاسخ شما:',
+    'quiz.correctAnswer': 'درست:',
+    'quiz.noQuizzes': 'هنوز آزمونکی نیست. آزمونک‌های معلمان پس از انتشار اینجا نشان داده می‌شوند.',
+    'quiz.untimed': 'بدون زمان',
+    'quiz.attemptsUsed': 'تلاش {used}/{total}',
+    'quiz.dueOn': 'موعد {date}',
+    'quiz.best': 'بهترین نمره {best} (قبولی {pass})',
+    'quiz.review': 'مرور',
+    'quiz.resume': 'ادامه',
+    'quiz.tryAgain': 'دوباره تلاش کنید',
+    'quiz.start': 'شروع',
+    'quiz.closed': 'بسته',
+    'quiz.noAttemptsLeft': 'تلاشی باقی نمانده'
+  },
+  ar: {
+    'quiz.type.mc': 'اختيار من متعدد',
+    'quiz.type.multi': 'تحديد متعدد',
+    'quiz.type.numeric': 'رقمي',
+    'quiz.type.short': 'إجابة قصيرة',
+    'quiz.type.matching': 'مطابقة',
+    'quiz.points.one': 'نقطة واحدة',
+    'quiz.points.two': 'نقطتان',
+    'quiz.points.few': '{n} نقاط',
+    'quiz.points.other': '{n} نقطة',
+    'quiz.questionType': 'نوع السؤال',
+    'quiz.shortTitle': 'عنوان قصير',
+    'quiz.pointsLabel': 'النقاط',
+    'quiz.prompt': 'السؤال (يعمل Markdown و$TeX$)',
+    'quiz.correct': 'صحيح',
+    'quiz.choice': 'خيار',
+    'quiz.removeChoice': 'إزالة الخيار',
+    'quiz.addChoice': 'أضف خيارًا',
+    'quiz.pickOne': 'اختر الخيار الصحيح الوحيد.',
+    'quiz.pickAll': 'حدّد كل خيار صحيح؛ الاختيارات الخاطئة تُلغي الصحيحة.',
+    'quiz.answer': 'الإجابة',
+    'quiz.answerExample': 'مثل 9.81',
+    'quiz.tolerance': 'هامش التسامح',
+    'quiz.accepted': 'الإجابات المقبولة، واحدة في كل سطر',
+    'quiz.caseSensitive': 'حساس لحالة الأحرف',
+    'quiz.item': 'العنصر',
+    'quiz.match': 'المطابق',
+    'quiz.removePair': 'إزالة الزوج',
+    'quiz.addPair': 'أضف زوجًا',
+    'quiz.tags': 'الوسوم، مفصولة بفواصل',
+    'quiz.feedback': 'ملاحظات تظهر بعد الإرسال (اختياري)',
+    'quiz.saved': 'حُفظ السؤال.',
+    'quiz.needTopic': 'أدخل موضوعًا أولًا',
+    'quiz.needType': 'اختر نوع سؤال واحدًا على الأقل',
+    'quiz.writeAbout': 'اكتب الأسئلة عن {topic}.',
+    'quiz.aiEmpty': 'لم يتضمن رد الذكاء الاصطناعي أسئلة صالحة. حاول مجددًا.',
+    'quiz.added.one': 'أُضيف سؤال واحد إلى البنك.',
+    'quiz.added.two': 'أُضيف سؤالان إلى البنك.',
+    'quiz.added.few': 'أُضيفت {n} أسئلة إلى البنك.',
+    'quiz.added.other': 'أُضيف {n} سؤالًا إلى البنك.',
+    'quiz.imported.one': 'استُورد سؤال واحد.',
+    'quiz.imported.two': 'استُورد سؤالان.',
+    'quiz.imported.few': 'استُوردت {n} أسئلة.',
+    'quiz.imported.other': 'استُورد {n} سؤالًا.',
+    'quiz.importSkipped': '{imported} تُخطّي {n}.',
+    'quiz.search': 'ابحث في الأسئلة...',
+    'quiz.tagFilter': 'الوسم',
+    'quiz.allTags': 'كل الوسوم',
+    'quiz.allTypes': 'كل الأنواع',
+    'quiz.newQuestion': 'سؤال جديد',
+    'quiz.generateAi': 'أنشئ بالذكاء الاصطناعي',
+    'quiz.exportsSelected': 'يصدّر {n} من المحدد',
+    'quiz.exportsAll': 'يصدّر كل الأسئلة',
+    'quiz.editQuestion': 'تعديل السؤال',
+    'quiz.draftTitle': 'صياغة أسئلة من موضوع',
+    'quiz.topic': 'الموضوع (مثل البناء الضوئي، المعادلات الخطية)',
+    'quiz.howMany': 'كم عددها',
+    'quiz.generate': 'أنشئ',
+    'quiz.checkDrafts': 'راجع المسودات وعدّلها، ثم أضفها إلى بنكك.',
+    'quiz.draftN': 'المسودة {n}',
+    'quiz.discard': 'تجاهل',
+    'quiz.addToBank': 'أضف {n} إلى البنك',
+    'quiz.discardAll': 'تجاهل الكل',
+    'quiz.importTitle': 'استيراد الأسئلة',
+    'quiz.format': 'الصيغة',
+    'quiz.chooseFile': 'اختر ملفًا',
+    'quiz.extraTags': 'وسوم إضافية، مفصولة بفواصل',
+    'quiz.importText': 'الأسئلة المراد استيرادها',
+    'quiz.skipped': 'المتخطّاة:',
+    'quiz.questionN': 'السؤال {n}:',
+    'quiz.noMatch': 'لا أسئلة تطابق هذه المرشحات.',
+    'quiz.bankEmpty': 'بنكك فارغ. اكتب سؤالًا، أو صِغ بعضها بالذكاء الاصطناعي، أو استورد ملف GIFT/QTI.',
+    'quiz.select': 'تحديد {title}',
+    'quiz.deleteTitle': 'حذف السؤال؟',
+    'quiz.deleteDesc': 'سيُزال من بنكك ومن أي مسودات اختبارات تستخدمه.',
+    'quiz.untitled': 'اختبار بلا عنوان',
+    'quiz.col.student': 'الطالب',
+    'quiz.col.username': 'اسم المستخدم',
+    'quiz.col.submitted': 'أُرسل',
+    'quiz.col.score': 'الدرجة',
+    'quiz.col.outOf': 'من أصل',
+    'quiz.col.percent': 'النسبة المئوية',
+    'quiz.col.passed': 'ناجح',
+    'quiz.col.late': 'متأخر',
+    'quiz.col.result': 'النتيجة',
+    'quiz.attemptsAvg': 'المحاولات ({n}) · المتوسط {avg}',
+    'quiz.timeRanOut': 'نفد الوقت',
+    'quiz.scoreOf': '{score} / {max} ({pct})',
+    'quiz.passed': 'ناجح',
+    'quiz.notPassed': 'غير ناجح',
+    'quiz.noSubmissions': 'لا إرسالات بعد.',
+    'quiz.byQuestion': 'حسب السؤال',
+    'quiz.publishedTo': 'نُشر الاختبار لطلاب {name}.',
+    'quiz.publishedAll': 'نُشر الاختبار لجميع الطلاب.',
+    'quiz.withdrawn': 'سُحب الاختبار؛ لم يعد الطلاب يرونه.',
+    'quiz.quizSaved': 'حُفظ الاختبار.',
+    'quiz.newQuiz': 'اختبار جديد',
+    'quiz.archivedClass': 'صف مؤرشف',
+    'quiz.archivedClassOption': 'صف مؤرشف',
+    'quiz.questions.one': 'سؤال واحد',
+    'quiz.questions.two': 'سؤالان',
+    'quiz.questions.few': '{n} أسئلة',
+    'quiz.questions.other': '{n} سؤالًا',
+    'quiz.taken': 'أُدّي {n} مرة',
+    'quiz.title': 'عنوان الاختبار',
+    'quiz.publishedOn': 'نُشر {date}',
+    'quiz.instructions': 'تعليمات للطلاب (اختياري)',
+    'quiz.allStudents': 'جميع الطلاب',
+    'quiz.timeLimit': 'المهلة الزمنية (بالدقائق، فارغ = بلا مهلة)',
+    'quiz.dueOptional': 'الموعد (اختياري)',
+    'quiz.attemptsAllowed': 'المحاولات المسموح بها',
+    'quiz.passMark': 'درجة النجاح (%)',
+    'quiz.shuffle': 'خلط الخيارات',
+    'quiz.results': 'النتائج ({n})',
+    'quiz.publishedNote': 'تنطبق التغييرات على الاختبار المنشور على المحاولات التي تبدأ بعد الحفظ.',
+    'quiz.questionsHeading': 'الأسئلة · {n} · {points}',
+    'quiz.missing': 'سؤال مفقود',
+    'quiz.pickFromBank': 'أضف من البنك: ابحث بالنص أو #الوسم...',
+    'quiz.nothingElse': 'لا شيء آخر مطابق.',
+    'quiz.bankFirst': 'أضف أسئلة إلى بنكك أولًا.',
+    'quiz.builderIntro': 'أنشئ اختبارًا، واختر أسئلة من بنكك، وانشره لطلابك.',
+    'quiz.deleteQuizTitle': 'حذف الاختبار؟',
+    'quiz.deleteQuizDesc': 'سيُحذف الاختبار وكل محاولات الطلاب فيه. تبقى الأسئلة في بنكك.',
+    'quiz.heading': 'الاختبارات',
+    'quiz.bankTab': 'بنك الأسئلة',
+    'quiz.withCount': '{name} ({n})',
+    'quiz.selectAll': 'اختر كل ما ينطبق.',
+    'quiz.choose': 'اختر…',
+    'quiz.yourNumber': 'رقمك',
+    'quiz.yourAnswerInput': 'إجابتك',
+    'quiz.backToQuizzes': 'العودة إلى الاختبارات',
+    'quiz.answered': 'أُجيب عن {done}/{total}',
+    'quiz.timeLeft': 'الوقت المتبقي',
+    'quiz.submit': 'إرسال',
+    'quiz.questionHead': 'السؤال {n} · {points}',
+    'quiz.submitTitle': 'إرسال الاختبار؟',
+    'quiz.unanswered.one': 'ما زال سؤال واحد بلا إجابة. لا يمكنك تغيير الإجابات بعد الإرسال.',
+    'quiz.unanswered.two': 'ما زال سؤالان بلا إجابة. لا يمكنك تغيير الإجابات بعد الإرسال.',
+    'quiz.unanswered.few': 'ما زالت {n} أسئلة بلا إجابة. لا يمكنك تغيير الإجابات بعد الإرسال.',
+    'quiz.unanswered.other': 'ما زال {n} سؤالًا بلا إجابة. لا يمكنك تغيير الإجابات بعد الإرسال.',
+    'quiz.final': 'لا يمكنك تغيير الإجابات بعد الإرسال.',
+    'quiz.scoreLine': '{score} من {max} نقطة · أُرسل {date}',
+    'quiz.lateNote': 'نفد الوقت؛ قُيّمت آخر إجاباتك المحفوظة.',
+    'quiz.keyLater': 'تظهر الإجابات الصحيحة هنا بعد استنفاد محاولاتك أو إغلاق الاختبار.',
+    'quiz.earnedOf': '{earned} / {points}',
+    'quiz.yourAnswer': 'إجابتك:',
+    'quiz.correctAnswer': 'الصحيح:',
+    'quiz.noQuizzes': 'لا اختبارات بعد. تظهر اختبارات معلّميك هنا بعد نشرها.',
+    'quiz.untimed': 'بلا مهلة',
+    'quiz.attemptsUsed': 'المحاولات {used}/{total}',
+    'quiz.dueOn': 'الموعد {date}',
+    'quiz.best': 'أفضل درجة {best} (النجاح {pass})',
+    'quiz.review': 'مراجعة',
+    'quiz.resume': 'استئناف',
+    'quiz.tryAgain': 'حاول مجددًا',
+    'quiz.start': 'ابدأ',
+    'quiz.closed': 'مغلق',
+    'quiz.noAttemptsLeft': 'لم تبقَ محاولات'
+  }
+});
+
+const QUESTION_TYPES = ['mc', 'multi', 'numeric', 'short', 'matching']; // quiz.type.*
+
+const blankQuestion = (type = 'mc') => ({
+  type, title: '', prompt: '', points: 1, subject: 'general', tagText: '', feedback: '',
+  choices: [{ id: uid(), text: '', correct: true }, { id: uid(), text: '', correct: false }],
+  answer: '', tolerance: 0, answers: [''], caseSensitive: false,
+  pairs: [{ id: uid(), left: '', right: '' }, { id: uid(), left: '', right: '' }]
+});
+
+// Editor state ⇄ API shape (tags are edited as comma-separated text)
+const toDraft = (q) => ({
+  ...blankQuestion(q.type),
+  ...Object.fromEntries(Object.entries(q).filter(([, v]) => v !== undefined)),
+  tagText: (q.tags || []).join(', ')
+});
+const toPayload = ({ tagText, ...q }) => ({ ...q, tags: tagText.split(',').map(t => t.trim()).filter(Boolean) });
+
+const QUIZ_AI_PROMPT = ({ topic, count, types, subject }) => `You are a teacher's assistant writing quiz questions.
+Reply with JSON only, no prose around it, in exactly this shape:
+{"questions": [{"type": ${types.map(t => `"${t}"`).join('|')}, "title": string, "prompt": string, "points": number, "feedback": string,
+  "choices"?: [{"text": string, "correct": boolean}], "answer"?: number, "tolerance"?: number,
+  "answers"?: [string], "pairs"?: [{"left": string, "right": string}]}]}
+- Write ${count} questions about "${topic}"${subject !== 'general' ? ` for a ${SUBJECTS[subject] || subject} class` : ''}, mixing the allowed types.
+- mc: 3–5 choices, exactly one correct. multi: 4–6 choices, two or more correct.
+- numeric: "answer" is a number; "tolerance" is the accepted ± margin (0 for exact).
+- short: "answers" lists every acceptable answer, each a word or short phrase.
+- matching: 3–6 pairs with distinct right-hand sides.
+- "title" is a 2–5 word label; "feedback" briefly explains the right answer.
+- Questions must be accurate, unambiguous and school-appropriate.`;
+
+const aiDrafts = (data, subject) => (Array.isArray(data) ? data : data?.questions || [])
+  .filter(q => q && QUESTION_TYPES.includes(q.type) && q.prompt)
+  .map(q => ({
+    ...toDraft({
+      type: q.type, title: String(q.title || ''), prompt: String(q.prompt), points: Number(q.points) || 1, subject,
+      feedback: String(q.feedback || ''),
+      choices: Array.isArray(q.choices) ? q.choices.map(c => ({ id: uid(), text: String(c?.text ?? c), correct: !!c?.correct })) : undefined,
+      answer: q.answer !== undefined ? String(q.answer) : undefined,
+      tolerance: Number(q.tolerance) || 0,
+      answers: Array.isArray(q.answers) ? q.answers.map(String) : undefined,
+      pairs: Array.isArray(q.pairs) ? q.pairs.map(p => ({ id: uid(), left: String(p?.left || ''), right: String(p?.right || '') })) : undefined
+    }),
+    id: uid()
+  }));
+
+// What was answered / what was expected, as plain text (results and review)
+const responseText = (q, r) => {
+  if (r == null || r === '' || (Array.isArray(r) && !r.length)) return '—';
+  if (q.type === 'mc') return q.choices.find(c => c.id === r)?.text || '—';
+  if (q.type === 'multi') return q.choices.filter(c => r.includes(c.id)).map(c => c.text).join('; ') || '—';
+  if (q.type === 'matching') return (q.pairs || q.lefts.map(l => ({ id: l.id, left: l.text }))).map(p => `${p.left} → ${r[p.id] || '—'}`).join('; ');
+  return String(r);
+};
+const answerKeyText = (q) => {
+  if (q.type === 'mc' || q.type === 'multi') return q.choices.filter(c => c.correct).map(c => c.text).join('; ');
+  if (q.type === 'numeric') return `${q.answer}${q.tolerance ? ` ± ${q.tolerance}` : ''}`;
+  if (q.type === 'short') return q.answers.join(' / ');
+  return q.pairs.map(p => `${p.left} → ${p.right}`).join('; ');
+};
+const isAnswered = (q, r) => q.type === 'matching'
+  ? q.lefts.every(l => r?.[l.id])
+  : r != null && r !== '' && !(Array.isArray(r) && !r.length);
+
+const fmtCountdown = (ms) => {
+  const s = Math.ceil(ms / 1000);
+  const h = Math.floor(s / 3600), m = Math.floor((s % 3600) / 60), sec = s % 60;
+  return `${h ? `${h}:${String(m).padStart(2, '0')}` : m}:${String(sec).padStart(2, '0')}`;
+};
+// ISO ⇄ <input type="datetime-local">
+const localInput = (iso) => {
+  const d = new Date(iso);
+  return new Date(d.getTime() - d.getTimezoneOffset() * 60_000).toISOString().slice(0, 16);
+};
+
+function QuestionEditor({ q, onChange }) {
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  const set = (k) => (e) => onChange({ [k]: e.target.value });
+  const setChoice = (id, patch) => onChange({
+    choices: q.choices.map(c => c.id === id ? { ...c, ...patch } : q.type === 'mc' && patch.correct ? { ...c, correct: false } : c)
+  });
+  const setPair = (id, patch) => onChange({ pairs: q.pairs.map(p => p.id === id ? { ...p, ...patch } : p) });
+  const setType = (type) => {
+    // multiple choice keeps a single correct answer
+    const keep = q.choices.find(c => c.correct)?.id || q.choices[0]?.id;
+    onChange({ type, choices: type === 'mc' ? q.choices.map(c => ({ ...c, correct: c.id === keep })) : q.choices });
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap gap-2">
+        <select value={q.type} onChange={e => setType(e.target.value)} aria-label={tr('quiz.questionType')} className={small}>
+          {QUESTION_TYPES.map(k => <option key={k} value={k} className="bg-gray-800">{tr(`quiz.type.${k}`)}</option>)}
+        </select>
+        <input value={q.title} onChange={set('title')} placeholder={tr('quiz.shortTitle')} aria-label={tr('quiz.shortTitle')} className={`flex-1 min-w-[10rem] ${small}`} />
+        <select value={q.subject} onChange={set('subject')} aria-label={tr('common.subject')} className={small}>
+          {Object.keys(SUBJECTS).map(k => <option key={k} value={k} className="bg-gray-800">{subjectName(k)}</option>)}
+        </select>
+        <label className="flex items-center gap-2 text-white/70 text-sm">
+          {tr('quiz.pointsLabel')} <input type="number" min={0.5} max={100} step={0.5} value={q.points} onChange={set('points')} className={`w-20 ${small}`} />
+        </label>
+      </div>
+      <textarea value={q.prompt} onChange={set('prompt')} rows={3} placeholder={tr('quiz.prompt')} aria-label={tr('quiz.prompt')} className={`w-full resize-y ${small}`} />
+
+      {(q.type === 'mc' || q.type === 'multi') && (
+        <div className="space-y-2">
+          {q.choices.map(c => (
+            <div key={c.id} className="flex items-center gap-2">
+              <input
+                type={q.type === 'mc' ? 'radio' : 'checkbox'}
+                checked={c.correct}
+                onChange={e => setChoice(c.id, { correct: q.type === 'mc' ? true : e.target.checked })}
+                title={tr('quiz.correct')}
+                aria-label={tr('quiz.correct')}
+              />
+              <input value={c.text} onChange={e => setChoice(c.id, { text: e.target.value })} placeholder={tr('quiz.choice')} aria-label={tr('quiz.choice')} className={`flex-1 ${small}`} />
+              {q.choices.length > 2 && (
+                <button onClick={() => onChange({ choices: q.choices.filter(x => x.id !== c.id) })} className="p-2 rounded-lg bg-white/10 hover:bg-red-500/30 text-white" title={tr('quiz.removeChoice')} aria-label={tr('quiz.removeChoice')}><X size={14} /></button>
+              )}
+            </div>
+          ))}
+          {q.choices.length < 10 && (
+            <button onClick={() => onChange({ choices: [...q.choices, { id: uid(), text: '', correct: false }] })} className="flex items-center gap-1 text-sm text-purple-300 hover:text-purple-200"><Plus size={14} /> {tr('quiz.addChoice')}</button>
+          )}
+          <p className="text-white/50 text-xs">{q.type === 'mc' ? tr('quiz.pickOne') : tr('quiz.pickAll')}</p>
+        </div>
+      )}
+
+      {q.type === 'numeric' && (
+        <div className="flex flex-wrap items-center gap-2 text-white/70 text-sm">
+          {tr('quiz.answer')} <input value={q.answer} onChange={set('answer')} inputMode="decimal" placeholder={tr('quiz.answerExample')} aria-label={tr('quiz.answer')} className={`w-32 font-mono ${small}`} />
+          ± <input type="number" min={0} step="any" value={q.tolerance} onChange={set('tolerance')} aria-label={tr('quiz.tolerance')} className={`w-24 font-mono ${small}`} />
+        </div>
+      )}
+
+      {q.type === 'short' && (
+        <div className="space-y-2">
+          <textarea value={q.answers.join('\n')} onChange={e => onChange({ answers: e.target.value.split('\n') })} rows={3} placeholder={tr('quiz.accepted')} aria-label={tr('quiz.accepted')} className={`w-full resize-y ${small}`} />
+          <label className="flex items-center gap-2 text-white/70 text-sm">
+            <input type="checkbox" checked={!!q.caseSensitive} onChange={e => onChange({ caseSensitive: e.target.checked })} /> {tr('quiz.caseSensitive')}
+          </label>
+        </div>
+      )}
+
+      {q.type === 'matching' && (
+        <div className="space-y-2">
+          {q.pairs.map(p => (
+            <div key={p.id} className="flex items-center gap-2">
+              <input value={p.left} onChange={e => setPair(p.id, { left: e.target.value })} placeholder={tr('quiz.item')} aria-label={tr('quiz.item')} className={`flex-1 ${small}`} />
+              <span className="text-white/50">→</span>
+              <input value={p.right} onChange={e => setPair(p.id, { right: e.target.value })} placeholder={tr('quiz.match')} aria-label={tr('quiz.match')} className={`flex-1 ${small}`} />
+              {q.pairs.length > 2 && (
+                <button onClick={() => onChange({ pairs: q.pairs.filter(x => x.id !== p.id) })} className="p-2 rounded-lg bg-white/10 hover:bg-red-500/30 text-white" title={tr('quiz.removePair')} aria-label={tr('quiz.removePair')}><X size={14} /></button>
+              )}
+            </div>
+          ))}
+          {q.pairs.length < 12 && (
+            <button onClick={() => onChange({ pairs: [...q.pairs, { id: uid(), left: '', right: '' }] })} className="flex items-center gap-1 text-sm text-purple-300 hover:text-purple-200"><Plus size={14} /> {tr('quiz.addPair')}</button>
+          )}
+        </div>
+      )}
+
+      <div className="flex flex-wrap gap-2">
+        <input value={q.tagText} onChange={set('tagText')} placeholder={tr('quiz.tags')} aria-label={tr('quiz.tags')} className={`flex-1 min-w-[10rem] ${small}`} />
+        <input value={q.feedback} onChange={set('feedback')} placeholder={tr('quiz.feedback')} aria-label={tr('quiz.feedback')} className={`flex-[2] min-w-[12rem] ${small}`} />
+      </div>
+    </div>
+  );
+}
+
+/* ------------------- Teacher: bank, builder, results ------------------- */
+function QuestionBank({ bank, reload, askModel, pushToast }) {
+  const [search, setSearch] = useState('');
+  const [tag, setTag] = useState('');
+  const [type, setType] = useState('');
+  const [selected, setSelected] = useState(() => new Set());
+  const [editing, setEditing] = useState(null);
+  const [panel, setPanel] = useState(null);          // 'ai' | 'import' | null
+  const [ai, setAi] = useState({ topic: '', count: 5, subject: 'general', types: ['mc', 'multi', 'numeric', 'short'] });
+  const [drafts, setDrafts] = useState([]);
+  const [imp, setImp] = useState({ format: 'gift', text: '', tags: '' });
+  const [skipped, setSkipped] = useState([]);
+  const [busy, setBusy] = useState(false);
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  const btn = "flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm disabled:opacity-50";
+  const card = "bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10";
+
+  const needle = search.trim().toLowerCase();
+  const shown = bank.questions.filter(q =>
+    (!tag || q.tags.includes(tag)) && (!type || q.type === type) &&
+    (!needle || `${q.title} ${q.prompt}`.toLowerCase().includes(needle)));
+
+  const toggle = (id) => setSelected(prev => { const next = new Set(prev); next.has(id) ? next.delete(id) : next.add(id); return next; });
+
+  const run = async (fn) => {
+    setBusy(true);
+    try { await fn(); }
+    catch (e) { pushToast(e instanceof ApiError ? errorText(e) : e.message, 'error'); }
+    finally { setBusy(false); }
+  };
+
+  const saveEditing = () => run(async () => {
+    const body = toPayload(editing);
+    delete body.id;
+    if (editing.id) await api(`/api/questions/${editing.id}`, { method: 'PUT', body });
+    else await api('/api/questions', { method: 'POST', body });
+    setEditing(null);
+    await reload();
+    pushToast(tr('quiz.saved'));
+  });
+
+  const generate = () => run(async () => {
+    if (!ai.topic.trim()) throw new Error(tr('quiz.needTopic'));
+    if (!ai.types.length) throw new Error(tr('quiz.needType'));
+    const count = clamp(Number(ai.count) || 5, 1, 20);
+    const reply = await askModel(QUIZ_AI_PROMPT({ ...ai, topic: ai.topic.trim(), count }), tr('quiz.writeAbout', { topic: ai.topic.trim() }));
+    const list = aiDrafts(parseModelJson(reply), ai.subject);
+    if (!list.length) throw new Error(tr('quiz.aiEmpty'));
+    setDrafts(list);
+  });
+
+  const saveDrafts = () => run(async () => {
+    const d = await api('/api/questions', { method: 'POST', body: { questions: drafts.map(({ id, ...q }) => toPayload(q)) } });
+    setDrafts([]);
+    setPanel(null);
+    await reload();
+    pushToast(trn('quiz.added', d.questions.length));
+  });
+
+  const readFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (!file) return;
+    const text = await file.text();
+    setImp(s => ({ ...s, text, format: /\.(xml|qti)$/i.test(file.name) || text.trimStart().startsWith('<') ? 'qti' : 'gift' }));
+  };
+
+  const runImport = () => run(async () => {
+    const d = await api('/api/questions/import', {
+      method: 'POST',
+      body: { format: imp.format, text: imp.text, tags: imp.tags.split(',').map(t => t.trim()).filter(Boolean) }
+    });
+    setSkipped(d.skipped);
+    await reload();
+    const imported = trn('quiz.imported', d.questions.length);
+    pushToast(d.skipped.length ? tr('quiz.importSkipped', { imported, n: fmtNumber(d.skipped.length) }) : imported, d.skipped.length ? 'warn' : 'info');
+    if (!d.skipped.length) { setImp(s => ({ ...s, text: '' })); setPanel(null); }
+  });
+
+  const exportAs = (format) => run(async () => {
+    const ids = [...selected].filter(id => bank.questions.some(q => q.id === id));
+    const d = await api(`/api/questions/export?format=${format}${ids.length ? `&ids=${ids.map(encodeURIComponent).join(',')}` : ''}`);
+    downloadFile(d.filename, d.content, d.type);
+  });
+
+  const remove = () => run(async () => {
+    const id = pendingDelete;
+    setPendingDelete(null);
+    await api(`/api/questions/${id}`, { method: 'DELETE' });
+    setSelected(prev => { const next = new Set(prev); next.delete(id); return next; });
+    await reload();
+  });
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-2">
+        <div className="flex items-center gap-2 flex-1 min-w-[12rem] px-3 py-2 rounded-lg bg-white/10 border border-white/20">
+          <Search size={16} className="text-white/60" />
+          <input value={search} onChange={e => setSearch(e.target.value)} placeholder={tr('quiz.search')} aria-label={tr('quiz.search')} className="bg-transparent outline-none text-white placeholder-gray-400 flex-1" />
+        </div>
+        <select value={tag} onChange={e => setTag(e.target.value)} aria-label={tr('quiz.tagFilter')} className={small}>
+          <option value="" className="bg-gray-800">{tr('quiz.allTags')}</option>
+          {bank.tags.map(t => <option key={t} value={t} className="bg-gray-800">#{t}</option>)}
+        </select>
+        <select value={type} onChange={e => setType(e.target.value)} aria-label={tr('quiz.questionType')} className={small}>
+          <option value="" className="bg-gray-800">{tr('quiz.allTypes')}</option>
+          {QUESTION_TYPES.map(k => <option key={k} value={k} className="bg-gray-800">{tr(`quiz.type.${k}`)}</option>)}
+        </select>
+      </div>
+
+      <div className="flex flex-wrap gap-2">
+        <button onClick={() => { setEditing(blankQuestion()); setPanel(null); }} className={btn}><Plus size={16} /> {tr('quiz.newQuestion')}</button>
+        {askModel && <button onClick={() => setPanel(p => p === 'ai' ? null : 'ai')} className={btn}><Sparkles size={16} /> {tr('quiz.generateAi')}</button>}
+        <button onClick={() => setPanel(p => p === 'import' ? null : 'import')} className={btn}><Upload size={16} /> {tr('common.import')}</button>
+        <button onClick={() => exportAs('gift')} disabled={busy || !bank.questions.length} className={btn}><Download size={16} /> GIFT</button>
+        <button onClick={() => exportAs('qti')} disabled={busy || !bank.questions.length} className={btn}><Download size={16} /> QTI</button>
+        <span className="self-center text-white/50 text-xs">{selected.size ? tr('quiz.exportsSelected', { n: fmtNumber(selected.size) }) : tr('quiz.exportsAll')}</span>
+      </div>
+
+      {editing && (
+        <div className={card}>
+          <h3 className="text-white font-semibold text-xl mb-4">{editing.id ? tr('quiz.editQuestion') : tr('quiz.newQuestion')}</h3>
+          <QuestionEditor q={editing} onChange={(patch) => setEditing(q => ({ ...q, ...patch }))} />
+          <div className="flex gap-2 mt-4">
+            <button onClick={saveEditing} disabled={busy} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold disabled:opacity-60"><Save size={16} /> {tr('common.save')}</button>
+            <button onClick={() => setEditing(null)} className={btn}>{tr('common.cancel')}</button>
+          </div>
+        </div>
+      )}
+
+      {panel === 'ai' && (
+        <div className={card}>
+          <h3 className="text-white font-semibold text-xl mb-4">{tr('quiz.draftTitle')}</h3>
+          <div className="flex flex-wrap gap-2 mb-3">
+            <input value={ai.topic} onChange={e => setAi(s => ({ ...s, topic: e.target.value }))} placeholder={tr('quiz.topic')} aria-label={tr('quiz.topic')} className={`flex-1 min-w-[14rem] ${small}`} />
+            <select value={ai.subject} onChange={e => setAi(s => ({ ...s, subject: e.target.value }))} aria-label={tr('common.subject')} className={small}>
+              {Object.keys(SUBJECTS).map(k => <option key={k} value={k} className="bg-gray-800">{subjectName(k)}</option>)}
+            </select>
+            <input type="number" min={1} max={20} value={ai.count} onChange={e => setAi(s => ({ ...s, count: e.target.value }))} className={`w-20 ${small}`} title={tr('quiz.howMany')} aria-label={tr('quiz.howMany')} />
+            <button onClick={generate} disabled={busy} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold disabled:opacity-60">
+              {busy ? <Loader2 size={16} className="animate-spin" /> : <Sparkles size={16} />} {tr('quiz.generate')}
+            </button>
+          </div>
+          <div className="flex flex-wrap gap-2">
+            {QUESTION_TYPES.map(k => (
+              <button
+                key={k}
+                onClick={() => setAi(s => ({ ...s, types: s.types.includes(k) ? s.types.filter(t => t !== k) : [...s.types, k] }))}
+                aria-pressed={ai.types.includes(k)}
+                className={`px-3 py-1 rounded-lg text-sm ${ai.types.includes(k) ? 'bg-purple-500 text-white' : 'bg-white/10 text-white/60'}`}
+              >{tr(`quiz.type.${k}`)}</button>
+            ))}
+          </div>
+
+          {drafts.length > 0 && (
+            <div className="mt-6 space-y-4">
+              <p className="text-white/70 text-sm">{tr('quiz.checkDrafts')}</p>
+              {drafts.map((d, i) => (
+                <div key={d.id} className="p-4 rounded-xl bg-white/5 border border-white/10">
+                  <div className="flex items-center mb-3">
+                    <span className="text-white/60 text-sm flex-1">{tr('quiz.draftN', { n: fmtNumber(i + 1) })}</span>
+                    <button onClick={() => setDrafts(list => list.filter(x => x.id !== d.id))} className="p-2 rounded-lg bg-white/10 hover:bg-red-500/30 text-white" title={tr('quiz.discard')} aria-label={tr('quiz.discard')}><Trash2 size={14} /></button>
+                  </div>
+                  <QuestionEditor q={d} onChange={(patch) => setDrafts(list => list.map(x => x.id === d.id ? { ...x, ...patch } : x))} />
+                </div>
+              ))}
+              <div className="flex gap-2">
+                <button onClick={saveDrafts} disabled={busy} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold disabled:opacity-60"><Save size={16} /> {tr('quiz.addToBank', { n: fmtNumber(drafts.length) })}</button>
+                <button onClick={() => setDrafts([])} className={btn}>{tr('quiz.discardAll')}</button>
+              </div>
+            </div>
+          )}
+        </div>
+      )}
+
+      {panel === 'import' && (
+        <div className={card}>
+          <h3 className="text-white font-semibold text-xl mb-4">{tr('quiz.importTitle')}</h3>
+          <div className="flex flex-wrap items-center gap-2 mb-3">
+            <select value={imp.format} onChange={e => setImp(s => ({ ...s, format: e.target.value }))} aria-label={tr('quiz.format')} className={small}>
+              <option value="gift" className="bg-gray-800">Moodle GIFT</option>
+              <option value="qti" className="bg-gray-800">QTI 1.2 (Canvas, Blackboard)</option>
+            </select>
+            <label className={`${btn} cursor-pointer`}>
+              <Upload size={16} /> {tr('quiz.chooseFile')}
+              <input type="file" accept=".txt,.gift,.xml,.qti" onChange={readFile} className="hidden" />
+            </label>
+            <input value={imp.tags} onChange={e => setImp(s => ({ ...s, tags: e.target.value }))} placeholder={tr('quiz.extraTags')} aria-label={tr('quiz.extraTags')} className={`flex-1 min-w-[10rem] ${small}`} />
+          </div>
+          <textarea
+            value={imp.text}
+            onChange={e => setImp(s => ({ ...s, text: e.target.value }))}
+            rows={8}
+            placeholder={imp.format === 'gift' ? '::Capital:: What is the capital of France? {=Paris ~Lyon ~Marseille}' : '<questestinterop>…</questestinterop>'}
+            aria-label={tr('quiz.importText')}
+            className={`w-full font-mono text-sm resize-y ${small}`}
+          />
+          <button onClick={runImport} disabled={busy || !imp.text.trim()} className="mt-3 flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold disabled:opacity-60">
+            {busy && <Loader2 size={16} className="animate-spin" />} {tr('common.import')}
+          </button>
+          {skipped.length > 0 && (
+            <div className="mt-4 p-3 rounded-xl bg-yellow-500/10 border border-yellow-400/30 text-yellow-100 text-sm space-y-1">
+              <p className="font-medium">{tr('quiz.skipped')}</p>
+              {skipped.map((s, i) => <p key={i}>{s.index ? `${tr('quiz.questionN', { n: fmtNumber(s.index) })} ` : ''}{serverText(s.key, s.vars, s.reason)}</p>)}
+            </div>
+          )}
+        </div>
+      )}
+
+      <div className="space-y-2">
+        {shown.map(q => (
+          <div key={q.id} className="flex items-start gap-3 p-4 rounded-xl bg-white/10 border border-white/10">
+            <input type="checkbox" checked={selected.has(q.id)} onChange={() => toggle(q.id)} aria-label={tr('quiz.select', { title: q.title || q.prompt.slice(0, 80) })} className="mt-1" />
+            <div className="flex-1 min-w-0">
+              <p className="text-white font-medium truncate">{q.title || q.prompt.slice(0, 80)}</p>
+              <p className="text-white/60 text-sm line-clamp-2">{q.prompt}</p>
+              <p className="text-xs mt-1 flex flex-wrap gap-2">
+                <span className="px-2 py-0.5 rounded-full bg-purple-500/30 text-purple-100">{tr(`quiz.type.${q.type}`)}</span>
+                <span className="text-white/50">{trn('quiz.points', q.points)} · {subjectName(q.subject)}</span>
+                {q.tags.map(t => <button key={t} onClick={() => setTag(t)} className="text-purple-300 hover:text-purple-200">#{t}</button>)}
+              </p>
+            </div>
+            <button onClick={() => { setEditing(toDraft(q)); setPanel(null); }} className="p-2 rounded-lg bg-white/10 hover:bg-white/20 text-white" title={tr('common.edit')} aria-label={tr('common.edit')}><Pencil size={14} /></button>
+            <button onClick={() => setPendingDelete(q.id)} className="p-2 rounded-lg bg-white/10 hover:bg-red-500/30 text-white" title={tr('common.delete')} aria-label={tr('common.delete')}><Trash2 size={14} /></button>
+          </div>
+        ))}
+        {!shown.length && (
+          <p className="text-white/50 text-sm">{bank.questions.length ? tr('quiz.noMatch') : tr('quiz.bankEmpty')}</p>
+        )}
+      </div>
+
+      <Confirm
+        open={!!pendingDelete}
+        title={tr('quiz.deleteTitle')}
+        desc={tr('quiz.deleteDesc')}
+        onCancel={() => setPendingDelete(null)}
+        onConfirm={remove}
+      />
+    </div>
+  );
+}
+
+const quizForm = (q) => ({
+  title: q.title, description: q.description, subject: q.subject, questionIds: q.questionIds,
+  timeLimit: q.timeLimit ?? '', attempts: q.attempts, passPct: q.passPct, shuffle: q.shuffle,
+  dueAt: q.dueAt ? localInput(q.dueAt) : '', classId: q.classId || ''
+});
+
+function QuizResults({ quizId, pushToast }) {
+  const [data, setData] = useState(null);
+
+  useEffect(() => {
+    let live = true;
+    api(`/api/quizzes/${quizId}/results`)
+      .then(d => { if (live) setData(d); })
+      .catch(e => pushToast(errorText(e), 'error'));
+    return () => { live = false; };
+  }, [quizId]);
+
+  if (!data) return <div className="flex justify-center p-6"><Loader2 className="animate-spin text-purple-300" size={28} /></div>;
+
+  const csv = () => downloadFile(
+    `${data.quiz.title.replace(/[^\w-]+/g, '-').toLowerCase() || 'quiz'}-results.csv`,
+    toCsv(data.attempts, ['student', 'username', 'submitted', 'score', 'outOf', 'percent', 'passed', 'late'].map((label, i) => [['student', 'username', 'submittedAt', 'score', 'maxScore', 'pct', 'passed', 'late'][i], tr(`quiz.col.${label}`)])),
+    'text/csv'
+  );
+
+  return (
+    <div className="space-y-6">
+      <ChartCard title={tr('quiz.attemptsAvg', { n: fmtNumber(data.attempts.length), avg: data.quiz.stats.average == null ? '—' : fmtNumber(data.quiz.stats.average / 100, { style: 'percent' }) })} onCsv={data.attempts.length ? csv : undefined}>
+        {data.attempts.length ? (
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm text-white/80">
+              <thead className="text-white/50 text-start">
+                <tr><th className="py-1 pe-4">{tr('quiz.col.student')}</th><th className="pe-4">{tr('quiz.col.submitted')}</th><th className="pe-4">{tr('quiz.col.score')}</th><th>{tr('quiz.col.result')}</th></tr>
+              </thead>
+              <tbody>
+                {data.attempts.map(a => (
+                  <tr key={a.id} className="border-t border-white/10">
+                    <td className="py-2 pe-4">{personName(a.student)}</td>
+                    <td className="pe-4">{fmtDate(a.submittedAt)}{a.late && <span className="ms-2 text-yellow-300 text-xs">{tr('quiz.timeRanOut')}</span>}</td>
+                    <td className="pe-4">{tr('quiz.scoreOf', { score: fmtNumber(a.score), max: fmtNumber(a.maxScore), pct: fmtNumber(a.pct / 100, { style: 'percent' }) })}</td>
+                    <td className={a.passed ? 'text-green-300' : 'text-red-300'}>{a.passed ? tr('quiz.passed') : tr('quiz.notPassed')}</td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+        ) : <p className="text-white/50 text-sm">{tr('quiz.noSubmissions')}</p>}
+      </ChartCard>
+
+      {data.attempts.length > 0 && (
+        <ChartCard title={tr('quiz.byQuestion')}>
+          <div className="space-y-3">
+            {data.questions.map((q, i) => (
+              <div key={q.id}>
+                <div className="flex justify-between text-sm text-white/80 mb-1">
+                  <span className="truncate pe-4">{fmtNumber(i + 1)}. {q.title || q.prompt}</span>
+                  <span>{q.averageFraction == null ? '—' : fmtNumber(q.averageFraction, { style: 'percent' })}</span>
+                </div>
+                <div className="h-2 rounded-full bg-white/10">
+                  <div className={`h-full rounded-full ${q.averageFraction < 0.5 ? 'bg-red-400' : q.averageFraction < 0.8 ? 'bg-yellow-400' : 'bg-green-400'}`} style={{ width: `${(q.averageFraction || 0) * 100}%` }} />
+                </div>
+              </div>
+            ))}
+          </div>
+        </ChartCard>
+      )}
+    </div>
+  );
+}
+
+function QuizBuilder({ bank, quizzes, classId, classes, reload, pushToast }) {
+  const [activeId, setActiveId] = useState(quizzes[0]?.id || null);
+  const [form, setForm] = useState(null);
+  const [pick, setPick] = useState('');
+  const [showResults, setShowResults] = useState(false);
+  const [busy, setBusy] = useState(false);
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  const quiz = quizzes.find(q => q.id === activeId) || null;
+  useEffect(() => { setForm(quiz ? quizForm(quiz) : null); setShowResults(false); }, [quiz?.id, quiz?.updatedAt]);
+
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  const btn = "flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm disabled:opacity-50";
+  const byId = Object.fromEntries(bank.questions.map(q => [q.id, q]));
+
+  const run = async (fn) => {
+    setBusy(true);
+    try { await fn(); }
+    catch (e) { pushToast(errorText(e), 'error'); }
+    finally { setBusy(false); }
+  };
+
+  const create = () => run(async () => {
+    const d = await api('/api/quizzes', { method: 'POST', body: { title: tr('quiz.untitled'), classId: classId || null } });
+    await reload();
+    setActiveId(d.quiz.id);
+  });
+
+  const save = (extra = {}) => run(async () => {
+    await api(`/api/quizzes/${quiz.id}`, {
+      method: 'PATCH',
+      body: { ...form, timeLimit: form.timeLimit === '' ? null : Number(form.timeLimit), dueAt: form.dueAt ? new Date(form.dueAt).toISOString() : null, classId: form.classId || null, ...extra }
+    });
+    await reload();
+    const to = classes.find(c => c.id === form.classId)?.name;
+    pushToast(extra.status === 'published' ? to ? tr('quiz.publishedTo', { name: to }) : tr('quiz.publishedAll') : extra.status === 'draft' ? tr('quiz.withdrawn') : tr('quiz.quizSaved'));
+  });
+
+  const remove = () => run(async () => {
+    const id = pendingDelete;
+    setPendingDelete(null);
+    await api(`/api/quizzes/${id}`, { method: 'DELETE' });
+    setActiveId(quizzes.find(q => q.id !== id)?.id || null);
+    await reload();
+  });
+
+  const setField = (k) => (e) => setForm(f => ({ ...f, [k]: e.target.value }));
+  const move = (i, d) => setForm(f => {
+    const ids = [...f.questionIds];
+    [ids[i], ids[i + d]] = [ids[i + d], ids[i]];
+    return { ...f, questionIds: ids };
+  });
+
+  const needle = pick.trim().toLowerCase();
+  const candidates = form ? bank.questions.filter(q => !form.questionIds.includes(q.id) &&
+    (!needle || `${q.title} ${q.prompt} ${q.tags.join(' ')}`.toLowerCase().includes(needle))).slice(0, 30) : [];
+  const totalPoints = form ? form.questionIds.reduce((n, id) => n + (byId[id]?.points || 0), 0) : 0;
+
+  return (
+    <div className="grid md:grid-cols-[14rem_1fr] gap-6">
+      <div className="space-y-2">
+        <button onClick={create} disabled={busy} className={`${btn} w-full justify-center`}><Plus size={16} /> {tr('quiz.newQuiz')}</button>
+        {quizzes.map(q => (
+          <button key={q.id} onClick={() => setActiveId(q.id)} className={`w-full text-start p-3 rounded-xl border ${q.id === activeId ? 'bg-purple-500/30 border-purple-400/50' : 'bg-white/5 border-white/10 hover:bg-white/10'}`}>
+            <p className="text-white text-sm font-medium truncate">{q.title}</p>
+            <p className="text-white/50 text-xs">{q.status === 'published' ? tr('common.published') : tr('common.draft')}{q.classId && !classId ? ` · ${classes.find(c => c.id === q.classId)?.name || tr('quiz.archivedClass')}` : ''} · {trn('quiz.questions', q.questionCount)}{q.stats.attempts ? ` · ${tr('quiz.taken', { n: fmtNumber(q.stats.attempts) })}` : ''}</p>
+          </button>
+        ))}
+      </div>
+
+      {form && quiz ? (
+        <div className="space-y-6">
+          <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10 space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <input value={form.title} onChange={setField('title')} placeholder={tr('quiz.title')} aria-label={tr('quiz.title')} className={`flex-1 min-w-[12rem] text-lg ${small}`} />
+              <span className={`text-xs px-2 py-1 rounded-full ${quiz.status === 'published' ? 'bg-green-500/30 text-green-100' : 'bg-white/10 text-white/70'}`}>{quiz.status === 'published' ? tr('quiz.publishedOn', { date: fmtDate(quiz.publishedAt) }) : tr('common.draft')}</span>
+            </div>
+            <textarea value={form.description} onChange={setField('description')} rows={2} placeholder={tr('quiz.instructions')} aria-label={tr('quiz.instructions')} className={`w-full resize-y ${small}`} />
+            <div className="grid sm:grid-cols-2 md:grid-cols-3 gap-3 text-white/70 text-sm">
+              <label className="space-y-1 block"><span>{tr('common.subject')}</span>
+                <select value={form.subject} onChange={setField('subject')} className={`w-full ${small}`}>
+                  {Object.keys(SUBJECTS).map(k => <option key={k} value={k} className="bg-gray-800">{subjectName(k)}</option>)}
+                </select>
+              </label>
+              <label className="space-y-1 block"><span>{tr('common.class')}</span>
+                <select value={form.classId} onChange={setField('classId')} className={`w-full ${small}`}>
+                  <option value="" className="bg-gray-800">{tr('quiz.allStudents')}</option>
+                  {form.classId && !classes.some(c => c.id === form.classId) && <option value={form.classId} className="bg-gray-800">{tr('quiz.archivedClassOption')}</option>}
+                  {classes.map(c => <option key={c.id} value={c.id} className="bg-gray-800">{c.name}</option>)}
+                </select>
+              </label>
+              <label className="space-y-1 block"><span>{tr('quiz.timeLimit')}</span>
+                <input type="number" min={1} max={600} value={form.timeLimit} onChange={setField('timeLimit')} className={`w-full ${small}`} />
+              </label>
+              <label className="space-y-1 block"><span>{tr('quiz.dueOptional')}</span>
+                <input type="datetime-local" value={form.dueAt} onChange={setField('dueAt')} className={`w-full ${small}`} />
+              </label>
+              <label className="space-y-1 block"><span>{tr('quiz.attemptsAllowed')}</span>
+                <input type="number" min={1} max={20} value={form.attempts} onChange={setField('attempts')} className={`w-full ${small}`} />
+              </label>
+              <label className="space-y-1 block"><span>{tr('quiz.passMark')}</span>
+                <input type="number" min={0} max={100} value={form.passPct} onChange={setField('passPct')} className={`w-full ${small}`} />
+              </label>
+              <label className="flex items-center gap-2 self-end pb-2">
+                <input type="checkbox" checked={form.shuffle} onChange={e => setForm(f => ({ ...f, shuffle: e.target.checked }))} /> {tr('quiz.shuffle')}
+              </label>
+            </div>
+            <div className="flex flex-wrap gap-2 pt-2">
+              <button onClick={() => save()} disabled={busy} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold disabled:opacity-60"><Save size={16} /> {tr('common.save')}</button>
+              {quiz.status === 'published'
+                ? <button onClick={() => save({ status: 'draft' })} disabled={busy} className={btn}><EyeOff size={16} /> {tr('common.unpublish')}</button>
+                : <button onClick={() => save({ status: 'published' })} disabled={busy || !form.questionIds.length} className={btn}><Send size={16} /> {tr('common.publish')}</button>}
+              <button onClick={() => setShowResults(v => !v)} aria-pressed={showResults} className={btn}><BarChart3 size={16} /> {tr('quiz.results', { n: fmtNumber(quiz.stats.attempts) })}</button>
+              <button onClick={() => setPendingDelete(quiz.id)} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-red-500/30 text-white text-sm"><Trash2 size={16} /> {tr('common.delete')}</button>
+            </div>
+            {quiz.status === 'published' && <p className="text-yellow-200/80 text-xs">{tr('quiz.publishedNote')}</p>}
+          </div>
+
+          {showResults && <QuizResults key={quiz.updatedAt} quizId={quiz.id} pushToast={pushToast} />}
+
+          <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+            <h3 className="text-white font-semibold text-xl mb-4">{tr('quiz.questionsHeading', { n: fmtNumber(form.questionIds.length), points: trn('quiz.points', totalPoints) })}</h3>
+            <div className="space-y-2">
+              {form.questionIds.map((id, i) => (
+                <div key={id} className="flex items-center gap-2 p-3 rounded-xl bg-white/5 border border-white/10">
+                  <span className="text-white/50 text-sm w-6">{fmtNumber(i + 1)}.</span>
+                  <span className="flex-1 min-w-0 text-white text-sm truncate">{byId[id] ? byId[id].title || byId[id].prompt : tr('quiz.missing')}</span>
+                  {byId[id] && <span className="text-xs px-2 py-0.5 rounded-full bg-purple-500/30 text-purple-100">{tr(`quiz.type.${byId[id].type}`)}</span>}
+                  <button onClick={() => move(i, -1)} disabled={i === 0} className="p-1 rounded bg-white/10 hover:bg-white/20 text-white disabled:opacity-30" title={tr('common.moveUp')} aria-label={tr('common.moveUp')}><ArrowUp size={14} /></button>
+                  <button onClick={() => move(i, 1)} disabled={i === form.questionIds.length - 1} className="p-1 rounded bg-white/10 hover:bg-white/20 text-white disabled:opacity-30" title={tr('common.moveDown')} aria-label={tr('common.moveDown')}><ArrowDown size={14} /></button>
+                  <button onClick={() => setForm(f => ({ ...f, questionIds: f.questionIds.filter(x => x !== id) }))} className="p-1 rounded bg-white/10 hover:bg-red-500/30 text-white" title={tr('common.remove')} aria-label={tr('common.remove')}><X size={14} /></button>
+                </div>
+              ))}
+            </div>
+
+            <div className="mt-4 pt-4 border-t border-white/10">
+              <div className="flex items-center gap-2 mb-2 px-3 py-2 rounded-lg bg-white/10 border border-white/20">
+                <Search size={16} className="text-white/60" />
+                <input value={pick} onChange={e => setPick(e.target.value)} placeholder={tr('quiz.pickFromBank')} aria-label={tr('quiz.pickFromBank')} className="bg-transparent outline-none text-white placeholder-gray-400 flex-1" />
+              </div>
+              <div className="max-h-64 overflow-y-auto space-y-1">
+                {candidates.map(q => (
+                  <button key={q.id} onClick={() => setForm(f => ({ ...f, questionIds: [...f.questionIds, q.id] }))} className="w-full flex items-center gap-2 p-2 rounded-lg hover:bg-white/10 text-start">
+                    <Plus size={14} className="text-purple-300 shrink-0" />
+                    <span className="flex-1 min-w-0 text-white/90 text-sm truncate">{q.title || q.prompt}</span>
+                    <span className="text-white/40 text-xs">{tr(`quiz.type.${q.type}`)} · {q.tags.map(t => `#${t}`).join(' ')}</span>
+                  </button>
+                ))}
+                {!candidates.length && <p className="text-white/50 text-sm p-2">{bank.questions.length ? tr('quiz.nothingElse') : tr('quiz.bankFirst')}</p>}
+              </div>
+            </div>
+          </div>
+        </div>
+      ) : (
+        <p className="text-white/60">{tr('quiz.builderIntro')}</p>
+      )}
+
+      <Confirm
+        open={!!pendingDelete}
+        title={tr('quiz.deleteQuizTitle')}
+        desc={tr('quiz.deleteQuizDesc')}
+        onCancel={() => setPendingDelete(null)}
+        onConfirm={remove}
+      />
+    </div>
+  );
+}
+
+function QuizStudio({ classId, classes, askModel, pushToast }) {
+  const [view, setView] = useState('bank');
+  const [bank, setBank] = useState(null);
+  const [quizzes, setQuizzes] = useState(null);
+
+  const loadBank = async () => {
+    try { setBank(await api('/api/questions')); }
+    catch (e) { pushToast(errorText(e), 'error'); }
+  };
+  const loadQuizzes = async () => {
+    try { setQuizzes((await api(`/api/quizzes${classId ? `?classId=${classId}` : ''}`)).quizzes); }
+    catch (e) { pushToast(errorText(e), 'error'); }
+  };
+  useEffect(() => { loadBank(); }, []);
+  useEffect(() => { loadQuizzes(); }, [classId]);
+
+  return (
+    <div className="p-6 overflow-y-auto h-full">
+      <div className="max-w-5xl mx-auto space-y-6">
+        <div className="flex flex-wrap items-center gap-3 mb-6">
+          <h2 className="text-3xl font-bold text-white flex-1">{tr('quiz.heading')}</h2>
+          {[['bank', tr('quiz.bankTab'), bank?.questions], ['quizzes', tr('quiz.heading'), quizzes]].map(([k, label, list]) => [k, list ? tr('quiz.withCount', { name: label, n: fmtNumber(list.length) }) : label]).map(([k, name]) => (
+            <button key={k} onClick={() => setView(k)} aria-pressed={view === k} className={`px-4 py-2 rounded-xl text-sm font-medium ${view === k ? 'bg-purple-500 text-white' : 'bg-white/10 text-white/80 hover:bg-white/20'}`}>{name}</button>
+          ))}
+        </div>
+        {!bank || !quizzes
+          ? <div className="flex justify-center p-6"><Loader2 className="animate-spin text-purple-300" size={32} /></div>
+          : view === 'bank'
+            ? <QuestionBank bank={bank} reload={async () => { await loadBank(); await loadQuizzes(); }} askModel={askModel} pushToast={pushToast} />
+            : <QuizBuilder bank={bank} quizzes={quizzes} classId={classId} classes={classes} reload={loadQuizzes} pushToast={pushToast} />}
+      </div>
+    </div>
+  );
+}
+
+/* ------------------- Student: take and review ------------------- */
+function AnswerInput({ q, value, onChange }) {
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  if (q.type === 'mc' || q.type === 'multi') {
+    const picked = q.type === 'multi' ? (Array.isArray(value) ? value : []) : [];
+    return (
+      <div className="space-y-2">
+        {q.choices.map(c => (
+          <label key={c.id} className="flex items-start gap-3 p-3 rounded-xl bg-white/5 hover:bg-white/10 border border-white/10 cursor-pointer">
+            {q.type === 'mc'
+              ? <input type="radio" name={q.id} checked={value === c.id} onChange={() => onChange(c.id)} className="mt-1" />
+              : <input type="checkbox" checked={picked.includes(c.id)} onChange={e => onChange(e.target.checked ? [...picked, c.id] : picked.filter(x => x !== c.id))} className="mt-1" />}
+            <Markdown text={c.text} className="flex-1 min-w-0 text-white/90" />
+          </label>
+        ))}
+        {q.type === 'multi' && <p className="text-white/50 text-xs">{tr('quiz.selectAll')}</p>}
+      </div>
+    );
+  }
+  if (q.type === 'matching') {
+    const map = value && typeof value === 'object' ? value : {};
+    return (
+      <div className="space-y-2">
+        {q.lefts.map(l => (
+          <div key={l.id} className="flex flex-wrap items-center gap-3">
+            <span className="flex-1 min-w-[8rem] text-white/90">{l.text}</span>
+            <select value={map[l.id] || ''} onChange={e => onChange({ ...map, [l.id]: e.target.value })} aria-label={l.text} className={`min-w-[10rem] ${small}`}>
+              <option value="" className="bg-gray-800">{tr('quiz.choose')}</option>
+              {q.rights.map(r => <option key={r} value={r} className="bg-gray-800">{r}</option>)}
+            </select>
+          </div>
+        ))}
+      </div>
+    );
+  }
+  return (
+    <input
+      value={value ?? ''}
+      onChange={e => onChange(e.target.value)}
+      inputMode={q.type === 'numeric' ? 'decimal' : undefined}
+      placeholder={q.type === 'numeric' ? tr('quiz.yourNumber') : tr('quiz.yourAnswerInput')}
+      aria-label={tr('quiz.yourAnswerInput')}
+      className={`w-full max-w-md ${q.type === 'numeric' ? 'font-mono' : ''} ${small}`}
+    />
+  );
+}
+
+function QuizPlayer({ attempt, onSubmitted, onExit, pushToast }) {
+  const [answers, setAnswers] = useState(attempt.answers || {});
+  const [saved, setSaved] = useState(true);
+  const [now, setNow] = useState(Date.now());
+  const [submitting, setSubmitting] = useState(false);
+  const [confirmOpen, setConfirmOpen] = useState(false);
+  const revision = useRef(0);
+  const sent = useRef(false);
+
+  const deadline = attempt.deadline ? Date.parse(attempt.deadline) : null;
+  const left = deadline ? Math.max(0, deadline - now) : null;
+  const unanswered = attempt.questions.filter(q => !isAnswered(q, answers[q.id])).length;
+
+  useEffect(() => {
+    if (!deadline) return;
+    const t = setInterval(() => setNow(Date.now()), 1000);
+    return () => clearInterval(t);
+  }, [deadline]);
+
+  // Autosave shortly after the last change
+  useEffect(() => {
+    if (saved) return;
+    const rev = revision.current;
+    const t = setTimeout(async () => {
+      try {
+        await api(`/api/attempts/${attempt.id}`, { method: 'PUT', body: { answers } });
+        if (revision.current === rev) setSaved(true);
+      } catch {}
+    }, 1500);
+    return () => clearTimeout(t);
+  }, [answers, saved]);
+
+  const answer = (id, v) => {
+    revision.current++;
+    setAnswers(a => ({ ...a, [id]: v }));
+    setSaved(false);
+  };
+
+  const submit = async () => {
+    if (sent.current) return;
+    sent.current = true;
+    setConfirmOpen(false);
+    setSubmitting(true);
+    try {
+      const d = await api(`/api/attempts/${attempt.id}/submit`, { method: 'POST', body: { answers, tz: -new Date().getTimezoneOffset() } });
+      onSubmitted(d.attempt, d.earned || []);
+    } catch (e) {
+      sent.current = false;
+      setSubmitting(false);
+      pushToast(errorText(e), 'error');
+    }
+  };
+
+  // Time's up: hand in whatever is there
+  useEffect(() => { if (left === 0) submit(); }, [left]);
+
+  return (
+    <div className="space-y-6">
+      <div className="sticky top-0 z-10 flex flex-wrap items-center gap-3 p-4 rounded-2xl bg-indigo-950/80 backdrop-blur-lg border border-white/10">
+        <button onClick={onExit} className="p-2 rounded-lg bg-white/10 hover:bg-white/20 text-white" title={tr('quiz.backToQuizzes')} aria-label={tr('quiz.backToQuizzes')}><ChevronLeft size={18} /></button>
+        <h3 className="text-white font-semibold text-lg flex-1 min-w-0 truncate">{attempt.title}</h3>
+        <span className="text-white/60 text-sm" aria-live="polite">{saved ? tr('common.saved') : tr('common.saving')} · {tr('quiz.answered', { done: fmtNumber(attempt.questions.length - unanswered), total: fmtNumber(attempt.questions.length) })}</span>
+        {left !== null && (
+          <span title={tr('quiz.timeLeft')} className={`flex items-center gap-1 font-mono px-3 py-1 rounded-lg ${left < 60_000 ? 'bg-red-500/40 text-white' : 'bg-white/10 text-white'}`}>
+            <Clock size={16} /> {fmtCountdown(left)}
+          </span>
+        )}
+        <button onClick={() => setConfirmOpen(true)} disabled={submitting} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold disabled:opacity-60">
+          {submitting && <Loader2 size={16} className="animate-spin" />} {tr('quiz.submit')}
+        </button>
+      </div>
+
+      {attempt.questions.map((q, i) => (
+        <div key={q.id} className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+          <p className="text-white/50 text-sm mb-2">{tr('quiz.questionHead', { n: fmtNumber(i + 1), points: trn('quiz.points', q.points) })}</p>
+          <Markdown text={q.prompt} className="text-white mb-4" />
+          <AnswerInput q={q} value={answers[q.id]} onChange={(v) => answer(q.id, v)} />
+        </div>
+      ))}
+
+      <Confirm
+        open={confirmOpen}
+        title={tr('quiz.submitTitle')}
+        desc={unanswered ? trn('quiz.unanswered', unanswered) : tr('quiz.final')}
+        onCancel={() => setConfirmOpen(false)}
+        onConfirm={submit}
+      />
+    </div>
+  );
+}
+
+function AttemptReview({ attempt, onExit }) {
+  const results = Object.fromEntries(attempt.results.map(r => [r.questionId, r]));
+  return (
+    <div className="space-y-6">
+      <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+        <div className="flex flex-wrap items-center gap-3">
+          <button onClick={onExit} className="p-2 rounded-lg bg-white/10 hover:bg-white/20 text-white" title={tr('quiz.backToQuizzes')} aria-label={tr('quiz.backToQuizzes')}><ChevronLeft size={18} /></button>
+          <h3 className="text-white font-semibold text-xl flex-1">{attempt.title}</h3>
+          <span className={`px-3 py-1 rounded-full text-sm ${attempt.passed ? 'bg-green-500/30 text-green-100' : 'bg-red-500/30 text-red-100'}`}>{attempt.passed ? tr('quiz.passed') : tr('quiz.notPassed')}</span>
+        </div>
+        <p className="text-white text-4xl font-bold mt-4">{fmtNumber(attempt.pct / 100, { style: 'percent' })}</p>
+        <p className="text-purple-300">{tr('quiz.scoreLine', { score: fmtNumber(attempt.score), max: fmtNumber(attempt.maxScore), date: fmtDate(attempt.submittedAt) })}</p>
+        {attempt.late && <p className="text-yellow-200/80 text-sm mt-1">{tr('quiz.lateNote')}</p>}
+        {!attempt.answerKey && <p className="text-white/60 text-sm mt-1">{tr('quiz.keyLater')}</p>}
+      </div>
+
+      {attempt.questions.map((q, i) => {
+        const r = results[q.id] || { fraction: 0, earned: 0, points: q.points };
+        const tone = r.fraction === 1 ? 'border-green-400/40' : r.fraction > 0 ? 'border-yellow-400/40' : 'border-red-400/40';
+        return (
+          <div key={q.id} className={`bg-white/10 backdrop-blur-lg rounded-2xl p-6 border ${tone}`}>
+            <div className="flex items-center gap-2 mb-2">
+              {r.fraction === 1 ? <CheckCircle size={18} className="text-green-400" /> : <XCircle size={18} className={r.fraction > 0 ? 'text-yellow-400' : 'text-red-400'} />}
+              <span className="text-white/60 text-sm">{tr('quiz.questionHead', { n: fmtNumber(i + 1), points: `${fmtNumber(r.earned)} / ${trn('quiz.points', r.points)}` })}</span>
+            </div>
+            <Markdown text={q.prompt} className="text-white mb-3" />
+            <p className="text-sm text-white/80"><span className="text-white/50">{tr('quiz.yourAnswer')} </span>{responseText(q, attempt.answers[q.id])}</p>
+            {r.fraction < 1 && attempt.answerKey && <p className="text-sm text-green-200"><span className="text-white/50">{tr('quiz.correctAnswer')} </span>{answerKeyText(q)}</p>}
+            {q.feedback && <p className="text-sm text-purple-200 mt-2">{q.feedback}</p>}
+          </div>
+        );
+      })}
+    </div>
+  );
+}
+
+function StudentQuizzes({ pushToast }) {
+  const [quizzes, setQuizzes] = useState(null);
+  const [attempt, setAttempt] = useState(null);
+  const [busy, setBusy] = useState(null);
+
+  const load = async () => {
+    try { setQuizzes((await api('/api/quizzes')).quizzes); }
+    catch (e) { pushToast(errorText(e), 'error'); }
+  };
+  useEffect(() => { load(); }, []);
+
+  const open = async (id, path, method) => {
+    setBusy(id);
+    try { setAttempt((await api(path, { method })).attempt); }
+    catch (e) { pushToast(errorText(e), 'error'); await load(); }
+    finally { setBusy(null); }
+  };
+
+  const exit = () => { setAttempt(null); load(); };
+
+  const submitted = (a, earned) => {
+    setAttempt(a);
+    earned.forEach(x => pushToast(tr('toast.achievement', { name: achievementText(x, 'name') }), 'info', 6000));
+  };
+
+  return (
+    <div className="p-6 overflow-y-auto h-full">
+      <div className="max-w-3xl mx-auto space-y-6">
+        {attempt ? (
+          attempt.submittedAt
+            ? <AttemptReview attempt={attempt} onExit={exit} />
+            : <QuizPlayer key={attempt.id} attempt={attempt} onSubmitted={submitted} onExit={exit} pushToast={pushToast} />
+        ) : (
+          <>
+            <h2 className="text-3xl font-bold text-white mb-6">{tr('quiz.heading')}</h2>
+            {!quizzes && <div className="flex justify-center p-6"><Loader2 className="animate-spin text-purple-300" size={32} /></div>}
+            {quizzes && !quizzes.length && <p className="text-white/60">{tr('quiz.noQuizzes')}</p>}
+            {quizzes?.map(q => {
+              const closed = q.dueAt && Date.parse(q.dueAt) < Date.now() && !q.openAttemptId;
+              const canStart = !closed && (q.openAttemptId || q.attemptsUsed < q.attempts);
+              return (
+                <div key={q.id} className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+                  <div className="flex flex-wrap items-start gap-4">
+                    <div className="flex-1 min-w-[12rem]">
+                      <h3 className="text-white font-semibold text-xl">{q.title}</h3>
+                      {q.description && <p className="text-white/70 text-sm mt-1 whitespace-pre-wrap">{q.description}</p>}
+                      <p className="text-white/50 text-sm mt-2">
+                        {subjectName(q.subject)} · {trn('quiz.questions', q.questionCount)}
+                        {' · '}{q.timeLimit ? tr('common.nMin', { n: fmtNumber(q.timeLimit) }) : tr('quiz.untimed')}
+                        {' · '}{tr('quiz.attemptsUsed', { used: fmtNumber(q.attemptsUsed), total: fmtNumber(q.attempts) })}
+                        {q.dueAt && ` · ${tr('quiz.dueOn', { date: fmtDate(q.dueAt) })}`}
+                      </p>
+                      {q.best !== null && <p className={`text-sm mt-1 ${q.best >= q.passPct ? 'text-green-300' : 'text-yellow-200'}`}>{tr('quiz.best', { best: fmtNumber(q.best / 100, { style: 'percent' }), pass: fmtNumber(q.passPct / 100, { style: 'percent' }) })}</p>}
+                    </div>
+                    <div className="flex gap-2">
+                      {q.lastAttemptId && (
+                        <button onClick={() => open(q.id, `/api/attempts/${q.lastAttemptId}`, 'GET')} disabled={!!busy} className="px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm">{tr('quiz.review')}</button>
+                      )}
+                      {canStart ? (
+                        <button onClick={() => open(q.id, `/api/quizzes/${q.id}/start`, 'POST')} disabled={!!busy} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold disabled:opacity-60">
+                          {busy === q.id && <Loader2 size={16} className="animate-spin" />} {q.openAttemptId ? tr('quiz.resume') : q.attemptsUsed ? tr('quiz.tryAgain') : tr('quiz.start')}
+                        </button>
+                      ) : <span className="self-center text-white/50 text-sm">{closed ? tr('quiz.closed') : tr('quiz.noAttemptsLeft')}</span>}
+                    </div>
+                  </div>
+                </div>
+              );
+            })}
+          </>
+        )}
+      </div>
+    </div>
+  );
+}
+
+// classId: the class picked in the header; teachers' quiz lists follow it
+function QuizzesTab({ user, classId, classes, askModel, pushToast }) {
+  return user?.role === 'student'
+    ? <StudentQuizzes pushToast={pushToast} />
+    : <QuizStudio classId={classId} classes={classes} askModel={askModel} pushToast={pushToast} />;
+}
+
+/* ----------------------------------------------------------------------------
+   Lesson plans: block kinds and the built-in template library (Lessons tab)
+---------------------------------------------------------------------------- */
+addMessages({
+  en: {
+    'lesson.kind.warmup': 'Warm-up',
+    'lesson.kind.instruction': 'Direct instruction',
+    'lesson.kind.guided': 'Guided practice',
+    'lesson.kind.independent': 'Independent practice',
+    'lesson.kind.group': 'Group work',
+    'lesson.kind.assessment': 'Assessment',
+    'lesson.kind.closure': 'Closure',
+    'lesson.kind.other': 'Other',
+    'lesson.diff.support': 'Support',
+    'lesson.diff.support.hint': 'Scaffolds for students who need more help',
+    'lesson.diff.extension': 'Extension',
+    'lesson.diff.extension.hint': 'Stretch tasks for students who finish early',
+    'lesson.diff.language': 'Language learners',
+    'lesson.diff.language.hint': 'Vocabulary, visuals, sentence frames',
+    'lesson.diff.accommodations': 'Accommodations',
+    'lesson.diff.accommodations.hint': 'IEP/504 adjustments, seating, timing',
+    'lesson.tpl.direct.name': 'I do · We do · You do',
+    'lesson.tpl.direct.desc': 'Explicit instruction with gradual release',
+    'lesson.tpl.direct.1': 'Do now / review',
+    'lesson.tpl.direct.1.details': 'Short retrieval question on the previous lesson.',
+    'lesson.tpl.direct.2': 'I do: model',
+    'lesson.tpl.direct.2.details': 'Think aloud through one or two worked examples.',
+    'lesson.tpl.direct.3': 'We do: practice together',
+    'lesson.tpl.direct.3.details': 'Students try similar problems with prompting; check for understanding.',
+    'lesson.tpl.direct.4': 'You do: independent practice',
+    'lesson.tpl.direct.4.details': 'Students work alone; circulate and conference.',
+    'lesson.tpl.direct.5': 'Exit ticket',
+    'lesson.tpl.direct.5.details': 'One question that shows whether the objective was met.',
+    'lesson.tpl.5e.name': '5E inquiry',
+    'lesson.tpl.5e.desc': 'Engage, explore, explain, elaborate, evaluate',
+    'lesson.tpl.5e.1': 'Engage',
+    'lesson.tpl.5e.1.details': 'Hook: a puzzling phenomenon, question or demo.',
+    'lesson.tpl.5e.2': 'Explore',
+    'lesson.tpl.5e.2.details': 'Hands-on investigation in small groups.',
+    'lesson.tpl.5e.3': 'Explain',
+    'lesson.tpl.5e.3.details': 'Groups share findings; introduce vocabulary and the formal idea.',
+    'lesson.tpl.5e.4': 'Elaborate',
+    'lesson.tpl.5e.4.details': 'Apply the idea to a new situation.',
+    'lesson.tpl.5e.5': 'Evaluate',
+    'lesson.tpl.5e.5.details': 'Quick check or reflection against the objectives.',
+    'lesson.tpl.workshop.name': 'Workshop',
+    'lesson.tpl.workshop.desc': 'Mini-lesson, long work time, share',
+    'lesson.tpl.workshop.1': 'Mini-lesson',
+    'lesson.tpl.workshop.1.details': 'One teaching point, modelled with a mentor text or example.',
+    'lesson.tpl.workshop.2': 'Work time',
+    'lesson.tpl.workshop.2.details': 'Students apply the teaching point; small-group and 1:1 conferences.',
+    'lesson.tpl.workshop.3': 'Share',
+    'lesson.tpl.workshop.3.details': 'Two or three students share; name the strategy again.',
+    'lesson.tpl.lab.name': 'Lab investigation',
+    'lesson.tpl.lab.desc': 'Question, procedure, data, conclusion',
+    'lesson.tpl.lab.material1': 'Lab handout',
+    'lesson.tpl.lab.material2': 'Safety goggles',
+    'lesson.tpl.lab.1': 'Question & prediction',
+    'lesson.tpl.lab.1.details': 'Pose the research question; students write a hypothesis.',
+    'lesson.tpl.lab.2': 'Safety & procedure',
+    'lesson.tpl.lab.2.details': 'Walk through the procedure and safety rules.',
+    'lesson.tpl.lab.3': 'Collect data',
+    'lesson.tpl.lab.3.details': 'Groups run the procedure and record results in a table.',
+    'lesson.tpl.lab.4': 'Analyse',
+    'lesson.tpl.lab.4.details': 'Graph the data and look for patterns.',
+    'lesson.tpl.lab.5': 'Conclusion (CER)',
+    'lesson.tpl.lab.5.details': 'Claim, evidence, reasoning — does the data support the hypothesis?',
+    'lesson.tpl.seminar.name': 'Socratic seminar',
+    'lesson.tpl.seminar.desc': 'Text-based discussion with fishbowl',
+    'lesson.tpl.seminar.1': 'Norms & opening question',
+    'lesson.tpl.seminar.1.details': 'Review discussion norms; pose the opening question.',
+    'lesson.tpl.seminar.2': 'Inner circle discussion',
+    'lesson.tpl.seminar.2.details': 'Inner circle discusses; outer circle tracks evidence and questions.',
+    'lesson.tpl.seminar.3': 'Switch circles',
+    'lesson.tpl.seminar.3.details': 'Circles swap roles.',
+    'lesson.tpl.seminar.4': 'Debrief & reflection',
+    'lesson.tpl.seminar.4.details': 'Self-assess participation; write one idea that changed.',
+    'lesson.untitled': 'Untitled lesson',
+    'lesson.planTitle': 'Lesson plan',
+    'lesson.grade': 'Grade',
+    'lesson.duration': 'Duration',
+    'lesson.section.objectives': 'Objectives',
+    'lesson.section.standards': 'Standards',
+    'lesson.section.blocks': 'Activities',
+    'lesson.section.materials': 'Materials',
+    'lesson.section.differentiation': 'Differentiation',
+    'lesson.section.rubric': 'Rubric',
+    'lesson.rubricTitled': 'Rubric: {title}',
+    'lesson.notes': 'Notes',
+    'lesson.swbat': 'Students will be able to:',
+    'lesson.col.time': 'Time',
+    'lesson.col.activity': 'Activity',
+    'lesson.col.type': 'Type',
+    'lesson.col.details': 'Details',
+    'lesson.criterion': 'Criterion',
+    'lesson.minRange': '{start}–{end} min',
+    'lesson.draftSection': 'Draft the {section} section with AI',
+    'lesson.draft': 'Draft',
+    'lesson.needTitle': 'Give the lesson a title (its topic) first',
+    'lesson.aiEmpty': 'The AI reply had nothing usable. Try again.',
+    'lesson.new': 'New lesson',
+    'lesson.search': 'Search plans...',
+    'lesson.gradeN': 'Grade {grade}',
+    'lesson.noMatches': 'No plans match.',
+    'lesson.none': 'No lesson plans yet.',
+    'lesson.myTemplates': 'My templates',
+    'lesson.startFrom': 'Start from a template',
+    'lesson.closeTemplates': 'Close templates',
+    'lesson.blank': 'Blank plan',
+    'lesson.blankDesc': 'Start from scratch',
+    'lesson.myTemplate.one': 'My template · {n} activity',
+    'lesson.myTemplate.two': 'My template · {n} activities',
+    'lesson.myTemplate.few': 'My template · {n} activities',
+    'lesson.myTemplate.other': 'My template · {n} activities',
+    'lesson.pick': 'Open a plan on the left or start a new one.',
+    'lesson.titlePlaceholder': 'Lesson title / topic',
+    'lesson.gradeExample': 'e.g. 7',
+    'lesson.notLinked': '{name} (not linked)',
+    'lesson.archived': '{name} (archived)',
+    'lesson.durationMin': 'Duration (min)',
+    'lesson.draftAll': 'Draft whole plan',
+    'lesson.print': 'Print / PDF',
+    'lesson.savedTemplate': 'Saved as a template.',
+    'lesson.saveTemplate': 'Save as template',
+    'lesson.templateNote': 'This is one of your templates. New lessons started from it get a copy.',
+    'lesson.dupNote': 'Copy this plan to other classes, one copy each. Pick none for a single copy.',
+    'lesson.noClasses': 'You have no classes yet; create them in the Classes tab.',
+    'lesson.copies.one': 'Created {n} copy.',
+    'lesson.copies.two': 'Created {n} copies.',
+    'lesson.copies.few': 'Created {n} copies.',
+    'lesson.copies.other': 'Created {n} copies.',
+    'lesson.copyTitle': '{title} (copy)',
+    'lesson.swbatHint': 'Students will be able to…',
+    'lesson.objectiveExample': 'e.g. solve two-step linear equations',
+    'lesson.standardPlaceholder': 'Add a standard code, e.g. NGSS MS-LS1-6',
+    'lesson.addStandard': 'Add standard',
+    'lesson.planned': '{total} min planned',
+    'lesson.plannedOf': '{total} of {duration} min planned',
+    'lesson.minutes': 'Minutes',
+    'lesson.detailsPlaceholder': 'What the teacher and students do',
+    'lesson.addActivity': 'Add activity',
+    'lesson.materialExample': 'e.g. Mini whiteboards',
+    'lesson.blankRubric': 'Blank rubric',
+    'lesson.rubricTitle': 'Rubric title',
+    'lesson.addCriterion': 'Add criterion',
+    'lesson.notesPlaceholder': 'Reflections, homework, reminders…',
+    'lesson.deleteTitle': 'Delete lesson plan?',
+    'lesson.deleteDesc': 'The plan is deleted for good. Copies made for other classes stay.'
+  },
+  fa: {
+    'lesson.kind.warmup': 'گرم‌کردن',
+    'lesson.kind.instruction': 'آموزش مستقیم',
+    'lesson.kind.guided': 'تمرین هدایت‌شده',
+    'lesson.kind.independent': 'تمرین مستقل',
+    'lesson.kind.group': 'کار گروهی',
+    'lesson.kind.assessment': 'ارزشیابی',
+    'lesson.kind.closure': 'جمع‌بندی',
+    'lesson.kind.other': 'دیگر',
+    'lesson.diff.support': 'پشتیبانی',
+    'lesson.diff.support.hint': 'داربست برای دانش‌آموزانی که کمک بیشتری لازم دارند',
+    'lesson.diff.extension': 'گسترش',
+    'lesson.diff.extension.hint': 'کارهای چالشی برای دانش‌آموزانی که زودتر تمام می‌کنند',
+    'lesson.diff.language': 'زبان‌آموزان',
+    'lesson.diff.language.hint': 'واژگان، تصویرها، قالب‌های جمله',
+    'lesson.diff.accommodations': 'تسهیلات',
+    'lesson.diff.accommodations.hint': 'تنظیم‌های برنامهٔ فردی، جای نشستن، زمان‌بندی',
+    'lesson.tpl.direct.name': 'من انجام می‌دهم · با هم انجام می‌دهیم · تو انجام می‌دهی',
+    'lesson.tpl.direct.desc': 'آموزش صریح با واگذاری تدریجی',
+    'lesson.tpl.direct.1': 'کار آغازین / مرور',
+    'lesson.tpl.direct.1.details': 'پرسش کوتاه یادآوری دربارهٔ درس قبل.',
+    'lesson.tpl.direct.2': 'من انجام می‌دهم: الگو',
+    'lesson.tpl.direct.2.details': 'یک یا دو مثال حل‌شده را با بلند فکر کردن پیش ببرید.',
+    'lesson.tpl.direct.3': 'با هم انجام می‌دهیم: تمرین مشترک',
+    'lesson.tpl.direct.3.details': 'دانش‌آموزان با راهنمایی مسئله‌های مشابه را امتحان می‌کنند؛ فهم را بسنجید.',
+    'lesson.tpl.direct.4': 'تو انجام می‌دهی: تمرین مستقل',
+    'lesson.tpl.direct.4.details': 'دانش‌آموزان تنها کار می‌کنند؛ در کلاس بچرخید و گفت‌وگو کنید.',
+    'lesson.tpl.direct.5': 'برگهٔ خروج',
+    'lesson.tpl.direct.5.details': 'یک پرسش که نشان دهد هدف برآورده شده یا نه.',
+    'lesson.tpl.5e.name': 'کاوشگری ۵E',
+    'lesson.tpl.5e.desc': 'درگیرسازی، کاوش، توضیح، گسترش، ارزشیابی',
+    'lesson.tpl.5e.1': 'درگیرسازی',
+    'lesson.tpl.5e.1.details': 'قلاب: پدیده، پرسش یا نمایشی گیج‌کننده.',
+    'lesson.tpl.5e.2': 'کاوش',
+    'lesson.tpl.5e.2.details': 'بررسی عملی در گروه‌های کوچک.',
+    'lesson.tpl.5e.3': 'توضیح',
+    'lesson.tpl.5e.3.details': 'گروه‌ها یافته‌ها را به اشتراک می‌گذارند؛ واژگان و ایدهٔ رسمی را معرفی کنید.',
+    'lesson.tpl.5e.4': 'گسترش',
+    'lesson.tpl.5e.4.details': 'ایده را در موقعیتی تازه به کار ببرید.',
+    'lesson.tpl.5e.5': 'ارزشیابی',
+    'lesson.tpl.5e.5.details': 'سنجش سریع یا بازاندیشی بر پایهٔ هدف‌ها.',
+    'lesson.tpl.workshop.name': 'کارگاه',
+    'lesson.tpl.workshop.desc': 'درس کوتاه، زمان کار طولانی، اشتراک',
+    'lesson.tpl.workshop.1': 'درس کوتاه',
+    'lesson.tpl.workshop.1.details': 'یک نکتهٔ آموزشی که با یک متن یا نمونهٔ الگو نشان داده می‌شود.',
+    'lesson.tpl.workshop.2': 'زمان کار',
+    'lesson.tpl.workshop.2.details': 'دانش‌آموزان نکته را به کار می‌برند؛ گفت‌وگو در گروه کوچک و تک‌به‌تک.',
+    'lesson.tpl.workshop.3': 'اشتراک',
+    'lesson.tpl.workshop.3.details': 'دو یا سه دانش‌آموز کارشان را نشان می‌دهند؛ راهبرد را دوباره نام ببرید.',
+    'lesson.tpl.lab.name': 'بررسی آزمایشگاهی',
+    'lesson.tpl.lab.desc': 'پرسش، روش، داده، نتیجه',
+    'lesson.tpl.lab.material1': 'برگهٔ آزمایش',
+    'lesson.tpl.lab.material2': 'عینک ایمنی',
+    'lesson.tpl.lab.1': 'پرسش و پیش‌بینی',
+    'lesson.tpl.lab.1.details': 'پرسش پژوهش را مطرح کنید؛ دانش‌آموزان فرضیه می‌نویسند.',
+    'lesson.tpl.lab.2': 'ایمنی و روش کار',
+    'lesson.tpl.lab.2.details': 'روش کار و قوانین ایمنی را مرور کنید.',
+    'lesson.tpl.lab.3': 'گردآوری داده',
+    'lesson.tpl.lab.3.details': 'گروه‌ها روش را اجرا و نتیجه‌ها را در جدول ثبت می‌کنند.',
+    'lesson.tpl.lab.4': 'تحلیل',
+    'lesson.tpl.lab.4.details': 'داده‌ها را نمودار کنید و دنبال الگو بگردید.',
+    'lesson.tpl.lab.5': 'نتیجه‌گیری (ادعا، شاهد، استدلال)',
+    'lesson.tpl.lab.5.details': 'ادعا، شاهد، استدلال — آیا داده‌ها فرضیه را تأیید می‌کنند؟',
+    'lesson.tpl.seminar.name': 'سمینار سقراطی',
+    'lesson.tpl.seminar.desc': 'بحث متن‌محور به شیوهٔ تنگ ماهی',
+    'lesson.tpl.seminar.1': 'هنجارها و پرسش آغازین',
+    'lesson.tpl.seminar.1.details': 'هنجارهای بحث را مرور کنید؛ پرسش آغازین را مطرح کنید.',
+    'lesson.tpl.seminar.2': 'بحث حلقهٔ درونی',
+    'lesson.tpl.seminar.2.details': 'حلقهٔ درونی بحث می‌کند؛ حلقهٔ بیرونی شاهدها و پرسش‌ها را دنبال می‌کند.',
+    'lesson.tpl.seminar.3': 'جابه‌جایی حلقه‌ها',
+    'lesson.tpl.seminar.3.details': 'حلقه‌ها نقش‌ها را عوض می‌کنند.',
+    'lesson.tpl.seminar.4': 'جمع‌بندی و بازاندیشی',
+    'lesson.tpl.seminar.4.details': 'مشارکت خود را ارزیابی کنید؛ یک ایده‌ای را که تغییر کرد بنویسید.',
+    'lesson.untitled': 'درس بی‌نام',
+    'lesson.planTitle': 'طرح درس',
+    'lesson.grade': 'پایه',
+    'lesson.duration': 'مدت',
+    'lesson.section.objectives': 'هدف‌ها',
+    'lesson.section.standards': 'استانداردها',
+    'lesson.section.blocks': 'فعالیت‌ها',
+    'lesson.section.materials': 'وسایل',
+    'lesson.section.differentiation': 'تمایزبخشی',
+    'lesson.section.rubric': 'روبریک',
+    'lesson.rubricTitled': 'روبریک: {title}',
+    'lesson.notes': 'یادداشت‌ها',
+    'lesson.swbat': 'دانش‌آموزان خواهند توانست:',
+    'lesson.col.time': 'زمان',
+    'lesson.col.activity': 'فعالیت',
+    'lesson.col.type': 'نوع',
+    'lesson.col.details': 'جزئیات',
+    'lesson.criterion': 'معیار',
+    'lesson.minRange': 'دقیقهٔ {start}–{end}',
+    'lesson.draftSection': 'پیش‌نویس بخش {section} با هوش مصنوعی',
+    'lesson.draft': 'پیش‌نویس',
+    'lesson.needTitle': 'اول برای درس عنوانی (موضوعش) بنویسید',
+    'lesson.aiEmpty': 'پاسخ هوش مصنوعی چیز به‌دردبخوری نداشت. دوباره تلاش کنید.',
+    'lesson.new': 'درس تازه',
+    'lesson.search': 'جستجوی طرح‌ها...',
+    'lesson.gradeN': 'پایهٔ {grade}',
+    'lesson.noMatches': 'هیچ طرحی جور نیست.',
+    'lesson.none': 'هنوز طرح درسی نیست.',
+    'lesson.myTemplates': 'الگوهای من',
+    'lesson.startFrom': 'شروع از یک الگو',
+    'lesson.closeTemplates': 'بستن الگوها',
+    'lesson.blank': 'طرح خالی',
+    'lesson.blankDesc': 'از صفر شروع کنید',
+    'lesson.myTemplate.one': 'الگوی من · {n} فعالیت',
+    'lesson.myTemplate.two': 'الگوی من · {n} فعالیت',
+    'lesson.myTemplate.few': 'الگوی من · {n} فعالیت',
+    'lesson.myTemplate.other': 'الگوی من · {n} فعالیت',
+    'lesson.pick': 'طرحی را از فهرست باز کنید یا طرح تازه‌ای شروع کنید.',
+    'lesson.titlePlaceholder': 'عنوان / موضوع درس',
+    'lesson.gradeExample': 'مثلاً ۷',
+    'lesson.notLinked': '{name} (پیوند نشده)',
+    'lesson.archived': '{name} (بایگانی‌شده)',
+    'lesson.durationMin': 'مدت (دقیقه)',
+    'lesson.draftAll': 'پیش‌نویس کل طرح',
+    'lesson.print': 'چاپ / PDF',
+    'lesson.savedTemplate': 'به‌عنوان الگو ذخیره شد.',
+    'lesson.saveTemplate': 'ذخیره به‌عنوان الگو',
+    'lesson.templateNote': 'این یکی از الگوهای شماست. درس‌هایی که از آن شروع شوند یک نسخه می‌گیرند.',
+    'lesson.dupNote': 'این طرح را در کلاس‌های دیگر کپی کنید، برای هر کدام یک نسخه. برای یک نسخهٔ تنها هیچ‌کدام را انتخاب نکنید.',
+    'lesson.noClasses': 'هنوز کلاسی ندارید؛ آن‌ها را در زبانهٔ کلاس‌ها بسازید.',
+    'lesson.copies.one': '{n} نسخه ساخته شد.',
+    'lesson.copies.two': '{n} نسخه ساخته شد.',
+    'lesson.copies.few': '{n} نسخه ساخته شد.',
+    'lesson.copies.other': '{n} نسخه ساخته شد.',
+    'lesson.copyTitle': '{title} (رونوشت)',
+    'lesson.swbatHint': 'دانش‌آموزان خواهند توانست…',
+    'lesson.objectiveExample': 'مثلاً حل معادله‌های خطی دومرحله‌ای',
+    'lesson.standardPlaceholder': 'کد استانداردی اضافه کنید، مثلاً NGSS MS-LS1-6',
+    'lesson.addStandard': 'افزودن استاندارد',
+    'lesson.planned': '{total} دقیقه برنامه‌ریزی‌شده',
+    'lesson.plannedOf': '{total} از {duration} دقیقه برنامه‌ریزی‌شده',
+    'lesson.minutes': 'دقیقه',
+    'lesson.detailsPlaceholder': 'کاری که معلم و دانش‌آموزان انجام می‌دهند',
+    'lesson.addActivity': 'افزودن فعالیت',
+    'lesson.materialExample': 'مثلاً تخته‌های کوچک',
+    'lesson.blankRubric': 'روبریک خالی',
+    'lesson.rubricTitle': 'عنوان روبریک',
+    'lesson.addCriterion': 'افزودن معیار',
+    'lesson.notesPlaceholder': 'بازاندیشی، تکلیف، یادآوری…',
+    'lesson.deleteTitle': 'طرح درس حذف شود؟',
+    'lesson.deleteDesc': 'طرح برای همیشه حذف می‌شود. نسخه‌های ساخته‌شده برای کلاس‌های دیگر می‌مانند.'
+  },
+  ar: {
+    'lesson.kind.warmup': 'التهيئة',
+    'lesson.kind.instruction': 'التدريس المباشر',
+    'lesson.kind.guided': 'الممارسة الموجّهة',
+    'lesson.kind.independent': 'الممارسة المستقلة',
+    'lesson.kind.group': 'العمل الجماعي',
+    'lesson.kind.assessment': 'التقييم',
+    'lesson.kind.closure': 'الختام',
+    'lesson.kind.other': 'أخرى',
+    'lesson.diff.support': 'الدعم',
+    'lesson.diff.support.hint': 'دعامات للطلاب الذين يحتاجون إلى مساعدة أكبر',
+    'lesson.diff.extension': 'الإثراء',
+    'lesson.diff.extension.hint': 'مهام إضافية للطلاب الذين ينتهون مبكرًا',
+    'lesson.diff.language': 'متعلمو اللغة',
+    'lesson.diff.language.hint': 'المفردات، الوسائل البصرية، قوالب الجمل',
+    'lesson.diff.accommodations': 'التسهيلات',
+    'lesson.diff.accommodations.hint': 'تعديلات الخطة الفردية، الجلوس، التوقيت',
+    'lesson.tpl.direct.name': 'أنا أعمل · نعمل معًا · أنت تعمل',
+    'lesson.tpl.direct.desc': 'تدريس صريح مع نقل تدريجي للمسؤولية',
+    'lesson.tpl.direct.1': 'نشاط البدء / مراجعة',
+    'lesson.tpl.direct.1.details': 'سؤال استرجاع قصير عن الدرس السابق.',
+    'lesson.tpl.direct.2': 'أنا أعمل: النمذجة',
+    'lesson.tpl.direct.2.details': 'فكّر بصوت عالٍ خلال مثال محلول أو مثالين.',
+    'lesson.tpl.direct.3': 'نعمل معًا: ممارسة مشتركة',
+    'lesson.tpl.direct.3.details': 'يجرب الطلاب مسائل مشابهة بتوجيه؛ تحقق من الفهم.',
+    'lesson.tpl.direct.4': 'أنت تعمل: ممارسة مستقلة',
+    'lesson.tpl.direct.4.details': 'يعمل الطلاب منفردين؛ تجوّل بينهم وناقشهم.',
+    'lesson.tpl.direct.5': 'بطاقة الخروج',
+    'lesson.tpl.direct.5.details': 'سؤال واحد يبيّن ما إذا تحقق الهدف.',
+    'lesson.tpl.5e.name': 'الاستقصاء 5E',
+    'lesson.tpl.5e.desc': 'التشويق، الاستكشاف، التفسير، التوسع، التقييم',
+    'lesson.tpl.5e.1': 'التشويق',
+    'lesson.tpl.5e.1.details': 'مدخل: ظاهرة أو سؤال أو عرض محيّر.',
+    'lesson.tpl.5e.2': 'الاستكشاف',
+    'lesson.tpl.5e.2.details': 'استقصاء عملي في مجموعات صغيرة.',
+    'lesson.tpl.5e.3': 'التفسير',
+    'lesson.tpl.5e.3.details': 'تعرض المجموعات نتائجها؛ قدّم المفردات والفكرة الرسمية.',
+    'lesson.tpl.5e.4': 'التوسع',
+    'lesson.tpl.5e.4.details': 'طبّق الفكرة على موقف جديد.',
+    'lesson.tpl.5e.5': 'التقييم',
+    'lesson.tpl.5e.5.details': 'فحص سريع أو تأمل مقابل الأهداف.',
+    'lesson.tpl.workshop.name': 'ورشة عمل',
+    'lesson.tpl.workshop.desc': 'درس قصير، وقت عمل طويل، مشاركة',
+    'lesson.tpl.workshop.1': 'درس قصير',
+    'lesson.tpl.workshop.1.details': 'نقطة تعليمية واحدة تُنمذَج بنص أو مثال مرشد.',
+    'lesson.tpl.workshop.2': 'وقت العمل',
+    'lesson.tpl.workshop.2.details': 'يطبّق الطلاب النقطة التعليمية؛ لقاءات في مجموعات صغيرة وفردية.',
+    'lesson.tpl.workshop.3': 'المشاركة',
+    'lesson.tpl.workshop.3.details': 'يعرض طالبان أو ثلاثة أعمالهم؛ سمِّ الاستراتيجية مجددًا.',
+    'lesson.tpl.lab.name': 'استقصاء مخبري',
+    'lesson.tpl.lab.desc': 'سؤال، إجراء، بيانات، استنتاج',
+    'lesson.tpl.lab.material1': 'ورقة المختبر',
+    'lesson.tpl.lab.material2': 'نظارات السلامة',
+    'lesson.tpl.lab.1': 'السؤال والتوقع',
+    'lesson.tpl.lab.1.details': 'اطرح سؤال البحث؛ يكتب الطلاب فرضية.',
+    'lesson.tpl.lab.2': 'السلامة والإجراء',
+    'lesson.tpl.lab.2.details': 'استعرض الإجراء وقواعد السلامة.',
+    'lesson.tpl.lab.3': 'جمع البيانات',
+    'lesson.tpl.lab.3.details': 'تنفذ المجموعات الإجراء وتسجل النتائج في جدول.',
+    'lesson.tpl.lab.4': 'التحليل',
+    'lesson.tpl.lab.4.details': 'مثّل البيانات بيانيًا وابحث عن الأنماط.',
+    'lesson.tpl.lab.5': 'الاستنتاج (ادعاء، دليل، تعليل)',
+    'lesson.tpl.lab.5.details': 'ادعاء، دليل، تعليل — هل تدعم البيانات الفرضية؟',
+    'lesson.tpl.seminar.name': 'الندوة السقراطية',
+    'lesson.tpl.seminar.desc': 'نقاش قائم على النص بأسلوب حوض السمك',
+    'lesson.tpl.seminar.1': 'القواعد والسؤال الافتتاحي',
+    'lesson.tpl.seminar.1.details': 'راجع قواعد النقاش؛ اطرح السؤال الافتتاحي.',
+    'lesson.tpl.seminar.2': 'نقاش الدائرة الداخلية',
+    'lesson.tpl.seminar.2.details': 'تتناقش الدائرة الداخلية؛ وتتتبع الخارجية الأدلة والأسئلة.',
+    'lesson.tpl.seminar.3': 'تبديل الدائرتين',
+    'lesson.tpl.seminar.3.details': 'تتبادل الدائرتان الأدوار.',
+    'lesson.tpl.seminar.4': 'المراجعة والتأمل',
+    'lesson.tpl.seminar.4.details': 'قيّم مشاركتك ذاتيًا؛ اكتب فكرة واحدة تغيّرت.',
+    'lesson.untitled': 'درس بلا عنوان',
+    'lesson.planTitle': 'خطة الدرس',
+    'lesson.grade': 'الصف الدراسي',
+    'lesson.duration': 'المدة',
+    'lesson.section.objectives': 'الأهداف',
+    'lesson.section.standards': 'المعايير',
+    'lesson.section.blocks': 'الأنشطة',
+    'lesson.section.materials': 'المواد',
+    'lesson.section.differentiation': 'التمايز',
+    'lesson.section.rubric': 'سلّم التقدير',
+    'lesson.rubricTitled': 'سلّم التقدير: {title}',
+    'lesson.notes': 'ملاحظات',
+    'lesson.swbat': 'سيتمكن الطلاب من:',
+    'lesson.col.time': 'الوقت',
+    'lesson.col.activity': 'النشاط',
+    'lesson.col.type': 'النوع',
+    'lesson.col.details': 'التفاصيل',
+    'lesson.criterion': 'المعيار',
+    'lesson.minRange': 'الدقيقة {start}–{end}',
+    'lesson.draftSection': 'صياغة قسم {section} بالذكاء الاصطناعي',
+    'lesson.draft': 'صياغة',
+    'lesson.needTitle': 'أعطِ الدرس عنوانًا (موضوعه) أولًا',
+    'lesson.aiEmpty': 'لم يتضمن رد الذكاء الاصطناعي شيئًا قابلًا للاستخدام. حاول مجددًا.',
+    'lesson.new': 'درس جديد',
+    'lesson.search': 'ابحث في الخطط...',
+    'lesson.gradeN': 'الصف {grade}',
+    'lesson.noMatches': 'لا خطط مطابقة.',
+    'lesson.none': 'لا خطط دروس بعد.',
+    'lesson.myTemplates': 'قوالبي',
+    'lesson.startFrom': 'ابدأ من قالب',
+    'lesson.closeTemplates': 'إغلاق القوالب',
+    'lesson.blank': 'خطة فارغة',
+    'lesson.blankDesc': 'ابدأ من الصفر',
+    'lesson.myTemplate.one': 'قالبي · نشاط واحد',
+    'lesson.myTemplate.two': 'قالبي · نشاطان',
+    'lesson.myTemplate.few': 'قالبي · {n} أنشطة',
+    'lesson.myTemplate.other': 'قالبي · {n} نشاطًا',
+    'lesson.pick': 'افتح خطة من القائمة أو ابدأ خطة جديدة.',
+    'lesson.titlePlaceholder': 'عنوان الدرس / موضوعه',
+    'lesson.gradeExample': 'مثلًا 7',
+    'lesson.notLinked': '{name} (غير مرتبط)',
+    'lesson.archived': '{name} (مؤرشف)',
+    'lesson.durationMin': 'المدة (دقيقة)',
+    'lesson.draftAll': 'صياغة الخطة كاملة',
+    'lesson.print': 'طباعة / PDF',
+    'lesson.savedTemplate': 'حُفظت كقالب.',
+    'lesson.saveTemplate': 'حفظ كقالب',
+    'lesson.templateNote': 'هذا أحد قوالبك. تحصل الدروس الجديدة المبدوءة منه على نسخة.',
+    'lesson.dupNote': 'انسخ هذه الخطة إلى صفوف أخرى، نسخة لكل صف. لا تختر شيئًا لنسخة واحدة.',
+    'lesson.noClasses': 'لا صفوف لديك بعد؛ أنشئها في تبويب الصفوف.',
+    'lesson.copies.one': 'أُنشئت نسخة واحدة.',
+    'lesson.copies.two': 'أُنشئت نسختان.',
+    'lesson.copies.few': 'أُنشئت {n} نسخ.',
+    'lesson.copies.other': 'أُنشئت {n} نسخة.',
+    'lesson.copyTitle': '{title} (نسخة)',
+    'lesson.swbatHint': 'سيتمكن الطلاب من…',
+    'lesson.objectiveExample': 'مثلًا حل المعادلات الخطية ذات الخطوتين',
+    'lesson.standardPlaceholder': 'أضف رمز معيار، مثلًا NGSS MS-LS1-6',
+    'lesson.addStandard': 'إضافة معيار',
+    'lesson.planned': '{total} دقيقة مخطط لها',
+    'lesson.plannedOf': '{total} من {duration} دقيقة مخطط لها',
+    'lesson.minutes': 'الدقائق',
+    'lesson.detailsPlaceholder': 'ما يفعله المعلم والطلاب',
+    'lesson.addActivity': 'إضافة نشاط',
+    'lesson.materialExample': 'مثلًا سبورات صغيرة',
+    'lesson.blankRubric': 'سلّم تقدير فارغ',
+    'lesson.rubricTitle': 'عنوان سلّم التقدير',
+    'lesson.addCriterion': 'إضافة معيار',
+    'lesson.notesPlaceholder': 'تأملات، واجبات، تذكيرات…',
+    'lesson.deleteTitle': 'حذف خطة الدرس؟',
+    'lesson.deleteDesc': 'تُحذف الخطة نهائيًا. تبقى النسخ المصنوعة لصفوف أخرى.'
+  }
+});
+
+// names are lesson.kind.* messages
+const BLOCK_KINDS = {
+  warmup: { color: 'bg-yellow-500/20 text-yellow-200' },
+  instruction: { color: 'bg-sky-500/20 text-sky-200' },
+  guided: { color: 'bg-purple-500/20 text-purple-200' },
+  independent: { color: 'bg-pink-500/20 text-pink-200' },
+  group: { color: 'bg-green-500/20 text-green-200' },
+  assessment: { color: 'bg-red-500/20 text-red-200' },
+  closure: { color: 'bg-indigo-500/20 text-indigo-200' },
+  other: { color: 'bg-white/10 text-white/70' }
+};
+// labels and hints are lesson.diff.* messages
+const DIFFERENTIATION_FIELDS = ['support', 'extension', 'language', 'accommodations'];
+
+const block = (kind, title, minutes, details = '') => ({ id: uid(), kind, title, minutes, details });
+// Template activity n, worded in the current language when the plan is started
+const templateBlock = (id, n, kind, minutes) => block(kind, tr(`lesson.tpl.${id}.${n}`), minutes, tr(`lesson.tpl.${id}.${n}.details`));
+
+const blankLesson = () => ({
+  title: '', subject: 'general', grade: '', className: '', duration: 50,
+  objectives: [''], standards: [], blocks: [], materials: [''],
+  differentiation: { support: '', extension: '', language: '', accommodations: '' },
+  rubric: null, notes: ''
+});
+
+// names and descriptions are lesson.tpl.<id>.name / .desc messages
+const LESSON_TEMPLATES = [
+  {
+    id: 'direct',
+    lesson: () => ({
+      duration: 50,
+      blocks: [['warmup', 5], ['instruction', 12], ['guided', 13], ['independent', 15], ['closure', 5]].map(([kind, minutes], i) => templateBlock('direct', i + 1, kind, minutes))
+    })
+  },
+  {
+    id: '5e',
+    lesson: () => ({
+      duration: 60,
+      blocks: [['warmup', 8], ['group', 15], ['instruction', 12], ['independent', 15], ['assessment', 10]].map(([kind, minutes], i) => templateBlock('5e', i + 1, kind, minutes))
+    })
+  },
+  {
+    id: 'workshop',
+    lesson: () => ({
+      duration: 50,
+      blocks: [['instruction', 10], ['independent', 30], ['closure', 10]].map(([kind, minutes], i) => templateBlock('workshop', i + 1, kind, minutes))
+    })
+  },
+  {
+    id: 'lab',
+    lesson: () => ({
+      duration: 60,
+      materials: [tr('lesson.tpl.lab.material1'), tr('lesson.tpl.lab.material2'), ''],
+      blocks: [['warmup', 7], ['instruction', 8], ['group', 25], ['guided', 12], ['closure', 8]].map(([kind, minutes], i) => templateBlock('lab', i + 1, kind, minutes))
+    })
+  },
+  {
+    id: 'seminar',
+    lesson: () => ({
+      duration: 50,
+      blocks: [['warmup', 5], ['group', 18], ['group', 18], ['closure', 9]].map(([kind, minutes], i) => templateBlock('seminar', i + 1, kind, minutes))
+    })
+  }
+];
+
+// Starting rubrics: the writing rubrics, with their descriptions as the "Proficient" level
+const rubricFrom = (key) => ({
+  title: tr(`writing.rubric.${key}`),
+  criteria: RUBRICS[key].criteria.map(c => ({ id: uid(), name: criterionName(key, c.id), levels: ['', '', criterionDesc(key, c.id), ''] }))
+});
+const blankCriterion = () => ({ id: uid(), name: '', levels: ['', '', '', ''] });
+
+/* ----------------------------------------------------------------------------
+   Lesson export: Markdown, printable HTML and DOCX (Lessons tab)
+   DOCX is written by hand — WordprocessingML parts in an uncompressed ZIP —
+   so export works offline without a document library.
+---------------------------------------------------------------------------- */
+const lessonDoc = (() => {
+  const clean = (lesson) => ({
+    ...lesson,
+    objectives: lesson.objectives.filter(s => s.trim()),
+    materials: lesson.materials.filter(s => s.trim()),
+    differentiation: DIFFERENTIATION_FIELDS.map(k => [tr(`lesson.diff.${k}`), (lesson.differentiation[k] || '').trim()]).filter(([, v]) => v),
+    rubric: lesson.rubric?.criteria.some(c => c.name.trim()) ? lesson.rubric : null
+  });
+
+  // Start/end minute of each block, back to back from 0
+  const timeline = (blocks) => {
+    let t = 0;
+    return blocks.map(b => { const start = t; t += Number(b.minutes) || 0; return { ...b, start, end: t }; });
+  };
+  const totalMinutes = (blocks) => blocks.reduce((n, b) => n + (Number(b.minutes) || 0), 0);
+
+  const meta = (l) => [
+    l.subject && l.subject !== 'general' && [tr('common.subject'), subjectName(l.subject)],
+    l.grade && [tr('lesson.grade'), l.grade],
+    l.className && [tr('common.class'), l.className],
+    [tr('lesson.duration'), tr('common.nMin', { n: fmtNumber(l.duration || totalMinutes(l.blocks)) })]
+  ].filter(Boolean);
+  const heading = (section) => tr(`lesson.section.${section}`);
+  const rubricHeading = (r) => r.title ? tr('lesson.rubricTitled', { title: r.title }) : heading('rubric');
+  const span = (b) => tr('lesson.minRange', { start: fmtNumber(b.start), end: fmtNumber(b.end) });
+
+  /* ---- Markdown ---- */
+  const mdCell = (s) => String(s || '').replace(/\|/g, '\\|').replace(/\n+/g, '<br>');
+
+  const toMarkdown = (lesson) => {
+    const l = clean(lesson);
+    const out = [`# ${l.title || tr('lesson.untitled')}`, '', meta(l).map(([k, v]) => `**${k}:** ${v}`).join(' · '), ''];
+    if (l.objectives.length) out.push(`## ${heading('objectives')}`, '', tr('lesson.swbat'), '', ...l.objectives.map((o, i) => `${i + 1}. ${o}`), '');
+    if (l.standards.length) out.push(`## ${heading('standards')}`, '', ...l.standards.map(s => `- ${s}`), '');
+    if (l.materials.length) out.push(`## ${heading('materials')}`, '', ...l.materials.map(m => `- ${m}`), '');
+    if (l.blocks.length) {
+      out.push(`## ${heading('blocks')}`, '', `| ${['time', 'activity', 'type', 'details'].map(c => tr(`lesson.col.${c}`)).join(' | ')} |`, '|---|---|---|---|');
+      timeline(l.blocks).forEach(b => out.push(`| ${span(b)} | ${mdCell(b.title)} | ${tr(`lesson.kind.${b.kind}`)} | ${mdCell(b.details)} |`));
+      out.push('');
+    }
+    if (l.differentiation.length) {
+      out.push(`## ${heading('differentiation')}`, '');
+      l.differentiation.forEach(([k, v]) => out.push(`**${k}:** ${v}`, ''));
+    }
+    if (l.rubric) {
+      out.push(`## ${rubricHeading(l.rubric)}`, '', `| ${tr('lesson.criterion')} | ${rubricLevels().join(' | ')} |`, `|---|${RUBRIC_LEVELS.map(() => '---').join('|')}|`);
+      l.rubric.criteria.filter(c => c.name.trim()).forEach(c => out.push(`| **${mdCell(c.name)}** | ${c.levels.map(mdCell).join(' | ')} |`));
+      out.push('');
+    }
+    if (l.notes.trim()) out.push(`## ${tr('lesson.notes')}`, '', l.notes.trim(), '');
+    return out.join('\n');
+  };
+
+  /* ---- HTML (download or print to PDF) ---- */
+  const h = (s) => String(s ?? '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  const hp = (s) => h(s).replace(/\n/g, '<br>');
+
+  const toHtml = (lesson) => {
+    const l = clean(lesson);
+    const parts = [`<h1>${h(l.title || tr('lesson.untitled'))}</h1>`, `<p class="meta">${meta(l).map(([k, v]) => `<b>${h(k)}:</b> ${h(v)}`).join(' &middot; ')}</p>`];
+    if (l.objectives.length) parts.push(`<h2>${h(heading('objectives'))}</h2><p>${h(tr('lesson.swbat'))}</p>`, `<ol>${l.objectives.map(o => `<li>${h(o)}</li>`).join('')}</ol>`);
+    if (l.standards.length) parts.push(`<h2>${h(heading('standards'))}</h2>`, `<ul>${l.standards.map(s => `<li>${h(s)}</li>`).join('')}</ul>`);
+    if (l.materials.length) parts.push(`<h2>${h(heading('materials'))}</h2>`, `<ul>${l.materials.map(m => `<li>${h(m)}</li>`).join('')}</ul>`);
+    if (l.blocks.length) {
+      parts.push(`<h2>${h(heading('blocks'))}</h2><table><thead><tr>${['time', 'activity', 'details'].map(c => `<th>${h(tr(`lesson.col.${c}`))}</th>`).join('')}</tr></thead><tbody>`,
+        ...timeline(l.blocks).map(b => `<tr><td class="nw">${h(span(b))}</td><td><b>${h(b.title)}</b><br><small>${h(tr(`lesson.kind.${b.kind}`))}</small></td><td>${hp(b.details)}</td></tr>`),
+        '</tbody></table>');
+    }
+    if (l.differentiation.length) parts.push(`<h2>${h(heading('differentiation'))}</h2>`, ...l.differentiation.map(([k, v]) => `<p><b>${h(k)}:</b> ${hp(v)}</p>`));
+    if (l.rubric) {
+      parts.push(`<h2>${h(rubricHeading(l.rubric))}</h2><table><thead><tr><th>${h(tr('lesson.criterion'))}</th>${rubricLevels().map(x => `<th>${h(x)}</th>`).join('')}</tr></thead><tbody>`,
+        ...l.rubric.criteria.filter(c => c.name.trim()).map(c => `<tr><td><b>${h(c.name)}</b></td>${c.levels.map(x => `<td>${hp(x)}</td>`).join('')}</tr>`),
+        '</tbody></table>');
+    }
+    if (l.notes.trim()) parts.push(`<h2>${h(tr('lesson.notes'))}</h2>`, `<p>${hp(l.notes.trim())}</p>`);
+    return `<!doctype html>
+<html lang="${intlTag()}" dir="${LOCALES[activeLocale].dir || 'ltr'}"><head><meta charset="utf-8"><title>${h(l.title || tr('lesson.planTitle'))}</title>
+<style>
+body{font:11pt/1.45 system-ui,-apple-system,"Segoe UI",Roboto,sans-serif;color:#1f1d2b;max-width:820px;margin:32px auto;padding:0 24px}
+h1{font-size:22pt;margin:0 0 4px;color:#4c1d95}h2{font-size:13pt;margin:22px 0 6px;color:#6d28d9;border-bottom:1px solid #ddd6fe;padding-bottom:2px}
+.meta{color:#555;margin:0 0 12px}table{border-collapse:collapse;width:100%}th,td{border:1px solid #c4b5fd;padding:6px 8px;vertical-align:top;text-align:start}
+th{background:#ede9fe}.nw{white-space:nowrap}small{color:#666}
+@media print{body{margin:0;max-width:none}h2{break-after:avoid}tr{break-inside:avoid}}
+</style></head><body>
+${parts.join('\n')}
+</body></html>`;
+  };
+
+  /* ---- DOCX ---- */
+  const CRC_TABLE = Array.from({ length: 256 }, (_, n) => {
+    let c = n;
+    for (let k = 0; k < 8; k++) c = c & 1 ? 0xEDB88320 ^ (c >>> 1) : c >>> 1;
+    return c >>> 0;
+  });
+  const crc32 = (bytes) => {
+    let c = 0xFFFFFFFF;
+    for (let i = 0; i < bytes.length; i++) c = CRC_TABLE[(c ^ bytes[i]) & 0xFF] ^ (c >>> 8);
+    return (c ^ 0xFFFFFFFF) >>> 0;
+  };
+
+  // Stored (uncompressed) ZIP; files: [[name, string]]
+  const zip = (files) => {
+    const enc = new TextEncoder();
+    const d = new Date();
+    const time = (d.getHours() << 11) | (d.getMinutes() << 5) | (d.getSeconds() >> 1);
+    const date = ((d.getFullYear() - 1980) << 9) | ((d.getMonth() + 1) << 5) | d.getDate();
+    const locals = [], centrals = [];
+    let offset = 0;
+    for (const [name, text] of files) {
+      const nameBytes = enc.encode(name), data = enc.encode(text), crc = crc32(data);
+      const local = new DataView(new ArrayBuffer(30));
+      [[0, 0x04034b50, 4], [4, 20, 2], [6, 0x0800, 2], [8, 0, 2], [10, time, 2], [12, date, 2], [14, crc, 4], [18, data.length, 4], [22, data.length, 4], [26, nameBytes.length, 2], [28, 0, 2]]
+        .forEach(([at, v, size]) => size === 4 ? local.setUint32(at, v, true) : local.setUint16(at, v, true));
+      const central = new DataView(new ArrayBuffer(46));
+      [[0, 0x02014b50, 4], [4, 20, 2], [6, 20, 2], [8, 0x0800, 2], [10, 0, 2], [12, time, 2], [14, date, 2], [16, crc, 4], [20, data.length, 4], [24, data.length, 4], [28, nameBytes.length, 2], [30, 0, 2], [32, 0, 2], [34, 0, 2], [36, 0, 2], [38, 0, 4], [42, offset, 4]]
+        .forEach(([at, v, size]) => size === 4 ? central.setUint32(at, v, true) : central.setUint16(at, v, true));
+      locals.push(new Uint8Array(local.buffer), nameBytes, data);
+      centrals.push(new Uint8Array(central.buffer), nameBytes);
+      offset += 30 + nameBytes.length + data.length;
+    }
+    const cdSize = centrals.reduce((n, b) => n + b.length, 0);
+    const end = new DataView(new ArrayBuffer(22));
+    [[0, 0x06054b50, 4], [4, 0, 2], [6, 0, 2], [8, files.length, 2], [10, files.length, 2], [12, cdSize, 4], [16, offset, 4], [20, 0, 2]]
+      .forEach(([at, v, size]) => size === 4 ? end.setUint32(at, v, true) : end.setUint16(at, v, true));
+    return new Blob([...locals, ...centrals, new Uint8Array(end.buffer)]);
+  };
+
+  const x = (s) => String(s ?? '').replace(/[\u0000-\u0008\u000B\u000C\u000E-\u001F]/g, '').replace(/[&<>"]/g, c => ({ '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;' }[c]));
+  const run = (text, { bold, size, color } = {}) => {
+    const props = [bold && '<w:b/>', color && `<w:color w:val="${color}"/>`, size && `<w:sz w:val="${size}"/>`].filter(Boolean).join('');
+    return String(text ?? '').split('\n').map((line, i) =>
+      `<w:r>${props ? `<w:rPr>${props}</w:rPr>` : ''}${i ? '<w:br/>' : ''}<w:t xml:space="preserve">${x(line)}</w:t></w:r>`).join('');
+  };
+  const para = (runs, style) => `<w:p>${style ? `<w:pPr><w:pStyle w:val="${style}"/></w:pPr>` : ''}${runs}</w:p>`;
+  const bullet = (text, mark = '•') => `<w:p><w:pPr><w:ind w:left="360" w:hanging="360"/></w:pPr>${run(`${mark}\t`)}${run(text)}</w:p>`;
+  const cell = (runs, width, header) =>
+    `<w:tc><w:tcPr><w:tcW w:w="${width}" w:type="dxa"/>${header ? '<w:shd w:val="clear" w:color="auto" w:fill="EDE9FE"/>' : ''}</w:tcPr>${para(runs)}</w:tc>`;
+  const table = (widths, head, rows) => {
+    const border = (side) => `<w:${side} w:val="single" w:sz="4" w:space="0" w:color="C4B5FD"/>`;
+    return `<w:tbl><w:tblPr><w:tblW w:w="${widths.reduce((a, b) => a + b, 0)}" w:type="dxa"/><w:tblBorders>${['top', 'left', 'bottom', 'right', 'insideH', 'insideV'].map(border).join('')}</w:tblBorders><w:tblCellMar><w:left w:w="100" w:type="dxa"/><w:right w:w="100" w:type="dxa"/></w:tblCellMar></w:tblPr>`
+      + `<w:tblGrid>${widths.map(w => `<w:gridCol w:w="${w}"/>`).join('')}</w:tblGrid>`
+      + `<w:tr><w:trPr><w:tblHeader/></w:trPr>${head.map((t, i) => cell(run(t, { bold: true }), widths[i], true)).join('')}</w:tr>`
+      + rows.map(r => `<w:tr><w:trPr><w:cantSplit/></w:trPr>${r.map((runs, i) => cell(runs, widths[i])).join('')}</w:tr>`).join('')
+      + '</w:tbl>' + para('');
+  };
+
+  const STYLES = `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>
+<w:styles xmlns:w="http://schemas.openxmlformats.org/wordprocessingml/2006/main">
+<w:docDefaults><w:rPrDefault><w:rPr><w:rFonts w:ascii="Calibri" w:hAnsi="Calibri" w:eastAsia="Calibri" w:cs="Calibri"/><w:sz w:val="22"/><w:szCs w:val="22"/></w:rPr></w:rPrDefault><w:pPrDefault><w:pPr><w:spacing w:after="100" w:line="276" w:lineRule="auto"/></w:pPr></w:pPrDefault></w:docDefaults>
+<w:style w:type="paragraph" w:default="1" w:styleId="Normal"><w:name w:val="Normal"/><w:qFormat/></w:style>
+<w:style w:type="paragraph" w:styleId="Title"><w:name w:val="Title"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:spacing w:after="60"/></w:pPr><w:rPr><w:b/><w:color w:val="4C1D95"/><w:sz w:val="44"/></w:rPr></w:style>
+<w:style w:type="paragraph" w:styleId="Heading1"><w:name w:val="heading 1"/><w:basedOn w:val="Normal"/><w:next w:val="Normal"/><w:qFormat/><w:pPr><w:keepNext/><w:spacing w:before="280" w:after="80"/><w:outlineLvl w:val="0"/></w:pPr><w:rPr><w:b/><w:color w:val="6D28D9"/><w:sz w:val="28"/></w:rPr></w:style>
+</w:styles>`;
+
+  const toDocx = (lesson) => {
+    const l = clean(lesson);
+    const body = [
+      para(run(l.title || tr('lesson.untitled')), 'Title'),
+      para(meta(l).map(([k, v], i) => `${i ? run('   ·   ', { color: '888888' }) : ''}${run(`${k}: `, { bold: true })}${run(v)}`).join(''))
+    ];
+    if (l.objectives.length) body.push(para(run(heading('objectives')), 'Heading1'), para(run(tr('lesson.swbat'))), ...l.objectives.map((o, i) => bullet(o, `${i + 1}.`)));
+    if (l.standards.length) body.push(para(run(heading('standards')), 'Heading1'), ...l.standards.map(s => bullet(s)));
+    if (l.materials.length) body.push(para(run(heading('materials')), 'Heading1'), ...l.materials.map(m => bullet(m)));
+    if (l.blocks.length) {
+      body.push(para(run(heading('blocks')), 'Heading1'), table([1500, 3000, 5580], ['time', 'activity', 'details'].map(c => tr(`lesson.col.${c}`)),
+        timeline(l.blocks).map(b => [run(span(b)), `${run(b.title, { bold: true })}${run(`\n${tr(`lesson.kind.${b.kind}`)}`, { color: '666666', size: 18 })}`, run(b.details)])));
+    }
+    if (l.differentiation.length) body.push(para(run(heading('differentiation')), 'Heading1'), ...l.differentiation.map(([k, v]) => para(`${run(`${k}: `, { bold: true })}${run(v)}`)));
+    if (l.rubric) {
+      body.push(para(run(rubricHeading(l.rubric)), 'Heading1'), table([2080, 2000, 2000, 2000, 2000], [tr('lesson.criterion'), ...rubricLevels()],
+        l.rubric.criteria.filter(c => c.name.trim()).map(c => [run(c.name, { bold: true }), ...c.levels.map(v => run(v, { size: 20 }))])));
+    }
+    if (l.notes.trim()) body.push(para(run(tr('lesson.notes')), 'Heading1'), para(run(l.notes.trim())));
+
+    const W = 'http://schemas.openxmlformats.org/wordprocessingml/2006/main';
+    const R = 'http://schemas.openxmlformats.org/officeDocument/2006/relationships';
+    return zip([
+      ['[Content_Types].xml', '<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Types xmlns="http://schemas.openxmlformats.org/package/2006/content-types"><Default Extension="rels" ContentType="application/vnd.openxmlformats-package.relationships+xml"/><Default Extension="xml" ContentType="application/xml"/><Override PartName="/word/document.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.document.main+xml"/><Override PartName="/word/styles.xml" ContentType="application/vnd.openxmlformats-officedocument.wordprocessingml.styles+xml"/></Types>'],
+      ['_rels/.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${R}/officeDocument" Target="word/document.xml"/></Relationships>`],
+      ['word/_rels/document.xml.rels', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<Relationships xmlns="http://schemas.openxmlformats.org/package/2006/relationships"><Relationship Id="rId1" Type="${R}/styles" Target="styles.xml"/></Relationships>`],
+      ['word/styles.xml', STYLES],
+      ['word/document.xml', `<?xml version="1.0" encoding="UTF-8" standalone="yes"?>\n<w:document xmlns:w="${W}"><w:body>${body.join('')}<w:sectPr><w:pgSz w:w="12240" w:h="15840"/><w:pgMar w:top="1080" w:right="1080" w:bottom="1080" w:left="1080" w:header="720" w:footer="720" w:gutter="0"/></w:sectPr></w:body></w:document>`]
+    ]);
+  };
+
+  toDocx.type = 'application/vnd.openxmlformats-officedocument.wordprocessingml.document';
+
+  // Prints through a hidden iframe so the browser's "Save as PDF" gets a clean page
+  const print = (lesson) => {
+    const frame = Object.assign(document.createElement('iframe'), { srcdoc: toHtml(lesson) });
+    frame.style.cssText = 'position:fixed;width:0;height:0;border:0;opacity:0';
+    frame.onload = () => {
+      frame.contentWindow.focus();
+      frame.contentWindow.print();
+      setTimeout(() => frame.remove(), 60_000);
+    };
+    document.body.appendChild(frame);
+  };
+
+  return { toMarkdown, toHtml, toDocx, print, timeline, totalMinutes };
+})();
+
+/* ----------------------------------------------------------------------------
+   Lesson plan editor (Lessons tab)
+---------------------------------------------------------------------------- */
+// The JSON shape asked for, per section; section names are lesson.section.* messages
+const LESSON_AI_SECTIONS = {
+  objectives: '"objectives": [string]  // 2–4 measurable "students will be able to" statements, without that prefix',
+  standards: '"standards": [string]  // 1–4 standard codes with a short label, e.g. "CCSS.MATH.CONTENT.7.EE.B.4 — Solve linear equations"',
+  blocks: `"blocks": [{"kind": ${Object.keys(BLOCK_KINDS).map(k => `"${k}"`).join('|')}, "title": string, "minutes": number, "details": string}]  // minutes add up to the lesson duration`,
+  materials: '"materials": [string]',
+  differentiation: '"differentiation": {"support": string, "extension": string, "language": string, "accommodations": string}',
+  rubric: `"rubric": {"title": string, "criteria": [{"name": string, "levels": [string, string, string, string]}]}  // 3–5 criteria; levels are ${RUBRIC_LEVELS.map(l => enText(`rubric.level.${l}`)).join(', ')}`
+};
+
+const LESSON_AI_PROMPT = (sections) => `You are an experienced teacher helping a colleague plan a lesson.
+Reply with JSON only, no prose around it, with exactly these keys:
+{
+${sections.map(k => `  ${LESSON_AI_SECTIONS[k]}`).join(',\n')}
+}
+- Build on what the plan already contains; improve and complete it rather than ignoring it.
+- Be concrete and classroom-ready, matched to the grade level. Keep each text short.`;
+
+// The plan as context for the model (empty fields dropped)
+const lessonContext = (l) => JSON.stringify({
+  title: l.title, subject: SUBJECTS[l.subject] || l.subject, grade: l.grade, durationMinutes: Number(l.duration) || undefined,
+  objectives: l.objectives.filter(Boolean), standards: l.standards,
+  blocks: l.blocks.map(({ kind, title, minutes, details }) => ({ kind, title, minutes, details })),
+  materials: l.materials.filter(Boolean), differentiation: l.differentiation,
+  rubric: l.rubric && { title: l.rubric.title, criteria: l.rubric.criteria.map(({ name, levels }) => ({ name, levels })) },
+  notes: l.notes
+}, (k, v) => (v === '' || (Array.isArray(v) && !v.length) ? undefined : v));
+
+// Model reply → patch for the requested sections; anything malformed is skipped
+const lessonPatch = (data, sections) => {
+  const patch = {};
+  const strings = (v) => Array.isArray(v) ? v.map(s => String(s).trim()).filter(Boolean) : null;
+  if (sections.includes('objectives') && strings(data.objectives)?.length) patch.objectives = strings(data.objectives);
+  if (sections.includes('standards') && strings(data.standards)) patch.standards = strings(data.standards);
+  if (sections.includes('materials') && strings(data.materials)?.length) patch.materials = strings(data.materials);
+  if (sections.includes('blocks') && Array.isArray(data.blocks)) {
+    patch.blocks = data.blocks.filter(b => b?.title).map(b => block(BLOCK_KINDS[b.kind] ? b.kind : 'other', String(b.title), clamp(Math.round(Number(b.minutes) || 5), 0, 600), String(b.details || '')));
+  }
+  if (sections.includes('differentiation') && data.differentiation && typeof data.differentiation === 'object') {
+    patch.differentiation = Object.fromEntries(DIFFERENTIATION_FIELDS.map(k => [k, String(data.differentiation[k] || '')]));
+  }
+  if (sections.includes('rubric') && Array.isArray(data.rubric?.criteria)) {
+    patch.rubric = {
+      title: String(data.rubric.title || ''),
+      criteria: data.rubric.criteria.filter(c => c?.name).map(c => ({ id: uid(), name: String(c.name), levels: [0, 1, 2, 3].map(i => String(c.levels?.[i] || '')) }))
+    };
+  }
+  return patch;
+};
+
+const lessonFileName = (l, ext) => `${(l.title || 'lesson').replace(/[^\w-]+/g, '-').replace(/^-|-$/g, '').toLowerCase() || 'lesson'}${l.className ? `-${l.className.replace(/[^\w-]+/g, '-').toLowerCase()}` : ''}.${ext}`;
+
+// Editable list of strings (objectives, materials) that always ends with a blank row
+function ListField({ items, onChange, placeholder, numbered }) {
+  const rows = items.length && !items[items.length - 1] ? items : [...items, ''];
+  const field = "flex-1 p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  return (
+    <div className="space-y-2">
+      {rows.map((item, i) => (
+        <div key={i} className="flex items-center gap-2">
+          <span className="text-white/40 text-sm w-5 text-end">{numbered ? `${fmtNumber(i + 1)}.` : '•'}</span>
+          <input value={item} onChange={e => onChange(rows.map((x, j) => j === i ? e.target.value : x))} placeholder={placeholder} aria-label={placeholder} className={field} />
+          {i < rows.length - 1 && (
+            <button onClick={() => onChange(rows.filter((_, j) => j !== i))} className="p-2 rounded-lg bg-white/10 hover:bg-red-500/30 text-white" title={tr('common.remove')} aria-label={tr('common.remove')}><X size={14} /></button>
+          )}
+        </div>
+      ))}
+    </div>
+  );
+}
+
+// classId: the class picked in the header ('' for all); new plans go to it
+function LessonsTab({ classId, classes, askModel, pushToast }) {
+  const [lessons, setLessons] = useState(null);
+  const [activeId, setActiveId] = useState(null);
+  const [lesson, setLesson] = useState(null);       // the open plan being edited
+  const [dirty, setDirty] = useState(false);
+  const [picking, setPicking] = useState(false);    // template library open
+  const [search, setSearch] = useState('');
+  const [standard, setStandard] = useState('');
+  const [aiBusy, setAiBusy] = useState(null);
+  const [dupOpen, setDupOpen] = useState(false);
+  const [dupClasses, setDupClasses] = useState([]);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const revision = useRef(0);
+
+  const load = async () => {
+    try {
+      const d = await api(`/api/lessons${classId ? `?classId=${classId}` : ''}`);
+      setLessons(d.lessons);
+      return d.lessons;
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+      return null;
+    }
+  };
+  useEffect(() => { load().then(list => { if (list && !list.length) setPicking(true); }); }, [classId]);
+
+  const open = (l) => {
+    setActiveId(l.id);
+    if (dirty) saveNow(lesson);
+    setLesson({ ...l, duration: l.duration ?? '' });
+    setDirty(false);
+    setPicking(false);
+  };
+
+  const saveNow = async (l) => {
+    if (!l.title.trim()) return false;
+    try {
+      const d = await api(`/api/lessons/${l.id}`, { method: 'PUT', body: l });
+      setLessons(prev => prev.map(x => x.id === d.lesson.id ? d.lesson : x));
+      return true;
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+      return false;
+    }
+  };
+
+  // Autosave a moment after the last edit; unsaved edits still go out when the tab closes
+  useEffect(() => {
+    if (!dirty || !lesson?.id) return;
+    const rev = revision.current;
+    const t = setTimeout(async () => {
+      if (await saveNow(lesson) && revision.current === rev) setDirty(false);
+    }, 1000);
+    return () => clearTimeout(t);
+  }, [lesson, dirty]);
+
+  const pending = useRef(null);
+  pending.current = dirty ? lesson : null;
+  useEffect(() => () => {
+    const l = pending.current;
+    if (l?.title.trim()) api(`/api/lessons/${l.id}`, { method: 'PUT', body: l }).catch(() => {});
+  }, []);
+
+  const edit = (patch) => {
+    revision.current++;
+    setLesson(l => ({ ...l, ...(typeof patch === 'function' ? patch(l) : patch) }));
+    setDirty(true);
+  };
+
+  const create = async (start) => {
+    try {
+      const inClass = classes.find(c => c.id === classId);
+      const d = await api('/api/lessons', { method: 'POST', body: { ...blankLesson(), ...start, title: start.title || tr('lesson.untitled'), isTemplate: false, ...(inClass ? { classId: inClass.id, className: inClass.name } : {}) } });
+      setLessons(prev => [d.lesson, ...prev]);
+      open(d.lesson);
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
+  };
+
+  const duplicate = async (body, message) => {
+    try {
+      const d = await api(`/api/lessons/${lesson.id}/duplicate`, { method: 'POST', body });
+      setLessons(prev => [...d.lessons, ...prev]);
+      pushToast(message(d.lessons.length));
+      if (!body.asTemplate && d.lessons.length === 1) open(d.lessons[0]);
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
+  };
+
+  const remove = async () => {
+    const id = pendingDelete;
+    setPendingDelete(null);
+    try {
+      await api(`/api/lessons/${id}`, { method: 'DELETE' });
+      setLessons(prev => prev.filter(x => x.id !== id));
+      if (id === activeId) { setActiveId(null); setLesson(null); }
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
+  };
+
+  const draft = async (sections) => {
+    if (!lesson.title.trim() || [tr('lesson.untitled'), enText('lesson.untitled')].includes(lesson.title)) { pushToast(tr('lesson.needTitle'), 'warn'); return; }
+    setAiBusy(sections.length > 1 ? 'all' : sections[0]);
+    try {
+      const reply = await askModel(LESSON_AI_PROMPT(sections), `Lesson plan so far:\n${lessonContext(lesson)}`);
+      const patch = lessonPatch(parseModelJson(reply), sections);
+      if (!Object.keys(patch).length) throw new Error(tr('lesson.aiEmpty'));
+      edit(patch);
+    } catch (e) {
+      pushToast(e instanceof ApiError ? errorText(e) : e.message, 'error');
+    } finally {
+      setAiBusy(null);
+    }
+  };
+
+  const exportAs = (kind) => {
+    if (kind === 'md') downloadFile(lessonFileName(lesson, 'md'), lessonDoc.toMarkdown(lesson), 'text/markdown');
+    if (kind === 'html') downloadFile(lessonFileName(lesson, 'html'), lessonDoc.toHtml(lesson), 'text/html');
+    if (kind === 'docx') downloadFile(lessonFileName(lesson, 'docx'), lessonDoc.toDocx(lesson), lessonDoc.toDocx.type);
+    if (kind === 'pdf') lessonDoc.print(lesson);
+  };
+
+  const setBlock = (id, patch) => edit(l => ({ blocks: l.blocks.map(b => b.id === id ? { ...b, ...patch } : b) }));
+  const moveBlock = (i, d) => edit(l => {
+    const blocks = [...l.blocks];
+    [blocks[i], blocks[i + d]] = [blocks[i + d], blocks[i]];
+    return { blocks };
+  });
+  const setCriterion = (id, patch) => edit(l => ({ rubric: { ...l.rubric, criteria: l.rubric.criteria.map(c => c.id === id ? { ...c, ...patch } : c) } }));
+  const addStandard = () => {
+    const tags = standard.split(/[,;\n]/).map(s => s.trim()).filter(s => s && !lesson.standards.includes(s));
+    if (tags.length) edit(l => ({ standards: [...l.standards, ...tags] }));
+    setStandard('');
+  };
+
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  const btn = "flex items-center gap-2 px-3 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm disabled:opacity-50";
+  const card = "bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10";
+
+  const aiButton = (section) => askModel && (
+    <button onClick={() => draft([section])} disabled={!!aiBusy} className="ms-auto flex items-center gap-1 text-xs px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-purple-200 disabled:opacity-50" title={tr('lesson.draftSection', { section: tr(`lesson.section.${section}`) })}>
+      {aiBusy === section || aiBusy === 'all' ? <Loader2 size={12} className="animate-spin" /> : <Sparkles size={12} />} {tr('lesson.draft')}
+    </button>
+  );
+
+  if (!lessons) {
+    return <div className="p-6 h-full flex items-center justify-center"><Loader2 className="animate-spin text-purple-300" size={32} /></div>;
+  }
+
+  const needle = search.trim().toLowerCase();
+  const matches = (l) => !needle || [l.title, l.className, l.grade, ...l.standards].join(' ').toLowerCase().includes(needle);
+  const plans = lessons.filter(l => !l.isTemplate && matches(l));
+  const myTemplates = lessons.filter(l => l.isTemplate);
+  const total = lesson ? lessonDoc.totalMinutes(lesson.blocks) : 0;
+  const timeline = lesson ? lessonDoc.timeline(lesson.blocks) : [];
+
+  return (
+    <div className="p-6 overflow-y-auto h-full">
+      <div className="max-w-6xl mx-auto grid lg:grid-cols-[16rem_1fr] gap-6">
+        <aside className="space-y-3">
+          <button onClick={() => setPicking(true)} className="w-full flex items-center justify-center gap-2 p-3 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold"><Plus size={16} /> {tr('lesson.new')}</button>
+          <div className="flex items-center gap-2 px-3 py-2 rounded-lg bg-white/10 border border-white/20">
+            <Search size={16} className="text-white/60" />
+            <input value={search} onChange={e => setSearch(e.target.value)} placeholder={tr('lesson.search')} aria-label={tr('lesson.search')} className="bg-transparent outline-none text-white placeholder-gray-400 flex-1 min-w-0" />
+          </div>
+          <div className="space-y-2">
+            {plans.map(l => (
+              <button key={l.id} onClick={() => open(l)} className={`w-full text-start p-3 rounded-xl border ${l.id === activeId ? 'bg-purple-500/30 border-purple-400/50' : 'bg-white/5 border-white/10 hover:bg-white/10'}`}>
+                <p className="text-white text-sm font-medium truncate">{l.title}</p>
+                <p className="text-white/50 text-xs truncate">{[l.className, l.grade && tr('lesson.gradeN', { grade: l.grade }), fmtDate(l.updatedAt)].filter(Boolean).join(' · ')}</p>
+              </button>
+            ))}
+            {!plans.length && <p className="text-white/50 text-sm">{lessons.some(l => !l.isTemplate) ? tr('lesson.noMatches') : tr('lesson.none')}</p>}
+          </div>
+          {myTemplates.length > 0 && (
+            <div className="pt-3 border-t border-white/10 space-y-2">
+              <p className="text-white/60 text-xs uppercase tracking-wide">{tr('lesson.myTemplates')}</p>
+              {myTemplates.map(l => (
+                <button key={l.id} onClick={() => open(l)} className={`w-full text-start p-2 rounded-lg text-sm truncate ${l.id === activeId ? 'bg-purple-500/30 text-white' : 'text-white/80 hover:bg-white/10'}`}>{l.title}</button>
+              ))}
+            </div>
+          )}
+        </aside>
+
+        <main className="space-y-6 min-w-0">
+          {picking && (
+            <div className={card}>
+              <div className="flex items-center mb-4">
+                <h3 className="text-white font-semibold text-xl flex-1">{tr('lesson.startFrom')}</h3>
+                {lesson && <button onClick={() => setPicking(false)} className="p-2 rounded-lg bg-white/10 hover:bg-white/20 text-white" aria-label={tr('lesson.closeTemplates')}><X size={16} /></button>}
+              </div>
+              <div className="grid sm:grid-cols-2 md:grid-cols-3 gap-3">
+                <button onClick={() => create({})} className="text-start p-4 rounded-xl bg-white/5 border border-dashed border-white/20 hover:bg-white/10">
+                  <p className="text-white font-medium">{tr('lesson.blank')}</p>
+                  <p className="text-white/60 text-xs">{tr('lesson.blankDesc')}</p>
+                </button>
+                {LESSON_TEMPLATES.map(t => (
+                  <button key={t.id} onClick={() => create(t.lesson())} className="text-start p-4 rounded-xl bg-white/5 border border-white/10 hover:bg-white/10">
+                    <p className="text-white font-medium">{tr(`lesson.tpl.${t.id}.name`)}</p>
+                    <p className="text-white/60 text-xs">{tr(`lesson.tpl.${t.id}.desc`)}</p>
+                  </button>
+                ))}
+                {myTemplates.map(t => (
+                  <button key={t.id} onClick={() => create({ ...t, blocks: t.blocks.map(b => ({ ...b, id: uid() })), rubric: t.rubric && { ...t.rubric, criteria: t.rubric.criteria.map(c => ({ ...c, id: uid() })) } })} className="text-start p-4 rounded-xl bg-purple-500/10 border border-purple-400/30 hover:bg-purple-500/20">
+                    <p className="text-white font-medium">{t.title}</p>
+                    <p className="text-white/60 text-xs">{trn('lesson.myTemplate', t.blocks.length)}</p>
+                  </button>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {!lesson && !picking && <p className="text-white/60">{tr('lesson.pick')}</p>}
+
+          {lesson && (
+            <>
+              <div className={card}>
+                <div className="flex flex-wrap items-center gap-2 mb-4">
+                  <input value={lesson.title} onChange={e => edit({ title: e.target.value })} placeholder={tr('lesson.titlePlaceholder')} aria-label={tr('lesson.titlePlaceholder')} className={`flex-1 min-w-[14rem] text-xl font-semibold ${small}`} />
+                  <span className="text-white/50 text-xs w-16 text-end" aria-live="polite">{dirty ? tr('common.saving') : tr('common.saved')}</span>
+                </div>
+                <div className="grid sm:grid-cols-2 md:grid-cols-4 gap-3 text-white/70 text-sm">
+                  <label className="space-y-1 block"><span>{tr('common.subject')}</span>
+                    <select value={lesson.subject} onChange={e => edit({ subject: e.target.value })} className={`w-full ${small}`}>
+                      {Object.keys(SUBJECTS).map(k => <option key={k} value={k} className="bg-gray-800">{subjectName(k)}</option>)}
+                    </select>
+                  </label>
+                  <label className="space-y-1 block"><span>{tr('lesson.grade')}</span>
+                    <input value={lesson.grade} onChange={e => edit({ grade: e.target.value })} placeholder={tr('lesson.gradeExample')} className={`w-full ${small}`} />
+                  </label>
+                  <label className="space-y-1 block"><span>{tr('common.class')}</span>
+                    <select
+                      value={lesson.classId || ''}
+                      disabled={lesson.isTemplate}
+                      onChange={e => { const c = classes.find(x => x.id === e.target.value); edit(c ? { classId: c.id, className: c.name } : { classId: null, className: '' }); }}
+                      className={`w-full ${small}`}
+                    >
+                      <option value="" className="bg-gray-800">{!lesson.classId && lesson.className ? tr('lesson.notLinked', { name: lesson.className }) : tr('common.noClass')}</option>
+                      {lesson.classId && !classes.some(c => c.id === lesson.classId) && <option value={lesson.classId} className="bg-gray-800">{tr('lesson.archived', { name: lesson.className })}</option>}
+                      {classes.map(c => <option key={c.id} value={c.id} className="bg-gray-800">{c.name}</option>)}
+                    </select>
+                  </label>
+                  <label className="space-y-1 block"><span>{tr('lesson.durationMin')}</span>
+                    <input type="number" min={5} max={600} value={lesson.duration} onChange={e => edit({ duration: e.target.value })} className={`w-full ${small}`} />
+                  </label>
+                </div>
+                <div className="flex flex-wrap gap-2 mt-4">
+                  {askModel && (
+                    <button onClick={() => draft(Object.keys(LESSON_AI_SECTIONS))} disabled={!!aiBusy} className="flex items-center gap-2 px-3 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white text-sm font-semibold disabled:opacity-60">
+                      {aiBusy === 'all' ? <Loader2 size={16} className="animate-spin" /> : <Sparkles size={16} />} {tr('lesson.draftAll')}
+                    </button>
+                  )}
+                  <button onClick={() => exportAs('md')} className={btn}><Download size={16} /> Markdown</button>
+                  <button onClick={() => exportAs('html')} className={btn}><Download size={16} /> HTML</button>
+                  <button onClick={() => exportAs('pdf')} className={btn}><FileText size={16} /> {tr('lesson.print')}</button>
+                  <button onClick={() => exportAs('docx')} className={btn}><Download size={16} /> DOCX</button>
+                  <button onClick={() => { setDupClasses([]); setDupOpen(v => !v); }} aria-expanded={dupOpen} className={btn}><Copy size={16} /> {tr('common.duplicate')}</button>
+                  {!lesson.isTemplate && <button onClick={() => duplicate({ asTemplate: true }, () => tr('lesson.savedTemplate'))} className={btn}><Save size={16} /> {tr('lesson.saveTemplate')}</button>}
+                  <button onClick={() => setPendingDelete(lesson.id)} className="flex items-center gap-2 px-3 py-2 rounded-xl bg-white/10 hover:bg-red-500/30 text-white text-sm"><Trash2 size={16} /> {tr('common.delete')}</button>
+                </div>
+                {lesson.isTemplate && <p className="text-purple-200/80 text-xs mt-3">{tr('lesson.templateNote')}</p>}
+                {dupOpen && (
+                  <div className="mt-4 p-4 rounded-xl bg-white/5 border border-white/10 space-y-2">
+                    <p className="text-white/80 text-sm">{tr('lesson.dupNote')}</p>
+                    {classes.length ? (
+                      <div className="flex flex-wrap gap-x-4 gap-y-1">
+                        {classes.map(c => (
+                          <label key={c.id} className="flex items-center gap-2 text-white/80 text-sm">
+                            <input type="checkbox" checked={dupClasses.includes(c.id)} onChange={e => setDupClasses(ids => e.target.checked ? [...ids, c.id] : ids.filter(x => x !== c.id))} />
+                            {c.name}
+                          </label>
+                        ))}
+                      </div>
+                    ) : <p className="text-white/50 text-xs">{tr('lesson.noClasses')}</p>}
+                    <button
+                      onClick={() => { setDupOpen(false); duplicate({ classIds: dupClasses, title: tr('lesson.copyTitle', { title: lesson.title }) }, (n) => trn('lesson.copies', n)); }}
+                      className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white text-sm font-semibold"
+                    ><Copy size={16} /> {tr('common.duplicate')}</button>
+                  </div>
+                )}
+              </div>
+
+              <div className="grid md:grid-cols-2 gap-6">
+                <div className={card}>
+                  <div className="flex items-center mb-3"><h3 className="text-white font-semibold">{tr('lesson.section.objectives')}</h3>{aiButton('objectives')}</div>
+                  <p className="text-white/50 text-xs mb-2">{tr('lesson.swbatHint')}</p>
+                  <ListField items={lesson.objectives} onChange={(objectives) => edit({ objectives })} placeholder={tr('lesson.objectiveExample')} numbered />
+                </div>
+                <div className={card}>
+                  <div className="flex items-center mb-3"><h3 className="text-white font-semibold">{tr('lesson.section.standards')}</h3>{aiButton('standards')}</div>
+                  <div className="flex flex-wrap gap-2 mb-3">
+                    {lesson.standards.map(s => (
+                      <span key={s} className="flex items-center gap-1 text-xs px-2 py-1 rounded-full bg-purple-500/30 text-purple-100">
+                        {s}
+                        <button onClick={() => edit(l => ({ standards: l.standards.filter(x => x !== s) }))} className="hover:text-white" title={tr('common.remove')} aria-label={tr('common.remove')}><X size={12} /></button>
+                      </span>
+                    ))}
+                  </div>
+                  <div className="flex gap-2">
+                    <input value={standard} onChange={e => setStandard(e.target.value)} onKeyDown={e => { if (e.key === 'Enter') addStandard(); }} placeholder={tr('lesson.standardPlaceholder')} aria-label={tr('lesson.standardPlaceholder')} className={`flex-1 ${small}`} />
+                    <button onClick={addStandard} className={btn} aria-label={tr('lesson.addStandard')}><Plus size={16} /></button>
+                  </div>
+                </div>
+              </div>
+
+              <div className={card}>
+                <div className="flex items-center mb-3">
+                  <h3 className="text-white font-semibold">{tr('lesson.section.blocks')}</h3>
+                  <span className={`ms-3 text-xs ${lesson.duration && total > Number(lesson.duration) ? 'text-red-300' : 'text-white/50'}`}>
+                    {lesson.duration ? tr('lesson.plannedOf', { total: fmtNumber(total), duration: fmtNumber(Number(lesson.duration)) }) : tr('lesson.planned', { total: fmtNumber(total) })}
+                  </span>
+                  {aiButton('blocks')}
+                </div>
+                <div className="space-y-3">
+                  {timeline.map((b, i) => (
+                    <div key={b.id} className="p-3 rounded-xl bg-white/5 border border-white/10 space-y-2">
+                      <div className="flex flex-wrap items-center gap-2">
+                        <span className="text-white/50 text-xs w-20">{tr('lesson.minRange', { start: fmtNumber(b.start), end: fmtNumber(b.end) })}</span>
+                        <select value={b.kind} onChange={e => setBlock(b.id, { kind: e.target.value })} aria-label={tr('lesson.col.type')} className={`text-sm ${small}`}>
+                          {Object.keys(BLOCK_KINDS).map(k => <option key={k} value={k} className="bg-gray-800">{tr(`lesson.kind.${k}`)}</option>)}
+                        </select>
+                        <input value={b.title} onChange={e => setBlock(b.id, { title: e.target.value })} placeholder={tr('lesson.col.activity')} aria-label={tr('lesson.col.activity')} className={`flex-1 min-w-[10rem] ${small}`} />
+                        <input type="number" min={0} max={600} value={b.minutes} onChange={e => setBlock(b.id, { minutes: e.target.value })} className={`w-20 ${small}`} title={tr('lesson.minutes')} aria-label={tr('lesson.minutes')} />
+                        <button onClick={() => moveBlock(i, -1)} disabled={i === 0} className="p-1 rounded bg-white/10 hover:bg-white/20 text-white disabled:opacity-30" title={tr('common.moveUp')} aria-label={tr('common.moveUp')}><ArrowUp size={14} /></button>
+                        <button onClick={() => moveBlock(i, 1)} disabled={i === timeline.length - 1} className="p-1 rounded bg-white/10 hover:bg-white/20 text-white disabled:opacity-30" title={tr('common.moveDown')} aria-label={tr('common.moveDown')}><ArrowDown size={14} /></button>
+                        <button onClick={() => edit(l => ({ blocks: l.blocks.filter(x => x.id !== b.id) }))} className="p-1 rounded bg-white/10 hover:bg-red-500/30 text-white" title={tr('common.remove')} aria-label={tr('common.remove')}><X size={14} /></button>
+                      </div>
+                      <textarea value={b.details} onChange={e => setBlock(b.id, { details: e.target.value })} rows={2} placeholder={tr('lesson.detailsPlaceholder')} aria-label={tr('lesson.col.details')} className={`w-full resize-y text-sm ${small}`} />
+                    </div>
+                  ))}
+                </div>
+                <button onClick={() => edit(l => ({ blocks: [...l.blocks, block('other', '', 10)] }))} className="mt-3 flex items-center gap-1 text-sm text-purple-300 hover:text-purple-200"><Plus size={14} /> {tr('lesson.addActivity')}</button>
+              </div>
+
+              <div className="grid md:grid-cols-2 gap-6">
+                <div className={card}>
+                  <div className="flex items-center mb-3"><h3 className="text-white font-semibold">{tr('lesson.section.materials')}</h3>{aiButton('materials')}</div>
+                  <ListField items={lesson.materials} onChange={(materials) => edit({ materials })} placeholder={tr('lesson.materialExample')} />
+                </div>
+                <div className={card}>
+                  <div className="flex items-center mb-3"><h3 className="text-white font-semibold">{tr('lesson.section.differentiation')}</h3>{aiButton('differentiation')}</div>
+                  <div className="space-y-2">
+                    {DIFFERENTIATION_FIELDS.map(k => (
+                      <label key={k} className="block text-white/70 text-sm space-y-1">
+                        <span>{tr(`lesson.diff.${k}`)}</span>
+                        <textarea value={lesson.differentiation[k]} onChange={e => edit(l => ({ differentiation: { ...l.differentiation, [k]: e.target.value } }))} rows={2} placeholder={tr(`lesson.diff.${k}.hint`)} className={`w-full resize-y ${small}`} />
+                      </label>
+                    ))}
+                  </div>
+                </div>
+              </div>
+
+              <div className={card}>
+                <div className="flex items-center mb-3"><h3 className="text-white font-semibold">{tr('lesson.section.rubric')}</h3>{aiButton('rubric')}</div>
+                {!lesson.rubric ? (
+                  <div className="flex flex-wrap items-center gap-2">
+                    <button onClick={() => edit({ rubric: { title: '', criteria: [blankCriterion(), blankCriterion()] } })} className={btn}><Plus size={16} /> {tr('lesson.blankRubric')}</button>
+                    {Object.keys(RUBRICS).map(k => (
+                      <button key={k} onClick={() => edit({ rubric: rubricFrom(k) })} className={btn}>{tr(`writing.rubric.${k}`)}</button>
+                    ))}
+                  </div>
+                ) : (
+                  <div className="space-y-3">
+                    <div className="flex gap-2">
+                      <input value={lesson.rubric.title} onChange={e => edit(l => ({ rubric: { ...l.rubric, title: e.target.value } }))} placeholder={tr('lesson.rubricTitle')} aria-label={tr('lesson.rubricTitle')} className={`flex-1 ${small}`} />
+                      <button onClick={() => edit({ rubric: null })} className="flex items-center gap-2 px-3 py-2 rounded-xl bg-white/10 hover:bg-red-500/30 text-white text-sm"><Trash2 size={16} /> {tr('common.remove')}</button>
+                    </div>
+                    <div className="overflow-x-auto">
+                      <table className="w-full text-sm">
+                        <thead>
+                          <tr className="text-white/60 text-start">
+                            <th className="p-1 font-medium">{tr('lesson.criterion')}</th>
+                            {rubricLevels().map(lv => <th key={lv} className="p-1 font-medium">{lv}</th>)}
+                            <th />
+                          </tr>
+                        </thead>
+                        <tbody>
+                          {lesson.rubric.criteria.map(c => (
+                            <tr key={c.id} className="align-top">
+                              <td className="p-1 min-w-[9rem]"><textarea value={c.name} onChange={e => setCriterion(c.id, { name: e.target.value })} rows={3} placeholder={tr('lesson.criterion')} aria-label={tr('lesson.criterion')} className={`w-full resize-y font-medium ${small}`} /></td>
+                              {c.levels.map((v, i) => (
+                                <td key={i} className="p-1 min-w-[9rem]">
+                                  <textarea value={v} onChange={e => setCriterion(c.id, { levels: c.levels.map((x, j) => j === i ? e.target.value : x) })} rows={3} className={`w-full resize-y text-xs ${small}`} />
+                                </td>
+                              ))}
+                              <td className="p-1">
+                                <button onClick={() => edit(l => ({ rubric: { ...l.rubric, criteria: l.rubric.criteria.filter(x => x.id !== c.id) } }))} className="p-2 rounded-lg bg-white/10 hover:bg-red-500/30 text-white" title={tr('common.remove')} aria-label={tr('common.remove')}><X size={14} /></button>
+                              </td>
+                            </tr>
+                          ))}
+                        </tbody>
+                      </table>
+                    </div>
+                    <button onClick={() => edit(l => ({ rubric: { ...l.rubric, criteria: [...l.rubric.criteria, blankCriterion()] } }))} className="flex items-center gap-1 text-sm text-purple-300 hover:text-purple-200"><Plus size={14} /> {tr('lesson.addCriterion')}</button>
+                  </div>
+                )}
+              </div>
+
+              <div className={card}>
+                <h3 className="text-white font-semibold mb-3">{tr('lesson.notes')}</h3>
+                <textarea value={lesson.notes} onChange={e => edit({ notes: e.target.value })} rows={4} placeholder={tr('lesson.notesPlaceholder')} aria-label={tr('lesson.notes')} className={`w-full resize-y ${small}`} />
+              </div>
+            </>
+          )}
+        </main>
+      </div>
+
+      <Confirm
+        open={!!pendingDelete}
+        title={tr('lesson.deleteTitle')}
+        desc={tr('lesson.deleteDesc')}
+        onCancel={() => setPendingDelete(null)}
+        onConfirm={remove}
+      />
+    </div>
+  );
+}
+
+/* ----------------------------------------------------------------------------
+   Assignments (assignments.mjs). Teachers set work with instructions, files,
+   a due date and points or a rubric, then grade what comes in from a queue:
+   rubric scores, feedback and comments pinned to a stretch of the student's
+   text. The AI can draft a grade, but a teacher has to review it before it
+   goes back. Students write or attach their work and see the returned grade.
+---------------------------------------------------------------------------- */
+addMessages({
+  en: {
+    'assign.state.assigned': 'Assigned',
+    'assign.state.draft': 'Draft saved',
+    'assign.state.submitted': 'Handed in',
+    'assign.state.returned': 'Returned',
+    'assign.state.missing': 'Missing',
+    'assign.noWrittenWork': 'No written work; see the attached files.',
+    'assign.generalComment': 'General comment',
+    'assign.scoreOf': '{score} / {max}',
+    'assign.returnedOn': 'Returned {date}',
+    'assign.feedback': 'Feedback',
+    'assign.aiReady': 'AI draft ready. Check every score and comment before returning it.',
+    'assign.returnedTo': 'Returned to {name}.',
+    'assign.gradeDraftSaved': 'Grade saved as a draft. The student can’t see it yet.',
+    'assign.handedInOn': 'Handed in {date}',
+    'assign.late': 'Late',
+    'assign.selectToComment': 'Select words in the work to comment on them.',
+    'assign.onSelection': 'On “{quote}”',
+    'assign.clear': 'clear',
+    'assign.commentSelection': 'Comment on the selection…',
+    'assign.commentGeneral': 'General comment…',
+    'assign.draftGrade': 'Draft a grade with AI',
+    'assign.outOf': '/ {n}',
+    'assign.scoreOutOf': 'Score / {n}',
+    'assign.total': 'Total {score} / {max}',
+    'assign.aiCheck': 'This grade was drafted by AI. I have checked the scores, feedback and comments.',
+    'assign.saveDraft': 'Save draft',
+    'assign.returnAgain': 'Return again',
+    'assign.returnToStudent': 'Return to student',
+    'assign.untitled': 'Untitled assignment',
+    'assign.assignedTo': 'Assigned to the students of {name}.',
+    'assign.assignedAll': 'Assigned to all students.',
+    'assign.withdrawn': 'Withdrawn; students no longer see it.',
+    'assign.saved': 'Assignment saved.',
+    'assign.archivedClass': 'archived class',
+    'assign.allStudentsLower': 'all students',
+    'assign.heading': 'Assignments',
+    'assign.toGradeTab': 'To grade',
+    'assign.withCount': '{name} ({n})',
+    'assign.nothingToGrade': 'Nothing waiting to be graded.',
+    'assign.draftGradeSaved': 'draft grade saved',
+    'assign.new': 'New assignment',
+    'assign.assigned': 'Assigned',
+    'assign.inCount': '{done}/{total} in',
+    'assign.toGrade': '{n} to grade',
+    'assign.none': 'No assignments yet.',
+    'assign.pick': 'Create an assignment, or pick one to edit it and see who has handed in.',
+    'assign.title': 'Assignment title',
+    'assign.assignedOn': 'Assigned {date}',
+    'assign.instructions': 'Instructions for students (Markdown)',
+    'assign.allStudents': 'All students',
+    'assign.archivedClassOption': 'Archived class',
+    'assign.dueOptional': 'Due (optional)',
+    'assign.rubric': 'Rubric',
+    'assign.pointsOnly': 'Grade with points only',
+    'assign.addRubric': 'Add a rubric',
+    'assign.locked': 'Points and rubric are fixed now that work has been graded.',
+    'assign.criterion': 'Criterion',
+    'assign.fullMarks': 'What earns full marks',
+    'assign.unassign': 'Unassign',
+    'assign.assign': 'Assign',
+    'assign.studentsHeading': 'Students · {done}/{total} handed in',
+    'assign.lateCount': '{n} late',
+    'assign.nobody': 'Nobody is in this class yet.',
+    'assign.review': 'Review',
+    'assign.grade': 'Grade',
+    'assign.deleteTitle': 'Delete assignment?',
+    'assign.deleteDesc': 'The assignment and everything students handed in for it will be deleted.',
+    'assign.handedIn': 'Handed in.',
+    'assign.unsubmitted': 'Unsubmitted. Hand it in again when you are done.',
+    'assign.draftSaved': 'Draft saved.',
+    'assign.all': 'All assignments',
+    'assign.class': 'Class',
+    'assign.points.one': '{n} point',
+    'assign.points.two': '{n} points',
+    'assign.points.few': '{n} points',
+    'assign.points.other': '{n} points',
+    'assign.dueOn': 'due {date}',
+    'assign.noDue': 'no due date',
+    'assign.howGraded': 'How it will be graded',
+    'assign.yourWork': 'Your work',
+    'assign.handedInNote': 'Handed in {date}. Unsubmit to make changes.',
+    'assign.handedInLateNote': 'Handed in {date} (late). Unsubmit to make changes.',
+    'assign.overdue': 'The due date has passed. You can still hand it in, but it will be marked late.',
+    'assign.writeHere': 'Write your answer here…',
+    'assign.unsubmit': 'Unsubmit',
+    'assign.gradingNote': 'Your teacher has started grading this, so it can no longer be unsubmitted.',
+    'assign.handIn': 'Hand in',
+    'assign.noneStudent': 'No assignments yet. Work your teachers set shows up here.',
+    'assign.gradeLine': '{score}/{max} ({pct})'
+  },
+  fa: {
+    'assign.state.assigned': 'واگذارشده',
+    'assign.state.draft': 'پیش‌نویس ذخیره شد',
+    'assign.state.submitted': 'تحویل‌شده',
+    'assign.state.returned': 'بازگردانده‌شده',
+    'assign.state.missing': 'تحویل‌نشده',
+    'assign.noWrittenWork': 'کار نوشتاری نیست؛ پرونده‌های پیوست را ببینید.',
+    'assign.generalComment': 'نظر کلی',
+    'assign.scoreOf': '{score} / {max}',
+    'assign.returnedOn': 'بازگردانده‌شده {date}',
+    'assign.feedback': 'بازخورد',
+    'assign.aiReady': 'پیش‌نویس هوش مصنوعی آماده است. پیش از بازگرداندن، همهٔ نمره‌ها و نظرها را بررسی کنید.',
+    'assign.returnedTo': 'به {name} بازگردانده شد.',
+    'assign.gradeDraftSaved': 'نمره به‌صورت پیش‌نویس ذخیره شد. دانش‌آموز هنوز آن را نمی‌بیند.',
+    'assign.handedInOn': 'تحویل‌شده {date}',
+    'assign.late': 'دیرکرد',
+    'assign.selectToComment': 'واژه‌هایی از کار را انتخاب کنید تا دربارهٔ آن‌ها نظر دهید.',
+    'assign.onSelection': 'دربارهٔ «{quote}»',
+    'assign.clear': 'پاک کردن',
+    'assign.commentSelection': 'نظر دربارهٔ بخش انتخاب‌شده…',
+    'assign.commentGeneral': 'نظر کلی…',
+    'assign.draftGrade': 'پیش‌نویس نمره با هوش مصنوعی',
+    'assign.outOf': '/ {n}',
+    'assign.scoreOutOf': 'نمره / {n}',
+    'assign.total': 'مجموع {score} / {max}',
+    'assign.aiCheck': 'این نمره را هوش مصنوعی پیش‌نویس کرده است. من نمره‌ها، بازخورد و نظرها را بررسی کرده‌ام.',
+    'assign.saveDraft': 'ذخیرهٔ پیش‌نویس',
+    'assign.returnAgain': 'بازگرداندن دوباره',
+    'assign.returnToStudent': 'بازگرداندن به دانش‌آموز',
+    'assign.untitled': 'تکلیف بی‌نام',
+    'assign.assignedTo': 'به دانش‌آموزان {name} واگذار شد.',
+    'assign.assignedAll': 'به همهٔ دانش‌آموزان واگذار شد.',
+    'assign.withdrawn': 'پس گرفته شد؛ دانش‌آموزان دیگر آن را نمی‌بینند.',
+    'assign.saved': 'تکلیف ذخیره شد.',
+    'assign.archivedClass': 'کلاس بایگانی‌شده',
+    'assign.allStudentsLower': 'همهٔ دانش‌آموزان',
+    'assign.heading': 'تکلیف‌ها',
+    'assign.toGradeTab': 'برای نمره‌دهی',
+    'assign.withCount': '{name} ({n})',
+    'assign.nothingToGrade': 'چیزی در انتظار نمره‌دهی نیست.',
+    'assign.draftGradeSaved': 'نمرهٔ پیش‌نویس ذخیره شده',
+    'assign.new': 'تکلیف تازه',
+    'assign.assigned': 'واگذارشده',
+    'assign.inCount': '{done}/{total} تحویل',
+    'assign.toGrade': '{n} برای نمره‌دهی',
+    'assign.none': 'هنوز تکلیفی نیست.',
+    'assign.pick': 'تکلیفی بسازید یا یکی را برای ویرایش و دیدن تحویل‌دهندگان انتخاب کنید.',
+    'assign.title': 'عنوان تکلیف',
+    'assign.assignedOn': 'واگذارشده {date}',
+    'assign.instructions': 'راهنمای دانش‌آموزان (Markdown)',
+    'assign.allStudents': 'همهٔ دانش‌آموزان',
+    'assign.archivedClassOption': 'کلاس بایگانی‌شده',
+    'assign.dueOptional': 'موعد (اختیاری)',
+    'assign.rubric': 'روبریک',
+    'assign.pointsOnly': 'نمره‌دهی فقط با امتیاز',
+    'assign.addRubric': 'افزودن روبریک',
+    'assign.locked': 'اکنون که کاری نمره گرفته، امتیاز و روبریک ثابت‌اند.',
+    'assign.criterion': 'معیار',
+    'assign.fullMarks': 'آنچه نمرهٔ کامل می‌گیرد',
+    'assign.unassign': 'لغو واگذاری',
+    'assign.assign': 'واگذاری',
+    'assign.studentsHeading': 'دانش‌آموزان · {done}/{total} تحویل داده‌اند',
+    'assign.lateCount': '{n} دیرکرد',
+    'assign.nobody': 'هنوز کسی در این کلاس نیست.',
+    'assign.review': 'مرور',
+    'assign.grade': 'نمره‌دهی',
+    'assign.deleteTitle': 'تکلیف حذف شود؟',
+    'assign.deleteDesc': 'تکلیف و هر آنچه دانش‌آموزان برایش تحویل داده‌اند حذف می‌شود.',
+    'assign.handedIn': 'تحویل داده شد.',
+    'assign.unsubmitted': 'تحویل لغو شد. پس از پایان دوباره تحویل دهید.',
+    'assign.draftSaved': 'پیش‌نویس ذخیره شد.',
+    'assign.all': 'همهٔ تکلیف‌ها',
+    'assign.class': 'کلاس',
+    'assign.points.one': '{n} امتیاز',
+    'assign.points.two': '{n} امتیاز',
+    'assign.points.few': '{n} امتیاز',
+    'assign.points.other': '{n} امتیاز',
+    'assign.dueOn': 'موعد {date}',
+    'assign.noDue': 'بدون موعد',
+    'assign.howGraded': 'چگونه نمره داده می‌شود',
+    'assign.yourWork': 'کار شما',
+    'assign.handedInNote': '{date} تحویل داده شد. برای تغییر، تحویل را لغو کنید.',
+    'assign.handedInLateNote': '{date} تحویل داده شد (با دیرکرد). برای تغییر، تحویل را لغو کنید.',
+    'assign.overdue': 'موعد گذشته است. هنوز می‌توانید تحویل دهید، اما دیرکرد ثبت می‌شود.',
+    'assign.writeHere': 'پاسخ خود را اینجا بنویسید…',
+    'assign.unsubmit': 'لغو تحویل',
+    'assign.gradingNote': 'معلم شما نمره‌دادن به این کار را شروع کرده، پس دیگر نمی‌توان تحویل را لغو کرد.',
+    'assign.handIn': 'تحویل',
+    'assign.noneStudent': 'هنوز تکلیفی نیست. کارهایی که معلمان می‌دهند اینجا نشان داده می‌شوند.',
+    'assign.gradeLine': '{score}/{max} ({pct})'
+  },
+  ar: {
+    'assign.state.assigned': 'مُسند',
+    'assign.state.draft': 'حُفظت المسودة',
+    'assign.state.submitted': 'سُلّم',
+    'assign.state.returned': 'أُعيد',
+    'assign.state.missing': 'مفقود',
+    'assign.noWrittenWork': 'لا عمل مكتوب؛ راجع الملفات المرفقة.',
+    'assign.generalComment': 'تعليق عام',
+    'assign.scoreOf': '{score} / {max}',
+    'assign.returnedOn': 'أُعيد {date}',
+    'assign.feedback': 'الملاحظات',
+    'assign.aiReady': 'مسودة الذكاء الاصطناعي جاهزة. راجع كل درجة وتعليق قبل إعادتها.',
+    'assign.returnedTo': 'أُعيد إلى {name}.',
+    'assign.gradeDraftSaved': 'حُفظت الدرجة كمسودة. لا يراها الطالب بعد.',
+    'assign.handedInOn': 'سُلّم {date}',
+    'assign.late': 'متأخر',
+    'assign.selectToComment': 'حدّد كلمات في العمل للتعليق عليها.',
+    'assign.onSelection': 'على «{quote}»',
+    'assign.clear': 'مسح',
+    'assign.commentSelection': 'علّق على التحديد…',
+    'assign.commentGeneral': 'تعليق عام…',
+    'assign.draftGrade': 'صياغة درجة بالذكاء الاصطناعي',
+    'assign.outOf': '/ {n}',
+    'assign.scoreOutOf': 'الدرجة / {n}',
+    'assign.total': 'المجموع {score} / {max}',
+    'assign.aiCheck': 'صاغ الذكاء الاصطناعي هذه الدرجة. راجعتُ الدرجات والملاحظات والتعليقات.',
+    'assign.saveDraft': 'حفظ المسودة',
+    'assign.returnAgain': 'إعادة مجددًا',
+    'assign.returnToStudent': 'إعادة إلى الطالب',
+    'assign.untitled': 'واجب بلا عنوان',
+    'assign.assignedTo': 'أُسند إلى طلاب {name}.',
+    'assign.assignedAll': 'أُسند إلى جميع الطلاب.',
+    'assign.withdrawn': 'سُحب؛ لم يعد الطلاب يرونه.',
+    'assign.saved': 'حُفظ الواجب.',
+    'assign.archivedClass': 'صف مؤرشف',
+    'assign.allStudentsLower': 'جميع الطلاب',
+    'assign.heading': 'الواجبات',
+    'assign.toGradeTab': 'للتصحيح',
+    'assign.withCount': '{name} ({n})',
+    'assign.nothingToGrade': 'لا شيء بانتظار التصحيح.',
+    'assign.draftGradeSaved': 'حُفظت مسودة الدرجة',
+    'assign.new': 'واجب جديد',
+    'assign.assigned': 'مُسند',
+    'assign.inCount': 'سُلّم {done}/{total}',
+    'assign.toGrade': '{n} للتصحيح',
+    'assign.none': 'لا واجبات بعد.',
+    'assign.pick': 'أنشئ واجبًا، أو اختر واحدًا لتعديله ومعرفة من سلّمه.',
+    'assign.title': 'عنوان الواجب',
+    'assign.assignedOn': 'أُسند {date}',
+    'assign.instructions': 'تعليمات للطلاب (Markdown)',
+    'assign.allStudents': 'جميع الطلاب',
+    'assign.archivedClassOption': 'صف مؤرشف',
+    'assign.dueOptional': 'الموعد (اختياري)',
+    'assign.rubric': 'سلّم التقدير',
+    'assign.pointsOnly': 'التصحيح بالنقاط فقط',
+    'assign.addRubric': 'إضافة سلّم تقدير',
+    'assign.locked': 'النقاط وسلّم التقدير ثابتة الآن بعد تصحيح عمل ما.',
+    'assign.criterion': 'المعيار',
+    'assign.fullMarks': 'ما يستحق الدرجة الكاملة',
+    'assign.unassign': 'إلغاء الإسناد',
+    'assign.assign': 'إسناد',
+    'assign.studentsHeading': 'الطلاب · سلّم {done}/{total}',
+    'assign.lateCount': '{n} متأخر',
+    'assign.nobody': 'لا أحد في هذا الصف بعد.',
+    'assign.review': 'مراجعة',
+    'assign.grade': 'تصحيح',
+    'assign.deleteTitle': 'حذف الواجب؟',
+    'assign.deleteDesc': 'سيُحذف الواجب وكل ما سلّمه الطلاب له.',
+    'assign.handedIn': 'سُلّم.',
+    'assign.unsubmitted': 'أُلغي التسليم. سلّمه مجددًا عند الانتهاء.',
+    'assign.draftSaved': 'حُفظت المسودة.',
+    'assign.all': 'كل الواجبات',
+    'assign.class': 'الصف',
+    'assign.points.one': 'نقطة واحدة',
+    'assign.points.two': 'نقطتان',
+    'assign.points.few': '{n} نقاط',
+    'assign.points.other': '{n} نقطة',
+    'assign.dueOn': 'الموعد {date}',
+    'assign.noDue': 'بلا موعد',
+    'assign.howGraded': 'كيف سيُصحَّح',
+    'assign.yourWork': 'عملك',
+    'assign.handedInNote': 'سُلّم {date}. ألغِ التسليم لإجراء تغييرات.',
+    'assign.handedInLateNote': 'سُلّم {date} (متأخرًا). ألغِ التسليم لإجراء تغييرات.',
+    'assign.overdue': 'فات الموعد. لا يزال بإمكانك التسليم، لكنه سيُعلَّم متأخرًا.',
+    'assign.writeHere': 'اكتب إجابتك هنا…',
+    'assign.unsubmit': 'إلغاء التسليم',
+    'assign.gradingNote': 'بدأ معلمك بتقييم هذا العمل، لذا لم يعد ممكنًا إلغاء تسليمه.',
+    'assign.handIn': 'تسليم',
+    'assign.noneStudent': 'لا واجبات بعد. تظهر هنا الأعمال التي يحددها معلّموك.',
+    'assign.gradeLine': '{score}/{max} ({pct})'
+  }
+});
+
+// names are assign.state.* messages
+const ASSIGNMENT_STATES = {
+  assigned: { chip: 'bg-white/10 text-white/70' },
+  draft: { chip: 'bg-sky-500/20 text-sky-200' },
+  submitted: { chip: 'bg-purple-500/30 text-purple-100' },
+  returned: { chip: 'bg-green-500/20 text-green-200' },
+  missing: { chip: 'bg-red-500/30 text-red-200' }
+};
+
+const blankRubricRow = () => ({ id: uid(), name: '', description: '', points: 5 });
+
+const assignmentForm = (a) => ({
+  title: a.title, instructions: a.instructions, subject: a.subject, classId: a.classId || '',
+  points: a.points, rubric: a.rubric ? a.rubric.criteria : null,
+  dueAt: a.dueAt ? localInput(a.dueAt) : '', attachments: a.attachments
+});
+
+// Same key order as the server keeps, so an unchanged rubric compares equal
+const rubricBody = (criteria) => criteria
+  ? { criteria: criteria.filter(c => c.name.trim()).map(c => ({ id: c.id, name: c.name.trim(), description: c.description.trim(), points: Number(c.points) })) }
+  : null;
+
+const assignmentBody = (f) => ({
+  title: f.title, instructions: f.instructions, subject: f.subject, classId: f.classId || null,
+  points: Number(f.points), rubric: rubricBody(f.rubric),
+  dueAt: f.dueAt ? new Date(f.dueAt).toISOString() : null,
+  attachments: f.attachments.map(x => x.id)
+});
+
+const blankGrade = () => ({ scores: {}, score: '', feedback: '', comments: [], aiAssisted: false });
+
+const GRADE_AI_PROMPT = `You are an experienced, fair teacher drafting a grade for a colleague to review.
+Reply with JSON only, no prose around it:
+{
+  "scores": { "<criterion id>": number, ... },
+  "score": number,
+  "feedback": "2–4 sentences to the student: what went well, what to improve",
+  "comments": [{ "quote": "a few words copied exactly from the work", "text": "a short margin comment" }]
+}
+- With a rubric, give every criterion a score between 0 and its points and leave "score" out; without one, give "score" between 0 and the points.
+- Up to 5 comments. Quotes must appear word for word in the student's work.
+- Judge only against the instructions and rubric. Be specific and encouraging.`;
+
+// The model's reply as a grade form; comments are pinned where their quote is found
+const gradeFromModel = (reply, assignment, text) => {
+  const out = blankGrade();
+  if (assignment.rubric) {
+    for (const c of assignment.rubric.criteria) {
+      const n = Number(reply?.scores?.[c.id]);
+      out.scores[c.id] = Number.isFinite(n) ? clamp(Math.round(n * 2) / 2, 0, c.points) : '';
+    }
+  } else {
+    const n = Number(reply?.score);
+    out.score = Number.isFinite(n) ? clamp(Math.round(n * 2) / 2, 0, assignment.points) : '';
+  }
+  out.feedback = String(reply?.feedback || '').trim();
+  out.comments = (Array.isArray(reply?.comments) ? reply.comments : []).slice(0, 10).map(c => {
+    const quote = String(c?.quote || '').trim();
+    const at = quote ? text.indexOf(quote) : -1;
+    return { id: uid(), text: String(c?.text || '').trim(), ...(at >= 0 ? { start: at, end: at + quote.length, quote } : { start: null, end: null, quote: '' }) };
+  }).filter(c => c.text);
+  out.aiAssisted = true;
+  return out;
+};
+
+// The text cut into plain and commented stretches; overlapping comments after the first are not highlighted
+const commentSegments = (text, comments) => {
+  const marks = comments.filter(c => c.start != null).sort((a, b) => a.start - b.start);
+  const out = [];
+  let at = 0;
+  for (const c of marks) {
+    if (c.start < at) continue;
+    if (c.start > at) out.push({ text: text.slice(at, c.start) });
+    out.push({ text: text.slice(c.start, c.end), comment: c });
+    at = c.end;
+  }
+  if (at < text.length) out.push({ text: text.slice(at) });
+  return out;
+};
+
+// Character offset of a DOM position inside `root` (the text is rendered as-is, so they line up)
+const textOffset = (root, node, offset) => {
+  const r = document.createRange();
+  r.selectNodeContents(root);
+  r.setEnd(node, offset);
+  return r.toString().length;
+};
+
+function AnnotatedText({ text, comments, activeId, onPick, onSelectRange }) {
+  const root = useRef(null);
+  const select = () => {
+    const sel = window.getSelection();
+    if (!onSelectRange || !sel?.rangeCount || sel.isCollapsed) return;
+    const range = sel.getRangeAt(0);
+    if (!root.current.contains(range.commonAncestorContainer)) return;
+    const start = textOffset(root.current, range.startContainer, range.startOffset);
+    const end = textOffset(root.current, range.endContainer, range.endOffset);
+    if (end > start) onSelectRange({ start, end });
+  };
+  if (!text) return <p className="text-white/50 text-sm italic">{tr('assign.noWrittenWork')}</p>;
+  return (
+    <div ref={root} onMouseUp={select} className="whitespace-pre-wrap break-words text-white/90 leading-relaxed p-4 rounded-xl bg-black/20 border border-white/10 max-h-[32rem] overflow-y-auto">
+      {commentSegments(text, comments).map((s, i) => s.comment ? (
+        <mark
+          key={i}
+          onClick={() => onPick?.(s.comment.id)}
+          title={s.comment.text}
+          className={`rounded px-0.5 cursor-pointer text-white ${s.comment.id === activeId ? 'bg-yellow-400/60' : 'bg-yellow-400/25'}`}
+        >{s.text}</mark>
+      ) : <React.Fragment key={i}>{s.text}</React.Fragment>)}
+    </div>
+  );
+}
+
+function CommentList({ comments, activeId, onPick, onChange }) {
+  if (!comments.length) return null;
+  return (
+    <ol className="space-y-2">
+      {comments.map((c, i) => (
+        <li key={c.id} onClick={() => onPick?.(c.id)} className={`p-3 rounded-xl border text-sm cursor-pointer ${c.id === activeId ? 'bg-yellow-400/10 border-yellow-400/40' : 'bg-white/5 border-white/10'}`}>
+          <div className="flex items-start gap-2">
+            <span className="text-white/50">{fmtNumber(i + 1)}.</span>
+            <div className="flex-1 min-w-0 space-y-1">
+              {c.quote ? <p className="text-yellow-100/80 text-xs truncate">“{c.quote}”</p> : <p className="text-white/40 text-xs">{tr('assign.generalComment')}</p>}
+              {onChange
+                ? <textarea value={c.text} onChange={e => onChange(comments.map(x => x.id === c.id ? { ...x, text: e.target.value } : x))} rows={2} aria-label={c.quote || tr('assign.generalComment')} className="w-full resize-y p-2 rounded-lg bg-white/10 border border-white/20 text-white outline-none focus:ring-2 focus:ring-purple-500" />
+                : <p className="text-white/90 whitespace-pre-wrap">{c.text}</p>}
+            </div>
+            {onChange && <button onClick={(e) => { e.stopPropagation(); onChange(comments.filter(x => x.id !== c.id)); }} className="p-1 rounded text-white/60 hover:text-red-300" title={tr('common.remove')} aria-label={tr('common.remove')}><X size={14} /></button>}
+          </div>
+        </li>
+      ))}
+    </ol>
+  );
+}
+
+// A returned grade as the student sees it
+function GradeView({ assignment, submission }) {
+  const [active, setActive] = useState(null);
+  const g = submission.grade;
+  return (
+    <div className="space-y-4">
+      <div className="flex flex-wrap items-end gap-4">
+        <p className="text-4xl font-bold text-white">{fmtNumber(g.score)}<span className="text-white/50 text-xl"> {tr('assign.outOf', { n: fmtNumber(g.maxScore) })}</span></p>
+        <p className="text-purple-200 text-lg">{fmtNumber(g.pct / 100, { style: 'percent' })}</p>
+        <p className="text-white/50 text-sm ms-auto">{tr('assign.returnedOn', { date: fmtDate(submission.returnedAt) })}</p>
+      </div>
+      {assignment.rubric && (
+        <div className="space-y-2">
+          {assignment.rubric.criteria.map(c => (
+            <div key={c.id}>
+              <div className="flex justify-between text-sm text-white/80 mb-1"><span>{c.name}</span><span>{tr('assign.scoreOf', { score: fmtNumber(g.scores?.[c.id] ?? 0), max: fmtNumber(c.points) })}</span></div>
+              <div className="h-2 rounded-full bg-white/10"><div className="h-full rounded-full bg-green-400" style={{ width: `${((g.scores?.[c.id] ?? 0) / c.points) * 100}%` }} /></div>
+            </div>
+          ))}
+        </div>
+      )}
+      {g.feedback && <div className="p-4 rounded-xl bg-white/5 border border-white/10"><p className="text-white/60 text-xs mb-1">{tr('assign.feedback')}</p><p className="text-white whitespace-pre-wrap">{g.feedback}</p></div>}
+      <AnnotatedText text={submission.text} comments={g.comments} activeId={active} onPick={setActive} />
+      <CommentList comments={g.comments} activeId={active} onPick={setActive} />
+      <AnnouncementExtras attachments={submission.attachments} />
+    </div>
+  );
+}
+
+/* ------------------- Teacher: grade one piece of work ------------------- */
+function Grader({ submissionId, askModel, pushToast, onBack, onSaved }) {
+  const [data, setData] = useState(null);          // { submission, assignment }
+  const [form, setForm] = useState(blankGrade);
+  const [active, setActive] = useState(null);
+  const [range, setRange] = useState(null);        // text selected for a new comment
+  const [note, setNote] = useState('');
+  const [busy, setBusy] = useState(null);          // 'ai' | 'save' | 'return'
+  const [reviewed, setReviewed] = useState(false);
+
+  useEffect(() => {
+    api(`/api/submissions/${submissionId}`).then(d => {
+      setData(d);
+      if (d.submission.grade) setForm({ ...blankGrade(), ...d.submission.grade, score: d.submission.grade.scores ? '' : d.submission.grade.score, scores: d.submission.grade.scores || {} });
+      setReviewed(!d.submission.grade?.aiAssisted);
+    }).catch(e => { pushToast(errorText(e), 'error'); onBack(); });
+  }, [submissionId]);
+
+  if (!data) return <div className="flex justify-center p-6"><Loader2 className="animate-spin text-purple-300" size={32} /></div>;
+  const { submission: s, assignment: a } = data;
+  const text = s.text || '';
+  const total = a.rubric ? a.rubric.criteria.reduce((n, c) => n + (Number(form.scores[c.id]) || 0), 0) : Number(form.score) || 0;
+
+  const addComment = () => {
+    if (!note.trim()) return;
+    const c = { id: uid(), text: note.trim(), ...(range ? { ...range, quote: text.slice(range.start, range.end) } : { start: null, end: null, quote: '' }) };
+    setForm(f => ({ ...f, comments: [...f.comments, c].sort((x, y) => (x.start ?? Infinity) - (y.start ?? Infinity)) }));
+    setRange(null);
+    setNote('');
+    setActive(c.id);
+  };
+
+  const draft = async () => {
+    setBusy('ai');
+    try {
+      const context = JSON.stringify({
+        title: a.title, instructions: a.instructions, subject: SUBJECTS[a.subject] || a.subject,
+        ...(a.rubric ? { rubric: a.rubric.criteria } : { points: a.points }),
+        work: text || '(no written work; only attached files)'
+      });
+      const next = gradeFromModel(parseModelJson(await askModel(GRADE_AI_PROMPT, context)), a, text);
+      setForm(next);
+      setReviewed(false);
+      pushToast(tr('assign.aiReady'), 'info', 6000);
+    } catch (e) {
+      pushToast(e instanceof ApiError ? errorText(e) : e.message, 'error');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const save = async (ret) => {
+    setBusy(ret ? 'return' : 'save');
+    try {
+      const body = {
+        ...(a.rubric ? { scores: form.scores } : { score: form.score }),
+        feedback: form.feedback, comments: form.comments, aiAssisted: form.aiAssisted,
+        return: ret, tz: -new Date().getTimezoneOffset()
+      };
+      const d = await api(`/api/submissions/${s.id}/grade`, { method: 'PUT', body });
+      setData(prev => ({ ...prev, submission: d.submission }));
+      pushToast(ret ? tr('assign.returnedTo', { name: personName(s.student) }) : tr('assign.gradeDraftSaved'), 'success');
+      onSaved?.();
+      if (ret) onBack();
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  const btn = "flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm disabled:opacity-50";
+  const card = "bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10";
+
+  return (
+    <div className="space-y-6">
+      <div className="flex flex-wrap items-center gap-3">
+        <button onClick={onBack} className={btn}><ChevronLeft size={16} /> {tr('common.back')}</button>
+        <div className="flex-1 min-w-0">
+          <h3 className="text-white font-semibold text-xl truncate">{personName(s.student)} <span className="text-white/50 font-normal">· {a.title}</span></h3>
+          <p className="text-white/50 text-sm">
+            {tr('assign.handedInOn', { date: fmtDate(s.submittedAt) })}
+            {s.late && <span className="ms-2 px-2 py-0.5 rounded-full bg-red-500/30 text-red-200 text-xs">{tr('assign.late')}</span>}
+            {s.status === 'returned' && <span className="ms-2 px-2 py-0.5 rounded-full bg-green-500/20 text-green-200 text-xs">{tr('assign.returnedOn', { date: fmtDate(s.returnedAt) })}</span>}
+          </p>
+        </div>
+      </div>
+
+      <div className="grid lg:grid-cols-[1fr_22rem] gap-6">
+        <div className={`${card} space-y-4`}>
+          <p className="text-white/60 text-sm">{tr('assign.selectToComment')}</p>
+          <AnnotatedText text={text} comments={form.comments} activeId={active} onPick={setActive} onSelectRange={r => { setRange(r); setActive(null); }} />
+          <div className="space-y-2">
+            {range && <p className="text-yellow-100/80 text-xs">{tr('assign.onSelection', { quote: text.slice(range.start, range.end).slice(0, 120) })} <button onClick={() => setRange(null)} className="underline text-white/60">{tr('assign.clear')}</button></p>}
+            <div className="flex gap-2">
+              <input value={note} onChange={e => setNote(e.target.value)} onKeyDown={e => e.key === 'Enter' && addComment()} placeholder={range ? tr('assign.commentSelection') : tr('assign.commentGeneral')} aria-label={range ? tr('assign.commentSelection') : tr('assign.commentGeneral')} className={`flex-1 ${small}`} />
+              <button onClick={addComment} disabled={!note.trim()} className={btn}><MessageSquare size={16} /> {tr('common.add')}</button>
+            </div>
+          </div>
+          <CommentList comments={form.comments} activeId={active} onPick={setActive} onChange={comments => setForm(f => ({ ...f, comments }))} />
+          <AnnouncementExtras attachments={s.attachments} />
+        </div>
+
+        <div className={`${card} space-y-4 self-start`}>
+          {askModel && (
+            <button onClick={draft} disabled={!!busy} className="w-full justify-center flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-purple-200 text-sm disabled:opacity-50">
+              {busy === 'ai' ? <Loader2 size={16} className="animate-spin" /> : <Sparkles size={16} />} {tr('assign.draftGrade')}
+            </button>
+          )}
+          {a.rubric ? (
+            <div className="space-y-3">
+              {a.rubric.criteria.map(c => (
+                <label key={c.id} className="block space-y-1">
+                  <span className="flex justify-between text-white/80 text-sm"><span>{c.name}</span><span className="text-white/50">{tr('assign.outOf', { n: fmtNumber(c.points) })}</span></span>
+                  {c.description && <span className="block text-white/50 text-xs">{c.description}</span>}
+                  <input type="number" min={0} max={c.points} step={0.5} value={form.scores[c.id] ?? ''} onChange={e => setForm(f => ({ ...f, scores: { ...f.scores, [c.id]: e.target.value } }))} className={`w-full ${small}`} />
+                </label>
+              ))}
+            </div>
+          ) : (
+            <label className="block space-y-1 text-white/80 text-sm"><span>{tr('assign.scoreOutOf', { n: fmtNumber(a.points) })}</span>
+              <input type="number" min={0} max={a.points} step={0.5} value={form.score} onChange={e => setForm(f => ({ ...f, score: e.target.value }))} className={`w-full ${small}`} />
+            </label>
+          )}
+          <p className="text-white text-lg font-semibold">{tr('assign.total', { score: fmtNumber(Math.round(total * 100) / 100), max: fmtNumber(a.maxScore) })}</p>
+          <label className="block space-y-1 text-white/80 text-sm"><span>{tr('assign.feedback')}</span>
+            <textarea value={form.feedback} onChange={e => setForm(f => ({ ...f, feedback: e.target.value }))} rows={5} className={`w-full resize-y ${small}`} />
+          </label>
+          {form.aiAssisted && !reviewed && (
+            <label className="flex items-start gap-2 p-3 rounded-xl bg-yellow-500/10 border border-yellow-400/30 text-yellow-100 text-sm">
+              <input type="checkbox" checked={reviewed} onChange={e => setReviewed(e.target.checked)} className="mt-1" />
+              {tr('assign.aiCheck')}
+            </label>
+          )}
+          <div className="flex flex-wrap gap-2">
+            <button onClick={() => save(false)} disabled={!!busy} className={btn}>{busy === 'save' ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />} {tr('assign.saveDraft')}</button>
+            <button onClick={() => save(true)} disabled={!!busy || !reviewed} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white text-sm font-semibold disabled:opacity-60">
+              {busy === 'return' ? <Loader2 size={16} className="animate-spin" /> : <Send size={16} />} {s.status === 'returned' ? tr('assign.returnAgain') : tr('assign.returnToStudent')}
+            </button>
+          </div>
+        </div>
+      </div>
+    </div>
+  );
+}
+
+/* ------------------- Teacher: set work and grade it ------------------- */
+function AssignmentStudio({ classId, classes, askModel, pushToast }) {
+  const [view, setView] = useState('assignments'); // 'assignments' | 'queue'
+  const [assignments, setAssignments] = useState(null);
+  const [queue, setQueue] = useState(null);
+  const [activeId, setActiveId] = useState(null);
+  const [detail, setDetail] = useState(null);      // { assignment, students } for the open one
+  const [form, setForm] = useState(null);
+  const [grading, setGrading] = useState(null);    // submission id
+  const [busy, setBusy] = useState(false);
+  const [pendingDelete, setPendingDelete] = useState(null);
+  const q = classId ? `?classId=${classId}` : '';
+
+  const load = async () => {
+    try { setAssignments((await api(`/api/assignments${q}`)).assignments); }
+    catch (e) { pushToast(errorText(e), 'error'); }
+  };
+  const loadQueue = async () => {
+    try { setQueue((await api(`/api/grading${q}`)).queue); }
+    catch (e) { pushToast(errorText(e), 'error'); }
+  };
+  const loadDetail = async (id = activeId) => {
+    if (!id) { setDetail(null); return; }
+    try { setDetail(await api(`/api/assignments/${id}`)); }
+    catch (e) { pushToast(errorText(e), 'error'); }
+  };
+  useEffect(() => { load(); loadQueue(); }, [classId]);
+  useEffect(() => { setForm(null); loadDetail(); }, [activeId]);
+  useEffect(() => { if (detail && !form) setForm(assignmentForm(detail.assignment)); }, [detail]);
+
+  const refresh = () => { load(); loadQueue(); loadDetail(); };
+
+  const run = async (fn) => {
+    setBusy(true);
+    try { await fn(); }
+    catch (e) { pushToast(errorText(e), 'error'); }
+    finally { setBusy(false); }
+  };
+
+  const create = () => run(async () => {
+    const d = await api('/api/assignments', { method: 'POST', body: { title: tr('assign.untitled'), classId: classId || null } });
+    await load();
+    setActiveId(d.assignment.id);
+  });
+
+  const save = (extra = {}) => run(async () => {
+    const body = assignmentBody(form);
+    const current = detail.assignment;
+    // points and rubric are locked once something is graded, so only send them when they changed
+    if (JSON.stringify(body.rubric) === JSON.stringify(current.rubric)) delete body.rubric;
+    if (body.points === current.points) delete body.points;
+    const d = await api(`/api/assignments/${current.id}`, { method: 'PATCH', body: { ...body, ...extra } });
+    setForm(assignmentForm(d.assignment));
+    refresh();
+    const to = classes.find(c => c.id === d.assignment.classId)?.name;
+    pushToast(extra.status === 'published' ? to ? tr('assign.assignedTo', { name: to }) : tr('assign.assignedAll') : extra.status === 'draft' ? tr('assign.withdrawn') : tr('assign.saved'), 'success');
+  });
+
+  const remove = () => run(async () => {
+    const id = pendingDelete;
+    setPendingDelete(null);
+    await api(`/api/assignments/${id}`, { method: 'DELETE' });
+    setActiveId(null);
+    await load();
+    await loadQueue();
+  });
+
+  const set = (k) => (e) => setForm(f => ({ ...f, [k]: e.target.value }));
+  const setCriterion = (id, patch) => setForm(f => ({ ...f, rubric: f.rubric.map(c => c.id === id ? { ...c, ...patch } : c) }));
+
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  const btn = "flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm disabled:opacity-50";
+  const card = "bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10";
+  const className = (id) => id ? classes.find(c => c.id === id)?.name || tr('assign.archivedClass') : tr('assign.allStudentsLower');
+
+  if (grading) {
+    return (
+      <div className="p-6 overflow-y-auto h-full">
+        <div className="max-w-6xl mx-auto">
+          <Grader submissionId={grading} askModel={askModel} pushToast={pushToast} onBack={() => { setGrading(null); refresh(); }} onSaved={loadQueue} />
+        </div>
+      </div>
+    );
+  }
+
+  const a = detail?.assignment;
+  const graded = a && (a.stats.returned > 0 || detail.students.some(s => s.grade));
+
+  return (
+    <div className="p-6 overflow-y-auto h-full">
+      <div className="max-w-6xl mx-auto space-y-6">
+        <div className="flex flex-wrap items-center gap-3">
+          <h2 className="text-3xl font-bold text-white flex-1">{tr('assign.heading')}</h2>
+          {[['assignments', tr('assign.heading'), assignments], ['queue', tr('assign.toGradeTab'), queue]].map(([k, label, list]) => [k, list ? tr('assign.withCount', { name: label, n: fmtNumber(list.length) }) : label]).map(([k, name]) => (
+            <button key={k} onClick={() => setView(k)} aria-pressed={view === k} className={`px-4 py-2 rounded-xl text-sm font-medium ${view === k ? 'bg-purple-500 text-white' : 'bg-white/10 text-white/80 hover:bg-white/20'}`}>{name}</button>
+          ))}
+        </div>
+
+        {view === 'queue' ? (
+          !queue ? <div className="flex justify-center p-6"><Loader2 className="animate-spin text-purple-300" size={32} /></div>
+            : !queue.length ? (
+              <div className={`${card} text-center`}>
+                <CheckCircle className="mx-auto mb-4 text-green-400" size={56} />
+                <p className="text-white/70">{tr('assign.nothingToGrade')}</p>
+              </div>
+            ) : (
+              <div className="space-y-2">
+                {queue.map(s => (
+                  <button key={s.id} onClick={() => setGrading(s.id)} className="w-full flex flex-wrap items-center gap-3 p-4 rounded-2xl bg-white/10 border border-white/10 hover:bg-white/15 text-start">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-white font-medium truncate">{personName(s.student)} <span className="text-white/50 font-normal">· {s.assignment.title}</span></p>
+                      <p className="text-white/50 text-xs">{tr('assign.handedInOn', { date: fmtDate(s.submittedAt) })} · {className(s.assignment.classId)}{s.grade ? ` · ${tr('assign.draftGradeSaved')}` : ''}</p>
+                    </div>
+                    {s.late && <span className="px-2 py-0.5 rounded-full bg-red-500/30 text-red-200 text-xs">{tr('assign.late')}</span>}
+                    <ChevronRight size={18} className="text-white/50" />
+                  </button>
+                ))}
+              </div>
+            )
+        ) : !assignments ? <div className="flex justify-center p-6"><Loader2 className="animate-spin text-purple-300" size={32} /></div> : (
+          <div className="grid md:grid-cols-[16rem_1fr] gap-6">
+            <div className="space-y-2">
+              <button onClick={create} disabled={busy} className={`${btn} w-full justify-center`}><Plus size={16} /> {tr('assign.new')}</button>
+              {assignments.map(x => (
+                <button key={x.id} onClick={() => setActiveId(x.id)} className={`w-full text-start p-3 rounded-xl border ${x.id === activeId ? 'bg-purple-500/30 border-purple-400/50' : 'bg-white/5 border-white/10 hover:bg-white/10'}`}>
+                  <p className="text-white text-sm font-medium truncate">{x.title}</p>
+                  <p className="text-white/50 text-xs">
+                    {x.status === 'published' ? tr('assign.assigned') : tr('common.draft')}{!classId ? ` · ${className(x.classId)}` : ''}
+                    {x.status === 'published' && ` · ${tr('assign.inCount', { done: fmtNumber(x.stats.submitted), total: fmtNumber(x.stats.expected) })}`}{x.stats.toGrade ? ` · ${tr('assign.toGrade', { n: fmtNumber(x.stats.toGrade) })}` : ''}
+                  </p>
+                </button>
+              ))}
+              {!assignments.length && <p className="text-white/50 text-sm text-center py-4">{tr('assign.none')}</p>}
+            </div>
+
+            {!a || !form ? (
+              <p className="text-white/60">{activeId ? <Loader2 className="animate-spin text-purple-300" size={24} /> : tr('assign.pick')}</p>
+            ) : (
+              <div className="space-y-6">
+                <div className={`${card} space-y-3`}>
+                  <div className="flex flex-wrap items-center gap-2">
+                    <input value={form.title} onChange={set('title')} placeholder={tr('assign.title')} aria-label={tr('assign.title')} className={`flex-1 min-w-[12rem] text-lg ${small}`} />
+                    <span className={`text-xs px-2 py-1 rounded-full ${a.status === 'published' ? 'bg-green-500/30 text-green-100' : 'bg-white/10 text-white/70'}`}>{a.status === 'published' ? tr('assign.assignedOn', { date: fmtDate(a.publishedAt) }) : tr('common.draft')}</span>
+                  </div>
+                  <textarea value={form.instructions} onChange={set('instructions')} rows={5} placeholder={tr('assign.instructions')} aria-label={tr('assign.instructions')} className={`w-full resize-y ${small}`} />
+                  <AttachmentPicker files={form.attachments} onChange={attachments => setForm(f => ({ ...f, attachments }))} onError={m => pushToast(m, 'error')} />
+                  <div className="grid sm:grid-cols-2 md:grid-cols-4 gap-3 text-white/70 text-sm">
+                    <label className="space-y-1 block"><span>{tr('common.class')}</span>
+                      <select value={form.classId} onChange={set('classId')} className={`w-full ${small}`}>
+                        <option value="" className="bg-gray-800">{tr('assign.allStudents')}</option>
+                        {form.classId && !classes.some(c => c.id === form.classId) && <option value={form.classId} className="bg-gray-800">{tr('assign.archivedClassOption')}</option>}
+                        {classes.map(c => <option key={c.id} value={c.id} className="bg-gray-800">{c.name}</option>)}
+                      </select>
+                    </label>
+                    <label className="space-y-1 block"><span>{tr('common.subject')}</span>
+                      <select value={form.subject} onChange={set('subject')} className={`w-full ${small}`}>
+                        {Object.keys(SUBJECTS).map(k => <option key={k} value={k} className="bg-gray-800">{subjectName(k)}</option>)}
+                      </select>
+                    </label>
+                    <label className="space-y-1 block"><span>{tr('assign.dueOptional')}</span>
+                      <input type="datetime-local" value={form.dueAt} onChange={set('dueAt')} className={`w-full ${small}`} />
+                    </label>
+                    <label className="space-y-1 block"><span>{tr('common.points')}</span>
+                      <input type="number" min={1} max={1000} value={form.rubric ? rubricBody(form.rubric).criteria.reduce((n, c) => n + (c.points || 0), 0) : form.points} onChange={set('points')} disabled={!!form.rubric || graded} className={`w-full ${small} disabled:opacity-60`} />
+                    </label>
+                  </div>
+
+                  <div className="pt-2 space-y-2">
+                    <div className="flex items-center gap-3">
+                      <h3 className="text-white font-semibold flex-1">{tr('assign.rubric')}</h3>
+                      {!graded && (form.rubric
+                        ? <button onClick={() => setForm(f => ({ ...f, rubric: null }))} className="text-xs text-white/60 hover:text-white underline">{tr('assign.pointsOnly')}</button>
+                        : <button onClick={() => setForm(f => ({ ...f, rubric: [blankRubricRow()] }))} className="text-xs text-purple-200 hover:text-white underline">{tr('assign.addRubric')}</button>)}
+                    </div>
+                    {graded && <p className="text-white/50 text-xs">{tr('assign.locked')}</p>}
+                    {form.rubric?.map(c => (
+                      <div key={c.id} className="grid grid-cols-[1fr_2fr_5rem_auto] gap-2 items-start">
+                        <input value={c.name} onChange={e => setCriterion(c.id, { name: e.target.value })} disabled={graded} placeholder={tr('assign.criterion')} aria-label={tr('assign.criterion')} className={small} />
+                        <input value={c.description} onChange={e => setCriterion(c.id, { description: e.target.value })} disabled={graded} placeholder={tr('assign.fullMarks')} aria-label={tr('assign.fullMarks')} className={small} />
+                        <input type="number" min={0.5} max={1000} step={0.5} value={c.points} onChange={e => setCriterion(c.id, { points: e.target.value })} disabled={graded} className={small} title={tr('common.points')} aria-label={tr('common.points')} />
+                        {!graded && <button onClick={() => setForm(f => ({ ...f, rubric: f.rubric.filter(x => x.id !== c.id) }))} className="p-2 rounded-lg bg-white/10 hover:bg-red-500/30 text-white" title={tr('common.remove')} aria-label={tr('common.remove')}><X size={14} /></button>}
+                      </div>
+                    ))}
+                    {form.rubric && !graded && <button onClick={() => setForm(f => ({ ...f, rubric: [...f.rubric, blankRubricRow()] }))} className="text-xs text-purple-200 hover:text-white flex items-center gap-1"><Plus size={12} /> {tr('assign.criterion')}</button>}
+                  </div>
+
+                  <div className="flex flex-wrap gap-2 pt-2">
+                    <button onClick={() => save()} disabled={busy} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold disabled:opacity-60"><Save size={16} /> {tr('common.save')}</button>
+                    {a.status === 'published'
+                      ? <button onClick={() => save({ status: 'draft' })} disabled={busy} className={btn}><EyeOff size={16} /> {tr('assign.unassign')}</button>
+                      : <button onClick={() => save({ status: 'published' })} disabled={busy} className={btn}><Send size={16} /> {tr('assign.assign')}</button>}
+                    <button onClick={() => setPendingDelete(a.id)} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-red-500/30 text-white text-sm"><Trash2 size={16} /> {tr('common.delete')}</button>
+                  </div>
+                </div>
+
+                {a.status === 'published' && (
+                  <div className={card}>
+                    <h3 className="text-white font-semibold text-xl mb-3">
+                      {tr('assign.studentsHeading', { done: fmtNumber(a.stats.submitted), total: fmtNumber(a.stats.expected) })}{a.stats.late ? ` · ${tr('assign.lateCount', { n: fmtNumber(a.stats.late) })}` : ''}
+                    </h3>
+                    {!detail.students.length ? <p className="text-white/60 text-sm">{tr('assign.nobody')}</p> : (
+                      <div className="divide-y divide-white/10">
+                        {detail.students.map(s => (
+                          <div key={s.userId} className="flex flex-wrap items-center gap-3 py-2">
+                            <p className="flex-1 min-w-[10rem] text-white truncate">{personName(s.student)} <span className="text-white/40 text-xs">@{s.username}</span></p>
+                            {s.late && <span className="px-2 py-0.5 rounded-full bg-red-500/30 text-red-200 text-xs">{tr('assign.late')}</span>}
+                            <span className={`px-2 py-0.5 rounded-full text-xs ${ASSIGNMENT_STATES[s.state].chip}`}>{tr(`assign.state.${s.state}`)}</span>
+                            {s.grade && <span className="text-white/70 text-sm w-20 text-end">{tr('assign.scoreOf', { score: fmtNumber(s.grade.score), max: fmtNumber(s.grade.maxScore) })}</span>}
+                            {s.id && <button onClick={() => setGrading(s.id)} className="px-3 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-white text-xs">{s.state === 'returned' ? tr('assign.review') : tr('assign.grade')}</button>}
+                          </div>
+                        ))}
+                      </div>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+
+      <Confirm
+        open={!!pendingDelete}
+        title={tr('assign.deleteTitle')}
+        desc={tr('assign.deleteDesc')}
+        onCancel={() => setPendingDelete(null)}
+        onConfirm={remove}
+      />
+    </div>
+  );
+}
+
+/* ------------------- Student: hand in work ------------------- */
+function StudentAssignments({ classes, pushToast }) {
+  const [assignments, setAssignments] = useState(null);
+  const [activeId, setActiveId] = useState(null);
+  const [work, setWork] = useState(null);          // { text, attachments } being edited
+  const [busy, setBusy] = useState(null);
+
+  const load = async () => {
+    try {
+      const list = (await api('/api/assignments')).assignments;
+      setAssignments(list);
+      return list;
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+      return null;
+    }
+  };
+  useEffect(() => { load(); }, []);
+
+  const a = assignments?.find(x => x.id === activeId) || null;
+  useEffect(() => { setWork(a ? { text: a.submission?.text || '', attachments: a.submission?.attachments || [] } : null); }, [activeId]);
+
+  const send = async (submit) => {
+    setBusy(submit ? 'submit' : 'save');
+    try {
+      await api(`/api/assignments/${a.id}/submission`, { method: 'PUT', body: { text: work.text, attachments: work.attachments.map(f => f.id), submit } });
+      await load();
+      pushToast(submit ? tr('assign.handedIn') : a.submission?.status === 'submitted' ? tr('assign.unsubmitted') : tr('assign.draftSaved'), 'success');
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  const btn = "flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm disabled:opacity-50";
+  const card = "bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10";
+  const chip = (x) => (
+    <>
+      <span className={`px-2 py-0.5 rounded-full text-xs ${ASSIGNMENT_STATES[x.state].chip}`}>{tr(`assign.state.${x.state}`)}</span>
+      {x.submission?.late && <span className="px-2 py-0.5 rounded-full bg-red-500/30 text-red-200 text-xs">{tr('assign.late')}</span>}
+    </>
+  );
+
+  if (a && work) {
+    const handedIn = a.submission?.status === 'submitted';
+    const overdue = a.dueAt && Date.parse(a.dueAt) < Date.now();
+    return (
+      <div className="p-6 overflow-y-auto h-full">
+        <div className="max-w-3xl mx-auto space-y-6">
+          <button onClick={() => setActiveId(null)} className={btn}><ChevronLeft size={16} /> {tr('assign.all')}</button>
+          <div className={`${card} space-y-3`}>
+            <div className="flex flex-wrap items-center gap-2">
+              <h2 className="text-2xl font-bold text-white flex-1">{a.title}</h2>
+              {chip(a)}
+            </div>
+            <p className="text-white/50 text-sm">
+              {subjectName(a.subject)}{a.classId ? ` · ${classes.find(c => c.id === a.classId)?.name || tr('assign.class')}` : ''} · {trn('assign.points', a.maxScore)}
+              {a.dueAt && ` · ${tr('assign.dueOn', { date: fmtDate(a.dueAt) })}`}
+            </p>
+            {a.instructions && <Markdown text={a.instructions} className="text-white/90" />}
+            <AnnouncementExtras attachments={a.attachments} />
+            {a.rubric && (
+              <div className="pt-2">
+                <p className="text-white/70 text-sm mb-2">{tr('assign.howGraded')}</p>
+                <div className="space-y-1">
+                  {a.rubric.criteria.map(c => (
+                    <div key={c.id} className="flex gap-3 text-sm p-2 rounded-lg bg-white/5">
+                      <span className="text-white font-medium">{c.name}</span>
+                      <span className="flex-1 text-white/60">{c.description}</span>
+                      <span className="text-white/70">{trn('assign.points', c.points)}</span>
+                    </div>
+                  ))}
+                </div>
+              </div>
+            )}
+          </div>
+
+          <div className={`${card} space-y-3`}>
+            <h3 className="text-white font-semibold text-xl">{tr('assign.yourWork')}</h3>
+            {a.state === 'returned' ? <GradeView assignment={a} submission={a.submission} /> : (
+              <>
+                {handedIn && <p className="text-purple-200 text-sm">{tr(a.submission.late ? 'assign.handedInLateNote' : 'assign.handedInNote', { date: fmtDate(a.submission.submittedAt) })}</p>}
+                {!handedIn && overdue && <p className="text-yellow-200 text-sm">{tr('assign.overdue')}</p>}
+                <textarea value={work.text} onChange={e => setWork(w => ({ ...w, text: e.target.value }))} disabled={handedIn} rows={12} placeholder={tr('assign.writeHere')} aria-label={tr('assign.yourWork')} className={`w-full resize-y ${small} disabled:opacity-70`} />
+                {handedIn ? <AnnouncementExtras attachments={work.attachments} /> : (
+                  <AttachmentPicker files={work.attachments} onChange={attachments => setWork(w => ({ ...w, attachments }))} onError={m => pushToast(m, 'error')} />
+                )}
+                <div className="flex flex-wrap gap-2">
+                  {handedIn ? (a.submission.grading ? <p className="text-purple-200 text-sm">{tr('assign.gradingNote')}</p> : (
+                    <button onClick={() => send(false)} disabled={!!busy} className={btn}>{busy ? <Loader2 size={16} className="animate-spin" /> : <RotateCcw size={16} />} {tr('assign.unsubmit')}</button>
+                  )) : (
+                    <>
+                      <button onClick={() => send(false)} disabled={!!busy} className={btn}>{busy === 'save' ? <Loader2 size={16} className="animate-spin" /> : <Save size={16} />} {tr('assign.saveDraft')}</button>
+                      <button onClick={() => send(true)} disabled={!!busy || (!work.text.trim() && !work.attachments.length)} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white text-sm font-semibold disabled:opacity-60">
+                        {busy === 'submit' ? <Loader2 size={16} className="animate-spin" /> : <Send size={16} />} {tr('assign.handIn')}
+                      </button>
+                    </>
+                  )}
+                </div>
+              </>
+            )}
+          </div>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="p-6 overflow-y-auto h-full">
+      <div className="max-w-3xl mx-auto space-y-4">
+        <h2 className="text-3xl font-bold text-white mb-6">{tr('assign.heading')}</h2>
+        {!assignments && <div className="flex justify-center p-6"><Loader2 className="animate-spin text-purple-300" size={32} /></div>}
+        {assignments && !assignments.length && <p className="text-white/60">{tr('assign.noneStudent')}</p>}
+        {assignments?.map(x => (
+          <button key={x.id} onClick={() => setActiveId(x.id)} className={`w-full text-start ${card} hover:bg-white/15`}>
+            <div className="flex flex-wrap items-center gap-2">
+              <h3 className="text-white font-semibold text-lg flex-1 min-w-0 truncate">{x.title}</h3>
+              {chip(x)}
+            </div>
+            <p className="text-white/50 text-sm mt-1">
+              {subjectName(x.subject)} · {x.dueAt ? tr('assign.dueOn', { date: fmtDate(x.dueAt) }) : tr('assign.noDue')}
+              {x.submission?.grade && <span className="text-green-300"> · {tr('assign.gradeLine', { score: fmtNumber(x.submission.grade.score), max: fmtNumber(x.submission.grade.maxScore), pct: fmtNumber(x.submission.grade.pct / 100, { style: 'percent' }) })}</span>}
+            </p>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// classId: the class picked in the header; teachers' lists and grading queue follow it
+function AssignmentsTab({ user, classId, classes, askModel, pushToast }) {
+  return user?.role === 'student'
+    ? <StudentAssignments classes={classes} pushToast={pushToast} />
+    : <AssignmentStudio classId={classId} classes={classes} askModel={askModel} pushToast={pushToast} />;
+}
+
+/* ----------------------------------------------------------------------------
+   Announcements: the reader feed (News tab) and the audience/schedule options
+   of the admin editor. Everything lives on the server (announcements.mjs);
+   the feed is polled, and anything unread is marked read once it is shown.
+   Files are uploaded on their own (attachments.mjs) and referenced by id.
+---------------------------------------------------------------------------- */
+addMessages({
+  en: {
+    'news.priority.low': 'Low',
+    'news.priority.normal': 'Normal',
+    'news.priority.high': 'High',
+    'news.priority.urgent': 'Urgent',
+    'news.status.scheduled': 'Scheduled',
+    'news.status.live': 'Live',
+    'news.status.expired': 'Expired',
+    'news.fileType': '{name}: allowed files are {types}',
+    'news.fileSize': '{name} is over {size}',
+    'news.archivedClass': 'an archived class',
+    'news.classes.one': '{n} class',
+    'news.classes.two': '{n} classes',
+    'news.classes.few': '{n} classes',
+    'news.classes.other': '{n} classes',
+    'news.removedUser': 'a removed user',
+    'news.people.one': '{n} person',
+    'news.people.two': '{n} people',
+    'news.people.few': '{n} people',
+    'news.people.other': '{n} people',
+    'news.change.audience': 'Audience: {from} → {to}',
+    'news.change.publish': 'Publish: {from} → {to}',
+    'news.change.expires': 'Expires: {from} → {to}',
+    'news.change.priority': 'Priority: {from} → {to}',
+    'news.change.pinned': 'Pinned',
+    'news.change.unpinned': 'Unpinned',
+    'news.change.attached': 'Attached {name}',
+    'news.change.removed': 'Removed {name}',
+    'news.now': 'now',
+    'news.never': 'never',
+    'news.tooMany': 'At most {n} attachments.',
+    'news.attach': 'Attach files',
+    'news.attachNote': 'Up to {n} files of {size} each: images, PDF, text/CSV or Office documents.',
+    'news.audience': 'Audience',
+    'news.audienceHint': '— nothing chosen means everyone',
+    'news.archivedClassChip': 'Archived class',
+    'news.addPerson': 'Add a person…',
+    'news.publishAt': 'Publish at',
+    'news.expires': 'Expires',
+    'news.scheduleHint': 'Leave “Publish at” empty to publish now, and “Expires” empty to keep it up.',
+    'news.priority': 'Priority',
+    'news.pin': 'Pin to the top',
+    'news.linkNote': 'Links in the message get a preview card.',
+    'news.heading': 'Announcements',
+    'news.empty': 'Nothing new right now.',
+    'news.new': 'New',
+    'news.until': 'until {date}',
+    'news.markUnread': 'Mark unread',
+    'news.markRead': 'Mark read',
+    'news.titleShort': 'Title must be at least 3 characters.',
+    'news.messageShort': 'Message must be at least 5 characters.',
+    'news.expiryOrder': 'The expiry must be after the publish time.',
+    'news.adminsOnly': 'Only admins can publish announcements.',
+    'news.scheduledFor': 'Scheduled for {date}.',
+    'news.published': 'Announcement published.',
+    'news.updated': 'Announcement updated.',
+    'news.unpinned': 'Unpinned.',
+    'news.pinned': 'Pinned to the top.',
+    'news.restoredVersion': 'Restored version {n}.',
+    'news.moved.one': 'Moved {n} announcement to the server.',
+    'news.moved.two': 'Moved {n} announcements to the server.',
+    'news.moved.few': 'Moved {n} announcements to the server.',
+    'news.moved.other': 'Moved {n} announcements to the server.',
+    'news.restored': 'Announcement restored.',
+    'news.trashed': 'Moved to the trash.',
+    'news.undo': 'Undo',
+    'news.purged': 'Deleted forever.',
+    'news.manage': 'Announcement Management',
+    'news.publishShortcut': 'Ctrl/⌘+Enter to publish',
+    'news.legacy.one': '{n} older announcement is saved only in this browser, so nobody else has seen it.',
+    'news.legacy.two': '{n} older announcements are saved only in this browser, so nobody else has seen them.',
+    'news.legacy.few': '{n} older announcements are saved only in this browser, so nobody else has seen them.',
+    'news.legacy.other': '{n} older announcements are saved only in this browser, so nobody else has seen them.',
+    'news.publishEveryone': 'Publish to everyone',
+    'news.discard': 'Discard',
+    'news.create': 'Create New Announcement',
+    'news.createHint': 'Choose who sees it, when it goes up and when it comes down',
+    'news.title': 'Title',
+    'news.titlePlaceholder': '📢 Title...',
+    'news.message': 'Message',
+    'news.messagePlaceholder': '💬 Message...',
+    'news.adminsOnlyShort': 'Admins only',
+    'news.schedule': '🗓️ Schedule Announcement',
+    'news.publish': '✅ Publish Announcement',
+    'news.search': 'Search title, author, message...',
+    'news.sortBy.date': 'Sort by date',
+    'news.sortBy.title': 'Sort by title',
+    'news.sortBy.author': 'Sort by author',
+    'news.sort.date': 'Date',
+    'news.sort.title': 'Title',
+    'news.sort.author': 'Author',
+    'news.sortDirection': 'Toggle sort direction',
+    'news.trashCount': '🗑️ Trash ({n})',
+    'news.allCount': '📋 All Announcements ({n})',
+    'news.backToList': 'Back to announcements',
+    'news.trash': 'Trash',
+    'news.retention.one': 'Deleted announcements stay here for {n} day, then they are gone for good.',
+    'news.retention.two': 'Deleted announcements stay here for {n} days, then they are gone for good.',
+    'news.retention.few': 'Deleted announcements stay here for {n} days, then they are gone for good.',
+    'news.retention.other': 'Deleted announcements stay here for {n} days, then they are gone for good.',
+    'news.trashEmpty': 'The trash is empty',
+    'news.deletedBy': 'Deleted by {name} · {date}',
+    'news.deleteForever': 'Delete forever',
+    'news.noneFound': 'No announcements found',
+    'news.editTitle': 'Announcement title',
+    'news.editMessage': 'Announcement message',
+    'news.system': 'System',
+    'news.verified': 'VERIFIED',
+    'news.readBy': 'Read by {read} of {audience}',
+    'news.historyCount': 'History ({n})',
+    'news.unpin': 'Unpin',
+    'news.pinShort': 'Pin',
+    'news.moveToTrash': 'Move to trash',
+    'news.unread': 'unread',
+    'news.noAudience': 'Nobody is in this audience yet.',
+    'news.version': 'Version {n}',
+    'news.rev.created': 'created by {name}',
+    'news.rev.edited': 'edited by {name}',
+    'news.rev.restored': 'restored from version {from} by {name}',
+    'news.rev.untrashed': 'restored from the trash by {name}',
+    'news.current': 'current',
+    'news.noChanges': 'No changes.',
+    'news.pageOf': 'Page {page} of {count} • {total} total',
+    'news.purgeTitle': 'Delete forever?',
+    'news.purgeDesc': 'The announcement, its history and its read receipts are removed. This action cannot be undone.',
+    'notify.kind.announcement': 'Announcements',
+    'notify.kind.quiz': 'New quizzes',
+    'notify.kind.assignment': 'New assignments',
+    'notify.kind.grade': 'Graded results',
+    'notify.kind.study': 'Study reminders',
+    'notify.kind.safety': 'Safety alerts',
+    'notify.kind.class': 'Class invitations',
+    'notify.title': 'Notifications',
+    'notify.reconnecting': 'Notifications (reconnecting…)',
+    'notify.unread': 'Notifications, {n} unread',
+    'notify.settings': 'Notification settings',
+    'notify.markAll': 'Mark all read',
+    'notify.settingsButton': 'Settings',
+    'notify.empty': 'Nothing yet. Announcements, new quizzes, grades and study reminders show up here.',
+    'notify.tellMe': 'Tell me about…',
+    'notify.system': 'System notifications in this browser',
+    'notify.blocked': 'Notifications are blocked for this site; allow them in the browser settings first.',
+    'notify.background': 'Shown while MythOS is open in a background tab.',
+    'notify.unsupported': 'This browser does not support system notifications.'
+  },
+  fa: {
+    'news.priority.low': 'کم',
+    'news.priority.normal': 'عادی',
+    'news.priority.high': 'زیاد',
+    'news.priority.urgent': 'فوری',
+    'news.status.scheduled': 'زمان‌بندی‌شده',
+    'news.status.live': 'فعال',
+    'news.status.expired': 'منقضی',
+    'news.fileType': '{name}: پرونده‌های مجاز {types} هستند',
+    'news.fileSize': '{name} بیش از {size} است',
+    'news.archivedClass': 'یک کلاس بایگانی‌شده',
+    'news.classes.one': '{n} کلاس',
+    'news.classes.two': '{n} کلاس',
+    'news.classes.few': '{n} کلاس',
+    'news.classes.other': '{n} کلاس',
+    'news.removedUser': 'یک کاربر حذف‌شده',
+    'news.people.one': '{n} نفر',
+    'news.people.two': '{n} نفر',
+    'news.people.few': '{n} نفر',
+    'news.people.other': '{n} نفر',
+    'news.change.audience': 'مخاطبان: {from} ← {to}',
+    'news.change.publish': 'انتشار: {from} ← {to}',
+    'news.change.expires': 'انقضا: {from} ← {to}',
+    'news.change.priority': 'اولویت: {from} ← {to}',
+    'news.change.pinned': 'سنجاق شد',
+    'news.change.unpinned': 'از سنجاق درآمد',
+    'news.change.attached': '{name} پیوست شد',
+    'news.change.removed': '{name} برداشته شد',
+    'news.now': 'اکنون',
+    'news.never': 'هرگز',
+    'news.tooMany': 'حداکثر {n} پیوست.',
+    'news.attach': 'پیوست پرونده',
+    'news.attachNote': 'تا {n} پرونده، هر کدام {size}: تصویر، PDF، متن/CSV یا سند Office.',
+    'news.audience': 'مخاطبان',
+    'news.audienceHint': '— انتخاب نکردن یعنی همه',
+    'news.archivedClassChip': 'کلاس بایگانی‌شده',
+    'news.addPerson': 'افزودن یک نفر…',
+    'news.publishAt': 'زمان انتشار',
+    'news.expires': 'انقضا',
+    'news.scheduleHint': '«زمان انتشار» را خالی بگذارید تا همین حالا منتشر شود، و «انقضا» را خالی بگذارید تا بماند.',
+    'news.priority': 'اولویت',
+    'news.pin': 'سنجاق به بالا',
+    'news.linkNote': 'پیوندهای پیام کارت پیش‌نمایش می‌گیرند.',
+    'news.heading': 'اطلاعیه‌ها',
+    'news.empty': 'فعلاً چیز تازه‌ای نیست.',
+    'news.new': 'تازه',
+    'news.until': 'تا {date}',
+    'news.markUnread': 'علامت خوانده‌نشده',
+    'news.markRead': 'علامت خوانده‌شده',
+    'news.titleShort': 'عنوان باید دست‌کم ۳ نویسه باشد.',
+    'news.messageShort': 'پیام باید دست‌کم ۵ نویسه باشد.',
+    'news.expiryOrder': 'زمان انقضا باید پس از زمان انتشار باشد.',
+    'news.adminsOnly': 'فقط مدیران می‌توانند اطلاعیه منتشر کنند.',
+    'news.scheduledFor': 'برای {date} زمان‌بندی شد.',
+    'news.published': 'اطلاعیه منتشر شد.',
+    'news.updated': 'اطلاعیه به‌روز شد.',
+    'news.unpinned': 'از بالا برداشته شد.',
+    'news.pinned': 'در بالا سنجاق شد.',
+    'news.restoredVersion': 'نسخهٔ {n} بازگردانده شد.',
+    'news.moved.one': '{n} اطلاعیه به سرور منتقل شد.',
+    'news.moved.two': '{n} اطلاعیه به سرور منتقل شد.',
+    'news.moved.few': '{n} اطلاعیه به سرور منتقل شد.',
+    'news.moved.other': '{n} اطلاعیه به سرور منتقل شد.',
+    'news.restored': 'اطلاعیه بازگردانده شد.',
+    'news.trashed': 'به سطل زباله رفت.',
+    'news.undo': 'واگرد',
+    'news.purged': 'برای همیشه حذف شد.',
+    'news.manage': 'مدیریت اطلاعیه‌ها',
+    'news.publishShortcut': 'Ctrl/⌘+Enter برای انتشار',
+    'news.legacy.one': '{n} اطلاعیهٔ قدیمی فقط در این مرورگر ذخیره شده، پس کس دیگری آن را ندیده است.',
+    'news.legacy.two': '{n} اطلاعیهٔ قدیمی فقط در این مرورگر ذخیره شده‌اند، پس کس دیگری آن‌ها را ندیده است.',
+    'news.legacy.few': '{n} اطلاعیهٔ قدیمی فقط در این مرورگر ذخیره شده‌اند، پس کس دیگری آن‌ها را ندیده است.',
+    'news.legacy.other': '{n} اطلاعیهٔ قدیمی فقط در این مرورگر ذخیره شده‌اند، پس کس دیگری آن‌ها را ندیده است.',
+    'news.publishEveryone': 'انتشار برای همه',
+    'news.discard': 'کنار گذاشتن',
+    'news.create': 'ساخت اطلاعیهٔ تازه',
+    'news.createHint': 'انتخاب کنید چه کسی آن را ببیند، کی منتشر و کی برداشته شود',
+    'news.title': 'عنوان',
+    'news.titlePlaceholder': '📢 عنوان...',
+    'news.message': 'پیام',
+    'news.messagePlaceholder': '💬 پیام...',
+    'news.adminsOnlyShort': 'فقط مدیران',
+    'news.schedule': '🗓️ زمان‌بندی اطلاعیه',
+    'news.publish': '✅ انتشار اطلاعیه',
+    'news.search': 'جست‌وجوی عنوان، نویسنده، پیام...',
+    'news.sortBy.date': 'مرتب‌سازی بر پایهٔ تاریخ',
+    'news.sortBy.title': 'مرتب‌سازی بر پایهٔ عنوان',
+    'news.sortBy.author': 'مرتب‌سازی بر پایهٔ نویسنده',
+    'news.sort.date': 'تاریخ',
+    'news.sort.title': 'عنوان',
+    'news.sort.author': 'نویسنده',
+    'news.sortDirection': 'تغییر جهت مرتب‌سازی',
+    'news.trashCount': '🗑️ سطل زباله ({n})',
+    'news.allCount': '📋 همهٔ اطلاعیه‌ها ({n})',
+    'news.backToList': 'بازگشت به اطلاعیه‌ها',
+    'news.trash': 'سطل زباله',
+    'news.retention.one': 'اطلاعیه‌های حذف‌شده {n} روز اینجا می‌مانند و سپس برای همیشه پاک می‌شوند.',
+    'news.retention.two': 'اطلاعیه‌های حذف‌شده {n} روز اینجا می‌مانند و سپس برای همیشه پاک می‌شوند.',
+    'news.retention.few': 'اطلاعیه‌های حذف‌شده {n} روز اینجا می‌مانند و سپس برای همیشه پاک می‌شوند.',
+    'news.retention.other': 'اطلاعیه‌های حذف‌شده {n} روز اینجا می‌مانند و سپس برای همیشه پاک می‌شوند.',
+    'news.trashEmpty': 'سطل زباله خالی است',
+    'news.deletedBy': 'حذف‌شده توسط {name} · {date}',
+    'news.deleteForever': 'حذف برای همیشه',
+    'news.noneFound': 'اطلاعیه‌ای یافت نشد',
+    'news.editTitle': 'عنوان اطلاعیه',
+    'news.editMessage': 'پیام اطلاعیه',
+    'news.system': 'سیستم',
+    'news.verified': 'تأییدشده',
+    'news.readBy': 'خوانده‌شده توسط {read} از {audience}',
+    'news.historyCount': 'تاریخچه ({n})',
+    'news.unpin': 'برداشتن سنجاق',
+    'news.pinShort': 'سنجاق',
+    'news.moveToTrash': 'انتقال به سطل زباله',
+    'news.unread': 'خوانده‌نشده',
+    'news.noAudience': 'هنوز کسی در این مخاطبان نیست.',
+    'news.version': 'نسخهٔ {n}',
+    'news.rev.created': 'ساخته‌شده توسط {name}',
+    'news.rev.edited': 'ویرایش‌شده توسط {name}',
+    'news.rev.restored': 'بازگردانده از نسخهٔ {from} توسط {name}',
+    'news.rev.untrashed': 'بازگردانده از سطل زباله توسط {name}',
+    'news.current': 'کنونی',
+    'news.noChanges': 'بدون تغییر.',
+    'news.pageOf': 'صفحهٔ {page} از {count} • {total} در کل',
+    'news.purgeTitle': 'برای همیشه حذف شود؟',
+    'news.purgeDesc': 'اطلاعیه، تاریخچه و رسیدهای خواندن آن پاک می‌شوند. این کار بازگشت‌پذیر نیست.',
+    'notify.kind.announcement': 'اطلاعیه‌ها',
+    'notify.kind.quiz': 'آزمونک‌های تازه',
+    'notify.kind.assignment': 'تکلیف‌های تازه',
+    'notify.kind.grade': 'نتیجه‌های نمره‌داده‌شده',
+    'notify.kind.study': 'یادآوری‌های مطالعه',
+    'notify.kind.safety': 'هشدارهای ایمنی',
+    'notify.kind.class': 'دعوت‌های کلاس',
+    'notify.title': 'اعلان‌ها',
+    'notify.reconnecting': 'اعلان‌ها (در حال اتصال دوباره…)',
+    'notify.unread': 'اعلان‌ها، {n} خوانده‌نشده',
+    'notify.settings': 'تنظیمات اعلان',
+    'notify.markAll': 'علامت همه به‌عنوان خوانده‌شده',
+    'notify.settingsButton': 'تنظیمات',
+    'notify.empty': 'هنوز چیزی نیست. اطلاعیه‌ها، آزمونک‌های تازه، نمره‌ها و یادآوری‌های مطالعه اینجا نشان داده می‌شوند.',
+    'notify.tellMe': 'به من خبر بده دربارهٔ…',
+    'notify.system': 'اعلان‌های سیستمی در این مرورگر',
+    'notify.blocked': 'اعلان‌ها برای این سایت مسدود است؛ اول در تنظیمات مرورگر اجازه دهید.',
+    'notify.background': 'وقتی MythOS در زبانه‌ای پس‌زمینه باز است نشان داده می‌شود.',
+    'notify.unsupported': 'این مرورگر از اعلان‌های سیستمی پشتیبانی نمی‌کند.'
+  },
+  ar: {
+    'news.priority.low': 'منخفضة',
+    'news.priority.normal': 'عادية',
+    'news.priority.high': 'عالية',
+    'news.priority.urgent': 'عاجلة',
+    'news.status.scheduled': 'مجدول',
+    'news.status.live': 'منشور',
+    'news.status.expired': 'منتهٍ',
+    'news.fileType': '{name}: الملفات المسموح بها هي {types}',
+    'news.fileSize': '{name} أكبر من {size}',
+    'news.archivedClass': 'صف مؤرشف',
+    'news.classes.one': 'صف واحد',
+    'news.classes.two': 'صفّان',
+    'news.classes.few': '{n} صفوف',
+    'news.classes.other': '{n} صفًا',
+    'news.removedUser': 'مستخدم محذوف',
+    'news.people.one': 'شخص واحد',
+    'news.people.two': 'شخصان',
+    'news.people.few': '{n} أشخاص',
+    'news.people.other': '{n} شخصًا',
+    'news.change.audience': 'الجمهور: {from} ← {to}',
+    'news.change.publish': 'النشر: {from} ← {to}',
+    'news.change.expires': 'الانتهاء: {from} ← {to}',
+    'news.change.priority': 'الأولوية: {from} ← {to}',
+    'news.change.pinned': 'ثُبّت',
+    'news.change.unpinned': 'أُلغي التثبيت',
+    'news.change.attached': 'أُرفق {name}',
+    'news.change.removed': 'أُزيل {name}',
+    'news.now': 'الآن',
+    'news.never': 'أبدًا',
+    'news.tooMany': '{n} مرفقات كحد أقصى.',
+    'news.attach': 'إرفاق ملفات',
+    'news.attachNote': 'حتى {n} ملفات بحجم {size} لكل منها: صور أو PDF أو نص/CSV أو مستندات Office.',
+    'news.audience': 'الجمهور',
+    'news.audienceHint': '— عدم الاختيار يعني الجميع',
+    'news.archivedClassChip': 'صف مؤرشف',
+    'news.addPerson': 'إضافة شخص…',
+    'news.publishAt': 'النشر في',
+    'news.expires': 'ينتهي',
+    'news.scheduleHint': 'اترك «النشر في» فارغًا للنشر الآن، و«ينتهي» فارغًا لإبقائه.',
+    'news.priority': 'الأولوية',
+    'news.pin': 'تثبيت في الأعلى',
+    'news.linkNote': 'تحصل الروابط في الرسالة على بطاقة معاينة.',
+    'news.heading': 'الإعلانات',
+    'news.empty': 'لا جديد الآن.',
+    'news.new': 'جديد',
+    'news.until': 'حتى {date}',
+    'news.markUnread': 'تعليم كغير مقروء',
+    'news.markRead': 'تعليم كمقروء',
+    'news.titleShort': 'يجب أن يتكون العنوان من 3 أحرف على الأقل.',
+    'news.messageShort': 'يجب أن تتكون الرسالة من 5 أحرف على الأقل.',
+    'news.expiryOrder': 'يجب أن يكون الانتهاء بعد وقت النشر.',
+    'news.adminsOnly': 'يمكن للمشرفين فقط نشر الإعلانات.',
+    'news.scheduledFor': 'جُدول في {date}.',
+    'news.published': 'نُشر الإعلان.',
+    'news.updated': 'حُدّث الإعلان.',
+    'news.unpinned': 'أُلغي التثبيت.',
+    'news.pinned': 'ثُبّت في الأعلى.',
+    'news.restoredVersion': 'استُعيد الإصدار {n}.',
+    'news.moved.one': 'نُقل إعلان واحد إلى الخادم.',
+    'news.moved.two': 'نُقل إعلانان إلى الخادم.',
+    'news.moved.few': 'نُقلت {n} إعلانات إلى الخادم.',
+    'news.moved.other': 'نُقل {n} إعلانًا إلى الخادم.',
+    'news.restored': 'استُعيد الإعلان.',
+    'news.trashed': 'نُقل إلى المهملات.',
+    'news.undo': 'تراجع',
+    'news.purged': 'حُذف نهائيًا.',
+    'news.manage': 'إدارة الإعلانات',
+    'news.publishShortcut': 'Ctrl/⌘+Enter للنشر',
+    'news.legacy.one': 'إعلان قديم واحد محفوظ في هذا المتصفح فقط، فلم يره أحد غيرك.',
+    'news.legacy.two': 'إعلانان قديمان محفوظان في هذا المتصفح فقط، فلم يرهما أحد غيرك.',
+    'news.legacy.few': '{n} إعلانات قديمة محفوظة في هذا المتصفح فقط، فلم يرها أحد غيرك.',
+    'news.legacy.other': '{n} إعلانًا قديمًا محفوظة في هذا المتصفح فقط، فلم يرها أحد غيرك.',
+    'news.publishEveryone': 'النشر للجميع',
+    'news.discard': 'تجاهل',
+    'news.create': 'إنشاء إعلان جديد',
+    'news.createHint': 'اختر من يراه ومتى يُنشر ومتى يُزال',
+    'news.title': 'العنوان',
+    'news.titlePlaceholder': '📢 العنوان...',
+    'news.message': 'الرسالة',
+    'news.messagePlaceholder': '💬 الرسالة...',
+    'news.adminsOnlyShort': 'للمشرفين فقط',
+    'news.schedule': '🗓️ جدولة الإعلان',
+    'news.publish': '✅ نشر الإعلان',
+    'news.search': 'ابحث في العنوان والكاتب والرسالة...',
+    'news.sortBy.date': 'الترتيب حسب التاريخ',
+    'news.sortBy.title': 'الترتيب حسب العنوان',
+    'news.sortBy.author': 'الترتيب حسب الكاتب',
+    'news.sort.date': 'التاريخ',
+    'news.sort.title': 'العنوان',
+    'news.sort.author': 'الكاتب',
+    'news.sortDirection': 'تبديل اتجاه الترتيب',
+    'news.trashCount': '🗑️ المهملات ({n})',
+    'news.allCount': '📋 كل الإعلانات ({n})',
+    'news.backToList': 'العودة إلى الإعلانات',
+    'news.trash': 'المهملات',
+    'news.retention.one': 'تبقى الإعلانات المحذوفة هنا يومًا واحدًا، ثم تُحذف نهائيًا.',
+    'news.retention.two': 'تبقى الإعلانات المحذوفة هنا يومين، ثم تُحذف نهائيًا.',
+    'news.retention.few': 'تبقى الإعلانات المحذوفة هنا {n} أيام، ثم تُحذف نهائيًا.',
+    'news.retention.other': 'تبقى الإعلانات المحذوفة هنا {n} يومًا، ثم تُحذف نهائيًا.',
+    'news.trashEmpty': 'المهملات فارغة',
+    'news.deletedBy': 'حذفه {name} · {date}',
+    'news.deleteForever': 'حذف نهائي',
+    'news.noneFound': 'لم يُعثر على إعلانات',
+    'news.editTitle': 'عنوان الإعلان',
+    'news.editMessage': 'رسالة الإعلان',
+    'news.system': 'النظام',
+    'news.verified': 'موثَّق',
+    'news.readBy': 'قرأه {read} من {audience}',
+    'news.historyCount': 'السجل ({n})',
+    'news.unpin': 'إلغاء التثبيت',
+    'news.pinShort': 'تثبيت',
+    'news.moveToTrash': 'نقل إلى المهملات',
+    'news.unread': 'غير مقروء',
+    'news.noAudience': 'لا أحد ضمن هذا الجمهور بعد.',
+    'news.version': 'الإصدار {n}',
+    'news.rev.created': 'أنشأه {name}',
+    'news.rev.edited': 'عدّله {name}',
+    'news.rev.restored': 'استعاده {name} من الإصدار {from}',
+    'news.rev.untrashed': 'استعاده {name} من سلة المحذوفات',
+    'news.current': 'الحالي',
+    'news.noChanges': 'لا تغييرات.',
+    'news.pageOf': 'الصفحة {page} من {count} • المجموع {total}',
+    'news.purgeTitle': 'حذف نهائي؟',
+    'news.purgeDesc': 'يُزال الإعلان وسجله وإيصالات قراءته. لا يمكن التراجع عن هذا الإجراء.',
+    'notify.kind.announcement': 'الإعلانات',
+    'notify.kind.quiz': 'اختبارات جديدة',
+    'notify.kind.assignment': 'واجبات جديدة',
+    'notify.kind.grade': 'النتائج المصحّحة',
+    'notify.kind.study': 'تذكيرات الدراسة',
+    'notify.kind.safety': 'تنبيهات السلامة',
+    'notify.kind.class': 'دعوات الصفوف',
+    'notify.title': 'الإشعارات',
+    'notify.reconnecting': 'الإشعارات (جارٍ إعادة الاتصال…)',
+    'notify.unread': 'الإشعارات، {n} غير مقروءة',
+    'notify.settings': 'إعدادات الإشعارات',
+    'notify.markAll': 'تعليم الكل كمقروء',
+    'notify.settingsButton': 'الإعدادات',
+    'notify.empty': 'لا شيء بعد. تظهر هنا الإعلانات والاختبارات الجديدة والدرجات وتذكيرات الدراسة.',
+    'notify.tellMe': 'أعلمني بـ…',
+    'notify.system': 'إشعارات النظام في هذا المتصفح',
+    'notify.blocked': 'الإشعارات محظورة لهذا الموقع؛ اسمح بها في إعدادات المتصفح أولًا.',
+    'notify.background': 'تظهر عندما يكون MythOS مفتوحًا في تبويب في الخلفية.',
+    'notify.unsupported': 'لا يدعم هذا المتصفح إشعارات النظام.'
+  }
+});
+
+const ANNOUNCEMENT_POLL_MS = 60_000;
+// names are news.priority.* messages
+const PRIORITY_STYLES = {
+  low: { chip: 'bg-white/10 text-white/60' },
+  normal: { chip: '' },
+  high: { chip: 'bg-orange-500/20 text-orange-200' },
+  urgent: { chip: 'bg-red-500/30 text-red-200' }
+};
+const AUDIENCE_ROLES = ['student', 'teacher', 'admin'];
+const audienceRoleName = (r) => tr(`role.${r}s`);
+// names are news.status.* messages
+const ANNOUNCEMENT_STATUS = {
+  scheduled: 'bg-sky-500/20 text-sky-200',
+  live: 'bg-green-500/20 text-green-200',
+  expired: 'bg-white/10 text-white/50'
+};
+
+// Same limits as the server; checked here first so nobody waits on an upload that will bounce
+const MAX_ATTACHMENTS = 5;
+const MAX_ATTACHMENT_BYTES = 8 * 1024 * 1024;
+const ATTACHMENT_EXTS = ['png', 'jpg', 'jpeg', 'gif', 'webp', 'pdf', 'txt', 'csv', 'docx', 'xlsx', 'pptx'];
+
+const blankAnnouncement = () => ({ title: '', message: '', roles: [], classIds: [], userIds: [], publishAt: '', expiresAt: '', pinned: false, priority: 'normal', attachments: [] });
+
+const announcementDraft = (a) => ({
+  title: a.title, message: a.message,
+  roles: a.audience.roles, classIds: a.audience.classIds, userIds: a.audience.userIds,
+  publishAt: localInput(a.publishAt), expiresAt: a.expiresAt ? localInput(a.expiresAt) : '',
+  pinned: a.pinned, priority: a.priority, attachments: a.attachments || []
+});
+
+const announcementBody = (d) => ({
+  title: d.title.trim(),
+  message: d.message.trim(),
+  audience: { roles: d.roles, classIds: d.classIds, userIds: d.userIds },
+  publishAt: d.publishAt ? new Date(d.publishAt).toISOString() : null,
+  expiresAt: d.expiresAt ? new Date(d.expiresAt).toISOString() : null,
+  pinned: d.pinned,
+  priority: d.priority,
+  attachments: d.attachments.map(f => f.id)
+});
+
+const fmtBytes = (n) => n < 1024 ? fmtNumber(n, { style: 'unit', unit: 'byte' })
+  : n < 1024 * 1024 ? fmtNumber(Math.round(n / 1024), { style: 'unit', unit: 'kilobyte' })
+    : fmtNumber(n / 1024 / 1024, { style: 'unit', unit: 'megabyte', maximumFractionDigits: 1 });
+
+// The raw file is the request body; the name travels in a header
+const uploadAttachment = async (file) => {
+  const ext = file.name.split('.').pop().toLowerCase();
+  if (!file.name.includes('.') || !ATTACHMENT_EXTS.includes(ext)) throw new ApiError('unsupported_type', tr('news.fileType', { name: file.name, types: ATTACHMENT_EXTS.join(', ') }));
+  if (file.size > MAX_ATTACHMENT_BYTES) throw new ApiError('payload_too_large', tr('news.fileSize', { name: file.name, size: fmtBytes(MAX_ATTACHMENT_BYTES) }));
+  const res = await fetch('/api/attachments', {
+    method: 'POST',
+    credentials: 'same-origin',
+    headers: { 'X-Filename': encodeURIComponent(file.name) },
+    body: file
+  });
+  const data = await res.json().catch(() => null);
+  if (!res.ok) throw responseError(data, res.status);
+  return data.attachment;
+};
+
+const audienceText = ({ roles, classIds, userIds }, users = [], classes = []) => {
+  const parts = [
+    ...AUDIENCE_ROLES.filter(r => roles.includes(r)).map(audienceRoleName),
+    ...(classIds.length <= 3
+      ? classIds.map(id => classes.find(c => c.id === id)?.name || tr('news.archivedClass'))
+      : [trn('news.classes', classIds.length)]),
+    ...(userIds.length <= 3
+      ? userIds.map(id => users.find(u => u.id === id)?.name || tr('news.removedUser'))
+      : [trn('news.people', userIds.length)])
+  ];
+  return parts.length ? new Intl.ListFormat(intlTag(), { type: 'unit' }).format(parts) : tr('common.everyone');
+};
+
+// What changed between two revisions, besides the title and message (those get a word diff)
+const revisionChanges = (prev, rev, users, classes) => {
+  const when = (iso, none) => iso ? fmtDate(iso) : none;
+  const out = [];
+  const audience = [prev, rev].map(r => audienceText(r.audience, users, classes));
+  if (audience[0] !== audience[1]) out.push(tr('news.change.audience', { from: audience[0], to: audience[1] }));
+  if (prev.publishAt !== rev.publishAt) out.push(tr('news.change.publish', { from: when(prev.publishAt, tr('news.now')), to: when(rev.publishAt, tr('news.now')) }));
+  if (prev.expiresAt !== rev.expiresAt) out.push(tr('news.change.expires', { from: when(prev.expiresAt, tr('news.never')), to: when(rev.expiresAt, tr('news.never')) }));
+  if (prev.priority !== rev.priority) out.push(tr('news.change.priority', { from: tr(`news.priority.${prev.priority}`), to: tr(`news.priority.${rev.priority}`) }));
+  if (prev.pinned !== rev.pinned) out.push(rev.pinned ? tr('news.change.pinned') : tr('news.change.unpinned'));
+  const before = new Set(prev.attachments.map(f => f.id));
+  const after = new Set(rev.attachments.map(f => f.id));
+  rev.attachments.filter(f => !before.has(f.id)).forEach(f => out.push(tr('news.change.attached', { name: f.name })));
+  prev.attachments.filter(f => !after.has(f.id)).forEach(f => out.push(tr('news.change.removed', { name: f.name })));
+  return out;
+};
+
+function WordDiff({ from, to }) {
+  return (
+    <span className="whitespace-pre-wrap">
+      {prose.diffWords(from, to).map((p, i) => (
+        p.type === 'same' ? <span key={i}>{p.text}</span>
+          : p.type === 'add' ? <ins key={i} className="bg-green-500/20 text-green-200 no-underline">{p.text}</ins>
+            : <del key={i} className="bg-red-500/20 text-red-300">{p.text}</del>
+      ))}
+    </span>
+  );
+}
+
+// Files and link cards under an announcement
+function AnnouncementExtras({ attachments = [], links = [] }) {
+  const images = attachments.filter(f => f.image);
+  const files = attachments.filter(f => !f.image);
+  if (!attachments.length && !links.length) return null;
+
+  return (
+    <div className="mt-3 space-y-3">
+      {images.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {images.map(f => (
+            <a key={f.id} href={`/api/attachments/${f.id}`} target="_blank" rel="noreferrer" title={f.name}>
+              <img src={`/api/attachments/${f.id}`} alt={f.name} className="h-28 max-w-[12rem] object-cover rounded-lg border border-white/10" />
+            </a>
+          ))}
+        </div>
+      )}
+      {files.length > 0 && (
+        <div className="flex flex-wrap gap-2">
+          {files.map(f => (
+            <a key={f.id} href={`/api/attachments/${f.id}`} download={f.name} className="flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-white/90 text-sm">
+              <Paperclip size={14} /> {f.name} <span className="text-white/50 text-xs">{fmtBytes(f.size)}</span>
+            </a>
+          ))}
+        </div>
+      )}
+      {links.map(l => (
+        <a key={l.url} href={l.url} target="_blank" rel="noopener noreferrer" className="flex gap-3 p-3 rounded-xl bg-black/20 border border-white/10 hover:border-white/30">
+          {l.image && <img src={l.image} alt="" referrerPolicy="no-referrer" className="w-20 h-20 object-cover rounded-lg shrink-0" />}
+          <div className="min-w-0">
+            <p className="text-white/50 text-xs flex items-center gap-1"><ExternalLink size={12} /> {l.siteName}</p>
+            <p className="text-white font-medium truncate">{l.title}</p>
+            {l.description && <p className="text-white/70 text-sm line-clamp-2">{l.description}</p>}
+          </div>
+        </a>
+      ))}
+    </div>
+  );
+}
+
+// Uploaded files as removable chips plus an "Attach files" button; `files` are attachment objects
+function AttachmentPicker({ files, onChange, onError, note }) {
+  const [uploading, setUploading] = useState(false);
+
+  const addFiles = async (e) => {
+    const picked = [...e.target.files];
+    e.target.value = '';
+    const room = MAX_ATTACHMENTS - files.length;
+    if (picked.length > room) onError(tr('news.tooMany', { n: fmtNumber(MAX_ATTACHMENTS) }));
+    setUploading(true);
+    const added = [];
+    for (const file of picked.slice(0, Math.max(0, room))) {
+      try { added.push(await uploadAttachment(file)); }
+      catch (err) { onError(errorText(err)); }
+    }
+    setUploading(false);
+    if (added.length) onChange([...files, ...added]);
+  };
+
+  return (
+    <div className="space-y-2">
+      <div className="flex flex-wrap items-center gap-2">
+        {files.map(f => (
+          <span key={f.id} className="flex items-center gap-1 px-2 py-1 rounded-full bg-white/10 text-white/80 text-xs">
+            {f.image ? <ImageIcon size={12} /> : <Paperclip size={12} />} {f.name} <span className="text-white/50">{fmtBytes(f.size)}</span>
+            <button onClick={() => onChange(files.filter(x => x.id !== f.id))} title={tr('common.remove')} aria-label={tr('common.remove')}><X size={12} /></button>
+          </span>
+        ))}
+        {files.length < MAX_ATTACHMENTS && (
+          <label className={`flex items-center gap-2 px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-white text-sm cursor-pointer ${uploading ? 'opacity-50 pointer-events-none' : ''}`}>
+            {uploading ? <Loader2 size={14} className="animate-spin" /> : <Paperclip size={14} />} {tr('news.attach')}
+            <input type="file" multiple accept={ATTACHMENT_EXTS.map(x => `.${x}`).join(',')} onChange={addFiles} className="hidden" />
+          </label>
+        )}
+      </div>
+      <p className="text-white/50 text-xs">{tr('news.attachNote', { n: fmtNumber(MAX_ATTACHMENTS), size: fmtBytes(MAX_ATTACHMENT_BYTES) })}{note ? ` ${note}` : ''}</p>
+    </div>
+  );
+}
+
+function AnnouncementOptions({ value, onChange, users, classes, onError }) {
+  const set = (k, v) => onChange({ ...value, [k]: v });
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  const others = users.filter(u => !u.disabled && !value.userIds.includes(u.id));
+
+  return (
+    <div className="grid md:grid-cols-2 gap-4">
+      <div className="space-y-2">
+        <p className="text-white/80 text-sm">{tr('news.audience')} <span className="text-white/50">{tr('news.audienceHint')}</span></p>
+        <div className="flex flex-wrap gap-3">
+          {AUDIENCE_ROLES.map(r => (
+            <label key={r} className="flex items-center gap-2 text-white/80 text-sm">
+              <input type="checkbox" checked={value.roles.includes(r)} onChange={() => set('roles', value.roles.includes(r) ? value.roles.filter(x => x !== r) : [...value.roles, r])} />
+              {audienceRoleName(r)}
+            </label>
+          ))}
+        </div>
+        {classes.length > 0 && (
+          <div className="flex flex-wrap gap-x-4 gap-y-1">
+            {classes.map(c => (
+              <label key={c.id} className="flex items-center gap-2 text-white/80 text-sm">
+                <input type="checkbox" checked={value.classIds.includes(c.id)} onChange={() => set('classIds', value.classIds.includes(c.id) ? value.classIds.filter(x => x !== c.id) : [...value.classIds, c.id])} />
+                {c.name}
+              </label>
+            ))}
+          </div>
+        )}
+        {value.classIds.some(id => !classes.some(c => c.id === id)) && (
+          <div className="flex flex-wrap gap-2">
+            {value.classIds.filter(id => !classes.some(c => c.id === id)).map(id => (
+              <span key={id} className="flex items-center gap-1 px-2 py-1 rounded-full bg-white/10 text-white/60 text-xs">
+                {tr('news.archivedClassChip')}
+                <button onClick={() => set('classIds', value.classIds.filter(x => x !== id))} title={tr('common.remove')} aria-label={tr('common.remove')}><X size={12} /></button>
+              </span>
+            ))}
+          </div>
+        )}
+        <select value="" onChange={e => e.target.value && set('userIds', [...value.userIds, e.target.value])} aria-label={tr('news.addPerson')} className={`w-full ${small}`}>
+          <option value="" className="bg-gray-800">{tr('news.addPerson')}</option>
+          {others.map(u => <option key={u.id} value={u.id} className="bg-gray-800">{u.name} (@{u.username}, {tr(`role.${u.role}`)})</option>)}
+        </select>
+        {value.userIds.length > 0 && (
+          <div className="flex flex-wrap gap-2">
+            {value.userIds.map(id => (
+              <span key={id} className="flex items-center gap-1 px-2 py-1 rounded-full bg-purple-500/20 text-purple-200 text-xs">
+                {users.find(u => u.id === id)?.name || id}
+                <button onClick={() => set('userIds', value.userIds.filter(x => x !== id))} title={tr('common.remove')} aria-label={tr('common.remove')}><X size={12} /></button>
+              </span>
+            ))}
+          </div>
+        )}
+      </div>
+      <div className="space-y-2">
+        <div className="grid grid-cols-2 gap-2">
+          <label className="text-white/70 text-sm space-y-1 block">
+            <span>{tr('news.publishAt')}</span>
+            <input type="datetime-local" value={value.publishAt} onChange={e => set('publishAt', e.target.value)} className={`w-full ${small}`} />
+          </label>
+          <label className="text-white/70 text-sm space-y-1 block">
+            <span>{tr('news.expires')}</span>
+            <input type="datetime-local" value={value.expiresAt} onChange={e => set('expiresAt', e.target.value)} className={`w-full ${small}`} />
+          </label>
+        </div>
+        <p className="text-white/50 text-xs">{tr('news.scheduleHint')}</p>
+        <div className="flex flex-wrap items-center gap-4">
+          <label className="text-white/70 text-sm flex items-center gap-2">
+            {tr('news.priority')}
+            <select value={value.priority} onChange={e => set('priority', e.target.value)} className={small}>
+              {Object.keys(PRIORITY_STYLES).map(k => <option key={k} value={k} className="bg-gray-800">{tr(`news.priority.${k}`)}</option>)}
+            </select>
+          </label>
+          <label className="flex items-center gap-2 text-white/80 text-sm">
+            <input type="checkbox" checked={value.pinned} onChange={e => set('pinned', e.target.checked)} />
+            {tr('news.pin')}
+          </label>
+        </div>
+      </div>
+      <div className="md:col-span-2">
+        <AttachmentPicker files={value.attachments} onChange={f => set('attachments', f)} onError={onError} note={tr('news.linkNote')} />
+      </div>
+    </div>
+  );
+}
+
+function NewsTab({ feed, onMark }) {
+  const seen = useRef(new Set());
+  const [fresh, setFresh] = useState(() => new Set());
+  const list = feed?.announcements || [];
+
+  // Unread items are marked read the first time they are on screen; "New" stays for this visit
+  useEffect(() => {
+    const ids = list.filter(a => !a.readAt && !seen.current.has(a.id)).map(a => a.id);
+    list.forEach(a => seen.current.add(a.id));
+    if (!ids.length) return;
+    setFresh(prev => new Set([...prev, ...ids]));
+    onMark(ids, false);
+  }, [list.map(a => a.id).join()]);
+
+  if (!feed) {
+    return <div className="p-6 h-full flex items-center justify-center"><Loader2 className="animate-spin text-purple-300" size={32} /></div>;
+  }
+
+  return (
+    <div className="p-6 overflow-y-auto h-full">
+      <div className="max-w-3xl mx-auto space-y-4">
+        <h2 className="text-3xl font-bold text-white mb-6">{tr('news.heading')}</h2>
+        {list.length === 0 ? (
+          <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-10 border border-white/10 text-center">
+            <Bell className="mx-auto mb-4 text-purple-400" size={56} />
+            <p className="text-white/70">{tr('news.empty')}</p>
+          </div>
+        ) : list.map(a => (
+          <div key={a.id} className={`bg-white/10 backdrop-blur-lg rounded-2xl p-5 border ${a.priority === 'urgent' ? 'border-red-400/50' : a.pinned ? 'border-yellow-400/40' : 'border-white/10'}`}>
+            <div className="flex items-start gap-3 mb-2">
+              <div className="flex-1 min-w-0">
+                <h3 className="text-white font-bold text-lg break-words flex items-center gap-2">
+                  {a.pinned && <Pin size={16} className="text-yellow-300 shrink-0" />}
+                  {a.title}
+                </h3>
+                <div className="flex flex-wrap items-center gap-2 mt-1 text-xs">
+                  <span className="text-purple-300">{a.author}</span>
+                  <span className="text-white/50">{fmtDate(a.publishAt)}</span>
+                  {PRIORITY_STYLES[a.priority]?.chip && <span className={`px-2 py-0.5 rounded-full ${PRIORITY_STYLES[a.priority].chip}`}>{tr(`news.priority.${a.priority}`)}</span>}
+                  {fresh.has(a.id) && <span className="px-2 py-0.5 rounded-full bg-pink-500 text-white">{tr('news.new')}</span>}
+                  {a.expiresAt && <span className="text-white/50">{tr('news.until', { date: fmtDate(a.expiresAt) })}</span>}
+                </div>
+              </div>
+              <button onClick={() => onMark([a.id], !!a.readAt)} className="shrink-0 text-xs text-white/60 hover:text-white underline">
+                {a.readAt ? tr('news.markUnread') : tr('news.markRead')}
+              </button>
+            </div>
+            <Markdown text={a.message} className="text-white/90" />
+            <AnnouncementExtras attachments={a.attachments} links={a.links} />
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+/* ----------------------------------------------------------------------------
+   Notification center (the bell in the header). The inbox lives on the server
+   (notifications.mjs) and new items arrive over Server-Sent Events. Muted
+   types are saved on the server; whether to also pop a system notification
+   while the tab is in the background is a choice per browser.
+---------------------------------------------------------------------------- */
+// names are notify.kind.* messages
+const NOTIFICATION_KINDS = {
+  announcement: { icon: Bell },
+  quiz: { icon: FileText },
+  assignment: { icon: ClipboardList },
+  grade: { icon: Award },
+  study: { icon: Target },
+  safety: { icon: Shield, roles: ['teacher', 'admin'] },
+  class: { icon: Users, roles: ['student'] }
+};
+const browserNotifyKey = (u) => `mythos_browser_notify_${u?.id || 'guest'}`;
+const canNotifyBrowser = () => typeof Notification !== 'undefined';
+
+function NotificationCenter({ user, onOpen, onArrive }) {
+  const [items, setItems] = useState([]);
+  const [unread, setUnread] = useState(0);
+  const [open, setOpen] = useState(false);
+  const [view, setView] = useState('inbox'); // 'inbox' | 'settings'
+  const [muted, setMuted] = useState([]);
+  const [browser, setBrowser] = useState(() => storage.get(browserNotifyKey(user), false) && canNotifyBrowser() && Notification.permission === 'granted');
+  const [connected, setConnected] = useState(false);
+  const panel = useRef(null);
+  // the stream handler is set up once, so it reads the latest props and settings through refs
+  const latest = useRef({});
+  latest.current = { onOpen, onArrive, browser };
+
+  const load = async () => {
+    try {
+      const d = await api('/api/notifications');
+      setItems(d.notifications);
+      setUnread(d.unread);
+    } catch {} // offline: the stream catches up when it reconnects
+  };
+
+  const openItem = (n) => {
+    if (!n.readAt) {
+      setItems(prev => prev.map(x => x.id === n.id ? { ...x, readAt: nowISO() } : x));
+      setUnread(u => Math.max(0, u - 1));
+      api('/api/notifications/read', { method: 'POST', body: { ids: [n.id] } }).catch(() => {});
+    }
+    setOpen(false);
+    latest.current.onOpen(n.tab);
+  };
+
+  useEffect(() => {
+    load();
+    api('/api/notifications/prefs').then(d => setMuted(d.muted)).catch(() => {});
+    let dropped = false;
+    const es = new EventSource('/api/notifications/stream');
+    es.onopen = () => {
+      setConnected(true);
+      if (dropped) load();   // anything sent while we were away
+    };
+    es.onerror = () => { setConnected(false); dropped = true; };
+    es.addEventListener('notification', (e) => {
+      const n = JSON.parse(e.data);
+      setItems(prev => [n, ...prev.filter(x => x.id !== n.id)].slice(0, 50));
+      setUnread(u => u + 1);
+      latest.current.onArrive?.(n);
+      if (latest.current.browser && document.hidden && Notification.permission === 'granted') {
+        const { title, body } = notificationText(n);
+        const sys = new Notification(title, { body, tag: n.id });
+        sys.onclick = () => { window.focus(); openItem(n); sys.close(); };
+      }
+    });
+    return () => es.close();
+  }, []);
+
+  // click outside or Escape closes the panel
+  useEffect(() => {
+    if (!open) return;
+    const onDown = (e) => { if (!panel.current?.contains(e.target)) setOpen(false); };
+    const onKey = (e) => { if (e.key === 'Escape') { setOpen(false); panel.current?.querySelector('button')?.focus(); } };
+    document.addEventListener('mousedown', onDown);
+    document.addEventListener('keydown', onKey);
+    return () => { document.removeEventListener('mousedown', onDown); document.removeEventListener('keydown', onKey); };
+  }, [open]);
+
+  const markAll = async () => {
+    setItems(prev => prev.map(n => n.readAt ? n : { ...n, readAt: nowISO() }));
+    setUnread(0);
+    try { await api('/api/notifications/read', { method: 'POST', body: { all: true } }); } catch {}
+  };
+
+  const toggleMute = async (type) => {
+    const next = muted.includes(type) ? muted.filter(t => t !== type) : [...muted, type];
+    setMuted(next);
+    try { setMuted((await api('/api/notifications/prefs', { method: 'PUT', body: { muted: next } })).muted); }
+    catch { setMuted(muted); }
+  };
+
+  const toggleBrowser = async () => {
+    if (browser) { setBrowser(false); storage.set(browserNotifyKey(user), false); return; }
+    const permission = Notification.permission === 'default' ? await Notification.requestPermission() : Notification.permission;
+    setBrowser(permission === 'granted');
+    storage.set(browserNotifyKey(user), permission === 'granted');
+  };
+
+  return (
+    <div className="relative" ref={panel}>
+      <button
+        onClick={() => { setOpen(o => !o); setView('inbox'); }}
+        className="relative p-2 rounded-lg bg-white/10 hover:bg-white/20 text-white transition-colors"
+        title={connected ? tr('notify.title') : tr('notify.reconnecting')}
+        aria-label={unread ? tr('notify.unread', { n: fmtNumber(unread) }) : tr('notify.title')}
+        aria-expanded={open}
+      >
+        <Bell size={20} aria-hidden="true" />
+        {unread > 0 && (
+          <span className="absolute -top-1 -end-1 min-w-[1.25rem] h-5 px-1 rounded-full bg-pink-500 text-white text-xs flex items-center justify-center">
+            {unread > 99 ? `${fmtNumber(99)}+` : fmtNumber(unread)}
+          </span>
+        )}
+      </button>
+
+      <AnimatePresence>
+        {open && (
+          <motion.div
+            variants={scaleIn}
+            initial="initial"
+            animate="animate"
+            exit="exit"
+            className="absolute end-0 mt-2 w-96 max-w-[92vw] z-[800] bg-gray-900/95 backdrop-blur-xl border border-white/20 rounded-2xl shadow-xl overflow-hidden"
+          >
+            <div className="flex items-center gap-2 p-3 border-b border-white/10">
+              <h3 className="flex-1 text-white font-semibold">{view === 'inbox' ? tr('notify.title') : tr('notify.settings')}</h3>
+              {view === 'inbox' && unread > 0 && (
+                <button onClick={markAll} className="text-xs text-white/70 hover:text-white underline">{tr('notify.markAll')}</button>
+              )}
+              <button onClick={() => setView(v => v === 'inbox' ? 'settings' : 'inbox')} className="p-1.5 rounded-lg hover:bg-white/10 text-white/80" title={view === 'inbox' ? tr('notify.settingsButton') : tr('common.back')} aria-label={view === 'inbox' ? tr('notify.settingsButton') : tr('common.back')}>
+                {view === 'inbox' ? <SettingsIcon size={16} /> : <ChevronLeft size={16} />}
+              </button>
+            </div>
+
+            {view === 'inbox' ? (
+              <div className="max-h-[60vh] overflow-y-auto">
+                {items.length === 0 ? (
+                  <p className="p-6 text-center text-white/60 text-sm">{tr('notify.empty')}</p>
+                ) : items.map(n => {
+                  const Icon = NOTIFICATION_KINDS[n.type]?.icon || Bell;
+                  return (
+                    <button key={n.id} onClick={() => openItem(n)} className={`w-full text-start flex gap-3 p-3 border-b border-white/5 hover:bg-white/10 ${n.readAt ? 'opacity-70' : ''}`}>
+                      <Icon size={18} className="text-purple-300 shrink-0 mt-0.5" />
+                      <div className="flex-1 min-w-0">
+                        <p className="text-white text-sm font-medium break-words">{notificationText(n).title}</p>
+                        {n.body && <p className="text-white/70 text-xs line-clamp-2">{notificationText(n).body}</p>}
+                        <p className="text-white/40 text-xs mt-0.5">{fmtDate(n.createdAt)}</p>
+                      </div>
+                      {!n.readAt && <span className="w-2 h-2 rounded-full bg-pink-500 shrink-0 mt-2" />}
+                    </button>
+                  );
+                })}
+              </div>
+            ) : (
+              <div className="p-4 space-y-4">
+                <div className="space-y-2">
+                  <p className="text-white/60 text-xs">{tr('notify.tellMe')}</p>
+                  {Object.entries(NOTIFICATION_KINDS).filter(([, k]) => !k.roles || k.roles.includes(user?.role)).map(([type, k]) => (
+                    <label key={type} className="flex items-center gap-3 text-white/90 text-sm">
+                      <input type="checkbox" checked={!muted.includes(type)} onChange={() => toggleMute(type)} />
+                      <k.icon size={16} className="text-purple-300" /> {tr(`notify.kind.${type}`)}
+                    </label>
+                  ))}
+                </div>
+                <div className="border-t border-white/10 pt-3 space-y-1">
+                  {canNotifyBrowser() ? (
+                    <>
+                      <label className="flex items-center gap-3 text-white/90 text-sm">
+                        <input type="checkbox" checked={browser} onChange={toggleBrowser} disabled={Notification.permission === 'denied'} />
+                        {tr('notify.system')}
+                      </label>
+                      <p className="text-white/50 text-xs">
+                        {Notification.permission === 'denied'
+                          ? tr('notify.blocked')
+                          : tr('notify.background')}
+                      </p>
+                    </>
+                  ) : <p className="text-white/50 text-xs">{tr('notify.unsupported')}</p>}
+                </div>
+              </div>
+            )}
+          </motion.div>
+        )}
+      </AnimatePresence>
+    </div>
+  );
+}
+
+/* ----------------------------------------------------------------------------
+   Classes (classes.mjs). Teachers create a class, share its join code and
+   manage the roster; students join with the code. The class picked in the
+   header scopes the Lessons, Quizzes and Analytics tabs.
+---------------------------------------------------------------------------- */
+addMessages({
+  en: {
+    'class.needName': 'Give the class a name.',
+    'class.created': 'Created {name}. Share the join code {code} with your students.',
+    'class.newCode': 'New join code: {code}. The old one no longer works.',
+    'class.codeCopied': 'Join code copied.',
+    'class.copyFailed': 'Could not copy; select the code instead.',
+    'class.removed': 'Removed {name} from the class.',
+    'class.csvFirst': 'Paste a CSV or choose a file first.',
+    'class.enrolled.one': 'Enrolled {n} student.',
+    'class.enrolled.two': 'Enrolled {n} students.',
+    'class.enrolled.few': 'Enrolled {n} students.',
+    'class.enrolled.other': 'Enrolled {n} students.',
+    'class.enrolledInvited': '{enrolled} Invited {n}.',
+    'class.joined': 'You joined {name}.',
+    'class.declined': 'Declined the invitation to {name}.',
+    'class.withdrew': 'Withdrew the invitation to {name}.',
+    'class.left': 'You left {name}.',
+    'class.myClasses': 'My classes',
+    'class.join': 'Join a class',
+    'class.joinHint': 'Enter the code your teacher gave you.',
+    'class.codeExample': 'e.g. K7WQ3P',
+    'class.joinButton': 'Join',
+    'class.invitations': 'Invitations',
+    'class.invitedOn': 'invited {date}',
+    'class.decline': 'Decline',
+    'class.noneStudent': 'You are not in any class yet.',
+    'class.joinedOn': 'joined {date}',
+    'class.leave': 'Leave',
+    'class.leaveTitle': 'Leave this class?',
+    'class.leaveDesc': 'You will need the join code to come back.',
+    'class.new': 'New class',
+    'class.nameExample': 'e.g. 7B Period 2',
+    'class.nameLabel': 'Class name',
+    'class.create': 'Create class',
+    'class.archived': 'archived',
+    'class.students.one': '{n} student',
+    'class.students.two': '{n} students',
+    'class.students.few': '{n} students',
+    'class.students.other': '{n} students',
+    'class.none': 'No classes yet.',
+    'class.showArchived': 'Show archived classes',
+    'class.pick': 'Pick a class to see its roster, or create one.',
+    'class.cancelRename': 'Cancel rename',
+    'class.rename': 'Rename',
+    'class.restored': 'Class restored.',
+    'class.archivedToast': 'Class archived. Its students keep their work; the join code stops working.',
+    'class.unarchive': 'Unarchive',
+    'class.archive': 'Archive',
+    'class.joinCode': 'Join code',
+    'class.archivedNoJoin': 'Archived classes take no new students.',
+    'class.newCodeTitle': 'New code (the old one stops working)',
+    'class.studentsHeading': 'Students',
+    'class.nobody': 'Nobody has joined yet. Share the join code or import a roster below.',
+    'class.disabled': 'disabled',
+    'class.removeFromClass': 'Remove from class',
+    'class.invitedHeading': 'Invited, not joined yet ({n})',
+    'class.withdraw': 'Withdraw invitation',
+    'class.import': 'Import a roster',
+    'class.importHelp': 'A CSV with a header row. {username} is required; {name}, {email} and {password} are optional. New accounts are created and enrolled, with a temporary password when none is given. Students who already have an account are invited and join once they accept.',
+    'class.chooseFile': 'Choose file',
+    'class.importButton': 'Import',
+    'class.importSummary': 'Enrolled {enrolled}, invited {invited}, {already} already in the class, {created} new, {skipped} skipped.',
+    'class.tempPasswords': 'Temporary passwords are shown only now. Download them before leaving this page.',
+    'class.loginsFile': '{name} logins.csv',
+    'class.col.username': 'Username',
+    'class.col.name': 'Name',
+    'class.col.password': 'Password',
+    'class.downloadLogins': 'Download logins (CSV)',
+    'class.skippedLine': 'Line {line}: {reason}',
+    'class.skippedLineUser': 'Line {line} ({username}): {reason}',
+    'class.removeTitle': 'Remove student?',
+    'class.removeDesc': '{name} leaves {className}. Their account stays; they can rejoin with the code.'
+  },
+  fa: {
+    'class.needName': 'برای کلاس نامی بنویسید.',
+    'class.created': '{name} ساخته شد. کد پیوستن {code} را با دانش‌آموزان به اشتراک بگذارید.',
+    'class.newCode': 'کد پیوستن تازه: {code}. کد قبلی دیگر کار نمی‌کند.',
+    'class.codeCopied': 'کد پیوستن کپی شد.',
+    'class.copyFailed': 'کپی نشد؛ کد را انتخاب کنید.',
+    'class.removed': '{name} از کلاس برداشته شد.',
+    'class.csvFirst': 'اول یک CSV بچسبانید یا پرونده‌ای انتخاب کنید.',
+    'class.enrolled.one': '{n} دانش‌آموز ثبت‌نام شد.',
+    'class.enrolled.two': '{n} دانش‌آموز ثبت‌نام شدند.',
+    'class.enrolled.few': '{n} دانش‌آموز ثبت‌نام شدند.',
+    'class.enrolled.other': '{n} دانش‌آموز ثبت‌نام شدند.',
+    'class.enrolledInvited': '{enrolled} {n} نفر دعوت شدند.',
+    'class.joined': 'به {name} پیوستید.',
+    'class.declined': 'دعوت به {name} رد شد.',
+    'class.withdrew': 'دعوت {name} پس گرفته شد.',
+    'class.left': 'از {name} بیرون آمدید.',
+    'class.myClasses': 'کلاس‌های من',
+    'class.join': 'پیوستن به کلاس',
+    'class.joinHint': 'کدی را که معلم به شما داده وارد کنید.',
+    'class.codeExample': 'مثلاً K7WQ3P',
+    'class.joinButton': 'پیوستن',
+    'class.invitations': 'دعوت‌ها',
+    'class.invitedOn': 'دعوت‌شده {date}',
+    'class.decline': 'رد کردن',
+    'class.noneStudent': 'هنوز در هیچ کلاسی نیستید.',
+    'class.joinedOn': 'پیوسته {date}',
+    'class.leave': 'ترک',
+    'class.leaveTitle': 'این کلاس را ترک می‌کنید؟',
+    'class.leaveDesc': 'برای بازگشت به کد پیوستن نیاز دارید.',
+    'class.new': 'کلاس تازه',
+    'class.nameExample': 'مثلاً هفتم ب، زنگ دوم',
+    'class.nameLabel': 'نام کلاس',
+    'class.create': 'ساخت کلاس',
+    'class.archived': 'بایگانی‌شده',
+    'class.students.one': '{n} دانش‌آموز',
+    'class.students.two': '{n} دانش‌آموز',
+    'class.students.few': '{n} دانش‌آموز',
+    'class.students.other': '{n} دانش‌آموز',
+    'class.none': 'هنوز کلاسی نیست.',
+    'class.showArchived': 'نمایش کلاس‌های بایگانی‌شده',
+    'class.pick': 'کلاسی را برای دیدن فهرست دانش‌آموزانش انتخاب کنید یا یکی بسازید.',
+    'class.cancelRename': 'لغو تغییر نام',
+    'class.rename': 'تغییر نام',
+    'class.restored': 'کلاس بازگردانده شد.',
+    'class.archivedToast': 'کلاس بایگانی شد. دانش‌آموزان کارهایشان را نگه می‌دارند؛ کد پیوستن از کار می‌افتد.',
+    'class.unarchive': 'خروج از بایگانی',
+    'class.archive': 'بایگانی',
+    'class.joinCode': 'کد پیوستن',
+    'class.archivedNoJoin': 'کلاس‌های بایگانی‌شده دانش‌آموز تازه نمی‌پذیرند.',
+    'class.newCodeTitle': 'کد تازه (کد قبلی از کار می‌افتد)',
+    'class.studentsHeading': 'دانش‌آموزان',
+    'class.nobody': 'هنوز کسی نپیوسته. کد پیوستن را به اشتراک بگذارید یا فهرستی را در پایین وارد کنید.',
+    'class.disabled': 'غیرفعال',
+    'class.removeFromClass': 'برداشتن از کلاس',
+    'class.invitedHeading': 'دعوت‌شده، هنوز نپیوسته ({n})',
+    'class.withdraw': 'پس گرفتن دعوت',
+    'class.import': 'وارد کردن فهرست',
+    'class.importHelp': 'یک CSV با ردیف سرستون. {username} الزامی است؛ {name}، {email} و {password} اختیاری‌اند. حساب‌های تازه ساخته و ثبت‌نام می‌شوند و اگر گذرواژه‌ای داده نشود گذرواژهٔ موقت می‌گیرند. دانش‌آموزانی که حساب دارند دعوت می‌شوند و پس از پذیرش می‌پیوندند.',
+    'class.chooseFile': 'اختیار پرونده',
+    'class.importButton': 'وارد کردن',
+    'class.importSummary': '{enrolled} ثبت‌نام، {invited} دعوت، {already} از قبل در کلاس، {created} تازه، {skipped} رد شده.',
+    'class.tempPasswords': 'گذرواژه‌های موقت فقط اکنون نشان داده می‌شوند. پیش از ترک این صفحه آن‌ها را بارگیری کنید.',
+    'class.loginsFile': 'ورود {name}.csv',
+    'class.col.username': 'نام کاربری',
+    'class.col.name': 'نام',
+    'class.col.password': 'گذرواژه',
+    'class.downloadLogins': 'بارگیری ورودها (CSV)',
+    'class.skippedLine': 'سطر {line}: {reason}',
+    'class.skippedLineUser': 'سطر {line} ({username}): {reason}',
+    'class.removeTitle': 'دانش‌آموز برداشته شود؟',
+    'class.removeDesc': '{name} از {className} بیرون می‌رود. حسابش می‌ماند و می‌تواند با کد دوباره بپیوندد.'
+  },
+  ar: {
+    'class.needName': 'أعطِ الصف اسمًا.',
+    'class.created': 'أُنشئ {name}. شارك رمز الانضمام {code} مع طلابك.',
+    'class.newCode': 'رمز انضمام جديد: {code}. لم يعد الرمز القديم يعمل.',
+    'class.codeCopied': 'نُسخ رمز الانضمام.',
+    'class.copyFailed': 'تعذّر النسخ؛ حدّد الرمز بدلًا من ذلك.',
+    'class.removed': 'أُزيل {name} من الصف.',
+    'class.csvFirst': 'الصق CSV أو اختر ملفًا أولًا.',
+    'class.enrolled.one': 'سُجّل طالب واحد.',
+    'class.enrolled.two': 'سُجّل طالبان.',
+    'class.enrolled.few': 'سُجّل {n} طلاب.',
+    'class.enrolled.other': 'سُجّل {n} طالبًا.',
+    'class.enrolledInvited': '{enrolled} دُعي {n}.',
+    'class.joined': 'انضممت إلى {name}.',
+    'class.declined': 'رُفضت الدعوة إلى {name}.',
+    'class.withdrew': 'سُحبت الدعوة الموجهة إلى {name}.',
+    'class.left': 'غادرت {name}.',
+    'class.myClasses': 'صفوفي',
+    'class.join': 'الانضمام إلى صف',
+    'class.joinHint': 'أدخل الرمز الذي أعطاك إياه معلمك.',
+    'class.codeExample': 'مثلًا K7WQ3P',
+    'class.joinButton': 'انضمام',
+    'class.invitations': 'الدعوات',
+    'class.invitedOn': 'دُعي {date}',
+    'class.decline': 'رفض',
+    'class.noneStudent': 'لست في أي صف بعد.',
+    'class.joinedOn': 'انضم {date}',
+    'class.leave': 'مغادرة',
+    'class.leaveTitle': 'مغادرة هذا الصف؟',
+    'class.leaveDesc': 'ستحتاج إلى رمز الانضمام للعودة.',
+    'class.new': 'صف جديد',
+    'class.nameExample': 'مثلًا 7ب الحصة 2',
+    'class.nameLabel': 'اسم الصف',
+    'class.create': 'إنشاء صف',
+    'class.archived': 'مؤرشف',
+    'class.students.one': 'طالب واحد',
+    'class.students.two': 'طالبان',
+    'class.students.few': '{n} طلاب',
+    'class.students.other': '{n} طالبًا',
+    'class.none': 'لا صفوف بعد.',
+    'class.showArchived': 'إظهار الصفوف المؤرشفة',
+    'class.pick': 'اختر صفًا لرؤية قائمة طلابه، أو أنشئ صفًا.',
+    'class.cancelRename': 'إلغاء إعادة التسمية',
+    'class.rename': 'إعادة تسمية',
+    'class.restored': 'استُعيد الصف.',
+    'class.archivedToast': 'أُرشف الصف. يحتفظ طلابه بأعمالهم؛ ويتوقف رمز الانضمام.',
+    'class.unarchive': 'إلغاء الأرشفة',
+    'class.archive': 'أرشفة',
+    'class.joinCode': 'رمز الانضمام',
+    'class.archivedNoJoin': 'لا تقبل الصفوف المؤرشفة طلابًا جددًا.',
+    'class.newCodeTitle': 'رمز جديد (يتوقف القديم)',
+    'class.studentsHeading': 'الطلاب',
+    'class.nobody': 'لم ينضم أحد بعد. شارك رمز الانضمام أو استورد قائمة أدناه.',
+    'class.disabled': 'معطّل',
+    'class.removeFromClass': 'إزالة من الصف',
+    'class.invitedHeading': 'مدعوون لم ينضموا بعد ({n})',
+    'class.withdraw': 'سحب الدعوة',
+    'class.import': 'استيراد قائمة',
+    'class.importHelp': 'ملف CSV بصف عناوين. {username} مطلوب؛ و{name} و{email} و{password} اختيارية. تُنشأ حسابات جديدة وتُسجَّل، بكلمة مرور مؤقتة إن لم تُعطَ. يُدعى الطلاب الذين لديهم حساب وينضمون عند القبول.',
+    'class.chooseFile': 'اختر ملفًا',
+    'class.importButton': 'استيراد',
+    'class.importSummary': 'سُجّل {enrolled}، دُعي {invited}، {already} في الصف أصلًا، {created} جديد، تُخطّي {skipped}.',
+    'class.tempPasswords': 'تظهر كلمات المرور المؤقتة الآن فقط. نزّلها قبل مغادرة هذه الصفحة.',
+    'class.loginsFile': 'دخول {name}.csv',
+    'class.col.username': 'اسم المستخدم',
+    'class.col.name': 'الاسم',
+    'class.col.password': 'كلمة المرور',
+    'class.downloadLogins': 'تنزيل بيانات الدخول (CSV)',
+    'class.skippedLine': 'السطر {line}: {reason}',
+    'class.skippedLineUser': 'السطر {line} ({username}): {reason}',
+    'class.removeTitle': 'إزالة الطالب؟',
+    'class.removeDesc': 'يغادر {name} {className}. يبقى حسابه؛ ويمكنه الانضمام مجددًا بالرمز.'
+  }
+});
+
+const classKey = (u) => `mythos_class_${u?.id || 'guest'}`;
+const ROSTER_CSV_SAMPLE = 'username,name,email,password\nava.k,Ava K,,\nleo.m,Leo M,leo@example.org,';
+
+function ClassesTab({ user, onChange, pushToast }) {
+  const teaches = user?.role === 'teacher' || user?.role === 'admin';
+  const [classes, setClasses] = useState(null);
+  const [showArchived, setShowArchived] = useState(false);
+  const [activeId, setActiveId] = useState(null);
+  const [roster, setRoster] = useState(null);          // { class, students } for the open class
+  const [draft, setDraft] = useState({ name: '', subject: 'general' });
+  const [rename, setRename] = useState(null);          // name being edited, or null
+  const [code, setCode] = useState('');
+  const [csv, setCsv] = useState('');
+  const [imported, setImported] = useState(null);      // the last import's result
+  const [busy, setBusy] = useState(false);
+  const [pendingRemove, setPendingRemove] = useState(null);
+  const [pendingLeave, setPendingLeave] = useState(null);
+  const [invites, setInvites] = useState([]);          // students: classes they were invited to
+
+  const load = async () => {
+    try {
+      setClasses((await api(`/api/classes${showArchived ? '?archived=1' : ''}`)).classes);
+      if (!teaches) setInvites((await api('/api/classes/invites')).invites);
+    } catch (e) { pushToast(errorText(e), 'error'); }
+  };
+  useEffect(() => { load(); }, [showArchived]);
+
+  const loadRoster = async (id) => {
+    try { setRoster(await api(`/api/classes/${id}/roster`)); }
+    catch (e) { pushToast(errorText(e), 'error'); }
+  };
+  useEffect(() => {
+    setRoster(null); setRename(null); setImported(null); setCsv('');
+    if (activeId && teaches) loadRoster(activeId);
+  }, [activeId]);
+
+  // after any change: this list, the open roster and the class picker in the header
+  const changed = async (id = activeId) => {
+    await load();
+    if (id && teaches) await loadRoster(id);
+    onChange();
+  };
+
+  const create = async () => {
+    if (draft.name.trim().length < 2) { pushToast(tr('class.needName'), 'warn'); return; }
+    try {
+      const d = await api('/api/classes', { method: 'POST', body: draft });
+      setDraft({ name: '', subject: 'general' });
+      setActiveId(d.class.id);
+      await changed(d.class.id);
+      pushToast(tr('class.created', { name: d.class.name, code: d.class.joinCode }), 'success', 6000);
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
+  };
+
+  const patch = async (body, message) => {
+    try {
+      await api(`/api/classes/${activeId}`, { method: 'PATCH', body });
+      setRename(null);
+      await changed();
+      if (message) pushToast(message, 'success');
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
+  };
+
+  const newCode = async () => {
+    try {
+      const d = await api(`/api/classes/${activeId}/code`, { method: 'POST' });
+      await changed();
+      pushToast(tr('class.newCode', { code: d.class.joinCode }), 'success');
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
+  };
+
+  const copyCode = (c) => {
+    navigator.clipboard?.writeText(c).then(() => pushToast(tr('class.codeCopied'), 'success'), () => pushToast(tr('class.copyFailed'), 'warn'));
+  };
+
+  const removeStudent = async () => {
+    const s = pendingRemove;
+    setPendingRemove(null);
+    try {
+      await api(`/api/classes/${activeId}/students/${s.userId}`, { method: 'DELETE' });
+      await changed();
+      pushToast(tr('class.removed', { name: s.name }));
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
+  };
+
+  const readCsvFile = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = '';
+    if (file) setCsv(await file.text());
+  };
+
+  const importRoster = async () => {
+    if (!csv.trim()) { pushToast(tr('class.csvFirst'), 'warn'); return; }
+    setBusy(true);
+    try {
+      const d = await api(`/api/classes/${activeId}/roster/import`, { method: 'POST', body: { csv } });
+      setImported(d);
+      setCsv('');
+      await changed();
+      pushToast(d.invited ? tr('class.enrolledInvited', { enrolled: trn('class.enrolled', d.enrolled), n: fmtNumber(d.invited) }) : trn('class.enrolled', d.enrolled), d.skipped.length ? 'warn' : 'success');
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const join = async () => {
+    if (!code.trim()) return;
+    try {
+      const d = await api('/api/classes/join', { method: 'POST', body: { code } });
+      setCode('');
+      await changed();
+      pushToast(tr('class.joined', { name: d.class.name }), 'success');
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
+  };
+
+  const answerInvite = async (x, accept) => {
+    try {
+      await api(`/api/classes/invites/${x.id}/${accept ? 'accept' : 'decline'}`, { method: 'POST' });
+      await changed(null);
+      pushToast(tr(accept ? 'class.joined' : 'class.declined', { name: x.class.name }), accept ? 'success' : 'info');
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
+  };
+
+  const withdrawInvite = async (s) => {
+    try {
+      await api(`/api/classes/${activeId}/invites/${s.userId}`, { method: 'DELETE' });
+      await changed();
+      pushToast(tr('class.withdrew', { name: s.name }));
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
+  };
+
+  const leave = async () => {
+    const c = pendingLeave;
+    setPendingLeave(null);
+    try {
+      await api(`/api/classes/${c.id}/leave`, { method: 'POST' });
+      await changed(null);
+      pushToast(tr('class.left', { name: c.name }));
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
+  };
+
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  const btn = "flex items-center gap-2 px-3 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm disabled:opacity-50";
+  const primary = "flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white text-sm font-semibold disabled:opacity-60";
+  const card = "bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10";
+
+  if (!classes) {
+    return <div className="p-6 h-full flex items-center justify-center"><Loader2 className="animate-spin text-purple-300" size={32} /></div>;
+  }
+
+  if (!teaches) {
+    return (
+      <div className="p-6 overflow-y-auto h-full">
+        <div className="max-w-3xl mx-auto space-y-6">
+          <h2 className="text-3xl font-bold text-white">{tr('class.myClasses')}</h2>
+          <div className={card}>
+            <h3 className="text-white font-semibold mb-1">{tr('class.join')}</h3>
+            <p className="text-white/60 text-sm mb-3">{tr('class.joinHint')}</p>
+            <div className="flex gap-2">
+              <input
+                value={code}
+                onChange={e => setCode(e.target.value.toUpperCase())}
+                onKeyDown={e => e.key === 'Enter' && join()}
+                placeholder={tr('class.codeExample')}
+                aria-label={tr('class.joinCode')}
+                maxLength={12}
+                className={`flex-1 font-mono tracking-widest ${small}`}
+              />
+              <button onClick={join} disabled={!code.trim()} className={primary}><Plus size={16} /> {tr('class.joinButton')}</button>
+            </div>
+          </div>
+          {invites.length > 0 && (
+            <div className={card}>
+              <h3 className="text-white font-semibold mb-3">{tr('class.invitations')}</h3>
+              <div className="divide-y divide-white/10">
+                {invites.map(x => (
+                  <div key={x.id} className="flex flex-wrap items-center gap-3 py-2">
+                    <div className="flex-1 min-w-0">
+                      <p className="text-white truncate">{x.class.name}</p>
+                      <p className="text-white/50 text-xs">{subjectName(x.class.subject)} • {personName(x.class.teacher)} • {tr('class.invitedOn', { date: fmtDate(x.invitedAt) })}</p>
+                    </div>
+                    <button onClick={() => answerInvite(x, false)} className={btn}><X size={16} /> {tr('class.decline')}</button>
+                    <button onClick={() => answerInvite(x, true)} className={primary}><Check size={16} /> {tr('class.joinButton')}</button>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+          {classes.length === 0 ? (
+            <div className={`${card} text-center`}>
+              <Users className="mx-auto mb-4 text-purple-400" size={56} />
+              <p className="text-white/70">{tr('class.noneStudent')}</p>
+            </div>
+          ) : (
+            <div className="space-y-3">
+              {classes.map(c => (
+                <div key={c.id} className="flex items-center gap-3 p-4 rounded-2xl bg-white/10 border border-white/10">
+                  <div className="flex-1 min-w-0">
+                    <p className="text-white font-semibold truncate">{c.name}</p>
+                    <p className="text-white/50 text-xs">{subjectName(c.subject)} • {personName(c.teacher)} • {tr('class.joinedOn', { date: fmtDate(c.joinedAt) })}</p>
+                  </div>
+                  <button onClick={() => setPendingLeave(c)} className="text-xs text-white/60 hover:text-red-300 underline">{tr('class.leave')}</button>
+                </div>
+              ))}
+            </div>
+          )}
+        </div>
+        <Confirm
+          open={!!pendingLeave}
+          title={tr('class.leaveTitle')}
+          desc={tr('class.leaveDesc')}
+          onCancel={() => setPendingLeave(null)}
+          onConfirm={leave}
+        />
+      </div>
+    );
+  }
+
+  const active = classes.find(c => c.id === activeId) || null;
+  const credentials = imported?.created.filter(s => s.password) || [];
+
+  return (
+    <div className="p-6 overflow-y-auto h-full">
+      <div className="max-w-6xl mx-auto grid md:grid-cols-[18rem_1fr] gap-6">
+        <div className="space-y-4">
+          <div className={card}>
+            <h3 className="text-white font-semibold mb-3">{tr('class.new')}</h3>
+            <div className="space-y-2">
+              <input value={draft.name} onChange={e => setDraft(d => ({ ...d, name: e.target.value }))} onKeyDown={e => e.key === 'Enter' && create()} placeholder={tr('class.nameExample')} aria-label={tr('class.nameLabel')} maxLength={80} className={`w-full ${small}`} />
+              <select value={draft.subject} onChange={e => setDraft(d => ({ ...d, subject: e.target.value }))} aria-label={tr('common.subject')} className={`w-full ${small}`}>
+                {Object.keys(SUBJECTS).map(k => <option key={k} value={k} className="bg-gray-800">{subjectName(k)}</option>)}
+              </select>
+              <button onClick={create} className={`w-full justify-center ${primary}`}><Plus size={16} /> {tr('class.create')}</button>
+            </div>
+          </div>
+          <div className="space-y-2">
+            {classes.map(c => (
+              <button
+                key={c.id}
+                onClick={() => setActiveId(c.id)}
+                className={`w-full text-start p-3 rounded-xl border transition-all ${c.id === activeId ? 'bg-purple-500/30 border-purple-400/50' : 'bg-white/5 border-white/10 hover:bg-white/10'}`}
+              >
+                <p className="text-white font-medium truncate">{c.name}{c.archived && <span className="ms-2 text-xs text-white/50">{tr('class.archived')}</span>}</p>
+                <p className="text-white/50 text-xs">{subjectName(c.subject)} • {trn('class.students', c.students)}{user.role === 'admin' && c.teacherId !== user.id ? ` • ${personName(c.teacher)}` : ''}</p>
+              </button>
+            ))}
+            {classes.length === 0 && <p className="text-white/50 text-sm text-center py-4">{tr('class.none')}</p>}
+            <label className="flex items-center gap-2 text-white/70 text-sm pt-2">
+              <input type="checkbox" checked={showArchived} onChange={e => setShowArchived(e.target.checked)} /> {tr('class.showArchived')}
+            </label>
+          </div>
+        </div>
+
+        {!active ? (
+          <div className={`${card} text-center self-start`}>
+            <Users className="mx-auto mb-4 text-purple-400" size={56} />
+            <p className="text-white/70">{tr('class.pick')}</p>
+          </div>
+        ) : (
+          <div className="space-y-6">
+            <div className={card}>
+              <div className="flex flex-wrap items-center gap-3 mb-4">
+                {rename !== null ? (
+                  <>
+                    <input value={rename} onChange={e => setRename(e.target.value)} onKeyDown={e => e.key === 'Enter' && patch({ name: rename })} maxLength={80} aria-label={tr('class.nameLabel')} className={`flex-1 text-lg ${small}`} autoFocus />
+                    <button onClick={() => patch({ name: rename })} className={btn}><Save size={16} /> {tr('common.save')}</button>
+                    <button onClick={() => setRename(null)} className={btn} aria-label={tr('class.cancelRename')}><X size={16} /></button>
+                  </>
+                ) : (
+                  <>
+                    <h2 className="flex-1 text-2xl font-bold text-white truncate">{active.name}</h2>
+                    {!active.archived && <button onClick={() => setRename(active.name)} className={btn}><Pencil size={16} /> {tr('class.rename')}</button>}
+                    <button
+                      onClick={() => patch({ archived: !active.archived }, active.archived ? tr('class.restored') : tr('class.archivedToast'))}
+                      className={btn}
+                    >{active.archived ? <RotateCcw size={16} /> : <Layers size={16} />} {active.archived ? tr('class.unarchive') : tr('class.archive')}</button>
+                  </>
+                )}
+              </div>
+              <div className="grid sm:grid-cols-2 gap-3 text-sm">
+                <label className="space-y-1 block text-white/70"><span>{tr('common.subject')}</span>
+                  <select value={active.subject} disabled={active.archived} onChange={e => patch({ subject: e.target.value })} className={`w-full ${small}`}>
+                    {Object.keys(SUBJECTS).map(k => <option key={k} value={k} className="bg-gray-800">{subjectName(k)}</option>)}
+                  </select>
+                </label>
+                <div className="space-y-1 text-white/70"><span>{tr('class.joinCode')}</span>
+                  {active.archived ? <p className="text-white/50 py-2">{tr('class.archivedNoJoin')}</p> : (
+                    <div className="flex items-center gap-2">
+                      <span className="flex-1 px-3 py-2 rounded-lg bg-black/30 text-white font-mono text-lg tracking-widest select-all">{active.joinCode}</span>
+                      <button onClick={() => copyCode(active.joinCode)} className={btn} title={tr('common.copy')} aria-label={tr('common.copy')}><Copy size={16} /></button>
+                      <button onClick={newCode} className={btn} title={tr('class.newCodeTitle')} aria-label={tr('class.newCodeTitle')}><RotateCcw size={16} /></button>
+                    </div>
+                  )}
+                </div>
+              </div>
+            </div>
+
+            <div className={card}>
+              <h3 className="text-white font-semibold mb-3">{tr('class.studentsHeading')} {roster && <span className="text-white/50 font-normal">({fmtNumber(roster.students.length)})</span>}</h3>
+              {!roster ? <Loader2 className="animate-spin text-purple-300" size={24} /> : roster.students.length === 0 ? (
+                <p className="text-white/60 text-sm">{tr('class.nobody')}</p>
+              ) : (
+                <div className="divide-y divide-white/10">
+                  {roster.students.map(s => (
+                    <div key={s.userId} className="flex items-center gap-3 py-2">
+                      <div className="flex-1 min-w-0">
+                        <p className="text-white truncate">{personName(s.name)}{s.disabled && <span className="ms-2 text-xs text-red-300">{tr('class.disabled')}</span>}</p>
+                        <p className="text-white/50 text-xs truncate">@{s.username}{s.email ? ` • ${s.email}` : ''} • {tr('class.joinedOn', { date: fmtDate(s.joinedAt) })}</p>
+                      </div>
+                      <button onClick={() => setPendingRemove(s)} className="p-2 rounded-lg text-white/60 hover:text-red-300 hover:bg-white/10" title={tr('class.removeFromClass')} aria-label={tr('class.removeFromClass')}><Trash2 size={16} /></button>
+                    </div>
+                  ))}
+                </div>
+              )}
+              {roster?.invited.length > 0 && (
+                <>
+                  <h4 className="text-white/80 text-sm font-semibold mt-4 mb-1">{tr('class.invitedHeading', { n: fmtNumber(roster.invited.length) })}</h4>
+                  <div className="divide-y divide-white/10">
+                    {roster.invited.map(s => (
+                      <div key={s.userId} className="flex items-center gap-3 py-2">
+                        <div className="flex-1 min-w-0">
+                          <p className="text-white/80 truncate">{personName(s.name)}</p>
+                          <p className="text-white/50 text-xs truncate">@{s.username} • {tr('class.invitedOn', { date: fmtDate(s.invitedAt) })}</p>
+                        </div>
+                        <button onClick={() => withdrawInvite(s)} className="p-2 rounded-lg text-white/60 hover:text-red-300 hover:bg-white/10" title={tr('class.withdraw')} aria-label={tr('class.withdraw')}><X size={16} /></button>
+                      </div>
+                    ))}
+                  </div>
+                </>
+              )}
+            </div>
+
+            {!active.archived && (
+              <div className={card}>
+                <h3 className="text-white font-semibold mb-1">{tr('class.import')}</h3>
+                <p className="text-white/60 text-sm mb-3">
+                  {tr('class.importHelp', Object.fromEntries(['username', 'name', 'email', 'password'].map(k => [k, `\u0000${k}\u0000`]))).split('\u0000').map((part, i) => i % 2 ? <code key={i}>{part}</code> : part)}
+                </p>
+                <textarea value={csv} onChange={e => setCsv(e.target.value)} rows={5} placeholder={ROSTER_CSV_SAMPLE} aria-label={tr('class.import')} dir="ltr" className={`w-full font-mono text-xs resize-y ${small}`} />
+                <div className="flex flex-wrap gap-2 mt-2">
+                  <label className={`${btn} cursor-pointer`}>
+                    <Upload size={16} /> {tr('class.chooseFile')}
+                    <input type="file" accept=".csv,.tsv,.txt,text/csv" onChange={readCsvFile} className="hidden" />
+                  </label>
+                  <button onClick={importRoster} disabled={busy || !csv.trim()} className={primary}>
+                    {busy ? <Loader2 size={16} className="animate-spin" /> : <Users size={16} />} {tr('class.importButton')}
+                  </button>
+                </div>
+                {imported && (
+                  <div className="mt-4 p-4 rounded-xl bg-white/5 border border-white/10 space-y-3 text-sm">
+                    <p className="text-white/80">
+                      {tr('class.importSummary', { enrolled: fmtNumber(imported.enrolled), invited: fmtNumber(imported.invited), already: fmtNumber(imported.already), created: fmtNumber(imported.created.length), skipped: fmtNumber(imported.skipped.length) })}
+                    </p>
+                    {credentials.length > 0 && (
+                      <div className="space-y-2">
+                        <p className="text-yellow-200">{tr('class.tempPasswords')}</p>
+                        <button
+                          onClick={() => downloadFile(tr('class.loginsFile', { name: active.name }), toCsv(credentials, ['username', 'name', 'password'].map(k => [k, tr(`class.col.${k}`)])), 'text/csv')}
+                          className={btn}
+                        ><Download size={16} /> {tr('class.downloadLogins')}</button>
+                      </div>
+                    )}
+                    {imported.skipped.length > 0 && (
+                      <ul className="space-y-1 text-red-200/90">
+                        {imported.skipped.map(s => <li key={s.line}>{tr(s.username ? 'class.skippedLineUser' : 'class.skippedLine', { line: fmtNumber(s.line), username: s.username, reason: serverText(s.key, s.vars, s.reason) })}</li>)}
+                      </ul>
+                    )}
+                  </div>
+                )}
+              </div>
+            )}
+          </div>
+        )}
+      </div>
+      <Confirm
+        open={!!pendingRemove}
+        title={tr('class.removeTitle')}
+        desc={pendingRemove ? tr('class.removeDesc', { name: pendingRemove.name, className: active?.name }) : ''}
+        onCancel={() => setPendingRemove(null)}
+        onConfirm={removeStudent}
+      />
+    </div>
+  );
+}
+
+/* ----------------------------------------------------------------------------
+   Themes (settings.mjs). A theme is a palette: light or dark, two accent
+   colours and a three-stop page background. The school's branding is
+   everyone's default; each user can pick another theme (saved to their
+   profile) or build their own. The palette becomes CSS variables plus a
+   stylesheet that remaps the Tailwind colour utilities this file uses, so
+   components keep their classes and every theme restyles them.
+---------------------------------------------------------------------------- */
+addMessages({
+  en: {
+    'theme.choice.school': 'School',
+    'theme.choice.schoolDesc': 'Your school’s colours',
+    'theme.choice.system': 'Match my device',
+    'theme.choice.systemDesc': 'Light or dark, following the system setting',
+    'theme.choice.dark': 'Dark',
+    'theme.choice.darkDesc': 'The classic purple',
+    'theme.choice.light': 'Light',
+    'theme.choice.lightDesc': 'Dark text on a light background',
+    'theme.choice.contrast': 'High contrast',
+    'theme.choice.contrastDesc': 'Black, white and yellow; strong outlines',
+    'theme.choice.custom': 'Custom',
+    'theme.choice.customDesc': 'Your own colours',
+    'theme.bg.purple': 'Purple',
+    'theme.bg.blue': 'Blue',
+    'theme.bg.green': 'Green',
+    'theme.bg.orange': 'Orange',
+    'theme.bg.dark': 'Dark',
+    'theme.bg.royal': 'Royal',
+    'theme.bg.lavender': 'Lavender',
+    'theme.bg.sky': 'Sky',
+    'theme.bg.paper': 'Paper',
+    'theme.mode': 'Mode',
+    'theme.accent': 'Accent',
+    'theme.accent2': 'Second accent',
+    'theme.background': 'Background',
+    'theme.backgroundN': 'Background colour {n}',
+    'theme.heading': 'Theme',
+    'theme.hint': 'Saved to your account, so it follows you to any device.',
+    'theme.yourColours': 'Your colours',
+    'school.logoTooBig': 'The logo must be an image under {size}.',
+    'school.logoUnreadable': 'Could not read that image.',
+    'school.branding': 'School Branding',
+    'school.brandingHint': 'The default theme for everyone. People can still pick another one under Appearance.',
+    'school.logoAlt': 'School logo',
+    'school.namePlaceholder': 'School name (shown instead of Myth OS)',
+    'school.logo': 'Logo',
+    'school.removeLogo': 'Remove logo',
+    'school.brandingSaved': 'Branding saved.',
+    'school.saveBranding': 'Save branding',
+    'school.originalColours': 'Original colours',
+    'school.banner': 'Banner',
+    'school.showBanner': 'Show banner to everyone',
+    'school.bannerPlaceholder': 'Banner message...',
+    'school.bannerSaved': 'Banner saved.',
+    'school.saveBanner': 'Save banner'
+  },
+  fa: {
+    'theme.choice.school': 'مدرسه',
+    'theme.choice.schoolDesc': 'رنگ‌های مدرسهٔ شما',
+    'theme.choice.system': 'مانند دستگاهم',
+    'theme.choice.systemDesc': 'روشن یا تیره، به پیروی از تنظیم سیستم',
+    'theme.choice.dark': 'تیره',
+    'theme.choice.darkDesc': 'بنفش همیشگی',
+    'theme.choice.light': 'روشن',
+    'theme.choice.lightDesc': 'متن تیره روی زمینهٔ روشن',
+    'theme.choice.contrast': 'کنتراست بالا',
+    'theme.choice.contrastDesc': 'سیاه، سفید و زرد؛ خطوط پررنگ',
+    'theme.choice.custom': 'سفارشی',
+    'theme.choice.customDesc': 'رنگ‌های خودتان',
+    'theme.bg.purple': 'بنفش',
+    'theme.bg.blue': 'آبی',
+    'theme.bg.green': 'سبز',
+    'theme.bg.orange': 'نارنجی',
+    'theme.bg.dark': 'تیره',
+    'theme.bg.royal': 'سلطنتی',
+    'theme.bg.lavender': 'اسطوخودوسی',
+    'theme.bg.sky': 'آسمانی',
+    'theme.bg.paper': 'کاغذی',
+    'theme.mode': 'حالت',
+    'theme.accent': 'رنگ اصلی',
+    'theme.accent2': 'رنگ دوم',
+    'theme.background': 'پس‌زمینه',
+    'theme.backgroundN': 'رنگ پس‌زمینهٔ {n}',
+    'theme.heading': 'پوسته',
+    'theme.hint': 'در حساب شما ذخیره می‌شود و در هر دستگاهی همراهتان است.',
+    'theme.yourColours': 'رنگ‌های شما',
+    'school.logoTooBig': 'لوگو باید تصویری کمتر از {size} باشد.',
+    'school.logoUnreadable': 'این تصویر خوانده نشد.',
+    'school.branding': 'نشان مدرسه',
+    'school.brandingHint': 'پوستهٔ پیش‌فرض برای همه. هر کس همچنان می‌تواند در «ظاهر» پوستهٔ دیگری برگزیند.',
+    'school.logoAlt': 'لوگوی مدرسه',
+    'school.namePlaceholder': 'نام مدرسه (به‌جای Myth OS نمایش داده می‌شود)',
+    'school.logo': 'لوگو',
+    'school.removeLogo': 'حذف لوگو',
+    'school.brandingSaved': 'نشان مدرسه ذخیره شد.',
+    'school.saveBranding': 'ذخیرهٔ نشان',
+    'school.originalColours': 'رنگ‌های اصلی',
+    'school.banner': 'نوار اعلان',
+    'school.showBanner': 'نمایش نوار به همه',
+    'school.bannerPlaceholder': 'پیام نوار...',
+    'school.bannerSaved': 'نوار ذخیره شد.',
+    'school.saveBanner': 'ذخیرهٔ نوار'
+  },
+  ar: {
+    'theme.choice.school': 'المدرسة',
+    'theme.choice.schoolDesc': 'ألوان مدرستك',
+    'theme.choice.system': 'مطابقة جهازي',
+    'theme.choice.systemDesc': 'فاتح أو داكن حسب إعداد النظام',
+    'theme.choice.dark': 'داكن',
+    'theme.choice.darkDesc': 'البنفسجي الكلاسيكي',
+    'theme.choice.light': 'فاتح',
+    'theme.choice.lightDesc': 'نص داكن على خلفية فاتحة',
+    'theme.choice.contrast': 'تباين عالٍ',
+    'theme.choice.contrastDesc': 'أسود وأبيض وأصفر؛ حواف واضحة',
+    'theme.choice.custom': 'مخصص',
+    'theme.choice.customDesc': 'ألوانك الخاصة',
+    'theme.bg.purple': 'بنفسجي',
+    'theme.bg.blue': 'أزرق',
+    'theme.bg.green': 'أخضر',
+    'theme.bg.orange': 'برتقالي',
+    'theme.bg.dark': 'داكن',
+    'theme.bg.royal': 'ملكي',
+    'theme.bg.lavender': 'خزامى',
+    'theme.bg.sky': 'سماوي',
+    'theme.bg.paper': 'ورقي',
+    'theme.mode': 'الوضع',
+    'theme.accent': 'اللون المميز',
+    'theme.accent2': 'اللون المميز الثاني',
+    'theme.background': 'الخلفية',
+    'theme.backgroundN': 'لون الخلفية {n}',
+    'theme.heading': 'السمة',
+    'theme.hint': 'يُحفظ في حسابك فيرافقك على أي جهاز.',
+    'theme.yourColours': 'ألوانك',
+    'school.logoTooBig': 'يجب أن يكون الشعار صورة أصغر من {size}.',
+    'school.logoUnreadable': 'تعذّرت قراءة هذه الصورة.',
+    'school.branding': 'هوية المدرسة',
+    'school.brandingHint': 'السمة الافتراضية للجميع. يمكن لكل شخص اختيار سمة أخرى من المظهر.',
+    'school.logoAlt': 'شعار المدرسة',
+    'school.namePlaceholder': 'اسم المدرسة (يظهر بدلًا من Myth OS)',
+    'school.logo': 'الشعار',
+    'school.removeLogo': 'إزالة الشعار',
+    'school.brandingSaved': 'حُفظت الهوية.',
+    'school.saveBranding': 'حفظ الهوية',
+    'school.originalColours': 'الألوان الأصلية',
+    'school.banner': 'الشريط',
+    'school.showBanner': 'إظهار الشريط للجميع',
+    'school.bannerPlaceholder': 'رسالة الشريط...',
+    'school.bannerSaved': 'حُفظ الشريط.',
+    'school.saveBanner': 'حفظ الشريط'
+  }
+});
+
+const PALETTES = {
+  dark: { scheme: 'dark', accent: '#a855f7', accent2: '#ec4899', background: ['#312e81', '#581c87', '#831843'] },
+  light: { scheme: 'light', accent: '#7c3aed', accent2: '#db2777', background: ['#eef2ff', '#f5f3ff', '#fdf2f8'] },
+  contrast: { scheme: 'contrast', accent: '#ffd400', accent2: '#ffd400', background: ['#000000', '#000000', '#000000'] }
+};
+const DEFAULT_BRANDING = { name: '', logo: '', ...PALETTES.dark };
+
+// names are theme.choice.* messages
+const THEME_CHOICES = ['school', 'system', 'dark', 'light', 'contrast', 'custom'];
+
+// Background presets; the dark ones are the old six backgrounds. Names are theme.bg.* messages.
+const BACKGROUND_PRESETS = [
+  ['purple', 'dark', ['#312e81', '#581c87', '#831843']],
+  ['blue', 'dark', ['#1e3a8a', '#164e63', '#134e4a']],
+  ['green', 'dark', ['#14532d', '#064e3b', '#134e4a']],
+  ['orange', 'dark', ['#7c2d12', '#7f1d1d', '#831843']],
+  ['dark', 'dark', ['#111827', '#0f172a', '#000000']],
+  ['royal', 'dark', ['#4c1d95', '#581c87', '#312e81']],
+  ['lavender', 'light', ['#eef2ff', '#f5f3ff', '#fdf2f8']],
+  ['sky', 'light', ['#f0f9ff', '#ecfeff', '#f0fdfa']],
+  ['paper', 'light', ['#fafaf9', '#f5f5f4', '#fafaf9']]
+];
+
+const DEFAULT_PREFS = { theme: 'school', custom: PALETTES.dark, locale: null, motion: 'system' };
+const themeKey = (u) => `mythos_theme_${u?.id || 'guest'}`;
+
+// The palette for a theme choice; "system" keeps the school's accents in the device's scheme
+const resolveTheme = (choice, branding, custom, systemDark) => {
+  const school = { ...DEFAULT_BRANDING, ...branding };
+  if (choice === 'system') {
+    const scheme = systemDark ? 'dark' : 'light';
+    return scheme === school.scheme ? school : { ...school, scheme, background: PALETTES[scheme].background };
+  }
+  if (choice === 'custom' && custom) return custom;
+  return PALETTES[choice] || school;
+};
+
+// Tailwind utilities → token, per scheme. Dark keeps Tailwind's own colours apart from the accents.
+const SCHEME_RULES = {
+  light: [
+    [['text-white', 'hover:text-white'], 'color:#1e1b2e'],
+    [['text-white/90', 'text-white/80'], 'color:rgb(30 27 46 / .85)'],
+    [['text-white/70', 'text-white/60'], 'color:rgb(30 27 46 / .72)'],
+    [['text-white/50', 'text-white/40'], 'color:rgb(30 27 46 / .6)'],
+    [['placeholder-gray-400'], 'color:rgb(30 27 46 / .5)'],
+    [['bg-white/10', 'bg-white/15', 'bg-black/20', 'bg-black/30'], 'background-color:rgb(255 255 255 / .72)'],
+    [['bg-white/5'], 'background-color:rgb(255 255 255 / .5)'],
+    [['bg-white/20', 'hover:bg-white/20', 'hover:bg-white/15', 'hover:bg-white/10'], 'background-color:rgb(30 27 75 / .08)'],
+    [['bg-gray-800', 'bg-gray-900/95'], 'background-color:#ffffff;color:#1e1b2e'],
+    [['border-white/10', 'border-white/20', 'border-white/5'], 'border-color:rgb(30 27 75 / .15)'],
+    [['text-green-100', 'text-green-200', 'text-green-300', 'text-green-400'], 'color:#15803d'],
+    [['text-red-100', 'text-red-200', 'text-red-300', 'text-red-400', 'text-red-200/90'], 'color:#b91c1c'],
+    [['text-yellow-100', 'text-yellow-200', 'text-yellow-300', 'text-yellow-400', 'text-yellow-100/80', 'text-yellow-200/80', 'text-yellow-300/80'], 'color:#854d0e'],
+    [['text-sky-200', 'text-sky-300', 'text-blue-400', 'text-indigo-200'], 'color:#0369a1'],
+    [['text-orange-200', 'text-orange-300', 'text-orange-400', 'text-pink-200', 'text-pink-400'], 'color:#c2410c']
+  ],
+  contrast: [
+    [['text-white/90', 'text-white/80', 'text-white/70', 'text-white/60', 'text-white/50', 'text-white/40'], 'color:#ffffff'],
+    [['placeholder-gray-400'], 'color:#d4d4d4'],
+    [['bg-white/5', 'bg-white/10', 'bg-white/15', 'bg-white/20', 'bg-black/20', 'bg-black/30', 'bg-gray-800', 'bg-gray-900/95'], 'background-color:#000000'],
+    [['hover:bg-white/20', 'hover:bg-white/15', 'hover:bg-white/10'], 'background-color:#262626'],
+    [['border-white/10', 'border-white/20', 'border-white/5'], 'border-color:#ffffff'],
+    [['text-green-100', 'text-green-200', 'text-green-300', 'text-green-400'], 'color:#4ade80'],
+    [['text-red-100', 'text-red-200', 'text-red-300', 'text-red-400', 'text-red-200/90'], 'color:#fca5a5'],
+    [['text-yellow-100', 'text-yellow-200', 'text-yellow-300', 'text-yellow-100/80', 'text-yellow-200/80', 'text-yellow-300/80'], 'color:#fde047']
+  ]
+};
+
+const utilitySelector = (c) => {
+  const [, variant, name] = c.match(/^(?:(hover|focus):)?(.*)$/);
+  const cls = `.${c.replace(/[/:.]/g, m => `\\${m}`)}`;
+  return variant ? `${cls}:${variant}` : name.startsWith('placeholder-') ? `${cls}::placeholder` : cls;
+};
+
+const themeCss = (t) => {
+  const onAccent = t.scheme === 'contrast' ? '#000000' : '#ffffff';
+  const accentText = t.scheme === 'light' ? t.accent : `color-mix(in srgb, ${t.accent} 45%, #ffffff)`;
+  const css = [
+    `:root{--m-accent:${t.accent};--m-accent-2:${t.accent2};--m-on-accent:${onAccent};--m-accent-text:${accentText};color-scheme:${t.scheme === 'light' ? 'light' : 'dark'}}`,
+    `html .mythos-bg{--tw-gradient-stops:${t.background.join(',')}}`,
+    `html .from-purple-500{--tw-gradient-from:var(--m-accent) var(--tw-gradient-from-position,);--tw-gradient-to:transparent var(--tw-gradient-to-position,);--tw-gradient-stops:var(--tw-gradient-from),var(--tw-gradient-to)}`,
+    `html .to-pink-500{--tw-gradient-to:var(--m-accent-2) var(--tw-gradient-to-position,)}`,
+    `html .bg-purple-500{background-color:var(--m-accent)}`,
+    `html .focus\\:ring-purple-500:focus{--tw-ring-color:var(--m-accent)}`,
+    `html .accent-purple-500{accent-color:var(--m-accent)}`,
+    `html .text-purple-100,html .text-purple-200,html .text-purple-200\\/80,html .text-purple-300,html .text-purple-400{color:var(--m-accent-text)}`
+  ];
+  for (const [classes, decl] of SCHEME_RULES[t.scheme] || []) css.push(`${classes.map(c => `html ${utilitySelector(c)}`).join(',')}{${decl}}`);
+  // white text on solid accent colours and the logo tile stays readable in every scheme
+  css.push(`html :is([class*="from-purple-500"],.bg-purple-500,.bg-red-500,.bg-green-500,.bg-pink-500).text-white,html :is([class*="from-purple-500"],[class*="from-yellow-400"]) .text-white{color:var(--m-on-accent)}`);
+  if (t.scheme === 'contrast') css.push('html :focus-visible{outline:3px solid #ffd400;outline-offset:2px}', 'html .backdrop-blur-lg,html .backdrop-blur-xl{backdrop-filter:none}');
+  return css.join('\n');
+};
+
+// One <style> in <head> for the whole page, so dialogs and toasts follow the theme too
+const applyTheme = (t) => {
+  let el = document.getElementById('mythos-theme');
+  if (!el) {
+    el = document.createElement('style');
+    el.id = 'mythos-theme';
+    document.head.appendChild(el);
+  }
+  el.textContent = themeCss(t);
+  document.documentElement.dataset.theme = t.scheme;
+};
+
+function ThemeSwatch({ palette, className = '' }) {
+  return (
+    <div className={`h-12 rounded-lg border border-white/20 flex items-end gap-1 p-1.5 ${className}`} style={{ backgroundImage: `linear-gradient(to bottom right, ${palette.background.join(',')})` }}>
+      <span className="w-4 h-4 rounded-full" style={{ background: palette.accent }} />
+      <span className="w-4 h-4 rounded-full" style={{ background: palette.accent2 }} />
+      <span className="ms-auto text-[10px] px-1 rounded" style={{ background: palette.scheme === 'light' ? '#ffffffcc' : '#00000066', color: palette.scheme === 'light' ? '#1e1b2e' : '#ffffff' }}>Aa</span>
+    </div>
+  );
+}
+
+// Scheme, accents and background; shared by the school branding and a user's custom theme
+function PaletteEditor({ value, onChange }) {
+  const set = (patch) => onChange({ ...value, ...patch });
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white outline-none focus:ring-2 focus:ring-purple-500";
+  return (
+    <div className="space-y-3">
+      <div className="flex flex-wrap items-center gap-4 text-white/80 text-sm">
+        <label className="flex items-center gap-2">{tr('theme.mode')}
+          <select value={value.scheme} onChange={e => set({ scheme: e.target.value })} className={small}>
+            <option value="dark" className="bg-gray-800">{tr('theme.choice.dark')}</option>
+            <option value="light" className="bg-gray-800">{tr('theme.choice.light')}</option>
+          </select>
+        </label>
+        <label className="flex items-center gap-2">{tr('theme.accent')} <input type="color" value={value.accent} onChange={e => set({ accent: e.target.value })} className="w-10 h-8 rounded bg-transparent" /></label>
+        <label className="flex items-center gap-2">{tr('theme.accent2')} <input type="color" value={value.accent2} onChange={e => set({ accent2: e.target.value })} className="w-10 h-8 rounded bg-transparent" /></label>
+        <span className="flex items-center gap-2">{tr('theme.background')}
+          {value.background.map((c, i) => (
+            <input key={i} type="color" value={c} aria-label={tr('theme.backgroundN', { n: fmtNumber(i + 1) })} onChange={e => set({ background: value.background.map((x, j) => j === i ? e.target.value : x) })} className="w-10 h-8 rounded bg-transparent" />
+          ))}
+        </span>
+      </div>
+      <div className="grid grid-cols-3 md:grid-cols-5 gap-2">
+        {BACKGROUND_PRESETS.map(([id, scheme, background]) => (
+          <button key={id} onClick={() => set({ scheme, background })} className={`p-1 rounded-xl border-2 ${value.background.join() === background.join() ? 'border-yellow-400' : 'border-transparent'}`}>
+            <ThemeSwatch palette={{ ...value, scheme, background }} />
+            <p className="text-white/80 text-xs mt-1">{tr(`theme.bg.${id}`)}</p>
+          </button>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+const readImage = (file) => new Promise((resolve, reject) => {
+  const r = new FileReader();
+  r.onload = () => resolve(r.result);
+  r.onerror = () => reject(r.error);
+  r.readAsDataURL(file);
+});
+
+const MAX_LOGO_BYTES = 150_000;
+
+// Admin: school branding (everyone's default theme) and the banner
+function SchoolSettings({ org, onSaved, pushToast }) {
+  const [branding, setBranding] = useState(() => ({ ...DEFAULT_BRANDING, ...org?.branding }));
+  const [banner, setBanner] = useState(() => ({ text: '', show: false, ...org?.banner }));
+  const [busy, setBusy] = useState(false);
+
+  const save = async (body, msg) => {
+    setBusy(true);
+    try {
+      onSaved(await api('/api/org', { method: 'PUT', body }));
+      pushToast(msg, 'success');
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const pickLogo = async (file) => {
+    if (!file) return;
+    if (!file.type.startsWith('image/') || file.size > MAX_LOGO_BYTES) { pushToast(tr('school.logoTooBig', { size: fmtBytes(MAX_LOGO_BYTES) }), 'error'); return; }
+    setBranding(b => ({ ...b, logo: '' }));
+    try { const logo = await readImage(file); setBranding(b => ({ ...b, logo })); }
+    catch { pushToast(tr('school.logoUnreadable'), 'error'); }
+  };
+
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  const btn = "flex items-center gap-2 px-3 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm disabled:opacity-50";
+  const primary = "flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white text-sm font-semibold disabled:opacity-60";
+
+  return (
+    <>
+      <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10 space-y-4">
+        <div>
+          <h3 className="text-white font-semibold text-xl mb-1">🎨 {tr('school.branding')}</h3>
+          <p className="text-white/60 text-sm">{tr('school.brandingHint')}</p>
+        </div>
+        <div className="flex flex-wrap items-center gap-3">
+          <div className="w-14 h-14 rounded-xl bg-white/10 border border-white/20 flex items-center justify-center overflow-hidden">
+            {branding.logo ? <img src={branding.logo} alt={tr('school.logoAlt')} className="w-full h-full object-contain" /> : <Brain size={28} className="text-white/60" />}
+          </div>
+          <input value={branding.name} onChange={e => setBranding(b => ({ ...b, name: e.target.value }))} placeholder={tr('school.namePlaceholder')} aria-label={tr('school.namePlaceholder')} className={`flex-1 min-w-[12rem] ${small}`} />
+          <label className={`${btn} cursor-pointer`}>
+            <Upload size={16} /> {tr('school.logo')}
+            <input type="file" accept="image/png,image/jpeg,image/webp,image/gif,image/svg+xml" className="hidden" onChange={e => { pickLogo(e.target.files[0]); e.target.value = ''; }} />
+          </label>
+          {branding.logo && <button onClick={() => setBranding(b => ({ ...b, logo: '' }))} className={btn}><X size={16} /> {tr('school.removeLogo')}</button>}
+        </div>
+        <PaletteEditor value={branding} onChange={setBranding} />
+        <div className="flex gap-2">
+          <button onClick={() => save({ branding }, tr('school.brandingSaved'))} disabled={busy} className={primary}><Save size={16} /> {tr('school.saveBranding')}</button>
+          <button onClick={() => setBranding(b => ({ ...b, ...PALETTES.dark }))} className={btn}><RotateCcw size={16} /> {tr('school.originalColours')}</button>
+        </div>
+      </div>
+
+      <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+        <h3 className="text-white font-semibold text-xl mb-4">📢 {tr('school.banner')}</h3>
+        <div className="space-y-4">
+          <label className="flex items-center gap-3 text-white">
+            <input type="checkbox" checked={banner.show} onChange={e => setBanner(b => ({ ...b, show: e.target.checked }))} className="w-5 h-5" />
+            {tr('school.showBanner')}
+          </label>
+          <textarea
+            value={banner.text}
+            onChange={e => setBanner(b => ({ ...b, text: e.target.value }))}
+            placeholder={tr('school.bannerPlaceholder')}
+            aria-label={tr('school.banner')}
+            maxLength={300}
+            className="w-full p-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 resize-none"
+            rows={2}
+          />
+          <button onClick={() => save({ banner }, tr('school.bannerSaved'))} disabled={busy} className={primary}><Save size={16} /> {tr('school.saveBanner')}</button>
+        </div>
+      </div>
+    </>
+  );
+}
+
+/* ----------------------------------------------------------------------------
+   Safety (moderation.mjs). Students' chats are screened on the server; what
+   the screen catches lands in a review queue that teachers see for their
+   classes and admins see for the whole school. Flags keep the redacted text.
+---------------------------------------------------------------------------- */
+addMessages({
+  en: {
+    'safety.status.open': 'Open',
+    'safety.status.escalated': 'Escalated',
+    'safety.status.reviewed': 'Reviewed',
+    'safety.status.dismissed': 'Dismissed',
+    'safety.withCount': '{name} ({n})',
+    'safety.severity.high': 'High',
+    'safety.severity.low': 'Low',
+    'safety.introAdmin': 'Everything the safety screen caught across the school. Personal details were removed before anything was saved.',
+    'safety.introTeacher': 'What the safety screen caught from students in your classes. Escalate anything the admins should handle.',
+    'safety.empty.open': 'Nothing waiting for review.',
+    'safety.empty.escalated': 'No escalated flags.',
+    'safety.empty.reviewed': 'No reviewed flags.',
+    'safety.empty.dismissed': 'No dismissed flags.',
+    'safety.inReply': 'In the tutor’s reply',
+    'safety.inMessage': 'In the student’s message',
+    'safety.blocked': 'blocked',
+    'safety.allowed': 'allowed',
+    'safety.matched': 'Matched: {list}',
+    'safety.reply': 'Tutor’s reply',
+    'safety.by': '{status} by {name}',
+    'safety.noteAdded': 'Note added.',
+    'safety.notePlaceholder': 'Add a note (what you did, who you told)',
+    'safety.noteLabel': 'Note on the flag for {name}',
+    'safety.note': 'Note',
+    'safety.markedReviewed': 'Marked as reviewed.',
+    'safety.dismissedToast': 'Flag dismissed.',
+    'safety.escalatedToast': 'Flag escalated.',
+    'safety.escalatedTold': 'Flag escalated; the admins were told.',
+    'safety.reopened': 'Flag reopened.',
+    'safety.markReviewed': 'Reviewed',
+    'safety.dismiss': 'Dismiss',
+    'safety.escalate': 'Escalate',
+    'safety.reopen': 'Reopen',
+    'safety.level.low': 'Low and high',
+    'safety.level.high': 'High only',
+    'safety.level.never': 'Never',
+    'safety.redact.email': 'Email addresses',
+    'safety.redact.phone': 'Phone numbers',
+    'safety.redact.address': 'Street addresses',
+    'safety.saved': 'Safety settings saved.',
+    'safety.settings': 'Student Safety',
+    'safety.settingsHint': 'Tutor chats from the roles below are screened. Personal details are removed before the AI sees a message, and what the screen catches goes to the Safety tab.',
+    'safety.screenChats': 'Screen tutor chats',
+    'safety.screenRoles': 'Screen these roles',
+    'safety.redactHeading': 'Remove before the AI sees them',
+    'safety.classifier': 'Classifier (on top of the built-in word lists)',
+    'safety.classifierNone': 'None — word lists only',
+    'safety.classifierOpenai': 'OpenAI moderation',
+    'safety.noServerKey': '{name} (no key on the server)',
+    'safety.classifierWebhook': 'School webhook',
+    'safety.noWebhook': '{name} (MYTHOS_MODERATION_URL not set)',
+    'safety.escalateAfter': 'Escalate open high flags to admins after (hours; empty: never)',
+    'safety.blockAt': 'Block and answer with a safe reply at',
+    'safety.notifyAt': 'Notify at',
+    'safety.whoNotified': 'Who is notified',
+    'safety.notify.teachers': 'Class teachers',
+    'safety.notify.admins': 'Admins',
+    'safety.notify.both': 'Teachers and admins',
+    'safety.watchTerms': 'Watch terms — flagged, still answered (one per line)',
+    'safety.blockTerms': 'Block terms — flagged as high (one per line)',
+    'safety.saveSettings': 'Save safety settings'
+  },
+  fa: {
+    'safety.status.open': 'باز',
+    'safety.status.escalated': 'ارجاع‌شده',
+    'safety.status.reviewed': 'بررسی‌شده',
+    'safety.status.dismissed': 'ردشده',
+    'safety.withCount': '{name} ({n})',
+    'safety.severity.high': 'بالا',
+    'safety.severity.low': 'پایین',
+    'safety.introAdmin': 'هر آنچه غربال ایمنی در کل مدرسه گرفته است. اطلاعات شخصی پیش از ذخیره حذف شده‌اند.',
+    'safety.introTeacher': 'آنچه غربال ایمنی از دانش‌آموزان کلاس‌های شما گرفته است. هر چه را مدیران باید رسیدگی کنند ارجاع دهید.',
+    'safety.empty.open': 'چیزی در انتظار بررسی نیست.',
+    'safety.empty.escalated': 'علامت ارجاع‌شده‌ای نیست.',
+    'safety.empty.reviewed': 'علامت بررسی‌شده‌ای نیست.',
+    'safety.empty.dismissed': 'علامت ردشده‌ای نیست.',
+    'safety.inReply': 'در پاسخ معلم',
+    'safety.inMessage': 'در پیام دانش‌آموز',
+    'safety.blocked': 'مسدود شد',
+    'safety.allowed': 'مجاز شد',
+    'safety.matched': 'منطبق: {list}',
+    'safety.reply': 'پاسخ معلم',
+    'safety.by': '{status} توسط {name}',
+    'safety.noteAdded': 'یادداشت افزوده شد.',
+    'safety.notePlaceholder': 'یادداشتی بیفزایید (چه کردید، به چه کسی گفتید)',
+    'safety.noteLabel': 'یادداشت برای علامت {name}',
+    'safety.note': 'یادداشت',
+    'safety.markedReviewed': 'بررسی‌شده علامت خورد.',
+    'safety.dismissedToast': 'علامت رد شد.',
+    'safety.escalatedToast': 'علامت ارجاع شد.',
+    'safety.escalatedTold': 'علامت ارجاع شد؛ به مدیران خبر داده شد.',
+    'safety.reopened': 'علامت دوباره باز شد.',
+    'safety.markReviewed': 'بررسی شد',
+    'safety.dismiss': 'رد کردن',
+    'safety.escalate': 'ارجاع',
+    'safety.reopen': 'بازگشایی',
+    'safety.level.low': 'پایین و بالا',
+    'safety.level.high': 'فقط بالا',
+    'safety.level.never': 'هرگز',
+    'safety.redact.email': 'نشانی‌های ایمیل',
+    'safety.redact.phone': 'شماره‌های تلفن',
+    'safety.redact.address': 'نشانی‌های خیابان',
+    'safety.saved': 'تنظیمات ایمنی ذخیره شد.',
+    'safety.settings': 'ایمنی دانش‌آموزان',
+    'safety.settingsHint': 'گفت‌وگوهای نقش‌های زیر با معلم غربال می‌شوند. اطلاعات شخصی پیش از آنکه هوش مصنوعی پیام را ببیند حذف می‌شود و آنچه غربال بگیرد به زبانهٔ ایمنی می‌رود.',
+    'safety.screenChats': 'غربال گفت‌وگوهای معلم',
+    'safety.screenRoles': 'این نقش‌ها را غربال کن',
+    'safety.redactHeading': 'حذف پیش از آنکه هوش مصنوعی ببیند',
+    'safety.classifier': 'دسته‌بند (افزون بر فهرست‌های واژهٔ داخلی)',
+    'safety.classifierNone': 'هیچ — فقط فهرست واژه‌ها',
+    'safety.classifierOpenai': 'ناظر OpenAI',
+    'safety.noServerKey': '{name} (کلیدی روی سرور نیست)',
+    'safety.classifierWebhook': 'وب‌هوک مدرسه',
+    'safety.noWebhook': '{name} (MYTHOS_MODERATION_URL تنظیم نشده)',
+    'safety.escalateAfter': 'ارجاع علامت‌های باز با شدت بالا به مدیران پس از (ساعت؛ خالی: هرگز)',
+    'safety.blockAt': 'مسدود کردن و پاسخ ایمن در سطح',
+    'safety.notifyAt': 'اطلاع‌رسانی در سطح',
+    'safety.whoNotified': 'چه کسی آگاه می‌شود',
+    'safety.notify.teachers': 'معلمان کلاس',
+    'safety.notify.admins': 'مدیران',
+    'safety.notify.both': 'معلمان و مدیران',
+    'safety.watchTerms': 'واژه‌های زیر نظر — علامت می‌خورند و همچنان پاسخ داده می‌شوند (هر سطر یکی)',
+    'safety.blockTerms': 'واژه‌های مسدود — با شدت بالا علامت می‌خورند (هر سطر یکی)',
+    'safety.saveSettings': 'ذخیرهٔ تنظیمات ایمنی'
+  },
+  ar: {
+    'safety.status.open': 'مفتوح',
+    'safety.status.escalated': 'مُصعَّد',
+    'safety.status.reviewed': 'تمت مراجعته',
+    'safety.status.dismissed': 'مرفوض',
+    'safety.withCount': '{name} ({n})',
+    'safety.severity.high': 'مرتفع',
+    'safety.severity.low': 'منخفض',
+    'safety.introAdmin': 'كل ما التقطه فحص الأمان في المدرسة كلها. أُزيلت البيانات الشخصية قبل حفظ أي شيء.',
+    'safety.introTeacher': 'ما التقطه فحص الأمان من طلاب صفوفك. صعّد ما يجب أن يتولاه المشرفون.',
+    'safety.empty.open': 'لا شيء بانتظار المراجعة.',
+    'safety.empty.escalated': 'لا علامات مُصعَّدة.',
+    'safety.empty.reviewed': 'لا علامات تمت مراجعتها.',
+    'safety.empty.dismissed': 'لا علامات مرفوضة.',
+    'safety.inReply': 'في رد المعلم',
+    'safety.inMessage': 'في رسالة الطالب',
+    'safety.blocked': 'حُظر',
+    'safety.allowed': 'سُمح به',
+    'safety.matched': 'مطابق: {list}',
+    'safety.reply': 'رد المعلم',
+    'safety.by': '{status} بواسطة {name}',
+    'safety.noteAdded': 'أُضيفت الملاحظة.',
+    'safety.notePlaceholder': 'أضف ملاحظة (ماذا فعلت، ومن أخبرت)',
+    'safety.noteLabel': 'ملاحظة على علامة {name}',
+    'safety.note': 'ملاحظة',
+    'safety.markedReviewed': 'عُلّمت كمراجَعة.',
+    'safety.dismissedToast': 'رُفضت العلامة.',
+    'safety.escalatedToast': 'صُعّدت العلامة.',
+    'safety.escalatedTold': 'صُعّدت العلامة؛ وأُبلغ المشرفون.',
+    'safety.reopened': 'أُعيد فتح العلامة.',
+    'safety.markReviewed': 'تمت المراجعة',
+    'safety.dismiss': 'رفض',
+    'safety.escalate': 'تصعيد',
+    'safety.reopen': 'إعادة فتح',
+    'safety.level.low': 'منخفض ومرتفع',
+    'safety.level.high': 'المرتفع فقط',
+    'safety.level.never': 'أبدًا',
+    'safety.redact.email': 'عناوين البريد الإلكتروني',
+    'safety.redact.phone': 'أرقام الهواتف',
+    'safety.redact.address': 'عناوين الشوارع',
+    'safety.saved': 'حُفظت إعدادات الأمان.',
+    'safety.settings': 'سلامة الطلاب',
+    'safety.settingsHint': 'تُفحص محادثات المعلم للأدوار أدناه. تُزال البيانات الشخصية قبل أن يرى الذكاء الاصطناعي الرسالة، وما يلتقطه الفحص يذهب إلى تبويب الأمان.',
+    'safety.screenChats': 'فحص محادثات المعلم',
+    'safety.screenRoles': 'فحص هذه الأدوار',
+    'safety.redactHeading': 'إزالة قبل أن يراها الذكاء الاصطناعي',
+    'safety.classifier': 'المصنِّف (إضافة إلى قوائم الكلمات المدمجة)',
+    'safety.classifierNone': 'لا شيء — قوائم الكلمات فقط',
+    'safety.classifierOpenai': 'إشراف OpenAI',
+    'safety.noServerKey': '{name} (لا مفتاح على الخادم)',
+    'safety.classifierWebhook': 'Webhook المدرسة',
+    'safety.noWebhook': '{name} (لم يُضبط MYTHOS_MODERATION_URL)',
+    'safety.escalateAfter': 'تصعيد العلامات المرتفعة المفتوحة إلى المشرفين بعد (ساعات؛ فارغ: أبدًا)',
+    'safety.blockAt': 'الحظر والرد برد آمن عند',
+    'safety.notifyAt': 'الإشعار عند',
+    'safety.whoNotified': 'من يُشعَر',
+    'safety.notify.teachers': 'معلمو الصف',
+    'safety.notify.admins': 'المشرفون',
+    'safety.notify.both': 'المعلمون والمشرفون',
+    'safety.watchTerms': 'مصطلحات المراقبة — تُعلَّم ويُجاب عنها (واحد في كل سطر)',
+    'safety.blockTerms': 'مصطلحات الحظر — تُعلَّم كمرتفعة (واحد في كل سطر)',
+    'safety.saveSettings': 'حفظ إعدادات الأمان'
+  }
+});
+
+// names are safety.status.* messages
+const FLAG_STATUSES = ['open', 'escalated', 'reviewed', 'dismissed'];
+const SEVERITY_STYLE = { high: 'bg-red-500/30 text-red-100 border-red-400/40', low: 'bg-yellow-500/20 text-yellow-100 border-yellow-400/30' };
+
+// Teachers and admins: the review queue, narrowed by the class picked in the header
+function SafetyTab({ user, classId, classes, pushToast }) {
+  const [status, setStatus] = useState('open');
+  const [data, setData] = useState(null);          // { flags, counts }
+  const [notes, setNotes] = useState({});          // flag id → note being written
+  const [busy, setBusy] = useState(null);          // id of the flag being saved
+
+  const load = () => api(`/api/moderation/flags?status=${status}${classId ? `&classId=${classId}` : ''}`)
+    .then(setData)
+    .catch(e => pushToast(errorText(e), 'error'));
+  useEffect(() => { load(); }, [status, classId]);
+
+  const update = async (f, body, msg) => {
+    setBusy(f.id);
+    try {
+      await api(`/api/moderation/flags/${f.id}`, { method: 'PATCH', body });
+      if (body.note) setNotes(n => ({ ...n, [f.id]: '' }));
+      await load();
+      pushToast(msg, 'success');
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    } finally {
+      setBusy(null);
+    }
+  };
+
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  const btn = "flex items-center gap-2 px-3 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm disabled:opacity-50";
+
+  return (
+    <div className="p-6 overflow-y-auto h-full">
+      <div className="max-w-5xl mx-auto space-y-6">
+        <div className="flex flex-wrap items-center gap-3">
+          <h2 className="text-3xl font-bold text-white flex-1 flex items-center gap-3">
+            <Shield className="text-green-400" size={28} />
+            {tr('tab.safety')}
+            {classId && <span className="text-lg font-normal text-purple-200">{classes.find(c => c.id === classId)?.name}</span>}
+          </h2>
+          {FLAG_STATUSES.map(s => (
+            <button key={s} onClick={() => setStatus(s)} aria-pressed={status === s} className={`px-3 py-2 rounded-xl text-sm ${status === s ? 'bg-purple-500 text-white' : 'bg-white/10 text-white/80 hover:bg-white/20'}`}>
+              {data ? tr('safety.withCount', { name: tr(`safety.status.${s}`), n: fmtNumber(data.counts[s]) }) : tr(`safety.status.${s}`)}
+            </button>
+          ))}
+        </div>
+        <p className="text-white/60 text-sm">
+          {user.role === 'admin'
+            ? tr('safety.introAdmin')
+            : tr('safety.introTeacher')}
+        </p>
+
+        {!data ? (
+          <div className="flex justify-center py-16"><Loader2 className="animate-spin text-purple-300" size={32} /></div>
+        ) : !data.flags.length ? (
+          <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10 text-center">
+            <CheckCircle className="mx-auto mb-4 text-green-400" size={56} />
+            <p className="text-white/70">{tr(`safety.empty.${status}`)}</p>
+          </div>
+        ) : data.flags.map(f => (
+          <div key={f.id} className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10 space-y-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <span className={`px-2 py-0.5 rounded-lg text-xs border uppercase ${SEVERITY_STYLE[f.severity]}`}>{tr(`safety.severity.${f.severity}`)}</span>
+              <h3 className="text-white font-semibold">{personName(f.student)}</h3>
+              {f.classes.length > 0 && <span className="text-purple-300 text-sm">{f.classes.join(', ')}</span>}
+              <span className="flex-1" />
+              <span className="text-white/50 text-xs">{fmtDate(f.createdAt)}</span>
+            </div>
+            <div className="flex flex-wrap gap-1 text-xs">
+              {f.categories.map(c => <span key={c} className="px-2 py-0.5 rounded-lg bg-white/10 text-white/80 capitalize">{termName(c)}</span>)}
+              <span className="px-2 py-0.5 rounded-lg bg-white/5 text-white/60">
+                {f.source === 'reply' ? tr('safety.inReply') : tr('safety.inMessage')} · {f.action === 'blocked' ? tr('safety.blocked') : tr('safety.allowed')}{f.via.filter(v => v !== 'rules').map(v => ` · ${v}`).join('')}
+              </span>
+            </div>
+            {f.matches.length > 0 && <p className="text-white/60 text-sm">{tr('safety.matched', { list: new Intl.ListFormat(intlTag(), { type: 'unit' }).format(f.matches.map(m => `“${m}”`)) })}</p>}
+            <blockquote className="border-s-2 border-purple-400/60 ps-3 text-white/90 text-sm whitespace-pre-wrap break-words">{f.prompt}</blockquote>
+            {f.reply && (
+              <details className="text-sm">
+                <summary className="text-purple-300 cursor-pointer">{tr('safety.reply')}</summary>
+                <p className="mt-2 text-white/80 whitespace-pre-wrap break-words">{f.reply}</p>
+              </details>
+            )}
+            {f.notes.length > 0 && (
+              <ul className="space-y-1 text-sm">
+                {f.notes.map((n, i) => <li key={i} className="text-white/80"><span className="text-purple-300">{n.name}</span> · <span className="text-white/50 text-xs">{fmtDate(n.at)}</span> — {n.text}</li>)}
+              </ul>
+            )}
+            {f.reviewer && <p className="text-white/50 text-xs">{tr('safety.by', { status: tr(`safety.status.${f.status}`), name: f.reviewer })} · {fmtDate(f.reviewedAt)}</p>}
+            <div className="flex flex-wrap items-center gap-2">
+              <input
+                value={notes[f.id] || ''}
+                onChange={e => setNotes(n => ({ ...n, [f.id]: e.target.value }))}
+                onKeyDown={e => { if (e.key === 'Enter' && notes[f.id]?.trim()) update(f, { note: notes[f.id] }, tr('safety.noteAdded')); }}
+                placeholder={tr('safety.notePlaceholder')}
+                aria-label={tr('safety.noteLabel', { name: personName(f.student) })}
+                maxLength={1000}
+                className={`flex-1 min-w-[12rem] text-sm ${small}`}
+              />
+              <button onClick={() => update(f, { note: notes[f.id] }, tr('safety.noteAdded'))} disabled={busy === f.id || !notes[f.id]?.trim()} className={btn}><MessageSquare size={16} /> {tr('safety.note')}</button>
+              {f.status === 'open' || f.status === 'escalated' ? (
+                <>
+                  <button onClick={() => update(f, { status: 'reviewed' }, tr('safety.markedReviewed'))} disabled={busy === f.id} className={btn}><Check size={16} /> {tr('safety.markReviewed')}</button>
+                  <button onClick={() => update(f, { status: 'dismissed' }, tr('safety.dismissedToast'))} disabled={busy === f.id} className={btn}><XCircle size={16} /> {tr('safety.dismiss')}</button>
+                  {f.status !== 'escalated' && <button onClick={() => update(f, { status: 'escalated' }, tr(user.role === 'admin' ? 'safety.escalatedToast' : 'safety.escalatedTold'))} disabled={busy === f.id} className={btn}><AlertTriangle size={16} /> {tr('safety.escalate')}</button>}
+                </>
+              ) : (
+                <button onClick={() => update(f, { status: 'open' }, tr('safety.reopened'))} disabled={busy === f.id} className={btn}><RotateCcw size={16} /> {tr('safety.reopen')}</button>
+              )}
+            </div>
+          </div>
+        ))}
+      </div>
+    </div>
+  );
+}
+
+// names are safety.level.* and safety.redact.* messages
+const LEVELS = ['low', 'high', 'never'];
+const REDACT_KINDS = ['email', 'phone', 'address'];
+const termsText = (list) => list.join('\n');
+const termsList = (text) => text.split('\n').map(t => t.trim()).filter(Boolean);
+
+// Admin: what is screened, what is blocked and who hears about it
+function ModerationSettings({ pushToast }) {
+  const [form, setForm] = useState(null);
+  const [classifiers, setClassifiers] = useState({});
+  const [busy, setBusy] = useState(false);
+
+  const fill = (s) => setForm({ ...s, escalateAfterHours: s.escalateAfterHours ?? '', watchTerms: termsText(s.watchTerms), blockTerms: termsText(s.blockTerms) });
+  useEffect(() => {
+    api('/api/moderation/settings')
+      .then(d => { fill(d.settings); setClassifiers(d.classifiers); })
+      .catch(e => pushToast(errorText(e), 'error'));
+  }, []);
+
+  const save = async () => {
+    setBusy(true);
+    try {
+      const { settings } = await api('/api/moderation/settings', {
+        method: 'PUT',
+        body: {
+          enabled: form.enabled, roles: form.roles, redact: form.redact, classifier: form.classifier,
+          blockAt: form.blockAt, notifyAt: form.notifyAt, notify: form.notify, escalateAfterHours: form.escalateAfterHours === '' ? null : Number(form.escalateAfterHours),
+          watchTerms: termsList(form.watchTerms), blockTerms: termsList(form.blockTerms)
+        }
+      });
+      fill(settings);
+      pushToast(tr('safety.saved'), 'success');
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    } finally {
+      setBusy(false);
+    }
+  };
+
+  const set = (k) => (e) => setForm(f => ({ ...f, [k]: e.target.value }));
+  const toggleRole = (r) => setForm(f => ({ ...f, roles: f.roles.includes(r) ? f.roles.filter(x => x !== r) : [...f.roles, r] }));
+
+  const small = "p-2 rounded-lg bg-white/10 border border-white/20 text-white placeholder-gray-400 outline-none focus:ring-2 focus:ring-purple-500";
+  const primary = "flex items-center gap-2 px-4 py-2 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white text-sm font-semibold disabled:opacity-60";
+  const chip = (on) => `px-2 py-1 rounded-lg text-xs border ${on ? 'bg-purple-500/40 border-purple-400/60 text-white' : 'bg-white/5 border-white/10 text-white/70 hover:bg-white/10'}`;
+
+  return (
+    <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10 space-y-4">
+      <div>
+        <h3 className="text-white font-semibold text-xl mb-1">🛡️ {tr('safety.settings')}</h3>
+        <p className="text-white/60 text-sm">{tr('safety.settingsHint')}</p>
+      </div>
+      {!form ? <Loader2 className="animate-spin text-purple-300" size={24} /> : (
+        <>
+          <label className="flex items-center gap-3 text-white">
+            <input type="checkbox" checked={form.enabled} onChange={e => setForm(f => ({ ...f, enabled: e.target.checked }))} className="w-5 h-5" />
+            {tr('safety.screenChats')}
+          </label>
+          <div className={`space-y-4 ${form.enabled ? '' : 'opacity-60'}`}>
+            <div>
+              <p className="text-white/70 text-sm mb-1">{tr('safety.screenRoles')}</p>
+              <div className="flex flex-wrap gap-1">
+                {AUDIENCE_ROLES.map(r => <button key={r} onClick={() => toggleRole(r)} aria-pressed={form.roles.includes(r)} className={chip(form.roles.includes(r))}>{audienceRoleName(r)}</button>)}
+              </div>
+            </div>
+            <div>
+              <p className="text-white/70 text-sm mb-1">{tr('safety.redactHeading')}</p>
+              <div className="flex flex-wrap gap-4">
+                {REDACT_KINDS.map(k => (
+                  <label key={k} className="flex items-center gap-2 text-white/90 text-sm">
+                    <input type="checkbox" checked={form.redact[k]} onChange={e => setForm(f => ({ ...f, redact: { ...f.redact, [k]: e.target.checked } }))} />
+                    {tr(`safety.redact.${k}`)}
+                  </label>
+                ))}
+              </div>
+            </div>
+            <div className="grid sm:grid-cols-2 gap-3">
+              <label className="text-white/70 text-sm space-y-1">
+                <span className="block">{tr('safety.classifier')}</span>
+                <select value={form.classifier} onChange={set('classifier')} className={`w-full ${small}`}>
+                  <option value="none" className="bg-gray-800">{tr('safety.classifierNone')}</option>
+                  <option value="openai" disabled={!classifiers.openai} className="bg-gray-800">{classifiers.openai ? tr('safety.classifierOpenai') : tr('safety.noServerKey', { name: tr('safety.classifierOpenai') })}</option>
+                  <option value="webhook" disabled={!classifiers.webhook} className="bg-gray-800">{classifiers.webhook ? tr('safety.classifierWebhook') : tr('safety.noWebhook', { name: tr('safety.classifierWebhook') })}</option>
+                </select>
+              </label>
+              <label className="text-white/70 text-sm space-y-1">
+                <span className="block">{tr('safety.escalateAfter')}</span>
+                <input type="number" min={1} max={720} value={form.escalateAfterHours} onChange={set('escalateAfterHours')} className={`w-full ${small}`} />
+              </label>
+              <label className="text-white/70 text-sm space-y-1">
+                <span className="block">{tr('safety.blockAt')}</span>
+                <select value={form.blockAt} onChange={set('blockAt')} className={`w-full ${small}`}>
+                  {LEVELS.map(v => <option key={v} value={v} className="bg-gray-800">{tr(`safety.level.${v}`)}</option>)}
+                </select>
+              </label>
+              <label className="text-white/70 text-sm space-y-1">
+                <span className="block">{tr('safety.notifyAt')}</span>
+                <div className="flex gap-2">
+                  <select value={form.notifyAt} onChange={set('notifyAt')} aria-label={tr('safety.notifyAt')} className={`flex-1 ${small}`}>
+                    {LEVELS.map(v => <option key={v} value={v} className="bg-gray-800">{tr(`safety.level.${v}`)}</option>)}
+                  </select>
+                  <select value={form.notify} onChange={set('notify')} aria-label={tr('safety.whoNotified')} className={`flex-1 ${small}`}>
+                    {['teachers', 'admins', 'both'].map(v => <option key={v} value={v} className="bg-gray-800">{tr(`safety.notify.${v}`)}</option>)}
+                  </select>
+                </div>
+              </label>
+            </div>
+            <div className="grid sm:grid-cols-2 gap-3">
+              <label className="text-white/70 text-sm space-y-1">
+                <span className="block">{tr('safety.watchTerms')}</span>
+                <textarea value={form.watchTerms} onChange={set('watchTerms')} rows={4} className={`w-full resize-none ${small}`} />
+              </label>
+              <label className="text-white/70 text-sm space-y-1">
+                <span className="block">{tr('safety.blockTerms')}</span>
+                <textarea value={form.blockTerms} onChange={set('blockTerms')} rows={4} className={`w-full resize-none ${small}`} />
+              </label>
+            </div>
+          </div>
+          <button onClick={save} disabled={busy} className={primary}><Save size={16} /> {tr('safety.saveSettings')}</button>
+        </>
+      )}
+    </div>
+  );
+}
+
+// Everyone: the theme, language and motion they see, saved to their profile
+function AppearanceTab({ prefs, branding, systemDark, deviceLocale, onChange }) {
+  const [custom, setCustom] = useState(() => prefs.custom);
+  useEffect(() => {
+    if (prefs.theme !== 'custom' || JSON.stringify(custom) === JSON.stringify(prefs.custom)) return;
+    const t = setTimeout(() => onChange({ custom }), 400);
+    return () => clearTimeout(t);
+  }, [custom]);
+
+  return (
+    <div className="p-6 overflow-y-auto h-full">
+      <div className="max-w-4xl mx-auto space-y-6">
+        <h2 className="text-3xl font-bold text-white mb-6">{tr('tab.appearance')}</h2>
+        <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+          <h3 className="text-white font-semibold text-xl mb-1">{tr('shell.language')}</h3>
+          <p className="text-white/60 text-sm mb-4">{tr('appearance.languageHint')}</p>
+          <select
+            value={prefs.locale || ''}
+            onChange={e => onChange({ locale: e.target.value || null })}
+            aria-label={tr('shell.language')}
+            className="p-2 rounded-lg bg-white/10 border border-white/20 text-white outline-none focus:ring-2 focus:ring-purple-500"
+          >
+            <option value="" className="bg-gray-800">{tr('appearance.deviceLanguage')} ({LOCALES[deviceLocale].name})</option>
+            {Object.entries(LOCALES).map(([k, l]) => <option key={k} value={k} className="bg-gray-800">{l.name}</option>)}
+          </select>
+        </div>
+        <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+          <h3 className="text-white font-semibold text-xl mb-1">{tr('appearance.motion')}</h3>
+          <p className="text-white/60 text-sm mb-4">{tr('appearance.motionHint')}</p>
+          <select
+            value={prefs.motion || 'system'}
+            onChange={e => onChange({ motion: e.target.value })}
+            aria-label={tr('appearance.motion')}
+            className="p-2 rounded-lg bg-white/10 border border-white/20 text-white outline-none focus:ring-2 focus:ring-purple-500"
+          >
+            <option value="system" className="bg-gray-800">{tr('appearance.motionSystem')}</option>
+            <option value="reduce" className="bg-gray-800">{tr('appearance.motionReduce')}</option>
+            <option value="full" className="bg-gray-800">{tr('appearance.motionFull')}</option>
+          </select>
+        </div>
+        <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+          <h3 className="text-white font-semibold text-xl mb-1">{tr('theme.heading')}</h3>
+          <p className="text-white/60 text-sm mb-4">{tr('theme.hint')}</p>
+          <div role="radiogroup" aria-label={tr('theme.heading')} onKeyDown={e => rovingKeys(e, '[role=radio]', true)} className="grid sm:grid-cols-2 md:grid-cols-3 gap-3">
+            {THEME_CHOICES.map(id => (
+              <button
+                key={id}
+                role="radio"
+                aria-checked={prefs.theme === id}
+                tabIndex={prefs.theme === id ? 0 : -1}
+                onClick={() => onChange(id === 'custom' ? { theme: id, custom } : { theme: id })}
+                className={`text-start p-3 rounded-xl border-2 transition-all ${prefs.theme === id ? 'border-yellow-400' : 'border-white/20'}`}
+              >
+                <ThemeSwatch palette={resolveTheme(id, branding, custom, systemDark)} className="mb-2" />
+                <p className="text-white font-medium">{tr(`theme.choice.${id}`)}</p>
+                <p className="text-white/60 text-xs">{tr(`theme.choice.${id}Desc`)}</p>
+              </button>
+            ))}
+          </div>
+        </div>
+        {prefs.theme === 'custom' && (
+          <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
+            <h3 className="text-white font-semibold text-xl mb-4">{tr('theme.yourColours')}</h3>
+            <PaletteEditor value={custom} onChange={setCustom} />
+          </div>
+        )}
+      </div>
+    </div>
+  );
+}
+
+/* ----------------------------------------------------------------------------
+   Error Boundary
+---------------------------------------------------------------------------- */
+class ErrorBoundary extends React.Component {
+  constructor(props){super(props); this.state = { hasError:false, info:null };}
+  static getDerivedStateFromError(){ return { hasError:true }; }
+  componentDidCatch(error, info){ this.setState({ info }); console.error('MythOS crash:', error, info); }
+  render(){
+    if (this.state.hasError) {
+      return (
+        <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-pink-900 mythos-bg flex items-center justify-center p-6">
+          <div className="bg-white/10 backdrop-blur-xl rounded-3xl p-8 w-full max-w-lg border border-white/20 text-white">
+            <h2 className="text-2xl font-bold mb-2">{tr('boundary.title')}</h2>
+            <p className="text-white/80 mb-4">{tr('boundary.text')}</p>
+            <details className="text-xs opacity-80 bg-black/30 p-3 rounded-lg">
+              <summary>{tr('boundary.details')}</summary>
+              <pre>{JSON.stringify(this.state.info, null, 2)}</pre>
+            </details>
+          </div>
+        </div>
+      );
+    }
+    return this.props.children;
+  }
+}
+
+/* ----------------------------------------------------------------------------
+   Main Component
+---------------------------------------------------------------------------- */
+export default function MythOS() {
+  /* ------------------- Core state ------------------- */
+  const [user, setUser] = useState(null);
+  const [authReady, setAuthReady] = useState(false);
+  const [isSignUp, setIsSignUp] = useState(false);
+  const [loginData, setLoginData] = useState({ username: '', password: '', email: '' });
+  const [authBusy, setAuthBusy] = useState(false);
+  // "Bring your own key": memory only, gone on logout/reload. Org/class keys live in the server vault.
+  const [apiKey, setApiKey] = useState('');
+  const [keyId, setKeyId] = useState('');
+  const [vaultKeys, setVaultKeys] = useState([]);
+  const [showKey, setShowKey] = useState(false);
+
+  const [tab, setTab] = useState('chat');
+  const [input, setInput] = useState('');
+  const [loading, setLoading] = useState(false);
+  const [sidebar, setSidebar] = useState(true);
+  // read out by screen readers (polite live region): the tutor's finished replies
+  const [spoken, setSpoken] = useState('');
+
+  /* ------------------- Theme & school settings (settings.mjs) ------------------- */
+  const [org, setOrg] = useState(() => storage.get('mythos_org', null));   // { branding, banner }; public
+  const [prefs, setPrefs] = useState(null);                                 // this user's { theme, custom, locale, motion }
+  const [systemDark, setSystemDark] = useState(() => !window.matchMedia?.('(prefers-color-scheme: light)').matches);
+  const [systemCalm, setSystemCalm] = useState(() => !!window.matchMedia?.('(prefers-reduced-motion: reduce)').matches);
+  // this device's language (sign-in screen, and users who left theirs on "Match my device")
+  const [deviceLang, setDeviceLang] = useState(() => storage.get('mythos_locale', null) || deviceLocale());
+
+  /* ------------------- Announcements ------------------- */
+  const [announcements, setAnnouncements] = useState([]);   // admin view, with status and receipts
+  const [announcementData, setAnnouncementData] = useState(blankAnnouncement);
+  const [feed, setFeed] = useState(null);                    // what this user can read
+  const [directory, setDirectory] = useState([]);            // users, for targeting
+  const [receipts, setReceipts] = useState(null);            // { id, rows } for the open receipt list
+  const [revisions, setRevisions] = useState(null);          // { id, rows } for the open history
+  const [trash, setTrash] = useState(null);                  // { announcements, retentionDays } while the trash is shown
+  // announcements from builds that kept them in this browser only
+  const [legacyAnnouncements, setLegacyAnnouncements] = useState(() => storage.get('mythos_announcements', []));
+
+  // list controls
+  const [search, setSearch, searchDebounced] = useDebouncedState('', 250);
+  const [sortKey, setSortKey] = useState('date'); // 'date' | 'title' | 'author'
+  const [sortDir, setSortDir] = useState('desc'); // 'asc' | 'desc'
+  const [page, setPage] = useState(1);
+  const pageSize = 5;
+
+  // edit state
+  const [editingId, setEditingId] = useState(null);
+  const [editDraft, setEditDraft] = useState(blankAnnouncement);
+
+  // "delete forever" confirm (plain deletes go to the trash)
+  const [confirmOpen, setConfirmOpen] = useState(false);
+  const [pendingDelete, setPendingDelete] = useState(null);
+
+  /* ------------------- Conversations ------------------- */
+  const [convos, setConvos] = useState([]);
+  const [convoId, setConvoId] = useState(null);
+  const [lastSubject, setLastSubject] = useState('general');
+  const [pendingConvoDelete, setPendingConvoDelete] = useState(null);
+  // cards drafted from the tutor, waiting to be filed into a deck (Flashcards tab)
+  const [cardDraft, setCardDraft] = useState(null);
+  const activeConvo = convos.find(c => c.id === convoId) || null;
+  const msgs = activeConvo?.messages || [];
+
+  // Writes go to a conversation by id, so a reply still lands in the chat it was asked in
+  const setConvoMsgs = (id, update) => setConvos(prev => prev.map(c => c.id !== id ? c : {
+    ...c,
+    messages: typeof update === 'function' ? update(c.messages || []) : update,
+    updatedAt: nowISO()
+  }));
+
+  // toasts
+  const [toasts, setToasts] = useState([]);
+  // action: optional { label, onClick } button, e.g. Undo
+  const pushToast = (message, type = 'info', ttl = 4000, action = null) => {
+    const id = uid();
+    setToasts(prev => [...prev, { id, message, type, action }]);
+    setTimeout(() => setToasts(prev => prev.filter(t => t.id !== id)), ttl);
+  };
+
+  // refs
+  const msgEnd = useRef(null);
+  const panel = useRef(null);
+
+  useEffect(() => {
+    api('/api/org').then(d => { setOrg(d); storage.set('mythos_org', d); }).catch(() => {});
+    const mq = window.matchMedia?.('(prefers-color-scheme: light)');
+    const follow = () => setSystemDark(!mq.matches);
+    mq?.addEventListener('change', follow);
+    const calm = window.matchMedia?.('(prefers-reduced-motion: reduce)');
+    const followCalm = () => setSystemCalm(calm.matches);
+    calm?.addEventListener('change', followCalm);
+    return () => { mq?.removeEventListener('change', follow); calm?.removeEventListener('change', followCalm); };
+  }, []);
+  // cached per user so the page doesn't flash the school theme before the profile loads
+  useEffect(() => {
+    if (!user) { setPrefs(null); return; }
+    setPrefs(storage.get(themeKey(user), null));
+    api('/api/prefs').then(d => { setPrefs(d); storage.set(themeKey(user), d); }).catch(() => {});
+  }, [user?.id]);
+  const theme = useMemo(
+    () => resolveTheme(prefs?.theme || 'school', org?.branding, prefs?.custom, systemDark),
+    [prefs, org, systemDark]
+  );
+  useEffect(() => { applyTheme(theme); }, [theme]);
+  // set during render so every child's `tr` and `fmtDate` read the same language
+  const locale = LOCALES[prefs?.locale] ? prefs.locale : deviceLang;
+  activeLocale = locale;
+  useEffect(() => { applyLocale(locale); }, [locale]);
+  const motionPref = prefs?.motion || 'system';
+  const reduceMotion = motionPref === 'reduce' || (motionPref === 'system' && systemCalm);
+  useEffect(() => { applyMotion(reduceMotion); }, [reduceMotion]);
+  useEffect(() => { msgEnd.current?.scrollIntoView({ behavior: reduceMotion ? 'auto' : 'smooth' }); }, [msgs]);
+  const chooseDeviceLocale = (l) => { setDeviceLang(l); storage.set('mythos_locale', l); };
+  const savePrefs = async (patch) => {
+    const next = { ...prefs, ...patch };
+    setPrefs(next);
+    storage.set(themeKey(user), next);
+    try { await api('/api/prefs', { method: 'PUT', body: patch }); }
+    catch (e) { pushToast(errorText(e), 'error'); }
+  };
+  const saveOrg = (d) => { setOrg(d); storage.set('mythos_org', d); };
+  // older builds kept the banner and background in this browser; an admin's banner moves to the server
+  useEffect(() => {
+    const legacy = storage.get('mythos_settings', null);
+    if (!legacy || !user) return;
+    if (user.role === 'admin' && legacy.banner && org && !org.banner.text)
+      api('/api/org', { method: 'PUT', body: { banner: { text: legacy.banner, show: !!legacy.showBanner } } }).then(saveOrg).catch(() => {});
+    storage.remove('mythos_settings');
+  }, [user?.id, !!org]);
+  // older builds kept the provider key in plaintext localStorage — wipe it
+  useEffect(() => { storage.remove('mythos_api'); }, []);
+
+  // vault keys this user may pick (labels only)
+  useEffect(() => {
+    setKeyId('');
+    if (!user) { setVaultKeys([]); return; }
+    api('/api/keys/available').then(d => setVaultKeys(d?.keys || [])).catch(() => setVaultKeys([]));
+  }, [user?.id]);
+
+  // the user's classes; teachers pick one in the header to scope Lessons, Quizzes and Analytics
+  const [classes, setClasses] = useState([]);
+  const [classId, setClassId] = useState('');
+  const loadClasses = () => {
+    if (!user) { setClasses([]); return; }
+    api('/api/classes').then(d => {
+      setClasses(d.classes);
+      setClassId(id => d.classes.some(c => c.id === id) ? id : '');
+    }).catch(() => setClasses([]));
+  };
+  useEffect(() => {
+    setClassId(user ? storage.get(classKey(user), '') : '');
+    loadClasses();
+  }, [user?.id]);
+  useEffect(() => { if (user) storage.set(classKey(user), classId); }, [classId]);
+
+  // feature flags (flags.mjs): which gated tabs and tools this user gets. Refetched
+  // on a timer and right when a flag's window opens or closes.
+  const [features, setFeatures] = useState(null);
+  const loadFeatures = async () => {
+    try { setFeatures(await api('/api/features')); } catch {} // offline: keep what we had
+  };
+  useEffect(() => {
+    loadFeatures();
+    const t = setInterval(loadFeatures, FEATURE_POLL_MS);
+    return () => clearInterval(t);
+  }, [user?.id]);
+  useEffect(() => {
+    const wait = features?.nextChangeAt && Date.parse(features.nextChangeAt) - Date.now();
+    if (!wait || wait > FEATURE_POLL_MS) return;
+    const t = setTimeout(loadFeatures, Math.max(wait, 0) + 1000);
+    return () => clearTimeout(t);
+  }, [features]);
+  // AI tools get `askModel` only while their target is on; without it they hide their buttons
+  const featureOn = (target) => features?.gates[target] ?? true;
+
+  // load a user's conversations on login; persist when no reply is streaming in
+  useEffect(() => {
+    if (!user) return;
+    const saved = storage.get(convoKey(user), []);
+    setConvos(Array.isArray(saved) ? saved : []);
+    setConvoId(null);
+  }, [user?.id]);
+  useEffect(() => {
+    if (user && !loading) storage.set(convoKey(user), convos);
+  }, [convos, loading]);
+
+  // new chats remember the subject tab the student came from
+  useEffect(() => { if (['math', 'science', 'writing'].includes(tab)) setLastSubject(tab); }, [tab]);
+
+  /* ------------------- Role capability (compute early) ------------------- */
+  // `user` only ever comes from the server session (/api/auth/*), so the role is verified
+  const canManage = (user?.role) === 'admin';
+
+  /* ------------------- Auth ------------------- */
+  // restore an existing session on load
+  useEffect(() => {
+    api('/api/auth/me')
+      .then(d => setUser(d?.user || null))
+      .catch(() => setUser(null))
+      .finally(() => setAuthReady(true));
+  }, []);
+
+  const login = async () => {
+    const uname = (loginData.username||'').trim();
+    const pwd = loginData.password || '';
+    if (!uname || !pwd.trim()) {
+      pushToast(tr('toast.enterCredentials'), 'warn');
+      return;
+    }
+    if (authBusy) return;
+    setAuthBusy(true);
+    try {
+      const d = await api(isSignUp ? '/api/auth/signup' : '/api/auth/login', {
+        method: 'POST',
+        body: isSignUp
+          ? { username: uname, password: pwd, email: (loginData.email||'').trim() || undefined }
+          : { username: uname, password: pwd }
+      });
+      setUser(d.user);
+      setLoginData({ username: '', password: '', email: '' });
+      setTab('chat');
+      pushToast(tr('shell.welcomeName', { name: d.user?.name || uname }));
+    } catch (e) {
+      pushToast(e instanceof ApiError ? errorText(e) : tr('toast.noServer'), 'error');
+    } finally {
+      setAuthBusy(false);
+    }
+  };
+
+  // clears local state; the server call invalidates the session cookie
+  const endSession = (message = tr('toast.loggedOut'), type = 'info') => {
+    setUser(null);
+    setConvos([]);
+    setConvoId(null);
+    setCardDraft(null);
+    setApiKey('');
+    pushToast(message, type);
   };
 
-  // refs
-  const msgEnd = useRef(null);
-  useEffect(() => { msgEnd.current?.scrollIntoView({ behavior: 'smooth' }); }, [msgs]);
+  const logout = async () => {
+    await flushEvents();
+    try { await api('/api/auth/logout', { method: 'POST' }); } catch {}
+    endSession();
+  };
 
-  // persist settings, announcements, api key
-  useEffect(() => { storage.set('mythos_settings', settings); }, [settings]);
-  useEffect(() => { storage.set('mythos_announcements', announcements); }, [announcements]);
-  useEffect(() => { storage.set('mythos_api', apiKey); }, [apiKey]);
+  /* ------------------- Activity log (Progress tab) ------------------- */
+  // Events queue up and go to /api/events in batches. Study time is sampled:
+  // a tick counts only while the page is visible and the student was active recently.
+  const eventQueue = useRef([]);
+  const studyTime = useRef({});
+  const studySubject = useRef(null);
+  const lastActive = useRef(Date.now());
 
-  /* ------------------- Role capability (compute early) ------------------- */
-  const canManage = (user?.role) === 'admin';
+  const track = (type, fields = {}) => { if (user) eventQueue.current.push({ type, ...fields, at: nowISO() }); };
 
-  /* ------------------- Auth ------------------- */
-  const login = () => {
-    const uname = (loginData.username||'').trim();
-    const pwd = (loginData.password||'').trim();
-    if (!uname || !pwd) {
-      pushToast('Enter a username and password.', 'warn');
-      return;
-    }
-    setUser({ name: uname, role: loginData.role || 'student' });
-    pushToast(`Welcome, ${uname}!`);
+  const takeEvents = () => {
+    const time = Object.entries(studyTime.current).map(([subject, seconds]) => ({ type: 'tab_time', subject, seconds, at: nowISO() }));
+    studyTime.current = {};
+    return [...eventQueue.current.splice(0), ...time];
   };
 
-  const logout = () => {
-    setUser(null);
-    setMsgs([]);
-    pushToast('You are logged out.');
+  const flushEvents = async () => {
+    const events = takeEvents();
+    for (let i = 0; i < events.length; i += 100) {
+      const batch = events.slice(i, i + 100);
+      try {
+        const d = await api('/api/events', { method: 'POST', body: { events: batch, tz: -new Date().getTimezoneOffset() } });
+        (d?.earned || []).forEach(a => pushToast(tr('toast.achievement', { name: achievementText(a, 'name') }), 'info', 6000));
+      } catch (e) {
+        // offline or server trouble: try again next round; rejected batches are dropped
+        if (!(e instanceof ApiError) || e.status >= 500) eventQueue.current.unshift(...batch);
+      }
+    }
   };
 
+  // which subject the current screen counts towards (null = not study time)
+  useEffect(() => {
+    studySubject.current = tab === 'chat' ? (activeConvo?.subject || 'general')
+      : ['math', 'science', 'writing'].includes(tab) ? tab
+      : tab === 'study' ? 'planning'
+      : tab === 'flashcards' ? 'flashcards' : null;
+  }, [tab, activeConvo?.subject]);
+
+  useEffect(() => {
+    if (!user) return;
+    const bump = () => { lastActive.current = Date.now(); };
+    const inputs = ['pointerdown', 'keydown', 'wheel', 'touchstart'];
+    inputs.forEach(ev => window.addEventListener(ev, bump, { passive: true }));
+    const tick = setInterval(() => {
+      const subject = studySubject.current;
+      if (!subject || document.hidden || Date.now() - lastActive.current > ACTIVITY_IDLE_MS) return;
+      studyTime.current[subject] = (studyTime.current[subject] || 0) + ACTIVITY_TICK_MS / 1000;
+    }, ACTIVITY_TICK_MS);
+    const flushTimer = setInterval(flushEvents, ACTIVITY_FLUSH_MS);
+    // last chance when the tab is hidden or closed: a beacon survives page unload
+    const beacon = () => {
+      if (document.visibilityState !== 'hidden') return;
+      const events = takeEvents();
+      if (!events.length) return;
+      const body = new Blob([JSON.stringify({ events: events.slice(0, 100), tz: -new Date().getTimezoneOffset() })], { type: 'application/json' });
+      if (!navigator.sendBeacon?.('/api/events', body)) eventQueue.current.unshift(...events);
+    };
+    document.addEventListener('visibilitychange', beacon);
+    return () => {
+      inputs.forEach(ev => window.removeEventListener(ev, bump));
+      clearInterval(tick);
+      clearInterval(flushTimer);
+      document.removeEventListener('visibilitychange', beacon);
+      flushEvents();
+    };
+  }, [user?.id]);
+
   /* ------------------- AI Chat ------------------- */
-  const getPrompt = () => `You are Myth OS, created by Hossein - the ultimate AI study assistant.\n\nRole: ${(user?.role)||'student'}\n\n${(user?.role)==='student' ? `Mission:\n- Explain step-by-step, simple then formal\n- Show all work for math/physics\n- Ask student to try steps before full solutions\n- Gently correct spelling/grammar\n- Make learning fun and engaging` : ''}\n\n${(user?.role)==='teacher' ? `Mission:\n- Generate quizzes and practice problems\n- Create lesson plans with structure\n- Provide rubrics and feedback\n- Suggest teaching strategies` : ''}\n\n${(user?.role)==='admin' ? `Mission:\n- Write professional announcements\n- Summarize data clearly\n- Help with planning and communication` : ''}\n\nStyle: Smart, kind tutor. Clear paragraphs. School-appropriate. Always honest about uncertainty.`;
+  const getPrompt = (subject = activeConvo?.subject) => `You are Myth OS, created by Hossein - the ultimate AI study assistant.\n\nRole: ${(user?.role)||'student'}\n\n${(user?.role)==='student' ? `Mission:\n- Explain step-by-step, simple then formal\n- Show all work for math/physics\n- Ask student to try steps before full solutions\n- Gently correct spelling/grammar\n- Make learning fun and engaging` : ''}\n\n${(user?.role)==='teacher' ? `Mission:\n- Generate quizzes and practice problems\n- Create lesson plans with structure\n- Provide rubrics and feedback\n- Suggest teaching strategies` : ''}\n\n${(user?.role)==='admin' ? `Mission:\n- Write professional announcements\n- Summarize data clearly\n- Help with planning and communication` : ''}\n\nStyle: Smart, kind tutor. Clear paragraphs. School-appropriate. Always honest about uncertainty.${SUBJECTS[subject] && subject !== 'general' ? `\n\nSubject focus: ${SUBJECTS[subject]}` : ''}\n\nLanguage: Always answer in ${LOCALES[activeLocale].language}, whatever language the question is written in, unless the student asks for another one. Keep formulas, code and units as they are.`;
 
-  const callProxy = useCallback(async (messages) => {
+  // onDelta(fullTextSoFar) switches on streaming; servers that answer with plain JSON still work.
+  const callProxy = useCallback(async (messages, onDelta, subject) => {
+    let streamed = '';
     try {
       const res = await fetch('/api/chat', {
         method: 'POST',
         headers: { 'Content-Type': 'application/json' },
         body: JSON.stringify({
-          system: getPrompt(),
+          system: getPrompt(subject),
           messages,
           apiKey: apiKey || undefined,
+          keyId: (!apiKey && keyId) || undefined,
+          feature: 'tutor',
+          stream: !!onDelta || undefined,
         })
       });
-      if (!res.ok) throw new Error(`HTTP ${res.status}`);
+      if (!res.ok) {
+        // Structured server errors ({ error: { code, message } }) are surfaced; anything else → demo fallback
+        const body = await res.json().catch(() => null);
+        if (body?.error?.code) throw responseError(body, res.status);
+        throw new Error(`HTTP ${res.status}`);
+      }
+      if (onDelta && (res.headers.get('Content-Type') || '').includes('ndjson')) {
+        await readNdjson(res, (ev) => {
+          if (ev.type === 'delta') { streamed += ev.text || ''; onDelta(streamed); }
+          // the server's safety check swapped the reply for a safe one
+          if (ev.type === 'replace') { streamed = ev.text || ''; onDelta(streamed); }
+          if (ev.type === 'done' && ev.redacted?.length) pushToast(tr('toast.redacted'), 'info', 6000);
+          if (ev.type === 'error') throw new ApiError(ev.code, ev.message, undefined, ev.key, ev.vars);
+        });
+        return streamed;
+      }
       const data = await res.json();
+      if (data?.redacted?.length) pushToast(tr('toast.redacted'), 'info', 6000);
       if (data?.text) return data.text;
       if (Array.isArray(data?.content)) return data.content?.[0]?.text || '';
       return String(data || '');
     } catch (err) {
-      console.error('Proxy error', err);
+      if (err instanceof ApiError) throw err;
+      // A stream that dies halfway is an error, not a reason to show the demo reply
+      if (streamed) throw new ApiError('stream_interrupted', enText('error.stream_interrupted'));
+      // no server to talk to: say so, then the caller shows the demo reply
+      pushToast(tr('toast.noServer'), 'warn');
       return null;
     }
-  }, [apiKey, user?.role, settings]);
+  }, [apiKey, keyId, user?.role]);
+
+  // One-shot completion for tools (writing feedback…); unlike callProxy there is no demo fallback, errors throw
+  // `feature`: the AI tool asking (a flags.mjs target); the server refuses it while the flag is off
+  const askModel = useCallback(async (system, prompt, feature) => {
+    const data = await api('/api/chat', {
+      method: 'POST',
+      body: { system, messages: [{ role: 'user', content: prompt }], apiKey: apiKey || undefined, keyId: (!apiKey && keyId) || undefined, feature }
+    });
+    return data?.text ?? data?.content?.[0]?.text ?? '';
+  }, [apiKey, keyId]);
+  // one askModel per AI tool, so each tab's calls name their feature
+  const toolModels = useMemo(() => Object.fromEntries(
+    ['ai_writing', 'ai_study_plan', 'ai_quiz_questions', 'ai_lesson_draft', 'ai_grade_draft'].map(f => [f, (system, prompt) => askModel(system, prompt, f)])
+  ), [askModel]);
 
   const send = async () => {
     if (!input.trim() || loading) return;
     const text = input.trim();
     setInput('');
     const userMsg = { role: 'user', content: text };
-    setMsgs(prev => [...prev, userMsg]);
+    let id = activeConvo?.id;
+    let subject = activeConvo?.subject;
+    if (!id) {
+      const c = newConvo(lastSubject);
+      id = c.id;
+      subject = c.subject;
+      setConvos(prev => [c, ...prev]);
+      setConvoId(id);
+    }
+    if (!msgs.length) {
+      setConvos(prev => prev.map(c => c.id === id && c.title === 'New conversation' ? { ...c, title: convoTitle(text) } : c));
+      track('chat', { subject });
+    }
+    track('chat_message', { subject });
+    setConvoMsgs(id, prev => [...prev, userMsg]);
     setLoading(true);
+    setSpoken(tr('a11y.replying'));
+
+    // The assistant bubble is appended on the first chunk, then updated in place
+    let bubble = false;
+    const putReply = (content, extra = {}) => {
+      const first = !bubble;
+      bubble = true;
+      const msg = { role: 'assistant', content, ...extra };
+      setConvoMsgs(id, prev => first ? [...prev, msg] : [...prev.slice(0, -1), msg]);
+    };
 
     try {
       const history = [...msgs, userMsg].map(m => ({ role: m.role, content: m.content }));
-      let reply = await callProxy(history);
+      let reply = await callProxy(history, (partial) => putReply(partial, { streaming: true }), subject);
 
       if (!reply) {
         // Demo fallback
         await new Promise(r => setTimeout(r, 250));
-        reply = `You said:\n\n${text}\n\n(Connect your real model via /api/chat to replace this demo.)`;
+        reply = tr('chat.demoReply', { text });
       }
-      setMsgs(prev => [...prev, { role: 'assistant', content: reply }]);
+      putReply(reply);
+      setSpoken(tr('a11y.replied', { text: reply }));
     } catch (e) {
-      setMsgs(prev => [...prev, { role: 'assistant', content: 'Error. Please retry.' }]);
-      pushToast('Chat error. Check your connection.', 'error');
+      setSpoken('');
+      // Keep whatever streamed in before the failure
+      setConvoMsgs(id, prev => {
+        const last = prev[prev.length - 1];
+        const partial = bubble && last?.role === 'assistant' ? last.content : '';
+        const content = partial ? `${partial}\n\n(Reply interrupted. Please retry.)` : 'Error. Please retry.';
+        return bubble ? [...prev.slice(0, -1), { role: 'assistant', content }] : [...prev, { role: 'assistant', content }];
+      });
+      if (e instanceof ApiError && e.code === 'unauthorized') { endSession(errorText(e), 'warn'); return; }
+      pushToast(e instanceof ApiError ? errorText(e) : tr('toast.chatError'), 'error');
     } finally {
       setLoading(false);
     }
   };
 
+  const startConvo = (subject = lastSubject) => {
+    // reuse an untouched conversation instead of stacking empty ones
+    if (activeConvo && !activeConvo.messages?.length) {
+      setConvos(prev => prev.map(c => c.id === activeConvo.id ? { ...c, subject } : c));
+      setTab('chat');
+      return activeConvo.id;
+    }
+    const c = newConvo(subject);
+    setConvos(prev => [c, ...prev]);
+    setConvoId(c.id);
+    setTab('chat');
+    return c.id;
+  };
+
+  // Hands a tool result to the tutor: opens chat in that subject with the context prefilled
+  const askTutor = (subject, text) => {
+    startConvo(subject);
+    setInput(text);
+  };
+
+  // "Make flashcards" in the tutor: one answer (index) or the whole conversation
+  const makeFlashcards = async (index) => {
+    const convo = activeConvo;
+    const picked = (index === undefined ? convo.messages : [convo.messages[index]]).filter(m => m.content && !m.streaming);
+    const text = picked.map(m => index === undefined ? `${m.role === 'user' ? 'Student' : 'Tutor'}: ${m.content}` : m.content).join('\n\n');
+    const id = uid();
+    setCardDraft({ id, loading: true, cards: [], deckId: '', deckName: convo.title, subject: convo.subject || 'general', source: { convoId: convo.id, title: convo.title } });
+    setTab('flashcards');
+    let cards;
+    try {
+      cards = srs.fromModel(parseModelJson(await askModel(FLASHCARD_AI_PROMPT, text.slice(-24000), 'ai_flashcards')));
+      if (!cards.length) throw new Error(tr('flash.aiNoCards'));
+    } catch (e) {
+      cards = srs.fromText(picked.filter(m => m.role === 'assistant').map(m => m.content).join('\n'));
+      pushToast(`${e instanceof ApiError ? errorText(e) : e.message} ${tr(cards.length ? 'flash.offlineTerms' : 'flash.byHand')}`, 'warn');
+    }
+    setCardDraft(d => d?.id === id ? { ...d, loading: false, cards: cards.map(c => ({ ...c, id: uid() })) } : d);
+  };
+
+  const renameConvo = (id, title) => setConvos(prev => prev.map(c => c.id === id ? { ...c, title } : c));
+  const togglePinConvo = (id) => setConvos(prev => prev.map(c => c.id === id ? { ...c, pinned: !c.pinned } : c));
+  const deleteConvo = () => {
+    const id = pendingConvoDelete;
+    setPendingConvoDelete(null);
+    if (!id) return;
+    setConvos(prev => prev.filter(c => c.id !== id));
+    if (id === convoId) setConvoId(null);
+    pushToast(tr('convo.deleted'));
+  };
+
   // keyboard shortcut: Ctrl/Cmd+Enter to send (guarded)
   useEffect(() => {
     const handler = (e) => {
@@ -323,12 +14623,12 @@ export default function MythOS() {
     };
     window.addEventListener('keydown', handler);
     return () => window.removeEventListener('keydown', handler);
-  }, [tab, canManage, input, announcementData.title, announcementData.message]);
+  }, [tab, canManage, input, announcementData]);
 
   /* ------------------- Announcements logic ------------------- */
   const filteredSorted = useMemo(() => {
     const q = searchDebounced.trim().toLowerCase();
-    let list = (announcements||[]).filter(a => {
+    let list = announcements.filter(a => {
       const t = (a?.title||'').toLowerCase();
       const m = (a?.message||'').toLowerCase();
       const au = (a?.author||'').toLowerCase();
@@ -338,8 +14638,8 @@ export default function MythOS() {
       const dir = sortDir === 'asc' ? 1 : -1;
       if (sortKey === 'title') return (a?.title||'').localeCompare(b?.title||'') * dir;
       if (sortKey === 'author') return (a?.author||'').localeCompare(b?.author||'') * dir;
-      const ad = new Date(a?.date||0).getTime();
-      const bd = new Date(b?.date||0).getTime();
+      const ad = new Date(a?.publishAt||0).getTime();
+      const bd = new Date(b?.publishAt||0).getTime();
       return (ad - bd) * dir;
     });
     return list;
@@ -350,95 +14650,261 @@ export default function MythOS() {
   useEffect(() => { if (page !== pageSafe) setPage(pageSafe); }, [pageCount]); // keep in range
   const pageItems = filteredSorted.slice((pageSafe - 1) * pageSize, pageSafe * pageSize);
 
-  const publishAnnouncement = () => {
-    if (!canManage) { pushToast('Only admins can publish announcements.', 'warn'); return; }
-    const title = (announcementData.title||'').trim();
-    const message = (announcementData.message||'').trim();
-    if (title.length < 3) { pushToast('Title must be at least 3 characters.', 'warn'); return; }
-    if (message.length < 5) { pushToast('Message must be at least 5 characters.', 'warn'); return; }
-
-    const newA = {
-      id: uid(),
-      title,
-      message,
-      author: (user?.name)||'System',
-      verified: true,
-      date: nowISO()
-    };
+  // the reader feed, polled while signed in and the Announcements tab is on
+  const newsOn = featureOn('news');
+  const loadFeed = async () => {
+    if (!newsOn) return;
+    try { setFeed(await api('/api/announcements')); } catch {} // offline: next round
+  };
+  useEffect(() => {
+    if (!user || !newsOn) { setFeed(null); return; }
+    loadFeed();
+    const t = setInterval(loadFeed, ANNOUNCEMENT_POLL_MS);
+    return () => clearInterval(t);
+  }, [user?.id, newsOn]);
+
+  const markAnnouncements = async (ids, unread) => {
+    const stamp = nowISO();
+    setFeed(f => {
+      const list = f.announcements.map(a => ids.includes(a.id) ? { ...a, readAt: unread ? null : (a.readAt || stamp) } : a);
+      return { announcements: list, unread: list.filter(a => !a.readAt).length };
+    });
+    try { await api('/api/announcements/read', { method: 'POST', body: { ids, unread } }); }
+    catch (e) { pushToast(errorText(e), 'error'); }
+  };
+
+  // live from the notification stream: refresh what it is about, and say so if the tab is in view
+  const onNotification = (n) => {
+    if (n.type === 'announcement') loadFeed();
+    if (!document.hidden) pushToast(notificationText(n).title, 'info', 6000, { label: tr('common.open'), onClick: () => setTab(n.tab) });
+  };
+
+  const loadAnnouncements = async () => {
+    try { setAnnouncements((await api('/api/announcements/manage')).announcements); }
+    catch (e) { pushToast(errorText(e), 'error'); }
+  };
+  useEffect(() => {
+    if (tab !== 'announce' || !canManage) return;
+    loadAnnouncements();
+    api('/api/users').then(d => setDirectory(d.users)).catch(() => {});
+  }, [tab, canManage]);
+
+  const checkAnnouncement = (d) => {
+    if (d.title.trim().length < 3) { pushToast(tr('news.titleShort'), 'warn'); return false; }
+    if (d.message.trim().length < 5) { pushToast(tr('news.messageShort'), 'warn'); return false; }
+    if (d.expiresAt && new Date(d.expiresAt) <= (d.publishAt ? new Date(d.publishAt) : new Date())) { pushToast(tr('news.expiryOrder'), 'warn'); return false; }
+    return true;
+  };
+
+  const loadTrash = async () => {
+    try { setTrash(await api('/api/announcements/trash')); }
+    catch (e) { pushToast(errorText(e), 'error'); }
+  };
+
+  const afterChange = (message, action) => {
+    if (message) pushToast(message, 'info', action ? 8000 : 4000, action);
+    loadAnnouncements();
+    loadFeed();
+    if (trash) loadTrash();
+    if (revisions) loadRevisions(revisions.id);
+  };
 
-    setAnnouncements(prev => [newA, ...prev]);
-    setAnnouncementData({ title: '', message: '' });
-    pushToast('Announcement published.');
+  const publishAnnouncement = async () => {
+    if (!canManage) { pushToast(tr('news.adminsOnly'), 'warn'); return; }
+    if (!checkAnnouncement(announcementData)) return;
+    try {
+      const { announcement } = await api('/api/announcements', { method: 'POST', body: announcementBody(announcementData) });
+      setAnnouncementData(blankAnnouncement());
+      afterChange(announcement.publishAt > nowISO() ? tr('news.scheduledFor', { date: fmtDate(announcement.publishAt) }) : tr('news.published'));
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
   };
 
   const startEdit = (a) => {
     if (!canManage || !a) return;
     setEditingId(a.id);
-    setEditDraft({ title: a.title || '', message: a.message || '' });
+    setEditDraft(announcementDraft(a));
   };
 
   const cancelEdit = () => {
     setEditingId(null);
-    setEditDraft({ title: '', message: '' });
+    setEditDraft(blankAnnouncement());
   };
 
-  const saveEdit = (id) => {
-    if (!canManage) return;
-    const t = (editDraft.title||'').trim(); const m = (editDraft.message||'').trim();
-    if (t.length < 3) { pushToast('Title must be at least 3 characters.', 'warn'); return; }
-    if (m.length < 5) { pushToast('Message must be at least 5 characters.', 'warn'); return; }
+  const saveEdit = async (id) => {
+    if (!canManage || !checkAnnouncement(editDraft)) return;
+    try {
+      await api(`/api/announcements/${id}`, { method: 'PATCH', body: announcementBody(editDraft) });
+      setEditingId(null);
+      setEditDraft(blankAnnouncement());
+      afterChange(tr('news.updated'));
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
+  };
 
-    setAnnouncements(prev => prev.map(a => a.id === id ? { ...a, title: t, message: m } : a));
-    setEditingId(null);
-    setEditDraft({ title: '', message: '' });
-    pushToast('Announcement updated.');
+  const togglePin = async (a) => {
+    try {
+      await api(`/api/announcements/${a.id}`, { method: 'PATCH', body: { pinned: !a.pinned } });
+      afterChange(tr(a.pinned ? 'news.unpinned' : 'news.pinned'));
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
+  };
+
+  const loadRevisions = async (id) => {
+    try { setRevisions({ id, rows: (await api(`/api/announcements/${id}/revisions`)).revisions }); }
+    catch (e) { pushToast(errorText(e), 'error'); }
+  };
+
+  const toggleHistory = (id) => {
+    if (revisions?.id === id) setRevisions(null);
+    else loadRevisions(id);
+  };
+
+  const restoreRevision = async (id, rev) => {
+    try {
+      await api(`/api/announcements/${id}/revisions/${rev}/restore`, { method: 'POST' });
+      afterChange(tr('news.restoredVersion', { n: fmtNumber(rev) }));
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
+  };
+
+  const toggleReceipts = async (id) => {
+    if (receipts?.id === id) { setReceipts(null); return; }
+    try { setReceipts({ id, rows: (await api(`/api/announcements/${id}/receipts`)).receipts }); }
+    catch (e) { pushToast(errorText(e), 'error'); }
+  };
+
+  // one-time move of browser-only announcements to the server, for everyone
+  const uploadLegacy = async () => {
+    let moved = 0;
+    for (const a of legacyAnnouncements) {
+      try {
+        await api('/api/announcements', { method: 'POST', body: { title: a.title, message: a.message, publishAt: a.date || null, audience: {} } });
+        moved++;
+      } catch {} // too short for the server rules: dropped with the rest
+    }
+    storage.remove('mythos_announcements');
+    setLegacyAnnouncements([]);
+    afterChange(trn('news.moved', moved));
+  };
+
+  const discardLegacy = () => {
+    storage.remove('mythos_announcements');
+    setLegacyAnnouncements([]);
+  };
+
+  const restoreAnnouncement = async (id) => {
+    try {
+      await api(`/api/announcements/${id}/restore`, { method: 'POST' });
+      afterChange(tr('news.restored'));
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
   };
 
-  const requestDelete = (id) => {
+  // Deleting only moves it to the trash, so there is no confirm, just an Undo
+  const deleteAnnouncement = async (id) => {
     if (!canManage) return;
+    try {
+      await api(`/api/announcements/${id}`, { method: 'DELETE' });
+      if (revisions?.id === id) setRevisions(null);
+      afterChange(tr('news.trashed'), { label: tr('news.undo'), onClick: () => restoreAnnouncement(id) });
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
+  };
+
+  const requestPurge = (id) => {
     setPendingDelete(id);
     setConfirmOpen(true);
   };
 
-  const doDelete = () => {
+  const doPurge = async () => {
     const id = pendingDelete;
     setConfirmOpen(false);
     setPendingDelete(null);
     if (!id) return;
-    setAnnouncements(prev => prev.filter(a => a.id !== id));
-    pushToast('Announcement deleted.');
+    try {
+      await api(`/api/announcements/${id}/purge`, { method: 'DELETE' });
+      afterChange(tr('news.purged'));
+    } catch (e) {
+      pushToast(errorText(e), 'error');
+    }
   };
 
   /* ------------------- UI: Tabs ------------------- */
   const allTabs = [];
-  allTabs.push({ id: 'chat', name: 'AI Tutor', icon: Sparkles });
-  allTabs.push({ id: 'math', name: 'Math', icon: Calculator });
-  allTabs.push({ id: 'science', name: 'Science', icon: FlaskConical });
-  allTabs.push({ id: 'writing', name: 'Writing', icon: PenTool });
-  allTabs.push({ id: 'study', name: 'Study Plan', icon: Target });
-  allTabs.push({ id: 'progress', name: 'Progress', icon: Award });
-  if (settings.feature) allTabs.push({ id: 'special', name: settings.feature, icon: Sparkles });
+  allTabs.push({ id: 'chat', name: tr('tab.chat'), icon: Sparkles });
+  allTabs.push({ id: 'math', name: tr('tab.math'), icon: Calculator });
+  allTabs.push({ id: 'science', name: tr('tab.science'), icon: FlaskConical });
+  allTabs.push({ id: 'writing', name: tr('tab.writing'), icon: PenTool });
+  allTabs.push({ id: 'study', name: tr('tab.study'), icon: Target });
+  allTabs.push({ id: 'flashcards', name: tr('tab.flashcards'), icon: Layers });
+  allTabs.push({ id: 'progress', name: tr('tab.progress'), icon: Award });
+  if (user) allTabs.push({ id: 'news', name: tr('tab.news'), icon: Bell, badge: feed?.unread });
+  if (user) allTabs.push({ id: 'classes', name: tr('tab.classes'), icon: Users });
+  if ((user?.role) === 'student') allTabs.push({ id: 'quizzes', name: tr('tab.quizzes'), icon: FileText });
+  if ((user?.role) === 'student') allTabs.push({ id: 'assignments', name: tr('tab.assignments'), icon: ClipboardList });
   if ((user?.role) === 'teacher') {
-    allTabs.push({ id: 'lessons', name: 'Lessons', icon: BookOpen });
-    allTabs.push({ id: 'quizzes', name: 'Quizzes', icon: FileText });
+    allTabs.push({ id: 'lessons', name: tr('tab.lessons'), icon: BookOpen });
+    allTabs.push({ id: 'quizzes', name: tr('tab.quizzes'), icon: FileText });
+    allTabs.push({ id: 'assignments', name: tr('tab.assignments'), icon: ClipboardList });
+    allTabs.push({ id: 'analytics', name: tr('tab.analytics'), icon: BarChart3 });
+    allTabs.push({ id: 'safety', name: tr('tab.safety'), icon: Shield });
   }
+  if (user) allTabs.push({ id: 'appearance', name: tr('tab.appearance'), icon: Palette });
   if ((user?.role) === 'admin') {
-    allTabs.push({ id: 'analytics', name: 'Analytics', icon: BarChart3 });
-    allTabs.push({ id: 'announce', name: 'Announce', icon: Users });
-    allTabs.push({ id: 'settings', name: 'Settings', icon: SettingsIcon });
+    allTabs.push({ id: 'analytics', name: tr('tab.analytics'), icon: BarChart3 });
+    allTabs.push({ id: 'safety', name: tr('tab.safety'), icon: Shield });
+    allTabs.push({ id: 'announce', name: tr('tab.announce'), icon: Users });
+    allTabs.push({ id: 'settings', name: tr('tab.settings'), icon: SettingsIcon });
   }
+  const shownTabs = allTabs.filter(t => featureOn(t.id));
+  // a flag switched off (or a logout) can take away the open tab
+  useEffect(() => {
+    if (authReady && !shownTabs.some(t => t.id === tab)) setTab('chat');
+  }, [authReady, features, user?.role, tab]);
+  // a new tab takes focus to its panel, so screen readers announce it and Tab starts there
+  const firstPanel = useRef(true);
+  useEffect(() => {
+    if (firstPanel.current) { firstPanel.current = false; return; }
+    panel.current?.focus({ preventScroll: true });
+  }, [tab]);
+  useEffect(() => { auditA11y(); }, [tab, user?.id, locale, theme]);
+  // the window title names the open tab, so screen readers and browser tabs can tell pages apart
+  const tabName = shownTabs.find(t => t.id === tab)?.name;
+  useEffect(() => {
+    document.title = [user && tabName, org?.branding.name || 'Myth OS'].filter(Boolean).join(' · ');
+  }, [user?.id, tabName, org?.branding.name]);
 
   /* ------------------- Screens ------------------- */
+  if (!authReady) {
+    return (
+      <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-pink-900 mythos-bg flex items-center justify-center">
+        <Loader2 className="animate-spin text-purple-300" size={40} />
+      </div>
+    );
+  }
+
   if (!user) {
     return (
-      <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-pink-900 flex items-center justify-center p-4">
+      <MotionConfig reducedMotion={reduceMotion ? 'always' : 'never'}>
+      <div className="min-h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-pink-900 mythos-bg flex items-center justify-center p-4">
         <motion.div variants={scaleIn} initial="initial" animate="animate" className="bg-white/10 backdrop-blur-xl rounded-3xl p-8 w-full max-w-md border border-white/20 shadow-2xl">
           <div className="text-center mb-8">
-            <motion.div variants={scaleIn} className="inline-block p-4 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl mb-4">
-              <Brain size={48} className="text-white" />
-            </motion.div>
-            <h1 className="text-4xl font-bold text-white mb-2">Myth OS</h1>
-            <p className="text-purple-200">{isSignUp ? 'Create Account' : 'Ultimate AI Study Platform'}</p>
+            {org?.branding.logo ? (
+              <motion.img variants={scaleIn} src={org.branding.logo} alt="" className="inline-block w-20 h-20 object-contain mb-4" />
+            ) : (
+              <motion.div variants={scaleIn} className="inline-block p-4 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-2xl mb-4">
+                <Brain size={48} className="text-white" aria-hidden="true" />
+              </motion.div>
+            )}
+            <h1 className="text-4xl font-bold text-white mb-2">{org?.branding.name || 'Myth OS'}</h1>
+            <p className="text-purple-200">{isSignUp ? tr('login.createAccount') : tr('login.tagline')}</p>
           </div>
 
           <div className="space-y-3">
@@ -448,15 +14914,20 @@ export default function MythOS() {
               onChange={e => setLoginData({ ...loginData, username: e.target.value })}
               onKeyDown={e => e.key === 'Enter' && login()}
               className="w-full p-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500"
-              placeholder="Username"
+              placeholder={tr('login.username')}
+              aria-label={tr('login.username')}
               autoFocus
             />
 
             {isSignUp && (
               <input
                 type="email"
+                value={loginData.email}
+                onChange={e => setLoginData({ ...loginData, email: e.target.value })}
+                onKeyDown={e => e.key === 'Enter' && login()}
                 className="w-full p-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500"
-                placeholder="Email (optional)"
+                placeholder={tr('login.email')}
+                aria-label={tr('login.email')}
               />
             )}
 
@@ -466,24 +14937,16 @@ export default function MythOS() {
               onChange={e => setLoginData({ ...loginData, password: e.target.value })}
               onKeyDown={e => e.key === 'Enter' && login()}
               className="w-full p-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500"
-              placeholder="Password"
+              placeholder={tr('login.password')}
+              aria-label={tr('login.password')}
             />
 
-            <div className="grid grid-cols-3 gap-2">
-              {['student', 'teacher', 'admin'].map(r => (
-                <button
-                  key={r}
-                  onClick={() => setLoginData({ ...loginData, role: r })}
-                  className={`p-3 rounded-xl font-medium transition-all ${
-                    (loginData.role||'student') === r
-                      ? 'bg-gradient-to-r from-purple-500 to-pink-500 text-white'
-                      : 'bg-white/10 text-white hover:bg-white/20'
-                  }`}
-                >
-                  {r.charAt(0).toUpperCase() + r.slice(1)}
-                </button>
-              ))}
-            </div>
+            {isSignUp && (
+              <p className="text-white/60 text-xs flex items-start gap-2">
+                <Info size={14} className="mt-0.5 shrink-0" />
+                {tr('login.newAccounts')}
+              </p>
+            )}
 
             <div className="flex items-center gap-2 bg-white/5 border border-white/20 rounded-xl p-3">
               <KeyRound size={18} className="text-purple-300" />
@@ -491,58 +14954,85 @@ export default function MythOS() {
                 type={showKey ? 'text' : 'password'}
                 value={apiKey}
                 onChange={(e) => setApiKey(e.target.value)}
-                placeholder="Optional: API key (store securely)"
+                placeholder={tr('login.ownKey')}
+                aria-label={tr('login.ownKey')}
+                autoComplete="off"
                 className="flex-1 bg-transparent outline-none text-white placeholder-gray-400"
               />
               <button
                 onClick={() => setShowKey(s => !s)}
                 className="text-white/70 hover:text-white"
-                title={showKey ? 'Hide' : 'Show'}
+                title={showKey ? tr('login.hide') : tr('login.show')}
+                aria-label={showKey ? tr('login.hide') : tr('login.show')}
               >
                 {showKey ? <EyeOff size={18} /> : <Eye size={18} />}
               </button>
-              <button
-                onClick={() => { navigator.clipboard.writeText(apiKey || ''); pushToast('API key copied.'); }}
-                className="text-white/70 hover:text-white"
-                title="Copy"
-              >
-                <Copy size={18} />
-              </button>
             </div>
+            <p className="text-white/50 text-xs -mt-1">{tr('login.ownKeyHint')}</p>
 
             <button
               onClick={login}
-              className="w-full p-4 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-bold text-lg hover:from-purple-600 hover:to-pink-600 transition-all transform hover:scale-105"
+              disabled={authBusy}
+              className="w-full p-4 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-bold text-lg hover:from-purple-600 hover:to-pink-600 transition-all transform hover:scale-105 disabled:opacity-60 disabled:hover:scale-100"
             >
-              {isSignUp ? 'Sign Up' : 'Login'}
+              {authBusy ? <Loader2 className="animate-spin mx-auto" size={24} /> : (isSignUp ? tr('login.signUp') : tr('login.login'))}
             </button>
 
             <button
               onClick={() => setIsSignUp(s => !s)}
               className="w-full text-purple-300 hover:text-white transition-colors text-sm"
             >
-              {isSignUp ? 'Have account? Login' : 'No account? Sign Up'}
+              {isSignUp ? tr('login.toLogin') : tr('login.toSignUp')}
             </button>
           </div>
 
-          <p className="text-center text-white/60 text-sm mt-6">Created by Hossein</p>
+          <div className="flex items-center justify-center gap-3 mt-6">
+            <p className="text-white/60 text-sm">{tr('login.createdBy')}</p>
+            <select
+              value={locale}
+              onChange={e => chooseDeviceLocale(e.target.value)}
+              aria-label={tr('shell.language')}
+              className="p-1 rounded-lg bg-white/10 border border-white/20 text-white text-sm outline-none focus:ring-2 focus:ring-purple-500"
+            >
+              {Object.entries(LOCALES).map(([k, l]) => <option key={k} value={k} className="bg-gray-800">{l.name}</option>)}
+            </select>
+          </div>
         </motion.div>
         <Toasts toasts={toasts} remove={(id) => setToasts(prev => prev.filter(t => t.id !== id))} />
       </div>
+      </MotionConfig>
     );
   }
 
-  /* ------------------- Tab renderers ------------------- */
+  /* ------------------- Tab renderers -------------------
+     Plain render functions, called as ChatTab() rather than <ChatTab />, so a
+     re-render doesn't remount them (and drop input focus). Stateful pieces
+     live in top-level components instead. */
+  const [tipBefore, tipAfter] = tr('chat.tip').split('{keys}');
   const ChatTab = () => (
     <div className="flex flex-col h-full">
-      <div className="flex-1 overflow-y-auto p-6 space-y-4">
+      <section aria-label={tr('a11y.messages')} className="flex-1 overflow-y-auto p-6 space-y-4">
         {msgs.length === 0 && (
           <div className="flex items-center justify-center h-full">
             <div className="text-center text-white/80 max-w-2xl">
               <Brain size={64} className="mx-auto mb-4 text-yellow-400" />
-              <h2 className="text-3xl font-bold mb-4">Ready to learn!</h2>
-              <p className="text-lg mb-6">Ask anything about your studies</p>
-              <p className="text-white/60 text-sm">Tip: Press <span className="font-semibold">Ctrl/⌘ + Enter</span> to send</p>
+              <h2 className="text-3xl font-bold mb-4">{tr('chat.ready')}</h2>
+              <p className="text-lg mb-6">{tr('chat.askAbout')}</p>
+              <div className="flex items-center justify-center gap-2 mb-6 flex-wrap">
+                {Object.keys(SUBJECTS).map(k => {
+                  const active = (activeConvo?.subject || lastSubject) === k;
+                  return (
+                    <button
+                      key={k}
+                      onClick={() => activeConvo ? setConvos(prev => prev.map(c => c.id === activeConvo.id ? { ...c, subject: k } : c)) : setLastSubject(k)}
+                      className={`px-3 py-1.5 rounded-full text-sm border ${active ? 'border-yellow-400 text-white bg-white/10' : 'border-white/20 text-white/70 hover:bg-white/10'}`}
+                    >
+                      {subjectName(k)}
+                    </button>
+                  );
+                })}
+              </div>
+              <p className="text-white/60 text-sm">{tipBefore}<span className="font-semibold" dir="ltr">Ctrl/⌘ + Enter</span>{tipAfter}</p>
             </div>
           </div>
         )}
@@ -562,13 +15052,21 @@ export default function MythOS() {
                   ? 'bg-gradient-to-r from-purple-500 to-pink-500 text-white'
                   : 'bg-white/10 backdrop-blur-lg text-white border border-white/10'
               }`}>
-                <div className="whitespace-pre-wrap leading-relaxed">{m.content}</div>
+                {m.role === 'assistant'
+                  ? <div dir="auto"><Markdown text={m.content} /></div>
+                  : <div dir="auto" className="whitespace-pre-wrap leading-relaxed">{m.content}</div>}
+                {m.streaming && <span className="inline-block w-2 h-4 ms-0.5 align-middle bg-purple-300 animate-pulse" />}
+                {m.role === 'assistant' && !m.streaming && featureOn('ai_flashcards') && (
+                  <button onClick={() => makeFlashcards(i)} disabled={loading} className="flex items-center gap-1 mt-2 text-xs text-white/50 hover:text-white disabled:opacity-50">
+                    <Layers size={14} /> {tr('chat.makeFlashcards')}
+                  </button>
+                )}
               </div>
             </motion.div>
           ))}
         </AnimatePresence>
 
-        {loading && (
+        {loading && !msgs[msgs.length - 1]?.streaming && (
           <div className="flex justify-start">
             <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-4 border border-white/10">
               <Loader2 className="animate-spin text-purple-400" size={24} />
@@ -576,7 +15074,7 @@ export default function MythOS() {
           </div>
         )}
         <div ref={msgEnd} />
-      </div>
+      </section>
 
       <div className="border-t border-white/10 p-4">
         <div className="flex gap-2">
@@ -584,7 +15082,9 @@ export default function MythOS() {
             value={input}
             onChange={e => setInput(e.target.value)}
             onKeyDown={e => (e.key === 'Enter' && (e.ctrlKey || e.metaKey)) && (e.preventDefault(), send())}
-            placeholder="Ask anything..."
+            placeholder={tr('chat.placeholder')}
+            aria-label={tr('chat.placeholder')}
+            dir="auto"
             className="flex-1 p-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 resize-none"
             rows={2}
             disabled={loading}
@@ -595,179 +15095,55 @@ export default function MythOS() {
             onClick={send}
             disabled={loading || !input.trim()}
             className="px-6 py-3 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-semibold hover:from-purple-600 hover:to-pink-600 disabled:opacity-50 disabled:cursor-not-allowed transition-all"
-            title="Send (Ctrl/⌘+Enter)"
+            title={tr('chat.send')}
+            aria-label={tr('chat.send')}
           >
             {loading ? <Loader2 className="animate-spin" size={20} /> : <Send size={20} />}
           </motion.button>
         </div>
-      </div>
-    </div>
-  );
-
-  const AnalyticsTab = () => (
-    <div className="p-6 overflow-y-auto h-full">
-      <div className="max-w-6xl mx-auto space-y-6">
-        <div className="grid grid-cols-3 gap-6">
-          <motion.div variants={scaleIn} initial="initial" animate="animate" className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
-            <div className="flex items-center justify-between mb-4">
-              <h3 className="text-white font-semibold">Students</h3>
-              <Users className="text-blue-400" size={24} />
-            </div>
-            <p className="text-4xl font-bold text-white">1,247</p>
-            <p className="text-green-400 text-sm mt-2">+12% growth</p>
-          </motion.div>
-
-          <motion.div variants={scaleIn} initial="initial" animate="animate" className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
-            <div className="flex items-center justify-between mb-4">
-              <h3 className="text-white font-semibold">Teachers</h3>
-              <BookOpen className="text-purple-400" size={24} />
-            </div>
-            <p className="text-4xl font-bold text-white">64</p>
-            <p className="text-green-400 text-sm mt-2">+3 new</p>
-          </motion.div>
-
-          <motion.div variants={scaleIn} initial="initial" animate="animate" className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
-            <div className="flex items-center justify-between mb-4">
-              <h3 className="text-white font-semibold">Engagement</h3>
-              <BarChart3 className="text-pink-400" size={24} />
-            </div>
-            <p className="text-4xl font-bold text-white">87%</p>
-            <p className="text-green-400 text-sm mt-2">+5% up</p>
-          </motion.div>
-        </div>
-      </div>
-    </div>
-  );
-
-  const SettingsTab = () => (
-    <div className="p-6 overflow-y-auto h-full">
-      <div className="max-w-4xl mx-auto space-y-6">
-        <h2 className="text-3xl font-bold text-white mb-6">Settings</h2>
-
-        <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
-          <h3 className="text-white font-semibold text-xl mb-4">🎨 Background</h3>
-          <div className="grid grid-cols-3 gap-4">
-            {[
-              { n: 'Purple', v: 'from-indigo-900 via-purple-900 to-pink-900' },
-              { n: 'Blue', v: 'from-blue-900 via-cyan-900 to-teal-900' },
-              { n: 'Green', v: 'from-green-900 via-emerald-900 to-teal-900' },
-              { n: 'Orange', v: 'from-orange-900 via-red-900 to-pink-900' },
-              { n: 'Dark', v: 'from-gray-900 via-slate-900 to-black' },
-              { n: 'Royal', v: 'from-violet-900 via-purple-900 to-indigo-900' }
-            ].map(t => (
-              <button
-                key={t.n}
-                onClick={() => setSettings({ ...settings, bg: t.v })}
-                className={`p-4 rounded-xl border-2 transition-all ${
-                  settings.bg === t.v ? 'border-yellow-400' : 'border-white/20'
-                }`}
+        {!loading && msgs.some(m => m.role === 'assistant') && featureOn('ai_flashcards') && (
+          <button onClick={() => makeFlashcards()} className="flex items-center gap-1 mt-2 text-xs text-white/60 hover:text-white">
+            <Layers size={14} /> {tr('chat.makeFlashcardsAll')}
+          </button>
+        )}
+        {(apiKey || vaultKeys.length > 1) && (
+          <div className="flex items-center gap-2 mt-2 text-xs text-white/60">
+            <KeyRound size={14} className="text-purple-300" />
+            {apiKey ? (
+              <>
+                <span>{tr('chat.ownKey')}</span>
+                <button onClick={() => setApiKey('')} className="underline hover:text-white">{tr('chat.forgetKey')}</button>
+              </>
+            ) : (
+              <select
+                value={keyId}
+                onChange={e => setKeyId(e.target.value)}
+                className="bg-white/10 border border-white/20 rounded-lg px-2 py-1 text-white"
               >
-                <div className={`h-12 rounded-lg bg-gradient-to-r ${t.v} mb-2`}></div>
-                <p className="text-white font-medium">{t.n}</p>
-              </button>
-            ))}
-          </div>
-        </div>
-
-        <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
-          <h3 className="text-white font-semibold text-xl mb-4">📢 Banner</h3>
-          <div className="space-y-4">
-            <div className="flex items-center gap-3">
-              <input
-                type="checkbox"
-                checked={settings.showBanner}
-                onChange={e => setSettings({ ...settings, showBanner: e.target.checked })}
-                className="w-5 h-5"
-              />
-              <label className="text-white">Show Banner</label>
-            </div>
-            <textarea
-              value={settings.banner}
-              onChange={e => setSettings({ ...settings, banner: e.target.value })}
-              placeholder="Banner message..."
-              className="w-full p-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 resize-none"
-              rows={2}
-            />
-          </div>
-        </div>
-
-        <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
-          <h3 className="text-white font-semibold text-xl mb-4">⏰ Limited Feature</h3>
-          <div className="space-y-4">
-            <input
-              type="text"
-              value={settings.feature || ''}
-              onChange={e => setSettings({ ...settings, feature: e.target.value })}
-              placeholder="Feature name..."
-              className="w-full p-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500"
-            />
-            <input
-              type="datetime-local"
-              value={settings.featureEnd || ''}
-              onChange={e => setSettings({ ...settings, featureEnd: e.target.value })}
-              className="w-full p-3 rounded-xl bg-white/10 border border-white/20 text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
-            />
-            <button
-              onClick={() => setSettings({ ...settings, feature: null, featureEnd: null })}
-              className="w-full p-3 rounded-xl bg-red-500/20 text-red-300"
-            >
-              Remove Feature
-            </button>
+                <option value="" className="text-black">{tr('chat.schoolKey')}</option>
+                {vaultKeys.map(k => <option key={k.id} value={k.id} className="text-black">{k.label} ({k.provider})</option>)}
+              </select>
+            )}
           </div>
-        </div>
+        )}
       </div>
     </div>
   );
 
-  const StudyTab = () => (
+  const SettingsTab = () => (
     <div className="p-6 overflow-y-auto h-full">
       <div className="max-w-4xl mx-auto space-y-6">
-        <h2 className="text-3xl font-bold text-white mb-6">Study Plan Generator</h2>
+        <h2 className="text-3xl font-bold text-white mb-6">{tr('tab.settings')}</h2>
 
-        <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
-          <h3 className="text-white font-semibold text-xl mb-4">Create Your Plan</h3>
-          <div className="space-y-4">
-            <input
-              type="text"
-              placeholder="Subject (e.g., Calculus, Biology)..."
-              className="w-full p-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500"
-            />
-            <input
-              type="text"
-              placeholder="Goal (e.g., Pass final exam)..."
-              className="w-full p-3 rounded-xl bg-white/10 border border-white/20 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500"
-            />
-            <input
-              type="date"
-              className="w-full p-3 rounded-xl bg-white/10 border border-white/20 text-white focus:outline-none focus:ring-2 focus:ring-purple-500"
-            />
-            <button className="w-full p-4 rounded-xl bg-gradient-to-r from-purple-500 to-pink-500 text-white font-bold">
-              Generate Study Plan
-            </button>
-          </div>
-        </div>
-      </div>
-    </div>
-  );
+        <UserAdmin me={user} pushToast={pushToast} />
 
-  const ProgressTab = () => (
-    <div className="p-6 overflow-y-auto h-full">
-      <div className="max-w-4xl mx-auto space-y-6">
-        <h2 className="text-3xl font-bold text-white mb-6">Your Progress</h2>
+        <KeyVault classes={classes} pushToast={pushToast} />
 
-        <div className="grid grid-cols-2 gap-6">
-          <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
-            <Clock className="text-blue-400 mb-2" size={32} />
-            <p className="text-white text-2xl font-bold">24.5 hrs</p>
-            <p className="text-purple-300">Study Time</p>
-          </div>
+        <FeatureFlags classes={classes} pushToast={pushToast} onChange={loadFeatures} />
 
-          <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10">
-            <Award className="text-yellow-400 mb-2" size={32} />
-            <p className="text-white text-2xl font-bold">12</p>
-            <p className="text-purple-300">Achievements</p>
-          </div>
-        </div>
+        <SchoolSettings org={org} onSaved={saveOrg} pushToast={pushToast} />
+
+        <ModerationSettings pushToast={pushToast} />
       </div>
     </div>
   );
@@ -778,14 +15154,25 @@ export default function MythOS() {
         <div className="flex items-center justify-between">
           <h2 className="text-3xl font-bold text-white mb-6 flex items-center gap-3">
             <Shield className="text-green-400" size={28} />
-            Announcement Management
+            {tr('news.manage')}
           </h2>
           <div className="flex items-center gap-2 text-white/70">
             <Info size={16} />
-            <span className="text-sm">Ctrl/⌘+Enter to publish</span>
+            <span className="text-sm">{tr('news.publishShortcut')}</span>
           </div>
         </div>
 
+        {legacyAnnouncements.length > 0 && (
+          <div className="bg-yellow-500/10 border border-yellow-400/30 rounded-2xl p-4 flex flex-wrap items-center gap-3">
+            <AlertTriangle className="text-yellow-300" size={20} />
+            <p className="flex-1 text-yellow-100 text-sm min-w-[12rem]">
+              {trn('news.legacy', legacyAnnouncements.length)}
+            </p>
+            <button onClick={uploadLegacy} className="px-3 py-1.5 rounded-lg bg-yellow-500/30 hover:bg-yellow-500/50 text-white text-sm">{tr('news.publishEveryone')}</button>
+            <button onClick={discardLegacy} className="px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-white text-sm">{tr('news.discard')}</button>
+          </div>
+        )}
+
         {/* Create card */}
         <div className={`bg-white/10 backdrop-blur-lg rounded-2xl p-6 border border-white/10 ${!canManage ? 'opacity-60 pointer-events-none' : ''}`}>
           <div className="flex items-center gap-3 mb-4">
@@ -793,45 +15180,48 @@ export default function MythOS() {
               <Shield className="text-white" size={20} />
             </div>
             <div>
-              <h3 className="text-white font-semibold text-xl">Create New Announcement</h3>
-              <p className="text-purple-300 text-sm">Share important updates with everyone</p>
+              <h3 className="text-white font-semibold text-xl">{tr('news.create')}</h3>
+              <p className="text-purple-300 text-sm">{tr('news.createHint')}</p>
             </div>
           </div>
 
           <div className="space-y-3">
             <div>
-              <label className="text-white/80 text-sm mb-1 block">Title</label>
+              <label htmlFor="announcement-title" className="text-white/80 text-sm mb-1 block">{tr('news.title')}</label>
               <input
+                id="announcement-title"
                 type="text"
                 value={announcementData.title}
                 onChange={e => setAnnouncementData(a => ({ ...a, title: e.target.value }))}
-                placeholder="📢 Title..."
+                placeholder={tr('news.titlePlaceholder')}
                 className="w-full p-3 rounded-xl bg-white/10 border-2 border-white/20 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 transition-all"
                 maxLength={120}
               />
-              <div className="text-right text-white/50 text-xs mt-1">{announcementData.title.length}/120</div>
+              <div className="text-end text-white/50 text-xs mt-1">{fmtNumber(announcementData.title.length)}/{fmtNumber(120)}</div>
             </div>
             <div>
-              <label className="text-white/80 text-sm mb-1 block">Message</label>
+              <label htmlFor="announcement-message" className="text-white/80 text-sm mb-1 block">{tr('news.message')}</label>
               <textarea
+                id="announcement-message"
                 value={announcementData.message}
                 onChange={e => setAnnouncementData(a => ({ ...a, message: e.target.value }))}
-                placeholder="💬 Message..."
+                placeholder={tr('news.messagePlaceholder')}
                 className="w-full p-3 rounded-xl bg-white/10 border-2 border-white/20 text-white placeholder-gray-400 focus:outline-none focus:ring-2 focus:ring-purple-500 resize-none transition-all"
                 rows={5}
                 maxLength={2000}
               />
-              <div className="text-right text-white/50 text-xs mt-1">{announcementData.message.length}/2000</div>
+              <div className="text-end text-white/50 text-xs mt-1">{fmtNumber(announcementData.message.length)}/{fmtNumber(2000)}</div>
             </div>
+            <AnnouncementOptions value={announcementData} onChange={setAnnouncementData} users={directory} classes={classes} onError={m => pushToast(m, 'error')} />
             {!canManage && (
-              <div className="text-red-300 text-sm flex items-center gap-2"><Shield size={16} /> Admins only</div>
+              <div className="text-red-300 text-sm flex items-center gap-2"><Shield size={16} /> {tr('news.adminsOnlyShort')}</div>
             )}
             <button
               onClick={publishAnnouncement}
               disabled={!announcementData.title.trim() || !announcementData.message.trim() || !canManage}
               className="w-full p-4 rounded-xl bg-gradient-to-r from-green-500 to-emerald-500 text-white font-bold hover:scale-105 transform transition-all disabled:opacity-50 disabled:hover:scale-100"
             >
-              ✅ Publish Announcement
+              {announcementData.publishAt && new Date(announcementData.publishAt) > new Date() ? tr('news.schedule') : tr('news.publish')}
             </button>
           </div>
         </div>
@@ -844,35 +15234,40 @@ export default function MythOS() {
               value={search}
               onChange={e => setSearch(e.target.value)}
               className="bg-transparent outline-none text-white placeholder-gray-400 flex-1"
-              placeholder="Search title, author, message..."
+              placeholder={tr('news.search')}
+              aria-label={tr('news.search')}
             />
           </div>
           <div className="flex items-center gap-2">
             <button
               onClick={() => setSortKey('date')}
               className={`px-3 py-2 rounded-lg border ${sortKey==='date'?'border-yellow-400 text-white':'border-white/20 text-white/70'} bg-white/10`}
-              title="Sort by date"
+              title={tr('news.sortBy.date')}
+              aria-pressed={sortKey === 'date'}
             >
-              Date
+              {tr('news.sort.date')}
             </button>
             <button
               onClick={() => setSortKey('title')}
               className={`px-3 py-2 rounded-lg border ${sortKey==='title'?'border-yellow-400 text-white':'border-white/20 text-white/70'} bg-white/10`}
-              title="Sort by title"
+              title={tr('news.sortBy.title')}
+              aria-pressed={sortKey === 'title'}
             >
-              Title
+              {tr('news.sort.title')}
             </button>
             <button
               onClick={() => setSortKey('author')}
               className={`px-3 py-2 rounded-lg border ${sortKey==='author'?'border-yellow-400 text-white':'border-white/20 text-white/70'} bg-white/10`}
-              title="Sort by author"
+              title={tr('news.sortBy.author')}
+              aria-pressed={sortKey === 'author'}
             >
-              Author
+              {tr('news.sort.author')}
             </button>
             <button
               onClick={() => setSortDir(d => d === 'asc' ? 'desc' : 'asc')}
               className="px-3 py-2 rounded-lg bg-white/10 border border-white/20 text-white/80"
-              title="Toggle sort direction"
+              title={tr('news.sortDirection')}
+              aria-label={tr('news.sortDirection')}
             >
               {sortDir === 'asc' ? <SortAsc size={18} /> : <SortDesc size={18} />}
             </button>
@@ -881,14 +15276,47 @@ export default function MythOS() {
 
         {/* List */}
         <div className="space-y-4">
-          <h3 className="text-white font-semibold text-xl flex items-center gap-2">
-            📋 All Announcements ({filteredSorted.length})
-          </h3>
+          <div className="flex items-center justify-between gap-3">
+            <h3 className="text-white font-semibold text-xl flex items-center gap-2">
+              {trash ? tr('news.trashCount', { n: fmtNumber(trash.announcements.length) }) : tr('news.allCount', { n: fmtNumber(filteredSorted.length) })}
+            </h3>
+            {canManage && (
+              <button onClick={() => trash ? setTrash(null) : loadTrash()} className="flex items-center gap-2 px-4 py-2 rounded-xl bg-white/10 hover:bg-white/20 text-white text-sm">
+                {trash ? <><ChevronLeft size={16} /> {tr('news.backToList')}</> : <><Trash2 size={16} /> {tr('news.trash')}</>}
+              </button>
+            )}
+          </div>
 
-          {filteredSorted.length === 0 ? (
+          {trash ? (
+            <>
+              <p className="text-white/60 text-sm">{trn('news.retention', trash.retentionDays)}</p>
+              {trash.announcements.length === 0 ? (
+                <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-10 border border-white/10 text-center">
+                  <Trash2 className="mx-auto mb-4 text-purple-400" size={56} />
+                  <p className="text-white/70">{tr('news.trashEmpty')}</p>
+                </div>
+              ) : trash.announcements.map(ann => (
+                <div key={ann.id} className="bg-white/10 backdrop-blur-lg rounded-2xl p-5 border border-white/10 flex items-start gap-4">
+                  <div className="flex-1 min-w-0">
+                    <h4 className="text-white font-bold break-words">{ann.title}</h4>
+                    <p className="text-white/60 text-xs mt-1">{tr('news.deletedBy', { name: ann.deletedBy, date: fmtDate(ann.deletedAt) })}</p>
+                    <p className="text-white/70 text-sm mt-2 line-clamp-2">{ann.message}</p>
+                  </div>
+                  <div className="shrink-0 flex items-center gap-2">
+                    <button onClick={() => restoreAnnouncement(ann.id)} className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-white/10 hover:bg-white/20 text-white text-sm">
+                      <RotateCcw size={14} /> {tr('common.restore')}
+                    </button>
+                    <button onClick={() => requestPurge(ann.id)} className="flex items-center gap-1 px-3 py-1.5 rounded-lg bg-red-500/20 hover:bg-red-500/30 text-red-200 text-sm">
+                      <Trash2 size={14} /> {tr('news.deleteForever')}
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </>
+          ) : filteredSorted.length === 0 ? (
             <div className="bg-white/10 backdrop-blur-lg rounded-2xl p-10 border border-white/10 text-center">
               <Bell className="mx-auto mb-4 text-purple-400" size={56} />
-              <p className="text-white/70">No announcements found</p>
+              <p className="text-white/70">{tr('news.noneFound')}</p>
             </div>
           ) : (
             <>
@@ -908,6 +15336,7 @@ export default function MythOS() {
                             value={editDraft.title}
                             onChange={e => setEditDraft(d => ({ ...d, title: e.target.value }))}
                             maxLength={120}
+                            aria-label={tr('news.editTitle')}
                             className="w-full mb-2 p-2 rounded-lg bg-white/10 border border-white/20 text-white outline-none"
                           />
                           <textarea
@@ -915,23 +15344,37 @@ export default function MythOS() {
                             onChange={e => setEditDraft(d => ({ ...d, message: e.target.value }))}
                             rows={4}
                             maxLength={2000}
-                            className="w-full p-2 rounded-lg bg-white/10 border border-white/20 text-white outline-none"
+                            aria-label={tr('news.editMessage')}
+                            className="w-full mb-3 p-2 rounded-lg bg-white/10 border border-white/20 text-white outline-none"
                           />
+                          <AnnouncementOptions value={editDraft} onChange={setEditDraft} users={directory} classes={classes} onError={m => pushToast(m, 'error')} />
                         </>
                       ) : (
                         <>
-                          <h4 className="text-white font-bold text-lg break-words">{ann.title}</h4>
+                          <h4 className="text-white font-bold text-lg break-words flex items-center gap-2">
+                            {ann.pinned && <Pin size={16} className="text-yellow-300 shrink-0" />}
+                            {ann.title}
+                          </h4>
                           <div className="flex items-center gap-3 flex-wrap mt-1">
                             <div className="flex items-center gap-2 bg-purple-500/20 px-3 py-1 rounded-full">
-                              <span className="text-purple-300 font-medium truncate">{ann.author || 'System'}</span>
-                              {ann.verified && (
-                                <>
-                                  <CheckCircle className="text-green-400" size={14} />
-                                  <span className="text-green-400 text-[10px] font-bold">VERIFIED</span>
-                                </>
-                              )}
+                              <span className="text-purple-300 font-medium truncate">{ann.author || tr('news.system')}</span>
+                              <CheckCircle className="text-green-400" size={14} />
+                              <span className="text-green-400 text-[10px] font-bold">{tr('news.verified')}</span>
                             </div>
-                            <span className="text-white/60 text-xs">{fmtDate(ann.date)}</span>
+                            <span className={`px-2 py-0.5 rounded-full text-xs ${ANNOUNCEMENT_STATUS[ann.status]}`}>{tr(`news.status.${ann.status}`)}</span>
+                            {PRIORITY_STYLES[ann.priority]?.chip && <span className={`px-2 py-0.5 rounded-full text-xs ${PRIORITY_STYLES[ann.priority].chip}`}>{tr(`news.priority.${ann.priority}`)}</span>}
+                            <span className="text-white/60 text-xs">
+                              {fmtDate(ann.publishAt)}{ann.expiresAt ? ` → ${fmtDate(ann.expiresAt)}` : ''}
+                            </span>
+                          </div>
+                          <div className="flex items-center gap-3 flex-wrap mt-2 text-xs text-white/60">
+                            <span className="flex items-center gap-1"><Users size={14} /> {audienceText(ann.audience, directory, classes)}</span>
+                            <button onClick={() => toggleReceipts(ann.id)} className="flex items-center gap-1 underline hover:text-white">
+                              <Eye size={14} /> {tr('news.readBy', { read: fmtNumber(ann.receipts.read), audience: fmtNumber(ann.receipts.audience) })}
+                            </button>
+                            <button onClick={() => toggleHistory(ann.id)} className="flex items-center gap-1 underline hover:text-white">
+                              <HistoryIcon size={14} /> {tr('news.historyCount', { n: fmtNumber(ann.revisions) })}
+                            </button>
                           </div>
                         </>
                       )}
@@ -943,34 +15386,48 @@ export default function MythOS() {
                           <button
                             onClick={() => saveEdit(ann.id)}
                             className="p-2 bg-green-500/20 hover:bg-green-500/30 rounded-lg transition-colors"
-                            title="Save"
+                            title={tr('common.save')}
+                            aria-label={tr('common.save')}
                           >
                             <Save className="text-green-300" size={18} />
                           </button>
                           <button
                             onClick={cancelEdit}
                             className="p-2 bg-white/10 hover:bg-white/20 rounded-lg transition-colors"
-                            title="Cancel"
+                            title={tr('common.cancel')}
+                            aria-label={tr('common.cancel')}
                           >
                             <XCircle className="text-white/80" size={18} />
                           </button>
                         </>
                       ) : (
                         <>
+                          {canManage && (
+                            <button
+                              onClick={() => togglePin(ann)}
+                              className="p-2 bg-white/10 hover:bg-white/20 rounded-lg transition-colors"
+                              title={tr(ann.pinned ? 'news.unpin' : 'news.pinShort')}
+                              aria-label={tr(ann.pinned ? 'news.unpin' : 'news.pinShort')}
+                            >
+                              {ann.pinned ? <PinOff className="text-yellow-300" size={18} /> : <Pin className="text-white/80" size={18} />}
+                            </button>
+                          )}
                           {canManage && (
                             <button
                               onClick={() => startEdit(ann)}
                               className="p-2 bg-white/10 hover:bg-white/20 rounded-lg transition-colors"
-                              title="Edit"
+                              title={tr('common.edit')}
+                              aria-label={tr('common.edit')}
                             >
                               <Pencil className="text-white/80" size={18} />
                             </button>
                           )}
                           {canManage && (
                             <button
-                              onClick={() => requestDelete(ann.id)}
+                              onClick={() => deleteAnnouncement(ann.id)}
                               className="p-2 bg-red-500/20 hover:bg-red-500/30 rounded-lg transition-colors"
-                              title="Delete"
+                              title={tr('news.moveToTrash')}
+                              aria-label={tr('news.moveToTrash')}
                             >
                               <Trash2 className="text-red-300" size={18} />
                             </button>
@@ -981,7 +15438,55 @@ export default function MythOS() {
                   </div>
 
                   {editingId !== ann.id && (
-                    <p className="text-white/90 leading-relaxed">{ann.message}</p>
+                    <>
+                      <Markdown text={ann.message} className="text-white/90" />
+                      <AnnouncementExtras attachments={ann.attachments} links={ann.links} />
+                    </>
+                  )}
+                  {receipts?.id === ann.id && (
+                    <div className="mt-4 border-t border-white/10 pt-3 grid sm:grid-cols-2 gap-x-6 gap-y-1 text-sm">
+                      {receipts.rows.length ? receipts.rows.map(r => (
+                        <div key={r.userId} className="flex items-center justify-between gap-2">
+                          <span className="text-white/80 truncate">{r.name} <span className="text-white/40 text-xs">{tr(`role.${r.role}`)}</span></span>
+                          <span className={r.readAt ? 'text-green-300 text-xs' : 'text-white/40 text-xs'}>{r.readAt ? fmtDate(r.readAt) : tr('news.unread')}</span>
+                        </div>
+                      )) : <p className="text-white/50">{tr('news.noAudience')}</p>}
+                    </div>
+                  )}
+                  {revisions?.id === ann.id && (
+                    <div className="mt-4 border-t border-white/10 pt-3 space-y-3">
+                      {revisions.rows.map((r, i) => {
+                        const prev = revisions.rows[i + 1];
+                        const changes = prev ? revisionChanges(prev, r, directory, classes) : [];
+                        return (
+                          <div key={r.rev} className="bg-black/20 rounded-xl p-3 text-sm space-y-2">
+                            <div className="flex flex-wrap items-center gap-2">
+                              <span className="text-white font-semibold">{tr('news.version', { n: fmtNumber(r.rev) })}</span>
+                              <span className="text-white/60 text-xs">
+                                {tr(r.action === 'created' ? 'news.rev.created' : r.action === 'restored' ? 'news.rev.restored' : r.action === 'untrashed' ? 'news.rev.untrashed' : 'news.rev.edited', { name: r.editor, from: fmtNumber(r.restoredFrom) })} · {fmtDate(r.at)}
+                              </span>
+                              {i === 0 ? <span className="ms-auto text-green-300 text-xs">{tr('news.current')}</span> : (
+                                <button onClick={() => restoreRevision(ann.id, r.rev)} className="ms-auto flex items-center gap-1 px-2 py-1 rounded-lg bg-white/10 hover:bg-white/20 text-white text-xs">
+                                  <RotateCcw size={12} /> {tr('common.restore')}
+                                </button>
+                              )}
+                            </div>
+                            {(!prev || prev.title !== r.title) && (
+                              <p className="text-white/90 font-medium">{prev ? <WordDiff from={prev.title} to={r.title} /> : r.title}</p>
+                            )}
+                            {(!prev || prev.message !== r.message) && (
+                              <p className="text-white/80">{prev ? <WordDiff from={prev.message} to={r.message} /> : <span className="whitespace-pre-wrap">{r.message}</span>}</p>
+                            )}
+                            {changes.length > 0 && (
+                              <ul className="text-white/60 text-xs list-disc ps-5">
+                                {changes.map(c => <li key={c}>{c}</li>)}
+                              </ul>
+                            )}
+                            {prev && prev.title === r.title && prev.message === r.message && !changes.length && <p className="text-white/50 text-xs">{tr('news.noChanges')}</p>}
+                          </div>
+                        );
+                      })}
+                    </div>
                   )}
                 </motion.div>
               ))}
@@ -989,13 +15494,14 @@ export default function MythOS() {
               {/* Pagination */}
               <div className="flex items-center justify-between pt-2">
                 <div className="text-white/60 text-sm">
-                  Page {pageSafe} of {pageCount} • {filteredSorted.length} total
+                  {tr('news.pageOf', { page: fmtNumber(pageSafe), count: fmtNumber(pageCount), total: fmtNumber(filteredSorted.length) })}
                 </div>
                 <div className="flex items-center gap-2">
                   <button
                     onClick={() => setPage(p => clamp(p - 1, 1, pageCount))}
                     className="p-2 rounded-lg bg-white/10 border border-white/20 text-white/80 disabled:opacity-40"
                     disabled={pageSafe <= 1}
+                    aria-label={tr('a11y.previousPage')}
                   >
                     <ChevronLeft size={18} />
                   </button>
@@ -1003,6 +15509,7 @@ export default function MythOS() {
                     onClick={() => setPage(p => clamp(p + 1, 1, pageCount))}
                     className="p-2 rounded-lg bg-white/10 border border-white/20 text-white/80 disabled:opacity-40"
                     disabled={pageSafe >= pageCount}
+                    aria-label={tr('a11y.nextPage')}
                   >
                     <ChevronRight size={18} />
                   </button>
@@ -1015,50 +15522,70 @@ export default function MythOS() {
 
       <Confirm
         open={confirmOpen}
-        title="Delete announcement?"
-        desc="This action cannot be undone."
+        title={tr('news.purgeTitle')}
+        desc={tr('news.purgeDesc')}
         onCancel={() => { setConfirmOpen(false); setPendingDelete(null); }}
-        onConfirm={doDelete}
+        onConfirm={doPurge}
       />
     </div>
   );
 
   /* ------------------- Shell ------------------- */
+  const showBanner = !!(org?.banner.show && org.banner.text);
   return (
     <ErrorBoundary>
-      <div className={`flex h-screen bg-gradient-to-br ${settings.bg}`}>
+      <MotionConfig reducedMotion={reduceMotion ? 'always' : 'never'}>
+      <div className="flex h-screen bg-gradient-to-br from-indigo-900 via-purple-900 to-pink-900 mythos-bg">
+        <a href="#mythos-panel" className="sr-only focus:not-sr-only focus:absolute focus:top-2 focus:start-2 focus:z-[1100] px-3 py-2 rounded-lg bg-white text-black font-semibold">
+          {tr('a11y.skip')}
+        </a>
+        <div className="sr-only" aria-live="polite">{spoken}</div>
         <AnimatePresence>
-          {settings.showBanner && settings.banner && (
-            <motion.div variants={slideUp} initial="initial" animate="animate" exit="exit" className="absolute top-0 left-0 right-0 bg-yellow-500/90 text-black p-3 text-center font-semibold z-50">
-              {settings.banner}
+          {showBanner && (
+            <motion.div variants={slideUp} initial="initial" animate="animate" exit="exit" className="absolute top-0 start-0 end-0 bg-yellow-500/90 text-black p-3 text-center font-semibold z-50">
+              {org.banner.text}
             </motion.div>
           )}
         </AnimatePresence>
 
         {/* Sidebar */}
-        <motion.div
+        <motion.nav
+          id="mythos-sidebar"
+          aria-label={tr('a11y.sections')}
           animate={{ width: sidebar ? 256 : 0 }}
           transition={{ type: 'spring', stiffness: 260, damping: 30 }}
-          className={`${settings.showBanner && settings.banner ? 'mt-12' : ''} bg-black/30 backdrop-blur-xl border-r border-white/10 overflow-hidden`}
+          className={`${showBanner ? 'mt-12' : ''} ${sidebar ? '' : 'invisible'} bg-black/30 backdrop-blur-xl border-e border-white/10 overflow-hidden`}
         >
           <div className="p-4 h-full flex flex-col w-64">
             <div className="flex items-center gap-3 mb-6">
-              <div className="p-2 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-xl">
-                <Brain size={24} className="text-white" />
-              </div>
-              <div>
-                <h2 className="text-white font-bold text-lg">Myth OS</h2>
-                <p className="text-purple-300 text-xs capitalize">{(user?.role)||'guest'}</p>
+              {org?.branding.logo ? <img src={org.branding.logo} alt="" className="w-10 h-10 object-contain" /> : (
+                <div className="p-2 bg-gradient-to-br from-yellow-400 to-orange-500 rounded-xl">
+                  <Brain size={24} className="text-white" />
+                </div>
+              )}
+              <div className="min-w-0">
+                <h2 className="text-white font-bold text-lg truncate">{org?.branding.name || 'Myth OS'}</h2>
+                <p className="text-purple-300 text-xs">{tr(`role.${user?.role || 'guest'}`)}</p>
               </div>
             </div>
 
-            <div className="space-y-2 flex-1 overflow-y-auto pr-1">
-              {allTabs.map(t => {
+            <div
+              role="tablist"
+              aria-orientation="vertical"
+              onKeyDown={e => rovingKeys(e, '[role=tab]')}
+              className={`space-y-2 overflow-y-auto pe-1 ${tab === 'chat' ? 'shrink-0 max-h-[45%]' : 'flex-1'}`}
+            >
+              {shownTabs.map(t => {
                 const Icon = t.icon; const active = tab === t.id;
                 return (
                   <motion.button
                     key={t.id}
-                    whileHover={{ x: 2 }}
+                    id={`tab-${t.id}`}
+                    role="tab"
+                    aria-selected={active}
+                    aria-controls="mythos-panel"
+                    tabIndex={active ? 0 : -1}
+                    whileHover={{ x: LOCALES[locale].dir === 'rtl' ? -2 : 2 }}
                     onClick={() => { try { setTab(t.id); } catch(e){ console.error(e); } }}
                     className={`w-full flex items-center gap-3 p-3 rounded-xl transition-all ${
                       active
@@ -1066,66 +15593,130 @@ export default function MythOS() {
                         : 'text-white/70 hover:bg-white/10 hover:text-white'
                     }`}
                   >
-                    <Icon size={20} />
+                    <Icon size={20} aria-hidden="true" />
                     <span className="font-medium">{t.name}</span>
+                    {t.badge > 0 && <span className="ms-auto text-xs px-2 py-0.5 rounded-full bg-pink-500 text-white">{t.badge}</span>}
                   </motion.button>
                 );
               })}
             </div>
 
+            {tab === 'chat' && (
+              <ConversationList
+                convos={convos}
+                activeId={convoId}
+                onSelect={setConvoId}
+                onNew={() => startConvo()}
+                onRename={renameConvo}
+                onDelete={setPendingConvoDelete}
+                onTogglePin={togglePinConvo}
+              />
+            )}
+
             <div className="pt-6 border-t border-white/10">
               <div className="p-3 bg-white/5 rounded-xl mb-2">
-                <p className="text-white font-medium">{user?.name || 'User'}</p>
-                <p className="text-purple-300 text-sm capitalize">{(user?.role)||'guest'}</p>
+                <p className="text-white font-medium">{user?.name || tr('shell.user')}</p>
+                <p className="text-purple-300 text-sm">{tr(`role.${user?.role || 'guest'}`)}</p>
               </div>
               <button
                 onClick={logout}
                 className="w-full flex items-center gap-3 p-3 rounded-xl text-red-400 hover:bg-red-500/20 transition-all"
               >
-                <LogOut size={20} />
-                <span className="font-medium">Logout</span>
+                <LogOut size={20} aria-hidden="true" />
+                <span className="font-medium">{tr('shell.logout')}</span>
               </button>
             </div>
           </div>
-        </motion.div>
+        </motion.nav>
 
         {/* Header + Body */}
-        <div className={`flex-1 flex flex-col ${settings.showBanner && settings.banner ? 'mt-12' : ''}`}>
-          <div className="bg-black/30 backdrop-blur-xl border-b border-white/10 p-4 flex items-center justify-between">
+        <div className={`flex-1 flex flex-col ${showBanner ? 'mt-12' : ''}`}>
+          <header className="bg-black/30 backdrop-blur-xl border-b border-white/10 p-4 flex items-center justify-between">
             <div className="flex items-center gap-4">
               <button
                 onClick={() => setSidebar(!sidebar)}
+                aria-label={sidebar ? tr('a11y.hideSidebar') : tr('a11y.showSidebar')}
+                aria-expanded={sidebar}
+                aria-controls="mythos-sidebar"
                 className="p-2 rounded-lg bg-white/10 hover:bg-white/20 text-white transition-colors"
               >
                 {sidebar ? <X size={20} /> : <Menu size={20} />}
               </button>
               <div>
                 <h1 className="text-xl font-bold text-white">
-                  {allTabs.find(t => t.id === tab)?.name}
+                  {shownTabs.find(t => t.id === tab)?.name}
                 </h1>
-                <p className="text-sm text-purple-300">Welcome{user?.name?`, ${user.name}`:''}!</p>
+                <p className="text-sm text-purple-300">
+                  {tab === 'chat' && activeConvo
+                    ? `${convoName(activeConvo)} • ${subjectName(activeConvo.subject || 'general')}`
+                    : user?.name ? tr('shell.welcomeName', { name: user.name }) : tr('shell.welcome')}
+                </p>
               </div>
             </div>
-          </div>
+            <div className="flex items-center gap-3">
+              {['lessons', 'quizzes', 'assignments', 'analytics', 'safety'].includes(tab) && ['teacher', 'admin'].includes(user?.role) && (
+                <select
+                  value={classId}
+                  onChange={e => setClassId(e.target.value)}
+                  aria-label={tr('shell.class')}
+                  className="p-2 rounded-lg bg-white/10 border border-white/20 text-white text-sm outline-none focus:ring-2 focus:ring-purple-500 max-w-[14rem]"
+                >
+                  <option value="" className="bg-gray-800">{user.role === 'admin' && tab === 'analytics' ? tr('shell.wholeSchool') : tr('shell.allClasses')}</option>
+                  {classes.map(c => <option key={c.id} value={c.id} className="bg-gray-800">{c.name}</option>)}
+                </select>
+              )}
+              {user && <NotificationCenter key={user.id} user={user} onOpen={setTab} onArrive={onNotification} />}
+            </div>
+          </header>
 
-          <div className="flex-1 overflow-hidden">
-            {tab === 'chat' && <ChatTab />}
-            {tab === 'analytics' && <AnalyticsTab />}
-            {tab === 'settings' && <SettingsTab />}
-            {tab === 'study' && <StudyTab />}
-            {tab === 'progress' && <ProgressTab />}
-            {tab === 'announce' && <AnnounceTab />}
-            {/* placeholder simple tabs */}
-            {['math','science','writing','lessons','quizzes','special'].includes(tab) && (
-              <div className="p-6 text-white/80">
-                <p className="text-lg">This section is a placeholder. Build your tools here 🚀</p>
-              </div>
+          <main className="flex-1 overflow-hidden">
+          <div
+            id="mythos-panel"
+            ref={panel}
+            role="tabpanel"
+            aria-labelledby={`tab-${tab}`}
+            tabIndex={-1}
+            className="h-full overflow-hidden outline-none"
+          >
+            {tab === 'chat' && ChatTab()}
+            {tab === 'analytics' && <AnalyticsTab user={user} classId={classId} classes={classes} onPickClasses={() => setTab('classes')} pushToast={pushToast} />}
+            {tab === 'safety' && <SafetyTab user={user} classId={classId} classes={classes} pushToast={pushToast} />}
+            {tab === 'classes' && <ClassesTab key={user?.id || 'guest'} user={user} onChange={loadClasses} pushToast={pushToast} />}
+            {tab === 'news' && <NewsTab key={user?.id || 'guest'} feed={feed} onMark={markAnnouncements} />}
+            {tab === 'settings' && SettingsTab()}
+            {tab === 'appearance' && <AppearanceTab key={user?.id || 'guest'} prefs={prefs || DEFAULT_PREFS} branding={org?.branding} systemDark={systemDark} deviceLocale={deviceLang} onChange={savePrefs} />}
+            {tab === 'study' && <StudyTab key={user?.id || 'guest'} user={user} askModel={featureOn('ai_study_plan') ? toolModels.ai_study_plan : null} pushToast={pushToast} onTrack={track} />}
+            {tab === 'flashcards' && <FlashcardsTab key={user?.id || 'guest'} user={user} draft={cardDraft} onDraftChange={setCardDraft} onTrack={track} pushToast={pushToast} />}
+            {tab === 'progress' && (
+              <ProgressTab
+                flushEvents={flushEvents}
+                pushToast={pushToast}
+                cardsDue={srs.dueToday(storage.get(decksKey(user), []))}
+                onReviewCards={() => setTab('flashcards')}
+              />
             )}
+            {tab === 'announce' && AnnounceTab()}
+            {tab === 'math' && <MathTab onAskTutor={(text) => askTutor('math', text)} />}
+            {tab === 'science' && <ScienceTab onAskTutor={(text) => askTutor('science', text)} />}
+            {tab === 'assignments' && <AssignmentsTab key={user?.id || 'guest'} user={user} classId={classId} classes={classes} askModel={featureOn('ai_grade_draft') ? toolModels.ai_grade_draft : null} pushToast={pushToast} />}
+            {tab === 'lessons' && <LessonsTab key={user?.id || 'guest'} classId={classId} classes={classes} askModel={featureOn('ai_lesson_draft') ? toolModels.ai_lesson_draft : null} pushToast={pushToast} />}
+            {tab === 'quizzes' && <QuizzesTab key={user?.id || 'guest'} user={user} classId={classId} classes={classes} askModel={featureOn('ai_quiz_questions') ? toolModels.ai_quiz_questions : null} pushToast={pushToast} />}
+            {tab === 'writing' && <WritingTab key={user?.id || 'guest'} user={user} askModel={featureOn('ai_writing') ? toolModels.ai_writing : null} pushToast={pushToast} onAskTutor={(text) => askTutor('writing', text)} />}
           </div>
+          </main>
         </div>
 
+        <Confirm
+          open={!!pendingConvoDelete}
+          title={tr('convo.deleteTitle')}
+          desc={tr('convo.deleteDesc')}
+          onCancel={() => setPendingConvoDelete(null)}
+          onConfirm={deleteConvo}
+        />
+
         <Toasts toasts={toasts} remove={(id) => setToasts(prev => prev.filter(t => t.id !== id))} />
       </div>
+      </MotionConfig>
     </ErrorBoundary>
   );
 }
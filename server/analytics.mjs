@@ -0,0 +1,166 @@
+/* =============================================================================
+   MythOS server — admin analytics
+   Aggregates the activity log (progress.mjs) for a date range and for the
+   period of the same length right before it, so every number can show a trend.
+   Query: ?from=YYYY-MM-DD&to=YYYY-MM-DD&tz=<minutes east of UTC>&classId=
+   (range is inclusive and at most 366 days; defaults to the last 30 days).
+   Admins see the whole school or one class; teachers only their own classes,
+   where every number is about the class's students.
+============================================================================= */
+import { badRequest } from './http.mjs';
+import { requireRole, ROLES } from './auth.mjs';
+import { dayOf, minutesOf, readTz, shiftDay } from './progress.mjs';
+import { audienceOf } from './announcements.mjs';
+import { ownClass, studentIdsOf } from './classes.mjs';
+import { requireFeature } from './flags.mjs';
+
+const MAX_DAYS = 366;
+const DAY_RX = /^\d{4}-\d{2}-\d{2}$/;
+
+const daysBetween = (a, b) => Math.round((Date.parse(b) - Date.parse(a)) / 86_400_000);
+
+export const readRange = (query, tz) => {
+  const today = dayOf(new Date().toISOString(), tz);
+  const to = query.to || today;
+  const from = query.from || shiftDay(to, -29);
+  if (!DAY_RX.test(from) || !DAY_RX.test(to) || Number.isNaN(Date.parse(from)) || Number.isNaN(Date.parse(to)))
+    throw badRequest('`from` and `to` must be dates like 2024-09-01');
+  if (from > to) throw badRequest('`from` must not be after `to`');
+  const days = daysBetween(from, to) + 1;
+  if (days > MAX_DAYS) throw badRequest(`Ranges are limited to ${MAX_DAYS} days`).withKey('analytics.rangeTooLong', { n: MAX_DAYS });
+  return { from, to, days, prevFrom: shiftDay(from, -days), prevTo: shiftDay(from, -1) };
+};
+
+const round1 = (n) => Math.round(n * 10) / 10;
+const avg = (list) => list.length ? round1(list.reduce((a, b) => a + b, 0) / list.length) : null;
+
+// Totals for one period; `days` gets a daily series when given.
+const summarize = (events, roleOf, days) => {
+  const active = new Set();
+  const byRole = Object.fromEntries(ROLES.map(r => [r, new Set()]));
+  const series = days && Object.fromEntries(days.map(d => [d, { day: d, activeUsers: new Set(), chatMessages: 0, studyMinutes: 0 }]));
+  const subjects = {};
+  const quizzes = {};
+  let chatMessages = 0, studyMinutes = 0;
+
+  for (const e of events) {
+    const role = roleOf(e.userId);
+    const subject = (subjects[e.subject] ||= { subject: e.subject, minutes: 0, chatMessages: 0, users: new Set() });
+    const row = series?.[e.day];
+    if (e.type !== 'announcement_view') {
+      active.add(e.userId);
+      if (role) byRole[role].add(e.userId);
+      row?.activeUsers.add(e.userId);
+    }
+    const mins = minutesOf(e);
+    if (mins) {
+      studyMinutes += mins;
+      subject.minutes += mins;
+      subject.users.add(e.userId);
+      if (row) row.studyMinutes += mins;
+    }
+    if (e.type === 'chat_message') {
+      chatMessages++;
+      subject.chatMessages++;
+      subject.users.add(e.userId);
+      if (row) row.chatMessages++;
+    }
+    if (e.type === 'quiz') (quizzes[e.subject] ||= []).push(e);
+  }
+
+  const quizList = Object.values(quizzes).flat();
+  return {
+    totals: {
+      activeUsers: active.size,
+      byRole: Object.fromEntries(ROLES.map(r => [r, byRole[r].size])),
+      chatMessages,
+      studyMinutes: round1(studyMinutes),
+      quizzes: quizList.length,
+      quizAverage: avg(quizList.map(q => q.score)),
+      quizPassRate: quizList.length ? round1((quizList.filter(q => q.passed).length / quizList.length) * 100) : null
+    },
+    subjects: Object.values(subjects)
+      .filter(s => s.minutes || s.chatMessages)
+      .map(s => ({ subject: s.subject, minutes: round1(s.minutes), chatMessages: s.chatMessages, users: s.users.size })),
+    quizzes: Object.entries(quizzes).map(([subject, list]) => ({
+      subject, count: list.length, average: avg(list.map(q => q.score)),
+      passRate: round1((list.filter(q => q.passed).length / list.length) * 100)
+    })),
+    series: series && Object.values(series).map(r => ({ ...r, activeUsers: r.activeUsers.size, studyMinutes: round1(r.studyMinutes) }))
+  };
+};
+
+// Announcement reach: read receipts from the period for every announcement
+// that was live in it, against the announcement's own audience (within `members`).
+const reach = (ctx, from, to, tz, members) => {
+  const readers = {};
+  for (const r of ctx.db.collection('announcement_reads').all()) {
+    const day = dayOf(r.readAt, tz);
+    if (day >= from && day <= to) (readers[r.announcementId] ||= new Set()).add(r.userId);
+  }
+  return ctx.db.collection('announcements')
+    .filter(a => !a.deletedAt && dayOf(a.publishAt, tz) <= to && (!a.expiresAt || dayOf(a.expiresAt, tz) >= from))
+    .map(a => {
+      const audience = audienceOf(ctx, a).filter(u => !members || members.has(u.id));
+      const read = audience.filter(u => readers[a.id]?.has(u.id)).length;
+      return { id: a.id, title: a.title, readers: read, audience: audience.length, reachPct: audience.length ? round1((read / audience.length) * 100) : 0 };
+    })
+    .filter(a => !members || a.audience)
+    .sort((a, b) => b.reachPct - a.reachPct || b.readers - a.readers);
+};
+
+// `members`: a Set of user ids to count (one class), or null for everyone
+export const analyticsFor = (ctx, { from, to, days, prevFrom, prevTo }, tz, members = null) => {
+  const users = ctx.db.collection('users').filter(u => !members || members.has(u.id));
+  const roles = Object.fromEntries(users.map(u => [u.id, u.role]));
+  const roleOf = (id) => roles[id];
+  const inRange = (a, b) => ctx.db.collection('events').all()
+    .filter(e => !members || members.has(e.userId))
+    .map(e => ({ ...e, day: dayOf(e.at, tz) }))
+    .filter(e => e.day >= a && e.day <= b);
+
+  const current = inRange(from, to);
+  const previous = inRange(prevFrom, prevTo);
+  const dayList = Array.from({ length: days }, (_, i) => shiftDay(from, i));
+  const prevDays = Array.from({ length: days }, (_, i) => shiftDay(prevFrom, i));
+  const cur = summarize(current, roleOf, dayList);
+  const prev = summarize(previous, roleOf, prevDays);
+
+  const signups = (a, b) => users.filter(u => { const d = dayOf(u.createdAt, tz); return d >= a && d <= b; }).length;
+  const prevSubjects = Object.fromEntries(prev.subjects.map(s => [s.subject, s]));
+  const prevQuizzes = Object.fromEntries(prev.quizzes.map(q => [q.subject, q]));
+
+  return {
+    range: { from, to, days, prevFrom, prevTo },
+    users: {
+      total: users.filter(u => !u.disabled).length,
+      byRole: Object.fromEntries(ROLES.map(r => [r, users.filter(u => u.role === r && !u.disabled).length])),
+      newUsers: { current: signups(from, to), previous: signups(prevFrom, prevTo) }
+    },
+    totals: cur.totals,
+    previous: prev.totals,
+    // previous-period values are aligned by position (day 1 vs day 1) for overlay charts
+    daily: cur.series.map((r, i) => ({ ...r, prevDay: prev.series[i].day, prevActiveUsers: prev.series[i].activeUsers, prevChatMessages: prev.series[i].chatMessages, prevStudyMinutes: prev.series[i].studyMinutes })),
+    subjects: cur.subjects
+      .map(s => ({ ...s, prevMinutes: prevSubjects[s.subject]?.minutes || 0, prevChatMessages: prevSubjects[s.subject]?.chatMessages || 0 }))
+      .sort((a, b) => b.minutes - a.minutes),
+    quizzes: cur.quizzes
+      .map(q => ({ ...q, prevAverage: prevQuizzes[q.subject]?.average ?? null }))
+      .sort((a, b) => b.count - a.count),
+    announcements: reach(ctx, from, to, tz, members)
+  };
+};
+
+/* ----------------------------------------------------------------------------
+   Routes
+---------------------------------------------------------------------------- */
+export function registerAnalyticsRoutes(router) {
+  router.get('/api/analytics', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'analytics');
+    if (user.role !== 'admin' && !ctx.query.classId) throw badRequest('Choose one of your classes').withKey('analytics.pickClass');
+    const members = ctx.query.classId ? new Set(studentIdsOf(ctx, ownClass(ctx, user, ctx.query.classId).id)) : null;
+    const tz = readTz(ctx.query.tz);
+    return analyticsFor(ctx, readRange(ctx.query, tz), tz, members);
+  });
+}
@@ -0,0 +1,328 @@
+/* =============================================================================
+   MythOS server — announcements
+   Admin-written notices with an audience, an optional publish time and
+   expiry, a pin and a priority. The audience is any mix of roles, classes and
+   specific users; leaving all three empty means everyone. Readers only get
+   what is live and meant for them, and mark it read; each read is one row in
+   `announcement_reads`, which admins see as read receipts.
+
+   Every save, and each restore, adds a full snapshot to
+   `announcement_revisions`, so admins can diff and restore. Deleting moves an announcement to the trash (deletedAt);
+   the trash is emptied after 30 days or by hand. Announcements can carry
+   attachments (attachments.mjs) and get preview cards for the first links in
+   the message (linkpreview.mjs). Its audience is notified once, when it
+   first goes live (notifications.mjs).
+============================================================================= */
+import { badRequest, notFound, readJson } from './http.mjs';
+import { requireRole, requireUser, ROLES } from './auth.mjs';
+import { classIdsFor } from './classes.mjs';
+import { attachmentsById, checkAttachments, ownUploads, registerAttachmentOwner, sweepAttachments } from './attachments.mjs';
+import { previewsFor } from './linkpreview.mjs';
+import { notify, registerNotificationJob } from './notifications.mjs';
+import { requireFeature } from './flags.mjs';
+
+export const PRIORITIES = ['low', 'normal', 'high', 'urgent'];
+const MAX_ATTACHMENTS = 5;
+const TRASH_DAYS = 30;
+// what a revision snapshots (and a restore puts back)
+const REVISION_FIELDS = ['title', 'message', 'audience', 'publishAt', 'expiresAt', 'pinned', 'priority', 'attachments', 'links'];
+
+const now = () => new Date().toISOString();
+const str = (v, max) => String(v ?? '').trim().slice(0, max);
+const list = (v, max, len) => [...new Set((Array.isArray(v) ? v : []).map(x => str(x, len)).filter(Boolean))].slice(0, max);
+
+const isoOrNull = (v, name) => {
+  if (!v) return null;
+  if (Number.isNaN(Date.parse(v))) throw badRequest(`${name} must be a date`);
+  return new Date(v).toISOString();
+};
+
+/* ----------------------------------------------------------------------------
+   Validation — `partial` for PATCH: only the fields that were sent
+---------------------------------------------------------------------------- */
+const validateAnnouncement = (ctx, b, partial) => {
+  const out = {};
+  if (!partial || b.title !== undefined) {
+    out.title = str(b.title, 120);
+    if (out.title.length < 3) throw badRequest('Title must be at least 3 characters').withKey('announcement.titleShort');
+  }
+  if (!partial || b.message !== undefined) {
+    out.message = str(b.message, 2000);
+    if (out.message.length < 5) throw badRequest('Message must be at least 5 characters').withKey('announcement.messageShort');
+  }
+  if (!partial || b.audience !== undefined) {
+    const a = b.audience || {};
+    const roles = list(a.roles, ROLES.length, 20);
+    const bad = roles.find(r => !ROLES.includes(r));
+    if (bad) throw badRequest(`Unknown role "${bad}"`);
+    const userIds = list(a.userIds, 500, 40);
+    const users = ctx.db.collection('users');
+    if (userIds.some(id => !users.get(id))) throw badRequest('Some of the chosen users no longer exist').withKey('announcement.usersGone');
+    const classIds = list(a.classIds, 100, 40);
+    const classes = ctx.db.collection('classes');
+    if (classIds.some(id => !classes.get(id))) throw badRequest('Some of the chosen classes no longer exist').withKey('announcement.classesGone');
+    out.audience = { roles, classIds, userIds };
+  }
+  if (!partial || b.publishAt !== undefined) out.publishAt = isoOrNull(b.publishAt, 'publishAt');
+  if (!partial || b.expiresAt !== undefined) out.expiresAt = isoOrNull(b.expiresAt, 'expiresAt');
+  if (!partial || b.pinned !== undefined) out.pinned = !!b.pinned;
+  if (!partial || b.priority !== undefined) {
+    out.priority = b.priority ?? 'normal';
+    if (!PRIORITIES.includes(out.priority)) throw badRequest(`Priority must be one of ${PRIORITIES.join(', ')}`);
+  }
+  if (!partial || b.attachments !== undefined) out.attachments = checkAttachments(ctx, b.attachments, MAX_ATTACHMENTS);
+  return out;
+};
+
+/* ----------------------------------------------------------------------------
+   Audience & status
+---------------------------------------------------------------------------- */
+export const inAudience = (ctx, user, a) => {
+  const { roles, classIds, userIds } = a.audience;
+  if (!roles.length && !classIds.length && !userIds.length) return true;
+  if (roles.includes(user.role) || userIds.includes(user.id)) return true;
+  const mine = new Set(classIdsFor(ctx, user));
+  return classIds.some(id => mine.has(id));
+};
+
+const live = (ctx) => ctx.db.collection('announcements').filter(a => !a.deletedAt);
+
+// Everyone (active) who the announcement is meant for
+export const audienceOf = (ctx, a) => ctx.db.collection('users').filter(u => !u.disabled && inAudience(ctx, u, a));
+
+export const statusOf = (a, at = now()) =>
+  a.publishAt > at ? 'scheduled' : a.expiresAt && a.expiresAt <= at ? 'expired' : 'live';
+
+// Pinned first, then by priority, then newest
+const RANK = Object.fromEntries(PRIORITIES.map((p, i) => [p, i]));
+const feedOrder = (a, b) =>
+  (b.pinned - a.pinned) || (RANK[b.priority] - RANK[a.priority]) || b.publishAt.localeCompare(a.publishAt);
+
+const publicAnnouncement = (ctx, a) => ({
+  id: a.id, title: a.title, message: a.message, author: a.author, priority: a.priority, pinned: a.pinned,
+  publishAt: a.publishAt, expiresAt: a.expiresAt, updatedAt: a.updatedAt,
+  attachments: attachmentsById(ctx, a.attachments), links: a.links || []
+});
+
+// `trashed`: true = only from the trash, false = only outside it, undefined = either
+const getAnnouncement = (ctx, id, trashed = false) => {
+  const a = ctx.db.collection('announcements').get(id);
+  if (!a || (trashed !== undefined && !!a.deletedAt !== trashed)) throw notFound('Announcement not found').withKey('announcement.notFound');
+  return a;
+};
+
+// Whatever ends up stored (a new one, an edit, a restore) has to expire after it is published
+const checkExpiry = (a) => {
+  if (a.expiresAt && a.expiresAt <= a.publishAt) throw badRequest('The expiry must be after the publish time').withKey('announcement.expiryOrder');
+};
+
+/* ----------------------------------------------------------------------------
+   Revisions & trash
+---------------------------------------------------------------------------- */
+const snapshot = (a) => Object.fromEntries(REVISION_FIELDS.map(k => [k, a[k] ?? null]));
+
+const addRevision = (ctx, a, user, action, extra = {}) => {
+  const revisions = ctx.db.collection('announcement_revisions');
+  const rev = revisions.count(r => r.announcementId === a.id) + 1;
+  revisions.insert({ announcementId: a.id, rev, ...snapshot(a), action, ...extra, editorId: user.id, editor: user.name || user.username, at: now() });
+};
+
+const purge = (ctx, ids) => {
+  const gone = new Set(ids);
+  ctx.db.collection('announcements').removeWhere(a => gone.has(a.id));
+  ctx.db.collection('announcement_reads').removeWhere(r => gone.has(r.announcementId));
+  ctx.db.collection('announcement_revisions').removeWhere(r => gone.has(r.announcementId));
+  sweepAttachments(ctx);
+};
+
+const emptyOldTrash = (ctx) => {
+  const cutoff = new Date(Date.now() - TRASH_DAYS * 86_400_000).toISOString();
+  const old = ctx.db.collection('announcements').filter(a => a.deletedAt && a.deletedAt < cutoff).map(a => a.id);
+  if (old.length) purge(ctx, old);
+};
+
+// New announcements wait with `notifyPending` until they are live
+const deliverAnnouncements = (ctx) => {
+  const rows = ctx.db.collection('announcements');
+  for (const a of rows.filter(a => a.notifyPending && !a.deletedAt)) {
+    const status = statusOf(a);
+    if (status === 'scheduled') continue;
+    if (status === 'live') {
+      const body = a.message.replace(/[#*_`>[\]]/g, '').replace(/\s+/g, ' ').slice(0, 140);
+      notify(ctx, audienceOf(ctx, a).map(u => u.id), { type: 'announcement', title: a.title, body, refId: a.id });
+    }
+    rows.update(a.id, { notifyPending: false });
+  }
+};
+
+// Readers may open files of announcements in their feed; revisions and the trash keep files in use
+const attachmentOwner = {
+  canRead: (ctx, user, id) => live(ctx).some(a =>
+    a.attachments?.includes(id) && statusOf(a) === 'live' && inAudience(ctx, user, a)),
+  inUse: (ctx) => new Set([
+    ...ctx.db.collection('announcements').all().flatMap(a => a.attachments || []),
+    ...ctx.db.collection('announcement_revisions').all().flatMap(r => r.attachments || [])
+  ])
+};
+
+// Saves go through here once the rest is valid: links are previewed whenever the message changes
+const withLinks = async (ctx, clean) => clean.message === undefined ? clean : { ...clean, links: await previewsFor(ctx, clean.message) };
+
+/* ----------------------------------------------------------------------------
+   Routes
+---------------------------------------------------------------------------- */
+export function registerAnnouncementRoutes(router) {
+  registerAttachmentOwner(attachmentOwner);
+  registerNotificationJob(deliverAnnouncements);
+
+  // The reader's feed: live announcements meant for them, with their read marks
+  router.get('/api/announcements', (ctx) => {
+    const user = requireUser(ctx);
+    requireFeature(ctx, 'news');
+    const at = now();
+    const reads = new Map(ctx.db.collection('announcement_reads').filter(r => r.userId === user.id).map(r => [r.announcementId, r.readAt]));
+    const announcements = live(ctx)
+      .filter(a => statusOf(a, at) === 'live' && inAudience(ctx, user, a))
+      .sort(feedOrder)
+      .map(a => ({ ...publicAnnouncement(ctx, a), readAt: reads.get(a.id) || null }));
+    return { announcements, unread: announcements.filter(a => !a.readAt).length };
+  });
+
+  // Admin view: everything, with status and read-receipt counts
+  router.get('/api/announcements/manage', (ctx) => {
+    requireRole(ctx, 'admin');
+    const at = now();
+    const reads = ctx.db.collection('announcement_reads').all();
+    const announcements = live(ctx).sort(feedOrder).map(a => {
+      const audience = audienceOf(ctx, a);
+      const ids = new Set(audience.map(u => u.id));
+      return {
+        ...publicAnnouncement(ctx, a),
+        audience: a.audience,
+        status: statusOf(a, at),
+        createdAt: a.createdAt,
+        receipts: { read: reads.filter(r => r.announcementId === a.id && ids.has(r.userId)).length, audience: audience.length },
+        revisions: ctx.db.collection('announcement_revisions').count(r => r.announcementId === a.id)
+      };
+    });
+    return { announcements };
+  });
+
+  router.get('/api/announcements/trash', (ctx) => {
+    requireRole(ctx, 'admin');
+    emptyOldTrash(ctx);
+    const announcements = ctx.db.collection('announcements').filter(a => a.deletedAt)
+      .sort((a, b) => b.deletedAt.localeCompare(a.deletedAt))
+      .map(a => ({ ...publicAnnouncement(ctx, a), deletedAt: a.deletedAt, deletedBy: a.deletedBy }));
+    return { announcements, retentionDays: TRASH_DAYS };
+  });
+
+  router.post('/api/announcements', async (ctx) => {
+    const admin = requireRole(ctx, 'admin');
+    const valid = validateAnnouncement(ctx, await readJson(ctx.req), false);
+    const stamp = now();
+    checkExpiry({ ...valid, publishAt: valid.publishAt || stamp });
+    ownUploads(ctx, admin, valid.attachments);
+    const clean = await withLinks(ctx, valid);
+    const a = ctx.db.collection('announcements').insert({
+      ...clean, publishAt: clean.publishAt || stamp, authorId: admin.id, author: admin.name || admin.username, createdAt: stamp, updatedAt: stamp,
+      notifyPending: true
+    });
+    addRevision(ctx, a, admin, 'created');
+    deliverAnnouncements(ctx);
+    return { announcement: publicAnnouncement(ctx, a) };
+  });
+
+  router.patch('/api/announcements/:id', async (ctx) => {
+    const admin = requireRole(ctx, 'admin');
+    const a = getAnnouncement(ctx, ctx.params.id);
+    const valid = validateAnnouncement(ctx, await readJson(ctx.req), true);
+    if (valid.publishAt === null) valid.publishAt = now();
+    checkExpiry({ ...a, ...valid });
+    if (valid.attachments) ownUploads(ctx, admin, valid.attachments, a.attachments);
+    const clean = await withLinks(ctx, valid);
+    const updated = ctx.db.collection('announcements').update(a.id, { ...clean, updatedAt: now() });
+    addRevision(ctx, updated, admin, 'edited');
+    sweepAttachments(ctx);
+    deliverAnnouncements(ctx);
+    return { announcement: publicAnnouncement(ctx, updated) };
+  });
+
+  // Soft delete: into the trash, where it can be restored
+  router.del('/api/announcements/:id', (ctx) => {
+    const admin = requireRole(ctx, 'admin');
+    const a = getAnnouncement(ctx, ctx.params.id);
+    ctx.db.collection('announcements').update(a.id, { deletedAt: now(), deletedBy: admin.name || admin.username });
+    return { ok: true };
+  });
+
+  router.post('/api/announcements/:id/restore', (ctx) => {
+    const admin = requireRole(ctx, 'admin');
+    const a = getAnnouncement(ctx, ctx.params.id, true);
+    checkExpiry(a);
+    const restored = ctx.db.collection('announcements').update(a.id, { deletedAt: null, deletedBy: null });
+    addRevision(ctx, restored, admin, 'untrashed');
+    return { announcement: publicAnnouncement(ctx, restored) };
+  });
+
+  router.del('/api/announcements/:id/purge', (ctx) => {
+    requireRole(ctx, 'admin');
+    purge(ctx, [getAnnouncement(ctx, ctx.params.id, true).id]);
+    return { ok: true };
+  });
+
+  // Newest first; each is a full snapshot, so the client diffs neighbours
+  router.get('/api/announcements/:id/revisions', (ctx) => {
+    requireRole(ctx, 'admin');
+    const a = getAnnouncement(ctx, ctx.params.id, undefined);
+    const revisions = ctx.db.collection('announcement_revisions').filter(r => r.announcementId === a.id)
+      .sort((x, y) => y.rev - x.rev)
+      .map(({ announcementId, attachments, ...r }) => ({ ...r, attachments: attachmentsById(ctx, attachments || []) }));
+    return { revisions };
+  });
+
+  router.post('/api/announcements/:id/revisions/:rev/restore', (ctx) => {
+    const admin = requireRole(ctx, 'admin');
+    const a = getAnnouncement(ctx, ctx.params.id);
+    const rev = ctx.db.collection('announcement_revisions').find(r => r.announcementId === a.id && r.rev === Number(ctx.params.rev));
+    if (!rev) throw notFound('Revision not found').withKey('announcement.revisionNotFound');
+    const fields = snapshot(rev);
+    const attachments = ctx.db.collection('attachments');
+    fields.attachments = (fields.attachments || []).filter(id => attachments.get(id));
+    checkExpiry({ ...a, ...fields });
+    const updated = ctx.db.collection('announcements').update(a.id, { ...fields, updatedAt: now() });
+    addRevision(ctx, updated, admin, 'restored', { restoredFrom: rev.rev });
+    return { announcement: publicAnnouncement(ctx, updated) };
+  });
+
+  // { ids: [string], unread?: bool } — marks the caller's own copies read (or unread again)
+  router.post('/api/announcements/read', async (ctx) => {
+    const user = requireUser(ctx);
+    requireFeature(ctx, 'news');
+    const body = await readJson(ctx.req);
+    const ids = list(body.ids, 200, 40);
+    const reads = ctx.db.collection('announcement_reads');
+    const announcements = ctx.db.collection('announcements');
+    const stamp = now();
+    let changed = 0;
+    for (const id of ids) {
+      const a = announcements.get(id);
+      if (!a || a.deletedAt || !inAudience(ctx, user, a)) continue;
+      const row = reads.find(r => r.announcementId === id && r.userId === user.id);
+      if (body.unread && row) { reads.remove(row.id); changed++; }
+      if (!body.unread && !row) { reads.insert({ announcementId: id, userId: user.id, readAt: stamp }); changed++; }
+    }
+    return { changed };
+  });
+
+  // Who in the audience has read it, and who has not
+  router.get('/api/announcements/:id/receipts', (ctx) => {
+    requireRole(ctx, 'admin');
+    const a = getAnnouncement(ctx, ctx.params.id, undefined);
+    const reads = new Map(ctx.db.collection('announcement_reads').filter(r => r.announcementId === a.id).map(r => [r.userId, r.readAt]));
+    const receipts = audienceOf(ctx, a)
+      .map(u => ({ userId: u.id, name: u.name || u.username, role: u.role, readAt: reads.get(u.id) || null }))
+      .sort((x, y) => (y.readAt || '').localeCompare(x.readAt || '') || x.name.localeCompare(y.name));
+    return { receipts };
+  });
+}
@@ -0,0 +1,388 @@
+/* =============================================================================
+   MythOS server — assignments, submissions & grading
+   Teachers (and admins) set work for one class (classes.mjs) or, with no
+   class, for every student: instructions, attached files, a due date and
+   either a point total or a rubric. Students save a draft, submit text and
+   files, and may unsubmit to edit until the work is graded; anything handed
+   in after the due date is flagged late.
+
+   Submitted work waits in the teacher's grading queue. A grade is rubric
+   scores (or one score), overall feedback and inline comments anchored to a
+   stretch of the submitted text; it can be saved as a draft and is only seen
+   by the student once it is returned. Returning notifies the student and
+   logs an `assignment` event for their Progress tab (progress.mjs).
+
+   Submission statuses: draft → submitted → returned
+============================================================================= */
+import crypto from 'node:crypto';
+import { ApiError, badRequest, notFound, readJson } from './http.mjs';
+import { requireRole, requireUser } from './auth.mjs';
+import { classIdsFor, readClassId, studentIdsOf } from './classes.mjs';
+import { attachmentsById, checkAttachments, ownUploads, registerAttachmentOwner, sweepAttachments } from './attachments.mjs';
+import { notify } from './notifications.mjs';
+import { recordEvent, readTz } from './progress.mjs';
+import { requireFeature } from './flags.mjs';
+
+const MAX_ATTACHMENTS = 5;
+const MAX_TEXT = 50_000;
+const MAX_COMMENTS = 100;
+
+const now = () => new Date().toISOString();
+const shortId = () => crypto.randomBytes(4).toString('hex');
+const str = (v, max) => String(v ?? '').trim().slice(0, max);
+const round2 = (n) => Math.round(n * 100) / 100;
+
+/* ----------------------------------------------------------------------------
+   Validation
+---------------------------------------------------------------------------- */
+// { criteria: [{ id, name, description, points }] } or null
+const validateRubric = (r) => {
+  if (!r || !Array.isArray(r.criteria)) return null;
+  const criteria = r.criteria.slice(0, 20).map((c, i) => {
+    const points = Number(c?.points);
+    if (!(points > 0 && points <= 1000)) throw badRequest(`Rubric criterion ${i + 1}: points must be between 0 and 1000`).withKey('assignment.criterionPoints', { n: i + 1 });
+    return { id: str(c?.id, 20) || shortId(), name: str(c?.name, 200), description: str(c?.description, 2000), points };
+  }).filter(c => c.name);
+  if (new Set(criteria.map(c => c.id)).size !== criteria.length) throw badRequest('Rubric criterion ids must be unique');
+  return criteria.length ? { criteria } : null;
+};
+
+const validateAssignment = (ctx, b, partial) => {
+  const out = {};
+  if (!partial || b.title !== undefined) {
+    out.title = str(b.title, 200);
+    if (!out.title) throw badRequest('The assignment needs a title').withKey('assignment.needsTitle');
+  }
+  if (b.instructions !== undefined) out.instructions = str(b.instructions, 20_000);
+  if (b.subject !== undefined) out.subject = str(b.subject, 40).toLowerCase() || 'general';
+  if (b.points !== undefined) {
+    const n = Number(b.points);
+    if (!(n > 0 && n <= 1000)) throw badRequest('Points must be between 0 and 1000').withKey('assignment.points');
+    out.points = n;
+  }
+  if (b.rubric !== undefined) out.rubric = validateRubric(b.rubric);
+  if (b.dueAt !== undefined) {
+    if (b.dueAt && Number.isNaN(Date.parse(b.dueAt))) throw badRequest('dueAt must be a date');
+    out.dueAt = b.dueAt ? new Date(b.dueAt).toISOString() : null;
+  }
+  if (b.attachments !== undefined) out.attachments = checkAttachments(ctx, b.attachments, MAX_ATTACHMENTS);
+  return out;
+};
+
+export const maxScoreOf = (a) => a.rubric ? a.rubric.criteria.reduce((n, c) => n + c.points, 0) : a.points;
+
+// Comments point at text[start, end); the quote is kept so a stale range can be spotted
+const validateComments = (list, text) => (Array.isArray(list) ? list : []).slice(0, MAX_COMMENTS).map(c => {
+  const start = Math.round(Number(c?.start)), end = Math.round(Number(c?.end));
+  const body = str(c?.text, 2000);
+  if (!body) return null;
+  const anchored = Number.isInteger(start) && Number.isInteger(end) && start >= 0 && end > start && end <= text.length;
+  return { id: str(c?.id, 20) || shortId(), text: body, ...(anchored ? { start, end, quote: text.slice(start, end) } : { start: null, end: null, quote: '' }) };
+}).filter(Boolean);
+
+const validateGrade = (a, sub, b) => {
+  const max = maxScoreOf(a);
+  let score, scores = null;
+  if (a.rubric) {
+    scores = {};
+    for (const c of a.rubric.criteria) {
+      const v = b.scores?.[c.id];
+      if (v === undefined || v === null || v === '') throw badRequest(`Give "${c.name}" a score`).withKey('assignment.giveScore', { name: c.name });
+      const n = Number(v);
+      if (!(n >= 0 && n <= c.points)) throw badRequest(`"${c.name}" must be scored 0–${c.points}`).withKey('assignment.criterionScore', { name: c.name, max: c.points });
+      scores[c.id] = n;
+    }
+    score = Object.values(scores).reduce((n, v) => n + v, 0);
+  } else {
+    score = Number(b.score);
+    if (b.score === '' || b.score == null || !(score >= 0 && score <= max)) throw badRequest(`The score must be 0–${max}`).withKey('assignment.score', { max });
+  }
+  return {
+    score: round2(score), maxScore: max, pct: max ? Math.round((score / max) * 1000) / 10 : 0, scores,
+    feedback: str(b.feedback, 10_000),
+    comments: validateComments(b.comments, sub.text || ''),
+    aiAssisted: !!b.aiAssisted
+  };
+};
+
+/* ----------------------------------------------------------------------------
+   Access
+---------------------------------------------------------------------------- */
+const canEdit = (user, row) => user.role === 'admin' || row.ownerId === user.id;
+
+const ownAssignment = (ctx, user, id) => {
+  const a = ctx.db.collection('assignments').get(id);
+  if (!a || !canEdit(user, a)) throw notFound('Assignment not found').withKey('assignment.notFound');
+  return a;
+};
+
+// Students see published work set for one of their classes, or for everyone
+const assignedTo = (ctx, user) => {
+  const mine = new Set(classIdsFor(ctx, user));
+  return (a) => a.status === 'published' && (!a.classId || mine.has(a.classId));
+};
+
+const visibleAssignment = (ctx, user, id) => {
+  const a = ctx.db.collection('assignments').get(id);
+  if (!a || !assignedTo(ctx, user)(a)) throw notFound('Assignment not found').withKey('assignment.notFound');
+  return a;
+};
+
+const gradeableSubmission = (ctx, user, id) => {
+  const s = ctx.db.collection('submissions').get(id);
+  const a = s && ctx.db.collection('assignments').get(s.assignmentId);
+  if (!a || !canEdit(user, a) || s.status === 'draft') throw notFound('Submission not found').withKey('assignment.submissionNotFound');
+  return { s, a };
+};
+
+// Who the work is for: the class roster, or every active student
+const expectedStudents = (ctx, a) => a.classId
+  ? studentIdsOf(ctx, a.classId)
+  : ctx.db.collection('users').filter(u => u.role === 'student' && !u.disabled).map(u => u.id);
+
+const submissionsOf = (ctx, assignmentId) => ctx.db.collection('submissions').filter(s => s.assignmentId === assignmentId);
+
+const isLate = (a, at) => !!a.dueAt && at > a.dueAt;
+
+/* ----------------------------------------------------------------------------
+   Views
+---------------------------------------------------------------------------- */
+const publicAssignment = (ctx, a) => ({
+  id: a.id, title: a.title, instructions: a.instructions, subject: a.subject, classId: a.classId,
+  points: a.points, rubric: a.rubric, maxScore: maxScoreOf(a), dueAt: a.dueAt, status: a.status,
+  publishedAt: a.publishedAt, attachments: attachmentsById(ctx, a.attachments), createdAt: a.createdAt, updatedAt: a.updatedAt
+});
+
+const assignmentSummary = (ctx, a) => {
+  const subs = submissionsOf(ctx, a.id).filter(s => s.status !== 'draft');
+  return {
+    ...publicAssignment(ctx, a),
+    stats: {
+      expected: expectedStudents(ctx, a).length,
+      submitted: subs.length,
+      late: subs.filter(s => s.late).length,
+      toGrade: subs.filter(s => s.status === 'submitted').length,
+      returned: subs.filter(s => s.status === 'returned').length
+    }
+  };
+};
+
+const returnedGrade = (g) => ({
+  score: g.score, maxScore: g.maxScore, pct: g.pct, scores: g.scores, feedback: g.feedback, comments: g.comments, gradedAt: g.gradedAt
+});
+
+// What the student sees of their own work: the grade only once it is returned
+const studentSubmission = (ctx, s) => s && ({
+  id: s.id, text: s.text, attachments: attachmentsById(ctx, s.attachments), status: s.status,
+  submittedAt: s.submittedAt, late: s.late, updatedAt: s.updatedAt, returnedAt: s.returnedAt || null,
+  // a draft grade stays hidden, but it already locks the work
+  grading: !!s.grade && s.status !== 'returned',
+  grade: s.status === 'returned' ? returnedGrade(s.grade) : null
+});
+
+const teacherSubmission = (ctx, s) => {
+  const u = ctx.db.collection('users').get(s.userId);
+  return {
+    ...studentSubmission(ctx, s), grade: s.grade || null, userId: s.userId, assignmentId: s.assignmentId,
+    student: u?.name || u?.username || 'Deleted user', username: u?.username || ''
+  };
+};
+
+// Student's list row: status shows "missing" once the due date passes without a submission
+const studentAssignment = (ctx, a, user) => {
+  const s = ctx.db.collection('submissions').find(x => x.assignmentId === a.id && x.userId === user.id);
+  const missing = (!s || s.status === 'draft') && isLate(a, now());
+  return {
+    ...publicAssignment(ctx, a),
+    submission: studentSubmission(ctx, s) || null,
+    state: s && s.status !== 'draft' ? s.status : missing ? 'missing' : s ? 'draft' : 'assigned'
+  };
+};
+
+/* ----------------------------------------------------------------------------
+   Attachments — students open the files of their work; teachers those of work they set
+---------------------------------------------------------------------------- */
+const attachmentOwner = {
+  canRead: (ctx, user, id) => {
+    const assignments = ctx.db.collection('assignments');
+    if (assignments.all().some(a => a.attachments?.includes(id) && (canEdit(user, a) || assignedTo(ctx, user)(a)))) return true;
+    return ctx.db.collection('submissions').all().some(s => s.attachments?.includes(id) &&
+      (s.userId === user.id || (s.status !== 'draft' && canEdit(user, assignments.get(s.assignmentId) || {}))));
+  },
+  inUse: (ctx) => new Set([
+    ...ctx.db.collection('assignments').all().flatMap(a => a.attachments || []),
+    ...ctx.db.collection('submissions').all().flatMap(s => s.attachments || [])
+  ])
+};
+
+/* ----------------------------------------------------------------------------
+   Routes
+---------------------------------------------------------------------------- */
+export function registerAssignmentRoutes(router) {
+  registerAttachmentOwner(attachmentOwner);
+
+  // Teachers: what they set (?classId= narrows it); students: what is set for them
+  router.get('/api/assignments', (ctx) => {
+    const user = requireUser(ctx);
+    requireFeature(ctx, 'assignments');
+    const assignments = ctx.db.collection('assignments');
+    if (user.role === 'student') {
+      return {
+        assignments: assignments.filter(assignedTo(ctx, user))
+          .sort((a, b) => (a.dueAt || '9999').localeCompare(b.dueAt || '9999') || b.publishedAt.localeCompare(a.publishedAt))
+          .map(a => studentAssignment(ctx, a, user))
+      };
+    }
+    const classId = ctx.query.classId;
+    return {
+      assignments: assignments.filter(a => canEdit(user, a) && (!classId || a.classId === classId))
+        .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)).map(a => assignmentSummary(ctx, a))
+    };
+  });
+
+  router.post('/api/assignments', async (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'assignments');
+    const body = await readJson(ctx.req);
+    const fields = validateAssignment(ctx, body, false);
+    if (fields.attachments) ownUploads(ctx, user, fields.attachments);
+    const stamp = now();
+    const a = ctx.db.collection('assignments').insert({
+      instructions: '', subject: 'general', points: 100, rubric: null, dueAt: null, attachments: [],
+      ...fields, classId: readClassId(ctx, user, body.classId), status: 'draft', publishedAt: null, ownerId: user.id, createdAt: stamp, updatedAt: stamp
+    });
+    return { assignment: assignmentSummary(ctx, a) };
+  });
+
+  // { status: 'published' | 'draft' } publishes or withdraws; students hear about the first publish
+  router.patch('/api/assignments/:id', async (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'assignments');
+    const a = ownAssignment(ctx, user, ctx.params.id);
+    const body = await readJson(ctx.req);
+    const patch = { ...validateAssignment(ctx, body, true), updatedAt: now() };
+    if (patch.attachments) ownUploads(ctx, user, patch.attachments, a.attachments);
+    if (body.classId !== undefined) patch.classId = readClassId(ctx, user, body.classId);
+    if ((patch.rubric !== undefined || patch.points !== undefined) && ctx.db.collection('submissions').find(s => s.assignmentId === a.id && s.grade))
+      throw new ApiError(409, 'already_graded', 'Some work is already graded; the points and rubric can no longer change').withKey('assignment.rubricLocked');
+    if (body.status !== undefined) {
+      if (body.status !== 'published' && body.status !== 'draft') throw badRequest('status must be "published" or "draft"');
+      patch.status = body.status;
+      if (body.status === 'published' && !a.publishedAt) patch.publishedAt = now();
+    }
+    const updated = ctx.db.collection('assignments').update(a.id, patch);
+    sweepAttachments(ctx);
+    if (patch.publishedAt) {
+      notify(ctx, expectedStudents(ctx, updated), {
+        type: 'assignment', title: `New assignment: ${updated.title}`,
+        body: updated.dueAt ? `Due ${updated.dueAt.slice(0, 10)}` : updated.instructions.replace(/\s+/g, ' ').slice(0, 140), refId: updated.id,
+        titleKey: 'notify.newAssignment', bodyKey: updated.dueAt ? 'notify.due' : null, vars: { title: updated.title, due: updated.dueAt }
+      });
+    }
+    return { assignment: assignmentSummary(ctx, updated) };
+  });
+
+  router.del('/api/assignments/:id', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'assignments');
+    const a = ownAssignment(ctx, user, ctx.params.id);
+    ctx.db.collection('submissions').removeWhere(s => s.assignmentId === a.id);
+    ctx.db.collection('assignments').remove(a.id);
+    sweepAttachments(ctx);
+    return { ok: true };
+  });
+
+  // Teachers: the assignment and a row per expected student (missing ones without a submission);
+  // students: the assignment and their own work
+  router.get('/api/assignments/:id', (ctx) => {
+    const user = requireUser(ctx);
+    requireFeature(ctx, 'assignments');
+    if (user.role === 'student') {
+      const a = visibleAssignment(ctx, user, ctx.params.id);
+      return { assignment: studentAssignment(ctx, a, user) };
+    }
+    const a = ownAssignment(ctx, user, ctx.params.id);
+    const users = ctx.db.collection('users');
+    const subs = new Map(submissionsOf(ctx, a.id).filter(s => s.status !== 'draft').map(s => [s.userId, s]));
+    const ids = [...new Set([...expectedStudents(ctx, a), ...subs.keys()])];
+    const students = ids.map(id => {
+      const s = subs.get(id);
+      if (s) return { ...teacherSubmission(ctx, s), state: s.status };
+      const u = users.get(id);
+      return { userId: id, student: u?.name || u?.username || 'Deleted user', username: u?.username || '', state: isLate(a, now()) ? 'missing' : 'assigned' };
+    }).sort((x, y) => x.student.localeCompare(y.student));
+    return { assignment: assignmentSummary(ctx, a), students };
+  });
+
+  // { text, attachments, submit } — saves the student's work; submit: true hands it in,
+  // false takes it back to a draft. Work with a grade, even a draft one, can no longer change.
+  router.put('/api/assignments/:id/submission', async (ctx) => {
+    const user = requireRole(ctx, 'student');
+    requireFeature(ctx, 'assignments');
+    const a = visibleAssignment(ctx, user, ctx.params.id);
+    const body = await readJson(ctx.req, MAX_TEXT * 4);
+    const rows = ctx.db.collection('submissions');
+    const prev = rows.find(s => s.assignmentId === a.id && s.userId === user.id);
+    if (prev?.status === 'returned') throw new ApiError(409, 'already_graded', 'This work has been graded and returned').withKey('assignment.returned');
+    if (prev?.grade) throw new ApiError(409, 'already_graded', 'Your teacher has started grading this work').withKey('assignment.grading');
+    const text = String(body.text ?? '').slice(0, MAX_TEXT);
+    const attachments = ownUploads(ctx, user, checkAttachments(ctx, body.attachments, MAX_ATTACHMENTS), prev?.attachments);
+    if (body.submit && !text.trim() && !attachments.length) throw badRequest('Write something or attach a file before handing in').withKey('assignment.emptyHandIn');
+    const stamp = now();
+    const fields = body.submit
+      ? { text, attachments, status: 'submitted', submittedAt: stamp, late: isLate(a, stamp), updatedAt: stamp }
+      : { text, attachments, status: 'draft', submittedAt: null, late: false, updatedAt: stamp };
+    const s = prev ? rows.update(prev.id, fields) : rows.insert({ assignmentId: a.id, userId: user.id, grade: null, createdAt: stamp, ...fields });
+    sweepAttachments(ctx);
+    return { submission: studentSubmission(ctx, s) };
+  });
+
+  // Work waiting for a grade, oldest first; ?classId= narrows it
+  router.get('/api/grading', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'assignments');
+    const classId = ctx.query.classId;
+    const mine = new Map(ctx.db.collection('assignments').filter(a => canEdit(user, a) && (!classId || a.classId === classId)).map(a => [a.id, a]));
+    const queue = ctx.db.collection('submissions').filter(s => s.status === 'submitted' && mine.has(s.assignmentId))
+      .sort((a, b) => a.submittedAt.localeCompare(b.submittedAt))
+      .map(s => {
+        const a = mine.get(s.assignmentId);
+        return { ...teacherSubmission(ctx, s), assignment: { id: a.id, title: a.title, dueAt: a.dueAt, classId: a.classId } };
+      });
+    return { queue };
+  });
+
+  router.get('/api/submissions/:id', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'assignments');
+    const { s, a } = gradeableSubmission(ctx, user, ctx.params.id);
+    return { submission: teacherSubmission(ctx, s), assignment: publicAssignment(ctx, a) };
+  });
+
+  // { scores | score, feedback, comments, aiAssisted, return, tz } — saves the grade; return: true sends it to the student
+  router.put('/api/submissions/:id/grade', async (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'assignments');
+    const { s, a } = gradeableSubmission(ctx, user, ctx.params.id);
+    const body = await readJson(ctx.req, 200_000);
+    const grade = { ...validateGrade(a, s, body), gradedBy: user.id, gradedAt: now() };
+    const returning = !!body.return;
+    const updated = ctx.db.collection('submissions').update(s.id, {
+      grade, ...(returning ? { status: 'returned', returnedAt: now() } : {})
+    });
+    if (returning) {
+      const feedback = grade.feedback.replace(/\s+/g, ' ').slice(0, 100);
+      notify(ctx, [s.userId], {
+        type: 'grade', tab: 'assignments', title: `Returned: ${a.title}`,
+        body: `${grade.score}/${grade.maxScore} (${grade.pct}%)${feedback ? ` — ${feedback}` : ''}`,
+        refId: a.id,
+        titleKey: 'notify.returned', bodyKey: feedback ? 'notify.scoreFeedback' : 'notify.score',
+        vars: { title: a.title, score: grade.score, max: grade.maxScore, pct: grade.pct, feedback }
+      });
+      // a re-graded piece of work replaces its earlier entry in the progress log
+      ctx.db.collection('events').removeWhere(e => e.userId === s.userId && e.type === 'assignment' && e.ref === s.id);
+      recordEvent(ctx, s.userId, { type: 'assignment', subject: a.subject, score: grade.pct, ref: s.id }, readTz(body.tz));
+    }
+    return { submission: teacherSubmission(ctx, updated) };
+  });
+}
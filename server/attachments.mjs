@@ -0,0 +1,129 @@
+/* =============================================================================
+   MythOS server — file attachments
+   Signed-in users upload files as the raw request body (name in the
+   X-Filename header): teachers for what they publish, students for the work
+   they hand in. Files live in <data dir>/uploads, metadata in the
+   `attachments` collection. The type comes from an allow-list and must match
+   the file's own leading bytes, whatever the name or Content-Type claim.
+   Downloads go out with nosniff and a sandboxing CSP; only images are inline.
+
+   Features that attach files register an owner: it says who may read an
+   attachment and which ones are still in use. Uploads no owner uses are
+   swept after a day.
+============================================================================= */
+import fs from 'node:fs';
+import path from 'node:path';
+import { ApiError, badRequest, notFound, readBody } from './http.mjs';
+import { requireUser } from './auth.mjs';
+
+export const MAX_ATTACHMENT_BYTES = 8 * 1024 * 1024;
+const ORPHAN_MS = 24 * 3600_000;
+
+const bytes = (s) => [...s].map(c => c.charCodeAt(0));
+const startsWith = (buf, sig, at = 0) => sig.every((b, i) => buf[at + i] === b);
+const isText = (buf) => !buf.includes(0) && Buffer.from(buf.toString('utf8'), 'utf8').equals(buf);
+const ZIP = [0x50, 0x4b, 0x03, 0x04];
+
+// ext → [mime, check(buffer)]
+export const ATTACHMENT_TYPES = {
+  png: ['image/png', b => startsWith(b, [0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a])],
+  jpg: ['image/jpeg', b => startsWith(b, [0xff, 0xd8, 0xff])],
+  jpeg: ['image/jpeg', b => startsWith(b, [0xff, 0xd8, 0xff])],
+  gif: ['image/gif', b => startsWith(b, bytes('GIF87a')) || startsWith(b, bytes('GIF89a'))],
+  webp: ['image/webp', b => startsWith(b, bytes('RIFF')) && startsWith(b, bytes('WEBP'), 8)],
+  pdf: ['application/pdf', b => startsWith(b, bytes('%PDF-'))],
+  txt: ['text/plain; charset=utf-8', isText],
+  csv: ['text/csv; charset=utf-8', isText],
+  docx: ['application/vnd.openxmlformats-officedocument.wordprocessingml.document', b => startsWith(b, ZIP)],
+  xlsx: ['application/vnd.openxmlformats-officedocument.spreadsheetml.sheet', b => startsWith(b, ZIP)],
+  pptx: ['application/vnd.openxmlformats-officedocument.presentationml.presentation', b => startsWith(b, ZIP)]
+};
+
+const uploadsDir = (ctx) => path.join(ctx.db.dir, 'uploads');
+const fileOf = (ctx, a) => path.join(uploadsDir(ctx), a.id);
+
+export const publicAttachment = (a) => ({
+  id: a.id, name: a.name, type: a.type, size: a.size, image: a.type.startsWith('image/')
+});
+
+/* ----------------------------------------------------------------------------
+   Owners — { canRead(ctx, user, id) → bool, inUse(ctx) → Set of ids }
+---------------------------------------------------------------------------- */
+const owners = new Set();
+export const registerAttachmentOwner = (owner) => { owners.add(owner); };
+
+// Attachment ids that exist, as sent by a client; unknown ids are an error
+export const checkAttachments = (ctx, ids, max) => {
+  const list = [...new Set((Array.isArray(ids) ? ids : []).map(String))];
+  if (list.length > max) throw badRequest(`At most ${max} attachments`).withKey('attachment.tooMany', { n: max });
+  const rows = ctx.db.collection('attachments');
+  if (list.some(id => !rows.get(id))) throw badRequest('An attachment is missing; upload it again').withKey('attachment.missing');
+  return list;
+};
+
+// Files someone else uploaded can't be attached (their ids would otherwise unlock them);
+// `had` are the ones already attached, which may stay
+export const ownUploads = (ctx, user, ids, had = []) => {
+  const rows = ctx.db.collection('attachments');
+  if (ids.some(id => !had.includes(id) && rows.get(id).ownerId !== user.id)) throw badRequest('Attach files you uploaded yourself').withKey('attachment.notYours');
+  return ids;
+};
+
+export const attachmentsById = (ctx, ids = []) =>
+  ids.map(id => ctx.db.collection('attachments').get(id)).filter(Boolean).map(publicAttachment);
+
+export const sweepAttachments = (ctx) => {
+  const used = new Set();
+  for (const o of owners) for (const id of o.inUse(ctx)) used.add(id);
+  const cutoff = new Date(Date.now() - ORPHAN_MS).toISOString();
+  const rows = ctx.db.collection('attachments');
+  for (const a of rows.filter(a => !used.has(a.id) && a.createdAt < cutoff)) {
+    fs.rmSync(fileOf(ctx, a), { force: true });
+    rows.remove(a.id);
+  }
+};
+
+/* ----------------------------------------------------------------------------
+   Routes
+---------------------------------------------------------------------------- */
+export function registerAttachmentRoutes(router) {
+  router.post('/api/attachments', async (ctx) => {
+    const user = requireUser(ctx);
+    let name;
+    try { name = decodeURIComponent(String(ctx.req.headers['x-filename'] || '')); }
+    catch { throw badRequest('X-Filename is not valid'); }
+    name = path.basename(name).replace(/[\u0000-\u001f"\\]/g, '').trim().slice(0, 200);
+    const ext = name.split('.').pop().toLowerCase();
+    const kind = name.includes('.') && ATTACHMENT_TYPES[ext];
+    if (!kind) throw new ApiError(415, 'unsupported_type', `Allowed files: ${Object.keys(ATTACHMENT_TYPES).join(', ')}`).withKey('attachment.type', { types: Object.keys(ATTACHMENT_TYPES).join(', ') });
+    const body = await readBody(ctx.req, MAX_ATTACHMENT_BYTES);
+    if (!body.length) throw badRequest('The file is empty').withKey('attachment.empty');
+    if (!kind[1](body)) throw new ApiError(415, 'unsupported_type', `${name} is not really a .${ext} file`).withKey('attachment.disguised', { name, ext });
+
+    sweepAttachments(ctx);
+    const a = ctx.db.collection('attachments').insert({ name, type: kind[0], size: body.length, ownerId: user.id, createdAt: new Date().toISOString() });
+    fs.mkdirSync(uploadsDir(ctx), { recursive: true });
+    fs.writeFileSync(fileOf(ctx, a), body);
+    return { attachment: publicAttachment(a) };
+  });
+
+  router.get('/api/attachments/:id', (ctx) => {
+    const user = requireUser(ctx);
+    const a = ctx.db.collection('attachments').get(ctx.params.id);
+    const allowed = a && (user.role === 'admin' || a.ownerId === user.id || [...owners].some(o => o.canRead(ctx, user, a.id)));
+    if (!allowed) throw notFound('Attachment not found').withKey('attachment.notFound');
+    let data;
+    try { data = fs.readFileSync(fileOf(ctx, a)); }
+    catch { throw notFound('Attachment not found').withKey('attachment.notFound'); }
+    const disposition = a.type.startsWith('image/') ? 'inline' : 'attachment';
+    ctx.res.writeHead(200, {
+      'Content-Type': a.type,
+      'Content-Length': data.length,
+      'Content-Disposition': `${disposition}; filename*=UTF-8''${encodeURIComponent(a.name)}`,
+      'X-Content-Type-Options': 'nosniff',
+      'Content-Security-Policy': "default-src 'none'; sandbox",
+      'Cache-Control': 'private, max-age=3600'
+    });
+    ctx.res.end(data);
+  });
+}
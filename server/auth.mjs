@@ -0,0 +1,222 @@
+/* =============================================================================
+   MythOS server — accounts & sessions
+   - Passwords: scrypt with a per-user salt, compared in constant time
+   - Login: unknown usernames are checked against a dummy hash so the answer
+     takes as long as for a real account; 5 failures from one address lock
+     that username out for that address for 5 minutes
+   - Sessions: random token in an HttpOnly cookie; only its SHA-256 is stored
+   - Roles (student | teacher | admin) are assigned by admins, never chosen at
+     sign-up. The very first account on a fresh install becomes the admin.
+
+   Env: MYTHOS_SESSION_DAYS (default 7), MYTHOS_SECURE_COOKIES=1 behind HTTPS
+============================================================================= */
+import crypto from 'node:crypto';
+import { promisify } from 'node:util';
+import { ApiError, badRequest, notFound, parseCookies, readJson, serializeCookie } from './http.mjs';
+
+const scrypt = promisify(crypto.scrypt);
+
+export const ROLES = ['student', 'teacher', 'admin'];
+export const SESSION_COOKIE = 'mythos_sid';
+const SESSION_MS = (Number(process.env.MYTHOS_SESSION_DAYS) || 7) * 86_400_000;
+const LOCKOUT = { attempts: 5, ms: 5 * 60_000, sweepMs: 60_000, maxTracked: 10_000 };
+
+const sha256 = (s) => crypto.createHash('sha256').update(s).digest('hex');
+
+/* ----------------------------------------------------------------------------
+   Passwords
+---------------------------------------------------------------------------- */
+export const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16);
+  const hash = await scrypt(password, salt, 64);
+  return `scrypt$${salt.toString('base64')}$${hash.toString('base64')}`;
+};
+
+export const verifyPassword = async (password, stored) => {
+  const [algo, salt, hash] = String(stored || '').split('$');
+  if (algo !== 'scrypt' || !salt || !hash) return false;
+  const expected = Buffer.from(hash, 'base64');
+  const actual = await scrypt(password, Buffer.from(salt, 'base64'), expected.length);
+  return crypto.timingSafeEqual(actual, expected);
+};
+
+// compared against when there is no account, so both paths cost one scrypt
+let dummyHash = null;
+const dummy = () => (dummyHash ||= hashPassword(crypto.randomBytes(16).toString('hex')));
+
+/* ----------------------------------------------------------------------------
+   Users
+---------------------------------------------------------------------------- */
+export const publicUser = (u) => u && ({
+  id: u.id,
+  username: u.username,
+  name: u.name || u.username,
+  email: u.email || '',
+  role: u.role,
+  disabled: !!u.disabled,
+  createdAt: u.createdAt
+});
+
+export const validateCredentials = ({ username, password }) => {
+  const uname = String(username || '').trim().toLowerCase();
+  if (!/^[a-z0-9._-]{3,32}$/.test(uname))
+    throw badRequest('Username must be 3–32 characters: letters, digits, dot, dash or underscore').withKey('auth.badUsername');
+  if (typeof password !== 'string' || password.length < 8)
+    throw badRequest('Password must be at least 8 characters').withKey('auth.shortPassword');
+  if (password.length > 200) throw badRequest('Password is too long').withKey('auth.longPassword');
+  return { uname, password };
+};
+
+/* ----------------------------------------------------------------------------
+   Sessions
+---------------------------------------------------------------------------- */
+const secureCookies = (req) =>
+  process.env.MYTHOS_SECURE_COOKIES === '1' || req.headers['x-forwarded-proto'] === 'https';
+
+const startSession = (ctx, user) => {
+  const token = crypto.randomBytes(32).toString('base64url');
+  ctx.db.collection('sessions').insert({
+    id: sha256(token),
+    userId: user.id,
+    createdAt: new Date().toISOString(),
+    expiresAt: new Date(Date.now() + SESSION_MS).toISOString()
+  });
+  ctx.res.setHeader('Set-Cookie', serializeCookie(SESSION_COOKIE, token, {
+    maxAge: Math.floor(SESSION_MS / 1000), secure: secureCookies(ctx.req)
+  }));
+};
+
+const endSession = (ctx) => {
+  const token = parseCookies(ctx.req)[SESSION_COOKIE];
+  if (token) ctx.db.collection('sessions').remove(sha256(token));
+  ctx.res.setHeader('Set-Cookie', serializeCookie(SESSION_COOKIE, '', { maxAge: 0, secure: secureCookies(ctx.req) }));
+};
+
+// Resolves (and memoizes on ctx) the user behind the session cookie, or null.
+export const currentUser = (ctx) => {
+  if (ctx._user !== undefined) return ctx._user;
+  ctx._user = null;
+  const token = parseCookies(ctx.req)[SESSION_COOKIE];
+  if (!token) return null;
+  const sessions = ctx.db.collection('sessions');
+  const s = sessions.get(sha256(token));
+  if (!s) return null;
+  if (new Date(s.expiresAt) < new Date()) { sessions.remove(s.id); return null; }
+  const u = ctx.db.collection('users').get(s.userId);
+  if (!u || u.disabled) return null;
+  ctx._user = u;
+  return u;
+};
+
+export const requireUser = (ctx) => {
+  const u = currentUser(ctx);
+  if (!u) throw new ApiError(401, 'unauthorized', 'Please log in');
+  return u;
+};
+
+export const requireRole = (ctx, ...roles) => {
+  const u = requireUser(ctx);
+  if (!roles.includes(u.role)) throw new ApiError(403, 'forbidden', 'You do not have access to this');
+  return u;
+};
+
+/* ----------------------------------------------------------------------------
+   Routes
+---------------------------------------------------------------------------- */
+export function registerAuthRoutes(router) {
+  const failures = new Map(); // "username ip" → { count, until, at }
+  let swept = Date.now();
+  // drops entries that are neither locked nor recent; the oldest go first past maxTracked
+  const sweep = (at) => {
+    if (at - swept >= LOCKOUT.sweepMs) {
+      swept = at;
+      for (const [k, f] of failures) if (f.until <= at && f.at + LOCKOUT.ms <= at) failures.delete(k);
+    }
+    for (const k of failures.keys()) {
+      if (failures.size <= LOCKOUT.maxTracked) break;
+      failures.delete(k);
+    }
+  };
+
+  router.post('/api/auth/signup', async (ctx) => {
+    const body = await readJson(ctx.req);
+    const { uname, password } = validateCredentials(body);
+    const email = String(body.email || '').trim().slice(0, 200);
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) throw badRequest('Email address looks invalid').withKey('auth.badEmail');
+
+    // hash first so the uniqueness check and insert happen without an await between them
+    const passwordHash = await hashPassword(password);
+    const users = ctx.db.collection('users');
+    if (users.find(u => u.username === uname)) throw new ApiError(409, 'username_taken', 'That username is taken');
+
+    const user = users.insert({
+      username: uname,
+      name: String(body.name || '').trim().slice(0, 80) || uname,
+      email,
+      passwordHash,
+      role: users.count() === 0 ? 'admin' : 'student',
+      createdAt: new Date().toISOString()
+    });
+    startSession(ctx, user);
+    return { user: publicUser(user) };
+  });
+
+  router.post('/api/auth/login', async (ctx) => {
+    const body = await readJson(ctx.req);
+    const uname = String(body.username || '').trim().toLowerCase();
+    const key = `${uname} ${ctx.req.socket.remoteAddress || ''}`;
+    const at = Date.now();
+    sweep(at);
+    const f = failures.get(key);
+    if (f && f.until > at) throw new ApiError(429, 'too_many_attempts', 'Too many failed attempts. Try again in a few minutes').withKey('auth.tooManyAttempts');
+
+    const user = ctx.db.collection('users').find(u => u.username === uname);
+    const password = String(body.password || '');
+    const match = await verifyPassword(password, user ? user.passwordHash : await dummy());
+    if (!match || !user || user.disabled) {
+      const count = (f && f.at + LOCKOUT.ms > at ? f.count : 0) + 1;
+      failures.delete(key);
+      failures.set(key, { count, until: count >= LOCKOUT.attempts ? at + LOCKOUT.ms : 0, at });
+      throw new ApiError(401, 'invalid_credentials', 'Wrong username or password');
+    }
+    failures.delete(key);
+    startSession(ctx, user);
+    return { user: publicUser(user) };
+  });
+
+  router.post('/api/auth/logout', (ctx) => {
+    endSession(ctx);
+    return { ok: true };
+  });
+
+  router.get('/api/auth/me', (ctx) => ({ user: publicUser(requireUser(ctx)) }));
+
+  /* ------------------- Admin: users & roles ------------------- */
+  router.get('/api/users', (ctx) => {
+    requireRole(ctx, 'admin');
+    return { users: ctx.db.collection('users').all().map(publicUser) };
+  });
+
+  router.patch('/api/users/:id', async (ctx) => {
+    const admin = requireRole(ctx, 'admin');
+    const body = await readJson(ctx.req);
+    const users = ctx.db.collection('users');
+    const target = users.get(ctx.params.id);
+    if (!target) throw notFound('User not found').withKey('auth.userNotFound');
+
+    const patch = {};
+    if (body.role !== undefined) {
+      if (!ROLES.includes(body.role)) throw badRequest(`Role must be one of ${ROLES.join(', ')}`);
+      if (target.id === admin.id && body.role !== 'admin') throw badRequest('You cannot remove your own admin role').withKey('auth.ownAdmin');
+      patch.role = body.role;
+    }
+    if (body.disabled !== undefined) {
+      if (target.id === admin.id) throw badRequest('You cannot disable your own account').withKey('auth.ownAccount');
+      patch.disabled = !!body.disabled;
+    }
+    const updated = users.update(target.id, patch);
+    // roles are read per request; disabling also signs the user out everywhere
+    if (patch.disabled) ctx.db.collection('sessions').removeWhere(s => s.userId === target.id);
+    return { user: publicUser(updated) };
+  });
+}
@@ -0,0 +1,185 @@
+/* =============================================================================
+   MythOS server — /api/chat
+   Accepts the same body callProxy() sends: { system, messages, apiKey }.
+   Requires a signed-in session (auth.mjs).
+   Optional: { provider, model } to pick a configured provider explicitly.
+   Every request names who is asking in { feature }: 'tutor' for the chat
+   itself, or the AI tool's ai_* target in flags.mjs, which is refused with
+   403 while that tool is off for the user.
+
+   Keys: { keyId } references a vault key (vault.mjs). Without one the user's
+   class key, the org key, then the server env key are tried in that order.
+   { apiKey } is "bring your own key" for this request only (MYTHOS_ALLOW_BYOK=0
+   turns it off); it is never stored.
+
+   Streaming: send { stream: true } and the reply comes back as NDJSON
+   (application/x-ndjson), one object per line:
+     { type: 'delta', text }            — append text to the bubble
+     { type: 'replace', text }          — moderation stopped the reply; show this instead
+     { type: 'done', provider, model, redacted? }  — finished
+     { type: 'error', code, message }   — failed mid-stream
+   Errors before the first chunk are still plain JSON error responses.
+
+   Moderation (moderation.mjs): screened users' messages are redacted before
+   they go out, a blocked prompt is answered with a safe reply without calling
+   the provider, and replies are screened as they come back. `redacted` lists
+   the kinds of personal info that were removed.
+============================================================================= */
+import { ApiError, badRequest, messageKey, readJson, sendError } from './http.mjs';
+import { requireUser } from './auth.mjs';
+import { resolveVaultKey } from './vault.mjs';
+import { configuredProviders, defaultProviderName, getProvider, normalizeReply, streamReply } from './providers.mjs';
+import { moderate } from './moderation.mjs';
+import { FLAG_TARGETS, requireFeature } from './flags.mjs';
+
+const MAX_MESSAGES = 100;
+const MAX_CHARS = 32_000;
+const FEATURES = ['tutor', ...Object.keys(FLAG_TARGETS).filter(t => t.startsWith('ai_'))];
+
+/* ----------------------------------------------------------------------------
+   Validation
+---------------------------------------------------------------------------- */
+export const validateChatBody = (body) => {
+  const { system, messages, apiKey, keyId, provider, model, feature } = body || {};
+  if (system != null && typeof system !== 'string') throw badRequest('`system` must be a string');
+  if (!FEATURES.includes(feature)) throw badRequest(`\`feature\` must be one of ${FEATURES.join(', ')}`);
+  if (!Array.isArray(messages) || messages.length === 0) throw badRequest('`messages` must be a non-empty array');
+  if (messages.length > MAX_MESSAGES) throw badRequest(`At most ${MAX_MESSAGES} messages per request`);
+
+  const clean = messages.map((m, i) => {
+    if (!m || (m.role !== 'user' && m.role !== 'assistant'))
+      throw badRequest(`messages[${i}].role must be "user" or "assistant"`);
+    if (typeof m.content !== 'string' || !m.content.trim())
+      throw badRequest(`messages[${i}].content must be a non-empty string`);
+    if (m.content.length > MAX_CHARS) throw badRequest(`messages[${i}].content is too long`).withKey('chat.tooLong');
+    return { role: m.role, content: m.content };
+  });
+  if (clean[clean.length - 1].role !== 'user') throw badRequest('The last message must come from the user');
+
+  return {
+    system: system || '',
+    messages: clean,
+    apiKey: typeof apiKey === 'string' && apiKey.trim() ? apiKey.trim() : undefined,
+    keyId: typeof keyId === 'string' && keyId ? keyId : undefined,
+    provider: typeof provider === 'string' && provider ? provider : undefined,
+    model: typeof model === 'string' && model ? model : undefined,
+    feature,
+    stream: body?.stream === true
+  };
+};
+
+/* ----------------------------------------------------------------------------
+   Provider + key resolution
+---------------------------------------------------------------------------- */
+export const resolveProvider = (ctx, user, { provider, apiKey, keyId, model }) => {
+  const pick = (p, key) => ({ p, key, model: model || p.defaultModel() });
+
+  if (apiKey) {
+    if (process.env.MYTHOS_ALLOW_BYOK === '0') throw new ApiError(403, 'byok_disabled', 'Personal API keys are turned off on this server').withKey('chat.byokOff');
+    return pick(getProvider(provider), apiKey);
+  }
+  if (keyId) {
+    const v = resolveVaultKey(ctx, user, { keyId });
+    return pick(getProvider(v.provider), v.secret);
+  }
+
+  const p = getProvider(provider);
+  const mock = p.name === 'mock';
+  const v = !mock && resolveVaultKey(ctx, user, { provider: p.name });
+  if (v) return pick(p, v.secret);
+  if (!mock && p.defaultKey()) return pick(p, p.defaultKey());
+
+  // nothing for the default provider (or it is only the mock fallback) — any vault key for this user wins
+  if (!provider && process.env.MYTHOS_PROVIDER !== 'mock') {
+    const any = resolveVaultKey(ctx, user, {});
+    if (any) return pick(getProvider(any.provider), any.secret);
+  }
+  if (mock) return pick(p, p.defaultKey());
+  throw new ApiError(503, 'provider_not_configured', `No API key configured for ${p.name}`);
+};
+
+/* ----------------------------------------------------------------------------
+   Streaming
+   The first chunk is awaited before headers go out so auth/rate-limit errors
+   keep their HTTP status instead of turning into an in-stream error.
+---------------------------------------------------------------------------- */
+const ndjsonHead = (res) => res.writeHead(200, {
+  'Content-Type': 'application/x-ndjson; charset=utf-8',
+  'Cache-Control': 'no-store',
+  'X-Accel-Buffering': 'no'
+});
+
+// `mod`: the moderate() result for screened users, else null
+const streamChat = async (req, res, p, args, mod) => {
+  const ctrl = new AbortController();
+  res.on('close', () => ctrl.abort());
+  const it = streamReply(p, args, ctrl.signal)[Symbol.asyncIterator]();
+
+  let next;
+  try { next = await it.next(); }
+  catch (err) { sendError(res, err); return; }
+
+  ndjsonHead(res);
+  const line = (obj) => { if (!res.writableEnded) res.write(JSON.stringify(obj) + '\n'); };
+  const redacted = mod?.redacted.length ? mod.redacted : undefined;
+
+  try {
+    let text = '';
+    while (!next.done) {
+      if (next.value) {
+        text += next.value;
+        const replacement = await mod?.checkReply(text);
+        if (replacement) {
+          ctrl.abort();
+          line({ type: 'replace', text: replacement });
+          line({ type: 'done', provider: p.name, model: args.model, redacted, moderated: true });
+          res.end();
+          return;
+        }
+        line({ type: 'delta', text: next.value });
+      }
+      next = await it.next();
+    }
+    // already on screen, so a late classifier hit is flagged for review rather than replaced
+    if (mod) await mod.checkReply(text, true);
+    line({ type: 'done', provider: p.name, model: args.model, redacted });
+  } catch (err) {
+    if (!ctrl.signal.aborted) {
+      const e = err instanceof ApiError ? err : new ApiError(502, 'provider_error', 'Stream interrupted').withKey('chat.interrupted');
+      line({ type: 'error', code: e.code, message: e.message, ...messageKey(e) });
+    }
+  }
+  res.end();
+};
+
+/* ----------------------------------------------------------------------------
+   Routes
+---------------------------------------------------------------------------- */
+export function registerChatRoutes(router) {
+  router.post('/api/chat', async (ctx) => {
+    const { req, res } = ctx;
+    const user = requireUser(ctx);
+    const body = validateChatBody(await readJson(req, 2_000_000));
+    requireFeature(ctx, body.feature);
+    const { p, key, model } = resolveProvider(ctx, user, body);
+    const mod = await moderate(ctx, user, body.messages);
+    const redacted = mod?.redacted.length ? mod.redacted : undefined;
+    if (mod?.blocked) {
+      if (!body.stream) return { ...normalizeReply(mod.blocked, p.name, model), redacted, moderated: true };
+      ndjsonHead(res);
+      res.end([{ type: 'delta', text: mod.blocked }, { type: 'done', provider: p.name, model, redacted, moderated: true }].map(l => JSON.stringify(l) + '\n').join(''));
+      return;
+    }
+    const args = { system: body.system, messages: mod?.messages || body.messages, apiKey: key, model };
+    if (body.stream) return streamChat(req, res, p, args, mod);
+    const text = await p.complete(args);
+    const replacement = await mod?.checkReply(text, true);
+    if (replacement) return { ...normalizeReply(replacement, p.name, model), redacted, moderated: true };
+    return { ...normalizeReply(text, p.name, model), redacted };
+  });
+
+  router.get('/api/providers', (ctx) => (requireUser(ctx), {
+    default: defaultProviderName(),
+    configured: configuredProviders()
+  }));
+}
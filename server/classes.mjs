@@ -0,0 +1,327 @@
+/* =============================================================================
+   MythOS server — classes, rosters & join codes
+   A teacher creates a class and hands out its join code; students enroll with
+   it (one `enrollments` row each). Teachers (and admins) see the roster,
+   remove students, bulk-import a roster from CSV and archive a class when the
+   term is over. Archived classes keep their data but take no new students and
+   no longer count as anyone's class.
+
+   An import enrolls the accounts it creates. Students who already have an
+   account get an invitation (`class_invites`) instead and are only enrolled
+   once they accept it.
+
+   classIdsFor() is how the rest of the server scopes by class: keys
+   (vault.mjs), announcement audiences, quizzes, lessons and analytics.
+============================================================================= */
+import crypto from 'node:crypto';
+import { ApiError, badRequest, messageKey, notFound, readJson } from './http.mjs';
+import { hashPassword, requireRole, requireUser, validateCredentials } from './auth.mjs';
+import { notify } from './notifications.mjs';
+import { requireFeature } from './flags.mjs';
+
+const CODE_ALPHABET = 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';   // no 0/O or 1/I/L to misread
+const CODE_LENGTH = 6;
+const MAX_ROSTER_ROWS = 500;
+
+const now = () => new Date().toISOString();
+const str = (v, max) => String(v ?? '').trim().slice(0, max);
+
+const newCode = (ctx) => {
+  const classes = ctx.db.collection('classes');
+  for (;;) {
+    const code = Array.from(crypto.randomBytes(CODE_LENGTH), b => CODE_ALPHABET[b % CODE_ALPHABET.length]).join('');
+    if (!classes.find(c => c.joinCode === code)) return code;
+  }
+};
+
+/* ----------------------------------------------------------------------------
+   Membership
+---------------------------------------------------------------------------- */
+// Classes the user belongs to (teaches or is enrolled in); archived ones don't count
+export const classIdsFor = (ctx, user) => {
+  if (!user) return [];
+  const active = ctx.db.collection('classes').filter(c => !c.archived);
+  const taught = active.filter(c => c.teacherId === user.id).map(c => c.id);
+  const open = new Set(active.map(c => c.id));
+  const enrolled = ctx.db.collection('enrollments').filter(e => e.userId === user.id && open.has(e.classId)).map(e => e.classId);
+  return [...new Set([...taught, ...enrolled])];
+};
+
+export const studentIdsOf = (ctx, classId) =>
+  ctx.db.collection('enrollments').filter(e => e.classId === classId).map(e => e.userId);
+
+// A class the user may manage: their own, or any for admins
+export const ownClass = (ctx, user, id) => {
+  const c = ctx.db.collection('classes').get(id);
+  if (!c || (user.role !== 'admin' && c.teacherId !== user.id)) throw notFound('Class not found').withKey('class.notFound');
+  return c;
+};
+
+// `classId` from a request body or query: null, or a class this user manages
+export const readClassId = (ctx, user, v) => v ? ownClass(ctx, user, String(v)).id : null;
+
+const publicClass = (ctx, c) => {
+  const teacher = ctx.db.collection('users').get(c.teacherId);
+  return {
+    id: c.id, name: c.name, subject: c.subject, joinCode: c.joinCode, archived: !!c.archived,
+    teacherId: c.teacherId, teacher: teacher?.name || teacher?.username || 'Deleted user',
+    students: ctx.db.collection('enrollments').count(e => e.classId === c.id),
+    createdAt: c.createdAt, updatedAt: c.updatedAt
+  };
+};
+
+// What an enrolled student sees: no join code, no roster
+const studentClass = (ctx, c, e) => {
+  const { id, name, subject, archived, teacherId, teacher } = publicClass(ctx, c);
+  return { id, name, subject, archived, teacherId, teacher, joinedAt: e.joinedAt };
+};
+
+/* ----------------------------------------------------------------------------
+   Roster CSV — header row required; columns: username, name, email, password
+---------------------------------------------------------------------------- */
+export const parseCsv = (text) => {
+  const rows = [];
+  let row = [], field = '', quoted = false;
+  const src = String(text).replace(/^\uFEFF/, '');
+  for (let i = 0; i < src.length; i++) {
+    const ch = src[i];
+    if (quoted) {
+      if (ch === '"' && src[i + 1] === '"') { field += '"'; i++; }
+      else if (ch === '"') quoted = false;
+      else field += ch;
+    } else if (ch === '"') quoted = true;
+    else if (ch === ',' || ch === ';' || ch === '\t') { row.push(field); field = ''; }
+    else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && src[i + 1] === '\n') i++;
+      row.push(field); rows.push(row); row = []; field = '';
+    } else field += ch;
+  }
+  if (field || row.length) { row.push(field); rows.push(row); }
+  return rows.filter(r => r.some(c => c.trim()));
+};
+
+const tempPassword = () => crypto.randomBytes(9).toString('base64url');
+
+const importRoster = async (ctx, c, csv, teacher) => {
+  const [head, ...rows] = parseCsv(csv);
+  const cols = (head || []).map(h => h.trim().toLowerCase());
+  const at = (k) => cols.indexOf(k);
+  if (at('username') < 0) throw badRequest('The first row must be a header with at least a "username" column').withKey('class.noHeader');
+  if (rows.length > MAX_ROSTER_ROWS) throw badRequest(`At most ${MAX_ROSTER_ROWS} students per import`).withKey('class.tooManyRows', { n: MAX_ROSTER_ROWS });
+
+  const users = ctx.db.collection('users');
+  const enrollments = ctx.db.collection('enrollments');
+  const invites = ctx.db.collection('class_invites');
+  const out = { enrolled: 0, already: 0, invited: 0, created: [], skipped: [] };
+  const newlyInvited = [];
+  for (const [i, r] of rows.entries()) {
+    const line = i + 2;
+    const get = (k) => at(k) >= 0 ? str(r[at(k)], 200) : '';
+    const given = get('password');
+    let creds;
+    try { creds = validateCredentials({ username: get('username'), password: given || tempPassword() }); }
+    catch (e) { out.skipped.push({ line, username: get('username'), reason: e.message, ...messageKey(e) }); continue; }
+    const email = get('email');
+    if (email && !/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email)) { out.skipped.push({ line, username: creds.uname, reason: 'Email address looks invalid', key: 'auth.badEmail' }); continue; }
+
+    const user = users.find(u => u.username === creds.uname);
+    if (user && user.role !== 'student') { out.skipped.push({ line, username: creds.uname, reason: `Already a ${user.role} account`, key: `roster.already.${user.role}` }); continue; }
+    if (user) {
+      // an existing account is the student's own: ask, don't enroll
+      if (enrollments.find(e => e.classId === c.id && e.userId === user.id)) { out.already++; continue; }
+      if (!invites.find(x => x.classId === c.id && x.userId === user.id)) {
+        invites.insert({ classId: c.id, userId: user.id, invitedBy: teacher.id, invitedAt: now() });
+        newlyInvited.push(user.id);
+      }
+      out.invited++;
+      continue;
+    }
+    const passwordHash = await hashPassword(creds.password);
+    if (users.find(u => u.username === creds.uname)) { out.skipped.push({ line, username: creds.uname, reason: 'Appears twice in the file', key: 'roster.twice' }); continue; }
+    const created = users.insert({ username: creds.uname, name: get('name').slice(0, 80) || creds.uname, email, passwordHash, role: 'student', createdAt: now() });
+    out.created.push({ username: creds.uname, name: created.name, ...(given ? {} : { password: creds.password }) });
+    enrollments.insert({ classId: c.id, userId: created.id, joinedAt: now() });
+    out.enrolled++;
+  }
+  if (newlyInvited.length) {
+    notify(ctx, newlyInvited, {
+      type: 'class', title: `Join ${c.name}?`, body: `${teacher.name || teacher.username} invited you to their class.`, refId: c.id,
+      titleKey: 'notify.invite', bodyKey: 'notify.invitedBy', vars: { class: c.name, name: teacher.name || teacher.username }
+    });
+  }
+  return out;
+};
+
+const publicInvite = (ctx, x) => {
+  const c = ctx.db.collection('classes').get(x.classId);
+  const { id, name, subject, teacher } = publicClass(ctx, c);
+  return { id: x.id, class: { id, name, subject, teacher }, invitedAt: x.invitedAt };
+};
+
+// The caller's own invitation to a class that still takes students
+const ownInvite = (ctx, user, id) => {
+  const x = ctx.db.collection('class_invites').get(id);
+  const c = x && ctx.db.collection('classes').get(x.classId);
+  if (!x || x.userId !== user.id || !c || c.archived) throw notFound('Invitation not found').withKey('class.inviteNotFound');
+  return [x, c];
+};
+
+/* ----------------------------------------------------------------------------
+   Routes
+---------------------------------------------------------------------------- */
+export function registerClassRoutes(router) {
+  // Teachers: the classes they teach; admins: all; students: the ones they are in. ?archived=1 includes archived
+  // Not behind the classes flag: the header's class picker and the class-scoped tabs read it too
+  router.get('/api/classes', (ctx) => {
+    const user = requireUser(ctx);
+    const withArchived = ctx.query.archived === '1';
+    const classes = ctx.db.collection('classes');
+    if (user.role === 'student') {
+      const mine = ctx.db.collection('enrollments').filter(e => e.userId === user.id);
+      return {
+        classes: mine.map(e => [classes.get(e.classId), e]).filter(([c]) => c && (withArchived || !c.archived))
+          .map(([c, e]) => studentClass(ctx, c, e)).sort((a, b) => a.name.localeCompare(b.name))
+      };
+    }
+    return {
+      classes: classes.filter(c => (user.role === 'admin' || c.teacherId === user.id) && (withArchived || !c.archived))
+        .map(c => publicClass(ctx, c)).sort((a, b) => a.name.localeCompare(b.name))
+    };
+  });
+
+  router.post('/api/classes', async (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'classes');
+    const body = await readJson(ctx.req);
+    const name = str(body.name, 80);
+    if (name.length < 2) throw badRequest('The class needs a name').withKey('class.needsName');
+    const stamp = now();
+    const c = ctx.db.collection('classes').insert({
+      name, subject: str(body.subject, 40).toLowerCase() || 'general', teacherId: user.id,
+      joinCode: newCode(ctx), archived: false, createdAt: stamp, updatedAt: stamp
+    });
+    return { class: publicClass(ctx, c) };
+  });
+
+  // Students join with a code (case and spaces don't matter)
+  router.post('/api/classes/join', async (ctx) => {
+    const user = requireUser(ctx);
+    requireFeature(ctx, 'classes');
+    if (user.role !== 'student') throw badRequest('Only students join classes with a code').withKey('class.studentsOnly');
+    const code = String((await readJson(ctx.req)).code || '').toUpperCase().replace(/[^A-Z0-9]/g, '');
+    const c = code && ctx.db.collection('classes').find(x => x.joinCode === code);
+    if (!c || c.archived) throw new ApiError(404, 'bad_join_code', 'No open class has that code. Check it with your teacher').withKey('class.badCode');
+    const enrollments = ctx.db.collection('enrollments');
+    const e = enrollments.find(x => x.classId === c.id && x.userId === user.id)
+      || enrollments.insert({ classId: c.id, userId: user.id, joinedAt: now() });
+    ctx.db.collection('class_invites').removeWhere(x => x.classId === c.id && x.userId === user.id);
+    return { class: studentClass(ctx, c, e) };
+  });
+
+  // { name?, subject?, archived? }
+  router.patch('/api/classes/:id', async (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'classes');
+    const c = ownClass(ctx, user, ctx.params.id);
+    const body = await readJson(ctx.req);
+    const patch = { updatedAt: now() };
+    if (body.name !== undefined) {
+      patch.name = str(body.name, 80);
+      if (patch.name.length < 2) throw badRequest('The class needs a name').withKey('class.needsName');
+    }
+    if (body.subject !== undefined) patch.subject = str(body.subject, 40).toLowerCase() || 'general';
+    if (body.archived !== undefined) patch.archived = !!body.archived;
+    return { class: publicClass(ctx, ctx.db.collection('classes').update(c.id, patch)) };
+  });
+
+  // A fresh join code; the old one stops working
+  router.post('/api/classes/:id/code', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'classes');
+    const c = ownClass(ctx, user, ctx.params.id);
+    return { class: publicClass(ctx, ctx.db.collection('classes').update(c.id, { joinCode: newCode(ctx), updatedAt: now() })) };
+  });
+
+  router.get('/api/classes/:id/roster', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'classes');
+    const c = ownClass(ctx, user, ctx.params.id);
+    const users = ctx.db.collection('users');
+    const students = ctx.db.collection('enrollments').filter(e => e.classId === c.id).map(e => {
+      const u = users.get(e.userId);
+      return { userId: e.userId, name: u?.name || u?.username || 'Deleted user', username: u?.username || '', email: u?.email || '', disabled: !!u?.disabled, joinedAt: e.joinedAt };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+    const invited = ctx.db.collection('class_invites').filter(x => x.classId === c.id).map(x => {
+      const u = users.get(x.userId);
+      return { userId: x.userId, name: u?.name || u?.username || 'Deleted user', username: u?.username || '', invitedAt: x.invitedAt };
+    }).sort((a, b) => a.name.localeCompare(b.name));
+    return { class: publicClass(ctx, c), students, invited };
+  });
+
+  router.del('/api/classes/:id/students/:userId', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'classes');
+    const c = ownClass(ctx, user, ctx.params.id);
+    const removed = ctx.db.collection('enrollments').removeWhere(e => e.classId === c.id && e.userId === ctx.params.userId);
+    if (!removed) throw notFound('That student is not in this class').withKey('class.notInClass');
+    return { ok: true };
+  });
+
+  // Withdraws an invitation the student has not answered yet
+  router.del('/api/classes/:id/invites/:userId', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'classes');
+    const c = ownClass(ctx, user, ctx.params.id);
+    const removed = ctx.db.collection('class_invites').removeWhere(x => x.classId === c.id && x.userId === ctx.params.userId);
+    if (!removed) throw notFound('That student has no open invitation').withKey('class.noInvite');
+    return { ok: true };
+  });
+
+  // { csv } — creates and enrolls accounts for new usernames and invites existing students;
+  // generated passwords come back once, in this response only
+  router.post('/api/classes/:id/roster/import', async (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'classes');
+    const c = ownClass(ctx, user, ctx.params.id);
+    if (c.archived) throw badRequest('This class is archived').withKey('class.archived');
+    const { csv } = await readJson(ctx.req, 1_000_000);
+    return importRoster(ctx, c, csv || '', user);
+  });
+
+  // Students: invitations waiting for an answer
+  router.get('/api/classes/invites', (ctx) => {
+    const user = requireUser(ctx);
+    requireFeature(ctx, 'classes');
+    const open = new Set(ctx.db.collection('classes').filter(c => !c.archived).map(c => c.id));
+    const invites = ctx.db.collection('class_invites').filter(x => x.userId === user.id && open.has(x.classId))
+      .sort((a, b) => b.invitedAt.localeCompare(a.invitedAt)).map(x => publicInvite(ctx, x));
+    return { invites };
+  });
+
+  router.post('/api/classes/invites/:id/accept', (ctx) => {
+    const user = requireUser(ctx);
+    requireFeature(ctx, 'classes');
+    const [x, c] = ownInvite(ctx, user, ctx.params.id);
+    ctx.db.collection('class_invites').remove(x.id);
+    const enrollments = ctx.db.collection('enrollments');
+    const e = enrollments.find(r => r.classId === c.id && r.userId === user.id)
+      || enrollments.insert({ classId: c.id, userId: user.id, joinedAt: now() });
+    return { class: studentClass(ctx, c, e) };
+  });
+
+  router.post('/api/classes/invites/:id/decline', (ctx) => {
+    const user = requireUser(ctx);
+    requireFeature(ctx, 'classes');
+    const [x] = ownInvite(ctx, user, ctx.params.id);
+    ctx.db.collection('class_invites').remove(x.id);
+    return { ok: true };
+  });
+
+  // Students can leave a class themselves
+  router.post('/api/classes/:id/leave', (ctx) => {
+    const user = requireUser(ctx);
+    requireFeature(ctx, 'classes');
+    ctx.db.collection('enrollments').removeWhere(e => e.classId === ctx.params.id && e.userId === user.id);
+    return { ok: true };
+  });
+}
@@ -0,0 +1,173 @@
+/* =============================================================================
+   MythOS server — feature flags
+   Admins keep any number of named flags. A flag is on for a user when it is
+   enabled (turning it off is the kill switch), the time is inside its
+   start/end window, and the user matches its targeting: roles, classes
+   (classes.mjs) and a percentage rollout. Rollout buckets are a hash of the
+   flag key and user id, so a user stays in or out as long as the key is the
+   same, and raising the percentage only ever adds users.
+
+   A flag gates zero or more targets from FLAG_TARGETS (tabs and parts of the
+   client). A gated target is shown only while at least one of its flags is
+   on; targets no flag mentions are always shown. Deleting the flag releases
+   its targets to everyone. The client hides what is off; the server refuses
+   it too, through requireFeature() in the routes behind each target: the
+   announcement feed (news), the Classes tab's routes (classes), analytics,
+   /api/progress and /api/events (progress), the quiz, assignment and lesson
+   routes, and /api/chat for the ai_* tools. Flashcard reviews and study-plan
+   sessions are refused through the events they log (progress.mjs). Math,
+   Science, Writing, Study and Flashcards otherwise run in the browser and
+   have no routes of their own.
+============================================================================= */
+import crypto from 'node:crypto';
+import { ApiError, badRequest, notFound, readJson } from './http.mjs';
+import { ROLES, currentUser, requireRole } from './auth.mjs';
+import { classIdsFor } from './classes.mjs';
+
+export const FLAG_TARGETS = {
+  'math': 'Math tab',
+  'science': 'Science tab',
+  'writing': 'Writing tab',
+  'study': 'Study Plan tab',
+  'flashcards': 'Flashcards tab',
+  'progress': 'Progress tab',
+  'news': 'Announcements tab',
+  'classes': 'Classes tab',
+  'quizzes': 'Quizzes tab',
+  'assignments': 'Assignments tab',
+  'lessons': 'Lessons tab',
+  'analytics': 'Analytics tab',
+  'ai_writing': 'AI writing feedback',
+  'ai_study_plan': 'AI study plans',
+  'ai_flashcards': 'Flashcards from tutor chats',
+  'ai_quiz_questions': 'AI quiz questions',
+  'ai_lesson_draft': 'AI lesson drafting',
+  'ai_grade_draft': 'AI draft grades'
+};
+
+const KEY_RX = /^[a-z0-9][a-z0-9_.-]{1,39}$/;
+
+const now = () => new Date().toISOString();
+const str = (v, max) => String(v ?? '').trim().slice(0, max);
+
+const readDate = (v, label) => {
+  if (v === null || v === undefined || v === '') return null;
+  const t = Date.parse(v);
+  if (Number.isNaN(t)) throw badRequest(`${label} is not a valid date`);
+  return new Date(t).toISOString();
+};
+
+/* ----------------------------------------------------------------------------
+   Validation — PATCH merges into the stored flag first, so every field is read
+---------------------------------------------------------------------------- */
+const validateFlag = (ctx, b, id = null) => {
+  const key = str(b.key, 40).toLowerCase();
+  if (!KEY_RX.test(key)) throw badRequest('The key must be 2–40 lowercase letters, digits, "_", "-" or "."').withKey('flag.badKey');
+  if (ctx.db.collection('flags').find(f => f.key === key && f.id !== id)) throw new ApiError(409, 'flag_exists', `A flag called "${key}" already exists`).withKey('flag.exists', { key });
+  const gates = [...new Set(Array.isArray(b.gates) ? b.gates.map(String) : [])];
+  const unknown = gates.find(t => !FLAG_TARGETS[t]);
+  if (unknown) throw badRequest(`Unknown feature "${unknown}"`);
+  const roles = [...new Set(Array.isArray(b.roles) ? b.roles.map(String) : [])];
+  if (roles.some(r => !ROLES.includes(r))) throw badRequest(`Roles must be among: ${ROLES.join(', ')}`);
+  const classes = ctx.db.collection('classes');
+  const classIds = [...new Set(Array.isArray(b.classIds) ? b.classIds.map(String) : [])].slice(0, 100);
+  if (classIds.some(c => !classes.get(c))) throw badRequest('Unknown class').withKey('flag.unknownClass');
+  const percentage = b.percentage === undefined || b.percentage === '' ? 100 : Math.round(Number(b.percentage));
+  if (!(percentage >= 0 && percentage <= 100)) throw badRequest('Rollout must be 0–100%').withKey('flag.rollout');
+  const startAt = readDate(b.startAt, 'Start');
+  const endAt = readDate(b.endAt, 'End');
+  if (startAt && endAt && endAt <= startAt) throw badRequest('The end must be after the start').withKey('flag.endBeforeStart');
+  return {
+    key,
+    name: str(b.name, 120) || key,
+    description: str(b.description, 1000),
+    enabled: b.enabled === undefined ? true : !!b.enabled,
+    gates, roles, classIds, percentage, startAt, endAt
+  };
+};
+
+/* ----------------------------------------------------------------------------
+   Evaluation
+---------------------------------------------------------------------------- */
+// 0–99, stable per flag key and user
+const bucketOf = (key, userId) => crypto.createHash('sha256').update(`${key}:${userId}`).digest().readUInt32BE(0) % 100;
+
+const flagStatus = (f, at = now()) =>
+  !f.enabled ? 'killed' : f.startAt && at < f.startAt ? 'scheduled' : f.endAt && at >= f.endAt ? 'ended' : 'live';
+
+// `classIds`: the user's classes (classIdsFor); guests only see flags that target nobody in particular
+const flagOn = (f, user, classIds, at) => {
+  if (flagStatus(f, at) !== 'live') return false;
+  if (!user) return !f.roles.length && !f.classIds.length && f.percentage === 100;
+  if (f.roles.length && !f.roles.includes(user.role)) return false;
+  if (f.classIds.length && !f.classIds.some(c => classIds.includes(c))) return false;
+  return bucketOf(f.key, user.id) < f.percentage;
+};
+
+// { flags: [keys on], gates: { target: shown }, nextChangeAt } for one user (or a guest)
+const featuresFor = (ctx, user, at = now()) => {
+  const classIds = classIdsFor(ctx, user);
+  const all = ctx.db.collection('flags').all();
+  const on = all.filter(f => flagOn(f, user, classIds, at));
+  const gates = {};
+  for (const f of all) for (const t of f.gates) gates[t] = gates[t] || on.includes(f);
+  const upcoming = all.flatMap(f => f.enabled ? [f.startAt, f.endAt] : []).filter(t => t && t > at).sort();
+  return { flags: on.map(f => f.key), gates, nextChangeAt: upcoming[0] || null };
+};
+
+// 403 unless the target is shown to the current user (see the header)
+export const requireFeature = (ctx, target) => {
+  if (featuresFor(ctx, currentUser(ctx)).gates[target] === false) {
+    throw new ApiError(403, 'feature_off', `${FLAG_TARGETS[target]} is turned off`).withKey('flag.featureOff');
+  }
+};
+
+// Admin view: the flag, where it stands and how many active users it is on for
+const adminFlag = (ctx, f, users, at) => {
+  const on = users.filter(u => flagOn(f, u, classIdsFor(ctx, u), at)).length;
+  return { ...f, status: flagStatus(f, at), reach: { on, total: users.length } };
+};
+
+/* ----------------------------------------------------------------------------
+   Routes
+---------------------------------------------------------------------------- */
+export function registerFlagRoutes(router) {
+  // Anyone, signed in or not: what this user gets
+  router.get('/api/features', (ctx) => featuresFor(ctx, currentUser(ctx)));
+
+  router.get('/api/flags', (ctx) => {
+    requireRole(ctx, 'admin');
+    const at = now();
+    const users = ctx.db.collection('users').filter(u => !u.disabled);
+    const flags = ctx.db.collection('flags').all().sort((a, b) => a.key.localeCompare(b.key));
+    return { flags: flags.map(f => adminFlag(ctx, f, users, at)), targets: FLAG_TARGETS, roles: ROLES };
+  });
+
+  router.post('/api/flags', async (ctx) => {
+    const user = requireRole(ctx, 'admin');
+    const clean = validateFlag(ctx, await readJson(ctx.req));
+    const stamp = now();
+    const f = ctx.db.collection('flags').insert({ ...clean, createdAt: stamp, updatedAt: stamp, updatedBy: user.id });
+    return { flag: adminFlag(ctx, f, ctx.db.collection('users').filter(u => !u.disabled), stamp) };
+  });
+
+  // Partial: { enabled: false } alone is the kill switch
+  router.patch('/api/flags/:id', async (ctx) => {
+    const user = requireRole(ctx, 'admin');
+    const flags = ctx.db.collection('flags');
+    const f = flags.get(ctx.params.id);
+    if (!f) throw notFound('Flag not found').withKey('flag.notFound');
+    const clean = validateFlag(ctx, { ...f, ...(await readJson(ctx.req)) }, f.id);
+    const stamp = now();
+    const updated = flags.update(f.id, { ...clean, updatedAt: stamp, updatedBy: user.id });
+    return { flag: adminFlag(ctx, updated, ctx.db.collection('users').filter(u => !u.disabled), stamp) };
+  });
+
+  router.del('/api/flags/:id', (ctx) => {
+    requireRole(ctx, 'admin');
+    const flags = ctx.db.collection('flags');
+    if (!flags.get(ctx.params.id)) throw notFound('Flag not found').withKey('flag.notFound');
+    flags.remove(ctx.params.id);
+    return { ok: true };
+  });
+}
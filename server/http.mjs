@@ -0,0 +1,157 @@
+/* =============================================================================
+   MythOS server — HTTP helpers
+   Tiny router + JSON body/response helpers on top of node:http (no deps).
+   Handlers receive a ctx { req, res, params, query, url, ...locals } and return a
+   JSON-able value (sent as 200) or write to ctx.res themselves (streaming).
+============================================================================= */
+
+/* ----------------------------------------------------------------------------
+   Errors
+   Every failure leaves the server as { error: { code, message } } so the
+   client can branch on `code` instead of guessing from the HTTP status.
+   Failures a person can cause also name their message, { key, vars }, which
+   the client translates; `message` stays the English text. Malformed API
+   calls (wrong types, unknown enum values) keep only the English.
+---------------------------------------------------------------------------- */
+export class ApiError extends Error {
+  constructor(status, code, message, details) {
+    super(message || code);
+    this.status = status;
+    this.code = code;
+    this.details = details;
+  }
+
+  // throw badRequest('The quiz needs a title').withKey('quiz.needsTitle')
+  withKey(key, vars) {
+    this.key = key;
+    this.vars = vars;
+    return this;
+  }
+}
+
+// { key, vars? } of an error (or anything carrying them), for JSON bodies
+export const messageKey = (err) => err?.key ? { key: err.key, ...(err.vars ? { vars: err.vars } : {}) } : {};
+
+export const badRequest = (message, details) => new ApiError(400, 'bad_request', message, details);
+export const notFound = (message = 'Not found') => new ApiError(404, 'not_found', message);
+
+/* ----------------------------------------------------------------------------
+   Responses
+---------------------------------------------------------------------------- */
+export const sendJson = (res, status, body, headers = {}) => {
+  if (res.headersSent) return;
+  const payload = JSON.stringify(body ?? null);
+  res.writeHead(status, {
+    'Content-Type': 'application/json; charset=utf-8',
+    'Content-Length': Buffer.byteLength(payload),
+    'Cache-Control': 'no-store',
+    ...headers
+  });
+  res.end(payload);
+};
+
+export const sendError = (res, err) => {
+  const status = err instanceof ApiError ? err.status : 500;
+  const code = err instanceof ApiError ? err.code : 'internal_error';
+  const message = err instanceof ApiError ? err.message : 'Internal server error';
+  if (!(err instanceof ApiError)) console.error('MythOS server error:', err);
+  else if (status >= 500) console.warn(`MythOS ${code}: ${message}`);
+  if (res.headersSent) { try { res.end(); } catch {} return; }
+  sendJson(res, status, { error: { code, message, ...messageKey(err), ...(err?.details ? { details: err.details } : {}) } });
+};
+
+/* ----------------------------------------------------------------------------
+   Requests
+---------------------------------------------------------------------------- */
+export const readBody = (req, limit = 1_000_000) => new Promise((resolve, reject) => {
+  let size = 0;
+  const chunks = [];
+  req.on('data', (c) => {
+    size += c.length;
+    if (size > limit) {
+      reject(new ApiError(413, 'payload_too_large', `Body exceeds ${limit} bytes`).withKey('http.tooLarge', { bytes: limit }));
+      req.destroy();
+      return;
+    }
+    chunks.push(c);
+  });
+  req.on('end', () => resolve(Buffer.concat(chunks)));
+  req.on('error', reject);
+});
+
+export const readJson = async (req, limit) => {
+  const raw = (await readBody(req, limit)).toString('utf8');
+  if (!raw.trim()) return {};
+  try { return JSON.parse(raw); }
+  catch { throw new ApiError(400, 'invalid_json', 'Request body is not valid JSON'); }
+};
+
+// A cookie that is not valid percent-encoding is skipped: it may be another app's on the same host
+export const parseCookies = (req) => Object.fromEntries(
+  String(req.headers.cookie || '').split(';').map(p => p.trim()).filter(Boolean).flatMap(p => {
+    const i = p.indexOf('=');
+    if (i < 0) return [[p, '']];
+    try { return [[p.slice(0, i), decodeURIComponent(p.slice(i + 1))]]; }
+    catch { return []; }
+  })
+);
+
+export const serializeCookie = (name, value, { maxAge, secure } = {}) => [
+  `${name}=${encodeURIComponent(value)}`,
+  'Path=/',
+  'HttpOnly',
+  'SameSite=Lax',
+  ...(maxAge != null ? [`Max-Age=${maxAge}`] : []),
+  ...(secure ? ['Secure'] : [])
+].join('; ');
+
+/* ----------------------------------------------------------------------------
+   Router
+   Paths use `:name` segments, e.g. '/api/announcements/:id'.
+   `locals` (e.g. { db }) are spread into every handler ctx.
+---------------------------------------------------------------------------- */
+export function createRouter(locals = {}) {
+  const routes = [];
+
+  const compile = (path) => {
+    const keys = [];
+    const rx = new RegExp('^' + path.replace(/\/:([a-zA-Z_]+)/g, (_, k) => { keys.push(k); return '/([^/]+)'; }) + '/?$');
+    return { rx, keys };
+  };
+
+  const add = (method, path, handler) => { routes.push({ method, handler, ...compile(path) }); };
+
+  const handle = async (req, res) => {
+    const url = new URL(req.url, 'http://localhost');
+    let pathMatched = false;
+    try {
+      for (const r of routes) {
+        const m = r.rx.exec(url.pathname);
+        if (!m) continue;
+        pathMatched = true;
+        if (r.method !== req.method) continue;
+        let params;
+        try { params = Object.fromEntries(r.keys.map((k, i) => [k, decodeURIComponent(m[i + 1])])); }
+        catch { throw badRequest('The address is not valid').withKey('http.badPath'); }
+        const ctx = { ...locals, req, res, url, params, query: Object.fromEntries(url.searchParams) };
+        const out = await r.handler(ctx);
+        if (!res.headersSent && !res.writableEnded) sendJson(res, 200, out ?? { ok: true });
+        return;
+      }
+      throw pathMatched
+        ? new ApiError(405, 'method_not_allowed', `${req.method} not allowed here`)
+        : notFound(`No route for ${url.pathname}`);
+    } catch (err) {
+      sendError(res, err);
+    }
+  };
+
+  return {
+    add, handle,
+    get: (p, h) => add('GET', p, h),
+    post: (p, h) => add('POST', p, h),
+    put: (p, h) => add('PUT', p, h),
+    patch: (p, h) => add('PATCH', p, h),
+    del: (p, h) => add('DELETE', p, h)
+  };
+}
@@ -0,0 +1,59 @@
+/* =============================================================================
+   MythOS server — entry point
+   Plain node:http, no dependencies. Run with:  node server/index.mjs
+   In dev, point Vite's proxy at it:  server.proxy = { '/api': 'http://localhost:8787' }
+
+   Env: PORT (default 8787), HOST (default 0.0.0.0), MYTHOS_DATA_DIR (store.mjs),
+        provider vars (providers.mjs), session vars (auth.mjs), MYTHOS_VAULT_KEY (vault.mjs),
+        moderation classifier vars (moderation.mjs)
+============================================================================= */
+import http from 'node:http';
+import { pathToFileURL } from 'node:url';
+import { createRouter } from './http.mjs';
+import { createStore } from './store.mjs';
+import { registerAuthRoutes } from './auth.mjs';
+import { registerChatRoutes } from './chat.mjs';
+import { registerVaultRoutes } from './vault.mjs';
+import { registerClassRoutes } from './classes.mjs';
+import { registerProgressRoutes } from './progress.mjs';
+import { registerAnalyticsRoutes } from './analytics.mjs';
+import { registerQuizRoutes } from './quizzes.mjs';
+import { registerLessonRoutes } from './lessons.mjs';
+import { registerAssignmentRoutes } from './assignments.mjs';
+import { registerAnnouncementRoutes } from './announcements.mjs';
+import { registerAttachmentRoutes } from './attachments.mjs';
+import { registerFlagRoutes } from './flags.mjs';
+import { registerSettingsRoutes } from './settings.mjs';
+import { registerModerationRoutes } from './moderation.mjs';
+import { registerNotificationRoutes, startNotificationTimer } from './notifications.mjs';
+
+export function createApp({ db = createStore() } = {}) {
+  const router = createRouter({ db });
+  router.get('/api/health', () => ({ ok: true }));
+  registerAuthRoutes(router);
+  registerChatRoutes(router);
+  registerVaultRoutes(router);
+  registerClassRoutes(router);
+  registerProgressRoutes(router);
+  registerAnalyticsRoutes(router);
+  registerQuizRoutes(router);
+  registerLessonRoutes(router);
+  registerAssignmentRoutes(router);
+  registerAnnouncementRoutes(router);
+  registerAttachmentRoutes(router);
+  registerFlagRoutes(router);
+  registerSettingsRoutes(router);
+  registerModerationRoutes(router);
+  registerNotificationRoutes(router);
+  const server = http.createServer((req, res) => router.handle(req, res));
+  server.on('close', startNotificationTimer({ db }));
+  return server;
+}
+
+if (import.meta.url === pathToFileURL(process.argv[1] || '').href) {
+  const port = Number(process.env.PORT) || 8787;
+  const host = process.env.HOST || '0.0.0.0';
+  const db = createStore();
+  createApp({ db }).listen(port, host, () => console.log(`MythOS API listening on http://${host}:${port}`));
+  for (const sig of ['SIGINT', 'SIGTERM']) process.once(sig, () => { db.flush(); process.exit(0); });
+}
@@ -0,0 +1,168 @@
+/* =============================================================================
+   MythOS server — lesson plans
+   Structured lesson plans for teachers (objectives, standards, timed activity
+   blocks, materials, differentiation, rubric) plus their own reusable
+   templates, which are lesson rows flagged `isTemplate`. Plans are private to
+   the teacher who wrote them; admins can see every plan. A plan can belong to
+   one of the teacher's classes (classes.mjs); its `className` then follows
+   the class.
+============================================================================= */
+import crypto from 'node:crypto';
+import { badRequest, notFound, readJson } from './http.mjs';
+import { requireRole } from './auth.mjs';
+import { ownClass } from './classes.mjs';
+import { requireFeature } from './flags.mjs';
+
+export const BLOCK_KINDS = ['warmup', 'instruction', 'guided', 'independent', 'group', 'assessment', 'closure', 'other'];
+export const RUBRIC_LEVEL_COUNT = 4;
+const DIFFERENTIATION = ['support', 'extension', 'language', 'accommodations'];
+
+const now = () => new Date().toISOString();
+const shortId = () => crypto.randomBytes(4).toString('hex');
+const str = (v, max) => String(v ?? '').trim().slice(0, max);
+const list = (v, max, len) => (Array.isArray(v) ? v : []).map(x => str(x, len)).filter(Boolean).slice(0, max);
+
+/* ----------------------------------------------------------------------------
+   Validation — PUT replaces the whole plan, so every field is read every time
+---------------------------------------------------------------------------- */
+export const validateLesson = (b) => {
+  const title = str(b?.title, 200);
+  if (!title) throw badRequest('The lesson needs a title').withKey('lesson.needsTitle');
+  const duration = b.duration === '' || b.duration == null ? null : Math.round(Number(b.duration));
+  if (duration !== null && !(duration >= 5 && duration <= 600)) throw badRequest('Duration must be 5–600 minutes').withKey('lesson.duration');
+
+  const blocks = (Array.isArray(b.blocks) ? b.blocks : []).slice(0, 40).map((x, i) => {
+    const minutes = Math.round(Number(x?.minutes) || 0);
+    if (minutes < 0 || minutes > 600) throw badRequest(`Activity ${i + 1}: minutes must be 0–600`).withKey('lesson.activityMinutes', { n: i + 1 });
+    return {
+      id: str(x?.id, 20) || shortId(),
+      kind: BLOCK_KINDS.includes(x?.kind) ? x.kind : 'other',
+      title: str(x?.title, 200),
+      minutes,
+      details: str(x?.details, 4000)
+    };
+  }).filter(x => x.title || x.details);
+
+  let rubric = null;
+  if (b.rubric && Array.isArray(b.rubric.criteria)) {
+    const criteria = b.rubric.criteria.slice(0, 12).map(c => ({
+      id: str(c?.id, 20) || shortId(),
+      name: str(c?.name, 200),
+      levels: Array.from({ length: RUBRIC_LEVEL_COUNT }, (_, i) => str(c?.levels?.[i], 1000))
+    })).filter(c => c.name);
+    rubric = { title: str(b.rubric.title, 200), criteria };
+  }
+
+  return {
+    title,
+    subject: str(b.subject, 40).toLowerCase() || 'general',
+    grade: str(b.grade, 40),
+    className: str(b.className, 80),
+    duration,
+    objectives: list(b.objectives, 20, 500),
+    standards: [...new Set(list(b.standards, 30, 80))],
+    blocks,
+    materials: list(b.materials, 50, 300),
+    differentiation: Object.fromEntries(DIFFERENTIATION.map(k => [k, str(b.differentiation?.[k], 4000)])),
+    rubric,
+    notes: str(b.notes, 8000),
+    isTemplate: !!b.isTemplate
+  };
+};
+
+/* ----------------------------------------------------------------------------
+   Access
+---------------------------------------------------------------------------- */
+const canEdit = (user, row) => user.role === 'admin' || row.ownerId === user.id;
+
+const ownLesson = (ctx, user, id) => {
+  const l = ctx.db.collection('lessons').get(id);
+  if (!l || !canEdit(user, l)) throw notFound('Lesson not found').withKey('lesson.notFound');
+  return l;
+};
+
+// `classId` from the request: the class must be one the user teaches
+const withClass = (ctx, user, clean, classId) => {
+  if (!classId || clean.isTemplate) return { ...clean, classId: null };
+  const c = ownClass(ctx, user, String(classId));
+  return { ...clean, classId: c.id, className: c.name };
+};
+
+// Copies get fresh block/criterion ids so later edits never collide
+const copyOf = (l) => validateLesson({
+  ...l,
+  blocks: l.blocks.map(({ id, ...x }) => x),
+  rubric: l.rubric && { ...l.rubric, criteria: l.rubric.criteria.map(({ id, ...c }) => c) }
+});
+
+/* ----------------------------------------------------------------------------
+   Routes
+---------------------------------------------------------------------------- */
+export function registerLessonRoutes(router) {
+  // ?q= searches title, class, objectives and standards; ?classId= keeps that class's plans (and the templates)
+  router.get('/api/lessons', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'lessons');
+    const needle = String(ctx.query.q || '').toLowerCase();
+    const classId = ctx.query.classId;
+    const lessons = ctx.db.collection('lessons').filter(l =>
+      canEdit(user, l) &&
+      (!classId || l.isTemplate || l.classId === classId) &&
+      (!needle || [l.title, l.className, ...l.objectives, ...l.standards].join(' ').toLowerCase().includes(needle)));
+    return { lessons: lessons.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)) };
+  });
+
+  router.get('/api/lessons/:id', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'lessons');
+    return { lesson: ownLesson(ctx, user, ctx.params.id) };
+  });
+
+  router.post('/api/lessons', async (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'lessons');
+    const body = await readJson(ctx.req, 200_000);
+    const clean = withClass(ctx, user, validateLesson(body), body.classId);
+    const stamp = now();
+    return { lesson: ctx.db.collection('lessons').insert({ ...clean, ownerId: user.id, createdAt: stamp, updatedAt: stamp }) };
+  });
+
+  router.put('/api/lessons/:id', async (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'lessons');
+    const l = ownLesson(ctx, user, ctx.params.id);
+    const body = await readJson(ctx.req, 200_000);
+    const clean = withClass(ctx, user, validateLesson(body), body.classId);
+    return { lesson: ctx.db.collection('lessons').update(l.id, { ...clean, updatedAt: now() }) };
+  });
+
+  router.del('/api/lessons/:id', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'lessons');
+    const l = ownLesson(ctx, user, ctx.params.id);
+    ctx.db.collection('lessons').remove(l.id);
+    return { ok: true };
+  });
+
+  // { classIds?: [string], classNames?: [string], asTemplate?: bool, title? } — one copy per class, a template, or a
+  // plain copy named `title` (the client words it in the teacher's language), else "(copy)"
+  router.post('/api/lessons/:id/duplicate', async (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'lessons');
+    const l = ownLesson(ctx, user, ctx.params.id);
+    const body = await readJson(ctx.req);
+    const classIds = [...new Set(list(body.classIds, 30, 40))];
+    const classNames = [...new Set(list(body.classNames, 30, 80))];
+    const base = { ...copyOf(l), classId: l.classId || null };
+    const copies = body.asTemplate
+      ? [{ ...base, isTemplate: true, className: '', classId: null }]
+      : classIds.length
+        ? classIds.map(id => withClass(ctx, user, { ...base, isTemplate: false }, id))
+        : classNames.length
+          ? classNames.map(className => ({ ...base, isTemplate: false, className, classId: null }))
+          : [{ ...base, isTemplate: false, title: str(body.title, 200) || `${base.title} (copy)`.slice(0, 200) }];
+    const stamp = now();
+    const lessons = ctx.db.collection('lessons');
+    return { lessons: copies.map(c => lessons.insert({ ...c, ownerId: user.id, createdAt: stamp, updatedAt: stamp })) };
+  });
+}
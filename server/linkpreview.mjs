@@ -0,0 +1,155 @@
+/* =============================================================================
+   MythOS server — link previews
+   Title, description and image for links in announcements, from Open Graph
+   tags with <title> as the fallback. The server fetches these on a user's
+   behalf, so it only ever talks to the public internet:
+   - http(s) only, default ports only, no credentials in the URL
+   - every DNS answer must be a public address, and the connection uses the
+     address that was checked (no DNS-rebinding window)
+   - redirects are followed by hand, at most 3, each hop checked again
+   - HTML only, 512 KB at most, 5 s per hop
+   Results (failures too) are cached in `link_previews` for a day.
+============================================================================= */
+import dns from 'node:dns';
+import http from 'node:http';
+import https from 'node:https';
+import net from 'node:net';
+
+const TIMEOUT_MS = 5000;
+const MAX_BYTES = 512 * 1024;
+const MAX_REDIRECTS = 3;
+const CACHE_MS = 24 * 3600_000;
+const MAX_LINKS = 3;
+
+/* ----------------------------------------------------------------------------
+   Address checks
+---------------------------------------------------------------------------- */
+const reserved = new net.BlockList();
+[
+  ['0.0.0.0', 8], ['10.0.0.0', 8], ['100.64.0.0', 10], ['127.0.0.0', 8], ['169.254.0.0', 16],
+  ['172.16.0.0', 12], ['192.0.0.0', 24], ['192.0.2.0', 24], ['192.88.99.0', 24], ['192.168.0.0', 16],
+  ['198.18.0.0', 15], ['198.51.100.0', 24], ['203.0.113.0', 24], ['224.0.0.0', 4], ['240.0.0.0', 4]
+].forEach(([a, p]) => reserved.addSubnet(a, p, 'ipv4'));
+[
+  ['::', 127], ['64:ff9b::', 96], ['64:ff9b:1::', 48], ['100::', 64], ['2001::', 23], ['2001:db8::', 32],
+  ['2002::', 16], ['fc00::', 7], ['fe80::', 10], ['fec0::', 10], ['ff00::', 8]
+].forEach(([a, p]) => reserved.addSubnet(a, p, 'ipv6'));
+
+export const isPublicAddress = (ip) => {
+  const mapped = /^::ffff:(\d+\.\d+\.\d+\.\d+)$/i.exec(ip);
+  if (mapped) return isPublicAddress(mapped[1]);
+  const family = net.isIP(ip);
+  if (!family) return false;
+  return !reserved.check(ip, family === 4 ? 'ipv4' : 'ipv6');
+};
+
+class PreviewError extends Error {}
+
+// dns.lookup replacement for http.request: refuses names that resolve anywhere private
+const safeLookup = (hostname, options, cb) => {
+  dns.lookup(hostname, { all: true, family: options.family || 0 }, (err, addrs) => {
+    if (err) return cb(err);
+    if (!addrs.length || addrs.some(a => !isPublicAddress(a.address))) {
+      return cb(new PreviewError(`${hostname} is not a public address`));
+    }
+    if (options.all) cb(null, addrs);
+    else cb(null, addrs[0].address, addrs[0].family);
+  });
+};
+
+export const checkUrl = (raw) => {
+  let u;
+  try { u = new URL(raw); } catch { throw new PreviewError('Not a URL'); }
+  if (u.protocol !== 'http:' && u.protocol !== 'https:') throw new PreviewError('Only http and https links');
+  if (u.username || u.password) throw new PreviewError('Links with credentials are not fetched');
+  if (u.port && u.port !== (u.protocol === 'https:' ? '443' : '80')) throw new PreviewError('Only default ports');
+  const host = u.hostname.replace(/^\[|\]$/g, '');
+  if (net.isIP(host) && !isPublicAddress(host)) throw new PreviewError(`${host} is not a public address`);
+  if (!net.isIP(host) && !host.includes('.')) throw new PreviewError('Only public host names');
+  return u;
+};
+
+/* ----------------------------------------------------------------------------
+   Fetching
+---------------------------------------------------------------------------- */
+const fetchOnce = (u) => new Promise((resolve, reject) => {
+  const lib = u.protocol === 'https:' ? https : http;
+  const req = lib.get(u, {
+    lookup: safeLookup,
+    timeout: TIMEOUT_MS,
+    headers: { 'User-Agent': 'MythOS-LinkPreview/1.0', Accept: 'text/html,application/xhtml+xml' }
+  }, (res) => {
+    if (res.statusCode >= 300 && res.statusCode < 400 && res.headers.location) {
+      res.resume();
+      try { return resolve({ redirect: new URL(res.headers.location, u) }); }
+      catch { return reject(new PreviewError('Bad redirect')); }
+    }
+    if (res.statusCode !== 200) { res.resume(); return reject(new PreviewError(`HTTP ${res.statusCode}`)); }
+    if (!/text\/html|application\/xhtml/i.test(res.headers['content-type'] || '')) { res.resume(); return resolve({ html: '' }); }
+    const chunks = [];
+    let size = 0;
+    res.on('data', (c) => {
+      chunks.push(c);
+      size += c.length;
+      if (size >= MAX_BYTES) res.destroy();   // the <head> is all we need
+    });
+    res.on('close', () => resolve({ html: Buffer.concat(chunks).subarray(0, MAX_BYTES).toString('utf8') }));
+    res.on('error', () => resolve({ html: Buffer.concat(chunks).toString('utf8') }));
+  });
+  req.on('timeout', () => req.destroy(new PreviewError('Timed out')));
+  req.on('error', reject);
+});
+
+const decode = (s) => s
+  .replace(/&#(\d+);/g, (_, n) => String.fromCodePoint(Number(n)))
+  .replace(/&#x([0-9a-f]+);/gi, (_, n) => String.fromCodePoint(parseInt(n, 16)))
+  .replace(/&quot;/g, '"').replace(/&#39;|&apos;/g, "'").replace(/&lt;/g, '<').replace(/&gt;/g, '>').replace(/&nbsp;/g, ' ').replace(/&amp;/g, '&')
+  .replace(/\s+/g, ' ').trim();
+
+export const parsePreview = (html, base) => {
+  const meta = {};
+  for (const tag of html.match(/<meta\s[^>]*>/gi) || []) {
+    const attrs = {};
+    for (const m of tag.matchAll(/([\w:-]+)\s*=\s*(?:"([^"]*)"|'([^']*)'|([^\s>]+))/g)) attrs[m[1].toLowerCase()] = m[2] ?? m[3] ?? m[4];
+    const key = (attrs.property || attrs.name || '').toLowerCase();
+    if (key && attrs.content && !(key in meta)) meta[key] = decode(attrs.content);
+  }
+  const title = meta['og:title'] || meta['twitter:title'] || decode(/<title[^>]*>([\s\S]*?)<\/title>/i.exec(html)?.[1] || '');
+  let image = meta['og:image'] || meta['twitter:image'] || null;
+  try { image = image && new URL(image, base).href; } catch { image = null; }
+  return {
+    url: base.href,
+    title: title.slice(0, 200),
+    description: (meta['og:description'] || meta['twitter:description'] || meta.description || '').slice(0, 400),
+    siteName: (meta['og:site_name'] || base.hostname).slice(0, 100),
+    image: image?.startsWith('https://') ? image : null    // plain-http images would be mixed content
+  };
+};
+
+const fetchPreview = async (raw) => {
+  let u = checkUrl(raw);
+  for (let hop = 0; hop <= MAX_REDIRECTS; hop++) {
+    const out = await fetchOnce(u);
+    if (!out.redirect) return out.html ? parsePreview(out.html, u) : { url: u.href, title: '', description: '', siteName: u.hostname, image: null };
+    u = checkUrl(out.redirect.href);
+  }
+  throw new PreviewError('Too many redirects');
+};
+
+// → preview or null (unreachable, private, not a page); cached either way
+export const linkPreview = async (ctx, url) => {
+  const cache = ctx.db.collection('link_previews');
+  cache.removeWhere(r => Date.now() - Date.parse(r.fetchedAt) >= CACHE_MS);
+  const hit = cache.find(r => r.url === url);
+  if (hit) return hit.preview;
+  let preview = null;
+  try { preview = await fetchPreview(url); } catch {} // any failure just means no card
+  cache.insert({ url, preview, fetchedAt: new Date().toISOString() });
+  return preview;
+};
+
+// Previews for the first few links in a piece of Markdown
+export const previewsFor = async (ctx, text) => {
+  const urls = [...new Set((String(text).match(/https?:\/\/[^\s<>()"'`\]]+/g) || []).map(u => u.replace(/[.,;:!?*_]+$/, '')))].slice(0, MAX_LINKS);
+  return (await Promise.all(urls.map(u => linkPreview(ctx, u)))).filter(p => p && p.title);
+};
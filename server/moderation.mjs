@@ -0,0 +1,406 @@
+/* =============================================================================
+   MythOS server — student safety
+   /api/chat (chat.mjs) runs every request from a screened role (students by
+   default) through here:
+   - Personal info in any message the client sends — emails, phone numbers,
+     street addresses — is replaced with placeholders before the provider
+     sees it. The client writes the "assistant" turns too, so they are no
+     safer than the student's own.
+   - The newest prompt is screened against the local rule lists below, the
+     school's own watch/block terms and, when one is set up, a classifier.
+     A hit at or above `blockAt` gets a safe reply instead of a model answer.
+   - Replies are screened too: local rules as they stream (a blocked reply is
+     replaced mid-stream), the classifier once the reply is complete.
+   Every hit is a `moderation_flags` row in the review queue. Teachers see the
+   flags of students in their classes, admins see all of them. `notifyAt` and
+   `notify` decide who hears about a new flag; open high-severity flags go to
+   the admins after `escalateAfterHours`, and a teacher can escalate by hand.
+   Flags keep the redacted text only.
+
+   Env (classifiers, both optional):
+   - MYTHOS_MODERATION_OPENAI_KEY  (falls back to OPENAI_API_KEY; uses OPENAI_BASE_URL)
+   - MYTHOS_MODERATION_URL         POST { text } → { flagged, categories: [..], severity? }
+============================================================================= */
+import { badRequest, notFound, readJson } from './http.mjs';
+import { ROLES, requireRole } from './auth.mjs';
+import { classIdsFor } from './classes.mjs';
+import { upstream } from './providers.mjs';
+import { notify, registerNotificationJob } from './notifications.mjs';
+
+const SEVERITY = { none: 0, low: 1, high: 2 };
+const LEVELS = ['low', 'high', 'never'];           // blockAt / notifyAt: this severity and up
+const RECIPIENTS = ['teachers', 'admins', 'both'];
+const STATUSES = ['open', 'reviewed', 'dismissed', 'escalated'];
+const MAX_TERMS = 200;
+const QUEUE_SIZE = 200;
+const REPLY_OVERLAP = 100;   // chars of already-screened reply re-read with each chunk; longer than any rule or term (60)
+
+const DEFAULT_SETTINGS = {
+  enabled: true,
+  roles: ['student'],
+  redact: { email: true, phone: true, address: true },
+  classifier: 'none',
+  blockAt: 'high',
+  notifyAt: 'high',
+  notify: 'both',
+  escalateAfterHours: 24,
+  watchTerms: [],
+  blockTerms: []
+};
+
+const now = () => new Date().toISOString();
+const str = (v, max) => String(v ?? '').trim().slice(0, max);
+const env = (k, d) => (process.env[k] ?? '').trim() || d;
+
+/* ----------------------------------------------------------------------------
+   Personal info
+---------------------------------------------------------------------------- */
+// A phone number starts with + and has at least 7 digits (+44 20 7946 0958), or has an
+// area code: (020) 7946 0958, 555-123-4567. Sums, years, coordinates and number sequences are left alone.
+const PII = {
+  email: { rx: /[A-Z0-9._%+-]+@[A-Z0-9.-]+\.[A-Z]{2,}/gi, label: '[email removed]' },
+  phone: {
+    rx: /(?<![\w.+])(?:\+(?=(?:[\s.()-]*\d){7})\d{1,3}(?:[\s.-]?\d)?(?:[\s.-]?(?:\(\d{1,4}\)|\d{2,4})){1,5}|\(\d{2,4}\)[\s.-]?\d{3,4}[\s.-]?\d{3,4}|\d{3}[\s.-]\d{3}[\s.-]\d{4})(?!\w|\.\d)/g,
+    label: '[phone removed]'
+  },
+  address: {
+    rx: /\b\d{1,5}\s+(?:[A-Za-z]+\s+){1,3}(?:street|st|avenue|ave|road|rd|boulevard|blvd|lane|ln|drive|dr|court|ct|way|place|pl|terrace|circle)\b\.?|\b(?:my|our)\s+(?:home\s+)?address\s+is\s+[^.\n]{3,80}/gi,
+    label: '[address removed]'
+  }
+};
+
+// → { text, found: ['email', …] }
+export const redact = (text, kinds) => {
+  let out = text;
+  const found = [];
+  for (const [kind, { rx, label }] of Object.entries(PII)) {
+    if (!kinds[kind]) continue;
+    const next = out.replace(rx, label);
+    if (next !== out) found.push(kind);
+    out = next;
+  }
+  return { text: out, found };
+};
+
+/* ----------------------------------------------------------------------------
+   Local rules — deliberately short; schools add their own terms in settings
+---------------------------------------------------------------------------- */
+const RULES = [
+  { category: 'self_harm', severity: 'high', rx: /\b(?:kill(?:ing)? myself|suicid(?:e|al)|self[- ]?harm(?:ing)?|cut(?:ting)? myself|hurt(?:ing)? myself|end my life|want to die|better off dead)\b/i },
+  // Persian and Arabic: no \b, it only knows ASCII letters
+  { category: 'self_harm', severity: 'high', rx: /خودکشی|می\s?‌?خوام بمیرم|میخواهم بمیرم|انتحار|أريد أن أموت|اريد ان اموت/ },
+  { category: 'violence', severity: 'high', rx: /\b(?:shoot up (?:the|my|a) school|bring a (?:gun|knife|weapon) to school|bomb (?:the|my) school|make a (?:bomb|pipe bomb)|kill (?:him|her|them|everyone|my (?:teacher|classmates?)))\b/i },
+  { category: 'harassment', severity: 'high', rx: /\b(?:kys|kill yourself|go die)\b/i },
+  { category: 'sexual', severity: 'high', rx: /\b(?:porn\w*|nudes?|sexting|send (?:me )?naked)\b/i },
+  { category: 'harassment', severity: 'low', rx: /\b(?:you(?:'re| are) (?:so )?(?:stupid|ugly|worthless|a loser)|nobody likes you|everyone hates you)\b/i },
+  { category: 'drugs', severity: 'low', rx: /\b(?:buy (?:weed|drugs|vapes?)|get high|make meth)\b/i },
+  { category: 'profanity', severity: 'low', rx: /\b(?:f+u+c+k\w*|sh[i1]t\w*|b[i1]tch\w*|assholes?)\b/i }
+];
+
+const escapeRx = (s) => s.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+const termRule = (terms, severity) => terms.length
+  ? [{ category: 'school_terms', severity, rx: new RegExp(`(?:^|[^\\p{L}\\p{N}])(?:${terms.map(escapeRx).join('|')})(?![\\p{L}\\p{N}])`, 'iu') }]
+  : [];
+
+// → { severity, categories, matches, via }
+const screenLocal = (text, settings) => {
+  const rules = [...RULES, ...termRule(settings.watchTerms, 'low'), ...termRule(settings.blockTerms, 'high')];
+  const hits = rules.map(r => ({ r, m: r.rx.exec(text) })).filter(h => h.m);
+  return verdict(hits.map(h => ({ category: h.r.category, severity: h.r.severity, match: h.m[0].trim() })), 'rules');
+};
+
+const verdict = (hits, via) => ({
+  severity: hits.reduce((s, h) => SEVERITY[h.severity] > SEVERITY[s] ? h.severity : s, 'none'),
+  categories: [...new Set(hits.map(h => h.category))],
+  matches: [...new Set(hits.map(h => h.match).filter(Boolean))].slice(0, 5),
+  via: hits.length ? [via] : []
+});
+
+const merge = (a, b) => ({
+  severity: SEVERITY[b.severity] > SEVERITY[a.severity] ? b.severity : a.severity,
+  categories: [...new Set([...a.categories, ...b.categories])],
+  matches: [...new Set([...a.matches, ...b.matches])].slice(0, 5),
+  via: [...new Set([...a.via, ...b.via])]
+});
+
+/* ----------------------------------------------------------------------------
+   Classifiers — optional; a classifier that fails leaves the local verdict
+---------------------------------------------------------------------------- */
+const HIGH_CATEGORY_RX = /self[-_]?harm|minors|threat|violen|illicit|weapon/i;
+
+const CLASSIFIERS = {
+  openai: {
+    configured: () => !!env('MYTHOS_MODERATION_OPENAI_KEY', env('OPENAI_API_KEY')),
+    async check(text) {
+      const res = await upstream('OpenAI moderation', `${env('OPENAI_BASE_URL', 'https://api.openai.com/v1')}/moderations`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', Authorization: `Bearer ${env('MYTHOS_MODERATION_OPENAI_KEY', env('OPENAI_API_KEY'))}` },
+        body: JSON.stringify({ model: 'omni-moderation-latest', input: text })
+      });
+      const r = (await res.json())?.results?.[0];
+      const cats = r?.flagged ? Object.entries(r.categories || {}).filter(([, on]) => on).map(([c]) => c) : [];
+      return cats.map(c => ({ category: c.replace(/[/-]/g, '_'), severity: HIGH_CATEGORY_RX.test(c) ? 'high' : 'low' }));
+    }
+  },
+  webhook: {
+    configured: () => !!env('MYTHOS_MODERATION_URL'),
+    async check(text) {
+      const res = await upstream('Moderation webhook', env('MYTHOS_MODERATION_URL'), {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify({ text })
+      });
+      const r = await res.json();
+      if (!r?.flagged) return [];
+      const cats = Array.isArray(r.categories) && r.categories.length ? r.categories.map(String) : ['flagged'];
+      return cats.map(c => ({ category: c, severity: SEVERITY[r.severity] ? r.severity : HIGH_CATEGORY_RX.test(c) ? 'high' : 'low' }));
+    }
+  }
+};
+
+const screenClassifier = async (text, settings) => {
+  const c = CLASSIFIERS[settings.classifier];
+  if (!c?.configured()) return verdict([], settings.classifier);
+  try { return verdict(await c.check(text), settings.classifier); }
+  catch (err) {
+    console.warn(`moderation classifier ${settings.classifier} failed:`, err.message);
+    return verdict([], settings.classifier);
+  }
+};
+
+/* ----------------------------------------------------------------------------
+   Settings (one `moderation_settings` row, admins only)
+---------------------------------------------------------------------------- */
+const settingsRow = (ctx) => ctx.db.collection('moderation_settings').all()[0] || null;
+
+export const moderationSettings = (ctx) => {
+  const row = settingsRow(ctx);
+  return { ...DEFAULT_SETTINGS, ...row, redact: { ...DEFAULT_SETTINGS.redact, ...row?.redact } };
+};
+
+const readTerms = (v, label) => {
+  if (!Array.isArray(v)) throw badRequest(`${label} must be a list`);
+  const terms = [...new Set(v.map(t => str(t, 60).toLowerCase()).filter(Boolean))];
+  if (terms.length > MAX_TERMS) throw badRequest(`At most ${MAX_TERMS} ${label.toLowerCase()}`).withKey('moderation.tooManyTerms', { n: MAX_TERMS });
+  return terms;
+};
+
+const validateSettings = (b) => {
+  const roles = [...new Set(Array.isArray(b.roles) ? b.roles.map(String) : [])];
+  if (roles.some(r => !ROLES.includes(r))) throw badRequest(`Roles must be among: ${ROLES.join(', ')}`);
+  if (b.classifier !== 'none' && !CLASSIFIERS[b.classifier]) throw badRequest(`classifier must be one of none, ${Object.keys(CLASSIFIERS).join(', ')}`);
+  if (!LEVELS.includes(b.blockAt) || !LEVELS.includes(b.notifyAt)) throw badRequest(`blockAt and notifyAt must be one of ${LEVELS.join(', ')}`);
+  if (!RECIPIENTS.includes(b.notify)) throw badRequest(`notify must be one of ${RECIPIENTS.join(', ')}`);
+  const hours = b.escalateAfterHours === null || b.escalateAfterHours === '' ? null : Number(b.escalateAfterHours);
+  if (hours !== null && !(hours >= 1 && hours <= 720)) throw badRequest('Escalation must be after 1–720 hours, or never').withKey('moderation.escalation');
+  return {
+    enabled: !!b.enabled,
+    roles,
+    redact: { email: !!b.redact?.email, phone: !!b.redact?.phone, address: !!b.redact?.address },
+    classifier: b.classifier,
+    blockAt: b.blockAt,
+    notifyAt: b.notifyAt,
+    notify: b.notify,
+    escalateAfterHours: hours === null ? null : Math.round(hours),
+    watchTerms: readTerms(b.watchTerms, 'Watch terms'),
+    blockTerms: readTerms(b.blockTerms, 'Block terms')
+  };
+};
+
+/* ----------------------------------------------------------------------------
+   Review queue
+---------------------------------------------------------------------------- */
+const reaches = (level, severity) => level !== 'never' && SEVERITY[severity] >= SEVERITY[level];
+
+const admins = (ctx) => ctx.db.collection('users').filter(u => u.role === 'admin' && !u.disabled).map(u => u.id);
+const teachersOf = (ctx, classIds) => ctx.db.collection('classes').filter(c => classIds.includes(c.id)).map(c => c.teacherId);
+
+// `title` is [key, English text, vars]; the body names the student and the categories
+const alert = (ctx, userIds, f, [titleKey, title, vars]) => {
+  const student = ctx.db.collection('users').get(f.userId);
+  const name = student?.name || student?.username || null;
+  notify(ctx, userIds, {
+    type: 'safety',
+    title,
+    body: `${name || 'A student'}: ${f.categories.join(', ').replace(/_/g, ' ')}`,
+    refId: f.id,
+    tab: 'safety',
+    titleKey, bodyKey: name ? 'notify.safetyBody' : 'notify.safetyBodyAnon', vars: { ...vars, student: name, categories: f.categories }
+  });
+};
+
+const fileFlag = (ctx, user, settings, v, { source, prompt, reply = '', blocked }) => {
+  const classIds = classIdsFor(ctx, user);
+  const f = ctx.db.collection('moderation_flags').insert({
+    userId: user.id, classIds, source, severity: v.severity, categories: v.categories, matches: v.matches, via: v.via,
+    action: blocked ? 'blocked' : 'allowed',
+    prompt: str(prompt, 2000), reply: str(reply, 2000),
+    status: 'open', notes: [], createdAt: now(), reviewedBy: null, reviewedAt: null, escalatedAt: null
+  });
+  if (reaches(settings.notifyAt, v.severity)) {
+    const teachers = settings.notify === 'admins' ? [] : teachersOf(ctx, classIds);
+    // a student in no class still reaches someone
+    const toAdmins = settings.notify !== 'teachers' || !teachers.length;
+    alert(ctx, [...teachers, ...(toAdmins ? admins(ctx) : [])].filter(id => id !== user.id), f, [`notify.safetyFlag.${v.severity}`, `Safety flag (${v.severity})`]);
+  }
+  return f;
+};
+
+// High flags nobody has looked at go to the admins after escalateAfterHours
+const escalateStale = (ctx) => {
+  const { escalateAfterHours } = moderationSettings(ctx);
+  if (!escalateAfterHours) return;
+  const cutoff = new Date(Date.now() - escalateAfterHours * 3600_000).toISOString();
+  const flags = ctx.db.collection('moderation_flags');
+  for (const f of flags.filter(f => f.status === 'open' && f.severity === 'high' && f.createdAt <= cutoff)) {
+    const updated = flags.update(f.id, { status: 'escalated', escalatedAt: now() });
+    alert(ctx, admins(ctx), updated, ['notify.safetyStale', `Unreviewed safety flag escalated after ${escalateAfterHours} h`, { hours: escalateAfterHours }]);
+  }
+};
+
+// Who may see a flag: admins all of them, teachers those of students in their classes
+const visibleTo = (ctx, user) => {
+  if (user.role === 'admin') return () => true;
+  const mine = new Set(ctx.db.collection('classes').filter(c => c.teacherId === user.id).map(c => c.id));
+  return (f) => f.classIds.some(c => mine.has(c));
+};
+
+const publicFlag = (ctx, f) => {
+  const users = ctx.db.collection('users');
+  const student = users.get(f.userId);
+  const classes = ctx.db.collection('classes');
+  return {
+    ...f,
+    student: student?.name || student?.username || 'Deleted user',
+    classes: f.classIds.map(id => classes.get(id)?.name).filter(Boolean),
+    reviewer: f.reviewedBy ? users.get(f.reviewedBy)?.name || users.get(f.reviewedBy)?.username || null : null
+  };
+};
+
+/* ----------------------------------------------------------------------------
+   The pipeline (chat.mjs)
+---------------------------------------------------------------------------- */
+const SAFE_REPLIES = {
+  en: {
+    self_harm: "It sounds like you might be going through something really hard, and I'm glad you said something. You don't have to handle it alone: please talk to a teacher, your school counsellor or another adult you trust today. If you might be in danger right now, call your local emergency number or a crisis line.",
+    other: "I can't help with that here. Let's keep our chat about your schoolwork — is there something you're studying that I can help with?"
+  },
+  fa: {
+    self_harm: 'به نظر می‌رسد شرایط سختی را می‌گذرانی و خوشحالم که آن را گفتی. لازم نیست تنها با آن روبه‌رو شوی: لطفاً همین امروز با یک معلم، مشاور مدرسه یا بزرگسالی که به او اعتماد داری صحبت کن. اگر همین حالا ممکن است در خطر باشی، با شمارهٔ اورژانس یا خط کمک بحران تماس بگیر.',
+    other: 'در این‌جا نمی‌توانم در این مورد کمک کنم. بیا گفتگو را دربارهٔ درس‌هایت ادامه دهیم — چه چیزی را می‌خوانی که بتوانم در آن کمکت کنم؟'
+  },
+  ar: {
+    self_harm: 'يبدو أنك تمر بوقت صعب حقًا، ويسعدني أنك تحدثت عنه. لست مضطرًا لمواجهة ذلك وحدك: تحدّث اليوم مع معلّم أو مرشد المدرسة أو شخص بالغ تثق به. إذا كنت في خطر الآن، فاتصل برقم الطوارئ المحلي أو بخط مساعدة للأزمات.',
+    other: 'لا أستطيع المساعدة في هذا هنا. لنُبقِ حديثنا عن دراستك — هل هناك شيء تدرسه يمكنني مساعدتك فيه؟'
+  }
+};
+
+const safeReply = (ctx, user, v) => {
+  const locale = ctx.db.collection('user_prefs').find(p => p.userId === user.id)?.locale;
+  const replies = SAFE_REPLIES[locale] || SAFE_REPLIES.en;
+  return v.categories.includes('self_harm') ? replies.self_harm : replies.other;
+};
+
+/**
+ * Screens one chat request. Returns null for roles that are not screened, else
+ * { messages (redacted), redacted: [kinds], blocked: safe reply text or null,
+ *   checkReply(text, final) → replacement text or null }.
+ * checkReply runs the local rules on what streamed in since its last call (plus
+ * REPLY_OVERLAP characters, for phrases split across chunks) and keeps what they
+ * found; with final = true it also asks the classifier and files a flag for the lot.
+ */
+export const moderate = async (ctx, user, messages) => {
+  const settings = moderationSettings(ctx);
+  if (!settings.enabled || !settings.roles.includes(user.role)) return null;
+
+  const found = new Set();
+  const clean = messages.map(m => {
+    const r = redact(m.content, settings.redact);
+    r.found.forEach(k => found.add(k));
+    return { ...m, content: r.text };
+  });
+  const prompt = clean[clean.length - 1].content;
+
+  const v = merge(screenLocal(prompt, settings), await screenClassifier(prompt, settings));
+  const blocked = reaches(settings.blockAt, v.severity);
+  if (v.severity !== 'none') fileFlag(ctx, user, settings, v, { source: 'prompt', prompt, blocked });
+
+  let replyFlagged = false, screened = 0, seen = verdict([], 'rules');
+  const checkReply = async (text, final = false) => {
+    if (replyFlagged) return null;
+    const from = Math.max(0, screened - REPLY_OVERLAP);
+    screened = text.length;
+    // a word cut in half at the window's start could read as another word
+    const fresh = from && !/\s/.test(text[from - 1]) ? text.slice(from).replace(/^\S+/, '') : text.slice(from);
+    seen = merge(seen, screenLocal(fresh, settings));
+    const rv = final ? merge(seen, await screenClassifier(text, settings)) : seen;
+    if (rv.severity === 'none' || (!final && !reaches(settings.blockAt, rv.severity))) return null;
+    replyFlagged = true;
+    const stop = reaches(settings.blockAt, rv.severity);
+    fileFlag(ctx, user, settings, rv, { source: 'reply', prompt, reply: text, blocked: stop });
+    return stop ? safeReply(ctx, user, rv) : null;
+  };
+
+  return { messages: clean, redacted: [...found], blocked: blocked ? safeReply(ctx, user, v) : null, checkReply };
+};
+
+/* ----------------------------------------------------------------------------
+   Routes
+---------------------------------------------------------------------------- */
+export function registerModerationRoutes(router) {
+  registerNotificationJob(escalateStale);
+
+  router.get('/api/moderation/settings', (ctx) => {
+    requireRole(ctx, 'admin');
+    return {
+      settings: moderationSettings(ctx),
+      classifiers: Object.fromEntries(Object.entries(CLASSIFIERS).map(([k, c]) => [k, c.configured()]))
+    };
+  });
+
+  router.put('/api/moderation/settings', async (ctx) => {
+    const user = requireRole(ctx, 'admin');
+    const clean = validateSettings({ ...moderationSettings(ctx), ...(await readJson(ctx.req)) });
+    const rows = ctx.db.collection('moderation_settings');
+    const row = settingsRow(ctx);
+    const patch = { ...clean, updatedAt: now(), updatedBy: user.id };
+    if (row) rows.update(row.id, patch);
+    else rows.insert(patch);
+    return { settings: moderationSettings(ctx) };
+  });
+
+  // ?status=open|reviewed|dismissed|escalated&classId= — newest first
+  router.get('/api/moderation/flags', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    const { status, classId } = ctx.query;
+    if (status && !STATUSES.includes(status)) throw badRequest(`status must be one of ${STATUSES.join(', ')}`);
+    const can = visibleTo(ctx, user);
+    const mine = ctx.db.collection('moderation_flags').filter(can);
+    const flags = mine
+      .filter(f => (!status || f.status === status) && (!classId || f.classIds.includes(classId)))
+      .sort((a, b) => SEVERITY[b.severity] - SEVERITY[a.severity] || b.createdAt.localeCompare(a.createdAt))
+      .slice(0, QUEUE_SIZE);
+    const counts = Object.fromEntries(STATUSES.map(s => [s, mine.filter(f => f.status === s).length]));
+    return { flags: flags.map(f => publicFlag(ctx, f)), counts };
+  });
+
+  // { status?, note? } — a teacher's "escalated" goes to the admins
+  router.patch('/api/moderation/flags/:id', async (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    const flags = ctx.db.collection('moderation_flags');
+    const f = flags.get(ctx.params.id);
+    if (!f || !visibleTo(ctx, user)(f)) throw notFound('Flag not found').withKey('moderation.flagNotFound');
+    const body = await readJson(ctx.req);
+    if (body.status !== undefined && !STATUSES.includes(body.status)) throw badRequest(`status must be one of ${STATUSES.join(', ')}`);
+    const note = str(body.note, 1000);
+    if (body.status === undefined && !note) throw badRequest('Nothing to change').withKey('moderation.nothingToChange');
+    const patch = { notes: note ? [...f.notes, { by: user.id, name: user.name || user.username, text: note, at: now() }] : f.notes };
+    if (body.status !== undefined && body.status !== f.status) {
+      Object.assign(patch, { status: body.status, reviewedBy: user.id, reviewedAt: now() });
+      if (body.status === 'escalated') patch.escalatedAt = now();
+    }
+    const updated = flags.update(f.id, patch);
+    if (patch.escalatedAt && user.role !== 'admin') alert(ctx, admins(ctx), updated, ['notify.safetyEscalated', `Safety flag escalated by ${user.name || user.username}`, { name: user.name || user.username }]);
+    return { flag: publicFlag(ctx, updated) };
+  });
+}
@@ -0,0 +1,179 @@
+/* =============================================================================
+   MythOS server — notifications
+   Each user has an inbox (`notifications`) fed by the other modules through
+   notify(). New rows are pushed at once to the user's open tabs over
+   Server-Sent Events (GET /api/notifications/stream); a tab that was closed
+   catches up from the inbox. Muted types (`notification_prefs`) are never
+   delivered.
+
+   Some notifications wait for a time: study-plan reminders (`reminders`, sent
+   by the client for its upcoming sessions) and anything a module hands to
+   registerNotificationJob, e.g. scheduled announcements. A timer runs them.
+
+   Notifications the server writes itself also carry `titleKey`/`bodyKey` and
+   their `vars`, so the client can show them in the reader's language; `title`
+   and `body` stay as the English text.
+============================================================================= */
+import { badRequest, readJson } from './http.mjs';
+import { requireUser } from './auth.mjs';
+
+// type → which tab opens when it is clicked (notify() may name another, e.g. a graded assignment)
+export const NOTIFICATION_TYPES = { announcement: 'news', quiz: 'quizzes', assignment: 'assignments', grade: 'quizzes', study: 'study', safety: 'safety', class: 'classes' };
+const INBOX_SIZE = 200;
+const TICK_MS = 30_000;
+const HEARTBEAT_MS = 25_000;
+const REMINDER_LATE_MS = 3600_000;   // a reminder this far overdue (server was down) is dropped
+const MAX_REMINDERS = 100;
+
+const now = () => new Date().toISOString();
+const str = (v, max) => String(v ?? '').trim().slice(0, max);
+
+/* ----------------------------------------------------------------------------
+   Streams — per store, so separate apps in one process stay apart
+---------------------------------------------------------------------------- */
+const streams = new WeakMap();   // db → Map(userId → Set(res))
+const streamsOf = (db) => {
+  if (!streams.has(db)) streams.set(db, new Map());
+  return streams.get(db);
+};
+
+const send = (res, event, data) => res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+
+const publicNotification = (n) => ({
+  id: n.id, type: n.type, title: n.title, body: n.body, titleKey: n.titleKey ?? null, bodyKey: n.bodyKey ?? null, vars: n.vars ?? null,
+  tab: n.tab, refId: n.refId, createdAt: n.createdAt, readAt: n.readAt
+});
+
+const mutedBy = (ctx, userId) => ctx.db.collection('notification_prefs').find(p => p.userId === userId)?.muted || [];
+
+/* ----------------------------------------------------------------------------
+   Delivery
+---------------------------------------------------------------------------- */
+// { type, title, body?, titleKey?, bodyKey?, vars?, refId?, tab? } to each of userIds that has not muted the type
+export const notify = (ctx, userIds, { type, title, body = '', titleKey = null, bodyKey = null, vars = null, refId = null, tab = NOTIFICATION_TYPES[type] }) => {
+  if (!NOTIFICATION_TYPES[type]) throw new Error(`Unknown notification type ${type}`);
+  const rows = ctx.db.collection('notifications');
+  const open = streamsOf(ctx.db);
+  const stamp = now();
+  for (const userId of new Set(userIds)) {
+    if (mutedBy(ctx, userId).includes(type)) continue;
+    const n = rows.insert({ userId, type, title: str(title, 200), body: str(body, 500), titleKey, bodyKey, vars, tab, refId, createdAt: stamp, readAt: null });
+    const mine = rows.filter(r => r.userId === userId);
+    if (mine.length > INBOX_SIZE) {
+      const keep = new Set(mine.sort((a, b) => b.createdAt.localeCompare(a.createdAt)).slice(0, INBOX_SIZE).map(r => r.id));
+      rows.removeWhere(r => r.userId === userId && !keep.has(r.id));
+    }
+    for (const res of open.get(userId) || []) send(res, 'notification', publicNotification(n));
+  }
+};
+
+const jobs = new Set();
+export const registerNotificationJob = (job) => { jobs.add(job); };
+
+const deliverReminders = (ctx) => {
+  const reminders = ctx.db.collection('reminders');
+  const due = reminders.filter(r => Date.parse(r.at) <= Date.now());
+  for (const r of due) {
+    if (Date.now() - Date.parse(r.at) < REMINDER_LATE_MS) notify(ctx, [r.userId], { type: 'study', title: r.title, body: r.body, refId: r.ref });
+    reminders.remove(r.id);
+  }
+};
+
+// Runs the timed deliveries every TICK_MS; returns a stop function
+export const startNotificationTimer = (locals) => {
+  const tick = () => {
+    const ctx = { ...locals };
+    for (const job of [deliverReminders, ...jobs]) {
+      try { job(ctx); } catch (err) { console.error('notification job failed:', err); }
+    }
+  };
+  const timer = setInterval(tick, TICK_MS);
+  timer.unref();
+  return () => clearInterval(timer);
+};
+
+/* ----------------------------------------------------------------------------
+   Routes
+---------------------------------------------------------------------------- */
+export function registerNotificationRoutes(router) {
+  router.get('/api/notifications', (ctx) => {
+    const user = requireUser(ctx);
+    const mine = ctx.db.collection('notifications').filter(n => n.userId === user.id)
+      .sort((a, b) => b.createdAt.localeCompare(a.createdAt));
+    return { notifications: mine.slice(0, 50).map(publicNotification), unread: mine.filter(n => !n.readAt).length };
+  });
+
+  // Stays open; `notification` events as they happen, a comment now and then to keep proxies from closing it
+  router.get('/api/notifications/stream', (ctx) => {
+    const user = requireUser(ctx);
+    const { req, res } = ctx;
+    res.writeHead(200, {
+      'Content-Type': 'text/event-stream; charset=utf-8',
+      'Cache-Control': 'no-store',
+      Connection: 'keep-alive',
+      'X-Accel-Buffering': 'no'
+    });
+    res.write('retry: 5000\n\n');
+    const open = streamsOf(ctx.db);
+    if (!open.has(user.id)) open.set(user.id, new Set());
+    open.get(user.id).add(res);
+    const beat = setInterval(() => res.write(': ping\n\n'), HEARTBEAT_MS);
+    req.on('close', () => {
+      clearInterval(beat);
+      open.get(user.id)?.delete(res);
+      if (!open.get(user.id)?.size) open.delete(user.id);
+    });
+  });
+
+  // { ids: [string] } or { all: true }
+  router.post('/api/notifications/read', async (ctx) => {
+    const user = requireUser(ctx);
+    const body = await readJson(ctx.req);
+    const ids = new Set(Array.isArray(body.ids) ? body.ids.map(String) : []);
+    const rows = ctx.db.collection('notifications');
+    const stamp = now();
+    let changed = 0;
+    for (const n of rows.filter(r => r.userId === user.id && !r.readAt && (body.all || ids.has(r.id)))) {
+      rows.update(n.id, { readAt: stamp });
+      changed++;
+    }
+    return { changed };
+  });
+
+  router.get('/api/notifications/prefs', (ctx) => {
+    const user = requireUser(ctx);
+    return { muted: mutedBy(ctx, user.id), types: Object.keys(NOTIFICATION_TYPES) };
+  });
+
+  router.put('/api/notifications/prefs', async (ctx) => {
+    const user = requireUser(ctx);
+    const { muted } = await readJson(ctx.req);
+    if (!Array.isArray(muted)) throw badRequest('muted must be an array');
+    const bad = muted.find(t => !NOTIFICATION_TYPES[t]);
+    if (bad) throw badRequest(`Unknown notification type "${bad}"`);
+    const prefs = ctx.db.collection('notification_prefs');
+    const row = prefs.find(p => p.userId === user.id);
+    const clean = [...new Set(muted)];
+    if (row) prefs.update(row.id, { muted: clean });
+    else prefs.insert({ userId: user.id, muted: clean });
+    return { muted: clean };
+  });
+
+  // { reminders: [{ at, title, body?, ref? }] } replaces the caller's pending study reminders
+  router.put('/api/notifications/reminders', async (ctx) => {
+    const user = requireUser(ctx);
+    const { reminders } = await readJson(ctx.req, 200_000);
+    if (!Array.isArray(reminders)) throw badRequest('reminders must be an array');
+    if (reminders.length > MAX_REMINDERS) throw badRequest(`At most ${MAX_REMINDERS} reminders`);
+    const clean = reminders.map(r => {
+      if (Number.isNaN(Date.parse(r?.at))) throw badRequest('Every reminder needs a time (at)');
+      const title = str(r.title, 200);
+      if (!title) throw badRequest('Every reminder needs a title');
+      return { at: new Date(r.at).toISOString(), title, body: str(r.body, 500), ref: str(r.ref, 100) || null };
+    }).filter(r => Date.parse(r.at) > Date.now());
+    const rows = ctx.db.collection('reminders');
+    rows.removeWhere(r => r.userId === user.id);
+    for (const r of clean) rows.insert({ userId: user.id, ...r });
+    return { scheduled: clean.length };
+  });
+}
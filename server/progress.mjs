@@ -0,0 +1,251 @@
+/* =============================================================================
+   MythOS server — study activity log, progress & achievements
+   The client reports what a student does as small events; everything on the
+   Progress tab (study time, streaks, charts, badges) is derived from that log.
+
+   Event types:
+     chat          { subject }                 — a chat session was started
+     chat_message  { subject }                 — a message was sent to the tutor
+     tab_time      { subject, seconds }        — time spent on a subject tab
+     quiz          { subject, score, passed }  — a quiz was graded (0–100; quizzes.mjs)
+     plan_session  { subject, minutes, ref }   — a study-plan session was checked off
+     announcement_view { ref }                 — an announcement was shown (counted once per user)
+     card_review   { subject, grade }          — a flashcard was reviewed (SM-2 grade 0–5)
+     assignment    { subject, score, ref }     — graded work was returned (0–100; assignments.mjs)
+   Events with a ref are stored once per user; { undo: true } with the ref removes it.
+   Graded results (SERVER_EVENTS) are recorded by the module that grades them
+   through recordEvent(); POST /api/events refuses them.
+   Both routes sit behind the progress flag (flags.mjs), and a batch is refused
+   while the tab or tool an event comes from is off (featureOf).
+   Achievements are rules over the running totals, replayed in event order so
+   each badge knows the moment it was earned. Earned badges are stored and are
+   never taken away, even if the events behind them are undone later.
+============================================================================= */
+import { badRequest, readJson } from './http.mjs';
+import { requireUser } from './auth.mjs';
+import { requireFeature } from './flags.mjs';
+
+export const EVENT_TYPES = ['chat', 'chat_message', 'tab_time', 'quiz', 'plan_session', 'announcement_view', 'card_review', 'assignment'];
+const SERVER_EVENTS = ['quiz', 'assignment'];
+const MAX_BATCH = 100;
+const MAX_SECONDS = 4 * 3600;       // one tab_time report never counts for more than 4 h
+const BACKDATE_MS = 7 * 86_400_000; // queued events may arrive late, but not from weeks ago
+const DAY_MS = 86_400_000;
+// the flags.mjs target an event comes from. Time on math, science or writing is left out:
+// the tutor chat reports its conversations under the same subjects
+const TAB_FEATURES = { planning: 'study', flashcards: 'flashcards' };
+const featureOf = (e) => e.type === 'card_review' ? 'flashcards'
+  : e.type === 'plan_session' ? 'study'
+  : e.type === 'tab_time' ? TAB_FEATURES[e.subject] : undefined;
+
+/* ----------------------------------------------------------------------------
+   Achievements
+   `test(s)` sees the running stats after each event (see tally below).
+---------------------------------------------------------------------------- */
+export const ACHIEVEMENTS = [
+  { id: 'first_chat', name: 'First question', desc: 'Start your first tutor chat', icon: 'chat', test: s => s.chats >= 1 },
+  { id: 'chats_25', name: 'Curious mind', desc: 'Start 25 tutor chats', icon: 'chat', test: s => s.chats >= 25 },
+  { id: 'first_quiz_passed', name: 'First quiz passed', desc: 'Pass a quiz', icon: 'quiz', test: s => s.quizzesPassed >= 1 },
+  { id: 'perfect_quiz', name: 'Perfect score', desc: 'Score 100% on a quiz', icon: 'quiz', test: s => s.perfectQuizzes >= 1 },
+  { id: 'quizzes_10', name: 'Quiz regular', desc: 'Take 10 quizzes', icon: 'quiz', test: s => s.quizzes >= 10 },
+  { id: 'streak_3', name: '3-day streak', desc: 'Study 3 days in a row', icon: 'streak', test: s => s.streak >= 3 },
+  { id: 'streak_7', name: '7-day streak', desc: 'Study 7 days in a row', icon: 'streak', test: s => s.streak >= 7 },
+  { id: 'streak_30', name: '30-day streak', desc: 'Study 30 days in a row', icon: 'streak', test: s => s.streak >= 30 },
+  { id: 'hours_1', name: 'Warming up', desc: 'Study for 1 hour in total', icon: 'time', test: s => s.minutes >= 60 },
+  { id: 'hours_10', name: 'Dedicated', desc: 'Study for 10 hours in total', icon: 'time', test: s => s.minutes >= 600 },
+  { id: 'hours_50', name: 'Scholar', desc: 'Study for 50 hours in total', icon: 'time', test: s => s.minutes >= 3000 },
+  { id: 'first_plan_session', name: 'On schedule', desc: 'Complete a study-plan session', icon: 'plan', test: s => s.planSessions >= 1 },
+  { id: 'plan_sessions_20', name: 'Planner pro', desc: 'Complete 20 study-plan sessions', icon: 'plan', test: s => s.planSessions >= 20 },
+  { id: 'first_card', name: 'Flash start', desc: 'Review your first flashcard', icon: 'cards', test: s => s.cards >= 1 },
+  { id: 'cards_100', name: 'Memory builder', desc: 'Review 100 flashcards', icon: 'cards', test: s => s.cards >= 100 },
+  { id: 'cards_1000', name: 'Total recall', desc: 'Review 1,000 flashcards', icon: 'cards', test: s => s.cards >= 1000 },
+  { id: 'all_rounder', name: 'All-rounder', desc: 'Spend 30 minutes each on Math, Science and Writing', icon: 'subjects',
+    test: s => ['math', 'science', 'writing'].every(k => (s.bySubject[k] || 0) >= 30) }
+];
+
+/* ----------------------------------------------------------------------------
+   Validation
+---------------------------------------------------------------------------- */
+const cleanSubject = (v) => String(v || 'general').trim().toLowerCase().slice(0, 40) || 'general';
+
+// `fromClient`: posted to /api/events, where graded results are not accepted
+const validateEvent = (e, i, now, fromClient = false) => {
+  const types = fromClient ? EVENT_TYPES.filter(t => !SERVER_EVENTS.includes(t)) : EVENT_TYPES;
+  if (!e || !types.includes(e.type)) throw badRequest(`events[${i}].type must be one of ${types.join(', ')}`);
+  const t = Date.parse(e.at);
+  const at = new Date(Number.isFinite(t) && t <= now && t >= now - BACKDATE_MS ? t : now).toISOString();
+  const out = { type: e.type, subject: cleanSubject(e.subject), at };
+  if (e.type === 'tab_time') {
+    const seconds = Math.round(Number(e.seconds));
+    if (!(seconds > 0)) throw badRequest(`events[${i}].seconds must be a positive number`);
+    out.seconds = Math.min(seconds, MAX_SECONDS);
+  }
+  if (e.type === 'quiz' || e.type === 'assignment') {
+    const score = Number(e.score);
+    if (!Number.isFinite(score) || score < 0 || score > 100) throw badRequest(`events[${i}].score must be 0–100`);
+    out.score = Math.round(score);
+    if (e.type === 'quiz') out.passed = e.passed !== undefined ? !!e.passed : score >= 60;
+  }
+  if (e.type === 'card_review') {
+    const grade = Number(e.grade);
+    if (!Number.isInteger(grade) || grade < 0 || grade > 5) throw badRequest(`events[${i}].grade must be an integer 0–5`);
+    out.grade = grade;
+  }
+  if (e.type === 'plan_session' && !e.undo) {
+    const minutes = Math.round(Number(e.minutes));
+    if (!(minutes > 0)) throw badRequest(`events[${i}].minutes must be a positive number`);
+    out.minutes = Math.min(minutes, 600);
+  }
+  if (e.ref !== undefined) out.ref = String(e.ref).slice(0, 80);
+  if (e.undo) {
+    if (!out.ref) throw badRequest(`events[${i}] needs a ref to undo`);
+    out.undo = true;
+  }
+  return out;
+};
+
+/* ----------------------------------------------------------------------------
+   Stats
+   Days are bucketed in the viewer's time zone: `tz` is minutes east of UTC
+   (what -new Date().getTimezoneOffset() gives in the browser).
+---------------------------------------------------------------------------- */
+export const dayOf = (iso, tz) => new Date(Date.parse(iso) + tz * 60_000).toISOString().slice(0, 10);
+export const shiftDay = (day, n) => new Date(Date.parse(day) + n * DAY_MS).toISOString().slice(0, 10);
+export const minutesOf = (e) => e.type === 'tab_time' ? e.seconds / 60 : e.type === 'plan_session' ? e.minutes : 0;
+
+// Streak ending on `day` (or the day before, so today's streak survives until you study)
+const streakAt = (days, day) => {
+  let d = days.has(day) ? day : shiftDay(day, -1);
+  let n = 0;
+  while (days.has(d)) { n++; d = shiftDay(d, -1); }
+  return n;
+};
+
+const tally = () => ({ chats: 0, quizzes: 0, quizzesPassed: 0, perfectQuizzes: 0, planSessions: 0, cards: 0, assignments: 0, assignmentPoints: 0, minutes: 0, bySubject: {}, days: new Set(), streak: 0 });
+
+const apply = (s, e, tz) => {
+  if (e.type === 'announcement_view') return;   // reading the news is not studying
+  const mins = minutesOf(e);
+  const day = dayOf(e.at, tz);
+  s.days.add(day);
+  s.streak = streakAt(s.days, day);
+  s.minutes += mins;
+  s.bySubject[e.subject] = (s.bySubject[e.subject] || 0) + mins;
+  if (e.type === 'chat') s.chats++;
+  if (e.type === 'quiz') { s.quizzes++; if (e.passed) s.quizzesPassed++; if (e.score === 100) s.perfectQuizzes++; }
+  if (e.type === 'plan_session') s.planSessions++;
+  if (e.type === 'card_review') s.cards++;
+  if (e.type === 'assignment') { s.assignments++; s.assignmentPoints += e.score; }
+};
+
+const publicAchievement = (a, row) => ({ id: a.id, name: a.name, desc: a.desc, icon: a.icon, earnedAt: row?.earnedAt || null });
+
+// Replays the log and stores any badge whose rule first holds; returns the newly earned ones.
+export const awardAchievements = (ctx, userId, tz = 0) => {
+  const store = ctx.db.collection('achievements');
+  const have = new Set(store.filter(a => a.userId === userId).map(a => a.achievementId));
+  if (have.size === ACHIEVEMENTS.length) return [];
+  const events = ctx.db.collection('events').filter(e => e.userId === userId).sort((a, b) => a.at.localeCompare(b.at));
+  const s = tally();
+  const earned = [];
+  for (const e of events) {
+    apply(s, e, tz);
+    for (const a of ACHIEVEMENTS) {
+      if (have.has(a.id) || !a.test(s)) continue;
+      have.add(a.id);
+      earned.push(publicAchievement(a, store.insert({ userId, achievementId: a.id, earnedAt: e.at })));
+    }
+  }
+  return earned;
+};
+
+// Progress summary for one user: totals, per-subject minutes, daily/weekly series, streaks, badges.
+export const progressFor = (ctx, userId, { tz = 0, days = 28, weeks = 8 } = {}) => {
+  const events = ctx.db.collection('events').filter(e => e.userId === userId).sort((a, b) => a.at.localeCompare(b.at));
+  const s = tally();
+  let longest = 0;
+  for (const e of events) { apply(s, e, tz); longest = Math.max(longest, s.streak); }
+
+  const today = dayOf(new Date().toISOString(), tz);
+  const daily = Array.from({ length: days }, (_, i) => ({ day: shiftDay(today, i - days + 1), minutes: 0, cards: 0 }));
+  const dailyIndex = Object.fromEntries(daily.map((d, i) => [d.day, i]));
+
+  // weeks start on Monday
+  const dow = (new Date(`${today}T00:00:00Z`).getUTCDay() + 6) % 7;
+  const thisWeek = shiftDay(today, -dow);
+  const weekly = Array.from({ length: weeks }, (_, i) => ({ week: shiftDay(thisWeek, (i - weeks + 1) * 7), minutes: 0, bySubject: {} }));
+  const weekIndex = Object.fromEntries(weekly.map((w, i) => [w.week, i]));
+
+  for (const e of events) {
+    const mins = minutesOf(e);
+    const day = dayOf(e.at, tz);
+    if (e.type === 'card_review' && day in dailyIndex) daily[dailyIndex[day]].cards++;
+    if (!mins) continue;
+    if (day in dailyIndex) daily[dailyIndex[day]].minutes += mins;
+    const wd = (new Date(`${day}T00:00:00Z`).getUTCDay() + 6) % 7;
+    const w = weekly[weekIndex[shiftDay(day, -wd)]];
+    if (w) { w.minutes += mins; w.bySubject[e.subject] = (w.bySubject[e.subject] || 0) + mins; }
+  }
+
+  const round = (n) => Math.round(n * 10) / 10;
+  const earned = ctx.db.collection('achievements').filter(a => a.userId === userId);
+  return {
+    totals: {
+      minutes: round(s.minutes), chats: s.chats, quizzes: s.quizzes, quizzesPassed: s.quizzesPassed,
+      planSessions: s.planSessions, cards: s.cards, activeDays: s.days.size,
+      assignments: s.assignments, assignmentAverage: s.assignments ? round(s.assignmentPoints / s.assignments) : null
+    },
+    bySubject: Object.fromEntries(Object.entries(s.bySubject).filter(([, m]) => m > 0).map(([k, m]) => [k, round(m)])),
+    daily: daily.map(d => ({ ...d, minutes: round(d.minutes) })),
+    weekly: weekly.map(w => ({ ...w, minutes: round(w.minutes) })),
+    streak: { current: streakAt(s.days, today), longest },
+    achievements: ACHIEVEMENTS.map(a => publicAchievement(a, earned.find(r => r.achievementId === a.id)))
+  };
+};
+
+// Adds one event on the server's own behalf (e.g. a graded quiz); returns newly earned badges.
+export const recordEvent = (ctx, userId, event, tz = 0) => {
+  const e = validateEvent(event, 0, Date.now());
+  ctx.db.collection('events').insert({ userId, ...e });
+  return awardAchievements(ctx, userId, tz);
+};
+
+export const readTz = (v) => {
+  const tz = Math.round(Number(v) || 0);
+  return Math.max(-14 * 60, Math.min(14 * 60, tz));
+};
+
+/* ----------------------------------------------------------------------------
+   Routes
+---------------------------------------------------------------------------- */
+export function registerProgressRoutes(router) {
+  // { events: [...], tz } — batched by the client; sendBeacon-friendly (no custom headers)
+  router.post('/api/events', async (ctx) => {
+    const user = requireUser(ctx);
+    requireFeature(ctx, 'progress');
+    const body = await readJson(ctx.req, 200_000);
+    const list = Array.isArray(body.events) ? body.events : [];
+    if (!list.length) throw badRequest('`events` must be a non-empty array');
+    if (list.length > MAX_BATCH) throw badRequest(`At most ${MAX_BATCH} events per request`);
+    const now = Date.now();
+    const clean = list.map((e, i) => validateEvent(e, i, now, true));
+    for (const target of new Set(clean.map(featureOf).filter(Boolean))) requireFeature(ctx, target);
+
+    const events = ctx.db.collection('events');
+    for (const e of clean) {
+      // events with a ref (plan sessions, announcement views) count once per user
+      const prev = e.ref && events.find(x => x.userId === user.id && x.type === e.type && x.ref === e.ref);
+      if (e.undo) { if (prev) events.remove(prev.id); continue; }
+      if (!prev) events.insert({ userId: user.id, ...e });
+    }
+    return { earned: awardAchievements(ctx, user.id, readTz(body.tz)) };
+  });
+
+  router.get('/api/progress', (ctx) => {
+    const user = requireUser(ctx);
+    requireFeature(ctx, 'progress');
+    const tz = readTz(ctx.query.tz);
+    awardAchievements(ctx, user.id, tz);
+    return progressFor(ctx, user.id, { tz });
+  });
+}
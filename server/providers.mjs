@@ -0,0 +1,196 @@
+/* =============================================================================
+   MythOS server — model providers
+   Each provider exposes complete({ system, messages, apiKey, model }) that
+   resolves to plain text, and stream() yielding text chunks. Replies are normalized by normalizeReply() into the
+   shapes Mythos.jsx already parses ({ text } and { content: [{ text }] }).
+
+   Env:
+   - MYTHOS_PROVIDER         anthropic | openai | mock  (default: first configured, else mock)
+   - ANTHROPIC_API_KEY       ANTHROPIC_MODEL   ANTHROPIC_BASE_URL
+   - OPENAI_API_KEY          OPENAI_MODEL      OPENAI_BASE_URL  (any OpenAI-compatible server)
+   - MYTHOS_PROVIDER_TIMEOUT_MS  (default 60000)
+============================================================================= */
+import { ApiError } from './http.mjs';
+
+const env = (k, d) => (process.env[k] ?? '').trim() || d;
+const timeoutMs = () => Number(env('MYTHOS_PROVIDER_TIMEOUT_MS', '60000')) || 60000;
+
+/* ----------------------------------------------------------------------------
+   Upstream fetch with timeout + error mapping
+---------------------------------------------------------------------------- */
+const upstreamError = async (name, res) => {
+  let detail = '';
+  try { detail = (await res.text()).slice(0, 500); } catch {}
+  if (res.status === 401 || res.status === 403)
+    return new ApiError(502, 'provider_auth_failed', `${name} rejected the API key`, { upstreamStatus: res.status });
+  if (res.status === 429)
+    return new ApiError(429, 'provider_rate_limited', `${name} rate limit reached, try again shortly`, { upstreamStatus: res.status });
+  if (res.status === 400 || res.status === 404 || res.status === 422)
+    return new ApiError(502, 'provider_bad_request', `${name} refused the request`, { upstreamStatus: res.status, detail }).withKey('provider.refused', { provider: name });
+  return new ApiError(502, 'provider_error', `${name} returned HTTP ${res.status}`, { upstreamStatus: res.status }).withKey('provider.httpError', { provider: name, status: String(res.status) });
+};
+
+// The timeout covers time-to-headers; streamed bodies are bounded by `signal` (client disconnect).
+export const upstream = async (name, url, init, signal) => {
+  const ctrl = new AbortController();
+  const t = setTimeout(() => ctrl.abort(), timeoutMs());
+  signal?.addEventListener('abort', () => ctrl.abort(), { once: true });
+  let res;
+  try {
+    res = await fetch(url, { ...init, signal: ctrl.signal });
+  } catch (err) {
+    clearTimeout(t);
+    if (err?.name === 'AbortError') throw new ApiError(504, 'provider_timeout', `${name} did not answer in time`);
+    throw new ApiError(502, 'provider_unreachable', `Could not reach ${name}`);
+  }
+  clearTimeout(t);
+  if (!res.ok) throw await upstreamError(name, res);
+  return res;
+};
+
+// Parses a text/event-stream body into the JSON of each `data:` line.
+async function* sseData(res) {
+  const reader = res.body.getReader();
+  const dec = new TextDecoder();
+  let buf = '';
+  for (;;) {
+    const { value, done } = await reader.read();
+    if (done) break;
+    buf += dec.decode(value, { stream: true });
+    let nl;
+    while ((nl = buf.indexOf('\n')) >= 0) {
+      const line = buf.slice(0, nl).trim();
+      buf = buf.slice(nl + 1);
+      if (!line.startsWith('data:')) continue;
+      const data = line.slice(5).trim();
+      if (data === '[DONE]') return;
+      try { yield JSON.parse(data); } catch {}
+    }
+  }
+}
+
+/* ----------------------------------------------------------------------------
+   Providers
+   stream() is an async generator of text chunks; see streamReply() below for
+   providers that only implement complete().
+---------------------------------------------------------------------------- */
+const anthropic = {
+  name: 'anthropic',
+  defaultKey: () => env('ANTHROPIC_API_KEY'),
+  defaultModel: () => env('ANTHROPIC_MODEL', 'claude-3-5-sonnet-latest'),
+  request({ system, messages, apiKey, model }, stream, signal) {
+    return upstream('Anthropic', `${env('ANTHROPIC_BASE_URL', 'https://api.anthropic.com')}/v1/messages`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'x-api-key': apiKey,
+        'anthropic-version': '2023-06-01'
+      },
+      body: JSON.stringify({ model, max_tokens: 2048, system: system || undefined, messages, stream })
+    }, signal);
+  },
+  async complete(args) {
+    const data = await (await this.request(args, false)).json();
+    return (data?.content || []).filter(b => b?.type === 'text').map(b => b.text).join('');
+  },
+  async *stream(args, signal) {
+    const res = await this.request(args, true, signal);
+    for await (const ev of sseData(res)) {
+      if (ev?.type === 'content_block_delta' && ev.delta?.type === 'text_delta') yield ev.delta.text;
+      if (ev?.type === 'error') throw new ApiError(502, 'provider_error', ev.error?.message || 'Anthropic stream error');
+    }
+  }
+};
+
+const openai = {
+  name: 'openai',
+  defaultKey: () => env('OPENAI_API_KEY'),
+  defaultModel: () => env('OPENAI_MODEL', 'gpt-4o-mini'),
+  request({ system, messages, apiKey, model }, stream, signal) {
+    return upstream('OpenAI-compatible provider', `${env('OPENAI_BASE_URL', 'https://api.openai.com/v1')}/chat/completions`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        Authorization: `Bearer ${apiKey}`
+      },
+      body: JSON.stringify({
+        model,
+        stream,
+        messages: [...(system ? [{ role: 'system', content: system }] : []), ...messages]
+      })
+    }, signal);
+  },
+  async complete(args) {
+    const data = await (await this.request(args, false)).json();
+    return data?.choices?.[0]?.message?.content || '';
+  },
+  async *stream(args, signal) {
+    const res = await this.request(args, true, signal);
+    for await (const ev of sseData(res)) {
+      const text = ev?.choices?.[0]?.delta?.content;
+      if (text) yield text;
+    }
+  }
+};
+
+// Deterministic offline provider: same input → same reply. No key needed.
+const mock = {
+  name: 'mock',
+  defaultKey: () => 'mock',
+  defaultModel: () => 'mock-tutor-1',
+  async complete({ messages }) {
+    return mockReply(messages);
+  },
+  // Word-sized chunks; MYTHOS_MOCK_DELAY_MS slows it down to eyeball the UI.
+  async *stream({ messages }, signal) {
+    const delay = Number(env('MYTHOS_MOCK_DELAY_MS', '15')) || 0;
+    for (const piece of mockReply(messages).match(/\S+\s*|\s+/g) || []) {
+      if (signal?.aborted) return;
+      if (delay) await new Promise(r => setTimeout(r, delay));
+      yield piece;
+    }
+  }
+};
+
+export const mockReply = (messages = []) => {
+  const last = [...messages].reverse().find(m => m.role === 'user')?.content || '';
+  const turns = messages.filter(m => m.role === 'user').length;
+  return `**Mock tutor** (turn ${turns})\n\nYou asked:\n\n> ${last.split('\n').join('\n> ')}\n\n` +
+    `1. Restate the problem in your own words.\n2. Identify what is given and what is asked.\n3. Try the first step, then check it.\n\n` +
+    `_This reply comes from the local mock provider. Set ANTHROPIC_API_KEY or OPENAI_API_KEY for real answers._`;
+};
+
+const registry = { anthropic, openai, mock };
+
+export const providerNames = Object.keys(registry);
+
+export const configuredProviders = () =>
+  providerNames.filter(n => n === 'mock' || !!registry[n].defaultKey());
+
+export const defaultProviderName = () => {
+  const chosen = env('MYTHOS_PROVIDER');
+  if (chosen) return chosen;
+  return configuredProviders().find(n => n !== 'mock') || 'mock';
+};
+
+export const getProvider = (name) => {
+  const p = registry[name || defaultProviderName()];
+  if (!p) throw new ApiError(400, 'unknown_provider', `Unknown provider "${name}"`, { available: providerNames });
+  return p;
+};
+
+// Providers without stream() still work: the whole reply arrives as one chunk.
+export async function* streamReply(p, args, signal) {
+  if (typeof p.stream === 'function') { yield* p.stream(args, signal); return; }
+  yield await p.complete(args);
+}
+
+/* ----------------------------------------------------------------------------
+   Normalization — keep both shapes the client understands.
+---------------------------------------------------------------------------- */
+export const normalizeReply = (text, provider, model) => ({
+  text: text || '',
+  content: [{ type: 'text', text: text || '' }],
+  provider,
+  model
+});
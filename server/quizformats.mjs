@@ -0,0 +1,334 @@
+/* =============================================================================
+   MythOS server — question import/export: Moodle GIFT and IMS QTI 1.2
+   Both directions work on the bank's question shape (quizzes.mjs):
+     { type: 'mc' | 'multi' | 'numeric' | 'short' | 'matching', title, prompt, points,
+       choices?: [{ text, correct }], answer?, tolerance?, answers?: [string],
+       pairs?: [{ left, right }], feedback? }
+   Parsers return { questions, skipped: [{ index, reason, key?, vars? }] } and never
+   throw on a single bad question, so one typo does not sink a whole import.
+   `key` and `vars` name the reason for the client's translations, like API errors.
+============================================================================= */
+
+// An error whose message has a translatable key (see http.mjs, Errors)
+const fail = (key, message, vars) => Object.assign(new Error(message), { key, vars });
+const skip = (index, err) => ({ index, reason: err.message, ...(err.key ? { key: err.key, ...(err.vars ? { vars: err.vars } : {}) } : {}) });
+
+/* ----------------------------------------------------------------------------
+   GIFT  (https://docs.moodle.org/en/GIFT_format)
+---------------------------------------------------------------------------- */
+const GIFT_SPECIAL = /[~=#{}:\\]/g;
+const giftEscape = (s) => String(s).replace(GIFT_SPECIAL, c => `\\${c}`).replace(/\n/g, '\\n');
+const giftUnescape = (s) => s.replace(/\\n/g, '\n').replace(/\\([~=#{}:\\])/g, '$1');
+
+// Splits before every unescaped character matching `test`, keeping it at the start of each part
+const splitUnescaped = (s, test) => {
+  const parts = [];
+  let cur = '';
+  for (let i = 0; i < s.length; i++) {
+    if (s[i] === '\\' && i + 1 < s.length) { cur += s[i] + s[i + 1]; i++; continue; }
+    if (test(s[i]) && cur.trim()) { parts.push(cur); cur = ''; }
+    cur += s[i];
+  }
+  if (cur.trim()) parts.push(cur);
+  return parts;
+};
+
+const indexOfUnescaped = (s, ch, from = 0) => {
+  for (let i = from; i < s.length; i++) {
+    if (s[i] === '\\') { i++; continue; }
+    if (s[i] === ch) return i;
+  }
+  return -1;
+};
+
+const stripFeedback = (s) => {
+  const i = indexOfUnescaped(s, '#');
+  return { text: (i < 0 ? s : s.slice(0, i)).trim(), feedback: i < 0 ? '' : giftUnescape(s.slice(i + 1).replace(/^#+/, '')).trim() };
+};
+
+const stripFormat = (s) => s.replace(/^\s*\[(?:markdown|html|plain|moodle)\]/i, '');
+
+const parseGiftAnswers = (body) => {
+  const b = body.trim();
+  if (/^(T|TRUE|F|FALSE)(\s*#.*)?$/is.test(b)) {
+    const isTrue = /^T/i.test(b);
+    return { type: 'mc', choices: [{ text: 'True', correct: isTrue }, { text: 'False', correct: !isTrue }] };
+  }
+  if (b.startsWith('#')) {
+    const { text } = stripFeedback(b.slice(1));
+    const [value, tol = '0'] = text.replace(/^=/, '').split(':');
+    if (value.includes('..')) {
+      const [lo, hi] = value.split('..').map(Number);
+      if (!Number.isFinite(lo) || !Number.isFinite(hi)) throw fail('import.numericRange', 'Numeric range is not a number');
+      return { type: 'numeric', answer: (lo + hi) / 2, tolerance: Math.abs(hi - lo) / 2 };
+    }
+    const answer = Number(value), tolerance = Number(tol);
+    if (!Number.isFinite(answer) || !Number.isFinite(tolerance)) throw fail('import.numericAnswer', 'Numeric answer is not a number');
+    return { type: 'numeric', answer, tolerance: Math.abs(tolerance) };
+  }
+
+  const items = splitUnescaped(b, (c) => c === '=' || c === '~').map(raw => {
+    const mark = raw[0];
+    let rest = raw.slice(1);
+    let weight = mark === '=' ? 100 : 0;
+    const w = /^%(-?\d+(?:\.\d+)?)%/.exec(rest);
+    if (w) { weight = Number(w[1]); rest = rest.slice(w[0].length); }
+    const { text, feedback } = stripFeedback(rest);
+    return { mark, weight, text, feedback };
+  });
+  if (!items.length) throw fail('import.noAnswers', 'No answers found');
+
+  if (items.every(it => it.mark === '=' && it.text.includes('->'))) {
+    return {
+      type: 'matching',
+      pairs: items.map(it => {
+        const i = it.text.indexOf('->');
+        return { left: giftUnescape(it.text.slice(0, i).trim()), right: giftUnescape(it.text.slice(i + 2).trim()) };
+      })
+    };
+  }
+  if (items.every(it => it.mark === '=')) {
+    return { type: 'short', answers: items.map(it => giftUnescape(it.text)) };
+  }
+  const choices = items.map(it => ({ text: giftUnescape(it.text), correct: it.weight > 0 }));
+  const correct = choices.filter(c => c.correct).length;
+  if (!correct) throw fail('import.noCorrect', 'No correct answer marked');
+  return { type: correct > 1 || items.some(it => it.mark === '~' && it.weight > 0) ? 'multi' : 'mc', choices };
+};
+
+export const parseGift = (text) => {
+  const questions = [], skipped = [];
+  let category = null;
+  const blocks = String(text || '').replace(/\r\n?/g, '\n')
+    .split('\n').filter(l => !/^\s*\/\//.test(l)).join('\n')
+    .split(/\n\s*\n/);
+  blocks.forEach((block, index) => {
+    const src = block.trim();
+    if (!src) return;
+    const cat = /^\$CATEGORY:\s*(.+)$/m.exec(src);
+    if (cat) { category = cat[1].trim().split('/').filter(Boolean).pop() || null; if (src === cat[0]) return; }
+    try {
+      let s = src.replace(/^\$CATEGORY:.*$/m, '').trim();
+      let title = '';
+      const t = /^::((?:\\.|[^:])*)::/.exec(s);
+      if (t) { title = giftUnescape(t[1]).trim(); s = s.slice(t[0].length); }
+      const open = indexOfUnescaped(s, '{');
+      const close = open < 0 ? -1 : indexOfUnescaped(s, '}', open);
+      if (open < 0 || close < 0) throw fail('import.noAnswerBlock', 'No answer block { … }');
+      const stem = stripFormat(s.slice(0, open).trimEnd() + (s.slice(close + 1).trim() ? ` ___ ${s.slice(close + 1).trim()}` : ''));
+      const prompt = giftUnescape(stem).trim();
+      if (!prompt) throw fail('import.emptyQuestion', 'Question text is empty');
+      const q = parseGiftAnswers(s.slice(open + 1, close));
+      questions.push({ title, prompt, points: 1, tags: category ? [category.toLowerCase()] : [], ...q });
+    } catch (err) {
+      skipped.push(skip(index + 1, err));
+    }
+  });
+  return { questions, skipped };
+};
+
+export const toGift = (questions) => questions.map(q => {
+  const head = `${q.title ? `::${giftEscape(q.title)}::` : ''}[markdown]${giftEscape(q.prompt)}`;
+  let body;
+  if (q.type === 'mc') body = q.choices.map(c => `${c.correct ? '=' : '~'}${giftEscape(c.text)}`).join(' ');
+  else if (q.type === 'multi') {
+    const right = q.choices.filter(c => c.correct).length, wrong = q.choices.length - right;
+    const pct = (n) => String(Math.round((100 / n) * 100000) / 100000);
+    body = q.choices.map(c => `~%${c.correct ? pct(right) : `-${pct(wrong || 1)}`}%${giftEscape(c.text)}`).join(' ');
+  } else if (q.type === 'numeric') body = `#${q.answer}:${q.tolerance || 0}`;
+  else if (q.type === 'short') body = q.answers.map(a => `=${giftEscape(a)}`).join(' ');
+  else if (q.type === 'matching') body = q.pairs.map(p => `=${giftEscape(p.left)} -> ${giftEscape(p.right)}`).join(' ');
+  return `${head} {${body}${q.feedback ? ` ####${giftEscape(q.feedback)}` : ''}}`;
+}).join('\n\n') + '\n';
+
+/* ----------------------------------------------------------------------------
+   Minimal XML (enough for QTI): elements, attributes, text, CDATA, entities.
+   No DTDs or processing of namespaces beyond keeping the prefix in the name.
+---------------------------------------------------------------------------- */
+const decodeEntities = (s) => s.replace(/&(#x[0-9a-f]+|#\d+|lt|gt|amp|quot|apos);/gi, (_, e) => {
+  if (e[0] === '#') return String.fromCodePoint(e[1] === 'x' || e[1] === 'X' ? parseInt(e.slice(2), 16) : Number(e.slice(1)));
+  return { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" }[e.toLowerCase()];
+});
+const xmlEscape = (s) => String(s).replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;').replace(/"/g, '&quot;');
+
+export const parseXml = (src) => {
+  const root = { name: '#root', attrs: {}, children: [] };
+  const stack = [root];
+  const rx = /<!\[CDATA\[([\s\S]*?)\]\]>|<!--[\s\S]*?-->|<\?[\s\S]*?\?>|<!DOCTYPE[^>]*>|<\/([\w:.-]+)\s*>|<([\w:.-]+)((?:\s+[\w:.-]+\s*=\s*(?:"[^"]*"|'[^']*'))*)\s*(\/?)>|([^<]+)/gi;
+  let m;
+  while ((m = rx.exec(src))) {
+    const top = stack[stack.length - 1];
+    if (m[1] !== undefined) top.children.push(m[1]);
+    else if (m[2]) {
+      if (top.name !== m[2]) throw fail('import.unexpectedClose', `Unexpected </${m[2]}>`, { tag: m[2] });
+      stack.pop();
+    } else if (m[3]) {
+      const attrs = {};
+      for (const a of m[4].matchAll(/([\w:.-]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g)) attrs[a[1]] = decodeEntities(a[2] ?? a[3]);
+      const el = { name: m[3], attrs, children: [] };
+      top.children.push(el);
+      if (!m[5]) stack.push(el);
+    } else if (m[6] !== undefined) {
+      if (m[6].trim()) top.children.push(decodeEntities(m[6]));
+    }
+  }
+  if (stack.length > 1) throw fail('import.notClosed', `<${stack[stack.length - 1].name}> is not closed`, { tag: stack[stack.length - 1].name });
+  return root;
+};
+
+const kids = (el, name) => (el?.children || []).filter(c => typeof c === 'object' && (!name || c.name === name));
+const find = (el, name) => {
+  for (const c of kids(el)) {
+    if (c.name === name) return c;
+    const hit = find(c, name);
+    if (hit) return hit;
+  }
+  return null;
+};
+const findAll = (el, name, out = []) => {
+  for (const c of kids(el)) { if (c.name === name) out.push(c); findAll(c, name, out); }
+  return out;
+};
+const textOf = (el) => (el?.children || []).map(c => typeof c === 'string' ? c : textOf(c)).join('');
+// mattext may hold escaped HTML; keep the words
+const plainText = (s) => decodeEntities(String(s).replace(/<br\s*\/?>/gi, '\n').replace(/<\/p>/gi, '\n').replace(/<[^>]+>/g, '')).replace(/[ \t]+/g, ' ').trim();
+// <mattext texttype="text/plain"> is already the text: a "<" in it is a less-than sign
+const matText = (el) => {
+  const m = el?.name === 'mattext' ? el : find(el, 'mattext');
+  if (!m) return '';
+  return m.attrs.texttype === 'text/plain' ? textOf(m).replace(/[ \t]+/g, ' ').trim() : plainText(textOf(m));
+};
+
+/* ----------------------------------------------------------------------------
+   QTI 1.2  (one <questestinterop> file with many <item>s — the flavour Canvas,
+   Blackboard and Moodle's importers read). Types are inferred from the
+   response structure; Canvas' question_type metadata is honoured when present.
+---------------------------------------------------------------------------- */
+const META_TYPES = {
+  multiple_choice_question: 'mc', true_false_question: 'mc', multiple_answers_question: 'multi',
+  numerical_question: 'numeric', short_answer_question: 'short', matching_question: 'matching'
+};
+
+const qtiItem = (item) => {
+  const meta = {};
+  for (const f of findAll(item, 'qtimetadatafield')) meta[textOf(find(f, 'fieldlabel')).trim()] = textOf(find(f, 'fieldentry')).trim();
+  const pres = find(item, 'presentation');
+  if (!pres) throw fail('import.noPresentation', 'No <presentation>');
+  const prompt = (kids(pres, 'material').map(matText).join('\n') || matText(pres)).trim();
+  const conditions = findAll(item, 'respcondition');
+  const scoreOf = (c) => Number(textOf(find(c, 'setvar')) || 0);
+  const equalsIn = (c) => findAll(c, 'varequal').map(v => ({ resp: v.attrs.respident, value: textOf(v).trim() }));
+  const feedback = findAll(item, 'itemfeedback').map(matText).join('\n').trim();
+  const base = { title: item.attrs.title || '', prompt, points: Number(meta.points_possible) || 1, tags: [], ...(feedback ? { feedback } : {}) };
+
+  const lids = findAll(pres, 'response_lid');
+  const metaType = META_TYPES[meta.question_type];
+
+  if (lids.length > 1 || metaType === 'matching') {
+    // one response_lid per left item; correct right label given by varequal on that respident
+    const pairs = lids.map(lid => {
+      const labels = Object.fromEntries(findAll(lid, 'response_label').map(l => [l.attrs.ident, matText(l)]));
+      const hit = conditions.flatMap(equalsIn).find(e => e.resp === lid.attrs.ident);
+      return { left: matText(lid), right: hit ? labels[hit.value] : '' };
+    });
+    if (pairs.some(p => !p.left || !p.right)) throw fail('import.missingPair', 'Matching item is missing a pair');
+    return { ...base, type: 'matching', pairs };
+  }
+  if (lids.length === 1) {
+    const lid = lids[0];
+    const labels = findAll(lid, 'response_label').map(l => ({ id: l.attrs.ident, text: matText(l) }));
+    const right = new Set();
+    for (const c of conditions) {
+      const positive = scoreOf(c) > 0 || !find(c, 'setvar');
+      if (!positive) continue;
+      // <and> of several varequal = multi-answer key; a <not> inside excludes
+      const nots = new Set(findAll(c, 'not').flatMap(n => findAll(n, 'varequal').map(v => textOf(v).trim())));
+      equalsIn(c).forEach(e => { if (!nots.has(e.value)) right.add(e.value); });
+    }
+    if (!right.size) throw fail('import.noCorrectQti', 'No correct answer in <resprocessing>');
+    const multi = metaType === 'multi' || lid.attrs.rcardinality === 'Multiple';
+    return { ...base, type: multi ? 'multi' : 'mc', choices: labels.map(l => ({ text: l.text, correct: right.has(l.id) })) };
+  }
+  const num = find(pres, 'response_num');
+  if (num || metaType === 'numeric') {
+    const c = conditions.find(x => scoreOf(x) > 0) || conditions[0];
+    const eq = c && find(c, 'varequal');
+    if (eq) return { ...base, type: 'numeric', answer: Number(textOf(eq)), tolerance: 0 };
+    const lo = Number(textOf(c && (find(c, 'vargte') || find(c, 'vargt'))));
+    const hi = Number(textOf(c && (find(c, 'varlte') || find(c, 'varlt'))));
+    if (!Number.isFinite(lo) || !Number.isFinite(hi)) throw fail('import.numericNoAnswer', 'Numeric item has no answer');
+    const tidy = (n) => Math.round(n * 1e9) / 1e9;   // undo float noise from answer ± tolerance
+    return { ...base, type: 'numeric', answer: tidy((lo + hi) / 2), tolerance: tidy(Math.abs(hi - lo) / 2) };
+  }
+  if (find(pres, 'response_str')) {
+    const answers = conditions.filter(c => scoreOf(c) > 0 || !find(c, 'setvar')).flatMap(equalsIn).map(e => e.value).filter(Boolean);
+    if (!answers.length) throw fail('import.noAccepted', 'Short-answer item has no accepted answers');
+    return { ...base, type: 'short', answers };
+  }
+  throw fail('import.unsupported', 'Unsupported item type');
+};
+
+export const parseQti = (text) => {
+  const questions = [], skipped = [];
+  let doc;
+  try { doc = parseXml(String(text || '')); }
+  catch (err) { return { questions, skipped: [skip(0, fail('import.badXml', `Not valid XML: ${err.message}`, { reason: { message: err.message, key: err.key, vars: err.vars } }))] }; }
+  const items = findAll(doc, 'item');
+  if (!items.length) skipped.push(skip(0, fail('import.noItems', 'No QTI 1.2 <item> elements found')));
+  items.forEach((item, i) => {
+    try {
+      const q = qtiItem(item);
+      if (!q.prompt) throw fail('import.emptyQuestion', 'Question text is empty');
+      questions.push(q);
+    } catch (err) {
+      skipped.push(skip(i + 1, err));
+    }
+  });
+  return { questions, skipped };
+};
+
+const mattext = (s) => `<material><mattext texttype="text/plain">${xmlEscape(s)}</mattext></material>`;
+const metaXml = (type, points) => `<itemmetadata><qtimetadata>` +
+  `<qtimetadatafield><fieldlabel>question_type</fieldlabel><fieldentry>${type}</fieldentry></qtimetadatafield>` +
+  `<qtimetadatafield><fieldlabel>points_possible</fieldlabel><fieldentry>${points}</fieldentry></qtimetadatafield>` +
+  `</qtimetadata></itemmetadata>`;
+const outcomes = '<outcomes><decvar maxvalue="100" minvalue="0" varname="SCORE" vartype="Decimal"/></outcomes>';
+
+const qtiXml = (q, i) => {
+  const id = `q${i + 1}`;
+  const open = `  <item ident="${id}" title="${xmlEscape(q.title || `Question ${i + 1}`)}">\n    `;
+  const fb = q.feedback ? `<itemfeedback ident="general_fb">${mattext(q.feedback)}</itemfeedback>` : '';
+  if (q.type === 'mc' || q.type === 'multi') {
+    const multi = q.type === 'multi';
+    const labels = q.choices.map((c, k) => `<response_label ident="${id}_${k}">${mattext(c.text)}</response_label>`).join('');
+    const key = q.choices.map((c, k) => c.correct ? `<varequal respident="r">${id}_${k}</varequal>` : `<not><varequal respident="r">${id}_${k}</varequal></not>`);
+    const cond = multi ? `<and>${key.join('')}</and>` : key.filter(k => !k.startsWith('<not>')).join('');
+    return open + metaXml(multi ? 'multiple_answers_question' : 'multiple_choice_question', q.points) +
+      `<presentation>${mattext(q.prompt)}<response_lid ident="r" rcardinality="${multi ? 'Multiple' : 'Single'}"><render_choice>${labels}</render_choice></response_lid></presentation>` +
+      `<resprocessing>${outcomes}<respcondition continue="No"><conditionvar>${cond}</conditionvar><setvar action="Set" varname="SCORE">100</setvar></respcondition></resprocessing>${fb}\n  </item>`;
+  }
+  if (q.type === 'numeric') {
+    const tol = q.tolerance || 0;
+    const cond = tol ? `<vargte respident="r">${q.answer - tol}</vargte><varlte respident="r">${q.answer + tol}</varlte>` : `<varequal respident="r">${q.answer}</varequal>`;
+    return open + metaXml('numerical_question', q.points) +
+      `<presentation>${mattext(q.prompt)}<response_num ident="r" rcardinality="Single"><render_fib fibtype="Decimal"/></response_num></presentation>` +
+      `<resprocessing>${outcomes}<respcondition continue="No"><conditionvar>${cond}</conditionvar><setvar action="Set" varname="SCORE">100</setvar></respcondition></resprocessing>${fb}\n  </item>`;
+  }
+  if (q.type === 'short') {
+    return open + metaXml('short_answer_question', q.points) +
+      `<presentation>${mattext(q.prompt)}<response_str ident="r" rcardinality="Single"><render_fib><response_label ident="answer"/></render_fib></response_str></presentation>` +
+      `<resprocessing>${outcomes}<respcondition continue="No"><conditionvar>${q.answers.map(a => `<varequal respident="r">${xmlEscape(a)}</varequal>`).join('')}</conditionvar><setvar action="Set" varname="SCORE">100</setvar></respcondition></resprocessing>${fb}\n  </item>`;
+  }
+  // matching: one response_lid per left side, every right side offered as a label
+  const rights = [...new Set(q.pairs.map(p => p.right))];
+  const lids = q.pairs.map((p, k) => `<response_lid ident="${id}_l${k}">${mattext(p.left)}<render_choice>${rights.map((r, j) => `<response_label ident="${id}_r${j}">${mattext(r)}</response_label>`).join('')}</render_choice></response_lid>`).join('');
+  const conds = q.pairs.map((p, k) => `<respcondition><conditionvar><varequal respident="${id}_l${k}">${id}_r${rights.indexOf(p.right)}</varequal></conditionvar><setvar varname="SCORE" action="Add">${Math.round((100 / q.pairs.length) * 100) / 100}</setvar></respcondition>`).join('');
+  return open + metaXml('matching_question', q.points) +
+    `<presentation>${mattext(q.prompt)}${lids}</presentation><resprocessing>${outcomes}${conds}</resprocessing>${fb}\n  </item>`;
+};
+
+export const toQti = (questions, title = 'MythOS question bank') =>
+  `<?xml version="1.0" encoding="UTF-8"?>\n` +
+  `<questestinterop xmlns="http://www.imsglobal.org/xsd/ims_qtiasiv1p2">\n<assessment ident="mythos" title="${xmlEscape(title)}"><section ident="root_section">\n` +
+  questions.map(qtiXml).join('\n') +
+  `\n</section></assessment>\n</questestinterop>\n`;
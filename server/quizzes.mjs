@@ -0,0 +1,541 @@
+/* =============================================================================
+   MythOS server — question bank, quizzes, attempts & auto-grading
+   Teachers (and admins) keep a tagged bank of questions and assemble quizzes
+   from it. A quiz can be set for one class (classes.mjs) or, with no class,
+   for every student. Published quizzes are taken by students: starting one opens an
+   attempt with a server-side deadline, answers autosave, and grading happens
+   here. A submitted attempt shows its per-question results; the answer key
+   only comes with it once the student has no attempts left or the quiz is
+   past its due date, so nobody retakes a quiz holding the key.
+
+   Question types and their answer key:
+     mc        choices: [{ id, text, correct }]  exactly one correct
+     multi     choices: [{ id, text, correct }]  partial credit, wrong picks subtract
+     numeric   answer, tolerance                 |response − answer| ≤ tolerance
+     short     answers: [string], caseSensitive  whitespace-insensitive exact match
+     matching  pairs: [{ id, left, right }]      partial credit per pair
+============================================================================= */
+import crypto from 'node:crypto';
+import { ApiError, badRequest, messageKey, notFound, readJson } from './http.mjs';
+import { requireRole, requireUser } from './auth.mjs';
+import { recordEvent, readTz } from './progress.mjs';
+import { parseGift, parseQti, toGift, toQti } from './quizformats.mjs';
+import { notify } from './notifications.mjs';
+import { classIdsFor, readClassId, studentIdsOf } from './classes.mjs';
+import { requireFeature } from './flags.mjs';
+
+export const QUESTION_TYPES = ['mc', 'multi', 'numeric', 'short', 'matching'];
+const GRACE_MS = 30_000;         // network slack on top of the time limit
+const MAX_IMPORT_CHARS = 2_000_000;
+
+const now = () => new Date().toISOString();
+const shortId = () => crypto.randomBytes(4).toString('hex');
+const str = (v, max) => String(v ?? '').trim().slice(0, max);
+
+/* ----------------------------------------------------------------------------
+   Validation
+---------------------------------------------------------------------------- */
+export const validateQuestion = (b) => {
+  const type = b?.type;
+  if (!QUESTION_TYPES.includes(type)) throw badRequest(`type must be one of ${QUESTION_TYPES.join(', ')}`);
+  const prompt = str(b.prompt, 10_000);
+  if (!prompt) throw badRequest('The question needs a prompt').withKey('question.needsPrompt');
+  const points = Number(b.points ?? 1);
+  if (!(points > 0 && points <= 100)) throw badRequest('points must be between 0 and 100').withKey('question.points');
+  const q = {
+    type, prompt, points,
+    title: str(b.title, 200),
+    subject: str(b.subject, 40).toLowerCase() || 'general',
+    tags: [...new Set((Array.isArray(b.tags) ? b.tags : []).map(t => str(t, 40).toLowerCase()).filter(Boolean))].slice(0, 20),
+    feedback: str(b.feedback, 4000)
+  };
+
+  if (type === 'mc' || type === 'multi') {
+    const choices = (Array.isArray(b.choices) ? b.choices : [])
+      .map(c => ({ id: str(c?.id, 20) || shortId(), text: str(c?.text, 1000), correct: !!c?.correct }))
+      .filter(c => c.text);
+    if (choices.length < 2) throw badRequest('Give at least two choices').withKey('question.twoChoices');
+    if (new Set(choices.map(c => c.id)).size !== choices.length) throw badRequest('Choice ids must be unique');
+    const right = choices.filter(c => c.correct).length;
+    if (type === 'mc' && right !== 1) throw badRequest('Multiple choice needs exactly one correct choice').withKey('question.oneCorrect');
+    if (type === 'multi' && right < 1) throw badRequest('Mark at least one correct choice').withKey('question.markCorrect');
+    q.choices = choices;
+  }
+  if (type === 'numeric') {
+    const answer = b.answer === '' || b.answer == null ? NaN : Number(b.answer), tolerance = Math.abs(Number(b.tolerance ?? 0));
+    if (!Number.isFinite(answer)) throw badRequest('The numeric answer must be a number').withKey('question.numericAnswer');
+    if (!Number.isFinite(tolerance)) throw badRequest('The tolerance must be a number').withKey('question.tolerance');
+    Object.assign(q, { answer, tolerance });
+  }
+  if (type === 'short') {
+    const answers = [...new Set((Array.isArray(b.answers) ? b.answers : []).map(a => str(a, 500)).filter(Boolean))];
+    if (!answers.length) throw badRequest('Give at least one accepted answer').withKey('question.acceptedAnswer');
+    Object.assign(q, { answers, caseSensitive: !!b.caseSensitive });
+  }
+  if (type === 'matching') {
+    const pairs = (Array.isArray(b.pairs) ? b.pairs : [])
+      .map(p => ({ id: str(p?.id, 20) || shortId(), left: str(p?.left, 500), right: str(p?.right, 500) }))
+      .filter(p => p.left && p.right);
+    if (pairs.length < 2) throw badRequest('Give at least two pairs to match').withKey('question.twoPairs');
+    if (new Set(pairs.map(p => p.id)).size !== pairs.length) throw badRequest('Pair ids must be unique');
+    q.pairs = pairs;
+  }
+  return q;
+};
+
+const validateQuiz = (b, partial) => {
+  const out = {};
+  if (!partial || b.title !== undefined) {
+    out.title = str(b.title, 200);
+    if (!out.title) throw badRequest('The quiz needs a title').withKey('quiz.needsTitle');
+  }
+  if (b.description !== undefined) out.description = str(b.description, 4000);
+  if (b.subject !== undefined) out.subject = str(b.subject, 40).toLowerCase() || 'general';
+  if (b.questionIds !== undefined) {
+    if (!Array.isArray(b.questionIds)) throw badRequest('questionIds must be an array');
+    out.questionIds = [...new Set(b.questionIds.map(String))].slice(0, 200);
+  }
+  if (b.timeLimit !== undefined) {
+    const t = b.timeLimit === null || b.timeLimit === '' ? null : Math.round(Number(b.timeLimit));
+    if (t !== null && !(t >= 1 && t <= 600)) throw badRequest('The time limit must be 1–600 minutes (or empty for none)').withKey('quiz.timeLimit');
+    out.timeLimit = t;
+  }
+  if (b.attempts !== undefined) {
+    const n = Math.round(Number(b.attempts));
+    if (!(n >= 1 && n <= 20)) throw badRequest('Allowed attempts must be 1–20').withKey('quiz.attempts');
+    out.attempts = n;
+  }
+  if (b.passPct !== undefined) {
+    const n = Number(b.passPct);
+    if (!(n >= 0 && n <= 100)) throw badRequest('The pass mark must be 0–100%').withKey('quiz.passMark');
+    out.passPct = n;
+  }
+  if (b.shuffle !== undefined) out.shuffle = !!b.shuffle;
+  if (b.dueAt !== undefined) {
+    if (b.dueAt && Number.isNaN(Date.parse(b.dueAt))) throw badRequest('dueAt must be a date');
+    out.dueAt = b.dueAt ? new Date(b.dueAt).toISOString() : null;
+  }
+  return out;
+};
+
+/* ----------------------------------------------------------------------------
+   Grading
+   Every grader returns a fraction 0–1 of the question's points.
+---------------------------------------------------------------------------- */
+const norm = (s, caseSensitive) => {
+  const t = String(s ?? '').trim().replace(/\s+/g, ' ');
+  return caseSensitive ? t : t.toLowerCase();
+};
+
+const GRADERS = {
+  mc: (q, r) => q.choices.find(c => c.correct)?.id === r ? 1 : 0,
+  multi: (q, r) => {
+    const picked = new Set(Array.isArray(r) ? r : []);
+    const right = q.choices.filter(c => c.correct);
+    const hits = right.filter(c => picked.has(c.id)).length;
+    const misses = q.choices.filter(c => !c.correct && picked.has(c.id)).length;
+    return Math.max(0, (hits - misses) / right.length);
+  },
+  numeric: (q, r) => {
+    const x = typeof r === 'string' ? Number(r.replace(',', '.')) : Number(r);
+    return r !== '' && r != null && Number.isFinite(x) && Math.abs(x - q.answer) <= q.tolerance + 1e-9 ? 1 : 0;
+  },
+  short: (q, r) => q.answers.some(a => norm(a, q.caseSensitive) === norm(r, q.caseSensitive)) && norm(r) ? 1 : 0,
+  matching: (q, r) => {
+    const map = r && typeof r === 'object' ? r : {};
+    return q.pairs.filter(p => norm(map[p.id]) === norm(p.right)).length / q.pairs.length;
+  }
+};
+
+export const gradeAttempt = (questions, answers = {}) => {
+  const results = questions.map(q => {
+    const fraction = GRADERS[q.type](q, answers[q.id]);
+    return { questionId: q.id, fraction: Math.round(fraction * 1000) / 1000, earned: Math.round(fraction * q.points * 100) / 100, points: q.points };
+  });
+  const score = results.reduce((n, r) => n + r.earned, 0);
+  const maxScore = results.reduce((n, r) => n + r.points, 0);
+  return { results, score: Math.round(score * 100) / 100, maxScore, pct: maxScore ? Math.round((score / maxScore) * 1000) / 10 : 0 };
+};
+
+/* ----------------------------------------------------------------------------
+   Views
+---------------------------------------------------------------------------- */
+const shuffled = (list, seed) => {
+  // deterministic per attempt so a reload shows the same order
+  const rank = (x) => crypto.createHash('sha256').update(`${seed}:${x}`).digest('hex');
+  return [...list].sort((a, b) => rank(a.id ?? a).localeCompare(rank(b.id ?? b)));
+};
+
+// What a student sees while answering: no `correct`, no answers, shuffled right-hand sides
+const studentQuestion = (q, seed, shuffle) => {
+  const base = { id: q.id, type: q.type, title: q.title, prompt: q.prompt, points: q.points };
+  if (q.type === 'mc' || q.type === 'multi') {
+    const choices = q.choices.map(c => ({ id: c.id, text: c.text }));
+    return { ...base, choices: shuffle ? shuffled(choices, seed) : choices };
+  }
+  if (q.type === 'matching') {
+    return {
+      ...base,
+      lefts: q.pairs.map(p => ({ id: p.id, text: p.left })),
+      rights: shuffled([...new Set(q.pairs.map(p => p.right))], `${seed}:${q.id}`)
+    };
+  }
+  return base;
+};
+
+const publicQuestion = ({ ownerId, ...q }) => q;
+
+const bankQuestions = (ctx, quiz) => {
+  const bank = ctx.db.collection('questions');
+  return quiz.questionIds.map(id => bank.get(id)).filter(Boolean);
+};
+
+const attemptsOf = (ctx, quizId, userId) =>
+  ctx.db.collection('attempts').filter(a => a.quizId === quizId && (!userId || a.userId === userId));
+
+const quizSummary = (ctx, quiz) => {
+  const done = attemptsOf(ctx, quiz.id).filter(a => a.submittedAt);
+  return {
+    ...quiz,
+    questionCount: quiz.questionIds.length,
+    stats: {
+      attempts: done.length,
+      students: new Set(done.map(a => a.userId)).size,
+      average: done.length ? Math.round((done.reduce((n, a) => n + a.pct, 0) / done.length) * 10) / 10 : null
+    }
+  };
+};
+
+const studentQuizView = (ctx, quiz, user) => {
+  const mine = attemptsOf(ctx, quiz.id, user.id);
+  const submitted = mine.filter(a => a.submittedAt);
+  const open = mine.find(a => !a.submittedAt);
+  return {
+    id: quiz.id, title: quiz.title, description: quiz.description, subject: quiz.subject,
+    timeLimit: quiz.timeLimit, attempts: quiz.attempts, passPct: quiz.passPct, dueAt: quiz.dueAt,
+    questionCount: quiz.questionIds.length, publishedAt: quiz.publishedAt,
+    attemptsUsed: submitted.length,
+    best: submitted.length ? Math.max(...submitted.map(a => a.pct)) : null,
+    openAttemptId: open?.id || null,
+    lastAttemptId: submitted.sort((a, b) => b.submittedAt.localeCompare(a.submittedAt))[0]?.id || null
+  };
+};
+
+// The key is out once this student cannot start another attempt
+const keyRevealed = (ctx, attempt, quiz) => {
+  if (!attempt.submittedAt || !quiz) return false;
+  if (quiz.dueAt && Date.now() > Date.parse(quiz.dueAt)) return true;
+  return attemptsOf(ctx, quiz.id, attempt.userId).filter(a => a.submittedAt).length >= quiz.attempts;
+};
+
+const attemptView = (ctx, attempt) => {
+  const quiz = ctx.db.collection('quizzes').get(attempt.quizId);
+  const questions = quiz ? bankQuestions(ctx, { questionIds: attempt.questionIds }) : [];
+  const reveal = keyRevealed(ctx, attempt, quiz);
+  return {
+    id: attempt.id, quizId: attempt.quizId, title: quiz?.title || 'Quiz',
+    startedAt: attempt.startedAt, deadline: attempt.deadline, submittedAt: attempt.submittedAt || null,
+    answers: attempt.answers || {},
+    answerKey: reveal,
+    questions: reveal ? questions.map(publicQuestion) : questions.map(q => studentQuestion(q, attempt.id, quiz?.shuffle)),
+    ...(attempt.submittedAt ? { score: attempt.score, maxScore: attempt.maxScore, pct: attempt.pct, passed: attempt.passed, late: !!attempt.late, results: attempt.results } : {})
+  };
+};
+
+/* ----------------------------------------------------------------------------
+   Access
+---------------------------------------------------------------------------- */
+const canEdit = (user, row) => user.role === 'admin' || row.ownerId === user.id;
+
+const ownQuestion = (ctx, user, id) => {
+  const q = ctx.db.collection('questions').get(id);
+  if (!q || !canEdit(user, q)) throw notFound('Question not found').withKey('question.notFound');
+  return q;
+};
+
+const ownQuiz = (ctx, user, id) => {
+  const q = ctx.db.collection('quizzes').get(id);
+  if (!q || !canEdit(user, q)) throw notFound('Quiz not found').withKey('quiz.notFound');
+  return q;
+};
+
+// Students see published quizzes set for one of their classes, or for everyone
+const assignedTo = (ctx, user) => {
+  const mine = new Set(classIdsFor(ctx, user));
+  return (q) => q.status === 'published' && (!q.classId || mine.has(q.classId));
+};
+
+const visibleQuiz = (ctx, user, id) => {
+  const q = ctx.db.collection('quizzes').get(id);
+  if (!q || (!assignedTo(ctx, user)(q) && !canEdit(user, q))) throw notFound('Quiz not found').withKey('quiz.notFound');
+  return q;
+};
+
+// Every way an attempt ends (submit, or time running out) goes through here; → { attempt, earned }
+const finish = (ctx, attempt, answers, late, tz = 0) => {
+  const quiz = ctx.db.collection('quizzes').get(attempt.quizId);
+  const graded = gradeAttempt(bankQuestions(ctx, { questionIds: attempt.questionIds }), answers);
+  const done = ctx.db.collection('attempts').update(attempt.id, {
+    answers, ...graded, late, passed: graded.pct >= (quiz?.passPct ?? 60), submittedAt: now()
+  });
+  notify(ctx, [attempt.userId], {
+    type: 'grade', title: `Graded: ${quiz?.title || 'Quiz'}`,
+    body: `${done.score}/${done.maxScore} (${done.pct}%)${done.passed ? ' — passed' : ''}${late ? ' — submitted when time ran out' : ''}`,
+    refId: attempt.id,
+    titleKey: quiz ? 'notify.graded' : 'notify.gradedQuiz',
+    bodyKey: `notify.quizScore${done.passed ? 'Passed' : ''}${late ? 'Late' : ''}`,
+    vars: { title: quiz?.title ?? null, score: done.score, max: done.maxScore, pct: done.pct }
+  });
+  const earned = recordEvent(ctx, attempt.userId, { type: 'quiz', subject: quiz?.subject, score: done.pct, passed: done.passed, at: done.submittedAt }, tz);
+  return { attempt: done, earned };
+};
+
+/* ----------------------------------------------------------------------------
+   Routes
+---------------------------------------------------------------------------- */
+export function registerQuizRoutes(router) {
+  /* ------------------- Question bank ------------------- */
+  router.get('/api/questions', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'quizzes');
+    const { tag, q, type } = ctx.query;
+    const needle = String(q || '').toLowerCase();
+    const list = ctx.db.collection('questions').filter(x =>
+      canEdit(user, x) &&
+      (!tag || x.tags.includes(String(tag).toLowerCase())) &&
+      (!type || x.type === type) &&
+      (!needle || `${x.title} ${x.prompt}`.toLowerCase().includes(needle)));
+    const tags = [...new Set(ctx.db.collection('questions').filter(x => canEdit(user, x)).flatMap(x => x.tags))].sort();
+    return { questions: list.sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)).map(publicQuestion), tags };
+  });
+
+  router.post('/api/questions', async (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'quizzes');
+    const body = await readJson(ctx.req);
+    const list = Array.isArray(body.questions) ? body.questions : [body];
+    if (list.length > 200) throw badRequest('At most 200 questions at once').withKey('question.tooMany', { n: 200 });
+    const clean = list.map((q, i) => {
+      try { return validateQuestion(q); }
+      catch (err) { throw list.length > 1 ? badRequest(`Question ${i + 1}: ${err.message}`).withKey('question.inList', { n: i + 1, reason: { message: err.message, ...messageKey(err) } }) : err; }
+    });
+    const stamp = now();
+    const saved = clean.map(q => ctx.db.collection('questions').insert({ ...q, ownerId: user.id, createdAt: stamp, updatedAt: stamp }));
+    return Array.isArray(body.questions) ? { questions: saved.map(publicQuestion) } : { question: publicQuestion(saved[0]) };
+  });
+
+  router.put('/api/questions/:id', async (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'quizzes');
+    const q = ownQuestion(ctx, user, ctx.params.id);
+    const clean = validateQuestion(await readJson(ctx.req));
+    return { question: publicQuestion(ctx.db.collection('questions').update(q.id, { ...clean, updatedAt: now() })) };
+  });
+
+  router.del('/api/questions/:id', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'quizzes');
+    const q = ownQuestion(ctx, user, ctx.params.id);
+    const inUse = ctx.db.collection('quizzes').filter(z => z.questionIds.includes(q.id));
+    if (inUse.some(z => z.status === 'published'))
+      throw new ApiError(409, 'question_in_use', `Used by the published quiz "${inUse.find(z => z.status === 'published').title}"`)
+        .withKey('question.inUse', { title: inUse.find(z => z.status === 'published').title });
+    inUse.forEach(z => ctx.db.collection('quizzes').update(z.id, { questionIds: z.questionIds.filter(id => id !== q.id) }));
+    ctx.db.collection('questions').remove(q.id);
+    return { ok: true };
+  });
+
+  // { format: 'gift' | 'qti', text, tags?, subject? } — valid questions are saved, the rest reported
+  router.post('/api/questions/import', async (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'quizzes');
+    const body = await readJson(ctx.req, MAX_IMPORT_CHARS + 10_000);
+    const text = String(body.text || '');
+    if (!text.trim()) throw badRequest('Nothing to import').withKey('question.nothingToImport');
+    if (text.length > MAX_IMPORT_CHARS) throw badRequest('The file is too large').withKey('question.fileTooLarge');
+    const parsed = body.format === 'gift' ? parseGift(text) : body.format === 'qti' ? parseQti(text) : null;
+    if (!parsed) throw badRequest('format must be "gift" or "qti"');
+
+    const extraTags = (Array.isArray(body.tags) ? body.tags : []).map(t => str(t, 40).toLowerCase()).filter(Boolean);
+    const skipped = [...parsed.skipped];
+    const stamp = now();
+    const saved = [];
+    parsed.questions.forEach((q, i) => {
+      try {
+        const clean = validateQuestion({ ...q, subject: body.subject || q.subject, tags: [...(q.tags || []), ...extraTags] });
+        saved.push(ctx.db.collection('questions').insert({ ...clean, ownerId: user.id, createdAt: stamp, updatedAt: stamp }));
+      } catch (err) {
+        skipped.push({ index: i + 1, reason: err.message, ...messageKey(err) });
+      }
+    });
+    return { questions: saved.map(publicQuestion), skipped };
+  });
+
+  // ?format=gift|qti&ids=a,b (default: every question you own)
+  router.get('/api/questions/export', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'quizzes');
+    const format = ctx.query.format;
+    if (format !== 'gift' && format !== 'qti') throw badRequest('format must be "gift" or "qti"');
+    const ids = ctx.query.ids ? new Set(String(ctx.query.ids).split(',')) : null;
+    const list = ctx.db.collection('questions').filter(q => canEdit(user, q) && (!ids || ids.has(q.id)));
+    if (!list.length) throw badRequest('No questions to export').withKey('question.noneToExport');
+    return format === 'gift'
+      ? { filename: 'mythos-questions.gift.txt', type: 'text/plain', content: toGift(list) }
+      : { filename: 'mythos-questions.qti.xml', type: 'application/xml', content: toQti(list) };
+  });
+
+  /* ------------------- Quizzes ------------------- */
+  // ?classId= narrows a teacher's list to one class
+  router.get('/api/quizzes', (ctx) => {
+    const user = requireUser(ctx);
+    requireFeature(ctx, 'quizzes');
+    const quizzes = ctx.db.collection('quizzes');
+    if (user.role === 'student') {
+      return { quizzes: quizzes.filter(assignedTo(ctx, user)).sort((a, b) => b.publishedAt.localeCompare(a.publishedAt)).map(q => studentQuizView(ctx, q, user)) };
+    }
+    const classId = ctx.query.classId;
+    return { quizzes: quizzes.filter(q => canEdit(user, q) && (!classId || q.classId === classId)).sort((a, b) => b.updatedAt.localeCompare(a.updatedAt)).map(q => quizSummary(ctx, q)) };
+  });
+
+  router.post('/api/quizzes', async (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'quizzes');
+    const body = await readJson(ctx.req);
+    const fields = validateQuiz(body, false);
+    const stamp = now();
+    const quiz = ctx.db.collection('quizzes').insert({
+      description: '', subject: 'general', questionIds: [], timeLimit: null, attempts: 1, passPct: 60, shuffle: true, dueAt: null,
+      ...fields, classId: readClassId(ctx, user, body.classId), status: 'draft', publishedAt: null, ownerId: user.id, createdAt: stamp, updatedAt: stamp
+    });
+    return { quiz: quizSummary(ctx, quiz) };
+  });
+
+  // { status: 'published' | 'draft' } publishes or withdraws
+  router.patch('/api/quizzes/:id', async (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'quizzes');
+    const quiz = ownQuiz(ctx, user, ctx.params.id);
+    const body = await readJson(ctx.req);
+    const patch = { ...validateQuiz(body, true), updatedAt: now() };
+    if (body.classId !== undefined) patch.classId = readClassId(ctx, user, body.classId);
+    const ids = patch.questionIds ?? quiz.questionIds;
+    if (patch.questionIds) {
+      const missing = ids.filter(id => { const q = ctx.db.collection('questions').get(id); return !q || !canEdit(user, q); });
+      if (missing.length) throw badRequest('Some questions are not in your bank').withKey('quiz.notInBank');
+    }
+    if (body.status !== undefined) {
+      if (body.status !== 'published' && body.status !== 'draft') throw badRequest('status must be "published" or "draft"');
+      if (body.status === 'published' && !ids.length) throw badRequest('Add questions before publishing').withKey('quiz.addQuestions');
+      patch.status = body.status;
+      if (body.status === 'published' && quiz.status !== 'published') patch.publishedAt = now();
+    }
+    const updated = ctx.db.collection('quizzes').update(quiz.id, patch);
+    if (patch.publishedAt) {
+      const students = updated.classId
+        ? studentIdsOf(ctx, updated.classId)
+        : ctx.db.collection('users').filter(u => u.role === 'student' && !u.disabled).map(u => u.id);
+      notify(ctx, students, {
+        type: 'quiz', title: `New quiz: ${updated.title}`, body: updated.dueAt ? `Due ${updated.dueAt.slice(0, 10)}` : updated.description, refId: updated.id,
+        titleKey: 'notify.newQuiz', bodyKey: updated.dueAt ? 'notify.due' : null, vars: { title: updated.title, due: updated.dueAt }
+      });
+    }
+    return { quiz: quizSummary(ctx, updated) };
+  });
+
+  router.del('/api/quizzes/:id', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'quizzes');
+    const quiz = ownQuiz(ctx, user, ctx.params.id);
+    ctx.db.collection('attempts').removeWhere(a => a.quizId === quiz.id);
+    ctx.db.collection('quizzes').remove(quiz.id);
+    return { ok: true };
+  });
+
+  // Teacher view: every submitted attempt plus how each question went
+  router.get('/api/quizzes/:id/results', (ctx) => {
+    const user = requireRole(ctx, 'teacher', 'admin');
+    requireFeature(ctx, 'quizzes');
+    const quiz = ownQuiz(ctx, user, ctx.params.id);
+    const users = ctx.db.collection('users');
+    const done = attemptsOf(ctx, quiz.id).filter(a => a.submittedAt);
+    const questions = bankQuestions(ctx, quiz);
+    return {
+      quiz: quizSummary(ctx, quiz),
+      attempts: done.sort((a, b) => b.submittedAt.localeCompare(a.submittedAt)).map(a => {
+        const u = users.get(a.userId);
+        return { id: a.id, student: u?.name || u?.username || 'Deleted user', username: u?.username || '', submittedAt: a.submittedAt, score: a.score, maxScore: a.maxScore, pct: a.pct, passed: a.passed, late: !!a.late };
+      }),
+      questions: questions.map(q => {
+        const rs = done.flatMap(a => a.results.filter(r => r.questionId === q.id));
+        return { id: q.id, title: q.title, prompt: q.prompt, type: q.type, answered: rs.length, averageFraction: rs.length ? Math.round((rs.reduce((n, r) => n + r.fraction, 0) / rs.length) * 1000) / 1000 : null };
+      })
+    };
+  });
+
+  /* ------------------- Taking a quiz ------------------- */
+  // Resumes the open attempt or starts a new one (if attempts remain)
+  router.post('/api/quizzes/:id/start', (ctx) => {
+    const user = requireUser(ctx);
+    requireFeature(ctx, 'quizzes');
+    const quiz = visibleQuiz(ctx, user, ctx.params.id);
+    const mine = attemptsOf(ctx, quiz.id, user.id);
+    const open = mine.find(a => !a.submittedAt);
+    if (open) {
+      if (open.deadline && Date.now() > Date.parse(open.deadline) + GRACE_MS) finish(ctx, open, open.answers || {}, true);
+      else return { attempt: attemptView(ctx, open) };
+    }
+    if (quiz.dueAt && Date.now() > Date.parse(quiz.dueAt)) throw new ApiError(409, 'quiz_closed', 'This quiz closed on its due date').withKey('quiz.closed');
+    if (mine.filter(a => a.submittedAt).length >= quiz.attempts) throw new ApiError(409, 'no_attempts_left', 'You have used all attempts for this quiz').withKey('quiz.noAttemptsLeft');
+    if (!quiz.questionIds.length) throw badRequest('This quiz has no questions yet').withKey('quiz.noQuestions');
+    const started = new Date();
+    const attempt = ctx.db.collection('attempts').insert({
+      quizId: quiz.id, userId: user.id, questionIds: [...quiz.questionIds], answers: {},
+      startedAt: started.toISOString(),
+      deadline: quiz.timeLimit ? new Date(started.getTime() + quiz.timeLimit * 60_000).toISOString() : null
+    });
+    return { attempt: attemptView(ctx, attempt) };
+  });
+
+  const ownAttempt = (ctx) => {
+    const user = requireUser(ctx);
+    const a = ctx.db.collection('attempts').get(ctx.params.id);
+    if (!a || a.userId !== user.id) throw notFound('Attempt not found').withKey('quiz.attemptNotFound');
+    return { user, a };
+  };
+  // checked again once the body is in: another submit (or the deadline job) may have finished it meanwhile
+  const openAttempt = (ctx) => {
+    const { a } = ownAttempt(ctx);
+    if (a.submittedAt) throw new ApiError(409, 'already_submitted', 'This attempt was already submitted').withKey('quiz.alreadySubmitted');
+    return a;
+  };
+
+  router.get('/api/attempts/:id', (ctx) => {
+    const { a } = ownAttempt(ctx);
+    requireFeature(ctx, 'quizzes');
+    return { attempt: attemptView(ctx, a) };
+  });
+
+  // Autosave; ignored once the time is up
+  router.put('/api/attempts/:id', async (ctx) => {
+    openAttempt(ctx);
+    requireFeature(ctx, 'quizzes');
+    const { answers } = await readJson(ctx.req, 200_000);
+    const a = openAttempt(ctx);
+    if (a.deadline && Date.now() > Date.parse(a.deadline) + GRACE_MS) throw new ApiError(409, 'time_up', 'Time is up for this attempt').withKey('quiz.timeUp');
+    ctx.db.collection('attempts').update(a.id, { answers: answers && typeof answers === 'object' ? answers : {} });
+    return { ok: true };
+  });
+
+  // After the deadline only the last autosaved answers count
+  router.post('/api/attempts/:id/submit', async (ctx) => {
+    openAttempt(ctx);
+    requireFeature(ctx, 'quizzes');
+    const body = await readJson(ctx.req, 200_000);
+    const a = openAttempt(ctx);
+    const late = !!a.deadline && Date.now() > Date.parse(a.deadline) + GRACE_MS;
+    const answers = !late && body.answers && typeof body.answers === 'object' ? body.answers : (a.answers || {});
+    const { attempt, earned } = finish(ctx, a, answers, late, readTz(body.tz));
+    return { attempt: attemptView(ctx, attempt), earned };
+  });
+}
@@ -0,0 +1,131 @@
+/* =============================================================================
+   MythOS server — school settings & personal preferences
+   Two separate things that used to share one browser-local blob:
+   - School settings (one `org` row, admins only): branding (name, logo,
+     colours, light or dark) that is everyone's default theme, and the banner
+     across the top of the app. Readable without signing in so the login
+     screen is branded too.
+   - Personal preferences (`user_prefs`, one row per user): the theme this
+     user picked over the school's, their own colours for a custom theme, the
+     language of the app and the tutor's answers (null: the device's), and
+     whether to cut animations (system: follow the device's reduced-motion).
+============================================================================= */
+import { badRequest, readJson } from './http.mjs';
+import { requireRole, requireUser } from './auth.mjs';
+
+const THEMES = ['school', 'system', 'dark', 'light', 'contrast', 'custom'];
+const SCHEMES = ['dark', 'light'];
+const LOCALES = ['en', 'fa', 'ar'];
+const MOTION = ['system', 'reduce', 'full'];
+const MAX_LOGO_BYTES = 150_000;
+const LOGO_RX = /^data:image\/(png|jpeg|webp|gif|svg\+xml);base64,[A-Za-z0-9+/]+=*$/;
+const COLOR_RX = /^#[0-9a-f]{6}$/;
+
+// the original purple look
+const DEFAULT_PALETTE = { scheme: 'dark', accent: '#a855f7', accent2: '#ec4899', background: ['#312e81', '#581c87', '#831843'] };
+const DEFAULT_BRANDING = { name: '', logo: '', ...DEFAULT_PALETTE };
+
+const now = () => new Date().toISOString();
+const str = (v, max) => String(v ?? '').trim().slice(0, max);
+
+// JSON bodies and their nested settings must be plain objects ({}), not null, arrays or scalars
+const plainObject = (v, label) => {
+  if (v === null || typeof v !== 'object' || Array.isArray(v)) throw badRequest(`${label} must be an object`);
+  return v;
+};
+
+const color = (v, fallback, label) => {
+  if (v === undefined || v === null || v === '') return fallback;
+  const c = String(v).trim().toLowerCase();
+  if (!COLOR_RX.test(c)) throw badRequest(`${label} must be a colour like #7c3aed`);
+  return c;
+};
+
+// { scheme, accent, accent2, background: [3 colours] } — the parts a theme is built from
+const validatePalette = (b, base) => {
+  const scheme = b?.scheme === undefined ? base.scheme : b.scheme;
+  if (!SCHEMES.includes(scheme)) throw badRequest('scheme must be "dark" or "light"');
+  const bg = Array.isArray(b?.background) ? b.background : base.background;
+  if (bg.length !== 3) throw badRequest('The background needs three colours');
+  return {
+    scheme,
+    accent: color(b?.accent, base.accent, 'Accent'),
+    accent2: color(b?.accent2, base.accent2, 'Second accent'),
+    background: bg.map((c, i) => color(c, base.background[i], 'Background'))
+  };
+};
+
+/* ----------------------------------------------------------------------------
+   School settings
+---------------------------------------------------------------------------- */
+const orgRow = (ctx) => ctx.db.collection('org').all()[0] || null;
+
+const orgSettings = (ctx) => {
+  const row = orgRow(ctx);
+  return {
+    branding: { ...DEFAULT_BRANDING, ...row?.branding },
+    banner: { text: '', show: false, ...row?.banner },
+    updatedAt: row?.updatedAt || null
+  };
+};
+
+const validateBranding = (b, base) => {
+  const logo = b?.logo === undefined ? base.logo : String(b.logo || '');
+  if (logo && (!LOGO_RX.test(logo) || logo.length > MAX_LOGO_BYTES * 4 / 3 + 40))
+    throw badRequest(`The logo must be a PNG, JPEG, WebP, GIF or SVG image under ${Math.round(MAX_LOGO_BYTES / 1000)} KB`).withKey('settings.logo', { bytes: MAX_LOGO_BYTES });
+  return { name: b?.name === undefined ? base.name : str(b.name, 80), logo, ...validatePalette(b, base) };
+};
+
+/* ----------------------------------------------------------------------------
+   Personal preferences
+---------------------------------------------------------------------------- */
+const prefsOf = (ctx, userId) => {
+  const row = ctx.db.collection('user_prefs').find(p => p.userId === userId);
+  return { theme: row?.theme || 'school', custom: { ...DEFAULT_PALETTE, ...row?.custom }, locale: row?.locale || null, motion: row?.motion || 'system' };
+};
+
+/* ----------------------------------------------------------------------------
+   Routes
+---------------------------------------------------------------------------- */
+export function registerSettingsRoutes(router) {
+  router.get('/api/org', (ctx) => orgSettings(ctx));
+
+  // { branding?, banner? } — each part is merged into what is stored
+  router.put('/api/org', async (ctx) => {
+    const user = requireRole(ctx, 'admin');
+    const body = plainObject(await readJson(ctx.req, 400_000), 'The request body');
+    const cur = orgSettings(ctx);
+    const banner = body.banner === undefined ? null : plainObject(body.banner, 'banner');
+    const patch = {
+      branding: body.branding === undefined ? cur.branding : validateBranding(plainObject(body.branding, 'branding'), cur.branding),
+      banner: banner ? { text: str(banner.text, 300), show: !!banner.show } : cur.banner,
+      updatedAt: now(), updatedBy: user.id
+    };
+    const orgs = ctx.db.collection('org');
+    const row = orgRow(ctx);
+    if (row) orgs.update(row.id, patch);
+    else orgs.insert(patch);
+    return orgSettings(ctx);
+  });
+
+  router.get('/api/prefs', (ctx) => prefsOf(ctx, requireUser(ctx).id));
+
+  // { theme?, custom?, locale?, motion? }
+  router.put('/api/prefs', async (ctx) => {
+    const user = requireUser(ctx);
+    const body = plainObject(await readJson(ctx.req), 'The request body');
+    const cur = prefsOf(ctx, user.id);
+    const theme = body.theme === undefined ? cur.theme : body.theme;
+    if (!THEMES.includes(theme)) throw badRequest(`theme must be one of ${THEMES.join(', ')}`);
+    const custom = body.custom === undefined ? cur.custom : validatePalette(plainObject(body.custom, 'custom'), cur.custom);
+    const locale = body.locale === undefined ? cur.locale : body.locale || null;
+    if (locale && !LOCALES.includes(locale)) throw badRequest(`locale must be one of ${LOCALES.join(', ')}`);
+    const motion = body.motion === undefined ? cur.motion : body.motion;
+    if (!MOTION.includes(motion)) throw badRequest(`motion must be one of ${MOTION.join(', ')}`);
+    const prefs = ctx.db.collection('user_prefs');
+    const row = prefs.find(p => p.userId === user.id);
+    if (row) prefs.update(row.id, { theme, custom, locale, motion, updatedAt: now() });
+    else prefs.insert({ userId: user.id, theme, custom, locale, motion, updatedAt: now() });
+    return prefsOf(ctx, user.id);
+  });
+}
@@ -0,0 +1,74 @@
+/* =============================================================================
+   MythOS server — JSON file store
+   One JSON document on disk holding named collections of records with an `id`.
+   Everything lives in memory; writes are debounced and atomic (tmp + rename).
+   Good for a single school instance; swap for a real database behind the same
+   collection API when one process is no longer enough.
+
+   Env: MYTHOS_DATA_DIR (default ./.mythos-data)
+============================================================================= */
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+
+export const newId = () => crypto.randomBytes(9).toString('base64url');
+
+export function createStore(dir = process.env.MYTHOS_DATA_DIR || '.mythos-data') {
+  const file = path.join(dir, 'db.json');
+  fs.mkdirSync(dir, { recursive: true });
+
+  let data = {};
+  try { data = JSON.parse(fs.readFileSync(file, 'utf8')) || {}; }
+  catch (err) { if (err.code !== 'ENOENT') throw err; }
+
+  let timer = null;
+  const flush = () => {
+    clearTimeout(timer);
+    timer = null;
+    const tmp = `${file}.${process.pid}.tmp`;
+    fs.writeFileSync(tmp, JSON.stringify(data));
+    fs.renameSync(tmp, file);
+  };
+  const save = () => { if (!timer) timer = setTimeout(flush, 50); };
+  process.once('exit', () => { if (timer) flush(); });
+
+  const collection = (name) => {
+    if (!Array.isArray(data[name])) data[name] = [];
+    const rows = () => data[name];
+    return {
+      all: () => rows(),
+      filter: (pred) => rows().filter(pred),
+      find: (pred) => rows().find(pred) || null,
+      get: (id) => rows().find(r => r.id === id) || null,
+      count: (pred) => pred ? rows().filter(pred).length : rows().length,
+      insert(rec) {
+        const row = { id: newId(), ...rec };
+        rows().push(row);
+        save();
+        return row;
+      },
+      update(id, patch) {
+        const row = rows().find(r => r.id === id);
+        if (!row) return null;
+        Object.assign(row, typeof patch === 'function' ? patch(row) : patch);
+        save();
+        return row;
+      },
+      remove(id) {
+        const i = rows().findIndex(r => r.id === id);
+        if (i < 0) return false;
+        rows().splice(i, 1);
+        save();
+        return true;
+      },
+      removeWhere(pred) {
+        const before = rows().length;
+        data[name] = rows().filter(r => !pred(r));
+        if (data[name].length !== before) save();
+        return before - data[name].length;
+      }
+    };
+  };
+
+  return { collection, flush, dir };
+}
@@ -0,0 +1,176 @@
+/* =============================================================================
+   MythOS server — provider key vault
+   Admins register provider API keys for the whole org or for one class. Keys
+   are sealed with AES-256-GCM before they touch the store and are never sent
+   back to any client — listings only carry a label and the last 4 characters.
+
+   Env: MYTHOS_VAULT_KEY  32-byte master key, base64 or hex. Without it a key is
+        generated into <data dir>/vault.key (fine for dev; set it in prod).
+============================================================================= */
+import fs from 'node:fs';
+import path from 'node:path';
+import crypto from 'node:crypto';
+import { ApiError, badRequest, notFound, readJson } from './http.mjs';
+import { requireRole, requireUser } from './auth.mjs';
+import { providerNames } from './providers.mjs';
+import { classIdsFor } from './classes.mjs';
+
+const SCOPES = ['org', 'class'];
+
+/* ----------------------------------------------------------------------------
+   Master key + sealing
+---------------------------------------------------------------------------- */
+let masterKey = null;
+
+const decodeKey = (raw) => {
+  const s = raw.trim();
+  const buf = /^[0-9a-f]{64}$/i.test(s) ? Buffer.from(s, 'hex') : Buffer.from(s, 'base64');
+  if (buf.length !== 32) throw new Error('MYTHOS_VAULT_KEY must be 32 bytes (base64 or hex)');
+  return buf;
+};
+
+const getMasterKey = (dir) => {
+  if (masterKey) return masterKey;
+  if (process.env.MYTHOS_VAULT_KEY) return (masterKey = decodeKey(process.env.MYTHOS_VAULT_KEY));
+  const file = path.join(dir, 'vault.key');
+  try {
+    masterKey = decodeKey(fs.readFileSync(file, 'utf8'));
+  } catch (err) {
+    if (err.code !== 'ENOENT') throw err;
+    masterKey = crypto.randomBytes(32);
+    fs.writeFileSync(file, masterKey.toString('base64'), { mode: 0o600 });
+    console.warn(`MythOS vault: generated ${file}; set MYTHOS_VAULT_KEY in production`);
+  }
+  return masterKey;
+};
+
+export const seal = (dir, secret) => {
+  const iv = crypto.randomBytes(12);
+  const c = crypto.createCipheriv('aes-256-gcm', getMasterKey(dir), iv);
+  const data = Buffer.concat([c.update(secret, 'utf8'), c.final()]);
+  return { iv: iv.toString('base64'), tag: c.getAuthTag().toString('base64'), data: data.toString('base64') };
+};
+
+export const unseal = (dir, box) => {
+  const d = crypto.createDecipheriv('aes-256-gcm', getMasterKey(dir), Buffer.from(box.iv, 'base64'));
+  d.setAuthTag(Buffer.from(box.tag, 'base64'));
+  return Buffer.concat([d.update(Buffer.from(box.data, 'base64')), d.final()]).toString('utf8');
+};
+
+/* ----------------------------------------------------------------------------
+   Access
+---------------------------------------------------------------------------- */
+const publicKey = (k) => ({
+  id: k.id,
+  label: k.label,
+  provider: k.provider,
+  scope: k.scope,
+  classId: k.classId || null,
+  last4: k.last4,
+  disabled: !!k.disabled,
+  createdAt: k.createdAt,
+  updatedAt: k.updatedAt
+});
+
+const usableBy = (ctx, user) => {
+  const mine = new Set(classIdsFor(ctx, user));
+  return (k) => !k.disabled && (k.scope === 'org' || user.role === 'admin' || mine.has(k.classId));
+};
+
+// Picks the vault key for a chat request: an explicit keyId, else the user's
+// class key, else the org key — for `provider` when given. Returns { provider, secret } or null.
+export const resolveVaultKey = (ctx, user, { keyId, provider }) => {
+  const keys = ctx.db.collection('keys');
+  const ok = usableBy(ctx, user);
+  if (keyId) {
+    const k = keys.get(keyId);
+    if (!k || !ok(k)) throw new ApiError(403, 'key_not_allowed', 'That API key is not available to you');
+    return { provider: k.provider, secret: unseal(ctx.db.dir, k.secret) };
+  }
+  const mine = new Set(classIdsFor(ctx, user));
+  const candidates = keys.filter(k => ok(k) && (!provider || k.provider === provider));
+  const k = candidates.find(c => c.scope === 'class' && mine.has(c.classId)) || candidates.find(c => c.scope === 'org');
+  return k ? { provider: k.provider, secret: unseal(ctx.db.dir, k.secret) } : null;
+};
+
+/* ----------------------------------------------------------------------------
+   Routes
+---------------------------------------------------------------------------- */
+const validateKeyBody = (ctx, body, partial) => {
+  const out = {};
+  if (!partial || body.label !== undefined) {
+    const label = String(body.label || '').trim();
+    if (!label) throw badRequest('A label is required').withKey('vault.needsLabel');
+    out.label = label.slice(0, 80);
+  }
+  if (!partial || body.provider !== undefined) {
+    if (!providerNames.includes(body.provider) || body.provider === 'mock')
+      throw badRequest(`Provider must be one of ${providerNames.filter(n => n !== 'mock').join(', ')}`);
+    out.provider = body.provider;
+  }
+  if (!partial || body.scope !== undefined) {
+    const scope = body.scope || 'org';
+    if (!SCOPES.includes(scope)) throw badRequest('Scope must be "org" or "class"');
+    out.scope = scope;
+    out.classId = scope === 'class' ? String(body.classId || '').trim() : null;
+    if (scope === 'class' && !out.classId) throw badRequest('Class keys need a classId').withKey('vault.needsClass');
+    if (scope === 'class' && !ctx.db.collection('classes').get(out.classId)) throw badRequest('That class does not exist').withKey('vault.noClass');
+  }
+  if (body.disabled !== undefined) out.disabled = !!body.disabled;
+  return out;
+};
+
+export function registerVaultRoutes(router) {
+  router.get('/api/keys', (ctx) => {
+    requireRole(ctx, 'admin');
+    return { keys: ctx.db.collection('keys').all().map(publicKey) };
+  });
+
+  // Keys a user may pick in chat — labels only
+  router.get('/api/keys/available', (ctx) => {
+    const user = requireUser(ctx);
+    const ok = usableBy(ctx, user);
+    return {
+      keys: ctx.db.collection('keys').filter(ok).map(k => ({ id: k.id, label: k.label, provider: k.provider, scope: k.scope }))
+    };
+  });
+
+  router.post('/api/keys', async (ctx) => {
+    const admin = requireRole(ctx, 'admin');
+    const body = await readJson(ctx.req);
+    const fields = validateKeyBody(ctx, body, false);
+    const secret = String(body.secret || '').trim();
+    if (secret.length < 8) throw badRequest('The API key looks too short').withKey('vault.shortKey');
+    const now = new Date().toISOString();
+    const k = ctx.db.collection('keys').insert({
+      ...fields,
+      secret: seal(ctx.db.dir, secret),
+      last4: secret.slice(-4),
+      createdBy: admin.id,
+      createdAt: now,
+      updatedAt: now
+    });
+    return { key: publicKey(k) };
+  });
+
+  // PATCH with { secret } rotates the key in place
+  router.patch('/api/keys/:id', async (ctx) => {
+    requireRole(ctx, 'admin');
+    const body = await readJson(ctx.req);
+    const keys = ctx.db.collection('keys');
+    if (!keys.get(ctx.params.id)) throw notFound('Key not found').withKey('vault.notFound');
+    const patch = { ...validateKeyBody(ctx, body, true), updatedAt: new Date().toISOString() };
+    if (body.secret !== undefined) {
+      const secret = String(body.secret || '').trim();
+      if (secret.length < 8) throw badRequest('The API key looks too short').withKey('vault.shortKey');
+      Object.assign(patch, { secret: seal(ctx.db.dir, secret), last4: secret.slice(-4) });
+    }
+    return { key: publicKey(keys.update(ctx.params.id, patch)) };
+  });
+
+  router.del('/api/keys/:id', (ctx) => {
+    requireRole(ctx, 'admin');
+    if (!ctx.db.collection('keys').remove(ctx.params.id)) throw notFound('Key not found').withKey('vault.notFound');
+    return { ok: true };
+  });
+}
@@ -0,0 +1,103 @@
+// @vitest-environment jsdom
+/* =============================================================================
+   Accessibility — the signed-in shell, its sidebar and the Confirm dialog are
+   rendered against a real server and checked with axe-core. Any violation
+   fails the test. The dialog's keyboard handling (Tab trap, Escape, focus
+   return) is checked too. jsdom does no layout, so colour contrast is left to the
+   in-browser audit (auditA11y).
+============================================================================= */
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { act, createElement } from 'react';
+import { createRoot } from 'react-dom/client';
+import axe from 'axe-core';
+import { startServer } from './helpers.mjs';
+import MythOS from '../Mythos.jsx';
+
+globalThis.IS_REACT_ACT_ENVIRONMENT = true;
+
+// The page talks to the test server as the signed-in user; the notification stream stays closed
+let inFlight = 0;
+const browserOf = (srv, who) => {
+  const nodeFetch = globalThis.fetch;
+  globalThis.fetch = (url, init = {}) => {
+    inFlight++;
+    return nodeFetch(new URL(url, srv.base), { ...init, headers: { ...init.headers, cookie: srv.jar[who] } })
+      .finally(() => { inFlight--; });
+  };
+  globalThis.EventSource = class { addEventListener() {} close() {} };
+  Element.prototype.scrollIntoView = () => {};
+  return () => { globalThis.fetch = nodeFetch; };
+};
+
+// Lets every request the page makes (and the ones their answers trigger) land inside act()
+const settle = async () => {
+  for (let quiet = 0, waited = 0; quiet < 3 && waited < 5000; waited += 50) {
+    await act(() => new Promise(resolve => setTimeout(resolve, 50)));
+    quiet = inFlight ? 0 : quiet + 1;
+  }
+};
+
+const violationsIn = async (context) => {
+  const { violations } = await axe.run(context, { resultTypes: ['violations'], rules: { 'color-contrast': { enabled: false } } });
+  return violations.map(v => `${v.id}: ${v.help} (${v.nodes.map(n => n.target.join(' ')).join(', ')})`);
+};
+
+describe('accessibility', () => {
+  let srv, restore, root;
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+    restore = browserOf(srv, 'admin');
+    const el = document.body.appendChild(document.createElement('div'));
+    await act(() => { root = createRoot(el); root.render(createElement(MythOS)); });
+    await settle();
+  });
+  afterAll(async () => {
+    await act(() => root.unmount());
+    restore();
+    await srv.close();
+  });
+
+  it('renders the shell and sidebar without axe violations', async () => {
+    expect(document.querySelector('main [role="tabpanel"]')).not.toBeNull();
+    expect(document.querySelector('nav#mythos-sidebar [role="tablist"]')).not.toBeNull();
+    expect(await violationsIn(document)).toEqual([]);
+  });
+
+  it('renders the Confirm dialog without axe violations', async () => {
+    await act(() => document.querySelector('#mythos-sidebar button[title="New conversation"]').click());
+    await settle();
+    const remove = document.querySelector('#mythos-sidebar button[title="Delete"]');
+    expect(remove).not.toBeNull();
+    remove.focus();
+    await act(() => remove.click());
+    await settle();
+    expect(document.querySelector('[role="alertdialog"]')?.textContent).toMatch(/Delete/);
+    expect(await violationsIn(document)).toEqual([]);
+  });
+
+  it('keeps focus inside the Confirm dialog, closes on Escape and hands focus back', async () => {
+    const dialog = document.querySelector('[role="alertdialog"]');
+    const [cancel, confirm] = dialog.querySelectorAll('button');
+    expect(document.activeElement).toBe(cancel);
+    const press = (key, shiftKey = false) => {
+      const e = new KeyboardEvent('keydown', { key, shiftKey, bubbles: true, cancelable: true });
+      document.activeElement.dispatchEvent(e);
+      return e;
+    };
+
+    expect(press('Tab', true).defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(confirm);
+    expect(press('Tab').defaultPrevented).toBe(true);
+    expect(document.activeElement).toBe(cancel);
+
+    // jsdom never finishes framer-motion's exit, so the closed dialog is
+    // judged by its effects: the trap is gone and nothing was deleted
+    await act(() => { press('Escape'); });
+    await settle();
+    const trigger = document.querySelector('#mythos-sidebar button[title="Delete"]');
+    expect(trigger).not.toBeNull();
+    expect(document.activeElement).toBe(trigger);
+    expect(press('Tab', true).defaultPrevented).toBe(false);
+  });
+});
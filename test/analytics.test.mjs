@@ -0,0 +1,62 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startServer } from './helpers.mjs';
+import { readRange } from '../server/analytics.mjs';
+import { dayOf, shiftDay } from '../server/progress.mjs';
+
+describe('readRange', () => {
+  it('defaults to the last 30 days and pairs it with the period before', () => {
+    const r = readRange({ from: '2024-09-01', to: '2024-09-10' }, 0);
+    expect(r).toEqual({ from: '2024-09-01', to: '2024-09-10', days: 10, prevFrom: '2024-08-22', prevTo: '2024-08-31' });
+    expect(readRange({}, 0).days).toBe(30);
+  });
+
+  it('rejects bad, reversed and over-long ranges', () => {
+    expect(() => readRange({ from: 'yesterday' }, 0)).toThrow(/dates like/);
+    expect(() => readRange({ from: '2024-09-10', to: '2024-09-01' }, 0)).toThrow(/after/);
+    expect(() => readRange({ from: '2020-01-01', to: '2024-01-01' }, 0)).toThrow(/366/);
+  });
+});
+
+describe('/api/analytics', () => {
+  let srv, classId;
+  const today = dayOf(new Date().toISOString(), 0);
+  const at = (daysAgo) => `${shiftDay(today, -daysAgo)}T12:00:00.000Z`;
+
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+    await srv.signup('tea', 'teacher');
+    await srv.signup('tea2', 'teacher');
+    await srv.signup('stu');
+    await srv.signup('other');
+    const c = await srv.call('tea', 'POST', '/api/classes', { name: 'Biology', subject: 'Science' });
+    classId = c.body.class.id;
+    await srv.call('stu', 'POST', '/api/classes/join', { code: c.body.class.joinCode });
+    const events = srv.db.collection('events');
+    events.insert({ userId: srv.ids.stu, type: 'chat_message', subject: 'science', at: at(1) });
+    events.insert({ userId: srv.ids.stu, type: 'tab_time', subject: 'science', seconds: 1800, at: at(2) });
+    events.insert({ userId: srv.ids.stu, type: 'quiz', subject: 'science', score: 80, passed: true, at: at(3) });
+    events.insert({ userId: srv.ids.stu, type: 'chat_message', subject: 'science', at: at(40) });
+    events.insert({ userId: srv.ids.other, type: 'chat_message', subject: 'math', at: at(1) });
+  });
+  afterAll(() => srv.close());
+
+  it('gives admins the whole school with the previous period alongside', async () => {
+    const r = (await srv.call('admin', 'GET', '/api/analytics?tz=0')).body;
+    expect(r.totals.activeUsers).toBe(2);
+    expect(r.totals.chatMessages).toBe(2);
+    expect(r.previous.chatMessages).toBe(1);
+    expect(r.totals.quizAverage).toBe(80);
+    expect(r.subjects.find(s => s.subject === 'science').minutes).toBe(30);
+    expect(r.daily).toHaveLength(30);
+  });
+
+  it('limits teachers to their own classes', async () => {
+    expect((await srv.call('tea', 'GET', '/api/analytics')).status).toBe(400);
+    const r = (await srv.call('tea', 'GET', `/api/analytics?classId=${classId}&tz=0`)).body;
+    expect(r.totals.activeUsers).toBe(1);
+    expect(r.subjects.map(s => s.subject)).toEqual(['science']);
+    expect((await srv.call('tea2', 'GET', `/api/analytics?classId=${classId}`)).status).toBeGreaterThanOrEqual(403);
+    expect((await srv.call('stu', 'GET', '/api/analytics')).status).toBe(403);
+  });
+});
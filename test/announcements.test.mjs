@@ -0,0 +1,105 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startServer } from './helpers.mjs';
+import { checkUrl, isPublicAddress, parsePreview } from '../server/linkpreview.mjs';
+
+describe('link preview guards', () => {
+  it('only treats public addresses as public', () => {
+    for (const ip of ['127.0.0.1', '10.1.2.3', '192.168.0.9', '169.254.169.254', '::1', 'fe80::1', '::ffff:127.0.0.1']) expect(isPublicAddress(ip)).toBe(false);
+    expect(isPublicAddress('93.184.216.34')).toBe(true);
+  });
+
+  it('refuses private hosts, other schemes, ports and credentials', () => {
+    expect(() => checkUrl('http://127.0.0.1/')).toThrow();
+    expect(() => checkUrl('ftp://example.com/')).toThrow();
+    expect(() => checkUrl('https://example.com:8443/')).toThrow();
+    expect(() => checkUrl('https://me:pw@example.com/')).toThrow();
+    expect(() => checkUrl('http://intranet/')).toThrow();
+    expect(checkUrl('https://example.com/a').hostname).toBe('example.com');
+  });
+
+  it('reads Open Graph tags with <title> as the fallback', () => {
+    const base = new URL('https://example.com/post');
+    const og = parsePreview('<meta property="og:title" content="Tom &amp; Jerry"><meta property="og:image" content="/i.png">', base);
+    expect(og).toMatchObject({ title: 'Tom & Jerry', image: 'https://example.com/i.png', siteName: 'example.com' });
+    expect(parsePreview('<title> Plain </title>', base).title).toBe('Plain');
+  });
+});
+
+describe('/api/announcements', () => {
+  let srv, classId;
+  const hour = (n) => new Date(Date.now() + n * 3600_000).toISOString();
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+    await srv.signup('tea', 'teacher');
+    await srv.signup('stu');
+    await srv.signup('other');
+    const c = (await srv.call('tea', 'POST', '/api/classes', { name: '8A', subject: 'Art' })).body.class;
+    classId = c.id;
+    await srv.call('stu', 'POST', '/api/classes/join', { code: c.joinCode });
+  });
+  afterAll(() => srv.close());
+
+  const post = (body) => srv.call('admin', 'POST', '/api/announcements', { title: 'Notice', message: 'Hello everyone', ...body });
+
+  it('is admin-only to publish', async () => {
+    expect((await srv.call('tea', 'POST', '/api/announcements', { title: 'Notice', message: 'Hello there' })).status).toBe(403);
+  });
+
+  it('shows class announcements to that class only, and counts reads', async () => {
+    const a = (await post({ audience: { classIds: [classId] } })).body.announcement;
+    const feed = (await srv.call('stu', 'GET', '/api/announcements')).body;
+    expect(feed.announcements.map(x => x.id)).toContain(a.id);
+    expect(feed.unread).toBeGreaterThan(0);
+    expect((await srv.call('other', 'GET', '/api/announcements')).body.announcements.map(x => x.id)).not.toContain(a.id);
+    await srv.call('stu', 'POST', '/api/announcements/read', { ids: [a.id] });
+    const managed = (await srv.call('admin', 'GET', '/api/announcements/manage')).body.announcements.find(x => x.id === a.id);
+    expect(managed.receipts).toEqual({ read: 1, audience: 2 });    // the student and their teacher
+  });
+
+  it('keeps scheduled announcements out of the feed', async () => {
+    const a = (await post({ publishAt: hour(2) })).body.announcement;
+    expect((await srv.call('stu', 'GET', '/api/announcements')).body.announcements.map(x => x.id)).not.toContain(a.id);
+  });
+
+  it('checks the expiry before fetching any link previews', async () => {
+    const r = await post({ message: 'See https://127.0.0.1/secret', publishAt: hour(2), expiresAt: hour(1) });
+    expect(r.status).toBe(400);
+    expect(srv.db.collection('link_previews').count()).toBe(0);
+    const ok = await post({ message: 'See https://127.0.0.1/secret' });
+    expect(ok.status).toBe(200);
+    expect(ok.body.announcement.links).toEqual([]);
+    expect(srv.db.collection('link_previews').count()).toBe(1);
+  });
+
+  it('soft-deletes into the trash and restores', async () => {
+    const a = (await post({})).body.announcement;
+    await srv.call('admin', 'DELETE', `/api/announcements/${a.id}`);
+    expect((await srv.call('admin', 'GET', '/api/announcements/trash')).body.announcements.map(x => x.id)).toContain(a.id);
+    expect((await srv.call('admin', 'POST', `/api/announcements/${a.id}/restore`)).status).toBe(200);
+    expect((await srv.call('stu', 'GET', '/api/announcements')).body.announcements.map(x => x.id)).toContain(a.id);
+    const revisions = (await srv.call('admin', 'GET', `/api/announcements/${a.id}/revisions`)).body.revisions;
+    expect(revisions.map(r => r.action)).toEqual(['untrashed', 'created']);
+  });
+
+  it('records each restore as a revision and checks its expiry', async () => {
+    const a = (await post({})).body.announcement;
+    await srv.call('admin', 'PATCH', `/api/announcements/${a.id}`, { title: 'Notice, edited' });
+    const restore = (rev) => srv.call('admin', 'POST', `/api/announcements/${a.id}/revisions/${rev}/restore`);
+    expect((await restore(1)).body.announcement.title).toBe('Notice');
+    const revisions = (await srv.call('admin', 'GET', `/api/announcements/${a.id}/revisions`)).body.revisions;
+    expect(revisions[0]).toMatchObject({ rev: 3, action: 'restored', restoredFrom: 1, title: 'Notice' });
+
+    // rows saved before the check existed can still hold an expiry before the publish time
+    const rows = srv.db.collection('announcement_revisions');
+    rows.update(rows.find(r => r.announcementId === a.id && r.rev === 2).id, { expiresAt: hour(-1), publishAt: hour(1) });
+    const r = await restore(2);
+    expect(r.status).toBe(400);
+    expect(r.body.error.key).toBe('announcement.expiryOrder');
+
+    srv.db.collection('announcements').update(a.id, { expiresAt: hour(-2) });
+    await srv.call('admin', 'DELETE', `/api/announcements/${a.id}`);
+    expect((await srv.call('admin', 'POST', `/api/announcements/${a.id}/restore`)).body.error.key).toBe('announcement.expiryOrder');
+    expect(rows.count(r => r.announcementId === a.id)).toBe(3);
+  });
+});
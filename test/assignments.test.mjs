@@ -0,0 +1,80 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startServer } from './helpers.mjs';
+
+describe('/api/assignments', () => {
+  let srv, classId, a;
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+    await srv.signup('tea', 'teacher');
+    await srv.signup('stu');
+    await srv.signup('outsider');
+    const c = (await srv.call('tea', 'POST', '/api/classes', { name: '10D', subject: 'English' })).body.class;
+    classId = c.id;
+    await srv.call('stu', 'POST', '/api/classes/join', { code: c.joinCode });
+    a = (await srv.call('tea', 'POST', '/api/assignments', {
+      title: 'Essay', subject: 'english', classId,
+      rubric: { criteria: [{ id: 'ideas', name: 'Ideas', points: 6 }, { id: 'style', name: 'Style', points: 4 }] }
+    })).body.assignment;
+  });
+  afterAll(() => srv.close());
+
+  it('shows published work only to its class', async () => {
+    expect(a.maxScore).toBe(10);
+    expect((await srv.call('stu', 'GET', `/api/assignments/${a.id}`)).status).toBe(404);
+    await srv.call('tea', 'PATCH', `/api/assignments/${a.id}`, { status: 'published' });
+    expect((await srv.call('stu', 'GET', `/api/assignments/${a.id}`)).body.assignment.state).toBe('assigned');
+    expect((await srv.call('outsider', 'GET', `/api/assignments/${a.id}`)).status).toBe(404);
+    const note = (await srv.call('stu', 'GET', '/api/notifications')).body.notifications[0];
+    expect(note).toMatchObject({ type: 'assignment', refId: a.id });
+  });
+
+  it('hides drafts from the grader and needs something to hand in', async () => {
+    await srv.call('stu', 'PUT', `/api/assignments/${a.id}/submission`, { text: 'First go' });
+    expect((await srv.call('tea', 'GET', '/api/grading')).body.queue).toEqual([]);
+    expect((await srv.call('stu', 'PUT', `/api/assignments/${a.id}/submission`, { text: ' ', submit: true })).status).toBe(400);
+    await srv.call('stu', 'PUT', `/api/assignments/${a.id}/submission`, { text: 'My essay about trees', submit: true });
+    expect((await srv.call('tea', 'GET', '/api/grading')).body.queue).toHaveLength(1);
+  });
+
+  it('grades against the rubric and records the result once', async () => {
+    const [s] = (await srv.call('tea', 'GET', '/api/grading')).body.queue;
+    expect((await srv.call('tea', 'PUT', `/api/submissions/${s.id}/grade`, { scores: { ideas: 7, style: 4 } })).status).toBe(400);
+    await srv.call('tea', 'PUT', `/api/submissions/${s.id}/grade`, { scores: { ideas: 6, style: 2 } });
+    expect((await srv.call('stu', 'GET', `/api/assignments/${a.id}`)).body.assignment.submission).toMatchObject({ grade: null, grading: true });
+    // a draft grade already holds the work: no edits, no unsubmitting
+    for (const body of [{ text: 'My essay about oaks', submit: true }, { text: 'My essay about trees' }]) {
+      const r = await srv.call('stu', 'PUT', `/api/assignments/${a.id}/submission`, body);
+      expect(r.status).toBe(409);
+      expect(r.body.error.key).toBe('assignment.grading');
+    }
+    expect(srv.db.collection('submissions').get(s.id)).toMatchObject({ status: 'submitted', text: 'My essay about trees' });
+
+    const g = { scores: { ideas: 6, style: 3 }, feedback: 'Good', comments: [{ start: 3, end: 8, text: 'nice' }], return: true };
+    expect((await srv.call('tea', 'PUT', `/api/submissions/${s.id}/grade`, g)).body.submission.grade.pct).toBe(90);
+    await srv.call('tea', 'PUT', `/api/submissions/${s.id}/grade`, { ...g, scores: { ideas: 5, style: 3 } });
+    const mine = (await srv.call('stu', 'GET', `/api/assignments/${a.id}`)).body.assignment.submission;
+    expect(mine.grade).toMatchObject({ score: 8, pct: 80 });
+    expect(mine.grade.comments[0].quote).toBe('essay');
+    expect((await srv.call('stu', 'PUT', `/api/assignments/${a.id}/submission`, { text: 'changed' })).status).toBe(409);
+
+    const p = (await srv.call('stu', 'GET', '/api/progress')).body;
+    expect(p.totals.assignments).toBe(1);
+  });
+
+  it('refuses assignment results posted by the client', async () => {
+    const r = await srv.call('outsider', 'POST', '/api/events', { events: [{ type: 'assignment', subject: 'english', score: 100, ref: 'fake' }] });
+    expect(r.status).toBe(400);
+    expect((await srv.call('outsider', 'GET', '/api/progress')).body.totals.assignments).toBe(0);
+    // nor can a student undo the one the grader recorded
+    const [s] = srv.db.collection('submissions').all();
+    await srv.call('stu', 'POST', '/api/events', { events: [{ type: 'assignment', ref: s.id, undo: true }] });
+    expect((await srv.call('stu', 'GET', '/api/progress')).body.totals.assignments).toBe(1);
+  });
+
+  it('locks the points once something is graded', async () => {
+    const r = await srv.call('tea', 'PATCH', `/api/assignments/${a.id}`, { points: 50 });
+    expect(r.body.error.code).toBe('already_graded');
+    expect(r.body.error.key).toBe('assignment.rubricLocked');
+  });
+});
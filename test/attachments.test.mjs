@@ -0,0 +1,56 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startServer } from './helpers.mjs';
+
+const PNG = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a, 0, 0, 0, 0]);
+
+describe('/api/attachments', () => {
+  let srv;
+  // raw bytes, so not through `call`
+  const upload = async (who, name, data) => {
+    const res = await fetch(`${srv.base}/api/attachments`, {
+      method: 'POST', body: data, headers: { cookie: srv.jar[who], 'X-Filename': encodeURIComponent(name) }
+    });
+    return { status: res.status, body: await res.json() };
+  };
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+    await srv.signup('admin2', 'admin');
+    await srv.signup('tea', 'teacher');
+    await srv.signup('stu');
+  });
+  afterAll(() => srv.close());
+
+  it('checks the type against the file contents', async () => {
+    expect((await upload('stu', 'virus.exe', Buffer.from('MZ'))).status).toBe(415);
+    expect((await upload('stu', 'photo.png', Buffer.from('not a png'))).status).toBe(415);
+    expect((await upload('stu', 'empty.txt', Buffer.alloc(0))).status).toBe(400);
+    const r = await upload('stu', '../../photo.png', PNG);
+    expect(r.body.attachment).toMatchObject({ name: 'photo.png', type: 'image/png', image: true, size: PNG.length });
+  });
+
+  it('serves files to their owner only, with safe headers', async () => {
+    const { id } = (await upload('stu', 'notes.txt', Buffer.from('my notes'))).body.attachment;
+    const mine = await srv.call('stu', 'GET', `/api/attachments/${id}`);
+    expect(mine.body).toBe('my notes');
+    expect(mine.headers.get('x-content-type-options')).toBe('nosniff');
+    expect(mine.headers.get('content-disposition')).toMatch(/^attachment;/);
+    expect((await srv.call('tea', 'GET', `/api/attachments/${id}`)).status).toBe(404);
+  });
+
+  it('only lets people attach their own uploads', async () => {
+    const theirs = (await upload('admin2', 'plan.txt', Buffer.from('draft plan'))).body.attachment.id;
+    const r = await srv.call('admin', 'POST', '/api/announcements', { title: 'Notice', message: 'Read the plan', attachments: [theirs] });
+    expect(r.body.error.message).toMatch(/uploaded yourself/);
+    const a = (await srv.call('admin2', 'POST', '/api/announcements', { title: 'Notice', message: 'Read the plan', attachments: [theirs] })).body.announcement;
+    expect(a.attachments.map(x => x.id)).toEqual([theirs]);
+    // another admin may edit it without re-uploading what is already there
+    const mine = (await upload('admin', 'extra.txt', Buffer.from('more'))).body.attachment.id;
+    const edited = await srv.call('admin', 'PATCH', `/api/announcements/${a.id}`, { attachments: [theirs, mine] });
+    expect(edited.status).toBe(200);
+
+    const stuFile = (await upload('stu', 'answers.txt', Buffer.from('answers'))).body.attachment.id;
+    const t = await srv.call('tea', 'POST', '/api/assignments', { title: 'Essay', attachments: [stuFile] });
+    expect(t.body.error.message).toMatch(/uploaded yourself/);
+  });
+});
@@ -0,0 +1,72 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startServer } from './helpers.mjs';
+import { hashPassword, validateCredentials, verifyPassword } from '../server/auth.mjs';
+
+describe('passwords', () => {
+  it('hash with a fresh salt and verify only the right password', async () => {
+    const a = await hashPassword('correct horse');
+    const b = await hashPassword('correct horse');
+    expect(a).not.toBe(b);
+    expect(await verifyPassword('correct horse', a)).toBe(true);
+    expect(await verifyPassword('wrong horse', a)).toBe(false);
+    expect(await verifyPassword('anything', 'plain-text')).toBe(false);
+  });
+
+  it('validates usernames and password length', () => {
+    expect(validateCredentials({ username: ' Ada.L ', password: 'password1' }).uname).toBe('ada.l');
+    expect(() => validateCredentials({ username: 'a', password: 'password1' })).toThrow(/Username/);
+    expect(() => validateCredentials({ username: 'ada', password: 'short' })).toThrow(/8 characters/);
+  });
+});
+
+describe('accounts and sessions', () => {
+  let srv;
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+    await srv.signup('stu');
+  });
+  afterAll(() => srv.close());
+
+  it('makes the first account the admin and later ones students', async () => {
+    expect((await srv.call('admin', 'GET', '/api/auth/me')).body.user.role).toBe('admin');
+    expect((await srv.call('stu', 'GET', '/api/auth/me')).body.user.role).toBe('student');
+  });
+
+  it('refuses a taken username', async () => {
+    const r = await srv.call('x', 'POST', '/api/auth/signup', { username: 'STU', password: 'password123' });
+    expect(r.status).toBe(409);
+    expect(r.body.error.code).toBe('username_taken');
+  });
+
+  it('logs in with the right password and out again', async () => {
+    expect((await srv.call('again', 'POST', '/api/auth/login', { username: 'stu', password: 'password123' })).status).toBe(200);
+    expect((await srv.call('again', 'GET', '/api/auth/me')).status).toBe(200);
+    await srv.call('again', 'POST', '/api/auth/logout');
+    expect((await srv.call('again', 'GET', '/api/auth/me')).status).toBe(401);
+  });
+
+  it('answers unknown usernames exactly like wrong passwords', async () => {
+    const unknown = await srv.call('x', 'POST', '/api/auth/login', { username: 'ghost', password: 'password123' });
+    const wrong = await srv.call('x', 'POST', '/api/auth/login', { username: 'stu', password: 'nope-nope' });
+    expect(unknown.status).toBe(401);
+    expect(unknown.body).toEqual(wrong.body);
+  });
+
+  it('locks a username out after five failures without touching other accounts', async () => {
+    await srv.signup('victim');
+    for (let i = 0; i < 5; i++) await srv.call('x', 'POST', '/api/auth/login', { username: 'victim', password: 'guess-guess' });
+    const locked = await srv.call('x', 'POST', '/api/auth/login', { username: 'victim', password: 'password123' });
+    expect(locked.status).toBe(429);
+    expect((await srv.call('y', 'POST', '/api/auth/login', { username: 'admin', password: 'password123' })).status).toBe(200);
+  });
+
+  it('lets only admins change roles, and disabling signs the user out', async () => {
+    expect((await srv.call('stu', 'GET', '/api/users')).status).toBe(403);
+    const d = await srv.call('admin', 'PATCH', `/api/users/${srv.ids.stu}`, { disabled: true });
+    expect(d.body.user.disabled).toBe(true);
+    expect((await srv.call('stu', 'GET', '/api/auth/me')).status).toBe(401);
+    const self = await srv.call('admin', 'PATCH', `/api/users/${srv.ids.admin}`, { role: 'student' });
+    expect(self.status).toBe(400);
+  });
+});
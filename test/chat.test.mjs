@@ -0,0 +1,59 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { ndjson, startServer } from './helpers.mjs';
+import { validateChatBody } from '../server/chat.mjs';
+import { mockReply } from '../server/providers.mjs';
+
+describe('validateChatBody', () => {
+  const validate = (body) => validateChatBody({ feature: 'tutor', ...body });
+  it('keeps role and content only and requires a user turn last', () => {
+    const b = validate({ messages: [{ role: 'user', content: 'hi', extra: 1 }], stream: true });
+    expect(b.messages).toEqual([{ role: 'user', content: 'hi' }]);
+    expect(b.stream).toBe(true);
+    expect(() => validate({ messages: [] })).toThrow(/non-empty array/);
+    expect(() => validate({ messages: [{ role: 'system', content: 'x' }] })).toThrow(/role/);
+    expect(() => validate({ messages: [{ role: 'user', content: 'a' }, { role: 'assistant', content: 'b' }] })).toThrow(/last message/);
+    expect(() => validate({ system: 5, messages: [{ role: 'user', content: 'a' }] })).toThrow(/system/);
+    expect(() => validateChatBody({ messages: [{ role: 'user', content: 'a' }] })).toThrow(/feature/);
+    expect(() => validate({ feature: 'math', messages: [{ role: 'user', content: 'a' }] })).toThrow(/feature/);
+  });
+});
+
+describe('/api/chat', () => {
+  let srv;
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+  });
+  afterAll(() => srv.close());
+
+  const messages = [{ role: 'user', content: 'What is a prime number?' }];
+  const feature = 'tutor';
+
+  it('needs a session', async () => {
+    const r = await srv.call('nobody', 'POST', '/api/chat', { messages, feature });
+    expect(r.status).toBe(401);
+    expect(r.body.error.code).toBe('unauthorized');
+  });
+
+  it('answers in both shapes the client reads', async () => {
+    const r = await srv.call('admin', 'POST', '/api/chat', { messages, feature });
+    expect(r.status).toBe(200);
+    expect(r.body.text).toBe(mockReply(messages));
+    expect(r.body.content[0].text).toBe(r.body.text);
+    expect(r.body.provider).toBe('mock');
+  });
+
+  it('streams NDJSON deltas that add up to the reply, then done', async () => {
+    const r = await srv.call('admin', 'POST', '/api/chat', { messages, feature, stream: true });
+    expect(r.headers.get('content-type')).toMatch(/ndjson/);
+    const events = ndjson(r.body);
+    expect(events.at(-1)).toMatchObject({ type: 'done', provider: 'mock' });
+    expect(events.filter(e => e.type === 'delta').map(e => e.text).join('')).toBe(mockReply(messages));
+  });
+
+  it('rejects unknown providers with a structured error', async () => {
+    const r = await srv.call('admin', 'POST', '/api/chat', { messages, feature, provider: 'nope' });
+    expect(r.status).toBe(400);
+    expect(r.body.error.code).toBe('unknown_provider');
+  });
+});
@@ -0,0 +1,83 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startServer } from './helpers.mjs';
+import { parseCsv } from '../server/classes.mjs';
+
+describe('parseCsv', () => {
+  it('handles quotes, other separators and line endings', () => {
+    expect(parseCsv('﻿username,name\r\nana,"Ana ""A"" Lee"\n\nbo;Bo\n')).toEqual([['username', 'name'], ['ana', 'Ana "A" Lee'], ['bo', 'Bo']]);
+  });
+});
+
+describe('/api/classes', () => {
+  let srv, c;
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+    await srv.signup('tea', 'teacher');
+    await srv.signup('tea2', 'teacher');
+    await srv.signup('stu');
+    await srv.signup('ana');
+    c = (await srv.call('tea', 'POST', '/api/classes', { name: '9C', subject: 'History' })).body.class;
+  });
+  afterAll(() => srv.close());
+
+  it('joins with a code in any case and keeps the roster from students', async () => {
+    const r = await srv.call('stu', 'POST', '/api/classes/join', { code: ` ${c.joinCode.toLowerCase()} ` });
+    expect(r.body.class).not.toHaveProperty('joinCode');
+    expect((await srv.call('stu', 'GET', `/api/classes/${c.id}/roster`)).status).toBe(403);
+    expect((await srv.call('tea2', 'GET', `/api/classes/${c.id}/roster`)).status).toBe(404);
+    expect((await srv.call('tea', 'POST', '/api/classes/join', { code: 'NOPE00' })).status).toBe(400);
+  });
+
+  it('stops taking students once the code is renewed or the class archived', async () => {
+    const old = c.joinCode;
+    c = (await srv.call('tea', 'POST', `/api/classes/${c.id}/code`)).body.class;
+    expect((await srv.call('ana', 'POST', '/api/classes/join', { code: old })).body.error).toMatchObject({ code: 'bad_join_code', key: 'class.badCode' });
+    const other = (await srv.call('tea', 'POST', '/api/classes', { name: 'Old class' })).body.class;
+    await srv.call('tea', 'PATCH', `/api/classes/${other.id}`, { archived: true });
+    expect((await srv.call('ana', 'POST', '/api/classes/join', { code: other.joinCode })).status).toBe(404);
+  });
+
+  it('enrolls new accounts from a CSV but only invites existing ones', async () => {
+    const csv = 'username,name,password\nana,Ana,\nnewkid,New Kid,\nstu,,\ntea2,,\nx,,short\n';
+    const d = (await srv.call('tea', 'POST', `/api/classes/${c.id}/roster/import`, { csv })).body;
+    expect(d).toMatchObject({ enrolled: 1, invited: 1, already: 1 });
+    expect(d.created).toEqual([expect.objectContaining({ username: 'newkid', password: expect.any(String) })]);
+    expect(d.skipped.map(s => [s.line, s.key])).toEqual([[5, 'roster.already.teacher'], [6, 'auth.badUsername']]);
+
+    const roster = (await srv.call('tea', 'GET', `/api/classes/${c.id}/roster`)).body;
+    expect(roster.students.map(s => s.username).sort()).toEqual(['newkid', 'stu']);
+    expect(roster.invited.map(s => s.username)).toEqual(['ana']);
+    expect((await srv.call('ana', 'GET', '/api/classes')).body.classes).toEqual([]);
+    const note = (await srv.call('ana', 'GET', '/api/notifications')).body.notifications[0];
+    expect(note).toMatchObject({ type: 'class', tab: 'classes', refId: c.id });
+
+    // importing again does not invite twice
+    await srv.call('tea', 'POST', `/api/classes/${c.id}/roster/import`, { csv: 'username\nana\n' });
+    expect((await srv.call('ana', 'GET', '/api/notifications')).body.notifications).toHaveLength(1);
+  });
+
+  it('enrolls an invited student once they accept, and only them', async () => {
+    const [invite] = (await srv.call('ana', 'GET', '/api/classes/invites')).body.invites;
+    expect(invite.class).toMatchObject({ id: c.id, name: '9C' });
+    expect((await srv.call('stu', 'POST', `/api/classes/invites/${invite.id}/accept`)).status).toBe(404);
+    const r = await srv.call('ana', 'POST', `/api/classes/invites/${invite.id}/accept`);
+    expect(r.body.class.id).toBe(c.id);
+    expect((await srv.call('ana', 'GET', '/api/classes/invites')).body.invites).toEqual([]);
+    const roster = (await srv.call('tea', 'GET', `/api/classes/${c.id}/roster`)).body;
+    expect(roster.students.map(s => s.username)).toContain('ana');
+    expect(roster.invited).toEqual([]);
+  });
+
+  it('lets students decline and teachers withdraw', async () => {
+    await srv.signup('bob');
+    await srv.signup('cyd');
+    await srv.call('tea', 'POST', `/api/classes/${c.id}/roster/import`, { csv: 'username\nbob\ncyd\n' });
+    const [invite] = (await srv.call('bob', 'GET', '/api/classes/invites')).body.invites;
+    await srv.call('bob', 'POST', `/api/classes/invites/${invite.id}/decline`);
+    expect((await srv.call('tea', 'DELETE', `/api/classes/${c.id}/invites/${srv.ids.cyd}`)).status).toBe(200);
+    const roster = (await srv.call('tea', 'GET', `/api/classes/${c.id}/roster`)).body;
+    expect(roster.invited).toEqual([]);
+    expect(roster.students.map(s => s.username)).not.toContain('bob');
+  });
+});
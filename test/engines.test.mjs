@@ -0,0 +1,219 @@
+import { describe, expect, it } from 'vitest';
+import { cas, planner, prose, sci, srs } from '../Mythos.jsx';
+
+describe('cas', () => {
+  it('solves linear, quadratic and cubic equations', () => {
+    expect(cas.solve('2x + 3 = 7').solutions).toEqual([2]);
+    expect(cas.solve('x^2 - 5x + 6 = 0').solutions).toEqual([2, 3]);
+    expect(cas.solve('x^3 - 6x^2 + 11x - 6 = 0').solutions).toEqual([1, 2, 3]);
+    const r = cas.solve('x^2 + 1 = 0');
+    expect(r.solutions).toEqual([]);
+    expect(r.complex).toHaveLength(1);
+  });
+
+  it('refuses to divide by a zero constant', () => {
+    expect(() => cas.solve('x/0 = 1')).toThrow(/Division by zero/);
+    expect(() => cas.solve('x = 3/(2 - 2)')).toThrow(/Division by zero/);
+  });
+
+  it('drops roots the original equation does not have', () => {
+    const r = cas.solve('(x^2-1)/(x-1) = 2');
+    expect(r.solutions).toEqual([]);
+    expect(r.steps.at(-1)).toMatch(/no solution/);
+    expect(cas.solve('(x^2-1)/(x-1) = 3').solutions).toEqual([2]);
+    expect(cas.solve('1/x = 0').solutions).toEqual([]);
+  });
+
+  it('checks every solution it reports', () => {
+    for (const eq of ['sin(x) = 0.5', 'x^4 - 10x^2 + 9 = 0', 'x/2 = 4']) {
+      const r = cas.solve(eq);
+      expect(r.solutions.length).toBeGreaterThan(0);
+      expect(r.check.ok).toBe(true);
+    }
+  });
+});
+
+describe('sci', () => {
+  it('converts units through their dimensions', () => {
+    expect(sci.calc('60 mi/h to m/s').value).toBeCloseTo(26.8224, 4);
+    expect(sci.calc('1 km to m').value).toBe(1000);
+    expect(sci.calc('9.81 m/s^2 * 70 kg')).toMatchObject({ unit: 'N' });
+    expect(sci.calc('25 degC to degF').value).toBeCloseTo(77, 9);
+    expect(sci.calc('0 K to degC').value).toBeCloseTo(-273.15, 9);
+  });
+
+  it('refuses conversions between different dimensions', () => {
+    expect(() => sci.calc('3 kg to m')).toThrow(/mass/);
+    expect(() => sci.calc('')).toThrow();
+  });
+
+  it('balances equations, with charges', () => {
+    expect(sci.balance('H2 + O2 -> H2O').equation).toBe('2H2 + O2 → 2H2O');
+    expect(sci.balance('C3H8 + O2 -> CO2 + H2O').equation).toBe('C3H8 + 5O2 → 3CO2 + 4H2O');
+    expect(sci.balance('Ca(OH)2 + H3PO4 -> Ca3(PO4)2 + H2O').equation).toBe('3Ca(OH)2 + 2H3PO4 → Ca3(PO4)2 + 6H2O');
+    const redox = sci.balance('MnO4^- + Fe^2+ + H^+ -> Mn^2+ + Fe^3+ + H2O');
+    expect(redox.species.map(s => s.coefficient)).toEqual([1, 5, 8, 1, 5, 4]);
+    expect(redox.check.ok).toBe(true);
+  });
+
+  it('says when a reaction cannot be balanced', () => {
+    expect(() => sci.balance('H2 -> O2')).toThrow();
+    expect(() => sci.balance('H2 -> H2O -> O2')).toThrow();
+  });
+
+  it('weighs formulas and finds the limiting reagent', () => {
+    expect(sci.balance('CuSO4·5H2O').molarMass).toBeCloseTo(249.68, 1);
+    const { species } = sci.balance('H2 + O2 -> H2O');
+    const r = sci.stoichiometry(species, ['8', '32', '']);
+    expect(r.limiting).toBe('O2');
+    expect(r.rows.find(x => x.formula === 'H2O').grams).toBeCloseTo(36.03, 1);
+  });
+});
+
+describe('prose', () => {
+  const draft = 'Schools should start later. I beleive teh the students need sleep.\n\nFor example, a 2019 study found that 73% of teens sleep too little.\n\nIn conclusion, later starts help.';
+
+  it('annotates spelling and repeated words at their place in the text', () => {
+    const { annotations, stats } = prose.analyze(draft);
+    const at = (word) => annotations.find(a => a.category === 'grammar' && draft.slice(a.start, a.end).toLowerCase().includes(word));
+    expect(at('beleive').suggestion).toBe('believe');
+    expect(at('teh')).toBeDefined();
+    expect(stats).toMatchObject({ paragraphs: 3 });
+    expect(stats.words).toBe(prose.words(draft).length);
+  });
+
+  it('cuts the text into pieces that cover it exactly', () => {
+    const { annotations } = prose.analyze(draft);
+    const pieces = prose.segments(draft, annotations);
+    expect(pieces.map(p => p.text).join('')).toBe(draft);
+    expect(prose.segments('', [])).toEqual([]);
+  });
+
+  it('maps scores onto rubric levels', () => {
+    expect([90, 85, 70, 69, 50, 0].map(prose.levelFor)).toEqual([4, 4, 3, 2, 2, 1]);
+    const levels = prose.scoreRubric('argumentative', { scores: { thesis: 100, evidence: 0, structure: 75, clarity: 55, grammar: 85 } });
+    expect(levels.map(c => c.level)).toEqual([4, 1, 3, 2, 4]);
+  });
+
+  it('cites a book in each style', () => {
+    const book = { type: 'book', authors: 'Jane Q. Doe; Smith, John', title: 'Sleep and School', year: '2020', publisher: 'Acme Press' };
+    expect(prose.cite('apa', book)).toBe('Doe, J. Q., & Smith, J. (2020). *Sleep and School*. Acme Press.');
+    expect(prose.cite('mla', book)).toBe('Doe, Jane Q., and John Smith. *Sleep and School*. Acme Press, 2020.');
+    expect(prose.cite('chicago', book)).toBe('Doe, Jane Q., and John Smith. *Sleep and School*. Acme Press, 2020.');
+    expect(prose.cite('apa', { type: 'book', title: 'Anonymous' })).toBe('*Anonymous*. (n.d.).');
+  });
+
+  it('diffs word by word', () => {
+    expect(prose.diffWords('the cat sat', 'the dog sat')).toEqual([
+      { type: 'same', text: 'the ' }, { type: 'del', text: 'cat' }, { type: 'add', text: 'dog' }, { type: 'same', text: ' sat' }
+    ]);
+    expect(prose.diffWords('same', 'same')).toEqual([{ type: 'same', text: 'same' }]);
+  });
+});
+
+describe('planner', () => {
+  // 2026-10-19 is a Monday
+  const base = { subject: 'Biology', start: '2026-10-19', examDate: '2026-11-02', minutesPerDay: 60, topics: ['Cells', 'Genetics', 'Ecology'] };
+
+  it('only plans study days before the exam', () => {
+    expect(planner.studyDays({ ...base, days: [1, 3] })).toEqual(['2026-10-19', '2026-10-21', '2026-10-26', '2026-10-28']);
+    expect(() => planner.schedule({ ...base, examDate: '2026-10-19' })).toThrow();
+    expect(() => planner.schedule({ ...base, days: [] })).toThrow();
+  });
+
+  it('teaches every topic, reviews it 1, 3 and 7 study days later and ends light', () => {
+    const sessions = planner.schedule(base);
+    const days = planner.studyDays(base);
+    const learnDays = days.length - 3; // the last 20% is practice tests and review
+    expect(sessions.every(s => days.includes(s.date))).toBe(true);
+    const learned = Object.fromEntries(base.topics.map(t => [t, sessions.find(s => s.kind === 'learn' && s.topic === t)?.date]));
+    for (const t of base.topics) {
+      const i = days.indexOf(learned[t]);
+      expect(i).toBeGreaterThanOrEqual(0);
+      const reviews = sessions.filter(s => s.kind === 'review' && s.topic === t).map(s => days.indexOf(s.date) - i);
+      expect(reviews).toEqual([1, 3, 7].filter(g => i + g < learnDays));
+    }
+    expect(sessions.at(-1)).toMatchObject({ date: days.at(-1), kind: 'review', minutes: 30 });
+  });
+
+  it('keeps only AI sessions on study days in range', () => {
+    const sessions = planner.normalize({ sessions: [
+      { date: '2026-10-20', title: 'Cells', minutes: 500, kind: 'learn' },
+      { date: '2026-11-02', title: 'Exam day' },
+      { date: '2026-10-21', title: ' ' },
+      { date: '2026-10-19', title: 'Genetics', kind: 'nap' }
+    ] }, base);
+    expect(sessions.map(s => [s.date, s.title, s.minutes, s.kind])).toEqual([['2026-10-19', 'Genetics', 30, 'learn'], ['2026-10-20', 'Cells', 180, 'learn']]);
+    expect(() => planner.normalize({ sessions: [] }, base)).toThrow();
+  });
+
+  it('moves missed sessions onto upcoming days with room', () => {
+    const sessions = planner.schedule(base);
+    const plan = { ...base, id: 'p', sessions };
+    const { plan: next, moved } = planner.reschedule(plan, '2026-10-22');
+    const missed = sessions.filter(s => s.date < '2026-10-22');
+    expect(moved).toBe(missed.length);
+    expect(next.sessions).toHaveLength(sessions.length);
+    for (const s of missed) {
+      const now = next.sessions.find(x => x.id === s.id);
+      expect(now.date >= '2026-10-22' && now.date < base.examDate).toBe(true);
+      expect(now.rescheduledFrom).toBe(s.date);
+    }
+    expect(planner.reschedule({ ...plan, sessions: sessions.map(s => ({ ...s, done: true })) }, '2026-10-22').moved).toBe(0);
+  });
+
+  it('runs each day back to back and exports folded iCalendar lines', () => {
+    const plan = { ...base, id: 'p', startTime: '23:30', sessions: [
+      { id: 'a', date: '2026-10-19', minutes: 40, kind: 'learn', title: 'Cells', notes: '' },
+      { id: 'b', date: '2026-10-19', minutes: 30, kind: 'review', title: 'Review: '.repeat(20), notes: 'Recall, then check' }
+    ] };
+    expect(planner.timesFor(plan)).toEqual({ a: { start: 1410, end: 1450 }, b: { start: 1460, end: 1490 } });
+    const ics = planner.toICS(plan);
+    expect(ics).toContain('DTSTART:20261020T002000');
+    expect(ics).toContain('DESCRIPTION:Review · 30 min\\nRecall\\, then check');
+    const lines = ics.split('\r\n');
+    expect(lines.at(-1)).toBe('');
+    expect(lines.every(l => new TextEncoder().encode(l).length <= 75)).toBe(true);
+  });
+});
+
+describe('srs', () => {
+  const card = (over = {}) => ({ ...srs.newCard({ front: 'Q', back: 'A' }), ...over });
+
+  it('grows the interval 1, 6, then interval × ease, adjusting the ease by grade', () => {
+    let c = srs.review(card(), 5, '2026-10-19');
+    expect(c).toMatchObject({ reps: 1, interval: 1, ease: 2.6, due: '2026-10-20', lastReviewed: '2026-10-19' });
+    c = srs.review(c, 4, '2026-10-20');
+    expect(c).toMatchObject({ reps: 2, interval: 6, ease: 2.6, due: '2026-10-26' });
+    c = srs.review(c, 3, '2026-10-26');
+    expect(c).toMatchObject({ reps: 3, interval: 16, ease: 2.46, due: '2026-11-11' });
+    expect(srs.review(card({ ease: 1.4, reps: 3, interval: 10 }), 3, '2026-10-19').ease).toBe(1.3);
+  });
+
+  it('sends a failed card back to the start for today and counts the lapse', () => {
+    const c = srs.review(card({ reps: 3, interval: 16, ease: 2.46, due: '2026-11-11', lastReviewed: '2026-10-26' }), 2, '2026-11-11');
+    expect(c).toMatchObject({ reps: 0, interval: 0, lapses: 1, ease: 2.46, due: '2026-11-11' });
+    expect(srs.review(card(), 1, '2026-10-19').lapses).toBe(0);
+  });
+
+  it('queues due reviews, most overdue first, then new cards up to the daily limit', () => {
+    const seen = (id, due) => card({ id, due, lastReviewed: '2026-10-01', reps: 1, interval: 1 });
+    const deck = { newPerDay: 2, cards: [
+      seen('later', '2026-10-25'), seen('today', '2026-10-19'), seen('overdue', '2026-10-15'),
+      card({ id: 'n1' }), card({ id: 'n2' }), card({ id: 'n3' })
+    ] };
+    expect(srs.queue(deck, '2026-10-19').map(c => c.id)).toEqual(['overdue', 'today', 'n1', 'n2']);
+    const introduced = { ...deck, introduced: srs.introduce(deck, '2026-10-19') };
+    expect(introduced.introduced).toEqual({ day: '2026-10-19', count: 1 });
+    expect(srs.counts(introduced, '2026-10-19')).toEqual({ due: 2, fresh: 1, total: 6, mature: 0 });
+    expect(srs.counts(introduced, '2026-10-20').fresh).toBe(2);
+    expect(srs.dueToday([deck, introduced], '2026-10-19')).toBe(7);
+  });
+
+  it('reads generated cards in either shape and drops empty ones', () => {
+    expect(srs.fromModel({ cards: [{ front: ' Cell ', back: 'Unit of life' }, { question: 'DNA?', answer: 'Genes' }, { front: 'x', back: ' ' }] }))
+      .toEqual([{ front: 'Cell', back: 'Unit of life' }, { front: 'DNA?', back: 'Genes' }]);
+    expect(srs.fromModel(Array(60).fill({ front: 'a', back: 'b' }))).toHaveLength(50);
+    expect(srs.fromModel(null)).toEqual([]);
+  });
+});
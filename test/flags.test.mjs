@@ -0,0 +1,114 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startServer } from './helpers.mjs';
+
+describe('feature flags', () => {
+  let srv, classId;
+  const hour = (n) => new Date(Date.now() + n * 3600_000).toISOString();
+  const gates = async (who) => (await srv.call(who, 'GET', '/api/features')).body.gates;
+  const flag = async (body) => (await srv.call('admin', 'POST', '/api/flags', body)).body.flag;
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+    await srv.signup('tea', 'teacher');
+    await srv.signup('stu');
+    await srv.signup('stu2');
+    const c = (await srv.call('tea', 'POST', '/api/classes', { name: '6E' })).body.class;
+    classId = c.id;
+    await srv.call('stu', 'POST', '/api/classes/join', { code: c.joinCode });
+  });
+  afterAll(() => srv.close());
+
+  it('validates keys, targets and windows', async () => {
+    expect((await srv.call('admin', 'POST', '/api/flags', { key: 'Bad Key' })).status).toBe(400);
+    expect((await srv.call('admin', 'POST', '/api/flags', { key: 'x1', gates: ['nope'] })).status).toBe(400);
+    expect((await srv.call('admin', 'POST', '/api/flags', { key: 'x2', startAt: hour(2), endAt: hour(1) })).status).toBe(400);
+    expect((await srv.call('tea', 'POST', '/api/flags', { key: 'x3' })).status).toBe(403);
+  });
+
+  it('targets roles and classes', async () => {
+    await flag({ key: 'staff-lessons', gates: ['lessons'], roles: ['admin'] });
+    await flag({ key: 'pilot-quizzes', gates: ['quizzes'], classIds: [classId] });
+    expect(await gates('admin')).toMatchObject({ lessons: true, quizzes: false });
+    expect(await gates('tea')).toMatchObject({ lessons: false, quizzes: true });
+    expect(await gates('stu')).toMatchObject({ quizzes: true });
+    expect(await gates('stu2')).toMatchObject({ quizzes: false });
+    expect((await gates('stu2')).news).toBeUndefined();
+  });
+
+  it('enforces gated targets on the server', async () => {
+    expect((await srv.call('tea', 'GET', '/api/lessons')).body.error.code).toBe('feature_off');
+    expect((await srv.call('admin', 'GET', '/api/lessons')).status).toBe(200);
+    expect((await srv.call('stu2', 'GET', '/api/quizzes')).status).toBe(403);
+    expect((await srv.call('stu', 'GET', '/api/quizzes')).status).toBe(200);
+    await flag({ key: 'no-assignments', gates: ['assignments'], enabled: false });
+    expect((await srv.call('tea', 'POST', '/api/assignments', { title: 'Essay' })).status).toBe(403);
+    expect((await srv.call('tea', 'GET', '/api/grading')).status).toBe(403);
+  });
+
+  it('refuses AI tools through the chat while their flag is off', async () => {
+    await flag({ key: 'ai-writing', gates: ['ai_writing'], roles: ['teacher'] });
+    const ask = (who, feature) => srv.call(who, 'POST', '/api/chat', { messages: [{ role: 'user', content: 'Check my essay' }], feature });
+    expect((await ask('stu', 'ai_writing')).status).toBe(403);
+    expect((await ask('tea', 'ai_writing')).status).toBe(200);
+    expect((await ask('stu', 'tutor')).status).toBe(200);
+    expect((await ask('stu')).status).toBe(400);
+    expect((await ask('stu', 'math')).status).toBe(400);
+  });
+
+  it('refuses every gated route while its flag is off', async () => {
+    const status = async (who, method, url, body) => (await srv.call(who, method, url, body)).status;
+    const at = new Date().toISOString();
+    const off = await flag({ key: 'off', gates: ['news', 'classes', 'analytics', 'progress'], enabled: false });
+    expect(await status('stu', 'GET', '/api/announcements')).toBe(403);
+    expect(await status('stu', 'POST', '/api/announcements/read', { ids: [] })).toBe(403);
+    expect(await status('tea', 'POST', '/api/classes', { name: '7F' })).toBe(403);
+    expect(await status('tea', 'GET', `/api/classes/${classId}/roster`)).toBe(403);
+    expect(await status('stu', 'GET', '/api/classes/invites')).toBe(403);
+    expect(await status('stu', 'POST', `/api/classes/${classId}/leave`)).toBe(403);
+    expect(await status('tea', 'GET', `/api/analytics?classId=${classId}`)).toBe(403);
+    expect(await status('stu', 'GET', '/api/progress')).toBe(403);
+    expect(await status('stu', 'POST', '/api/events', { events: [{ type: 'chat', subject: 'math', at }] })).toBe(403);
+    // the header's class picker still lists them
+    expect(await status('tea', 'GET', '/api/classes')).toBe(200);
+    await srv.call('admin', 'DELETE', `/api/flags/${off.id}`);
+    expect(await status('stu', 'GET', '/api/progress')).toBe(200);
+
+    const tools = await flag({ key: 'no-tools', gates: ['flashcards', 'study'], enabled: false });
+    const events = (e) => status('stu', 'POST', '/api/events', { events: [{ subject: 'general', at, ...e }] });
+    expect(await events({ type: 'card_review', grade: 4 })).toBe(403);
+    expect(await events({ type: 'plan_session', minutes: 20, ref: 'p1:s1' })).toBe(403);
+    expect(await events({ type: 'tab_time', subject: 'flashcards', seconds: 60 })).toBe(403);
+    expect(await events({ type: 'tab_time', subject: 'math', seconds: 60 })).toBe(200);
+    await srv.call('admin', 'DELETE', `/api/flags/${tools.id}`);
+    expect(await events({ type: 'card_review', grade: 4 })).toBe(200);
+  });
+
+  it('follows the kill switch and the time window', async () => {
+    const f = (await srv.call('admin', 'GET', '/api/flags')).body.flags.find(x => x.key === 'staff-lessons');
+    await srv.call('admin', 'PATCH', `/api/flags/${f.id}`, { enabled: false });
+    expect((await srv.call('admin', 'GET', '/api/lessons')).status).toBe(403);
+    await srv.call('admin', 'PATCH', `/api/flags/${f.id}`, { enabled: true, startAt: hour(1) });
+    const feats = (await srv.call('admin', 'GET', '/api/features')).body;
+    expect(feats.gates.lessons).toBe(false);
+    expect(Date.parse(feats.nextChangeAt)).toBeGreaterThan(Date.now());
+    await srv.call('admin', 'DELETE', `/api/flags/${f.id}`);
+    expect((await srv.call('tea', 'GET', '/api/lessons')).status).toBe(200);
+  });
+
+  it('rolls out by a stable percentage that only grows', async () => {
+    const users = [];
+    for (let i = 0; i < 20; i++) users.push((await srv.signup(`roll${i}`)).id);
+    const f = await flag({ key: 'rollout', gates: ['flashcards'], percentage: 30 });
+    const on = async () => {
+      const r = [];
+      for (let i = 0; i < users.length; i++) if ((await gates(`roll${i}`)).flashcards) r.push(users[i]);
+      return r;
+    };
+    const first = await on();
+    expect(await on()).toEqual(first);
+    await srv.call('admin', 'PATCH', `/api/flags/${f.id}`, { percentage: 70 });
+    const more = await on();
+    expect(more).toEqual(expect.arrayContaining(first));
+    expect(more.length).toBeGreaterThanOrEqual(first.length);
+  });
+});
@@ -0,0 +1,63 @@
+/* =============================================================================
+   Test helpers — a real server on a random port over a throwaway store.
+   Every test file gets its own app; `call` keeps one cookie jar per name so
+   'admin', 'tea' and 'stu' can act side by side.
+============================================================================= */
+import fs from 'node:fs';
+import os from 'node:os';
+import path from 'node:path';
+import { createApp } from '../server/index.mjs';
+import { createStore } from '../server/store.mjs';
+
+process.env.MYTHOS_PROVIDER = 'mock';
+process.env.MYTHOS_MOCK_DELAY_MS = '0';
+
+export async function startServer() {
+  const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'mythos-test-'));
+  const db = createStore(dir);
+  const app = createApp({ db });
+  await new Promise(resolve => app.listen(0, '127.0.0.1', resolve));
+  const base = `http://127.0.0.1:${app.address().port}`;
+  const jar = {};
+  const ids = {};
+
+  // → { status, body, headers }; body is parsed JSON, or the raw text for anything else
+  const raw = async (who, method, url, body, headers = {}) => {
+    const res = await fetch(base + url, {
+      method,
+      headers: { 'Content-Type': 'application/json', cookie: jar[who] || '', ...headers },
+      body: body === undefined ? undefined : JSON.stringify(body)
+    });
+    const cookie = res.headers.get('set-cookie');
+    if (cookie) jar[who] = cookie.split(';')[0];
+    const text = await res.text();
+    let parsed = text;
+    if ((res.headers.get('content-type') || '').includes('application/json')) parsed = text ? JSON.parse(text) : null;
+    return { status: res.status, body: parsed, headers: res.headers };
+  };
+  const call = (who, method, url, body) => raw(who, method, url, body);
+
+  // The first account is the admin; others are students unless the admin gives them a role
+  const signup = async (who, role = 'student', extra = {}) => {
+    const r = await call(who, 'POST', '/api/auth/signup', { username: who, password: 'password123', ...extra });
+    if (r.status !== 200) throw new Error(`signup ${who}: ${JSON.stringify(r.body)}`);
+    ids[who] = r.body.user.id;
+    if (r.body.user.role !== role) {
+      const admin = Object.keys(ids).find(k => k !== who);
+      const p = await call(admin, 'PATCH', `/api/users/${ids[who]}`, { role });
+      if (p.status !== 200) throw new Error(`role ${who}: ${JSON.stringify(p.body)}`);
+    }
+    return r.body.user;
+  };
+
+  const close = async () => {
+    await new Promise(resolve => { app.closeAllConnections?.(); app.close(resolve); });
+    db.flush();
+    fs.rmSync(dir, { recursive: true, force: true });
+  };
+
+  return { app, db, base, jar, ids, raw, call, signup, close };
+}
+
+// NDJSON response text → array of events
+export const ndjson = (text) => text.split('\n').filter(Boolean).map(l => JSON.parse(l));
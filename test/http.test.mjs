@@ -0,0 +1,30 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startServer } from './helpers.mjs';
+import { parseCookies } from '../server/http.mjs';
+
+describe('parseCookies', () => {
+  it('skips a cookie that is not valid percent-encoding and keeps the rest', () => {
+    expect(parseCookies({ headers: { cookie: 'other=%E0%A4%A; theme=dark%20blue; flag' } })).toEqual({ theme: 'dark blue', flag: '' });
+  });
+});
+
+describe('router', () => {
+  let srv;
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+  });
+  afterAll(() => srv.close());
+
+  it('answers a malformed route parameter with 400', async () => {
+    const r = await srv.call('admin', 'GET', '/api/announcements/%E0%A4%A/revisions');
+    expect(r.status).toBe(400);
+    expect(r.body.error).toMatchObject({ code: 'bad_request', key: 'http.badPath' });
+  });
+
+  it('still finds the session next to a malformed cookie', async () => {
+    const r = await srv.raw('admin', 'GET', '/api/auth/me', undefined, { cookie: `junk=%E0%A4%A; ${srv.jar.admin}` });
+    expect(r.status).toBe(200);
+    expect(r.body.user.username).toBe('admin');
+  });
+});
@@ -0,0 +1,64 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startServer } from './helpers.mjs';
+import { validateLesson } from '../server/lessons.mjs';
+
+describe('validateLesson', () => {
+  it('cleans blocks, rubric and lists', () => {
+    const l = validateLesson({
+      title: ' Fractions ', duration: '45', objectives: ['Add fractions', ''],
+      blocks: [{ kind: 'warmup', title: 'Quick quiz', minutes: 5 }, { kind: 'nap', title: 'Mystery', minutes: 10 }, { title: '' }],
+      rubric: { title: 'Skills', criteria: [{ name: 'Accuracy', levels: ['a', 'b'] }, { name: '' }] }
+    });
+    expect(l.title).toBe('Fractions');
+    expect(l.duration).toBe(45);
+    expect(l.objectives).toEqual(['Add fractions']);
+    expect(l.blocks.map(b => b.kind)).toEqual(['warmup', 'other']);
+    expect(l.rubric.criteria).toHaveLength(1);
+    expect(l.rubric.criteria[0].levels).toEqual(['a', 'b', '', '']);
+  });
+
+  it('needs a title and a sensible duration', () => {
+    expect(() => validateLesson({ title: '' })).toThrow(/title/);
+    expect(() => validateLesson({ title: 'x', duration: 2 })).toThrow(/Duration/);
+  });
+});
+
+describe('/api/lessons', () => {
+  let srv, classId, lessonId;
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+    await srv.signup('tea', 'teacher');
+    await srv.signup('tea2', 'teacher');
+    await srv.signup('stu');
+    classId = (await srv.call('tea', 'POST', '/api/classes', { name: '7B', subject: 'Math' })).body.class.id;
+  });
+  afterAll(() => srv.close());
+
+  it('keeps plans private to their teacher', async () => {
+    const r = await srv.call('tea', 'POST', '/api/lessons', { title: 'Ratios', classId, blocks: [{ title: 'Intro', minutes: 10 }] });
+    lessonId = r.body.lesson.id;
+    expect(r.body.lesson.className).toBe('7B');
+    expect((await srv.call('tea2', 'GET', `/api/lessons/${lessonId}`)).status).toBe(404);
+    expect((await srv.call('stu', 'GET', '/api/lessons')).status).toBe(403);
+    expect((await srv.call('admin', 'GET', `/api/lessons/${lessonId}`)).status).toBe(200);
+  });
+
+  it('refuses a class the teacher does not teach', async () => {
+    const r = await srv.call('tea2', 'POST', '/api/lessons', { title: 'Borrowed', classId });
+    expect(r.status).toBeGreaterThanOrEqual(400);
+  });
+
+  it('duplicates into templates and plain copies with fresh block ids', async () => {
+    const t = (await srv.call('tea', 'POST', `/api/lessons/${lessonId}/duplicate`, { asTemplate: true })).body.lessons[0];
+    expect(t).toMatchObject({ isTemplate: true, classId: null });
+    const c = (await srv.call('tea', 'POST', `/api/lessons/${lessonId}/duplicate`, {})).body.lessons[0];
+    expect(c.title).toBe('Ratios (copy)');
+    const named = (await srv.call('tea', 'POST', `/api/lessons/${lessonId}/duplicate`, { title: 'Ratios (رونوشت)' })).body.lessons[0];
+    expect(named.title).toBe('Ratios (رونوشت)');
+    const original = (await srv.call('tea', 'GET', `/api/lessons/${lessonId}`)).body.lesson;
+    expect(c.blocks[0].id).not.toBe(original.blocks[0].id);
+    const inClass = (await srv.call('tea', 'GET', `/api/lessons?classId=${classId}`)).body.lessons.map(l => l.id);
+    expect(inClass).toEqual(expect.arrayContaining([lessonId, t.id]));
+  });
+});
@@ -0,0 +1,94 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startServer } from './helpers.mjs';
+import { moderate, redact } from '../server/moderation.mjs';
+
+const phone = (text) => redact(text, { phone: true }).text;
+
+describe('redact', () => {
+  it('removes phone numbers with a leading + or an area code', () => {
+    expect(phone('Call +44 20 7946 0958 now')).toBe('Call [phone removed] now');
+    expect(phone('+441234567890')).toBe('[phone removed]');
+    expect(phone('+1 (555) 123-4567')).toBe('[phone removed]');
+    expect(phone('+33 1 23 45 67 89')).toBe('[phone removed]');
+    expect(phone('(020) 7946 0958')).toBe('[phone removed]');
+    expect(phone('555-123-4567 or 555.123.4567')).toBe('[phone removed] or [phone removed]');
+  });
+
+  it('leaves sums, years, coordinates and sequences alone', () => {
+    for (const text of [
+      '12 + 345 = 357', '+5 - 3 = 2', '3+4567890', 'x = 12 345 678',
+      'from 1999-2004', 'between 2010 and 2020', '2024-05-17',
+      '51.5074, -0.1278', '40.7128 N 74.0060 W',
+      '1, 2, 3, 5, 8, 13', '10 20 30 40 50 60 70', '100 200 300 400', '+1 2 3 4 5 6 7 8'
+    ]) expect(phone(text)).toBe(text);
+  });
+
+  it('names what it removed', () => {
+    const r = redact('Mail me at ana@example.org, I live at 12 Oak Street', { email: true, phone: true, address: true });
+    expect(r.text).toBe('Mail me at [email removed], I live at [address removed]');
+    expect(r.found).toEqual(['email', 'address']);
+  });
+});
+
+describe('moderate', () => {
+  let srv, ctx, student;
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+    student = await srv.signup('stu');
+    ctx = { db: srv.db };
+  });
+  afterAll(() => srv.close());
+
+  const stream = async (chunks) => {
+    const mod = await moderate(ctx, student, [{ role: 'user', content: 'Tell me a story' }]);
+    let text = '';
+    for (const c of chunks) {
+      text += c;
+      const replacement = await mod.checkReply(text);
+      if (replacement) return { replacement, at: text.length };
+    }
+    return { replacement: await mod.checkReply(text, true), at: text.length };
+  };
+  const replyFlags = () => srv.db.collection('moderation_flags').filter(f => f.source === 'reply');
+
+  it('catches a phrase split across chunks', async () => {
+    const filler = 'Once upon a time there was a student who loved reading. '.repeat(10);
+    const { replacement, at } = await stream([filler, 'Then he said he wanted to ki', 'll myself and', ' nothing else.']);
+    expect(replacement).toMatch(/counsellor/);
+    expect(at).toBe(filler.length + 'Then he said he wanted to kill myself and'.length);
+    expect(replyFlags().at(-1)).toMatchObject({ categories: ['self_harm'], action: 'blocked' });
+  });
+
+  it('still flags an early low-severity hit once the reply is complete', async () => {
+    const before = replyFlags().length;
+    const { replacement } = await stream(['You are so stupid, ', ...Array(40).fill('said nobody in this story. ')]);
+    expect(replacement).toBeNull();
+    expect(replyFlags()).toHaveLength(before + 1);
+    expect(replyFlags().at(-1)).toMatchObject({ categories: ['harassment'], severity: 'low', action: 'allowed' });
+  });
+
+  it('does not read a word cut at the window edge as another word', async () => {
+    const before = replyFlags().length;
+    // the second check starts reading 100 characters back: at the "k" of "askys"
+    const first = `${'a '.repeat(9)}askys ${'b'.repeat(96)}`;
+    await stream([first, ' and more.']);
+    expect(replyFlags()).toHaveLength(before);
+  });
+
+  it('redacts the student\'s prompt before the provider sees it', async () => {
+    const r = await srv.call('stu', 'POST', '/api/chat', { messages: [{ role: 'user', content: 'Text me on +44 20 7946 0958. Is 12 + 345 = 357?' }], feature: 'tutor' });
+    expect(r.body.redacted).toEqual(['phone']);
+    expect(r.body.text).toContain('Text me on [phone removed]. Is 12 + 345 = 357?');
+  });
+
+  it('redacts the assistant turns the client sends back too', async () => {
+    const mod = await moderate(ctx, student, [
+      { role: 'user', content: 'What is your number?' },
+      { role: 'assistant', content: 'Call me on 555-123-4567.' },
+      { role: 'user', content: 'Thanks' }
+    ]);
+    expect(mod.messages[1].content).toBe('Call me on [phone removed].');
+    expect(mod.redacted).toEqual(['phone']);
+  });
+});
@@ -0,0 +1,68 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startServer } from './helpers.mjs';
+import { notify } from '../server/notifications.mjs';
+
+describe('notifications', () => {
+  let srv, ctx;
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+    await srv.signup('stu');
+    await srv.signup('stu2');
+    ctx = { db: srv.db };
+  });
+  afterAll(() => srv.close());
+
+  it('delivers to each user once, skipping muted types', async () => {
+    await srv.call('stu2', 'PUT', '/api/notifications/prefs', { muted: ['study'] });
+    notify(ctx, [srv.ids.stu, srv.ids.stu, srv.ids.stu2], { type: 'study', title: 'Time to revise' });
+    const mine = (await srv.call('stu', 'GET', '/api/notifications')).body;
+    expect(mine.notifications.filter(n => n.title === 'Time to revise')).toHaveLength(1);
+    expect(mine.notifications[0].tab).toBe('study');
+    expect((await srv.call('stu2', 'GET', '/api/notifications')).body.notifications).toEqual([]);
+    expect(() => notify(ctx, [srv.ids.stu], { type: 'gossip', title: 'x' })).toThrow();
+  });
+
+  it('passes message keys and their vars through to the client', async () => {
+    notify(ctx, [srv.ids.stu], { type: 'quiz', title: 'New quiz: Fractions', titleKey: 'notify.newQuiz', vars: { title: 'Fractions' } });
+    const [n] = (await srv.call('stu', 'GET', '/api/notifications')).body.notifications;
+    expect(n).toMatchObject({ title: 'New quiz: Fractions', titleKey: 'notify.newQuiz', bodyKey: null, vars: { title: 'Fractions' } });
+  });
+
+  it('marks only the caller\'s own notifications read', async () => {
+    notify(ctx, [srv.ids.stu2], { type: 'quiz', title: 'New quiz' });
+    const theirs = (await srv.call('stu2', 'GET', '/api/notifications')).body.notifications[0].id;
+    expect((await srv.call('stu', 'POST', '/api/notifications/read', { ids: [theirs] })).body.changed).toBe(0);
+    expect((await srv.call('stu', 'POST', '/api/notifications/read', { all: true })).body.changed).toBeGreaterThan(0);
+    expect((await srv.call('stu', 'GET', '/api/notifications')).body.unread).toBe(0);
+    expect((await srv.call('stu2', 'GET', '/api/notifications')).body.unread).toBe(1);
+  });
+
+  it('rejects unknown types in the preferences', async () => {
+    expect((await srv.call('stu', 'PUT', '/api/notifications/prefs', { muted: ['gossip'] })).status).toBe(400);
+    expect((await srv.call('stu', 'PUT', '/api/notifications/prefs', { muted: 'quiz' })).status).toBe(400);
+  });
+
+  it('schedules future reminders only', async () => {
+    const at = (ms) => new Date(Date.now() + ms).toISOString();
+    const r = await srv.call('stu', 'PUT', '/api/notifications/reminders', {
+      reminders: [{ at: at(3600_000), title: 'Biology' }, { at: at(-3600_000), title: 'Gone' }]
+    });
+    expect(r.body.scheduled).toBe(1);
+    expect((await srv.call('stu', 'PUT', '/api/notifications/reminders', { reminders: [{ at: 'soon', title: 'x' }] })).status).toBe(400);
+  });
+
+  it('pushes new notifications to open streams', async () => {
+    const abort = new AbortController();
+    const res = await fetch(`${srv.base}/api/notifications/stream`, { headers: { cookie: srv.jar.stu }, signal: abort.signal });
+    expect(res.headers.get('content-type')).toMatch(/text\/event-stream/);
+    const reader = res.body.getReader();
+    await reader.read();   // retry: line, sent once the stream is registered
+    notify(ctx, [srv.ids.stu], { type: 'announcement', title: 'Snow day' });
+    let text = '';
+    while (!text.includes('Snow day')) text += new TextDecoder().decode((await reader.read()).value);
+    abort.abort();
+    expect(text).toMatch(/^event: notification/m);
+    expect(JSON.parse(/^data: (.*)$/m.exec(text)[1])).toMatchObject({ title: 'Snow day', tab: 'news' });
+  });
+});
@@ -0,0 +1,61 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startServer } from './helpers.mjs';
+import { dayOf, shiftDay } from '../server/progress.mjs';
+
+describe('day helpers', () => {
+  it('bucket by the viewer\'s time zone', () => {
+    expect(dayOf('2024-03-01T23:30:00Z', 0)).toBe('2024-03-01');
+    expect(dayOf('2024-03-01T23:30:00Z', 60)).toBe('2024-03-02');
+    expect(shiftDay('2024-03-01', -1)).toBe('2024-02-29');
+  });
+});
+
+describe('/api/events and /api/progress', () => {
+  let srv;
+  const post = (events, who = 'stu') => srv.call(who, 'POST', '/api/events', { events, tz: 0 });
+  const progress = async (who = 'stu') => (await srv.call(who, 'GET', '/api/progress?tz=0')).body;
+
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+    await srv.signup('stu');
+  });
+  afterAll(() => srv.close());
+
+  it('validates events and caps one tab_time report at 4 h', async () => {
+    expect((await post([{ type: 'nap' }])).status).toBe(400);
+    expect((await post([{ type: 'tab_time', seconds: -5 }])).status).toBe(400);
+    expect((await post([{ type: 'card_review', grade: 9 }])).status).toBe(400);
+    await post([{ type: 'tab_time', subject: 'math', seconds: 100 * 3600 }]);
+    expect((await progress()).bySubject.math).toBe(240);
+  });
+
+  it('awards badges once, at the event that earned them', async () => {
+    const r = await post([{ type: 'chat', subject: 'math' }]);
+    expect(r.body.earned.map(a => a.id)).toEqual(['first_chat']);
+    expect((await post([{ type: 'chat', subject: 'math' }])).body.earned).toEqual([]);
+    const p = await progress();
+    expect(p.totals.chats).toBe(2);
+    expect(p.achievements.find(a => a.id === 'hours_1').earnedAt).toBeTruthy();
+    expect(p.streak.current).toBe(1);
+  });
+
+  it('counts ref events once and undoes them by ref', async () => {
+    await post([{ type: 'plan_session', subject: 'science', minutes: 30, ref: 's1' }, { type: 'plan_session', subject: 'science', minutes: 30, ref: 's1' }]);
+    expect((await progress()).totals.planSessions).toBe(1);
+    await post([{ type: 'plan_session', ref: 's1', undo: true }]);
+    expect((await progress()).totals.planSessions).toBe(0);
+  });
+
+  it('refuses quiz results from the client', async () => {
+    const r = await post([{ type: 'quiz', subject: 'math', score: 100 }]);
+    expect(r.status).toBe(400);
+    const p = await progress();
+    expect(p.totals.quizzes).toBe(0);
+    expect(p.achievements.find(a => a.id === 'perfect_quiz').earnedAt).toBeNull();
+  });
+
+  it('keeps each user\'s log to themselves', async () => {
+    expect((await progress('admin')).totals.chats).toBe(0);
+  });
+});
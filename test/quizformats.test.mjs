@@ -0,0 +1,63 @@
+import { describe, expect, it } from 'vitest';
+import { parseGift, parseQti, parseXml, toGift, toQti } from '../server/quizformats.mjs';
+
+const BANK = [
+  { type: 'mc', title: 'Sum', prompt: 'What is 2 + 2?', points: 1, choices: [{ text: '4', correct: true }, { text: '5', correct: false }] },
+  { type: 'multi', title: 'Primes', prompt: 'Pick the primes: {2, 4, 5}', points: 2, choices: [{ text: '2', correct: true }, { text: '4', correct: false }, { text: '5', correct: true }] },
+  { type: 'numeric', title: 'g', prompt: 'Gravity at sea level (m/s²)?', points: 1, answer: 9.81, tolerance: 0.05 },
+  { type: 'short', title: 'Capital', prompt: 'Capital of Iran?', points: 1, answers: ['Tehran', 'Teheran'] },
+  { type: 'matching', title: 'Formulas', prompt: 'Match the formula', points: 1, pairs: [{ left: 'Water', right: 'H2O' }, { left: 'Salt', right: 'NaCl' }] }
+];
+
+// the parts an import keeps, without ids
+const shape = (q) => ({
+  type: q.type, prompt: q.prompt,
+  ...(q.choices && { choices: q.choices.map(c => ({ text: c.text, correct: !!c.correct })) }),
+  ...(q.type === 'numeric' && { answer: q.answer, tolerance: q.tolerance }),
+  ...(q.answers && { answers: q.answers }),
+  ...(q.pairs && { pairs: q.pairs.map(p => ({ left: p.left, right: p.right })) })
+});
+
+describe('GIFT', () => {
+  it('round-trips every question type, special characters included', () => {
+    const { questions, skipped } = parseGift(toGift(BANK));
+    expect(skipped).toEqual([]);
+    expect(questions.map(shape)).toEqual(BANK.map(shape));
+    expect(questions.map(q => q.title)).toEqual(BANK.map(q => q.title));
+  });
+
+  it('reads categories as tags and reports bad blocks without giving up', () => {
+    const { questions, skipped } = parseGift('$CATEGORY: $course$/Science/Chemistry\n\n::A::Water is {=H2O ~CO2}\n\nNo answers here\n\n::B::True? {T}');
+    expect(questions).toHaveLength(2);
+    expect(questions[0].tags).toEqual(['chemistry']);
+    expect(skipped).toEqual([{ index: 3, reason: 'No answer block { … }', key: 'import.noAnswerBlock' }]);
+  });
+});
+
+describe('QTI 1.2', () => {
+  it('round-trips every question type', () => {
+    const { questions, skipped } = parseQti(toQti(BANK));
+    expect(skipped).toEqual([]);
+    expect(questions.map(shape)).toEqual(BANK.map(shape));
+    expect(questions.map(q => q.points)).toEqual(BANK.map(q => q.points));
+  });
+
+  it('escapes markup in text', () => {
+    const q = { ...BANK[0], prompt: 'Is 1 < 2 & 3 > 2?' };
+    expect(parseQti(toQti([q])).questions[0].prompt).toBe(q.prompt);
+  });
+
+  it('says what is wrong with a file it cannot read', () => {
+    expect(parseQti('<not-closed>').skipped[0]).toMatchObject({
+      reason: expect.stringMatching(/Not valid XML/), key: 'import.badXml', vars: { reason: { key: 'import.notClosed', vars: { tag: 'not-closed' } } }
+    });
+    expect(parseQti('<?xml version="1.0"?><quiz/>').skipped[0].reason).toMatch(/<item>/);
+  });
+
+  it('parses entities and CDATA', () => {
+    const doc = parseXml('<a x="1 &amp; 2"><![CDATA[<b>]]>&#x41;</a>');
+    const a = doc.children[0];
+    expect(a.attrs.x).toBe('1 & 2');
+    expect(a.children.join('')).toBe('<b>A');
+  });
+});
@@ -0,0 +1,165 @@
+import http from 'node:http';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startServer } from './helpers.mjs';
+import { gradeAttempt, validateQuestion } from '../server/quizzes.mjs';
+
+describe('grading', () => {
+  const mc = { id: 'q1', type: 'mc', points: 2, choices: [{ id: 'a', correct: true }, { id: 'b', correct: false }] };
+  const multi = { id: 'q2', type: 'multi', points: 4, choices: [{ id: 'a', correct: true }, { id: 'b', correct: true }, { id: 'c', correct: false }] };
+  const numeric = { id: 'q3', type: 'numeric', points: 1, answer: 9.81, tolerance: 0.01 };
+  const short = { id: 'q4', type: 'short', points: 1, answers: ['Photosynthesis'], caseSensitive: false };
+  const matching = { id: 'q5', type: 'matching', points: 2, pairs: [{ id: 'p1', right: 'H2O' }, { id: 'p2', right: 'NaCl' }] };
+
+  it('scores each type with partial credit where it applies', () => {
+    const g = gradeAttempt([mc, multi, numeric, short, matching], {
+      q1: 'a', q2: ['a', 'c'], q3: '9,80', q4: '  photosynthesis ', q5: { p1: 'h2o', p2: 'salt' }
+    });
+    expect(g.results.map(r => r.fraction)).toEqual([1, 0, 1, 1, 0.5]);
+    expect(g.score).toBe(5);
+    expect(g.maxScore).toBe(10);
+    expect(g.pct).toBe(50);
+  });
+
+  it('gives nothing for missing or empty answers', () => {
+    expect(gradeAttempt([numeric, short], { q3: '', q4: '' }).score).toBe(0);
+  });
+
+  it('rejects malformed questions', () => {
+    expect(() => validateQuestion({ type: 'mc', prompt: 'x', choices: [{ text: 'a', correct: true }, { text: 'b', correct: true }] })).toThrow(/exactly one/);
+    expect(() => validateQuestion({ type: 'numeric', prompt: 'x', answer: 'ten' })).toThrow(/number/);
+    expect(() => validateQuestion({ type: 'essay', prompt: 'x' })).toThrow(/type/);
+  });
+});
+
+describe('taking a quiz', () => {
+  let srv, question;
+  const publish = async (fields) => {
+    const q = await srv.call('tea', 'POST', '/api/quizzes', { title: 'Check-in', questionIds: [question.id], ...fields });
+    await srv.call('tea', 'PATCH', `/api/quizzes/${q.body.quiz.id}`, { status: 'published' });
+    return q.body.quiz.id;
+  };
+  const take = async (quizId, pick) => {
+    const a = (await srv.call('stu', 'POST', `/api/quizzes/${quizId}/start`)).body.attempt;
+    return (await srv.call('stu', 'POST', `/api/attempts/${a.id}/submit`, { answers: { [question.id]: pick } })).body;
+  };
+  const keyOf = (attempt) => attempt.questions[0].choices.some(c => 'correct' in c);
+
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+    await srv.signup('tea', 'teacher');
+    await srv.signup('stu');
+    question = (await srv.call('tea', 'POST', '/api/questions', {
+      type: 'mc', prompt: '2 + 2?', choices: [{ id: 'r', text: '4', correct: true }, { id: 'w', text: '5' }]
+    })).body.question;
+  });
+  afterAll(() => srv.close());
+
+  it('names the failing question with a message key the client can translate', async () => {
+    const r = await srv.call('tea', 'POST', '/api/questions', { questions: [{ type: 'short', prompt: 'Ok?', answers: ['ok'] }, { type: 'numeric', prompt: 'x', answer: 'ten' }] });
+    expect(r.status).toBe(400);
+    expect(r.body.error).toMatchObject({ key: 'question.inList', vars: { n: 2, reason: { key: 'question.numericAnswer' } } });
+    expect(r.body.error.message).toMatch(/^Question 2: /);
+  });
+
+  it('never shows the key while answering', async () => {
+    const id = await publish({ attempts: 1 });
+    const a = (await srv.call('stu', 'POST', `/api/quizzes/${id}/start`)).body.attempt;
+    expect(keyOf(a)).toBe(false);
+    expect(a.answerKey).toBe(false);
+  });
+
+  it('keeps the key back while attempts remain and shows it after the last one', async () => {
+    const id = await publish({ attempts: 2 });
+    const first = await take(id, 'w');
+    expect(first.attempt.results[0].fraction).toBe(0);
+    expect(first.attempt.answerKey).toBe(false);
+    expect(keyOf(first.attempt)).toBe(false);
+    expect(keyOf((await srv.call('stu', 'GET', `/api/attempts/${first.attempt.id}`)).body.attempt)).toBe(false);
+
+    const second = await take(id, 'r');
+    expect(second.attempt.pct).toBe(100);
+    expect(second.attempt.answerKey).toBe(true);
+    expect(second.attempt.questions[0].choices.find(c => c.id === 'r').correct).toBe(true);
+    // the earlier attempt opens up too
+    expect((await srv.call('stu', 'GET', `/api/attempts/${first.attempt.id}`)).body.attempt.answerKey).toBe(true);
+    expect((await srv.call('stu', 'POST', `/api/quizzes/${id}/start`)).status).toBe(409);
+  });
+
+  it('shows the key once the due date has passed', async () => {
+    const id = await publish({ attempts: 3 });
+    const done = await take(id, 'w');
+    expect(done.attempt.answerKey).toBe(false);
+    srv.db.collection('quizzes').update(id, { dueAt: new Date(Date.now() - 1000).toISOString() });
+    expect((await srv.call('stu', 'GET', `/api/attempts/${done.attempt.id}`)).body.attempt.answerKey).toBe(true);
+  });
+
+  it('grades an attempt once when two submits overlap', async () => {
+    const id = await publish({ attempts: 3 });
+    const a = (await srv.call('stu', 'POST', `/api/quizzes/${id}/start`)).body.attempt;
+    // both requests are in and waiting on their bodies before either body is sent
+    const held = () => {
+      let send;
+      const status = new Promise((resolve, reject) => {
+        const req = http.request(`${srv.base}/api/attempts/${a.id}/submit`, { method: 'POST', headers: { 'Content-Type': 'application/json', cookie: srv.jar.stu } }, res => {
+          res.resume();
+          res.on('end', () => resolve(res.statusCode));
+        });
+        req.on('error', reject);
+        req.flushHeaders();
+        send = () => req.end(JSON.stringify({ answers: { [question.id]: 'r' } }));
+      });
+      return { status, send };
+    };
+    const submits = [held(), held()];
+    await new Promise(resolve => setTimeout(resolve, 50));
+    submits.forEach(r => r.send());
+    const statuses = (await Promise.all(submits.map(r => r.status))).sort();
+    expect(statuses).toEqual([200, 409]);
+    expect(srv.db.collection('events').count(e => e.type === 'quiz' && e.at === srv.db.collection('attempts').get(a.id).submittedAt)).toBe(1);
+    expect((await srv.call('stu', 'PUT', `/api/attempts/${a.id}`, { answers: {} })).status).toBe(409);
+  });
+
+  it('keeps other students out of an attempt', async () => {
+    const id = await publish({ attempts: 1 });
+    const a = (await srv.call('stu', 'POST', `/api/quizzes/${id}/start`)).body.attempt;
+    expect((await srv.call('tea', 'GET', `/api/attempts/${a.id}`)).status).toBe(404);
+  });
+});
+
+describe('quiz results in progress', () => {
+  let srv;
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+    await srv.signup('tea', 'teacher');
+    await srv.signup('stu');
+  });
+  afterAll(() => srv.close());
+
+  it('are recorded by the server when an attempt is graded', async () => {
+    const q = (await srv.call('tea', 'POST', '/api/questions', { type: 'short', prompt: 'Capital of France?', answers: ['Paris'] })).body.question;
+    const quiz = (await srv.call('tea', 'POST', '/api/quizzes', { title: 'Geo', subject: 'history', questionIds: [q.id] })).body.quiz;
+    await srv.call('tea', 'PATCH', `/api/quizzes/${quiz.id}`, { status: 'published' });
+    const a = (await srv.call('stu', 'POST', `/api/quizzes/${quiz.id}/start`)).body.attempt;
+    const r = (await srv.call('stu', 'POST', `/api/attempts/${a.id}/submit`, { answers: { [q.id]: 'paris' } })).body;
+    expect(r.earned.map(x => x.id)).toEqual(expect.arrayContaining(['first_quiz_passed', 'perfect_quiz']));
+    const p = (await srv.call('stu', 'GET', '/api/progress')).body;
+    expect(p.totals.quizzesPassed).toBe(1);
+  });
+
+  it('include attempts closed because time ran out', async () => {
+    const q = (await srv.call('tea', 'POST', '/api/questions', { type: 'numeric', prompt: '6 × 7?', answer: 42 })).body.question;
+    const quiz = (await srv.call('tea', 'POST', '/api/quizzes', { title: 'Timed', questionIds: [q.id], timeLimit: 1, attempts: 2 })).body.quiz;
+    await srv.call('tea', 'PATCH', `/api/quizzes/${quiz.id}`, { status: 'published' });
+    const a = (await srv.call('stu', 'POST', `/api/quizzes/${quiz.id}/start`)).body.attempt;
+    await srv.call('stu', 'PUT', `/api/attempts/${a.id}`, { answers: { [q.id]: '42' } });
+    srv.db.collection('attempts').update(a.id, { deadline: new Date(Date.now() - 3_600_000).toISOString() });
+
+    const next = (await srv.call('stu', 'POST', `/api/quizzes/${quiz.id}/start`)).body.attempt;
+    expect(next.id).not.toBe(a.id);
+    const closed = (await srv.call('stu', 'GET', `/api/attempts/${a.id}`)).body.attempt;
+    expect(closed).toMatchObject({ late: true, pct: 100 });
+    expect((await srv.call('stu', 'GET', '/api/progress')).body.totals.quizzes).toBe(2);
+  });
+});
@@ -0,0 +1,48 @@
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startServer } from './helpers.mjs';
+
+describe('/api/org and /api/prefs', () => {
+  let srv;
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+    await srv.signup('stu');
+  });
+  afterAll(() => srv.close());
+
+  it('lets admins brand the school and post a banner', async () => {
+    expect((await srv.call('stu', 'PUT', '/api/org', { banner: { text: 'Hi', show: true } })).status).toBe(403);
+    const r = await srv.call('admin', 'PUT', '/api/org', { branding: { name: 'Hill School', accent: '#FF0000' }, banner: { text: ' Closed Friday ', show: true } });
+    expect(r.body.branding).toMatchObject({ name: 'Hill School', accent: '#ff0000', scheme: 'dark' });
+    expect(r.body.banner).toEqual({ text: 'Closed Friday', show: true });
+    // fields left out keep their value
+    const again = await srv.call('admin', 'PUT', '/api/org', { banner: { show: false } });
+    expect(again.body.branding.name).toBe('Hill School');
+    expect((await srv.call('stu', 'GET', '/api/org')).body.banner.show).toBe(false);
+  });
+
+  it('answers 400, not 500, for bodies and settings that are not objects', async () => {
+    for (const body of [{ banner: null }, { banner: 'hello' }, { branding: [] }, { branding: null }]) {
+      const r = await srv.call('admin', 'PUT', '/api/org', body);
+      expect(r.status).toBe(400);
+      expect(r.body.error.code).toBe('bad_request');
+    }
+    expect((await srv.raw('admin', 'PUT', '/api/org', null)).status).toBe(400);
+    expect((await srv.call('stu', 'PUT', '/api/prefs', { custom: 'red' })).status).toBe(400);
+    expect((await srv.call('stu', 'PUT', '/api/prefs', [])).status).toBe(400);
+  });
+
+  it('rejects bad colours, logos and choices', async () => {
+    expect((await srv.call('admin', 'PUT', '/api/org', { branding: { accent: 'red' } })).status).toBe(400);
+    expect((await srv.call('admin', 'PUT', '/api/org', { branding: { logo: 'data:text/html;base64,PGI+' } })).status).toBe(400);
+    expect((await srv.call('admin', 'PUT', '/api/org', { branding: { background: ['#000000'] } })).status).toBe(400);
+    expect((await srv.call('stu', 'PUT', '/api/prefs', { theme: 'neon' })).status).toBe(400);
+    expect((await srv.call('stu', 'PUT', '/api/prefs', { locale: 'de' })).status).toBe(400);
+  });
+
+  it('keeps preferences per user', async () => {
+    const r = await srv.call('stu', 'PUT', '/api/prefs', { theme: 'custom', custom: { scheme: 'light', accent: '#123456' }, locale: 'fa', motion: 'reduce' });
+    expect(r.body).toMatchObject({ theme: 'custom', locale: 'fa', motion: 'reduce', custom: { scheme: 'light', accent: '#123456' } });
+    expect((await srv.call('admin', 'GET', '/api/prefs')).body).toMatchObject({ theme: 'school', locale: null });
+  });
+});
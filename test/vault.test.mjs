@@ -0,0 +1,68 @@
+import crypto from 'node:crypto';
+import { afterAll, beforeAll, describe, expect, it } from 'vitest';
+import { startServer } from './helpers.mjs';
+import { resolveVaultKey, seal, unseal } from '../server/vault.mjs';
+
+process.env.MYTHOS_VAULT_KEY = crypto.randomBytes(32).toString('base64');
+
+describe('sealing', () => {
+  it('round-trips and rejects tampered boxes', () => {
+    const box = seal('.', 'sk-secret-value');
+    expect(box.data).not.toContain('sk-secret');
+    expect(unseal('.', box)).toBe('sk-secret-value');
+    const data = Buffer.from(box.data, 'base64');
+    data[0] ^= 1;
+    expect(() => unseal('.', { ...box, data: data.toString('base64') })).toThrow();
+  });
+});
+
+describe('/api/keys', () => {
+  let srv, classId;
+  beforeAll(async () => {
+    srv = await startServer();
+    await srv.signup('admin', 'admin');
+    await srv.signup('tea', 'teacher');
+    await srv.signup('stu');
+    await srv.signup('other');
+    const c = await srv.call('tea', 'POST', '/api/classes', { name: 'Physics', subject: 'Science' });
+    classId = c.body.class.id;
+    await srv.call('stu', 'POST', '/api/classes/join', { code: c.body.class.joinCode });
+  });
+  afterAll(() => srv.close());
+
+  it('never sends a secret back', async () => {
+    const r = await srv.call('admin', 'POST', '/api/keys', { label: 'School', provider: 'openai', secret: 'sk-org-key-1234' });
+    expect(r.status).toBe(200);
+    expect(r.body.key.last4).toBe('1234');
+    expect(JSON.stringify(r.body)).not.toContain('sk-org');
+    expect(JSON.stringify((await srv.call('admin', 'GET', '/api/keys')).body)).not.toContain('sk-org');
+  });
+
+  it('is admin only and validates the body', async () => {
+    expect((await srv.call('tea', 'POST', '/api/keys', { label: 'x', provider: 'openai', secret: 'sk-12345678' })).status).toBe(403);
+    expect((await srv.call('admin', 'POST', '/api/keys', { label: 'x', provider: 'mock', secret: 'sk-12345678' })).status).toBe(400);
+    expect((await srv.call('admin', 'POST', '/api/keys', { label: 'x', provider: 'openai', secret: 'short' })).status).toBe(400);
+    expect((await srv.call('admin', 'POST', '/api/keys', { label: 'x', provider: 'openai', scope: 'class', classId: 'nope', secret: 'sk-12345678' })).status).toBe(400);
+  });
+
+  it('offers class keys to that class only and prefers them over the org key', async () => {
+    const k = await srv.call('admin', 'POST', '/api/keys', { label: 'Physics', provider: 'openai', scope: 'class', classId, secret: 'sk-class-key-9999' });
+    const labels = async (who) => (await srv.call(who, 'GET', '/api/keys/available')).body.keys.map(x => x.label).sort();
+    expect(await labels('stu')).toEqual(['Physics', 'School']);
+    expect(await labels('other')).toEqual(['School']);
+
+    const ctx = { db: srv.db };
+    const users = srv.db.collection('users');
+    expect(resolveVaultKey(ctx, users.get(srv.ids.stu), { provider: 'openai' }).secret).toBe('sk-class-key-9999');
+    expect(resolveVaultKey(ctx, users.get(srv.ids.other), { provider: 'openai' }).secret).toBe('sk-org-key-1234');
+    expect(() => resolveVaultKey(ctx, users.get(srv.ids.other), { keyId: k.body.key.id })).toThrow(/not available/);
+  });
+
+  it('rotates a key in place and hides disabled ones', async () => {
+    const org = (await srv.call('admin', 'GET', '/api/keys')).body.keys.find(k => k.label === 'School');
+    const r = await srv.call('admin', 'PATCH', `/api/keys/${org.id}`, { secret: 'sk-rotated-5678' });
+    expect(r.body.key.last4).toBe('5678');
+    await srv.call('admin', 'PATCH', `/api/keys/${org.id}`, { disabled: true });
+    expect((await srv.call('other', 'GET', '/api/keys/available')).body.keys).toEqual([]);
+  });
+});